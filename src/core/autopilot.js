@@ -0,0 +1,368 @@
+/**
+ * ILUVATAR - Autopilot
+ *
+ * Runs the write -> critique -> revise-or-advance loop unattended for a
+ * number of chapters, so a batch can be queued overnight instead of
+ * issuing /novel write, critique and approve by hand.
+ *
+ * Per chapter:
+ *   1. Frodo writes the chapter
+ *   2. Elrond critiques it
+ *   3. NovelManager.saveCritique decides (passThreshold / maxRevisions):
+ *        - revising: Frodo revises from the critique, back to 2
+ *        - writing:  the chapter is approved and autopilot advances
+ *
+ * Stops early when:
+ *   - the novel is paused (or stop() is called)
+ *   - the outline changes (new savedAt) or a chapter is recalled
+ *   - the next step would pass the spend ceiling (checked before every
+ *     agent call, against what is spent plus an estimate of that step)
+ *   - the novel reaches its target chapter count
+ *   - a pipeline step fails
+ */
+
+const { NOVEL_STATUS } = require('./novel-manager');
+const { getAgentConfig, estimateCost } = require('./model-config');
+
+// Reasons a run ended
+const STOP_REASONS = {
+  DONE: 'done',
+  COMPLETED: 'completed',
+  PAUSED: 'paused',
+  STOPPED: 'stopped',
+  OUTLINE_CHANGED: 'outline_changed',
+  RECALLED: 'recalled',
+  SPEND_CEILING: 'spend_ceiling',
+  ERROR: 'error'
+};
+
+// Default spend ceiling per run (USD)
+const DEFAULT_SPEND_CEILING = 5;
+
+// Agent behind each step, for cost estimates
+const STEP_AGENTS = {
+  write: 'frodo',
+  revise: 'frodo',
+  critique: 'elrond'
+};
+
+class Autopilot {
+  /**
+   * @param {Object} novelManager - NovelManager instance
+   * @param {Object} pipeline - GenerationPipeline instance
+   * @param {Object} options - Configuration
+   * @param {number} options.spendCeiling - Default max spend per run in USD (default: AUTOPILOT_SPEND_CEILING or 5)
+   * @param {number} options.maxChapters - Max chapters per run (default: 50)
+   */
+  constructor(novelManager, pipeline, options = {}) {
+    if (!novelManager) {
+      throw new Error('Autopilot requires a NovelManager instance');
+    }
+    if (!pipeline) {
+      throw new Error('Autopilot requires a GenerationPipeline instance');
+    }
+    this.novelManager = novelManager;
+    this.pipeline = pipeline;
+    this.spendCeiling = options.spendCeiling || parseFloat(process.env.AUTOPILOT_SPEND_CEILING) || DEFAULT_SPEND_CEILING;
+    this.maxChapters = options.maxChapters || 50;
+
+    // novelId -> active run
+    this.runs = new Map();
+  }
+
+  /**
+   * Check if autopilot is running for a novel
+   */
+  isRunning(novelId) {
+    return this.runs.has(novelId);
+  }
+
+  /**
+   * Get progress of an active run
+   *
+   * @param {string} novelId - Novel ID
+   * @returns {Object|null} { chapters, chaptersDone, spent, spendCeiling, currentChapter, startedAt }
+   */
+  getRun(novelId) {
+    const run = this.runs.get(novelId);
+    if (!run) return null;
+    const { stopRequested, outlineSavedAt, stepCosts, ...progress } = run;
+    return { ...progress, chaptersDone: run.digests.length };
+  }
+
+  /**
+   * Ask a running autopilot to stop after the current agent call
+   *
+   * @param {string} novelId - Novel ID
+   * @param {string} reason - Stop reason (default: stopped)
+   * @returns {boolean} True if a run was signalled
+   */
+  stop(novelId, reason = STOP_REASONS.STOPPED) {
+    const run = this.runs.get(novelId);
+    if (!run) return false;
+    run.stopRequested = reason;
+    console.log(`[Autopilot] Stop requested for ${novelId} (${reason})`);
+    return true;
+  }
+
+  /**
+   * Verify a novel is ready for autopilot
+   *
+   * @param {string} novelId - Novel ID
+   * @returns {Promise<Object>} Novel state
+   * @throws {Error} If autopilot cannot start
+   */
+  async checkCanStart(novelId) {
+    if (this.runs.has(novelId)) {
+      throw new Error(`Autopilot is already running for ${novelId}`);
+    }
+
+    const state = await this.novelManager.getNovelState(novelId, { include: ['outline'] });
+    if (!state) {
+      throw new Error(`Novel not found: ${novelId}`);
+    }
+    if (!state.outline || !state.metadata.outlineApproved) {
+      throw new Error('Autopilot needs an approved outline. Use `/novel write` and `/novel approve` first.');
+    }
+    if (state.metadata.status === NOVEL_STATUS.PAUSED) {
+      throw new Error('Novel is paused. Use `/novel resume` first.');
+    }
+    if (state.metadata.status === NOVEL_STATUS.COMPLETED) {
+      throw new Error('Novel is already completed.');
+    }
+    if (state.metadata.revisionMode) {
+      throw new Error('A recall is in progress. Finish it before starting autopilot.');
+    }
+    return state;
+  }
+
+  /**
+   * Run the loop for N chapters
+   *
+   * @param {string} novelId - Novel ID
+   * @param {Object} options
+   * @param {number} options.chapters - Number of chapters to complete
+   * @param {number} options.spendCeiling - Max spend for this run in USD (default: instance ceiling)
+   * @param {Function} options.onChapter - async (digest) called after each chapter is approved
+   * @returns {Promise<Object>} Summary { novelId, chaptersDone, digests, spent, stopReason, error }
+   */
+  async run(novelId, options = {}) {
+    const chapters = Math.min(options.chapters || 1, this.maxChapters);
+    const spendCeiling = options.spendCeiling || this.spendCeiling;
+
+    const state = await this.checkCanStart(novelId);
+    if (this.runs.has(novelId)) {
+      throw new Error(`Autopilot is already running for ${novelId}`);
+    }
+
+    const run = {
+      novelId,
+      chapters,
+      spendCeiling,
+      spent: 0,
+      digests: [],
+      currentChapter: null,
+      startedAt: new Date().toISOString(),
+      outlineSavedAt: state.outline.savedAt,
+      stopRequested: null,
+      // step -> cost of its last call in this run, for estimates
+      stepCosts: {}
+    };
+    this.runs.set(novelId, run);
+
+    console.log(`[Autopilot] Starting ${novelId}: ${chapters} chapters, ceiling $${spendCeiling.toFixed(2)}`);
+
+    let stopReason = STOP_REASONS.DONE;
+    let error = null;
+
+    try {
+      while (run.digests.length < chapters) {
+        const digest = await this._runChapter(run);
+        if (digest.stopReason) {
+          stopReason = digest.stopReason;
+          break;
+        }
+
+        run.digests.push(digest);
+        if (options.onChapter) {
+          await options.onChapter(digest);
+        }
+
+        if (digest.novelCompleted) {
+          stopReason = STOP_REASONS.COMPLETED;
+          break;
+        }
+      }
+    } catch (err) {
+      console.error(`[Autopilot] ${novelId} failed:`, err);
+      stopReason = STOP_REASONS.ERROR;
+      error = err.message;
+    } finally {
+      this.runs.delete(novelId);
+    }
+
+    // Pipeline saves move the status on, so re-apply a pause that arrived mid-step
+    if (stopReason === STOP_REASONS.PAUSED) {
+      await this.novelManager.withActor('autopilot').pauseNovel(novelId);
+    }
+
+    console.log(`[Autopilot] Finished ${novelId}: ${run.digests.length}/${chapters} chapters, $${run.spent.toFixed(4)} spent (${stopReason})`);
+
+    return {
+      novelId,
+      chapters,
+      chaptersDone: run.digests.length,
+      digests: run.digests,
+      spent: run.spent,
+      spendCeiling,
+      stopReason,
+      error
+    };
+  }
+
+  /**
+   * Take one chapter from write (or pending revision) to approval
+   *
+   * @returns {Promise<Object>} Chapter digest, or { stopReason } if a guard tripped
+   * @private
+   */
+  async _runChapter(run) {
+    const { novelId } = run;
+    const metadata = await this.novelManager.getNovel(novelId);
+
+    // Chapter numbers come from what is written: approveChapter already bumps
+    // currentChapter, so getNextChapterNum() would skip one after an approval.
+    const latestWritten = Math.max(0, ...await this.novelManager.getChapterNums(novelId));
+    const latest = latestWritten > 0 ? await this.novelManager.getChapter(novelId, latestWritten) : null;
+
+    // Pick up wherever the manual flow left off
+    let chapterNum = latestWritten;
+    let step;
+    if (latest && metadata.status === NOVEL_STATUS.REVISING) {
+      step = 'revise';
+    } else if (latest && metadata.status === NOVEL_STATUS.REVIEWING) {
+      step = 'critique';
+    } else {
+      if (latest && !latest.approved && await this.novelManager.getCritique(novelId, latestWritten)) {
+        // Passed critique but nobody ran /novel approve
+        await this.novelManager.withActor('autopilot').approveChapter(novelId, latestWritten);
+      }
+      chapterNum = latestWritten + 1;
+      step = 'write';
+    }
+
+    if (chapterNum > metadata.targetChapters) {
+      return { stopReason: STOP_REASONS.COMPLETED };
+    }
+
+    run.currentChapter = chapterNum;
+    const digest = {
+      chapterNum,
+      title: chapterNum === latestWritten ? latest?.title || null : null,
+      wordCount: chapterNum === latestWritten ? latest?.wordCount || 0 : 0,
+      attempts: [],
+      cost: 0
+    };
+
+    // write/revise -> critique until saveCritique stops asking for revisions
+    while (true) {
+      const stopReason = await this._checkGuards(run, step);
+      if (stopReason) return { stopReason };
+
+      if (step !== 'critique') {
+        const written = step === 'write'
+          ? await this.pipeline.write(novelId, chapterNum)
+          : await this.pipeline.reviseChapter(novelId, chapterNum);
+        this._addCost(run, digest, step, written.usage);
+        digest.title = written.output.title;
+        digest.wordCount = written.output.wordCount;
+
+        const critiqueStop = await this._checkGuards(run, 'critique');
+        if (critiqueStop) return { stopReason: critiqueStop };
+      }
+
+      const critiqued = await this.pipeline.critique(novelId, chapterNum);
+      this._addCost(run, digest, 'critique', critiqued.usage);
+      digest.attempts.push({ step, score: critiqued.output.score, passed: critiqued.passed });
+
+      if (critiqued.passed) break;
+      step = 'revise';
+    }
+
+    const finalAttempt = digest.attempts[digest.attempts.length - 1];
+    digest.score = finalAttempt.score;
+    // saveCritique passes a failing score once maxRevisions is reached
+    digest.forced = finalAttempt.score < this.novelManager.config.passThreshold;
+
+    // Advance the same way /novel approve does
+    const extraction = await this.novelManager.withActor('autopilot').approveChapter(novelId, chapterNum);
+    digest.bibleStaged = extraction ? extraction.staged.length : 0;
+    if (chapterNum >= metadata.targetChapters) {
+      await this.novelManager.withActor('autopilot').markCompleted(novelId);
+      digest.novelCompleted = true;
+    }
+
+    digest.totalSpent = run.spent;
+    return digest;
+  }
+
+  /**
+   * Check stop conditions before an agent call
+   *
+   * @param {Object} run - Active run
+   * @param {string} step - write | revise | critique, the call about to be made
+   * @returns {Promise<string|null>} Stop reason, or null to continue
+   * @private
+   */
+  async _checkGuards(run, step) {
+    if (run.stopRequested) {
+      return run.stopRequested;
+    }
+
+    const state = await this.novelManager.getNovelState(run.novelId, { include: ['outline'] });
+    if (!state) {
+      return STOP_REASONS.ERROR;
+    }
+    if (state.metadata.status === NOVEL_STATUS.PAUSED) {
+      return STOP_REASONS.PAUSED;
+    }
+    if (state.outline?.savedAt !== run.outlineSavedAt) {
+      return STOP_REASONS.OUTLINE_CHANGED;
+    }
+    if (state.metadata.revisionMode) {
+      return STOP_REASONS.RECALLED;
+    }
+    if (run.spent + this._estimateStep(run, step) > run.spendCeiling) {
+      return STOP_REASONS.SPEND_CEILING;
+    }
+    return null;
+  }
+
+  /**
+   * Expected cost of a step: what it cost last time in this run, or a
+   * full prompt and reply at the agent's token limit before it has run
+   * @private
+   */
+  _estimateStep(run, step) {
+    if (run.stepCosts[step] !== undefined) {
+      return run.stepCosts[step];
+    }
+    const agent = STEP_AGENTS[step];
+    const { maxTokens } = getAgentConfig(agent);
+    return estimateCost(agent, maxTokens, maxTokens);
+  }
+
+  /** @private */
+  _addCost(run, digest, step, usage) {
+    const cost = usage?.cost || 0;
+    run.spent += cost;
+    digest.cost += cost;
+    run.stepCosts[step] = cost;
+  }
+}
+
+module.exports = {
+  Autopilot,
+  STOP_REASONS,
+  DEFAULT_SPEND_CEILING
+};
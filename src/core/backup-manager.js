@@ -0,0 +1,462 @@
+/**
+ * ILUVATAR - Backup Manager
+ *
+ * Scheduled backups and point-in-time restore, on top of S3Storage (any
+ * storage backend).
+ *
+ * Every run (every `intervalHours` in the bot process):
+ *   1. Snapshot each novel whose StateManager version changed since its
+ *      last snapshot (snapshots/{novelId}/v{version}-{time}.json). Novels
+ *      nobody touched cost nothing, so runs can be frequent.
+ *   2. Write the day's full backup (backups/{date}/full-backup.json), every
+ *      novel scope plus its version. Later runs the same day replace it.
+ *   3. Prune: keep the newest backup of each of the last `keepDaily` days
+ *      and of each of the last `keepWeekly` weeks. Snapshots are pruned the
+ *      same way per novel, and a novel's newest snapshot is always kept.
+ *
+ * Restore rehydrates `novel:{id}` scopes from a snapshot or full backup and
+ * re-registers the novels in the `global` index. The version keeps counting
+ * up (restoring is a write), so agents holding an older read get a
+ * ConflictError instead of overwriting the restored state. Every restore
+ * can be previewed first (dryRun), and is recorded in each novel's history
+ * as a novel.restored event carrying the restored state.
+ *
+ * Backup references (resolveBackup):
+ *   latest                 newest snapshot of the novel (or newest full backup)
+ *   v42 / 42               the novel's snapshot at StateManager version 42
+ *   2024-05-01             as of the end of that day
+ *   2024-05-01T12:00:00Z   as of that moment
+ *   snapshots/... backups/...  a key from /novel backup
+ */
+
+// Defaults (overridable via BACKUP_* env vars)
+const DEFAULT_INTERVAL_HOURS = 6;
+const DEFAULT_KEEP_DAILY = 7;
+const DEFAULT_KEEP_WEEKLY = 4;
+
+const AGENT_ID = 'backup-manager';
+
+// Monday of the (UTC) week a date falls in, as YYYY-MM-DD
+function weekOf(date) {
+  const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  monday.setUTCDate(monday.getUTCDate() - (monday.getUTCDay() + 6) % 7);
+  return monday.toISOString().slice(0, 10);
+}
+
+/**
+ * Pick which backups a daily/weekly retention policy keeps
+ *
+ * @param {Array} items - Backups with a `date` (Date)
+ * @param {Object} policy
+ * @param {number} policy.keepDaily - Days to keep the newest backup of
+ * @param {number} policy.keepWeekly - Weeks to keep the newest backup of
+ * @returns {Set} Items to keep (always includes the newest)
+ */
+function selectRetained(items, { keepDaily, keepWeekly }) {
+  const sorted = [...items].sort((a, b) => b.date - a.date);
+  const keep = new Set(sorted.slice(0, 1));
+  const days = new Set();
+  const weeks = new Set();
+
+  for (const item of sorted) {
+    const day = item.date.toISOString().slice(0, 10);
+    const week = weekOf(item.date);
+    if (!days.has(day) && days.size < keepDaily) {
+      days.add(day);
+      keep.add(item);
+    }
+    if (!weeks.has(week) && weeks.size < keepWeekly) {
+      weeks.add(week);
+      keep.add(item);
+    }
+  }
+  return keep;
+}
+
+// Read an integer option, falling back to an env var then a default (0 is a valid value)
+function intOption(value, envValue, fallback) {
+  if (value !== undefined && value !== null) return value;
+  const parsed = parseInt(envValue);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+class BackupManager {
+  /**
+   * @param {Object} novelManager - NovelManager instance
+   * @param {Object} storage - S3Storage instance (any backend)
+   * @param {Object} options - Configuration
+   * @param {number} options.intervalHours - Hours between scheduled runs, 0 = manual only (default: BACKUP_INTERVAL_HOURS or 6)
+   * @param {number} options.keepDaily - Days of backups to keep (default: BACKUP_KEEP_DAILY or 7)
+   * @param {number} options.keepWeekly - Weeks of backups to keep (default: BACKUP_KEEP_WEEKLY or 4)
+   */
+  constructor(novelManager, storage, options = {}) {
+    if (!novelManager) {
+      throw new Error('BackupManager requires a NovelManager instance');
+    }
+    if (!storage) {
+      throw new Error('BackupManager requires an S3Storage instance');
+    }
+    this.novelManager = novelManager;
+    this.state = novelManager.state;
+    this.storage = storage;
+    this.intervalHours = intOption(options.intervalHours, process.env.BACKUP_INTERVAL_HOURS, DEFAULT_INTERVAL_HOURS);
+    this.keepDaily = intOption(options.keepDaily, process.env.BACKUP_KEEP_DAILY, DEFAULT_KEEP_DAILY);
+    this.keepWeekly = intOption(options.keepWeekly, process.env.BACKUP_KEEP_WEEKLY, DEFAULT_KEEP_WEEKLY);
+
+    this.timer = null;
+    this.running = null;     // Promise of the run in progress
+    this.lastRun = null;     // Report of the last finished run
+  }
+
+  // ==========================================================================
+  // SCHEDULE
+  // ==========================================================================
+
+  /**
+   * Start scheduled backups (no-op when intervalHours is 0)
+   */
+  start() {
+    if (this.timer || this.intervalHours <= 0) return;
+
+    this.timer = setInterval(() => {
+      this.runBackup().catch(err => console.error('[BackupManager] Scheduled backup failed:', err));
+    }, this.intervalHours * 60 * 60 * 1000);
+    // Don't keep the process alive just for backups
+    this.timer.unref?.();
+
+    console.log(`[BackupManager] Backups every ${this.intervalHours}h (keep ${this.keepDaily} daily, ${this.keepWeekly} weekly)`);
+  }
+
+  /**
+   * Stop scheduled backups
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * When the next scheduled run is due (null when not scheduled)
+   *
+   * @returns {Date|null}
+   */
+  nextRunAt() {
+    if (!this.timer) return null;
+    const from = this.lastRun ? new Date(this.lastRun.finishedAt) : new Date();
+    return new Date(from.getTime() + this.intervalHours * 60 * 60 * 1000);
+  }
+
+  // ==========================================================================
+  // BACKUP
+  // ==========================================================================
+
+  /**
+   * Snapshot changed novels, write the day's full backup and prune
+   * A run already in progress is joined rather than started twice.
+   *
+   * @returns {Promise<Object>} { snapshots, unchanged, fullBackup, novels, pruned, finishedAt }
+   */
+  async runBackup() {
+    if (!this.running) {
+      this.running = this._runBackup().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  /** @private */
+  async _runBackup() {
+    const novels = await this.novelManager.listNovels();
+    const snapshots = await this.storage.listSnapshots();
+    const report = { snapshots: [], unchanged: 0, fullBackup: null, novels: 0, pruned: 0 };
+    const fullBackup = [];
+
+    for (const { id } of novels) {
+      const scope = await this._readNovel(id);
+      if (!scope) continue;
+      fullBackup.push({ id, version: scope.version, data: scope.data });
+
+      const latest = snapshots.find(s => s.novelId === id);
+      // Compare with !==, not >: versions restart when a deleted novel is restored
+      if (latest?.version === scope.version) {
+        report.unchanged++;
+        continue;
+      }
+      report.snapshots.push(await this.storage.saveSnapshot(id, scope.version, scope.data));
+    }
+
+    report.novels = fullBackup.length;
+    report.fullBackup = await this.storage.createFullBackup(fullBackup);
+    report.pruned = (await this.prune()).length;
+    report.finishedAt = new Date().toISOString();
+
+    this.lastRun = report;
+    console.log(`[BackupManager] Backup done: ${report.snapshots.length} snapshots (${report.unchanged} unchanged), ${report.novels} novels in ${report.fullBackup}, ${report.pruned} pruned`);
+    return report;
+  }
+
+  /**
+   * Snapshot a single novel now, even if its version was already snapshotted
+   *
+   * @param {string} novelId - Novel ID
+   * @returns {Promise<Object>} { key, version }
+   */
+  async snapshotNovel(novelId) {
+    const scope = await this._readNovel(novelId);
+    if (!scope) throw new Error(`Novel not found: ${novelId}`);
+
+    const key = await this.storage.saveSnapshot(novelId, scope.version, scope.data);
+    return { key, version: scope.version };
+  }
+
+  /**
+   * Delete backups and snapshots outside the retention policy
+   *
+   * @returns {Promise<Array<string>>} Deleted keys
+   */
+  async prune() {
+    const policy = { keepDaily: this.keepDaily, keepWeekly: this.keepWeekly };
+    const deleted = [];
+
+    const backups = (await this.storage.listBackups()).map(b => ({ ...b, date: new Date(b.lastModified) }));
+    const keptBackups = selectRetained(backups, policy);
+
+    const byNovel = new Map();
+    for (const snapshot of await this.storage.listSnapshots()) {
+      if (!byNovel.has(snapshot.novelId)) byNovel.set(snapshot.novelId, []);
+      byNovel.get(snapshot.novelId).push({ ...snapshot, date: snapshot.takenAt });
+    }
+
+    const expired = backups.filter(b => !keptBackups.has(b));
+    for (const list of byNovel.values()) {
+      const kept = selectRetained(list, policy);
+      expired.push(...list.filter(s => !kept.has(s)));
+    }
+
+    for (const { key } of expired) {
+      await this.storage.deleteBackup(key);
+      deleted.push(key);
+    }
+    return deleted;
+  }
+
+  /**
+   * Recent backups and (optionally one novel's) snapshots, newest first
+   *
+   * @param {string} novelId - Novel ID (optional)
+   * @returns {Promise<Object>} { backups, snapshots }
+   */
+  async listBackups(novelId = null) {
+    const [backups, snapshots] = await Promise.all([
+      this.storage.listBackups(),
+      this.storage.listSnapshots(novelId)
+    ]);
+    return { backups, snapshots };
+  }
+
+  // ==========================================================================
+  // RESTORE
+  // ==========================================================================
+
+  /**
+   * Turn a backup reference into a concrete snapshot or full backup
+   *
+   * @param {string} ref - latest, v{version}, a date or timestamp, or a key
+   * @param {string} novelId - Novel to restore (required for versions; optional otherwise)
+   * @returns {Promise<Object>} { type: 'snapshot'|'full', key, takenAt }
+   */
+  async resolveBackup(ref, novelId = null) {
+    ref = String(ref || 'latest').trim();
+
+    if (ref.startsWith('snapshots/')) {
+      const snapshot = (await this.storage.listSnapshots()).find(s => s.key === ref);
+      if (!snapshot) throw new Error(`Snapshot not found: ${ref}`);
+      return { type: 'snapshot', key: ref, takenAt: snapshot.takenAt };
+    }
+    if (ref.startsWith('backups/')) {
+      const backup = (await this.storage.listBackups()).find(b => b.key === ref);
+      if (!backup) throw new Error(`Backup not found: ${ref}`);
+      return { type: 'full', key: ref, takenAt: new Date(backup.lastModified) };
+    }
+
+    const version = ref.match(/^v?(\d+)$/);
+    if (version) {
+      if (!novelId) throw new Error('Restoring a version needs a novel ID');
+      const snapshot = (await this.storage.listSnapshots(novelId)).find(s => s.version === parseInt(version[1]));
+      if (!snapshot) throw new Error(`No snapshot of ${novelId} at version ${version[1]}`);
+      return { type: 'snapshot', key: snapshot.key, takenAt: snapshot.takenAt };
+    }
+
+    // Point in time: a date means the end of that day
+    let asOf = null;
+    if (ref !== 'latest') {
+      asOf = new Date(/^\d{4}-\d{2}-\d{2}$/.test(ref) ? `${ref}T23:59:59.999Z` : ref);
+      if (Number.isNaN(asOf.getTime())) {
+        throw new Error(`Unknown backup reference: ${ref}. Use latest, v<version>, a date (YYYY-MM-DD) or a key from /novel backup`);
+      }
+    }
+    const inTime = date => !asOf || date <= asOf;
+
+    if (novelId) {
+      const snapshot = (await this.storage.listSnapshots(novelId)).find(s => inTime(s.takenAt));
+      if (snapshot) return { type: 'snapshot', key: snapshot.key, takenAt: snapshot.takenAt };
+    }
+
+    const backup = (await this.storage.listBackups()).find(b => inTime(new Date(b.lastModified)));
+    if (!backup) {
+      throw new Error(`No backup${novelId ? ` of ${novelId}` : ''} ${asOf ? `as of ${asOf.toISOString()}` : 'found'}`);
+    }
+    return { type: 'full', key: backup.key, takenAt: new Date(backup.lastModified) };
+  }
+
+  /**
+   * Restore novels from a backup
+   *
+   * With dryRun, nothing is written: the plan shows what each novel would
+   * go back to (version, chapters, status) next to what it is now.
+   *
+   * @param {string} ref - Backup reference (see resolveBackup)
+   * @param {Object} options
+   * @param {string} options.novelId - Only restore this novel (default: every novel in a full backup)
+   * @param {boolean} options.dryRun - Preview only
+   * @param {string|Object} options.actor - Who restored, for the novels' history (default: backup-manager)
+   * @returns {Promise<Object>} { type, key, takenAt, dryRun, novels: [...] }
+   */
+  async restore(ref, options = {}) {
+    const { novelId = null, dryRun = false } = options;
+    const backup = await this.resolveBackup(ref, novelId);
+
+    let entries;
+    if (backup.type === 'snapshot') {
+      const snapshot = await this.storage.getSnapshot(backup.key);
+      if (novelId && snapshot.novelId !== novelId) {
+        throw new Error(`${backup.key} is a snapshot of ${snapshot.novelId}, not ${novelId}`);
+      }
+      entries = [{ id: snapshot.novelId, version: snapshot.version, data: snapshot.data }];
+    } else {
+      const full = await this.storage.restoreFullBackup(backup.key);
+      entries = (full.novels || []).filter(n => n.data?.metadata && (!novelId || n.id === novelId));
+      if (novelId && entries.length === 0) {
+        throw new Error(`${backup.key} has no copy of ${novelId}`);
+      }
+    }
+
+    const plan = { ...backup, dryRun, novels: [] };
+    for (const entry of entries) {
+      const current = await this._readNovel(entry.id);
+      const item = {
+        novelId: entry.id,
+        title: entry.data.metadata.title,
+        backupVersion: entry.version,
+        backupStatus: entry.data.metadata.status,
+        backupChapters: Object.keys(entry.data.chapters || {}).length,
+        exists: Boolean(current),
+        currentVersion: current?.version ?? null,
+        currentStatus: current?.data.metadata.status ?? null,
+        currentChapters: current ? Object.keys(current.data.chapters || {}).length : null
+      };
+
+      if (!dryRun) {
+        item.restoredVersion = await this._restoreNovel(entry.id, entry.data);
+        await this._recordRestore(entry, backup, item.restoredVersion, options.actor);
+      }
+      plan.novels.push(item);
+    }
+
+    console.log(`[BackupManager] ${dryRun ? 'Previewed' : 'Restored'} ${plan.novels.length} novel(s) from ${backup.key}`);
+    return plan;
+  }
+
+  /**
+   * Replace a novel scope with backed-up data and re-register it globally
+   *
+   * @private
+   * @returns {Promise<number>} New StateManager version of the scope
+   */
+  async _restoreNovel(novelId, data) {
+    const scope = this.novelManager.getScope(novelId);
+
+    let stale = [];
+    const { newVersion } = await this.state.writeWithRetry(AGENT_ID, scope, async (current) => {
+      stale = Object.keys(current).filter(key => !(key in data));
+      return data;
+    });
+    // Fields written after the backup was taken
+    if (stale.length > 0) {
+      await this.state.delete(scope, stale);
+    }
+
+    const { metadata } = data;
+    await this.state.writeWithRetry(AGENT_ID, 'global', async (currentState) => {
+      const novels = currentState.novels || {};
+      novels[novelId] = {
+        id: novelId,
+        title: metadata.title,
+        status: metadata.status,
+        discordChannelId: metadata.discordChannelId || null,
+        createdAt: metadata.createdAt
+      };
+      return { novels };
+    });
+    if (metadata.discordChannelId) {
+      await this.state.set('global', `channel:${metadata.discordChannelId}`, novelId);
+    }
+
+    // Bible and passage vectors live outside the scope; rebuild them from the restored state
+    const retriever = this.novelManager.bibleRetriever;
+    if (retriever) {
+      try {
+        await retriever.indexBible(novelId);
+        await retriever.syncPassageIndex(novelId);
+      } catch (err) {
+        console.error(`[BackupManager] Restored ${novelId} but re-indexing failed:`, err.message);
+      }
+    }
+
+    console.log(`[BackupManager] Restored ${novelId} ("${metadata.title}") at version ${newVersion}`);
+    return newVersion;
+  }
+
+  /**
+   * Add the restore to the novel's history; projections restart from its state
+   * (failures are logged: the restore itself already happened)
+   *
+   * @private
+   */
+  async _recordRestore(entry, backup, version, actor) {
+    try {
+      await this.novelManager.history.record(entry.id, 'novel.restored', {
+        data: entry.data,
+        backup: { key: backup.key, type: backup.type, version: entry.version }
+      }, { actor: actor || AGENT_ID, version, metadata: entry.data.metadata });
+    } catch (err) {
+      console.error(`[BackupManager] Restored ${entry.id} but recording it in its history failed:`, err.message);
+    }
+  }
+
+  /**
+   * Read every field and collection of a novel scope with its version
+   *
+   * @private
+   * @returns {Promise<Object|null>} { data, version } or null if the novel doesn't exist
+   */
+  async _readNovel(novelId) {
+    const scope = this.novelManager.getScope(novelId);
+    const { data, version } = await this.state.read(AGENT_ID, scope, ['*']);
+    if (!data.metadata) return null;
+
+    // Empty collections aren't stored; back them up as {} like older backups
+    for (const key of this.state.collections) {
+      if (data[key] === undefined) data[key] = {};
+    }
+    return { data, version };
+  }
+}
+
+module.exports = {
+  BackupManager,
+  selectRetained
+};
@@ -0,0 +1,551 @@
+/**
+ * ILUVATAR - Bible Extractor
+ *
+ * Turns Frodo's "## BIBLE UPDATES" into story bible changes. Runs when a
+ * chapter is approved (NovelManager.approveChapter), so drafts that get
+ * revised away never touch the bible, and it works the same whether the
+ * chapter came from the native pipeline or from N8N.
+ *
+ *   1. plan    resolve every update against the current bible: character
+ *              names and aliases to char-* IDs, thread IDs, Chekhov items
+ *   2. apply   updates that fit go straight in: updateStoryBible for
+ *              characters, relationships, new threads, timeline events and
+ *              new Chekhovs; addForeshadowing for thread progress;
+ *              resolvePlotThread for resolved threads; resolveChekhov for
+ *              payoffs. Then the retriever re-indexes.
+ *   3. stage   updates that contradict the bible (a dead character's status
+ *              changing, a relationship changing type, a Chekhov paid off
+ *              twice) or reference something the bible doesn't have are
+ *              held for review (/novel bible pending, /novel bible review)
+ *
+ * Updates that are already in the bible are skipped, so approving a chapter
+ * again after a recall doesn't duplicate them.
+ *
+ * Update entries (what is staged, and what review() applies):
+ *   character     { ref, characterId, name, change, changes: { status, traits, aliases, description, note } }
+ *   relationship  { from, to, fromId, toId, type, notes }
+ *   plotThread    { threadId, title }                  a thread Frodo introduced
+ *   foreshadowing { threadId, hint }                   progress on a thread
+ *   resolution    { threadId, note }                   a thread resolved
+ *   timeline      { event, characters }
+ *   payoff        { chekhovId, item, note }            a Chekhov paid off
+ *   chekhov       { item, notes, payoffWindow }        a new Chekhov
+ * Every entry also has { kind, chapter }, and { id, reason, stagedAt } when staged.
+ */
+
+const { parseFrodoOutput } = require('./output-parser');
+
+// Statuses that mean a character can't come back without someone noticing
+const DEAD_STATUSES = ['dead', 'deceased', 'killed', 'died', '死亡', '已死', '身亡', '阵亡'];
+
+// Labels Frodo uses inside a character update ("Status: injured", "状态：受伤")
+const CHANGE_LABELS = {
+  status: ['status', 'new status', '状态'],
+  traits: ['trait', 'traits', 'new trait', 'new traits', '特征', '新特征', '性格'],
+  aliases: ['alias', 'aliases', 'new alias', 'also known as', '别名', '称号', '外号'],
+  description: ['description', '描述', '简介']
+};
+
+// ============================================================
+// RESOLUTION
+// ============================================================
+
+function normalize(value) {
+  return String(value || '').replace(/\*\*/g, '').trim().toLowerCase();
+}
+
+/**
+ * Whether a character status means dead
+ *
+ * @param {string} status - Character status
+ * @returns {boolean}
+ */
+function isDeadStatus(status) {
+  const value = normalize(status);
+  // Chinese statuses carry extra characters ("已死亡"); English ones extra words ("dead (poisoned)")
+  return DEAD_STATUSES.some(dead => /^[a-z]/.test(dead)
+    ? value === dead || value.startsWith(`${dead} `) || value.startsWith(`${dead}(`)
+    : value.includes(dead));
+}
+
+/**
+ * Find a character by ID, name or alias (case-insensitive)
+ *
+ * @param {Object} characters - Story bible characters by ID
+ * @param {string} ref - ID, name or alias
+ * @returns {string|null} Character ID
+ */
+function resolveCharacter(characters, ref) {
+  const wanted = normalize(ref);
+  if (!wanted) return null;
+
+  const all = Object.values(characters || {});
+  const byId = all.find(c => normalize(c.id) === wanted);
+  if (byId) return byId.id;
+
+  const byName = all.find(c => normalize(c.name) === wanted || (c.aliases || []).some(alias => normalize(alias) === wanted));
+  return byName ? byName.id : null;
+}
+
+/**
+ * Find a Chekhov by ID (chekhov-002) or item name: exact (case-insensitive),
+ * or the one item that contains or is contained by the name
+ *
+ * @param {Array} chekhovs - Story bible chekhovs
+ * @param {string} item - Chekhov ID or item name as Frodo wrote it
+ * @returns {Object|null} Chekhov entry
+ */
+function findChekhov(chekhovs, item) {
+  const wanted = normalize(item);
+  if (!wanted) return null;
+
+  const exact = (chekhovs || []).find(c => (c.id && c.id === wanted) || normalize(c.item) === wanted);
+  if (exact) return exact;
+
+  const partial = (chekhovs || []).filter(c => normalize(c.item).includes(wanted) || wanted.includes(normalize(c.item)));
+  return partial.length === 1 ? partial[0] : null;
+}
+
+/**
+ * Split "Status: injured; New trait: wary" into bible fields. Anything
+ * without a known label is kept as a note.
+ *
+ * @param {string} text - Change as Frodo wrote it
+ * @returns {Object} { status, traits, aliases, description, note }
+ */
+function parseCharacterChange(text) {
+  const changes = { status: null, traits: [], aliases: [], description: null, note: null };
+  const notes = [];
+
+  for (const part of String(text || '').split(/\s*[;；]\s*/).filter(Boolean)) {
+    const match = part.match(/^([^:：]{1,20})[:：]\s*(.+)$/);
+    const field = match && Object.keys(CHANGE_LABELS).find(key => CHANGE_LABELS[key].includes(normalize(match[1])));
+    if (!field) {
+      notes.push(part);
+      continue;
+    }
+
+    const value = match[2].trim().replace(/[.。]$/, '');
+    if (field === 'status') {
+      changes.status = /[a-z]/i.test(value) ? value.toLowerCase() : value;
+    } else if (field === 'description') {
+      changes.description = value;
+    } else {
+      changes[field].push(...value.split(/\s*[,，、]\s*/).filter(Boolean));
+    }
+  }
+
+  changes.note = notes.join('; ') || null;
+  return changes;
+}
+
+/**
+ * Characters named (by name or alias) in a piece of text
+ */
+function charactersIn(characters, text) {
+  const haystack = normalize(text);
+  return Object.values(characters || {})
+    .filter(c => [c.name, ...(c.aliases || [])].some(name => name && haystack.includes(normalize(name))))
+    .map(c => c.id);
+}
+
+function nextCharacterId(...catalogues) {
+  const ids = catalogues.flatMap(catalogue => Object.keys(catalogue || {}));
+  const next = Math.max(0, ...ids.map(id => parseInt(id.replace(/^char-/, '')) || 0)) + 1;
+  return `char-${String(next).padStart(3, '0')}`;
+}
+
+// ============================================================
+// PLANNING
+// ============================================================
+
+/**
+ * Sort parsed BIBLE UPDATES into what can be applied now and what needs review
+ *
+ * @param {Object} bible - Current story bible (with any series canon)
+ * @param {number} chapterNum - Chapter the updates came from
+ * @param {Object} updates - Parsed BIBLE UPDATES (output-parser.js parseBibleUpdates)
+ * @returns {Object} { apply: [entry], stage: [entry], skipped }
+ */
+function planBibleUpdates(bible, chapterNum, updates) {
+  const plan = { apply: [], stage: [], skipped: 0 };
+  const characters = bible.characters || {};
+  const threads = bible.plotThreads || [];
+  const chapter = chapterNum;
+
+  const add = (entry, reason = null) => {
+    if (reason) {
+      plan.stage.push({ ...entry, chapter, reason });
+    } else {
+      plan.apply.push({ ...entry, chapter });
+    }
+  };
+
+  for (const update of updates.characterUpdates || []) {
+    const ref = update.id || update.name;
+    const id = resolveCharacter(characters, update.id) || resolveCharacter(characters, update.name);
+    const changes = parseCharacterChange(update.change);
+    const entry = { kind: 'character', ref, characterId: id, name: update.name || null, change: update.change, changes };
+    const existing = id ? characters[id] : null;
+
+    if (!existing) {
+      add(entry, `Unknown character "${ref}"`);
+      continue;
+    }
+
+    const takenAlias = changes.aliases.find(alias => {
+      const owner = resolveCharacter(characters, alias);
+      return owner && owner !== id;
+    });
+    if (isDeadStatus(existing.status) && changes.status && !isDeadStatus(changes.status)) {
+      add(entry, `${existing.name || id} is ${existing.status}, update says ${changes.status}`);
+    } else if (takenAlias) {
+      add(entry, `Alias "${takenAlias}" already belongs to ${resolveCharacter(characters, takenAlias)}`);
+    } else {
+      add(entry);
+    }
+  }
+
+  for (const rel of updates.relationships || []) {
+    const fromId = resolveCharacter(characters, rel.from);
+    const toId = resolveCharacter(characters, rel.to);
+    const entry = { kind: 'relationship', from: rel.from, to: rel.to, fromId, toId, type: rel.type, notes: rel.notes || '' };
+    const unknown = [[rel.from, fromId], [rel.to, toId]].filter(([, resolved]) => !resolved).map(([ref]) => `"${ref}"`);
+
+    if (unknown.length > 0) {
+      add(entry, `Unknown character ${unknown.join(' and ')}`);
+      continue;
+    }
+
+    const current = (bible.relationships || []).filter(r =>
+      resolveCharacter(characters, r.from) === fromId && resolveCharacter(characters, r.to) === toId);
+    if (current.some(r => normalize(r.type) === normalize(rel.type))) {
+      plan.skipped++;
+    } else if (current.length > 0 && rel.type) {
+      add(entry, `${fromId} -> ${toId} is already ${current.map(r => r.type).join(', ')}`);
+    } else {
+      add(entry);
+    }
+  }
+
+  for (const progress of updates.plotThreadProgress || []) {
+    const thread = threads.find(t => normalize(t.id) === normalize(progress.id));
+
+    if (progress.isNew) {
+      const entry = { kind: 'plotThread', threadId: progress.id, title: progress.title || progress.id };
+      if (!thread) {
+        add(entry);
+      } else if (normalize(thread.title) === normalize(entry.title)) {
+        plan.skipped++;
+      } else {
+        add(entry, `${thread.id} already exists as "${thread.title}"`);
+      }
+      continue;
+    }
+
+    const entry = progress.resolved
+      ? { kind: 'resolution', threadId: progress.id, note: progress.progress }
+      : { kind: 'foreshadowing', threadId: progress.id, hint: progress.progress };
+    if (!thread) {
+      add(entry, `Unknown plot thread ${progress.id}`);
+    } else if (progress.resolved ? thread.resolved === chapter : (thread.foreshadowing || []).some(f => f.chapter === chapter && f.hint === entry.hint)) {
+      plan.skipped++;
+    } else if (thread.resolved) {
+      add(entry, `${thread.id} was resolved in chapter ${thread.resolved}`);
+    } else {
+      add(entry);
+    }
+  }
+
+  for (const event of updates.timelineEvents || []) {
+    if ((bible.timeline || []).some(e => e.chapter === chapter && e.event === event)) {
+      plan.skipped++;
+      continue;
+    }
+    add({ kind: 'timeline', event, characters: charactersIn(characters, event) });
+  }
+
+  for (const payoff of updates.chekhovPayoffs || []) {
+    const chekhov = findChekhov(bible.chekhovs, payoff.item);
+    const entry = {
+      kind: 'payoff',
+      chekhovId: chekhov ? chekhov.id || null : null,
+      item: chekhov ? chekhov.item : payoff.item,
+      note: payoff.note || ''
+    };
+
+    if (!chekhov) {
+      add(entry, `Unknown Chekhov's gun "${payoff.item}"`);
+    } else if (chekhov.payoff === chapter) {
+      plan.skipped++;
+    } else if (chekhov.payoff) {
+      add(entry, `"${chekhov.item}" already paid off in chapter ${chekhov.payoff}`);
+    } else if (chekhov.introduced && chekhov.introduced > chapter) {
+      add(entry, `"${chekhov.item}" is only introduced in chapter ${chekhov.introduced}`);
+    } else {
+      add(entry);
+    }
+  }
+
+  for (const created of updates.newChekhovs || []) {
+    const existing = (bible.chekhovs || []).find(c => normalize(c.item) === normalize(created.item));
+    const entry = { kind: 'chekhov', item: created.item, notes: created.notes || '', payoffWindow: created.payoffWindow || null };
+
+    if (!existing) {
+      add(entry);
+    } else if (existing.introduced === chapter) {
+      plan.skipped++;
+    } else {
+      add(entry, `"${existing.item}" was already introduced in chapter ${existing.introduced ?? '?'}`);
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Merge a character update into the character it resolved to (or a new one)
+ */
+function mergeCharacter(existing, entry, id) {
+  const { changes } = entry;
+  const base = existing || { id, name: entry.name || entry.ref, aliases: [], description: '', traits: [], firstAppearance: entry.chapter, status: 'alive' };
+  const name = base.name;
+
+  return {
+    ...base,
+    id,
+    status: changes.status || base.status,
+    description: changes.description || base.description,
+    traits: [...new Set([...(base.traits || []), ...changes.traits])],
+    aliases: [...new Set([...(base.aliases || []), ...changes.aliases])].filter(alias => alias !== name),
+    changes: [...(base.changes || []), { chapter: entry.chapter, change: entry.change }]
+  };
+}
+
+// ============================================================
+// EXTRACTOR
+// ============================================================
+
+class BibleExtractor {
+  /**
+   * @param {Object} novelManager - NovelManager instance
+   * @param {Object} options
+   * @param {Object} options.bibleRetriever - Re-indexed after changes (default: novelManager.bibleRetriever)
+   */
+  constructor(novelManager, options = {}) {
+    if (!novelManager) {
+      throw new Error('BibleExtractor requires a NovelManager instance');
+    }
+    this.novelManager = novelManager;
+    this.bibleRetriever = options.bibleRetriever || null;
+  }
+
+  /**
+   * Apply a chapter's BIBLE UPDATES, staging the ones that need review
+   *
+   * @param {string} novelId - Novel ID
+   * @param {number} chapterNum - Chapter number
+   * @param {Object} options
+   * @param {Object} options.chapter - The chapter, if already loaded
+   * @param {Object} options.updates - Parsed BIBLE UPDATES (default: from the chapter)
+   * @returns {Promise<Object>} { chapterNum, applied: [entry], staged: [entry], skipped }
+   */
+  async extract(novelId, chapterNum, options = {}) {
+    const chapter = options.chapter || await this.novelManager.getChapter(novelId, chapterNum);
+    if (!chapter) {
+      throw new Error(`Chapter ${chapterNum} not found`);
+    }
+
+    const updates = options.updates || chapter.bibleUpdates
+      || (chapter.raw ? parseFrodoOutput(chapter.raw).data.bibleUpdates : null);
+    if (!updates) {
+      return { chapterNum, applied: [], staged: [], skipped: 0 };
+    }
+
+    const bible = await this.novelManager.getStoryBible(novelId);
+    const plan = planBibleUpdates(bible, chapterNum, updates);
+
+    // Frodo wrote them; whoever approved the chapter only let them through
+    await this._apply(novelId, plan.apply, this.novelManager.withActor('frodo'));
+    const staged = plan.stage.length > 0
+      ? await this.novelManager.withActor('frodo').stageBibleUpdates(novelId, plan.stage)
+      : [];
+
+    console.log(`[BibleExtractor] Chapter ${chapterNum} of ${novelId}: ${plan.apply.length} applied, ${staged.length} staged, ${plan.skipped} already known`);
+    return { chapterNum, applied: plan.apply, staged, skipped: plan.skipped };
+  }
+
+  /**
+   * Bible updates waiting for review
+   *
+   * @param {string} novelId - Novel ID
+   * @returns {Promise<Array>} Staged entries
+   */
+  async getPending(novelId) {
+    return this.novelManager.getPendingBibleUpdates(novelId);
+  }
+
+  /**
+   * Approve or reject staged updates. Approved updates are applied as
+   * Frodo wrote them: an unknown character or thread is created, a
+   * contradicting relationship is added alongside the old one.
+   *
+   * @param {string} novelId - Novel ID
+   * @param {Array<string>|null} ids - Staged entry IDs, or null for all
+   * @param {boolean} approved - Apply (true) or drop (false)
+   * @param {Object} options
+   * @param {string|Object} options.actor - Who decided (default: the manager's actor)
+   * @returns {Promise<Array>} The reviewed entries
+   */
+  async review(novelId, ids, approved, options = {}) {
+    const novels = options.actor ? this.novelManager.withActor(options.actor) : this.novelManager;
+    const entries = await novels.reviewBibleUpdates(novelId, ids, approved);
+    if (approved) {
+      await this._apply(novelId, entries, novels);
+    }
+    return entries;
+  }
+
+  /**
+   * Write entries into the novel's own bible, then re-index
+   * @private
+   */
+  async _apply(novelId, entries, novels) {
+    if (entries.length === 0) return;
+
+    const [bible, own] = await Promise.all([
+      novels.getStoryBible(novelId),
+      novels.getStoryBible(novelId, { includeCanon: false })
+    ]);
+    const updates = { characters: {}, relationships: [], plotThreads: [], timeline: [], chekhovs: [] };
+    const foreshadowing = [];
+    const resolutions = [];
+    const payoffs = [];
+
+    for (const entry of entries) {
+      switch (entry.kind) {
+        case 'character': {
+          const id = entry.characterId && bible.characters[entry.characterId]
+            ? entry.characterId
+            : resolveCharacter(updates.characters, entry.ref) || entry.characterId || nextCharacterId(bible.characters, updates.characters);
+          updates.characters[id] = mergeCharacter(updates.characters[id] || bible.characters[id], entry, id);
+          break;
+        }
+
+        case 'relationship':
+          updates.relationships.push({
+            from: entry.fromId || entry.from,
+            to: entry.toId || entry.to,
+            type: entry.type,
+            notes: entry.notes,
+            chapter: entry.chapter
+          });
+          break;
+
+        case 'plotThread': {
+          const existing = bible.plotThreads.find(t => t.id === entry.threadId);
+          updates.plotThreads.push(existing
+            ? { ...existing, title: entry.title }
+            : { id: entry.threadId, title: entry.title, introduced: entry.chapter, foreshadowing: [], resolved: null });
+          break;
+        }
+
+        case 'foreshadowing': {
+          const hint = { chapter: entry.chapter, hint: entry.hint };
+          const pending = updates.plotThreads.find(t => t.id === entry.threadId);
+          const inherited = bible.plotThreads.find(t => t.id === entry.threadId);
+          if (pending) {
+            pending.foreshadowing = [...(pending.foreshadowing || []), hint];
+          } else if (own.plotThreads.some(t => t.id === entry.threadId)) {
+            foreshadowing.push({ threadId: entry.threadId, hint });
+          } else {
+            // A series canon thread, or one the reviewer approved into existence
+            updates.plotThreads.push(inherited
+              ? { ...inherited, foreshadowing: [...(inherited.foreshadowing || []), hint] }
+              : { id: entry.threadId, title: entry.threadId, introduced: entry.chapter, foreshadowing: [hint], resolved: null });
+          }
+          break;
+        }
+
+        case 'resolution': {
+          const pending = updates.plotThreads.find(t => t.id === entry.threadId);
+          const inherited = bible.plotThreads.find(t => t.id === entry.threadId);
+          if (pending) {
+            pending.resolved = entry.chapter;
+          } else if (own.plotThreads.some(t => t.id === entry.threadId)) {
+            resolutions.push(entry);
+          } else {
+            updates.plotThreads.push(inherited
+              ? { ...inherited, resolved: entry.chapter }
+              : { id: entry.threadId, title: entry.threadId, introduced: null, foreshadowing: [], resolved: entry.chapter });
+          }
+          break;
+        }
+
+        case 'timeline':
+          updates.timeline.push({ chapter: entry.chapter, event: entry.event, characters: entry.characters });
+          break;
+
+        case 'payoff': {
+          const inherited = findChekhov(bible.chekhovs, entry.chekhovId || entry.item);
+          if (own.chekhovs.some(c => (entry.chekhovId && c.id === entry.chekhovId) || c.item === entry.item)) {
+            payoffs.push(entry);
+          } else {
+            updates.chekhovs.push(inherited
+              ? { ...inherited, payoff: entry.chapter }
+              : { item: entry.item, introduced: null, notes: entry.note, payoff: entry.chapter });
+          }
+          break;
+        }
+
+        case 'chekhov':
+          updates.chekhovs.push({ item: entry.item, introduced: entry.chapter, notes: entry.notes, payoffWindow: entry.payoffWindow || null, payoff: null });
+          break;
+
+        default:
+          throw new Error(`Unknown bible update kind: ${entry.kind}`);
+      }
+    }
+
+    const changed = Object.fromEntries(Object.entries(updates)
+      .filter(([, value]) => (Array.isArray(value) ? value.length : Object.keys(value).length) > 0));
+    if (Object.keys(changed).length > 0) {
+      await novels.updateStoryBible(novelId, changed);
+    }
+    for (const { threadId, hint } of foreshadowing) {
+      await novels.addForeshadowing(novelId, threadId, hint);
+    }
+    for (const resolution of resolutions) {
+      await novels.resolvePlotThread(novelId, resolution.threadId, resolution.chapter);
+    }
+    for (const payoff of payoffs) {
+      await novels.resolveChekhov(novelId, payoff.chekhovId || payoff.item, payoff.chapter);
+    }
+
+    await this._reindex(novelId, changed);
+  }
+
+  /**
+   * Re-index the changed bible entries (failures are non-fatal)
+   * @private
+   */
+  async _reindex(novelId, updates) {
+    const retriever = this.bibleRetriever || this.novelManager.bibleRetriever;
+    if (!retriever) return;
+    try {
+      await retriever.indexUpdates(novelId, updates);
+    } catch (err) {
+      console.error('[BibleExtractor] Failed to re-index story bible:', err);
+    }
+  }
+}
+
+module.exports = {
+  BibleExtractor,
+  planBibleUpdates,
+  parseCharacterChange,
+  resolveCharacter,
+  findChekhov,
+  isDeadStatus,
+  DEAD_STATUSES
+};
@@ -2,56 +2,92 @@
  * ILUVATAR - Bible Retriever
  *
  * Hybrid retrieval system for the Story Bible:
- * 1. Embed query using OpenAI text-embedding-3-small
- * 2. Find relevant entries by cosine similarity
- * 3. Fetch full entries from Redis
+ * 1. Embed query with the configured embedder (embedders.js)
+ * 2. Rank entries by cosine similarity in the vector store (vector-stores.js)
+ * 3. Fuse with BM25 and exact name/alias mentions (hybrid-search.js) -
+ *    anything the chapter outline names is always included
+ * 4. Fetch full entries from the story bible
  *
  * This keeps context windows manageable by only including
  * the most relevant parts of the bible in agent prompts.
+ *
+ * Chapter RAG: approved chapters are also indexed as scene-level passages
+ * (scene-chunker.js), so Frodo can be shown the earlier scene, line of
+ * dialogue or description a new chapter has to stay consistent with.
+ * Passages are merged into the prompt under a token budget.
+ *
+ * Index entries are keyed per bible entry (or passage) and carry a hash of
+ * the text that was embedded, so each retrieval re-embeds only entries that
+ * changed since the last one. Indexes are namespaced by embedder, so
+ * switching embedders never compares vectors from different models.
  */
 
-const OpenAI = require('openai');
+const crypto = require('crypto');
+const { getEmbedder } = require('./embedders');
+const { MemoryVectorStore, dot } = require('./vector-stores');
+const { chunkChapter, formatReference } = require('./scene-chunker');
+const { hybridRank } = require('./hybrid-search');
+const { findChapter } = require('./outline-model');
+const { estimateTokens, truncateToTokens } = require('./tokens');
+const { formatWindow } = require('./payoff-tracker');
+
+// Default token budget for earlier-chapter passages in a prompt
+const DEFAULT_PASSAGE_TOKEN_BUDGET = 1500;
 
 class BibleRetriever {
   /**
    * @param {Object} novelManager - NovelManager instance
    * @param {Object} options - Configuration
+   * @param {Object} options.embedder - Embedder (default: getEmbedder() - OpenAI with a key, offline hashing without)
+   * @param {Object} options.vectorStore - Vector store (default: in-memory)
    * @param {number} options.topK - Max entries to return per category
-   * @param {number} options.similarityThreshold - Minimum cosine similarity (0-1)
+   * @param {number} options.similarityThreshold - Minimum cosine similarity (default: the embedder's)
+   * @param {boolean} options.passages - Include earlier-chapter passages in getRelevantBible (default: true)
+   * @param {number} options.passageK - Passages to retrieve per chapter (default: 5)
+   * @param {number} options.passageTokenBudget - Max passage tokens in formatForPrompt (default: 1500)
+   * @param {Object} options.chunkOptions - Scene chunker options { maxTokens, minTokens }
    */
   constructor(novelManager, options = {}) {
     this.novelManager = novelManager;
-    this.openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    this.model = 'text-embedding-3-small';  // 1536 dimensions, $0.00002/1K tokens
-    this.dimensions = 512;  // Reduce dimensions to save storage (still good quality)
+    this.embedder = options.embedder || getEmbedder();
+    this.vectorStore = options.vectorStore || new MemoryVectorStore();
     this.topK = options.topK || 15;
-    this.similarityThreshold = options.similarityThreshold || 0.6;
+    this.similarityThreshold = options.similarityThreshold ?? this.embedder.similarityThreshold;
+    this.includePassages = options.passages ?? true;
+    this.passageK = options.passageK || 5;
+    this.passageTokenBudget = options.passageTokenBudget || DEFAULT_PASSAGE_TOKEN_BUDGET;
+    this.chunkOptions = options.chunkOptions || {};
   }
 
   /**
-   * Get embedding for text using OpenAI API
+   * Get embedding for text
    * @param {string} text - Text to embed
    * @returns {Promise<number[]>} Embedding vector
    */
   async embed(text) {
-    const response = await this.openai.embeddings.create({
-      model: this.model,
-      input: text.replace(/\n/g, ' ').substring(0, 8000),  // Replace newlines, limit length
-      dimensions: this.dimensions  // Shorten embedding to save space
-    });
-    return response.data[0].embedding;
+    return this.embedder.embed(text);
   }
 
   /**
    * Compute cosine similarity between two vectors
-   * Since OpenAI embeddings are normalized, dot product = cosine similarity
+   * Embeddings are normalized, so dot product = cosine similarity
    */
   cosineSimilarity(a, b) {
-    let dot = 0;
-    for (let i = 0; i < a.length; i++) {
-      dot += a[i] * b[i];
-    }
-    return dot;
+    return dot(a, b);
+  }
+
+  /**
+   * Vector store namespace for a novel's bible index
+   */
+  getNamespace(novelId) {
+    return `${this.novelManager.getScope(novelId)}:bible:${this.embedder.id}`;
+  }
+
+  /**
+   * Vector store namespace for a novel's chapter passages
+   */
+  getPassageNamespace(novelId) {
+    return `${this.novelManager.getScope(novelId)}:chapters:${this.embedder.id}`;
   }
 
   /**
@@ -73,238 +109,396 @@ class BibleRetriever {
   }
 
   /**
-   * Index entire bible for a novel
-   * Call this after major bible updates or on first retrieval
+   * Every indexable bible entry with the text to embed
+   *
+   * @param {Object} bible - Story bible
+   * @returns {Array<Object>} [{ id, type, key, label, names, text }] - names are matched verbatim against outlines
    */
-  async indexBible(novelId) {
-    const bible = await this.novelManager.getStoryBible(novelId);
-    const index = { characters: {}, plotThreads: {}, chekhovs: [], worldFacts: [] };
-
-    console.log(`[BibleRetriever] Indexing bible for ${novelId}...`);
-
-    // Index characters
+  bibleEntries(bible) {
+    const entries = [];
     for (const [id, char] of Object.entries(bible.characters || {})) {
-      const text = this.entryToText('character', char);
-      const embedding = await this.embed(text);
-      index.characters[id] = { text, embedding };
+      entries.push({
+        id: `character:${id}`, type: 'character', key: id, label: char.name || id,
+        names: [char.name, ...(char.aliases || [])].filter(Boolean),
+        text: this.entryToText('character', char)
+      });
     }
-
-    // Index plot threads
     for (const thread of bible.plotThreads || []) {
-      const text = this.entryToText('plotThread', thread);
-      const embedding = await this.embed(text);
-      index.plotThreads[thread.id] = { text, embedding };
+      entries.push({
+        id: `plotThread:${thread.id}`, type: 'plotThread', key: thread.id, label: thread.title || thread.id,
+        names: [thread.title].filter(Boolean),
+        text: this.entryToText('plotThread', thread)
+      });
     }
+    (bible.chekhovs || []).forEach((chekhov, i) => {
+      entries.push({
+        id: `chekhov:${i}`, type: 'chekhov', key: i, label: chekhov.item,
+        names: [chekhov.item].filter(Boolean),
+        text: this.entryToText('chekhov', chekhov)
+      });
+    });
+    (bible.worldFacts || []).forEach((fact, i) => {
+      entries.push({
+        id: `worldFact:${i}`, type: 'worldFact', key: i, label: fact.fact,
+        names: [],
+        text: this.entryToText('worldFact', fact)
+      });
+    });
+    return entries;
+  }
 
-    // Index chekhovs
-    for (let i = 0; i < (bible.chekhovs || []).length; i++) {
-      const text = this.entryToText('chekhov', bible.chekhovs[i]);
-      const embedding = await this.embed(text);
-      index.chekhovs.push({ index: i, text, embedding });
-    }
+  /**
+   * Index entire bible for a novel (drops the existing index first)
+   */
+  async indexBible(novelId) {
+    await this.clearIndex(novelId);
+    console.log(`[BibleRetriever] Indexing bible for ${novelId}...`);
+    return this.syncIndex(novelId);
+  }
 
-    // Index world facts
-    for (let i = 0; i < (bible.worldFacts || []).length; i++) {
-      const text = this.entryToText('worldFact', bible.worldFacts[i]);
-      const embedding = await this.embed(text);
-      index.worldFacts.push({ index: i, text, embedding });
+  /**
+   * Bring a novel's index in line with its bible
+   * Embeds new and changed entries, drops removed ones.
+   *
+   * @param {string} novelId - Novel ID
+   * @param {Object} bible - Story bible (fetched if omitted)
+   * @returns {Promise<Object>} { added, updated, removed, total }
+   */
+  async syncIndex(novelId, bible = null) {
+    bible = bible || await this.novelManager.getStoryBible(novelId);
+    const namespace = this.getNamespace(novelId);
+
+    const indexed = new Map((await this.vectorStore.list(namespace)).map(e => [e.id, e.payload]));
+    const entries = this.bibleEntries(bible);
+    const stats = { added: 0, updated: 0, removed: 0, total: entries.length };
+
+    const upserts = [];
+    for (const entry of entries) {
+      const hash = crypto.createHash('sha1').update(entry.text).digest('hex');
+      const existing = indexed.get(entry.id);
+      indexed.delete(entry.id);
+      if (existing?.hash === hash) continue;
+
+      upserts.push({
+        id: entry.id,
+        vector: await this.embed(entry.text),
+        payload: { type: entry.type, key: entry.key, hash }
+      });
+      stats[existing ? 'updated' : 'added']++;
     }
 
-    // Save index to Redis
-    const scope = this.novelManager.getScope(novelId);
-    await this.novelManager.state.set(scope, 'bibleIndex', index);
+    // Whatever is left was removed from the bible
+    const stale = Array.from(indexed.keys());
+    stats.removed = stale.length;
+
+    await this.vectorStore.upsert(namespace, upserts);
+    await this.vectorStore.remove(namespace, stale);
 
-    console.log(`[BibleRetriever] Indexed bible for ${novelId}: ${Object.keys(index.characters).length} characters, ${Object.keys(index.plotThreads).length} threads, ${index.chekhovs.length} chekhovs, ${index.worldFacts.length} facts`);
-    return index;
+    if (upserts.length > 0 || stale.length > 0) {
+      console.log(`[BibleRetriever] Indexed bible for ${novelId}: ${stats.added} added, ${stats.updated} updated, ${stats.removed} removed (${stats.total} entries, ${this.embedder.id})`);
+    }
+    return stats;
+  }
+
+  /**
+   * Drop a novel's bible and passage indexes
+   * Also removes the single-blob bibleIndex written by older versions.
+   */
+  async clearIndex(novelId) {
+    await this.vectorStore.clear(this.getNamespace(novelId));
+    await this.vectorStore.clear(this.getPassageNamespace(novelId));
+    await this.novelManager.state.delete(this.novelManager.getScope(novelId), 'bibleIndex');
   }
 
   /**
    * Get relevant bible entries for a chapter
-   * Main method: hybrid retrieval (vector search -> fetch full from Redis)
+   * Main method: hybrid retrieval (mentions + BM25 + vector -> fetch full entries)
    *
    * @param {string} novelId - Novel ID
    * @param {number} chapterNum - Chapter number (0 = outline/planning)
    * @returns {Promise<Object>} Filtered story bible with only relevant entries
    */
   async getRelevantBible(novelId, chapterNum) {
-    const scope = this.novelManager.getScope(novelId);
-
-    // Get the chapter outline to use as query
-    const state = await this.novelManager.getNovelState(novelId);
-    if (!state) throw new Error(`Novel not found: ${novelId}`);
-
-    // Build query from chapter outline or premise
-    let queryText;
-    if (chapterNum === 0) {
-      // For outline/planning, use premise
-      queryText = state.metadata.premise || state.metadata.title;
-    } else {
-      // Get chapter outline from the outline data
-      const outline = state.outline;
-      const chapterOutline = outline?.chapters?.[chapterNum - 1];
-      queryText = chapterOutline?.summary || chapterOutline?.title || `Chapter ${chapterNum}`;
-
-      // Also include previous chapter's summary for continuity context
-      if (chapterNum > 1 && outline?.chapters?.[chapterNum - 2]) {
-        queryText = `Previous: ${outline.chapters[chapterNum - 2].summary || ''}. Current: ${queryText}`;
-      }
-    }
+    const { state, bible, ranked, queryEmbedding } = await this._retrieve(novelId, chapterNum);
 
-    // Get query embedding
-    const queryEmbedding = await this.embed(queryText);
-
-    // Get index from Redis
-    let index = await this.novelManager.state.get(scope, 'bibleIndex');
-    if (!index) {
-      // Index doesn't exist yet, create it
-      index = await this.indexBible(novelId);
-    }
-
-    // Find relevant entries by cosine similarity
-    const relevantIds = {
-      characters: [],
-      plotThreads: [],
-      chekhovs: [],
-      worldFacts: []
-    };
-
-    // Search characters
-    for (const [id, entry] of Object.entries(index.characters || {})) {
-      const sim = this.cosineSimilarity(queryEmbedding, entry.embedding);
-      if (sim >= this.similarityThreshold) {
-        relevantIds.characters.push({ id, score: sim });
-      }
-    }
-
-    // Search plot threads
-    for (const [id, entry] of Object.entries(index.plotThreads || {})) {
-      const sim = this.cosineSimilarity(queryEmbedding, entry.embedding);
-      if (sim >= this.similarityThreshold) {
-        relevantIds.plotThreads.push({ id, score: sim });
-      }
-    }
-
-    // Search chekhovs
-    for (const entry of index.chekhovs || []) {
-      const sim = this.cosineSimilarity(queryEmbedding, entry.embedding);
-      if (sim >= this.similarityThreshold) {
-        relevantIds.chekhovs.push({ index: entry.index, score: sim });
-      }
-    }
-
-    // Search world facts
-    for (const entry of index.worldFacts || []) {
-      const sim = this.cosineSimilarity(queryEmbedding, entry.embedding);
-      if (sim >= this.similarityThreshold) {
-        relevantIds.worldFacts.push({ index: entry.index, score: sim });
-      }
-    }
-
-    // Sort by score and take top K
-    relevantIds.characters.sort((a, b) => b.score - a.score).splice(this.topK);
-    relevantIds.plotThreads.sort((a, b) => b.score - a.score).splice(this.topK);
-    relevantIds.chekhovs.sort((a, b) => b.score - a.score).splice(this.topK);
-    relevantIds.worldFacts.sort((a, b) => b.score - a.score).splice(this.topK);
-
-    // Fetch full entries from Redis
-    const bible = await this.novelManager.getStoryBible(novelId);
+    const included = type => ranked.filter(e => e.included && e.type === type).map(e => e.key);
+    const characterIds = included('character');
+    const threadIds = included('plotThread');
 
+    // Fetch full entries from the bible
     const result = {
       characters: Object.fromEntries(
-        relevantIds.characters.map(r => [r.id, bible.characters[r.id]])
+        characterIds.map(id => [id, bible.characters[id]])
       ),
       // Include relationships for relevant characters
       relationships: bible.relationships.filter(r =>
-        relevantIds.characters.some(c => c.id === r.from || c.id === r.to)
+        characterIds.includes(r.from) || characterIds.includes(r.to)
       ),
       // Only unresolved plot threads
       plotThreads: bible.plotThreads.filter(t =>
-        relevantIds.plotThreads.some(r => r.id === t.id) && !t.resolved
+        threadIds.includes(t.id) && !t.resolved
       ),
       // Only unpaid Chekhov's guns
-      chekhovs: relevantIds.chekhovs
-        .map(r => bible.chekhovs[r.index])
+      chekhovs: included('chekhov')
+        .map(i => bible.chekhovs[i])
         .filter(c => c && !c.payoff),
-      worldFacts: relevantIds.worldFacts.map(r => bible.worldFacts[r.index]).filter(Boolean),
+      worldFacts: included('worldFact').map(i => bible.worldFacts[i]).filter(Boolean),
       // Always include recent timeline (last 5 events)
       timeline: bible.timeline.slice(-5)
     };
 
-    console.log(`[BibleRetriever] Retrieved for ${novelId} ch${chapterNum}: ${Object.keys(result.characters).length} chars, ${result.plotThreads.length} threads, ${result.chekhovs.length} chekhovs, ${result.worldFacts.length} facts`);
+    // Earlier scenes relevant to this chapter
+    if (this.includePassages && chapterNum > 1) {
+      result.passages = await this._searchPassages(state, chapterNum, queryEmbedding, this.passageK);
+    }
+
+    console.log(`[BibleRetriever] Retrieved for ${novelId} ch${chapterNum}: ${Object.keys(result.characters).length} chars, ${result.plotThreads.length} threads, ${result.chekhovs.length} chekhovs, ${result.worldFacts.length} facts, ${result.passages?.length || 0} passages`);
 
     return result;
   }
 
   /**
-   * Index only updated entries (called after updateStoryBible)
-   * More efficient than full reindex for incremental updates
+   * Explain what retrieval would send for a chapter, and why
    *
    * @param {string} novelId - Novel ID
-   * @param {Object} updates - The updates that were made
+   * @param {number} chapterNum - Chapter number
+   * @returns {Promise<Object>} { chapterNum, query, mentionText, embedder, threshold, topK, entries, passages }
+   *   entries: every bible entry, best first, with { label, type, score, included, explanation }
    */
-  async indexUpdates(novelId, updates) {
-    const scope = this.novelManager.getScope(novelId);
-    let index = await this.novelManager.state.get(scope, 'bibleIndex') ||
-      { characters: {}, plotThreads: {}, chekhovs: [], worldFacts: [] };
-
-    console.log(`[BibleRetriever] Indexing updates for ${novelId}...`);
-
-    // Re-index updated characters
-    if (updates.characters) {
-      const bible = await this.novelManager.getStoryBible(novelId);
-      for (const id of Object.keys(updates.characters)) {
-        const char = bible.characters[id];
-        if (char) {
-          const text = this.entryToText('character', char);
-          const embedding = await this.embed(text);
-          index.characters[id] = { text, embedding };
+  async explainRetrieval(novelId, chapterNum) {
+    const { state, ranked, queryText, mentionText, queryEmbedding } = await this._retrieve(novelId, chapterNum);
+    const passages = chapterNum > 1
+      ? await this._searchPassages(state, chapterNum, queryEmbedding, this.passageK)
+      : [];
+
+    return {
+      chapterNum,
+      query: queryText,
+      mentionText,
+      embedder: this.embedder.id,
+      threshold: this.similarityThreshold,
+      topK: this.topK,
+      entries: ranked,
+      passages
+    };
+  }
+
+  /**
+   * Shared retrieval: sync the index, embed the query, rank every entry
+   * @private
+   */
+  async _retrieve(novelId, chapterNum) {
+    // Get the chapter outline to use as query (chapters are only read for passages)
+    const state = await this.novelManager.getNovelState(novelId, { include: ['outline'] });
+    if (!state) throw new Error(`Novel not found: ${novelId}`);
+
+    const queryText = this._buildQuery(state, chapterNum);
+    const mentionText = this._mentionText(state, chapterNum);
+
+    // Bring the index up to date (only changed entries are re-embedded)
+    const bible = await this.novelManager.getStoryBible(novelId);
+    await this.syncIndex(novelId, bible);
+
+    // Get query embedding
+    const queryEmbedding = await this.embed(queryText);
+
+    // Vector ranking: everything above the similarity threshold
+    const vectorResults = await this.vectorStore.query(this.getNamespace(novelId), queryEmbedding, {
+      threshold: this.similarityThreshold
+    });
+
+    const ranked = hybridRank({
+      entries: this.bibleEntries(bible),
+      query: queryText,
+      mentionText,
+      vectorResults: vectorResults.map(r => ({ id: r.id, score: r.score })),
+      topK: this.topK
+    });
+
+    return { state, bible, ranked, queryText, mentionText, queryEmbedding };
+  }
+
+  /**
+   * Get passages from earlier approved chapters relevant to a chapter
+   *
+   * @param {string} novelId - Novel ID
+   * @param {number} chapterNum - Chapter about to be written
+   * @param {number} k - Max passages (default: passageK)
+   * @returns {Promise<Array>} [{ chapterNum, paragraphStart, paragraphEnd, reference, text, score }] best first
+   */
+  async getRelevantPassages(novelId, chapterNum, k = this.passageK) {
+    const state = await this.novelManager.getNovelState(novelId, { include: ['outline'] });
+    if (!state) throw new Error(`Novel not found: ${novelId}`);
+
+    const queryEmbedding = await this.embed(this._buildQuery(state, chapterNum));
+    return this._searchPassages(state, chapterNum, queryEmbedding, k);
+  }
+
+  /**
+   * Bring a novel's passage index in line with its approved chapters
+   * Chapters whose text changed are re-chunked; unapproved chapters are dropped.
+   *
+   * @param {string} novelId - Novel ID
+   * @param {Object} chapters - Chapters from getNovelState (fetched if omitted)
+   * @returns {Promise<Object>} { indexed, removed, passages }
+   */
+  async syncPassageIndex(novelId, chapters = null) {
+    chapters = chapters || (await this.novelManager.getNovelState(novelId, { include: ['chapters'] }))?.chapters || {};
+    const namespace = this.getPassageNamespace(novelId);
+
+    // chapterNum -> { hash, ids }
+    const indexed = new Map();
+    for (const { id, payload } of await this.vectorStore.list(namespace)) {
+      const entry = indexed.get(payload.chapterNum) || { hash: payload.chapterHash, ids: [] };
+      entry.ids.push(id);
+      indexed.set(payload.chapterNum, entry);
+    }
+
+    const stats = { indexed: 0, removed: 0, passages: 0 };
+    const stale = [];
+    const upserts = [];
+
+    for (const [num, chapter] of Object.entries(chapters)) {
+      const chapterNum = Number(num);
+      const existing = indexed.get(chapterNum);
+      indexed.delete(chapterNum);
+
+      if (!chapter.approved || !chapter.content) {
+        if (existing) {
+          stale.push(...existing.ids);
+          stats.removed++;
         }
+        continue;
       }
-    }
 
-    // For arrays (plotThreads, chekhovs, worldFacts), re-index the whole category
-    // since additions are appended
-    if (updates.plotThreads) {
-      const bible = await this.novelManager.getStoryBible(novelId);
-      index.plotThreads = {};
-      for (const thread of bible.plotThreads) {
-        const text = this.entryToText('plotThread', thread);
-        const embedding = await this.embed(text);
-        index.plotThreads[thread.id] = { text, embedding };
+      const chapterHash = crypto.createHash('sha1').update(chapter.content).digest('hex');
+      if (existing?.hash === chapterHash) continue;
+      if (existing) stale.push(...existing.ids);
+
+      for (const chunk of chunkChapter(chapterNum, chapter, this.chunkOptions)) {
+        upserts.push({
+          id: `ch${chapterNum}:${chunk.index}`,
+          vector: await this.embed(chunk.text),
+          payload: {
+            type: 'passage',
+            chapterNum,
+            index: chunk.index,
+            paragraphStart: chunk.paragraphStart,
+            paragraphEnd: chunk.paragraphEnd,
+            text: chunk.text,
+            chapterHash
+          }
+        });
+        stats.passages++;
       }
+      stats.indexed++;
     }
 
-    if (updates.chekhovs) {
-      const bible = await this.novelManager.getStoryBible(novelId);
-      index.chekhovs = [];
-      for (let i = 0; i < bible.chekhovs.length; i++) {
-        const text = this.entryToText('chekhov', bible.chekhovs[i]);
-        const embedding = await this.embed(text);
-        index.chekhovs.push({ index: i, text, embedding });
-      }
+    // Chapters that no longer exist
+    for (const entry of indexed.values()) {
+      stale.push(...entry.ids);
+      stats.removed++;
     }
 
-    if (updates.worldFacts) {
-      const bible = await this.novelManager.getStoryBible(novelId);
-      index.worldFacts = [];
-      for (let i = 0; i < bible.worldFacts.length; i++) {
-        const text = this.entryToText('worldFact', bible.worldFacts[i]);
-        const embedding = await this.embed(text);
-        index.worldFacts.push({ index: i, text, embedding });
-      }
+    // Old chunk ids may be reused by the new chunks, so remove first
+    await this.vectorStore.remove(namespace, stale);
+    await this.vectorStore.upsert(namespace, upserts);
+
+    if (stats.indexed > 0 || stats.removed > 0) {
+      console.log(`[BibleRetriever] Indexed chapters for ${novelId}: ${stats.indexed} chapters (${stats.passages} passages), ${stats.removed} removed`);
     }
+    return stats;
+  }
 
-    await this.novelManager.state.set(scope, 'bibleIndex', index);
-    console.log(`[BibleRetriever] Updated index for ${novelId}`);
+  /**
+   * Query text for a chapter: its outline summary plus the previous one
+   * @private
+   */
+  _buildQuery(state, chapterNum) {
+    if (chapterNum === 0) {
+      // For outline/planning, use premise
+      return state.metadata.premise || state.metadata.title;
+    }
+
+    // Get chapter outline from the outline data
+    const chapterOutline = findChapter(state.outline, chapterNum);
+    let queryText = chapterOutline?.summary || chapterOutline?.title || `Chapter ${chapterNum}`;
+    if (chapterOutline?.beats?.length) {
+      queryText = `${queryText} ${chapterOutline.beats.join('. ')}`;
+    }
+
+    // Also include previous chapter's summary for continuity context
+    const previous = chapterNum > 1 ? findChapter(state.outline, chapterNum - 1) : null;
+    if (previous) {
+      queryText = `Previous: ${previous.summary || ''}. Current: ${queryText}`;
+    }
+    return queryText;
+  }
+
+  /**
+   * Text searched for explicit mentions: this chapter's outline entry,
+   * including its POV character and bible references (the premise when
+   * planning)
+   * @private
+   */
+  _mentionText(state, chapterNum) {
+    if (chapterNum === 0) {
+      return state.metadata.premise || '';
+    }
+    const chapterOutline = findChapter(state.outline, chapterNum);
+    return [
+      chapterOutline?.title,
+      chapterOutline?.summary,
+      chapterOutline?.pov,
+      ...(chapterOutline?.beats || []),
+      ...(chapterOutline?.bibleRefs || [])
+    ].filter(Boolean).join('\n');
+  }
+
+  /**
+   * Search passages from chapters before chapterNum
+   * @private
+   */
+  async _searchPassages(state, chapterNum, queryEmbedding, k) {
+    await this.syncPassageIndex(state.metadata.id, state.chapters);
+
+    const matches = await this.vectorStore.query(this.getPassageNamespace(state.metadata.id), queryEmbedding, {
+      topK: k,
+      threshold: this.similarityThreshold,
+      filter: payload => payload.chapterNum < chapterNum
+    });
+
+    return matches.map(({ score, payload }) => ({
+      chapterNum: payload.chapterNum,
+      paragraphStart: payload.paragraphStart,
+      paragraphEnd: payload.paragraphEnd,
+      reference: formatReference(payload),
+      text: payload.text,
+      score
+    }));
+  }
+
+  /**
+   * Index only updated entries (called after updateStoryBible)
+   * More efficient than full reindex for incremental updates
+   *
+   * @param {string} novelId - Novel ID
+   * @param {Object} updates - The updates that were made (unused - changes are detected by hash)
+   */
+  async indexUpdates(novelId, updates) {
+    return this.syncIndex(novelId);
   }
 
   /**
    * Format relevant bible as markdown for agent prompts
    *
    * @param {Object} relevantBible - Result from getRelevantBible
+   * @param {Object} options
+   * @param {Array} options.passages - Passages to merge in (default: relevantBible.passages)
+   * @param {number} options.passageTokenBudget - Max passage tokens (default: 1500)
    * @returns {string} Markdown formatted context
    */
-  formatForPrompt(relevantBible) {
+  formatForPrompt(relevantBible, options = {}) {
     const lines = ['## STORY BIBLE CONTEXT\n'];
 
     // Characters
@@ -333,7 +527,7 @@ class BibleRetriever {
     if (relevantBible.plotThreads.length > 0) {
       lines.push('### Active Plot Threads\n');
       for (const thread of relevantBible.plotThreads) {
-        lines.push(`**${thread.title}** (${thread.id})`);
+        lines.push(`**${thread.title}** (${thread.id}${thread.payoffWindow ? `, pay off ${formatWindow(thread.payoffWindow)}` : ''})`);
         if (thread.foreshadowing?.length) {
           for (const hint of thread.foreshadowing) {
             lines.push(`  - Ch${hint.chapter}: "${hint.hint}"`);
@@ -347,7 +541,8 @@ class BibleRetriever {
     if (relevantBible.chekhovs.length > 0) {
       lines.push('### Unpaid Chekhov\'s Guns\n');
       for (const chekhov of relevantBible.chekhovs) {
-        lines.push(`- **${chekhov.item}** (introduced ch${chekhov.introduced}): ${chekhov.notes || 'must pay off'}`);
+        const window = chekhov.payoffWindow ? `, pay off ${formatWindow(chekhov.payoffWindow)}` : '';
+        lines.push(`- **${chekhov.item}** (${chekhov.id ? `${chekhov.id}, ` : ''}introduced ch${chekhov.introduced}${window}): ${chekhov.notes || 'must pay off'}`);
       }
       lines.push('');
     }
@@ -370,6 +565,32 @@ class BibleRetriever {
       lines.push('');
     }
 
+    // Earlier passages, best first until the budget runs out, then in story order
+    const passages = options.passages || relevantBible.passages || [];
+    if (passages.length > 0) {
+      const budget = options.passageTokenBudget ?? this.passageTokenBudget ?? DEFAULT_PASSAGE_TOKEN_BUDGET;
+      const selected = [];
+      let used = 0;
+      for (const passage of passages) {
+        const remaining = budget - used;
+        const text = selected.length === 0 ? truncateToTokens(passage.text, remaining) : passage.text;
+        const tokens = estimateTokens(text);
+        if (tokens > remaining) continue;
+        selected.push({ ...passage, text });
+        used += tokens;
+      }
+
+      if (selected.length > 0) {
+        selected.sort((a, b) => a.chapterNum - b.chapterNum || a.paragraphStart - b.paragraphStart);
+        lines.push('### Relevant Earlier Passages\n');
+        for (const passage of selected) {
+          lines.push(`[${passage.reference || formatReference(passage)}]`);
+          lines.push(passage.text.split('\n').filter(Boolean).map(line => `> ${line}`).join('\n'));
+          lines.push('');
+        }
+      }
+    }
+
     return lines.join('\n');
   }
 }
@@ -0,0 +1,293 @@
+/**
+ * ILUVATAR - Circuit Breaker
+ *
+ * Ported from legacy/iluvatar-2.0/core/json-validator.js.
+ *
+ * Protects against repeated failures by "tripping" after a threshold and
+ * refusing requests until the reset timeout passes and a half-open test
+ * request succeeds. The OutputValidator keeps one circuit per agent so an
+ * agent that keeps producing unusable output stops burning repair calls.
+ */
+
+const EventEmitter = require('events');
+
+// Circuit breaker states
+const CIRCUIT_STATES = {
+  CLOSED: 'CLOSED',     // Normal operation - requests flow through
+  OPEN: 'OPEN',         // Tripped - requests fail immediately
+  HALF_OPEN: 'HALF_OPEN' // Testing - allow one request to see if recovered
+};
+
+/**
+ * Custom error for circuit breaker open state
+ */
+class CircuitOpenError extends Error {
+  constructor(circuitId, message) {
+    super(message || `Circuit ${circuitId} is OPEN - refusing requests`);
+    this.name = 'CircuitOpenError';
+    this.circuitId = circuitId;
+  }
+}
+
+/**
+ * Circuit Breaker implementation
+ *
+ * Protects against repeated failures by "tripping" after a threshold
+ * and refusing requests until reset or half-open test succeeds.
+ */
+class CircuitBreaker extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.id = options.id || 'default';
+    this.threshold = options.threshold || 3;          // Failures before tripping
+    this.resetTimeout = options.resetTimeout || 60000; // Time to wait before half-open
+    this.halfOpenMax = options.halfOpenMax || 1;       // Max requests in half-open
+
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.successes = 0;
+    this.halfOpenRequests = 0;
+    this.lastFailure = null;
+    this.lastStateChange = Date.now();
+
+    // Redis client for publishing circuit events (injected)
+    this.redis = options.redis || null;
+  }
+
+  /**
+   * Get current circuit state
+   */
+  getState() {
+    return {
+      id: this.id,
+      state: this.state,
+      failures: this.failures,
+      threshold: this.threshold,
+      lastFailure: this.lastFailure,
+      lastStateChange: this.lastStateChange
+    };
+  }
+
+  /**
+   * Execute a function with circuit breaker protection
+   */
+  async execute(fn, context = {}) {
+    // Check if we should transition from OPEN to HALF_OPEN
+    if (this.state === CIRCUIT_STATES.OPEN) {
+      const timeSinceOpen = Date.now() - this.lastStateChange;
+
+      if (timeSinceOpen >= this.resetTimeout) {
+        this.transitionTo(CIRCUIT_STATES.HALF_OPEN);
+      } else {
+        throw new CircuitOpenError(this.id, `Circuit is OPEN. Will test again in ${Math.ceil((this.resetTimeout - timeSinceOpen) / 1000)}s`);
+      }
+    }
+
+    // In half-open, limit requests
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      if (this.halfOpenRequests >= this.halfOpenMax) {
+        throw new CircuitOpenError(this.id, 'Circuit is HALF_OPEN and testing - additional requests refused');
+      }
+      this.halfOpenRequests++;
+    }
+
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      this.recordFailure(error, context);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a successful execution
+   */
+  recordSuccess() {
+    this.successes++;
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      // Success in half-open = close the circuit
+      this.transitionTo(CIRCUIT_STATES.CLOSED);
+      this.emit('recovered', { id: this.id });
+    }
+
+    // Reset failure count on success
+    this.failures = 0;
+  }
+
+  /**
+   * Record a failed execution
+   */
+  recordFailure(error, context = {}) {
+    this.failures++;
+    this.lastFailure = {
+      timestamp: Date.now(),
+      error: error.message,
+      context
+    };
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      // Failure in half-open = reopen
+      this.transitionTo(CIRCUIT_STATES.OPEN);
+    } else if (this.failures >= this.threshold) {
+      this.trip(error, context);
+    }
+
+    this.emit('failure', {
+      id: this.id,
+      failures: this.failures,
+      threshold: this.threshold,
+      error: error.message
+    });
+  }
+
+  /**
+   * Trip the circuit breaker (transition to OPEN)
+   */
+  trip(error, context = {}) {
+    this.transitionTo(CIRCUIT_STATES.OPEN);
+
+    const tripEvent = {
+      id: this.id,
+      failures: this.failures,
+      error: error?.message,
+      rawOutput: context.rawOutput,
+      agent: context.agent,
+      timestamp: Date.now()
+    };
+
+    this.emit('trip', tripEvent);
+
+    // Publish to Redis if available
+    if (this.redis) {
+      this.publishToRedis(tripEvent);
+    }
+  }
+
+  /**
+   * Transition to a new state
+   */
+  transitionTo(newState) {
+    const oldState = this.state;
+    this.state = newState;
+    this.lastStateChange = Date.now();
+
+    if (newState === CIRCUIT_STATES.HALF_OPEN) {
+      this.halfOpenRequests = 0;
+    }
+
+    if (newState === CIRCUIT_STATES.CLOSED) {
+      this.failures = 0;
+    }
+
+    this.emit('stateChange', {
+      id: this.id,
+      from: oldState,
+      to: newState,
+      timestamp: this.lastStateChange
+    });
+  }
+
+  /**
+   * Manually reset the circuit
+   */
+  reset() {
+    this.failures = 0;
+    this.halfOpenRequests = 0;
+    this.transitionTo(CIRCUIT_STATES.CLOSED);
+    this.emit('reset', { id: this.id });
+  }
+
+  /**
+   * Publish circuit trip to Redis for workflow coordination
+   */
+  async publishToRedis(tripEvent) {
+    try {
+      await this.redis.publish('circuit:tripped', JSON.stringify(tripEvent));
+
+      // Also store the raw output for manual inspection
+      await this.redis.hset(
+        'circuit:failures',
+        `${this.id}:${tripEvent.timestamp}`,
+        JSON.stringify({
+          ...tripEvent,
+          rawOutput: tripEvent.rawOutput?.substring(0, 10000) // Truncate large outputs
+        })
+      );
+    } catch (err) {
+      console.error('[CircuitBreaker] Failed to publish circuit trip to Redis:', err.message);
+    }
+  }
+}
+
+/**
+ * Circuit Breaker Registry
+ *
+ * Manages multiple circuit breakers (one per agent or service)
+ */
+class CircuitBreakerRegistry {
+  constructor(options = {}) {
+    this.circuits = new Map();
+    this.defaultOptions = {
+      threshold: options.threshold || 3,
+      resetTimeout: options.resetTimeout || 60000,
+      redis: options.redis || null
+    };
+  }
+
+  /**
+   * Get or create a circuit breaker for an ID
+   */
+  getCircuit(id) {
+    if (!this.circuits.has(id)) {
+      this.circuits.set(id, new CircuitBreaker({
+        id,
+        ...this.defaultOptions
+      }));
+    }
+    return this.circuits.get(id);
+  }
+
+  /**
+   * Get all circuit states
+   */
+  getAllStates() {
+    const states = {};
+    for (const [id, circuit] of this.circuits) {
+      states[id] = circuit.getState();
+    }
+    return states;
+  }
+
+  /**
+   * Reset all circuits
+   */
+  resetAll() {
+    for (const circuit of this.circuits.values()) {
+      circuit.reset();
+    }
+  }
+
+  /**
+   * Get circuits in OPEN state
+   */
+  getOpenCircuits() {
+    const open = [];
+    for (const [id, circuit] of this.circuits) {
+      if (circuit.state === CIRCUIT_STATES.OPEN) {
+        open.push(circuit.getState());
+      }
+    }
+    return open;
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitBreakerRegistry,
+  CircuitOpenError,
+  CIRCUIT_STATES
+};
@@ -0,0 +1,327 @@
+/**
+ * ILUVATAR - Context Assembler
+ *
+ * Packs an agent's prompt into its token budget (the tier's maxTokens from
+ * model-config.js) instead of concatenating everything and hoping it fits.
+ *
+ * Sections, by priority (lower = packed first):
+ *
+ *   required  system prompt, task instructions, current chapter outline
+ *   1         human feedback / critique
+ *   2         story bible context
+ *   3         recent chapter tail (end of the previous chapter)
+ *   4         story so far (rolling summaries, see summary-manager.js)
+ *
+ * Packing is deterministic: required sections always go in; every other
+ * section, in priority order, gets whatever budget is left. A section that
+ * does not fit is trimmed (text from the end, the chapter tail from the
+ * front, summaries to a less detailed level, then oldest-first) or dropped when less than
+ * MIN_SECTION_TOKENS would remain. The prompt is then rendered in reading
+ * order, which is not the priority order.
+ *
+ * Tokens are counted with tokens.estimateTokens (one token per CJK
+ * character), so Chinese novels are not undercounted 4x the way a
+ * characters/4 estimate would.
+ *
+ * assemble() returns { system, prompt, manifest }; the manifest records
+ * every section's size, whether it was included or trimmed, and the total.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getAgentConfig } = require('./model-config');
+const { estimateTokens, truncateToTokens, tailToTokens } = require('./tokens');
+
+const PROMPTS_DIR = path.join(__dirname, '..', 'agent-prompts');
+
+// Section priorities (required sections are always included)
+const PRIORITY = {
+  REQUIRED: 0,
+  FEEDBACK: 1,
+  BIBLE: 2,
+  TAIL: 3,
+  SUMMARIES: 4
+};
+
+// Don't bother including a section trimmed below this
+const MIN_SECTION_TOKENS = 64;
+
+// Cap on the previous chapter's tail, even when there is room for more
+const DEFAULT_TAIL_TOKENS = 800;
+
+class ContextAssembler {
+  /**
+   * @param {Object} novelManager - NovelManager instance
+   * @param {Object} options - Configuration
+   * @param {string} options.promptsDir - Directory with agent prompt files
+   * @param {number} options.budget - Token budget override (default: the agent's maxTokens)
+   * @param {number} options.tailTokens - Max tokens of the previous chapter's ending (default: 800)
+   * @param {Object} options.summaryManager - SummaryManager for rolling summaries (default: novelManager.summaryManager)
+   */
+  constructor(novelManager, options = {}) {
+    if (!novelManager) {
+      throw new Error('ContextAssembler requires a NovelManager instance');
+    }
+    this.novelManager = novelManager;
+    this.promptsDir = options.promptsDir || PROMPTS_DIR;
+    this.budget = options.budget || null;
+    this.tailTokens = options.tailTokens || DEFAULT_TAIL_TOKENS;
+    this.summaryManager = options.summaryManager || novelManager.summaryManager || null;
+    this.promptCache = new Map();
+  }
+
+  /**
+   * Assemble an agent's prompt for a chapter
+   *
+   * @param {string} agentName - gandalf, frodo, elrond
+   * @param {string} novelId - Novel ID
+   * @param {number} chapterNum - Chapter the prompt is for
+   * @param {Object} options
+   * @param {string} options.task - Instructions for this call (required section, rendered last)
+   * @param {string} options.feedback - Human feedback or critique (optional)
+   * @param {string} options.bibleContext - Pre-formatted bible context (optional)
+   * @param {Array<Object>} options.sections - Extra sections [{ name, title, text, priority }] (optional)
+   * @param {number} options.budget - Token budget for this call (optional)
+   * @returns {Promise<Object>} { system, prompt, manifest }
+   */
+  async assemble(agentName, novelId, chapterNum, options = {}) {
+    const config = getAgentConfig(agentName);
+    const state = await this.novelManager.getNovelState(novelId, { include: ['outline', 'chapters'] });
+    if (!state) {
+      throw new Error(`Novel not found: ${novelId}`);
+    }
+
+    const budget = options.budget || this.budget || config.maxTokens;
+    const system = this.loadSystemPrompt(config.promptFile);
+    const summaries = await this.getSummaryLevels(state, chapterNum);
+
+    const sections = [
+      { name: 'outline', title: 'Chapter Outline', text: this.formatOutline(state, chapterNum), priority: PRIORITY.REQUIRED },
+      { name: 'summaries', title: 'Story So Far', items: summaries[0].items, level: summaries[0].level, fallbacks: summaries.slice(1), priority: PRIORITY.SUMMARIES },
+      { name: 'tail', title: `End of Chapter ${chapterNum - 1}`, text: this.getTail(state, chapterNum), priority: PRIORITY.TAIL, trim: 'start', maxTokens: this.tailTokens },
+      ...(options.sections || []),
+      { name: 'bible', title: null, text: options.bibleContext, priority: PRIORITY.BIBLE },
+      { name: 'feedback', title: 'Feedback', text: options.feedback, priority: PRIORITY.FEEDBACK },
+      { name: 'task', title: null, text: options.task, priority: PRIORITY.REQUIRED }
+    ];
+
+    const packed = this.pack(sections, budget - estimateTokens(system));
+    const prompt = packed
+      .filter(s => s.included)
+      .map(s => (s.title ? `${s.title}:\n${s.content}` : s.content))
+      .join('\n\n');
+
+    const used = estimateTokens(system) + estimateTokens(prompt);
+    const manifest = {
+      agent: agentName,
+      novelId,
+      chapterNum,
+      budget,
+      used,
+      overBudget: used > budget,
+      sections: [
+        { name: 'system', priority: PRIORITY.REQUIRED, tokens: estimateTokens(system), originalTokens: estimateTokens(system), included: true, truncated: false },
+        ...packed.map(({ name, priority, tokens, originalTokens, included, truncated, items, droppedItems, level }) => ({
+          name,
+          priority,
+          tokens,
+          originalTokens,
+          included,
+          truncated,
+          ...(items ? { items: items.length, droppedItems, level } : {})
+        }))
+      ]
+    };
+
+    const dropped = manifest.sections.filter(s => !s.included && s.originalTokens > 0).map(s => s.name);
+    console.log(`[ContextAssembler] ${agentName} ch${chapterNum}: ${used}/${budget} tokens${dropped.length ? `, dropped ${dropped.join(', ')}` : ''}`);
+    if (manifest.overBudget) {
+      console.warn(`[ContextAssembler] Required sections alone exceed the ${budget} token budget for ${agentName}`);
+    }
+
+    return { system, prompt, manifest };
+  }
+
+  /**
+   * Fit sections into a budget by priority
+   *
+   * @param {Array<Object>} sections - [{ name, title, text | items, fallbacks, priority, trim, maxTokens }]
+   * @param {number} budget - Tokens available for the user prompt
+   * @returns {Array<Object>} Sections in their original order with content, tokens, included, truncated
+   */
+  pack(sections, budget) {
+    const packed = sections.map((section, order) => {
+      const items = section.items || null;
+      const full = items ? items.join('\n') : (section.text || '');
+      return {
+        ...section,
+        order,
+        content: full,
+        originalTokens: estimateTokens(full),
+        tokens: 0,
+        included: false,
+        truncated: false,
+        ...(items ? { droppedItems: 0, level: section.level || null } : {})
+      };
+    });
+
+    // Priority, then declaration order: ties always resolve the same way
+    const byPriority = [...packed].sort((a, b) => a.priority - b.priority || a.order - b.order);
+    let remaining = budget;
+
+    for (const section of byPriority) {
+      if (section.originalTokens === 0) continue;
+      const overhead = section.title ? estimateTokens(`${section.title}:\n`) + 1 : 1;
+
+      if (section.priority === PRIORITY.REQUIRED) {
+        this._accept(section, section.content, overhead);
+        remaining -= section.tokens;
+        continue;
+      }
+
+      const fit = Math.min(remaining - overhead, section.maxTokens || Infinity);
+      if (fit < MIN_SECTION_TOKENS) continue;
+
+      const content = this._trim(section, fit);
+      if (!content) continue;
+      this._accept(section, content, overhead);
+      remaining -= section.tokens;
+    }
+
+    return packed;
+  }
+
+  /**
+   * Outline context for the chapter: novel header plus the outline entries
+   * for this chapter and the next (so Frodo knows where the story is going)
+   *
+   * @param {Object} state - Novel state
+   * @param {number} chapterNum - Chapter number
+   * @returns {string} Outline text
+   */
+  formatOutline(state, chapterNum) {
+    const { metadata, outline } = state;
+    const lines = [];
+    lines.push(`Novel: ${outline?.title || metadata.title}`);
+    if (outline?.synopsis) lines.push(`Synopsis: ${outline.synopsis}`);
+
+    for (const ch of outline?.chapters || []) {
+      if (ch.number !== chapterNum && ch.number !== chapterNum + 1) continue;
+      const marker = ch.number === chapterNum ? '>> ' : 'Next: ';
+      lines.push(`${marker}Chapter ${ch.number}${ch.title ? `: ${ch.title}` : ''} - ${ch.summary || ''}`.trim());
+      if (ch.number !== chapterNum) continue;
+      if (ch.pov) lines.push(`   POV: ${ch.pov}`);
+      if (ch.beats?.length) lines.push(`   Beats: ${ch.beats.join('; ')}`);
+      if (ch.targetWords) lines.push(`   Target Words: ${ch.targetWords}`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Story-so-far candidates, most detailed first
+   *
+   * With a SummaryManager these are its detailed/standard/brief levels;
+   * without one, one line per earlier chapter from the stored chapter
+   * summary or the outline entry.
+   *
+   * @param {Object} state - Novel state
+   * @param {number} chapterNum - Chapter number
+   * @returns {Promise<Array<Object>>} [{ level, items: [line] }]
+   */
+  async getSummaryLevels(state, chapterNum) {
+    if (this.summaryManager) {
+      const levels = await this.summaryManager.getStoryLevels(state.metadata.id, chapterNum);
+      return ['detailed', 'standard', 'brief'].map(level => ({ level, items: levels[level] }));
+    }
+
+    const outlined = new Map((state.outline?.chapters || []).map(ch => [ch.number, ch]));
+    const items = [];
+    for (let n = 1; n < chapterNum; n++) {
+      const summary = state.chapters?.[n]?.summary || outlined.get(n)?.summary;
+      if (summary) items.push(`Ch${n}: ${summary}`);
+    }
+    return [{ level: 'outline', items }];
+  }
+
+  /**
+   * Full text of the previous chapter (trimmed to its ending when packed)
+   *
+   * @param {Object} state - Novel state
+   * @param {number} chapterNum - Chapter number
+   * @returns {string|null} Previous chapter content
+   */
+  getTail(state, chapterNum) {
+    return state.chapters?.[chapterNum - 1]?.content || null;
+  }
+
+  /**
+   * Load an agent's system prompt from the prompts directory
+   *
+   * @param {string} promptFile - Prompt file name
+   * @returns {string} Prompt markdown
+   */
+  loadSystemPrompt(promptFile) {
+    if (!this.promptCache.has(promptFile)) {
+      this.promptCache.set(promptFile, fs.readFileSync(path.join(this.promptsDir, promptFile), 'utf8'));
+    }
+    return this.promptCache.get(promptFile);
+  }
+
+  /** @private */
+  _accept(section, content, overhead) {
+    section.content = content;
+    section.tokens = estimateTokens(content) + overhead;
+    section.included = true;
+  }
+
+  /**
+   * Trim a section's content to a token budget
+   * @private
+   */
+  _trim(section, budget) {
+    if (section.originalTokens <= budget) return section.content;
+    section.truncated = true;
+
+    if (section.items) {
+      // A less detailed level that fits whole beats a detailed one cut short
+      for (const fallback of section.fallbacks || []) {
+        const content = fallback.items.join('\n');
+        if (content && estimateTokens(content) <= budget) {
+          section.items = fallback.items;
+          section.level = fallback.level;
+          return content;
+        }
+      }
+
+      // Drop the oldest items of the briefest level; cut the newest one if it alone is too big
+      const last = section.fallbacks?.[section.fallbacks.length - 1];
+      if (last) {
+        section.items = last.items;
+        section.level = last.level;
+      }
+      const kept = [];
+      let used = 0;
+      for (let i = section.items.length - 1; i >= 0; i--) {
+        const tokens = estimateTokens(section.items[i]) + 1;
+        if (used + tokens > budget) break;
+        kept.unshift(section.items[i]);
+        used += tokens;
+      }
+      section.droppedItems = section.items.length - kept.length;
+      if (kept.length > 0) return kept.join('\n');
+      if (section.items.length === 0) return null;
+      section.droppedItems--;
+      return truncateToTokens(section.items[section.items.length - 1], budget);
+    }
+
+    return section.trim === 'start'
+      ? tailToTokens(section.content, budget)
+      : truncateToTokens(section.content, budget);
+  }
+}
+
+module.exports = {
+  ContextAssembler,
+  PRIORITY,
+  MIN_SECTION_TOKENS
+};
@@ -0,0 +1,427 @@
+/**
+ * ILUVATAR - Continuity Checker
+ *
+ * Rule-based pass over a chapter before Elrond critiques it. Reading the
+ * whole bible against the prose is what Elrond's BIBLE CONSISTENCY section
+ * asked of him, which is expensive and hit-and-miss; this finds the
+ * mechanical contradictions up front and hands them to him as leads.
+ *
+ * Checks:
+ *   deadCharacter  a character whose status is dead (since before this
+ *                  chapter) appears or speaks - memories and graves are fine
+ *   alias          an alias used before the chapter that gave it, or one
+ *                  that belongs to more than one character
+ *   relationship   a sentence naming two characters calls them something
+ *                  (master, brother, enemy...) their bible relationship isn't
+ *   worldFact      a breakthrough that goes down a realm ladder (a fall back
+ *                  down is only a warning) or skips a realm; a sentence
+ *                  that matches a "cannot / there is no" fact without the
+ *                  negation
+ *   timeline       a sentence that matches an event the timeline places in
+ *                  a later chapter
+ *
+ * World fact and timeline matches are retrieval-backed: the chapter's
+ * sentences are indexed with BM25 (hybrid-search.js) and each fact or event
+ * is a query; a hit counts when it also covers most of the query's terms.
+ *
+ * Finding: { type, severity: 'error' | 'warning', message, quote,
+ *            span: { start, end }, paragraph, ref }
+ *   span is the quoted sentence's offsets in the chapter content;
+ *   ref the bible entry (character ID, fact, "ch12: event").
+ */
+
+const { tokenize } = require('./tokens');
+const { BM25Index, findMentions } = require('./hybrid-search');
+const { parseCharacterChange, isDeadStatus } = require('./bible-extractor');
+
+// Share of a fact's or event's terms a sentence must contain to count as a match
+const MIN_COVERAGE = 0.6;
+
+// Facts and events with fewer terms than this are too vague to match
+const MIN_QUERY_TERMS = 3;
+
+// Findings reported per bible entry and check (the rest are the same problem again)
+const MAX_FINDINGS_PER_ENTRY = 3;
+
+const SPEECH_REGEX = /\b(?:said|says|asked|asks|replied|replies|answered|shouted|whispered|muttered|called|cried|snapped|spoke|speaks)\b|["“”「」]|(?:说|道|问|喊|答|叹)\s*[:：，,]?\s*[“「"]/i;
+const MEMORY_REGEX = /\b(?:remember(?:ed|s)?|memor(?:y|ies)|grave|tomb|late|ghost|spirit|funeral|mourn(?:ed|ing)?|death|died|killed|corpse|body|portrait|dream(?:ed|t)?)\b|回忆|想起|记得|墓|坟|已故|遗|灵位|尸|梦/i;
+const BREAKTHROUGH_REGEX = /\b(?:break(?:s)? through|broke through|breakthrough|advanc(?:e|ed|es)|ascend(?:ed|s)?|reach(?:ed|es)?|enter(?:ed|s)?|stepp(?:ed)? into)\b|突破|晋升|踏入|进入|迈入|晋级/i;
+// Falling back a realm can be the plot (crippled, cursed) - a warning, not an error
+const FALL_REGEX = /\b(?:fell|falls|dropped|drops|regress(?:ed|es)?|crippled)\b|跌落|跌回|跌境|倒退/i;
+const NEGATION_REGEX = /\b(?:cannot|can't|can not|never|no one|nobody|impossible|forbidden|(?:does|do|did)(?: not|n't) exist|there (?:is|are|were|was) no|no)\b|不能|无法|不可|没有|禁止|不存在|不会/i;
+const REALM_FACT_REGEX = /realm|stage|cultivation|level|rank|境界|修为|等级|阶段/i;
+
+// Relationship words by kind; a bible type and a word in the prose are compared by kind
+const RELATIONSHIP_TERMS = {
+  mentor: ['master', 'teacher', 'mentor', 'disciple', 'student', 'apprentice', '师父', '师傅', '师尊', '老师', '徒弟', '弟子', '徒儿'],
+  sibling: ['brother', 'sister', 'sibling', '师兄', '师弟', '师姐', '师妹', '哥哥', '弟弟', '姐姐', '妹妹', '兄长'],
+  parent: ['father', 'mother', 'son', 'daughter', 'parent', '父亲', '母亲', '儿子', '女儿', '爹', '娘'],
+  spouse: ['wife', 'husband', 'fiance', 'fiancee', 'fiancé', 'fiancée', 'lover', 'betrothed', '妻子', '丈夫', '夫人', '未婚妻', '未婚夫', '恋人', '道侣'],
+  friend: ['friend', 'ally', 'companion', '朋友', '盟友', '同伴', '知己'],
+  enemy: ['enemy', 'rival', 'nemesis', 'foe', '敌人', '仇人', '对手', '宿敌']
+};
+
+// ============================================================
+// TEXT
+// ============================================================
+
+/**
+ * Split chapter content into sentences with their offsets
+ *
+ * @param {string} content - Chapter prose
+ * @returns {Array<Object>} [{ text, start, end, paragraph }]
+ */
+function splitSentences(content) {
+  const sentences = [];
+  const paragraphRegex = /[^\n]+(?:\n[^\n]+)*/g;
+  let paragraph = 0;
+  let block;
+
+  while ((block = paragraphRegex.exec(content || '')) !== null) {
+    if (!block[0].trim()) continue;
+    const sentenceRegex = /[^.!?。！？]*[.!?。！？]+["'”’」』)）]*|[^.!?。！？]+$/g;
+    let match;
+    while ((match = sentenceRegex.exec(block[0])) !== null) {
+      if (!match[0]) {
+        sentenceRegex.lastIndex++;
+        continue;
+      }
+      const lead = match[0].length - match[0].trimStart().length;
+      const text = match[0].trim();
+      if (!text) continue;
+      const start = block.index + match.index + lead;
+      sentences.push({ text, start, end: start + text.length, paragraph });
+    }
+    paragraph++;
+  }
+  return sentences;
+}
+
+/**
+ * Does a sentence mention a word (Latin on word boundaries, CJK as a substring)?
+ */
+function mentionsWord(text, word) {
+  return findMentions(text, [{ id: word, names: [word] }]).size > 0;
+}
+
+/**
+ * Share of the query's terms that appear in the text
+ */
+function coverage(queryTerms, text) {
+  if (queryTerms.length === 0) return 0;
+  const terms = new Set(tokenize(text));
+  return queryTerms.filter(term => terms.has(term)).length / queryTerms.length;
+}
+
+function relationshipKinds(text) {
+  return Object.keys(RELATIONSHIP_TERMS).filter(kind => RELATIONSHIP_TERMS[kind].some(word => mentionsWord(text, word)));
+}
+
+// ============================================================
+// CHECKS
+// ============================================================
+
+/**
+ * Chapter a character's status last turned dead, from the change log the
+ * bible extractor keeps (null if they were dead from the start)
+ */
+function deathChapter(character) {
+  const deaths = (character.changes || []).filter(c => isDeadStatus(parseCharacterChange(c.change).status));
+  return deaths.length > 0 ? deaths[deaths.length - 1].chapter : null;
+}
+
+function checkDeadCharacters(bible, sentences, chapterNum, report) {
+  for (const character of Object.values(bible.characters || {})) {
+    if (!isDeadStatus(character.status)) continue;
+    const died = deathChapter(character);
+    if (died !== null && chapterNum <= died) continue;
+
+    const names = [character.name, ...(character.aliases || [])].filter(Boolean);
+    for (const sentence of sentences) {
+      if (findMentions(sentence.text, [{ id: character.id, names }]).size === 0) continue;
+      if (MEMORY_REGEX.test(sentence.text)) continue;
+
+      const speaks = SPEECH_REGEX.test(sentence.text);
+      report(sentence, {
+        type: 'deadCharacter',
+        severity: speaks ? 'error' : 'warning',
+        ref: character.id,
+        message: `${character.name || character.id} is ${character.status}${died !== null ? ` (since chapter ${died})` : ''} but ${speaks ? 'speaks' : 'appears'} here`
+      });
+    }
+  }
+}
+
+function checkAliases(bible, sentences, chapterNum, report) {
+  const characters = Object.values(bible.characters || {});
+  const owners = new Map();
+  for (const character of characters) {
+    for (const name of [character.name, ...(character.aliases || [])].filter(Boolean)) {
+      const key = name.toLowerCase();
+      owners.set(key, [...new Set([...(owners.get(key) || []), character])]);
+    }
+  }
+
+  for (const character of characters) {
+    for (const alias of character.aliases || []) {
+      const given = (character.changes || []).find(c => parseCharacterChange(c.change).aliases.includes(alias));
+      const shared = owners.get(alias.toLowerCase()) || [];
+
+      for (const sentence of sentences) {
+        if (!mentionsWord(sentence.text, alias)) continue;
+        if (given && given.chapter > chapterNum) {
+          report(sentence, {
+            type: 'alias',
+            severity: 'warning',
+            ref: character.id,
+            message: `"${alias}" is ${character.name}'s alias only from chapter ${given.chapter}`
+          });
+        } else if (shared.length > 1 && shared[0] === character) {
+          report(sentence, {
+            type: 'alias',
+            severity: 'warning',
+            ref: character.id,
+            message: `"${alias}" could be ${shared.map(c => `${c.name} (${c.id})`).join(' or ')}`
+          });
+        }
+      }
+    }
+  }
+}
+
+function checkRelationships(bible, sentences, report) {
+  const characters = bible.characters || {};
+  const pairs = new Map();
+  for (const rel of bible.relationships || []) {
+    if (!characters[rel.from] || !characters[rel.to]) continue;
+    const key = [rel.from, rel.to].sort().join('|');
+    pairs.set(key, [...(pairs.get(key) || []), rel]);
+  }
+
+  for (const [key, rels] of pairs) {
+    const known = new Set(rels.flatMap(rel => relationshipKinds(rel.type || '')));
+    if (known.size === 0) continue;
+
+    const [a, b] = key.split('|').map(id => characters[id]);
+    const names = c => [c.name, ...(c.aliases || [])].filter(Boolean);
+    for (const sentence of sentences) {
+      const mentioned = findMentions(sentence.text, [{ id: a.id, names: names(a) }, { id: b.id, names: names(b) }]);
+      if (mentioned.size < 2) continue;
+
+      const said = relationshipKinds(sentence.text).filter(kind => !known.has(kind));
+      if (said.length === 0) continue;
+      report(sentence, {
+        type: 'relationship',
+        severity: 'warning',
+        ref: rels.map(rel => `${rel.from} -> ${rel.to} (${rel.type})`).join('; '),
+        message: `${a.name} and ${b.name} are ${rels.map(rel => rel.type).join(', ')} in the bible; this reads as ${said.join(', ')}`
+      });
+    }
+  }
+}
+
+/**
+ * "Realms: Qi Condensation < Foundation Establishment < Golden Core" -> ordered names
+ */
+function parseRealmLadder(fact) {
+  const text = `${fact.category || ''} ${fact.fact || ''}`;
+  if (!REALM_FACT_REGEX.test(text)) return null;
+
+  const body = (fact.fact || '').replace(/^[^:：]*[:：]/, '');
+  const descending = /[>＞]/.test(body) && !/[<＜]|->|→/.test(body);
+  const realms = body
+    .split(/\s*(?:->|=>|→|<|>|＜|＞|,|，|、|;|；|\bthen\b)\s*/)
+    .map(realm => realm.replace(/[.。]$/, '').trim())
+    .filter(realm => realm && realm.length <= 40);
+  if (realms.length < 3) return null;
+  return descending ? realms.reverse() : realms;
+}
+
+function checkWorldFacts(bible, sentences, index, report) {
+  for (const fact of bible.worldFacts || []) {
+    const ladder = parseRealmLadder(fact);
+    if (ladder) {
+      for (const sentence of sentences) {
+        const falls = FALL_REGEX.test(sentence.text);
+        if (!falls && !BREAKTHROUGH_REGEX.test(sentence.text)) continue;
+        const lower = sentence.text.toLowerCase();
+        const found = ladder
+          .map((realm, rank) => ({ realm, rank, at: lower.indexOf(realm.toLowerCase()) }))
+          .filter(r => r.at >= 0)
+          .sort((x, y) => x.at - y.at);
+        if (found.length < 2) continue;
+
+        // "from X" marks the starting realm wherever it sits in the sentence
+        const source = found.find(r => /(?:\bfrom|从)\s*$/i.test(sentence.text.slice(0, r.at))) || found[0];
+        const target = found.filter(r => r !== source).pop();
+        if (target.rank < source.rank) {
+          report(sentence, {
+            type: 'worldFact',
+            severity: falls ? 'warning' : 'error',
+            ref: fact.fact,
+            message: `Goes from ${source.realm} down to ${target.realm}; the realm order is ${ladder.join(' < ')}`
+          });
+        } else if (target.rank - source.rank > 1) {
+          report(sentence, {
+            type: 'worldFact',
+            severity: 'warning',
+            ref: fact.fact,
+            message: `Goes from ${source.realm} to ${target.realm}, skipping ${ladder.slice(source.rank + 1, target.rank).join(', ')}`
+          });
+        }
+      }
+      continue;
+    }
+
+    if (!NEGATION_REGEX.test(fact.fact || '')) continue;
+    const terms = [...new Set(tokenize((fact.fact || '').replace(new RegExp(NEGATION_REGEX.source, 'gi'), ' ')))];
+    if (terms.length < MIN_QUERY_TERMS) continue;
+
+    for (const hit of index.search(fact.fact).slice(0, 3)) {
+      const sentence = sentences[hit.id];
+      if (NEGATION_REGEX.test(sentence.text) || coverage(terms, sentence.text) < MIN_COVERAGE) continue;
+      report(sentence, {
+        type: 'worldFact',
+        severity: 'warning',
+        ref: fact.fact,
+        message: `May contradict world fact${fact.category ? ` [${fact.category}]` : ''}: "${fact.fact}"`
+      });
+    }
+  }
+}
+
+function checkTimeline(bible, sentences, index, chapterNum, report) {
+  for (const event of bible.timeline || []) {
+    if (!(event.chapter > chapterNum)) continue;
+    const terms = [...new Set(tokenize(event.event))];
+    if (terms.length < MIN_QUERY_TERMS) continue;
+
+    for (const hit of index.search(event.event).slice(0, 1)) {
+      const sentence = sentences[hit.id];
+      if (coverage(terms, sentence.text) < MIN_COVERAGE) continue;
+      report(sentence, {
+        type: 'timeline',
+        severity: 'warning',
+        ref: `ch${event.chapter}: ${event.event}`,
+        message: `Refers to "${event.event}", which the timeline places in chapter ${event.chapter}`
+      });
+    }
+  }
+}
+
+/**
+ * Check a chapter's prose against a story bible
+ *
+ * @param {Object} bible - Story bible (with any series canon)
+ * @param {string} content - Chapter prose
+ * @param {number} chapterNum - Chapter number (for deaths, aliases and timeline order)
+ * @returns {Array<Object>} Findings in the order they occur in the chapter
+ */
+function checkContinuity(bible, content, chapterNum) {
+  const sentences = splitSentences(content);
+  const findings = [];
+  const perEntry = new Map();
+
+  const report = (sentence, finding) => {
+    const key = `${finding.type}|${finding.ref}`;
+    const count = perEntry.get(key) || 0;
+    if (count >= MAX_FINDINGS_PER_ENTRY) return;
+    if (findings.some(f => f.type === finding.type && f.ref === finding.ref && f.span.start === sentence.start)) return;
+    perEntry.set(key, count + 1);
+    findings.push({
+      ...finding,
+      quote: sentence.text,
+      span: { start: sentence.start, end: sentence.end },
+      paragraph: sentence.paragraph
+    });
+  };
+
+  if (sentences.length === 0) return findings;
+  const index = new BM25Index(sentences.map((sentence, i) => ({ id: i, text: sentence.text })));
+
+  checkDeadCharacters(bible, sentences, chapterNum, report);
+  checkAliases(bible, sentences, chapterNum, report);
+  checkRelationships(bible, sentences, report);
+  checkWorldFacts(bible, sentences, index, report);
+  checkTimeline(bible, sentences, index, chapterNum, report);
+
+  return findings.sort((a, b) => a.span.start - b.span.start);
+}
+
+// ============================================================
+// CHECKER
+// ============================================================
+
+class ContinuityChecker {
+  /**
+   * @param {Object} novelManager - NovelManager instance
+   */
+  constructor(novelManager) {
+    if (!novelManager) {
+      throw new Error('ContinuityChecker requires a NovelManager instance');
+    }
+    this.novelManager = novelManager;
+  }
+
+  /**
+   * Check a chapter against the novel's story bible
+   *
+   * @param {string} novelId - Novel ID
+   * @param {number} chapterNum - Chapter number
+   * @param {Object} options
+   * @param {Object} options.chapter - The chapter, if already loaded
+   * @returns {Promise<Object>} { novelId, chapterNum, version, findings, errors, warnings }
+   */
+  async check(novelId, chapterNum, options = {}) {
+    const chapter = options.chapter || await this.novelManager.getChapter(novelId, chapterNum);
+    if (!chapter) {
+      throw new Error(`Chapter ${chapterNum} not found`);
+    }
+
+    const bible = await this.novelManager.getStoryBible(novelId);
+    const findings = checkContinuity(bible, chapter.content || '', chapterNum);
+    const errors = findings.filter(f => f.severity === 'error').length;
+
+    console.log(`[ContinuityChecker] Chapter ${chapterNum} of ${novelId}: ${errors} error(s), ${findings.length - errors} warning(s)`);
+    return {
+      novelId,
+      chapterNum,
+      version: chapter.version || null,
+      findings,
+      errors,
+      warnings: findings.length - errors
+    };
+  }
+
+  /**
+   * Format a report for Elrond's prompt
+   *
+   * @param {Object} report - Result of check()
+   * @returns {string} Markdown section
+   */
+  formatForPrompt(report) {
+    const lines = [
+      '## CONTINUITY FINDINGS',
+      'Rule-based checks of this chapter against the story bible. They are leads, not verdicts:',
+      'confirm or dismiss each one in ## BIBLE CONSISTENCY.',
+      ''
+    ];
+
+    if (report.findings.length === 0) {
+      lines.push('No contradictions found.');
+    }
+    for (const finding of report.findings) {
+      lines.push(`- [${finding.severity.toUpperCase()}] ${finding.type}: ${finding.message}`);
+      lines.push(`  > ${finding.quote}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+module.exports = {
+  ContinuityChecker,
+  checkContinuity,
+  splitSentences,
+  parseRealmLadder,
+  RELATIONSHIP_TERMS
+};
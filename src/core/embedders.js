@@ -0,0 +1,159 @@
+/**
+ * ILUVATAR - Embedders
+ *
+ * Embedder registry behind BibleRetriever. Every embedder shares one contract:
+ *
+ *   embed(text) -> Promise<number[]>   (L2-normalized, so dot product = cosine)
+ *   id                                 name + dimensions, used to keep indexes
+ *                                      built by different embedders apart
+ *   similarityThreshold                sensible default cutoff for this embedder
+ *
+ * Embedders:
+ *   - openai:  text-embedding-3-small via the OpenAI API
+ *   - hashing: deterministic feature hashing, fully offline (no model, no key)
+ *
+ * The hashing embedder is lexical, not semantic: it matches names, places
+ * and terms that appear in both the query and the entry. For a story bible
+ * that is most of what retrieval needs, and it means the retriever works
+ * without OPENAI_API_KEY.
+ */
+
+const OpenAI = require('openai');
+const { tokenize } = require('./tokens');
+
+/**
+ * OpenAI embeddings adapter
+ */
+class OpenAIEmbedder {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - API key (default: OPENAI_API_KEY)
+   * @param {string} options.model - Embedding model (default: text-embedding-3-small)
+   * @param {number} options.dimensions - Output dimensions (default: 512)
+   */
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.model = options.model || 'text-embedding-3-small';  // $0.00002/1K tokens
+    this.dimensions = options.dimensions || 512;  // Reduce dimensions to save storage (still good quality)
+    this.similarityThreshold = 0.6;
+    this.id = `${this.name}-${this.dimensions}`;
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.client = null;
+  }
+
+  async embed(text) {
+    if (!this.apiKey) {
+      throw new Error('OPENAI_API_KEY is not set');
+    }
+    this.client = this.client || new OpenAI({ apiKey: this.apiKey });
+
+    const response = await this.client.embeddings.create({
+      model: this.model,
+      input: text.replace(/\n/g, ' ').substring(0, 8000),  // Replace newlines, limit length
+      dimensions: this.dimensions
+    });
+    return response.data[0].embedding;
+  }
+}
+
+/**
+ * Offline feature-hashing embedder
+ *
+ * Terms come from tokens.tokenize (lowercase words; CJK characters and
+ * bigrams). Each term is hashed into a fixed-size signed vector with
+ * sublinear term frequency, then normalized.
+ */
+class HashingEmbedder {
+  /**
+   * @param {Object} options
+   * @param {number} options.dimensions - Vector size (default: 512)
+   */
+  constructor(options = {}) {
+    this.name = 'hashing';
+    this.dimensions = options.dimensions || 512;
+    // Lexical overlap scores far lower than semantic similarity
+    this.similarityThreshold = 0.1;
+    this.id = `${this.name}-${this.dimensions}`;
+  }
+
+  async embed(text) {
+    const counts = new Map();
+    for (const feature of tokenize(text)) {
+      counts.set(feature, (counts.get(feature) || 0) + 1);
+    }
+
+    const vector = new Array(this.dimensions).fill(0);
+    for (const [feature, count] of counts) {
+      const hash = fnv1a(feature);
+      const sign = (hash & 0x80000000) ? -1 : 1;
+      vector[hash % this.dimensions] += sign * (1 + Math.log(count));
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm > 0 ? vector.map(v => v / norm) : vector;
+  }
+}
+
+/**
+ * 32-bit FNV-1a hash
+ */
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Factories for built-in embedders (instantiated lazily on first use)
+const EMBEDDER_FACTORIES = {
+  openai: () => new OpenAIEmbedder(),
+  hashing: () => new HashingEmbedder()
+};
+
+const embedders = new Map();
+
+/**
+ * Register (or replace) an embedder
+ *
+ * @param {string} name - Embedder name
+ * @param {Object|Function} embedder - Embedder instance, or factory returning one
+ */
+function registerEmbedder(name, embedder) {
+  if (typeof embedder === 'function') {
+    EMBEDDER_FACTORIES[name] = embedder;
+    embedders.delete(name);
+  } else {
+    embedders.set(name, embedder);
+  }
+}
+
+/**
+ * Get an embedder by name
+ *
+ * Without a name, EMBEDDER decides; without that, OpenAI is used when
+ * OPENAI_API_KEY is set and the offline hashing embedder otherwise.
+ *
+ * @param {string} name - Embedder name (optional)
+ * @returns {Object} Embedder with embed()
+ */
+function getEmbedder(name) {
+  const resolved = name || process.env.EMBEDDER || (process.env.OPENAI_API_KEY ? 'openai' : 'hashing');
+
+  if (!embedders.has(resolved)) {
+    const factory = EMBEDDER_FACTORIES[resolved];
+    if (!factory) {
+      throw new Error(`Unknown embedder: ${resolved}. Registered: ${Object.keys(EMBEDDER_FACTORIES).join(', ')}`);
+    }
+    embedders.set(resolved, factory());
+  }
+  return embedders.get(resolved);
+}
+
+module.exports = {
+  OpenAIEmbedder,
+  HashingEmbedder,
+  registerEmbedder,
+  getEmbedder
+};
@@ -0,0 +1,489 @@
+/**
+ * ILUVATAR - Generation Pipeline
+ *
+ * Native, in-process replacement for the N8N workflow (n8n-workflow-v2.json).
+ * Runs the same five routes without the webhook hop:
+ *   - outline:        Gandalf creates the novel outline
+ *   - write:          Frodo writes a chapter based on the outline
+ *   - critique:       Elrond evaluates chapter quality
+ *   - revise_outline: Gandalf revises the outline based on human feedback
+ *   - revise_chapter: Frodo revises a chapter based on feedback/critique
+ *
+ * Each route follows the same shape as the N8N flow:
+ *   Build Prompt -> Call Model -> Parse ## SECTION markers -> Save via NovelManager
+ *
+ * Parsing goes through OutputValidator (output-parser.js), which repairs
+ * near-miss formatting before giving up on an agent's output.
+ *
+ * Why this exists:
+ * With N8N the bot fires a webhook and never learns whether the agent calls
+ * succeeded. Running the routes here means the caller gets the parsed result
+ * (or the error) back, and the whole flow can run against a stubbed model client.
+ *
+ * Models are called through getAgentConfig(agent).client (see llm-providers.js),
+ * so tier switches and provider overrides apply here automatically.
+ *
+ * Frodo's write/revise prompts are packed into his token budget by
+ * ContextAssembler (context-assembler.js); the result carries its manifest
+ * as `context`.
+ *
+ * Elrond's critique prompt carries the ContinuityChecker's findings
+ * (continuity-checker.js); the result carries the report as `continuity`.
+ *
+ * Frodo's and Gandalf's prompts carry the PayoffTracker's deadlines
+ * (payoff-tracker.js) once a Chekhov's gun or plot thread nears its window.
+ *
+ * A route's `usage` is the agent call's tokens, with `cost` covering every
+ * model call the route made: the agent, Shadowfax summaries refreshed
+ * before Frodo writes, and the output fixer. `usage.calls` itemizes them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getAgentConfig, estimateCost } = require('./model-config');
+const { OutputValidator } = require('./output-parser');
+const { ContextAssembler, PRIORITY } = require('./context-assembler');
+const { ContinuityChecker } = require('./continuity-checker');
+const { PayoffTracker } = require('./payoff-tracker');
+
+const PROMPTS_DIR = path.join(__dirname, '..', 'agent-prompts');
+
+// Actions accepted by run() - same payload contract as the N8N webhook
+const PIPELINE_ACTIONS = ['outline', 'write', 'critique', 'revise_outline', 'revise_chapter'];
+
+// Add the costs of a route's other model calls to its agent call's usage
+function combineUsage(usage, ...others) {
+  const calls = [usage, ...others.filter(Boolean)];
+  return { ...usage, cost: calls.reduce((sum, call) => sum + call.cost, 0), calls };
+}
+
+class GenerationPipeline {
+  /**
+   * @param {Object} novelManager - NovelManager instance
+   * @param {Object} options - Configuration
+   * @param {Object} options.modelClient - Override for every agent: object with generate({ agent, system, messages, ... })
+   *                                        (default: each agent's own client from getAgentConfig)
+   * @param {Object} options.bibleRetriever - BibleRetriever (optional, for bible context)
+   * @param {string} options.promptsDir - Directory with agent prompt files
+   * @param {Object} options.validator - OutputValidator (default: new OutputValidator())
+   * @param {Object} options.contextAssembler - ContextAssembler for Frodo's prompts (default: new ContextAssembler())
+   * @param {Object} options.summaryManager - SummaryManager, refreshed before Frodo writes (default: novelManager.summaryManager)
+   * @param {Object} options.continuityChecker - ContinuityChecker run before Elrond critiques (default: novelManager.continuityChecker)
+   * @param {Object} options.payoffTracker - PayoffTracker for Frodo's and Gandalf's deadlines (default: novelManager.payoffTracker)
+   */
+  constructor(novelManager, options = {}) {
+    if (!novelManager) {
+      throw new Error('GenerationPipeline requires a NovelManager instance');
+    }
+    this.novelManager = novelManager;
+    this.modelClient = options.modelClient || null;
+    this.bibleRetriever = options.bibleRetriever || novelManager.bibleRetriever || null;
+    this.promptsDir = options.promptsDir || PROMPTS_DIR;
+    this.promptCache = new Map();
+    this.validator = options.validator || new OutputValidator();
+    this.summaryManager = options.summaryManager || novelManager.summaryManager || null;
+    this.contextAssembler = options.contextAssembler || new ContextAssembler(novelManager, {
+      promptsDir: this.promptsDir,
+      summaryManager: this.summaryManager
+    });
+    this.continuityChecker = options.continuityChecker || novelManager.continuityChecker || new ContinuityChecker(novelManager);
+    this.payoffTracker = options.payoffTracker || novelManager.payoffTracker || new PayoffTracker(novelManager);
+  }
+
+  /**
+   * Run a pipeline route from a webhook-style payload
+   *
+   * @param {Object} payload - Same shape the bot sent to N8N
+   * @param {string} payload.action - outline | write | critique | revise_outline | revise_chapter
+   * @param {string} payload.novelId - Novel ID
+   * @param {number} payload.chapterNum - Chapter number (write/critique/revise_chapter)
+   * @param {string} payload.feedback - Human feedback (revise actions)
+   * @param {string} payload.bibleContext - Pre-formatted story bible context (optional)
+   * @returns {Promise<Object>} Route result { action, novelId, chapterNum, output, usage }
+   */
+  async run(payload) {
+    const { action, novelId, chapterNum, feedback, bibleContext } = payload;
+
+    if (!novelId) {
+      throw new Error('Pipeline payload requires a novelId');
+    }
+
+    switch (action) {
+      case 'outline':
+        return await this.outline(novelId);
+      case 'write':
+        return await this.write(novelId, chapterNum, { bibleContext });
+      case 'critique':
+        return await this.critique(novelId, chapterNum, { bibleContext });
+      case 'revise_outline':
+        return await this.reviseOutline(novelId, feedback);
+      case 'revise_chapter':
+      // The bot sends 'revise' when a chapter failed critique - same route, critique as feedback
+      case 'revise':
+        return await this.reviseChapter(novelId, chapterNum, feedback, { bibleContext });
+      default:
+        throw new Error(`Unknown pipeline action: ${action}. Valid actions: ${PIPELINE_ACTIONS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Route: outline - Gandalf creates the novel outline
+   *
+   * @param {string} novelId - Novel ID
+   */
+  async outline(novelId) {
+    const metadata = await this._requireNovel(novelId);
+
+    const prompt = `Create a novel outline with the following specifications:
+
+Title: ${metadata.title}
+Genre: ${metadata.genre}
+Premise: ${metadata.premise || 'No specific premise provided'}
+Language: ${metadata.language}
+Target Chapters: ${metadata.targetChapters}
+Words Per Chapter: ${metadata.targetWordsPerChapter}
+
+Please create a complete outline following the format specified in your instructions.`;
+
+    const { text, usage } = await this._callAgent('gandalf', prompt);
+    const { data: outline, usage: fixerUsage } = await this._parseOutput('gandalf', text);
+
+    await this.novelManager.withActor('gandalf').saveOutline(novelId, outline);
+
+    return { action: 'outline', novelId, output: outline, usage: combineUsage(usage, fixerUsage) };
+  }
+
+  /**
+   * Route: write - Frodo writes a chapter
+   *
+   * @param {string} novelId - Novel ID
+   * @param {number} chapterNum - Chapter to write (defaults to next chapter)
+   * @param {Object} options
+   * @param {string} options.bibleContext - Pre-formatted bible context (fetched if omitted)
+   */
+  async write(novelId, chapterNum, options = {}) {
+    const state = await this._requireState(novelId, ['outline']);
+    if (!state.outline) {
+      throw new Error(`Novel ${novelId} has no outline yet`);
+    }
+
+    const num = chapterNum || await this.novelManager.getNextChapterNum(novelId);
+    const bibleContext = options.bibleContext ?? await this._getBibleContext(novelId, num);
+    const deadlines = await this._getPayoffDeadlines(novelId, num, 'frodo');
+    const summaryUsage = await this._refreshSummaries(novelId, num - 1);
+
+    const { prompt, manifest } = await this.contextAssembler.assemble('frodo', novelId, num, {
+      bibleContext,
+      sections: [{ name: 'deadlines', title: null, text: deadlines, priority: PRIORITY.BIBLE }],
+      task: `Chapter to write: ${num}
+Target word count: ${state.metadata.targetWordsPerChapter}
+Language: ${state.metadata.language}
+
+Please write the complete chapter following the format specified in your instructions.`
+    });
+
+    const { text, usage } = await this._callAgent('frodo', prompt);
+    const { data: chapter, usage: fixerUsage } = await this._parseOutput('frodo', text);
+
+    await this.novelManager.withActor('frodo').saveChapter(novelId, num, chapter);
+
+    return {
+      action: 'write',
+      novelId,
+      chapterNum: num,
+      output: chapter,
+      usage: combineUsage(usage, summaryUsage, fixerUsage),
+      context: manifest
+    };
+  }
+
+  /**
+   * Route: critique - Elrond evaluates a chapter
+   *
+   * @param {string} novelId - Novel ID
+   * @param {number} chapterNum - Chapter to critique
+   * @param {Object} options
+   * @param {string} options.bibleContext - Pre-formatted bible context (fetched if omitted)
+   */
+  async critique(novelId, chapterNum, options = {}) {
+    const chapter = await this.novelManager.getChapter(novelId, chapterNum);
+    if (!chapter) {
+      throw new Error(`Chapter ${chapterNum} not found`);
+    }
+
+    const bibleContext = options.bibleContext ?? await this._getBibleContext(novelId, chapterNum);
+    const continuity = await this._checkContinuity(novelId, chapterNum, chapter);
+
+    const prompt = `Evaluate this chapter:
+
+Chapter ${chapterNum}: ${chapter.title || ''}
+
+${chapter.content || chapter.raw}
+
+Word count: ${chapter.wordCount || 'unknown'}
+${continuity ? `\n${this.continuityChecker.formatForPrompt(continuity)}\n` : ''}
+Please provide your critique following the format specified in your instructions.`;
+
+    const { text, usage } = await this._callAgent('elrond', prompt, bibleContext);
+    const { data: critique, usage: fixerUsage } = await this._parseOutput('elrond', text);
+
+    await this.novelManager.withActor('elrond').saveCritique(novelId, chapterNum, critique);
+
+    const novel = await this.novelManager.getNovel(novelId);
+    return {
+      action: 'critique',
+      novelId,
+      chapterNum,
+      output: critique,
+      // saveCritique decides pass/revise - surface its decision to the caller
+      passed: novel.status !== 'revising',
+      usage: combineUsage(usage, fixerUsage),
+      continuity
+    };
+  }
+
+  /**
+   * Route: revise_outline - Gandalf revises the outline from human feedback
+   *
+   * @param {string} novelId - Novel ID
+   * @param {string} feedback - Human feedback
+   */
+  async reviseOutline(novelId, feedback) {
+    const state = await this._requireState(novelId, ['outline']);
+    if (!state.outline) {
+      throw new Error(`Novel ${novelId} has no outline to revise`);
+    }
+
+    const prompt = `Revise the novel outline below based on the feedback.
+
+Current Outline:
+${state.outline.raw || JSON.stringify(state.outline)}
+
+Feedback:
+${feedback || 'No specific feedback provided'}
+
+Language: ${state.metadata.language}
+Target Chapters: ${state.metadata.targetChapters}
+
+Please output the complete revised outline following the format specified in your instructions.`;
+
+    const deadlines = await this._getPayoffDeadlines(novelId, null, 'gandalf');
+    const { text, usage } = await this._callAgent('gandalf', deadlines ? `${prompt}\n\n${deadlines}` : prompt);
+    const { data: outline, usage: fixerUsage } = await this._parseOutput('gandalf', text);
+
+    await this.novelManager.withActor('gandalf').saveOutline(novelId, outline);
+
+    return { action: 'revise_outline', novelId, output: outline, usage: combineUsage(usage, fixerUsage) };
+  }
+
+  /**
+   * Route: revise_chapter - Frodo revises a chapter
+   *
+   * Uses human feedback if given, otherwise Elrond's latest critique.
+   *
+   * @param {string} novelId - Novel ID
+   * @param {number} chapterNum - Chapter to revise
+   * @param {string} feedback - Human feedback (optional)
+   * @param {Object} options
+   * @param {string} options.bibleContext - Pre-formatted bible context (fetched if omitted)
+   */
+  async reviseChapter(novelId, chapterNum, feedback, options = {}) {
+    const state = await this._requireState(novelId);
+    const chapter = await this.novelManager.getChapter(novelId, chapterNum);
+    if (!chapter) {
+      throw new Error(`Chapter ${chapterNum} not found`);
+    }
+
+    const critique = await this.novelManager.getCritique(novelId, chapterNum);
+    const bibleContext = options.bibleContext ?? await this._getBibleContext(novelId, chapterNum);
+    const deadlines = await this._getPayoffDeadlines(novelId, chapterNum, 'frodo');
+    const summaryUsage = await this._refreshSummaries(novelId, chapterNum - 1);
+
+    const { prompt, manifest } = await this.contextAssembler.assemble('frodo', novelId, chapterNum, {
+      bibleContext,
+      sections: [{
+        name: 'previousVersion',
+        title: 'Previous Version',
+        text: `## CHAPTER TITLE\n${chapter.title || ''}\n\n## CONTENT\n${chapter.content || chapter.raw}`,
+        priority: PRIORITY.REQUIRED
+      }, { name: 'deadlines', title: null, text: deadlines, priority: PRIORITY.BIBLE }],
+      feedback: [
+        feedback ? `Human Feedback:\n${feedback}` : null,
+        critique ? `Elrond's Critique (score ${critique.score}):\n${critique.revision || critique.raw || ''}` : null
+      ].filter(Boolean).join('\n\n'),
+      task: `Revise chapter ${chapterNum} based on the feedback above.
+Target word count: ${state.metadata.targetWordsPerChapter}
+Language: ${state.metadata.language}
+
+Please output the complete revised chapter following the format specified in your instructions.`
+    });
+
+    const { text, usage } = await this._callAgent('frodo', prompt);
+    const { data: revision, usage: fixerUsage } = await this._parseOutput('frodo', text);
+
+    await this.novelManager.withActor('frodo').saveRevision(novelId, chapterNum, revision);
+
+    return {
+      action: 'revise_chapter',
+      novelId,
+      chapterNum,
+      output: revision,
+      usage: combineUsage(usage, summaryUsage, fixerUsage),
+      context: manifest
+    };
+  }
+
+  /**
+   * Load an agent's system prompt from src/agent-prompts/
+   *
+   * @param {string} agentName - gandalf, frodo, elrond
+   * @returns {string} Prompt markdown
+   */
+  loadSystemPrompt(agentName) {
+    const config = getAgentConfig(agentName);
+    if (!this.promptCache.has(config.promptFile)) {
+      const promptPath = path.join(this.promptsDir, config.promptFile);
+      this.promptCache.set(config.promptFile, fs.readFileSync(promptPath, 'utf8'));
+    }
+    return this.promptCache.get(config.promptFile);
+  }
+
+  /**
+   * Call an agent's model with its system prompt
+   * Bible context is appended to the user message, as the N8N nodes did.
+   * @private
+   */
+  async _callAgent(agentName, prompt, bibleContext = null) {
+    const config = getAgentConfig(agentName);
+    const content = bibleContext ? `${prompt}\n\n${bibleContext}` : prompt;
+
+    console.log(`[Pipeline] Calling ${agentName} (${config.model})`);
+
+    const client = this.modelClient || config.client;
+    const response = await client.generate({
+      agent: agentName,
+      model: config.model,
+      system: this.loadSystemPrompt(agentName),
+      messages: [{ role: 'user', content }],
+      maxTokens: config.maxTokens,
+      temperature: config.temperature
+    });
+
+    if (!response?.text) {
+      throw new Error(`${agentName} returned an empty response`);
+    }
+
+    const inputTokens = response.usage?.inputTokens || 0;
+    const outputTokens = response.usage?.outputTokens || 0;
+    return {
+      text: response.text,
+      usage: {
+        agent: agentName,
+        model: response.model || config.model,
+        inputTokens,
+        outputTokens,
+        cost: estimateCost(agentName, inputTokens, outputTokens)
+      }
+    };
+  }
+
+  /**
+   * Payoff deadlines near the chapter, formatted for an agent (failures are non-fatal)
+   * @private
+   */
+  async _getPayoffDeadlines(novelId, chapterNum, agent) {
+    try {
+      const report = await this.payoffTracker.report(novelId, { chapterNum });
+      return this.payoffTracker.formatForPrompt(report, agent);
+    } catch (err) {
+      console.error('[Pipeline] Failed to get payoff deadlines:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Run the continuity checker over a chapter (failures are non-fatal)
+   * @private
+   */
+  async _checkContinuity(novelId, chapterNum, chapter) {
+    try {
+      return await this.continuityChecker.check(novelId, chapterNum, { chapter });
+    } catch (err) {
+      console.error('[Pipeline] Continuity check failed:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch bible context if a retriever is available (failures are non-fatal)
+   * @private
+   */
+  async _getBibleContext(novelId, chapterNum) {
+    if (!this.bibleRetriever) return null;
+    try {
+      const relevantBible = await this.bibleRetriever.getRelevantBible(novelId, chapterNum);
+      return this.bibleRetriever.formatForPrompt(relevantBible);
+    } catch (err) {
+      console.error('[Pipeline] Failed to get bible context:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Summarize approved chapters before a prompt uses them (failures are non-fatal)
+   *
+   * @returns {Promise<Object|null>} Shadowfax usage { agent, cost }, or null if nothing was summarized
+   * @private
+   */
+  async _refreshSummaries(novelId, upTo) {
+    if (!this.summaryManager || upTo < 1) return null;
+    try {
+      const { cost } = await this.summaryManager.refresh(novelId, upTo);
+      return cost ? { agent: 'shadowfax', cost } : null;
+    } catch (err) {
+      console.error('[Pipeline] Failed to refresh summaries:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Parse agent output into its typed object (repairing if needed)
+   * Warnings are logged; unrecoverable errors throw OutputValidationError.
+   *
+   * @returns {Promise<Object>} { data, usage: the fixer call's usage, or undefined }
+   * @private
+   */
+  async _parseOutput(agentName, text) {
+    const result = await this.validator.parseWithRepair(agentName, text);
+    for (const warning of result.warnings) {
+      console.warn(`[Pipeline] ${agentName} output: ${warning.message}`);
+    }
+    return { data: result.data, usage: result.usage };
+  }
+
+  /** @private */
+  async _requireNovel(novelId) {
+    const metadata = await this.novelManager.getNovel(novelId);
+    if (!metadata) {
+      throw new Error(`Novel not found: ${novelId}`);
+    }
+    return metadata;
+  }
+
+  /**
+   * Novel state with metadata and the given parts (see NovelManager.getNovelState)
+   * @private
+   */
+  async _requireState(novelId, include = []) {
+    const state = await this.novelManager.getNovelState(novelId, { include });
+    if (!state) {
+      throw new Error(`Novel not found: ${novelId}`);
+    }
+    return state;
+  }
+}
+
+module.exports = {
+  GenerationPipeline,
+  PIPELINE_ACTIONS
+};
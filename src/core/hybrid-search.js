@@ -0,0 +1,209 @@
+/**
+ * ILUVATAR - Hybrid Search
+ *
+ * Ranks story bible entries for a chapter by combining three signals:
+ *
+ *   1. Mentions: the entry's name, alias, title or item appears verbatim in
+ *      the chapter outline. Mentioned entries are always included.
+ *   2. BM25 over the entry text, using the CJK-aware terms from tokens.js
+ *   3. Vector similarity from the embedder (entries under the threshold
+ *      simply do not appear in this ranking)
+ *
+ * BM25 and vector rankings are merged with reciprocal rank fusion:
+ *   score(entry) = sum over rankings of 1 / (k + rank)
+ * which needs no score calibration between the two (BM25 is unbounded,
+ * cosine is not, and the hashing embedder's cosines are much lower than
+ * OpenAI's).
+ *
+ * Every ranked entry carries an explanation, so /novel bible debug can
+ * show why something was or wasn't sent to Frodo.
+ */
+
+const { tokenize } = require('./tokens');
+
+// RRF damping constant (60 is the value from the original RRF paper)
+const RRF_K = 60;
+
+// Bonus added to mentioned entries so they sort above fused-only ones
+const MENTION_BONUS = 1;
+
+/**
+ * Okapi BM25 over a fixed set of documents
+ */
+class BM25Index {
+  /**
+   * @param {Array<Object>} docs - [{ id, text }]
+   * @param {Object} options
+   * @param {number} options.k1 - Term frequency saturation (default: 1.2)
+   * @param {number} options.b - Length normalization (default: 0.75)
+   */
+  constructor(docs, options = {}) {
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+    this.docs = docs.map(doc => {
+      const termFreq = new Map();
+      const terms = tokenize(doc.text);
+      for (const term of terms) {
+        termFreq.set(term, (termFreq.get(term) || 0) + 1);
+      }
+      return { id: doc.id, termFreq, length: terms.length };
+    });
+
+    this.docFreq = new Map();
+    for (const doc of this.docs) {
+      for (const term of doc.termFreq.keys()) {
+        this.docFreq.set(term, (this.docFreq.get(term) || 0) + 1);
+      }
+    }
+    this.avgLength = this.docs.reduce((sum, d) => sum + d.length, 0) / (this.docs.length || 1);
+  }
+
+  /**
+   * Score every document against a query
+   *
+   * @param {string} query - Query text
+   * @returns {Array<Object>} [{ id, score }] with score > 0, best first
+   */
+  search(query) {
+    const queryTerms = Array.from(new Set(tokenize(query)));
+    const n = this.docs.length;
+    const results = [];
+
+    for (const doc of this.docs) {
+      let score = 0;
+      for (const term of queryTerms) {
+        const tf = doc.termFreq.get(term);
+        if (!tf) continue;
+        const df = this.docFreq.get(term);
+        const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+        const norm = tf + this.k1 * (1 - this.b + this.b * (doc.length / (this.avgLength || 1)));
+        score += idf * (tf * (this.k1 + 1)) / norm;
+      }
+      if (score > 0) results.push({ id: doc.id, score });
+    }
+
+    return results.sort((a, b) => b.score - a.score);
+  }
+}
+
+/**
+ * Find entries whose names appear verbatim in a text
+ *
+ * Latin names match case-insensitively on word boundaries; CJK names as
+ * substrings. Names shorter than two characters are ignored.
+ *
+ * @param {string} text - Text to search (e.g. the chapter outline)
+ * @param {Array<Object>} entries - [{ id, names: [string] }]
+ * @returns {Map<string, Array<string>>} id -> names that matched
+ */
+function findMentions(text, entries) {
+  const mentions = new Map();
+  const haystack = (text || '').toLowerCase();
+  if (!haystack) return mentions;
+
+  for (const entry of entries) {
+    const matched = [];
+    for (const name of entry.names || []) {
+      const needle = (name || '').trim().toLowerCase();
+      if (Array.from(needle).length < 2) continue;
+
+      const found = /^[\x00-\x7f]+$/.test(needle)
+        ? new RegExp(`(^|[^a-z0-9])${escapeRegex(needle)}($|[^a-z0-9])`).test(haystack)
+        : haystack.includes(needle);
+      if (found) matched.push(name);
+    }
+    if (matched.length > 0) mentions.set(entry.id, matched);
+  }
+  return mentions;
+}
+
+/**
+ * Reciprocal rank fusion of several rankings
+ *
+ * @param {Object} rankings - { source: [{ id, score }] best first }
+ * @param {number} k - Damping constant (default: 60)
+ * @returns {Map<string, Object>} id -> { score, sources: { source: { rank, score } } }
+ */
+function reciprocalRankFusion(rankings, k = RRF_K) {
+  const fused = new Map();
+  for (const [source, ranking] of Object.entries(rankings)) {
+    ranking.forEach((item, i) => {
+      const entry = fused.get(item.id) || { score: 0, sources: {} };
+      entry.score += 1 / (k + i + 1);
+      entry.sources[source] = { rank: i + 1, score: item.score };
+      fused.set(item.id, entry);
+    });
+  }
+  return fused;
+}
+
+/**
+ * Rank entries for a query with mentions + BM25 + vector scores
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.entries - [{ id, type, key, label, names, text }]
+ * @param {string} params.query - Query text (BM25)
+ * @param {string} params.mentionText - Text searched for names (default: query)
+ * @param {Array<Object>} params.vectorResults - [{ id, score }] best first, already thresholded
+ * @param {number} params.topK - Max non-mentioned entries per type
+ * @returns {Array<Object>} [{ id, type, key, label, score, included, mentioned, sources, explanation }] best first
+ */
+function hybridRank({ entries, query, mentionText = query, vectorResults = [], topK = 15 }) {
+  const bm25 = new BM25Index(entries).search(query);
+  const mentions = findMentions(mentionText, entries);
+  const fused = reciprocalRankFusion({ vector: vectorResults, bm25 });
+
+  const ranked = entries.map(entry => {
+    const fusion = fused.get(entry.id) || { score: 0, sources: {} };
+    const mentioned = mentions.get(entry.id) || null;
+    return {
+      id: entry.id,
+      type: entry.type,
+      key: entry.key,
+      label: entry.label,
+      score: fusion.score + (mentioned ? MENTION_BONUS : 0),
+      mentioned,
+      sources: fusion.sources,
+      included: false
+    };
+  }).sort((a, b) => b.score - a.score);
+
+  // Mentioned entries always; otherwise top K fused per type
+  const perType = new Map();
+  for (const entry of ranked) {
+    const count = perType.get(entry.type) || 0;
+    if (entry.mentioned) {
+      entry.included = true;
+    } else if (entry.score > 0 && count < topK) {
+      entry.included = true;
+      perType.set(entry.type, count + 1);
+    }
+    entry.explanation = explain(entry);
+  }
+
+  return ranked;
+}
+
+/**
+ * One-line reason an entry was ranked where it was
+ */
+function explain(entry) {
+  const parts = [];
+  if (entry.mentioned) parts.push(`mentioned (${entry.mentioned.join(', ')})`);
+  if (entry.sources.vector) parts.push(`vector #${entry.sources.vector.rank} (${entry.sources.vector.score.toFixed(3)})`);
+  if (entry.sources.bm25) parts.push(`bm25 #${entry.sources.bm25.rank} (${entry.sources.bm25.score.toFixed(2)})`);
+  if (parts.length === 0) parts.push('no match');
+  return parts.join(', ');
+}
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  BM25Index,
+  findMentions,
+  reciprocalRankFusion,
+  hybridRank,
+  RRF_K
+};
@@ -0,0 +1,396 @@
+/**
+ * ILUVATAR - LLM Providers
+ *
+ * Provider registry behind the MODEL_TIERS in model-config.js.
+ * Each tier names a provider ('anthropic', 'local', ...) and this module
+ * turns that name into an adapter that can actually be called.
+ *
+ * Every adapter shares one contract:
+ *
+ *   generate({ agent, system, messages, model, maxTokens, temperature })
+ *     -> { text, usage: { inputTokens, outputTokens }, model, provider }
+ *
+ * Providers:
+ *   - anthropic: Claude via the Messages API
+ *   - local:     OpenAI-compatible server (vLLM, llama.cpp, Ollama /v1) for the Qwen tier
+ *   - openai:    OpenAI itself (same adapter, default base URL)
+ *   - fake:      Deterministic canned output for tests and offline runs
+ */
+
+const OpenAI = require('openai');
+
+/**
+ * Anthropic (Claude) adapter
+ */
+class AnthropicProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - API key (default: ANTHROPIC_API_KEY)
+   * @param {string} options.baseUrl - API base URL (default: ANTHROPIC_BASE_URL or api.anthropic.com)
+   */
+  constructor(options = {}) {
+    this.name = 'anthropic';
+    this.apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+    this.baseUrl = options.baseUrl || process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com';
+  }
+
+  async generate({ agent, system, messages, model, maxTokens, temperature }) {
+    if (!this.apiKey) {
+      throw new Error('ANTHROPIC_API_KEY is not set');
+    }
+
+    const response = await fetch(`${this.baseUrl}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'x-api-key': this.apiKey,
+        'anthropic-version': '2023-06-01',
+        'content-type': 'application/json'
+      },
+      body: JSON.stringify({
+        model,
+        max_tokens: maxTokens,
+        temperature,
+        system,
+        messages
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Anthropic request failed for ${agent || 'unknown'}: ${response.status} ${await response.text()}`);
+    }
+
+    const data = await response.json();
+    return {
+      text: data.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+      usage: {
+        inputTokens: data.usage?.input_tokens || 0,
+        outputTokens: data.usage?.output_tokens || 0
+      },
+      model,
+      provider: this.name
+    };
+  }
+}
+
+/**
+ * OpenAI-compatible adapter
+ *
+ * Used for the LOCAL tier: vLLM, llama.cpp server and Ollama all expose
+ * /v1/chat/completions, so one adapter covers the fine-tuned Qwen model.
+ */
+class OpenAICompatibleProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Provider name (for logging/results)
+   * @param {string} options.baseUrl - Server base URL, e.g. http://localhost:8000/v1
+   * @param {string} options.apiKey - API key (local servers usually ignore it)
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'local';
+    this.client = new OpenAI({
+      baseURL: options.baseUrl,
+      apiKey: options.apiKey || 'not-needed'
+    });
+  }
+
+  async generate({ system, messages, model, maxTokens, temperature }) {
+    const chatMessages = system
+      ? [{ role: 'system', content: system }, ...messages]
+      : messages;
+
+    const response = await this.client.chat.completions.create({
+      model,
+      messages: chatMessages,
+      max_tokens: maxTokens,
+      temperature
+    });
+
+    return {
+      text: response.choices[0]?.message?.content || '',
+      usage: {
+        inputTokens: response.usage?.prompt_tokens || 0,
+        outputTokens: response.usage?.completion_tokens || 0
+      },
+      model,
+      provider: this.name
+    };
+  }
+}
+
+// Canned outputs that satisfy each agent's ## markers
+const FAKE_OUTPUTS = {
+  gandalf: `## TITLE
+Fake Novel
+
+## SYNOPSIS
+A deterministic synopsis for testing.
+
+## ACTS
+- Act 1 (Chapters 1-3): The Journey - The hero leaves and comes back.
+
+## ARCS
+- Arc 1 (Chapters 1-3): The Long Road - The hero's first journey.
+
+## CHAPTERS
+1. Beginning: The hero sets out.
+2. Middle: The hero is tested.
+3. End: The hero returns.
+
+## CHARACTERS
+- **Hero** (Protagonist): Brave. Wants to return home.
+
+## WORLDBUILDING
+- **Setting**: A long road between home and the sea.
+
+## THEMES
+- Homecoming
+
+## NOTES
+Generated by the fake provider.
+
+## STORY BIBLE
+
+### CHARACTERS
+- ID: char-001
+- Name: Hero
+- Description: A traveller far from home
+- Traits: brave
+- First Appearance: Chapter 1
+- Status: alive
+
+### PLOT THREADS
+- ID: thread-001
+- Title: The way home
+- Introduced: Chapter 1
+- Payoff: Chapter 3
+
+### WORLD FACTS
+- Geography: The long road runs east to the sea
+
+### CHEKHOVS
+- ID: chekhov-001
+- Item: The hero's map
+- Introduced: Chapter 1
+- Payoff: Chapter 3
+- Notes: Leads the hero home`,
+
+  frodo: `## CHAPTER TITLE
+Fake Chapter
+
+## CONTENT
+The hero walked the long road.
+
+Night fell, and the stars came out.
+
+## WORD COUNT
+13
+
+## AUTHOR NOTES
+- Generated by the fake provider.
+
+## BIBLE UPDATES
+
+### TIMELINE EVENTS
+- The hero walks the long road into the night`,
+
+  elrond: `## SCORE
+75
+
+## STRENGTHS
+- Clear prose
+
+## WEAKNESSES
+- Very short
+
+## SUGGESTED REVISION
+### Priority Fixes (Must Address)
+1. Add more scenes.
+
+## PREFERENCE
+- **Current Quality**: Placeholder
+
+## NOTES
+- Generated by the fake provider.
+
+## BIBLE CONSISTENCY
+
+### Character Consistency: PASS
+- char-001: PASS - Acted as established
+
+### World Rule Violations: NONE
+- None
+
+### Relationship Accuracy: PASS
+- No relationships on the page
+
+### Chekhov Status: GOOD
+- Planted items building appropriately: Yes
+
+### Bible Update Review
+- Updates accurate: Yes`,
+
+  shadowfax: `## SUMMARY
+The hero sets out on the long road and walks on into the night.
+
+## KEY EVENTS
+- The hero leaves home
+
+## OPEN THREADS
+- Will the hero find the way home?`,
+
+  radagast: `## SUMMARY
+The hero sets out on the long road.
+
+## CHARACTERS
+- ID: char-001
+  Name: Hero
+  Description: A traveller far from home
+  Traits: brave
+  Status: alive
+
+## WORLD FACTS
+- Geography: The long road runs east to the sea
+
+## TIMELINE EVENTS
+- Event: The hero leaves home, Characters: char-001
+
+## CHEKHOVS
+- Item: The hero's map
+  Notes: Generated by the fake provider
+
+## NEXT CHAPTERS
+1. The Return: The hero follows the map home.`
+};
+
+/**
+ * Deterministic fake adapter for tests
+ *
+ * Responses are resolved in order:
+ *   1. Queued responses for the agent (queue(agent, text))
+ *   2. options.responses[agent] - string, or function(request) -> string
+ *   3. Built-in canned output for gandalf/frodo/elrond/shadowfax/radagast
+ *
+ * Every request is recorded in `calls` for assertions.
+ */
+class FakeProvider {
+  /**
+   * @param {Object} options
+   * @param {Object} options.responses - { agentName: string | function(request) }
+   */
+  constructor(options = {}) {
+    this.name = 'fake';
+    this.responses = options.responses || {};
+    this.queues = {};
+    this.calls = [];
+  }
+
+  /**
+   * Queue a one-off response for an agent
+   */
+  queue(agent, text) {
+    if (!this.queues[agent]) {
+      this.queues[agent] = [];
+    }
+    this.queues[agent].push(text);
+    return this;
+  }
+
+  async generate(request) {
+    const { agent, system, messages, model } = request;
+    this.calls.push(request);
+
+    let text;
+    if (this.queues[agent]?.length) {
+      text = this.queues[agent].shift();
+    } else if (typeof this.responses[agent] === 'function') {
+      text = await this.responses[agent](request);
+    } else if (this.responses[agent] !== undefined) {
+      text = this.responses[agent];
+    } else {
+      text = FAKE_OUTPUTS[agent] || `Fake response for ${agent || 'unknown'}`;
+    }
+
+    // Deterministic usage: ~4 characters per token
+    const inputChars = (system || '').length + messages.reduce((sum, m) => sum + String(m.content).length, 0);
+    return {
+      text,
+      usage: {
+        inputTokens: Math.ceil(inputChars / 4),
+        outputTokens: Math.ceil(text.length / 4)
+      },
+      model,
+      provider: this.name
+    };
+  }
+}
+
+// Factories for built-in providers (instantiated lazily on first use)
+const PROVIDER_FACTORIES = {
+  anthropic: () => new AnthropicProvider(),
+  local: () => new OpenAICompatibleProvider({
+    name: 'local',
+    baseUrl: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:8000/v1',
+    apiKey: process.env.LOCAL_LLM_API_KEY
+  }),
+  openai: () => new OpenAICompatibleProvider({
+    name: 'openai',
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.OPENAI_API_KEY
+  }),
+  fake: () => new FakeProvider()
+};
+
+const providers = new Map();
+
+/**
+ * Register (or replace) a provider
+ *
+ * @param {string} name - Provider name used in MODEL_TIERS
+ * @param {Object|Function} provider - Adapter instance, or factory returning one
+ */
+function registerProvider(name, provider) {
+  if (typeof provider === 'function') {
+    PROVIDER_FACTORIES[name] = provider;
+    providers.delete(name);
+  } else {
+    providers.set(name, provider);
+  }
+}
+
+/**
+ * Get the adapter for a provider name
+ *
+ * LLM_PROVIDER_OVERRIDE (e.g. "fake") routes every tier to one provider,
+ * which lets the whole bot run offline.
+ *
+ * @param {string} name - Provider name
+ * @returns {Object} Adapter with generate()
+ */
+function getProvider(name) {
+  const resolved = process.env.LLM_PROVIDER_OVERRIDE || name;
+
+  if (!providers.has(resolved)) {
+    const factory = PROVIDER_FACTORIES[resolved];
+    if (!factory) {
+      throw new Error(`Unknown provider: ${resolved}. Registered: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+    }
+    providers.set(resolved, factory());
+  }
+  return providers.get(resolved);
+}
+
+/**
+ * Drop all instantiated providers (tests)
+ */
+function resetProviders() {
+  providers.clear();
+}
+
+module.exports = {
+  AnthropicProvider,
+  OpenAICompatibleProvider,
+  FakeProvider,
+  registerProvider,
+  getProvider,
+  resetProviders
+};
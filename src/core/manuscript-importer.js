@@ -0,0 +1,585 @@
+/**
+ * ILUVATAR - Manuscript Importer
+ *
+ * Brings an existing draft into ILUVATAR so Frodo can continue it:
+ *
+ *   1. parse    Markdown, TXT or EPUB -> chapters, split on chapter headings
+ *               ("第十二章 风起", "Chapter 12: The Storm", "Chapter Twelve",
+ *               or markdown headings when neither is present)
+ *   2. store    a new novel; every chapter through saveChapter(), approved,
+ *               since the human's draft is already final
+ *   3. extract  Radagast reads the chapters in order and fills the story
+ *               bible (upsertCharacter, addWorldFact, addTimelineEvent,
+ *               addChekhov), then writes the synopsis and plans the next
+ *               few chapters
+ *   4. outline  the imported chapters (with Radagast's summaries) plus the
+ *               planned ones, saved and approved, so /novel write picks up
+ *               at the chapter after the last imported one
+ *
+ * Text before the first chapter heading (title page, blurb, copyright) is
+ * front matter: it is reported but not imported. Prologues ("序章", "楔子",
+ * "Prologue") count as chapters.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getAgentConfig, estimateCost } = require('./model-config');
+const { OutputValidator, countWords } = require('./output-parser');
+const { readZip } = require('./zip');
+
+const PROMPTS_DIR = path.join(__dirname, '..', 'agent-prompts');
+
+// Chapters Radagast plans past the end of the manuscript
+const DEFAULT_NEXT_CHAPTERS = 3;
+
+// Same default as NovelManager.createNovel; raised when the manuscript is longer
+const DEFAULT_TARGET_CHAPTERS = 100;
+
+// Lines longer than this are prose, not headings
+const MAX_HEADING_LENGTH = 80;
+
+const ZH_HEADING = /^第\s*[\d零〇一二两三四五六七八九十百千]+\s*[章回]\s*[:：.、\-–—]?\s*(.*)$/;
+const ZH_PROLOGUE = /^(序章|序幕|楔子|引子)\s*[:：.、\-–—]?\s*(.*)$/;
+const EN_HEADING = /^chapter\s+(\d+|[ivxlcdm]+|[a-z]+(?:[\s-][a-z]+)?)\b\s*[:.\-–—]?\s*(.*)$/i;
+const EN_PROLOGUE = /^(prologue)\b\s*[:.\-–—]?\s*(.*)$/i;
+const MD_HEADING = /^(#{1,6})\s+(.+?)\s*#*$/;
+
+const NUMBER_WORDS = new Set([
+  'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen',
+  'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety', 'hundred'
+]);
+
+// Block-level tags that end a paragraph when flattening EPUB XHTML
+const BLOCK_TAGS = /<\/?(?:p|div|section|article|blockquote|li|tr|br|hr)\b[^>]*>/gi;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// ============================================================
+// PARSING
+// ============================================================
+
+/**
+ * Split manuscript text into chapters
+ *
+ * Chinese (第X章) and English ("Chapter N") headings win; markdown headings
+ * are only used when the text has neither, at the heading level used most
+ * (so a single "# Book Title" above "## Chapter" headings becomes the title).
+ *
+ * @param {string} text - Manuscript text (markdown or plain)
+ * @returns {Object} { title, chapters: [{ number, title, heading, content, wordCount }], frontMatter }
+ */
+function splitChapters(text) {
+  const lines = (text || '').replace(/\r\n?/g, '\n').split('\n');
+  const headings = [];
+
+  lines.forEach((line, index) => {
+    const heading = matchChapterHeading(line);
+    if (heading) headings.push({ index, ...heading });
+  });
+
+  // No 第X章 / Chapter N headings: fall back to the most common markdown level
+  if (headings.length === 0) {
+    const byLevel = {};
+    lines.forEach((line, index) => {
+      const match = line.trim().match(MD_HEADING);
+      if (match) (byLevel[match[1].length] = byLevel[match[1].length] || []).push({ index, heading: cleanHeading(match[2]), title: cleanHeading(match[2]) });
+    });
+    const level = Object.keys(byLevel).sort((a, b) => byLevel[b].length - byLevel[a].length || a - b)[0];
+    if (level) headings.push(...byLevel[level]);
+  }
+
+  if (headings.length === 0) {
+    throw new Error('No chapter headings found (expected "第X章", "Chapter N" or markdown headings)');
+  }
+
+  // A "# Title" line above the first chapter is the book title, the rest is front matter
+  const before = lines.slice(0, headings[0].index);
+  const titleIndex = before.findIndex(line => /^#\s+\S/.test(line.trim()));
+
+  const chapters = headings
+    .map((heading, i) => {
+      const end = i + 1 < headings.length ? headings[i + 1].index : lines.length;
+      return { title: heading.title, heading: heading.heading, content: toParagraphs(lines.slice(heading.index + 1, end)) };
+    })
+    .filter(ch => ch.content)
+    .map((ch, i) => ({ number: i + 1, ...ch, wordCount: countWords(ch.content) }));
+
+  return {
+    title: titleIndex >= 0 ? cleanHeading(before[titleIndex].trim().replace(/^#\s+/, '')) : null,
+    chapters,
+    frontMatter: toParagraphs(before.filter((_, i) => i !== titleIndex))
+  };
+}
+
+/**
+ * Recognize a chapter heading line
+ *
+ * @param {string} line - One line of the manuscript
+ * @returns {Object|null} { heading, title } or null
+ */
+function matchChapterHeading(line) {
+  const text = cleanHeading(line.trim().replace(/^#{1,6}\s+/, ''));
+  if (!text || text.length > MAX_HEADING_LENGTH) return null;
+
+  // "第三章节的内容……" is a sentence, not a heading
+  const zh = text.match(ZH_HEADING);
+  if (zh && !/[。！？；，]/.test(zh[1])) return { heading: text, title: zh[1].trim() };
+
+  const zhPrologue = text.match(ZH_PROLOGUE);
+  if (zhPrologue) return { heading: text, title: zhPrologue[2].trim() || zhPrologue[1] };
+
+  const en = text.match(EN_HEADING);
+  if (en && isChapterNumber(en[1])) return { heading: text, title: en[2].trim() };
+
+  const enPrologue = text.match(EN_PROLOGUE);
+  if (enPrologue) return { heading: text, title: enPrologue[2].trim() || enPrologue[1] };
+
+  return null;
+}
+
+/**
+ * "12", "XII", "Twelve", "Twenty-One" - anything else after "Chapter" is prose
+ */
+function isChapterNumber(value) {
+  if (/^\d+$/.test(value) || /^[ivxlcdm]+$/i.test(value)) return true;
+  return value.toLowerCase().split(/[\s-]/).every(word => NUMBER_WORDS.has(word));
+}
+
+/**
+ * Flatten EPUB XHTML to markdown-ish text: headings become "# ...", blocks become paragraphs
+ *
+ * @param {string} xhtml - Chapter document
+ * @returns {string} Text
+ */
+function htmlToText(xhtml) {
+  return decodeEntities(
+    xhtml
+      .replace(/<head[\s\S]*?<\/head>/i, '')
+      .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+      .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level, inner) => `\n\n${'#'.repeat(level)} ${inner.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim()}\n\n`)
+      .replace(BLOCK_TAGS, '\n\n')
+      .replace(/<[^>]+>/g, '')
+  );
+}
+
+/**
+ * Read an EPUB's spine in reading order
+ *
+ * @param {Buffer} buffer - EPUB file
+ * @returns {Object} { title, language, text }
+ */
+function readEpub(buffer) {
+  const files = readZip(buffer);
+  const read = name => {
+    const data = files.get(name);
+    if (!data) throw new Error(`EPUB is missing ${name}`);
+    return data.toString('utf8');
+  };
+
+  const rootfile = read('META-INF/container.xml').match(/full-path\s*=\s*"([^"]+)"/);
+  if (!rootfile) {
+    throw new Error('EPUB container.xml has no rootfile');
+  }
+  const opfPath = rootfile[1];
+  const opf = read(opfPath);
+  const baseDir = path.posix.dirname(opfPath);
+
+  const manifest = new Map();
+  for (const [item] of opf.matchAll(/<item\b[^>]*>/g)) {
+    const attr = name => item.match(new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`))?.[1] || null;
+    manifest.set(attr('id'), { href: attr('href'), properties: attr('properties') || '' });
+  }
+
+  const documents = [...opf.matchAll(/<itemref\b[^>]*idref\s*=\s*"([^"]+)"/g)]
+    .map(([, idref]) => manifest.get(idref))
+    .filter(item => item && !item.properties.split(/\s+/).includes('nav'))
+    .map(item => read(path.posix.normalize(path.posix.join(baseDir === '.' ? '' : baseDir, decodeURIComponent(item.href)))));
+
+  const meta = tag => {
+    const match = opf.match(new RegExp(`<dc:${tag}\\b[^>]*>([\\s\\S]*?)</dc:${tag}>`));
+    return match ? decodeEntities(match[1]).trim() : null;
+  };
+
+  return {
+    title: meta('title'),
+    language: meta('language'),
+    text: documents.map(htmlToText).join('\n\n')
+  };
+}
+
+/**
+ * Parse a manuscript file into chapters
+ *
+ * @param {Buffer|string} data - File contents
+ * @param {Object} options
+ * @param {string} options.format - md | txt | epub (default: from fileName, else text)
+ * @param {string} options.fileName - Original file name (for format and title)
+ * @returns {Object} { title, language, format, chapters, frontMatter }
+ */
+function parseManuscript(data, options = {}) {
+  const format = (options.format || path.extname(options.fileName || '').slice(1) || 'txt').toLowerCase();
+
+  let text;
+  let epub = null;
+  if (format === 'epub') {
+    epub = readEpub(Buffer.isBuffer(data) ? data : Buffer.from(data));
+    text = epub.text;
+  } else if (['md', 'markdown', 'txt', 'text'].includes(format)) {
+    text = (Buffer.isBuffer(data) ? data.toString('utf8') : data).replace(/^\uFEFF/, '');
+  } else {
+    throw new Error(`Unsupported manuscript format: ${format}. Supported: md, txt, epub`);
+  }
+
+  const { title, chapters, frontMatter } = splitChapters(text);
+  const fallbackTitle = options.fileName ? path.basename(options.fileName, path.extname(options.fileName)) : null;
+
+  let language = detectLanguage(text);
+  if (epub?.language) {
+    language = epub.language.toLowerCase().startsWith('zh') ? 'zh' : 'en';
+  }
+
+  return {
+    title: epub?.title || title || fallbackTitle,
+    language,
+    format,
+    chapters,
+    frontMatter
+  };
+}
+
+/**
+ * Guess the novel language from the share of CJK characters
+ */
+function detectLanguage(text) {
+  const sample = (text || '').substring(0, 20000);
+  const cjk = (sample.match(/[㐀-鿿]/g) || []).length;
+  const letters = (sample.match(/[A-Za-z]/g) || []).length;
+  return cjk > letters / 4 ? 'zh' : 'en';
+}
+
+// ============================================================
+// IMPORTER
+// ============================================================
+
+class ManuscriptImporter {
+  /**
+   * @param {Object} novelManager - NovelManager instance
+   * @param {Object} options - Configuration
+   * @param {Object} options.modelClient - Override client with generate() (default: Radagast's client)
+   * @param {Object} options.validator - OutputValidator (default: new OutputValidator())
+   * @param {string} options.promptsDir - Directory with agent prompt files
+   * @param {number} options.nextChapters - Chapters to plan past the manuscript (default: 3)
+   */
+  constructor(novelManager, options = {}) {
+    if (!novelManager) {
+      throw new Error('ManuscriptImporter requires a NovelManager instance');
+    }
+    this.novelManager = novelManager;
+    this.modelClient = options.modelClient || null;
+    this.validator = options.validator || new OutputValidator();
+    this.promptsDir = options.promptsDir || PROMPTS_DIR;
+    this.nextChapters = options.nextChapters ?? DEFAULT_NEXT_CHAPTERS;
+  }
+
+  /**
+   * Import a manuscript as a new novel
+   *
+   * @param {Buffer|string} data - File contents
+   * @param {Object} options
+   * @param {string} options.fileName - Original file name
+   * @param {string} options.format - md | txt | epub (default: from fileName)
+   * @param {string} options.title - Novel title (default: from the manuscript)
+   * @param {string} options.language - zh | en (default: detected)
+   * @param {string} options.genre - Genre (default: NovelManager's)
+   * @param {string} options.pov - POV character
+   * @param {string} options.premise - Premise
+   * @param {number} options.targetChapters - Planned length (default: 100, at least the manuscript plus next chapters)
+   * @param {boolean} options.extract - Run the extraction pass now (default: true)
+   * @param {string|Object} options.actor - Who imported it, for the novel's history (default: manuscript-importer)
+   * @returns {Promise<Object>} { novel, chapters, words, frontMatter, extraction }
+   */
+  async import(data, options = {}) {
+    const manuscript = parseManuscript(data, options);
+    const count = manuscript.chapters.length;
+    const novels = this.novelManager.withActor(options.actor || 'manuscript-importer');
+
+    const novel = await novels.createNovel({
+      title: options.title || manuscript.title || 'Imported Novel',
+      language: options.language || manuscript.language,
+      genre: options.genre,
+      pov: options.pov,
+      premise: options.premise,
+      targetChapters: Math.max(options.targetChapters || DEFAULT_TARGET_CHAPTERS, count + this.nextChapters)
+    });
+
+    const approvedAt = new Date().toISOString();
+    for (const chapter of manuscript.chapters) {
+      await novels.saveChapter(novel.id, chapter.number, {
+        title: chapter.title,
+        content: chapter.content,
+        wordCount: chapter.wordCount,
+        imported: true,
+        approved: true,
+        approvedAt
+      });
+    }
+
+    const words = manuscript.chapters.reduce((sum, ch) => sum + ch.wordCount, 0);
+    await novels.updateNovelMetadata(novel.id, {
+      importedFrom: {
+        fileName: options.fileName || null,
+        format: manuscript.format,
+        chapters: count,
+        words,
+        importedAt: approvedAt
+      }
+    });
+
+    console.log(`[ManuscriptImporter] Imported ${count} chapters (${words} words) as ${novel.id} - "${novel.title}"`);
+
+    const extraction = options.extract === false ? null : await this.extract(novel.id);
+    return {
+      novel,
+      chapters: count,
+      words,
+      frontMatter: manuscript.frontMatter,
+      extraction
+    };
+  }
+
+  /**
+   * Reverse-engineer the story bible and outline from a novel's chapters
+   *
+   * Chapters are read in order so Radagast can reuse character IDs. The
+   * outline keeps the imported chapters (summarized) plus the planned next
+   * chapters, and is approved so writing continues after the last chapter.
+   *
+   * @param {string} novelId - Novel ID
+   * @param {Object} options
+   * @param {Function} options.onProgress - Called with (chapterNum, total) after each chapter (optional)
+   * @returns {Promise<Object>} { characters, worldFacts, timelineEvents, chekhovs, outlineChapters, plannedChapters, nextChapter }
+   */
+  async extract(novelId, options = {}) {
+    const state = await this.novelManager.getNovelState(novelId, { include: ['chapters'] });
+    if (!state) {
+      throw new Error(`Novel not found: ${novelId}`);
+    }
+
+    const { metadata } = state;
+    const chapterNums = Object.keys(state.chapters).map(Number).sort((a, b) => a - b);
+    if (chapterNums.length === 0) {
+      throw new Error(`Novel ${novelId} has no chapters to extract from`);
+    }
+
+    const bible = await this.novelManager.getStoryBible(novelId, { includeCanon: false });
+    const characters = { ...bible.characters };
+    const knownFacts = new Set(bible.worldFacts.map(f => f.fact));
+    const knownChekhovs = new Set(bible.chekhovs.map(c => c.item));
+    const counts = { characters: 0, worldFacts: 0, timelineEvents: 0, chekhovs: 0 };
+    const outlineChapters = [];
+    const radagast = this.novelManager.withActor('radagast');
+
+    for (const chapterNum of chapterNums) {
+      const chapter = state.chapters[chapterNum];
+      const output = await this._callRadagast(this._chapterPrompt(metadata, chapterNum, chapter, characters));
+
+      for (const found of output.characters) {
+        const id = this._resolveCharacterId(characters, found);
+        const existing = characters[id];
+        characters[id] = {
+          ...existing,
+          id,
+          name: existing?.name || found.name,
+          aliases: union(existing?.aliases, found.aliases).filter(alias => alias !== (existing?.name || found.name)),
+          description: found.description || existing?.description || '',
+          traits: union(existing?.traits, found.traits),
+          firstAppearance: existing?.firstAppearance || chapterNum,
+          status: found.status || existing?.status || 'alive'
+        };
+        await radagast.upsertCharacter(novelId, characters[id]);
+        if (!existing) counts.characters++;
+      }
+
+      for (const fact of output.worldFacts) {
+        if (knownFacts.has(fact.fact)) continue;
+        knownFacts.add(fact.fact);
+        await radagast.addWorldFact(novelId, { ...fact, chapter: chapterNum });
+        counts.worldFacts++;
+      }
+
+      for (const event of output.timeline) {
+        await radagast.addTimelineEvent(novelId, {
+          chapter: chapterNum,
+          event: event.event,
+          characters: event.characters.map(ref => this._resolveCharacterId(characters, { id: ref, name: ref }, false)).filter(Boolean)
+        });
+        counts.timelineEvents++;
+      }
+
+      for (const chekhov of output.chekhovs) {
+        if (knownChekhovs.has(chekhov.item)) continue;
+        knownChekhovs.add(chekhov.item);
+        await radagast.addChekhov(novelId, { item: chekhov.item, introduced: chapterNum, notes: chekhov.notes });
+        counts.chekhovs++;
+      }
+
+      outlineChapters.push({ number: chapterNum, title: chapter.title || '', summary: output.summary });
+      if (options.onProgress) await options.onProgress(chapterNum, chapterNums.length);
+    }
+
+    // Synopsis and the chapters after the manuscript
+    const last = chapterNums[chapterNums.length - 1];
+    const novelOutput = await this._callRadagast(this._novelPrompt(metadata, outlineChapters));
+    const planned = novelOutput.nextChapters.slice(0, this.nextChapters).map((ch, i) => ({
+      number: last + i + 1,
+      title: ch.title,
+      summary: ch.summary,
+      ...(ch.pov ? { pov: ch.pov } : {}),
+      ...(ch.beats ? { beats: ch.beats } : {})
+    }));
+
+    await radagast.saveOutline(novelId, {
+      title: metadata.title,
+      synopsis: novelOutput.summary,
+      chapters: [...outlineChapters, ...planned],
+      raw: null
+    });
+    await radagast.approveOutline(novelId);
+
+    console.log(`[ManuscriptImporter] Extracted ${novelId}: ${counts.characters} characters, ${counts.worldFacts} world facts, ${counts.timelineEvents} events, ${counts.chekhovs} chekhovs, ${planned.length} chapters planned`);
+
+    return {
+      ...counts,
+      outlineChapters: outlineChapters.length,
+      plannedChapters: planned.length,
+      nextChapter: last + 1
+    };
+  }
+
+  /**
+   * Match an extracted character to a catalogued one (by ID, then name or alias)
+   *
+   * @param {Object} characters - Catalogued characters by ID
+   * @param {Object} found - { id, name, aliases }
+   * @param {boolean} assign - Assign a new ID when nothing matches (default: true)
+   * @returns {string|null} Character ID
+   * @private
+   */
+  _resolveCharacterId(characters, found, assign = true) {
+    if (found.id && characters[found.id]) return found.id;
+
+    const names = [found.name, ...(found.aliases || [])].filter(Boolean);
+    const match = Object.values(characters).find(c => names.some(n => n === c.name || (c.aliases || []).includes(n)));
+    if (match) return match.id;
+    if (!assign) return null;
+
+    // Radagast may invent an unused ID; keep it if it has the usual shape
+    if (found.id && /^char-\d+$/.test(found.id)) return found.id;
+    const next = Math.max(0, ...Object.keys(characters).map(id => parseInt(id.replace(/^char-/, '')) || 0)) + 1;
+    return `char-${String(next).padStart(3, '0')}`;
+  }
+
+  /** @private */
+  _chapterPrompt(metadata, chapterNum, chapter, characters) {
+    const known = Object.values(characters)
+      .map(c => `- ${c.id}: ${c.name}${c.aliases?.length ? ` (${c.aliases.join(', ')})` : ''}`)
+      .join('\n');
+
+    return `Catalogue this imported chapter.
+
+Novel: ${metadata.title}
+Genre: ${metadata.genre}
+Language: ${metadata.language}
+
+Known Characters:
+${known || '(none yet)'}
+
+Chapter ${chapterNum}: ${chapter.title || ''}
+
+${chapter.content}`;
+  }
+
+  /** @private */
+  _novelPrompt(metadata, outlineChapters) {
+    return `Write the synopsis of this imported novel and plan what comes next.
+
+Novel: ${metadata.title}
+Genre: ${metadata.genre}
+Language: ${metadata.language}
+${metadata.premise ? `Premise: ${metadata.premise}\n` : ''}Next Chapters: ${this.nextChapters}
+
+Chapter Summaries:
+${outlineChapters.map(ch => `Ch${ch.number}${ch.title ? ` ${ch.title}` : ''}: ${ch.summary}`).join('\n')}`;
+  }
+
+  /**
+   * Call Radagast and parse its output
+   * @private
+   */
+  async _callRadagast(prompt) {
+    const config = getAgentConfig('radagast');
+    const client = this.modelClient || config.client;
+
+    const response = await client.generate({
+      agent: 'radagast',
+      model: config.model,
+      system: fs.readFileSync(path.join(this.promptsDir, config.promptFile), 'utf8'),
+      messages: [{ role: 'user', content: prompt }],
+      maxTokens: config.maxTokens,
+      temperature: config.temperature
+    });
+
+    if (!response?.text) {
+      throw new Error('radagast returned an empty response');
+    }
+
+    const cost = estimateCost('radagast', response.usage?.inputTokens || 0, response.usage?.outputTokens || 0);
+    console.log(`[ManuscriptImporter] Radagast call ($${cost.toFixed(4)})`);
+
+    const result = await this.validator.parseWithRepair('radagast', response.text);
+    return result.data;
+  }
+}
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+function cleanHeading(text) {
+  return text.replace(/\*\*|__/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Trimmed non-empty lines joined as blank-line separated paragraphs
+ * (drops the full-width indents Chinese web novels use)
+ */
+function toParagraphs(lines) {
+  return lines
+    .map(line => line.replace(/^[\s　]+|[\s　]+$/g, ''))
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1));
+      return String.fromCodePoint(point);
+    }
+    return ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+function union(a = [], b = []) {
+  return [...new Set([...(a || []), ...(b || [])])];
+}
+
+module.exports = {
+  ManuscriptImporter,
+  parseManuscript,
+  splitChapters,
+  matchChapterHeading,
+  readEpub,
+  detectLanguage
+};
@@ -17,11 +17,24 @@ class MessageBus {
       retryStrategy: (times) => Math.min(times * 50, 2000)
     });
 
-    // Separate subscriber connection (Redis Pub/Sub requirement)
-    this.subscriber = this.redis.duplicate();
+    // Separate subscriber connection (Redis Pub/Sub requirement), opened on first subscribe
+    // so publishing (and tests with a stub client) never needs a second connection
+    this.subscriber = null;
     this.subscriptions = new Map();
   }
 
+  /**
+   * Get (or open) the subscriber connection
+   * Clients without duplicate() (stubs, in-process fakes) subscribe on themselves.
+   * @private
+   */
+  _getSubscriber() {
+    if (!this.subscriber) {
+      this.subscriber = typeof this.redis.duplicate === 'function' ? this.redis.duplicate() : this.redis;
+    }
+    return this.subscriber;
+  }
+
   /**
    * Publish message to a specific agent
    *
@@ -93,17 +106,19 @@ class MessageBus {
     const channel = `agent:${agentId}`;
     const broadcastChannel = 'agent:broadcast';
 
+    const subscriber = this._getSubscriber();
+
     // Subscribe to agent-specific channel
-    await this.subscriber.subscribe(channel);
+    await subscriber.subscribe(channel);
 
     // Also subscribe to broadcast channel
-    await this.subscriber.subscribe(broadcastChannel);
+    await subscriber.subscribe(broadcastChannel);
 
     // Store handler
     this.subscriptions.set(agentId, handler);
 
     // Handle incoming messages
-    this.subscriber.on('message', async (chan, msg) => {
+    subscriber.on('message', async (chan, msg) => {
       if (chan === channel || chan === broadcastChannel) {
         try {
           const message = JSON.parse(msg);
@@ -158,7 +173,9 @@ class MessageBus {
    */
   async unsubscribe(agentId) {
     const channel = `agent:${agentId}`;
-    await this.subscriber.unsubscribe(channel);
+    if (this.subscriber) {
+      await this.subscriber.unsubscribe(channel);
+    }
     this.subscriptions.delete(agentId);
   }
 
@@ -245,7 +262,9 @@ class MessageBus {
    */
   async close() {
     await this.redis.quit();
-    await this.subscriber.quit();
+    if (this.subscriber && this.subscriber !== this.redis) {
+      await this.subscriber.quit();
+    }
   }
 }
 
@@ -8,8 +8,12 @@
  *   - Gandalf: Planning Agent (strategist, sees the big picture)
  *   - Frodo: Writing Agent (does the work, carries the burden)
  *   - Elrond: Critic Agent (wise judge, evaluates quality)
+ *   - Shadowfax: Summary Agent (swift, compresses chapters into recaps)
+ *   - Radagast: Extraction Agent (the watcher, catalogues imported manuscripts)
  */
 
+const { getProvider } = require('./llm-providers');
+
 const MODEL_TIERS = {
   // Tier 1: Expensive, high reasoning (planning, evaluation)
   OPUS: {
@@ -59,19 +63,26 @@ const MODEL_TIERS = {
  *   - tier: Which model tier to use
  *   - role: Description for logging/debugging
  *   - outputFormat: 'text' (with markers) or 'json'
- *   - markers: Section markers for text parsing
+ *   - markers: Section markers for text parsing (see output-parser.js)
+ *   - promptFile: System prompt file in src/agent-prompts/
  */
 const AGENT_CONFIG = {
   gandalf: {
     tier: 'OPUS',
     role: 'Planning Agent - Novel structure, plot arcs, chapter outlines',
     outputFormat: 'text',
+    promptFile: 'gandalf-planning.md',
     markers: {
       title: '## TITLE',
       synopsis: '## SYNOPSIS',
+      acts: '## ACTS',
+      arcs: '## ARCS',
       chapters: '## CHAPTERS',
       characters: '## CHARACTERS',
-      notes: '## NOTES'
+      worldbuilding: '## WORLDBUILDING',
+      themes: '## THEMES',
+      notes: '## NOTES',
+      storyBible: '## STORY BIBLE'
     }
   },
 
@@ -79,11 +90,13 @@ const AGENT_CONFIG = {
     tier: 'SONNET',  // Will switch to LOCAL after fine-tuning
     role: 'Writing Agent - Generates actual chapter prose',
     outputFormat: 'text',
+    promptFile: 'frodo-writing.md',
     markers: {
       title: '## CHAPTER TITLE',
       content: '## CONTENT',
       wordCount: '## WORD COUNT',
-      notes: '## AUTHOR NOTES'
+      notes: '## AUTHOR NOTES',
+      bibleUpdates: '## BIBLE UPDATES'
     }
   },
 
@@ -91,12 +104,42 @@ const AGENT_CONFIG = {
     tier: 'OPUS',
     role: 'Critic Agent - Evaluates quality, generates training signal',
     outputFormat: 'text',
+    promptFile: 'elrond-critic.md',
     markers: {
       score: '## SCORE',
       strengths: '## STRENGTHS',
       weaknesses: '## WEAKNESSES',
       revision: '## SUGGESTED REVISION',
-      preference: '## PREFERENCE'  // For DPO training pairs
+      preference: '## PREFERENCE',  // For DPO training pairs
+      notes: '## NOTES',
+      bibleConsistency: '## BIBLE CONSISTENCY'
+    }
+  },
+
+  shadowfax: {
+    tier: 'HAIKU',
+    role: 'Summary Agent - Rolling chapter summaries and arc recaps',
+    outputFormat: 'text',
+    promptFile: 'shadowfax-summary.md',
+    markers: {
+      summary: '## SUMMARY',
+      keyEvents: '## KEY EVENTS',
+      openThreads: '## OPEN THREADS'
+    }
+  },
+
+  radagast: {
+    tier: 'SONNET',
+    role: 'Extraction Agent - Reverse-engineers story bible and outline from imported chapters',
+    outputFormat: 'text',
+    promptFile: 'radagast-extraction.md',
+    markers: {
+      summary: '## SUMMARY',
+      characters: '## CHARACTERS',
+      worldFacts: '## WORLD FACTS',
+      timeline: '## TIMELINE EVENTS',
+      chekhovs: '## CHEKHOVS',
+      nextChapters: '## NEXT CHAPTERS'
     }
   }
 };
@@ -104,13 +147,20 @@ const AGENT_CONFIG = {
 /**
  * Get full model config for an agent
  *
- * @param {string} agentName - 'gandalf', 'frodo', or 'elrond'
- * @returns {Object} Combined agent + model tier config
+ * The returned config carries a ready-to-use `client`:
+ *   const { client } = getAgentConfig('frodo');
+ *   const { text, usage } = await client.generate({ system, messages });
+ *
+ * The client is resolved from the agent's current tier on every call, so
+ * switchAgentTier('frodo', 'LOCAL') redirects subsequent traffic.
+ *
+ * @param {string} agentName - 'gandalf', 'frodo', 'elrond', 'shadowfax' or 'radagast'
+ * @returns {Object} Combined agent + model tier config (+ client)
  */
 function getAgentConfig(agentName) {
   const agent = AGENT_CONFIG[agentName.toLowerCase()];
   if (!agent) {
-    throw new Error(`Unknown agent: ${agentName}. Valid agents: gandalf, frodo, elrond`);
+    throw new Error(`Unknown agent: ${agentName}. Valid agents: ${Object.keys(AGENT_CONFIG).join(', ')}`);
   }
 
   const tier = MODEL_TIERS[agent.tier];
@@ -118,11 +168,23 @@ function getAgentConfig(agentName) {
     throw new Error(`Unknown tier: ${agent.tier} for agent ${agentName}`);
   }
 
-  return {
+  const config = {
     name: agentName,
     ...agent,
     ...tier
   };
+
+  config.client = {
+    generate: (request) => getProvider(config.provider).generate({
+      model: config.model,
+      maxTokens: config.maxTokens,
+      temperature: config.temperature,
+      ...request,
+      agent: agentName.toLowerCase()
+    })
+  };
+
+  return config;
 }
 
 /**
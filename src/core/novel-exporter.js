@@ -0,0 +1,570 @@
+/**
+ * ILUVATAR - Novel Exporter
+ *
+ * Renders a novel for reading outside Discord:
+ *
+ *   epub   EPUB 3 with nav + NCX table of contents, OPF metadata and
+ *          language tags; CJK novels get a CJK serif font stack and
+ *          2-character paragraph indents
+ *   docx   Word document, one Heading 1 per chapter (so Word's navigation
+ *          pane works), East Asian font and language set in the styles
+ *   html   One standalone page with a linked table of contents
+ *   txt    Plain text laid out for web-novel sites: "第N章 标题" headings and
+ *          full-width indents for Chinese, "Chapter N: Title" for English
+ *
+ * Formats live in a registry (registerFormat) like the embedders and LLM
+ * providers. Every renderer takes the same book model (buildBook), so an
+ * omnibus or any other chapter list can be rendered the same way.
+ *
+ * Files go to the output directory (default data/exports) or, with an
+ * S3Storage, to novels/{novelId}/exports/ in the bucket.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { splitScenes } = require('./scene-chunker');
+const { createZip } = require('./zip');
+
+// BCP 47 tags for the novel languages
+const LANGUAGE_TAGS = {
+  zh: 'zh-CN',
+  en: 'en'
+};
+
+// Serif stacks; CJK readers fall back through the common system fonts
+const FONT_STACKS = {
+  zh: '"Noto Serif CJK SC", "Source Han Serif SC", "Songti SC", "SimSun", serif',
+  en: 'Georgia, "Times New Roman", serif'
+};
+
+// ============================================================
+// BOOK MODEL
+// ============================================================
+
+/**
+ * Build the format-independent book from a novel's state
+ *
+ * @param {Object} state - Novel state from NovelManager.getNovelState
+ * @param {Object} options
+ * @param {boolean} options.approvedOnly - Only approved chapters (default: false)
+ * @param {string} options.author - Author name (default: EXPORT_AUTHOR or "ILUVATAR")
+ * @returns {Object} { id, title, author, language, genre, synopsis, chapters: [{ number, title, heading, scenes: [[paragraph]] }] }
+ */
+function buildBook(state, options = {}) {
+  const { metadata } = state;
+  const language = metadata.language || 'en';
+  const outlined = new Map((state.outline?.chapters || []).map(ch => [ch.number, ch]));
+
+  const chapters = Object.keys(state.chapters || {})
+    .map(Number)
+    .sort((a, b) => a - b)
+    .filter(n => state.chapters[n]?.content && (!options.approvedOnly || state.chapters[n].approved))
+    .map(n => {
+      const title = state.chapters[n].title || outlined.get(n)?.title || '';
+      return {
+        number: n,
+        title,
+        heading: chapterHeading(n, title, language),
+        scenes: splitScenes(state.chapters[n].content).map(scene => scene.map(p => p.text))
+      };
+    });
+
+  return {
+    id: metadata.id,
+    title: state.outline?.title || metadata.title,
+    author: options.author || process.env.EXPORT_AUTHOR || 'ILUVATAR',
+    language,
+    genre: metadata.genre || null,
+    synopsis: state.outline?.synopsis || metadata.premise || '',
+    chapters
+  };
+}
+
+function chapterHeading(number, title, language) {
+  if (language === 'zh') {
+    return `第${number}章${title ? ` ${title}` : ''}`;
+  }
+  return `Chapter ${number}${title ? `: ${title}` : ''}`;
+}
+
+// ============================================================
+// FORMATS
+// ============================================================
+
+const FORMATS = {
+  epub: { extension: 'epub', mimeType: 'application/epub+zip', render: renderEpub },
+  docx: { extension: 'docx', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', render: renderDocx },
+  html: { extension: 'html', mimeType: 'text/html', render: renderHtml },
+  txt: { extension: 'txt', mimeType: 'text/plain', render: renderTxt }
+};
+
+/**
+ * Register (or replace) an export format
+ *
+ * @param {string} name - Format name
+ * @param {Object} format - { extension, mimeType, render(book) -> Buffer|string }
+ */
+function registerFormat(name, format) {
+  FORMATS[name] = format;
+}
+
+/**
+ * Get an export format by name
+ *
+ * @param {string} name - Format name
+ * @returns {Object} { extension, mimeType, render }
+ */
+function getFormat(name) {
+  const format = FORMATS[name];
+  if (!format) {
+    throw new Error(`Unknown export format: ${name}. Registered: ${Object.keys(FORMATS).join(', ')}`);
+  }
+  return format;
+}
+
+// ------------------------------------------------------------
+// EPUB 3
+// ------------------------------------------------------------
+
+function renderEpub(book) {
+  const lang = languageTag(book.language);
+  const files = book.chapters.map(ch => ({ ...ch, id: `chapter-${pad(ch.number)}`, href: `chapter-${pad(ch.number)}.xhtml` }));
+  const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+
+  const page = (title, body) => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}">
+<head>
+  <meta charset="UTF-8"/>
+  <title>${xml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="styles.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+
+  const container = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+  const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${lang}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">urn:uuid:${bookUuid(book)}</dc:identifier>
+    <dc:title>${xml(book.title)}</dc:title>
+    <dc:language>${lang}</dc:language>
+    <dc:creator>${xml(book.author)}</dc:creator>
+${book.synopsis ? `    <dc:description>${xml(book.synopsis)}</dc:description>\n` : ''}${book.genre ? `    <dc:subject>${xml(book.genre)}</dc:subject>\n` : ''}    <meta property="dcterms:modified">${modified}</meta>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+    <item id="css" href="styles.css" media-type="text/css"/>
+    <item id="title-page" href="title.xhtml" media-type="application/xhtml+xml"/>
+${files.map(f => `    <item id="${f.id}" href="${f.href}" media-type="application/xhtml+xml"/>`).join('\n')}
+  </manifest>
+  <spine toc="ncx">
+    <itemref idref="title-page"/>
+    <itemref idref="nav"/>
+${files.map(f => `    <itemref idref="${f.id}"/>`).join('\n')}
+  </spine>
+</package>
+`;
+
+  const nav = page(book.language === 'zh' ? '目录' : 'Contents', `  <nav epub:type="toc" id="toc">
+    <h1>${book.language === 'zh' ? '目录' : 'Contents'}</h1>
+    <ol>
+${files.map(f => `      <li><a href="${f.href}">${xml(f.heading)}</a></li>`).join('\n')}
+    </ol>
+  </nav>`);
+
+  // EPUB 2 table of contents, still read by older readers
+  const ncx = `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1" xml:lang="${lang}">
+  <head>
+    <meta name="dtb:uid" content="urn:uuid:${bookUuid(book)}"/>
+    <meta name="dtb:depth" content="1"/>
+  </head>
+  <docTitle><text>${xml(book.title)}</text></docTitle>
+  <navMap>
+${files.map((f, i) => `    <navPoint id="nav-${f.id}" playOrder="${i + 1}">
+      <navLabel><text>${xml(f.heading)}</text></navLabel>
+      <content src="${f.href}"/>
+    </navPoint>`).join('\n')}
+  </navMap>
+</ncx>
+`;
+
+  const titlePage = page(book.title, `  <section epub:type="titlepage" class="title-page">
+    <h1 class="book-title">${xml(book.title)}</h1>
+    <p class="author">${xml(book.author)}</p>
+${book.synopsis ? splitLines(book.synopsis).map(p => `    <p class="synopsis">${xml(p)}</p>`).join('\n') : ''}
+  </section>`);
+
+  return createZip([
+    { name: 'mimetype', data: 'application/epub+zip', store: true },
+    { name: 'META-INF/container.xml', data: container },
+    { name: 'OEBPS/content.opf', data: opf },
+    { name: 'OEBPS/nav.xhtml', data: nav },
+    { name: 'OEBPS/toc.ncx', data: ncx },
+    { name: 'OEBPS/styles.css', data: stylesheet(book.language) },
+    { name: 'OEBPS/title.xhtml', data: titlePage },
+    ...files.map(f => ({
+      name: `OEBPS/${f.href}`,
+      data: page(f.heading, `  <section epub:type="chapter" id="${f.id}">
+    <h2>${xml(f.heading)}</h2>
+${scenesToHtml(f.scenes, '    ')}
+  </section>`)
+    }))
+  ]);
+}
+
+// ------------------------------------------------------------
+// DOCX
+// ------------------------------------------------------------
+
+function renderDocx(book) {
+  const lang = languageTag(book.language);
+  const zh = book.language === 'zh';
+  const created = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+
+  const paragraph = (text, style, extra = '') =>
+    `<w:p><w:pPr>${style ? `<w:pStyle w:val="${style}"/>` : ''}${extra}</w:pPr><w:r><w:t xml:space="preserve">${xml(text)}</w:t></w:r></w:p>`;
+
+  const body = [
+    paragraph(book.title, 'Title'),
+    paragraph(book.author, 'Subtitle'),
+    ...splitLines(book.synopsis).map(p => paragraph(p, null)),
+    ...book.chapters.flatMap(ch => [
+      paragraph(ch.heading, 'Heading1', '<w:pageBreakBefore/>'),
+      ...ch.scenes.flatMap((scene, i) => [
+        ...(i > 0 ? [paragraph(zh ? '※ ※ ※' : '* * *', 'SceneBreak')] : []),
+        ...scene.map(p => paragraph(p, null))
+      ])
+    ])
+  ].join('\n    ');
+
+  const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+  <w:body>
+    ${body}
+    <w:sectPr>
+      <w:pgSz w:w="11906" w:h="16838"/>
+      <w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/>
+    </w:sectPr>
+  </w:body>
+</w:document>
+`;
+
+  const styles = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+  <w:docDefaults>
+    <w:rPrDefault>
+      <w:rPr>
+        <w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:eastAsia="SimSun" w:cs="Times New Roman"/>
+        <w:sz w:val="24"/>
+        <w:lang w:val="${zh ? 'zh-CN' : 'en-US'}" w:eastAsia="zh-CN"/>
+      </w:rPr>
+    </w:rPrDefault>
+    <w:pPrDefault>
+      <w:pPr><w:spacing w:after="0" w:line="${zh ? 400 : 360}" w:lineRule="auto"/></w:pPr>
+    </w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal">
+    <w:name w:val="Normal"/>
+    <w:pPr><w:ind ${zh ? 'w:firstLineChars="200"' : 'w:firstLine="360"'}/></w:pPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Title">
+    <w:name w:val="Title"/>
+    <w:basedOn w:val="Normal"/>
+    <w:pPr><w:jc w:val="center"/><w:ind w:firstLine="0" w:firstLineChars="0"/><w:spacing w:before="2400" w:after="240"/></w:pPr>
+    <w:rPr><w:b/><w:sz w:val="48"/></w:rPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Subtitle">
+    <w:name w:val="Subtitle"/>
+    <w:basedOn w:val="Normal"/>
+    <w:pPr><w:jc w:val="center"/><w:ind w:firstLine="0" w:firstLineChars="0"/><w:spacing w:after="480"/></w:pPr>
+    <w:rPr><w:sz w:val="28"/></w:rPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Heading1">
+    <w:name w:val="heading 1"/>
+    <w:basedOn w:val="Normal"/>
+    <w:next w:val="Normal"/>
+    <w:pPr><w:keepNext/><w:jc w:val="center"/><w:ind w:firstLine="0" w:firstLineChars="0"/><w:spacing w:before="480" w:after="360"/><w:outlineLvl w:val="0"/></w:pPr>
+    <w:rPr><w:b/><w:sz w:val="32"/></w:rPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="SceneBreak">
+    <w:name w:val="Scene Break"/>
+    <w:basedOn w:val="Normal"/>
+    <w:pPr><w:jc w:val="center"/><w:ind w:firstLine="0" w:firstLineChars="0"/><w:spacing w:before="240" w:after="240"/></w:pPr>
+  </w:style>
+</w:styles>
+`;
+
+  const contentTypes = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+  <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>
+`;
+
+  const rootRels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>
+`;
+
+  const documentRels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>
+`;
+
+  const core = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <dc:title>${xml(book.title)}</dc:title>
+  <dc:creator>${xml(book.author)}</dc:creator>
+  <dc:language>${lang}</dc:language>
+${book.genre ? `  <cp:keywords>${xml(book.genre)}</cp:keywords>\n` : ''}  <dcterms:created xsi:type="dcterms:W3CDTF">${created}</dcterms:created>
+</cp:coreProperties>
+`;
+
+  return createZip([
+    { name: '[Content_Types].xml', data: contentTypes },
+    { name: '_rels/.rels', data: rootRels },
+    { name: 'word/document.xml', data: document },
+    { name: 'word/styles.xml', data: styles },
+    { name: 'word/_rels/document.xml.rels', data: documentRels },
+    { name: 'docProps/core.xml', data: core }
+  ]);
+}
+
+// ------------------------------------------------------------
+// HTML
+// ------------------------------------------------------------
+
+function renderHtml(book) {
+  const lang = languageTag(book.language);
+  const contents = book.language === 'zh' ? '目录' : 'Contents';
+
+  return `<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="author" content="${xml(book.author)}">
+  <title>${xml(book.title)}</title>
+  <style>
+${stylesheet(book.language)}    body { max-width: 40em; margin: 0 auto; padding: 1em; }
+  </style>
+</head>
+<body>
+  <header class="title-page">
+    <h1 class="book-title">${xml(book.title)}</h1>
+    <p class="author">${xml(book.author)}</p>
+${splitLines(book.synopsis).map(p => `    <p class="synopsis">${xml(p)}</p>`).join('\n')}
+  </header>
+  <nav id="toc">
+    <h2>${contents}</h2>
+    <ol>
+${book.chapters.map(ch => `      <li><a href="#chapter-${ch.number}">${xml(ch.heading)}</a></li>`).join('\n')}
+    </ol>
+  </nav>
+${book.chapters.map(ch => `  <section class="chapter" id="chapter-${ch.number}">
+    <h2>${xml(ch.heading)}</h2>
+${scenesToHtml(ch.scenes, '    ')}
+  </section>`).join('\n')}
+</body>
+</html>
+`;
+}
+
+// ------------------------------------------------------------
+// TXT (web-novel sites)
+// ------------------------------------------------------------
+
+function renderTxt(book) {
+  const zh = book.language === 'zh';
+  const indent = zh ? '　　' : '';
+  const sceneBreak = zh ? '　　※ ※ ※' : '* * *';
+
+  const parts = [book.title, zh ? `作者：${book.author}` : `by ${book.author}`];
+  if (book.synopsis) {
+    parts.push(`${zh ? '简介' : 'Synopsis'}\n\n${splitLines(book.synopsis).map(p => indent + p).join('\n\n')}`);
+  }
+  for (const ch of book.chapters) {
+    const scenes = ch.scenes.map(scene => scene.map(p => indent + p).join('\n\n'));
+    parts.push(`${ch.heading}\n\n${scenes.join(`\n\n${sceneBreak}\n\n`)}`);
+  }
+  return parts.join('\n\n\n') + '\n';
+}
+
+// ============================================================
+// EXPORTER
+// ============================================================
+
+class NovelExporter {
+  /**
+   * @param {Object} novelManager - NovelManager instance
+   * @param {Object} options - Configuration
+   * @param {string} options.outputDir - Output directory (default: data/exports)
+   * @param {Object} options.s3Storage - S3Storage instance (optional, for destination 's3')
+   * @param {string} options.author - Author name on exports (default: EXPORT_AUTHOR or "ILUVATAR")
+   */
+  constructor(novelManager, options = {}) {
+    if (!novelManager) {
+      throw new Error('NovelExporter requires a NovelManager instance');
+    }
+    this.novelManager = novelManager;
+    this.outputDir = options.outputDir || path.join(process.cwd(), 'data', 'exports');
+    this.s3Storage = options.s3Storage || null;
+    this.author = options.author || null;
+  }
+
+  /**
+   * Render a novel in a format
+   *
+   * @param {string} novelId - Novel ID
+   * @param {string} format - epub | docx | html | txt (or a registered format)
+   * @param {Object} options
+   * @param {boolean} options.approvedOnly - Only approved chapters (default: false)
+   * @returns {Promise<Object>} { format, fileName, mimeType, buffer, bytes, chapters }
+   */
+  async render(novelId, format, options = {}) {
+    const renderer = getFormat(format);
+    const state = await this.novelManager.getNovelState(novelId, { include: ['outline', 'chapters'] });
+    if (!state) {
+      throw new Error(`Novel not found: ${novelId}`);
+    }
+
+    const book = buildBook(state, { approvedOnly: options.approvedOnly, author: this.author });
+    if (book.chapters.length === 0) {
+      throw new Error(`Novel ${novelId} has no ${options.approvedOnly ? 'approved' : 'written'} chapters to export`);
+    }
+
+    const rendered = renderer.render(book);
+    const buffer = Buffer.isBuffer(rendered) ? rendered : Buffer.from(rendered, 'utf8');
+    return {
+      format,
+      fileName: `${fileSlug(book.title) || novelId}.${renderer.extension}`,
+      mimeType: renderer.mimeType,
+      buffer,
+      bytes: buffer.length,
+      chapters: book.chapters.length
+    };
+  }
+
+  /**
+   * Render a novel and write it to disk or S3
+   *
+   * @param {string} novelId - Novel ID
+   * @param {string} format - epub | docx | html | txt
+   * @param {Object} options
+   * @param {string} options.destination - 'file' or 's3' (default: file)
+   * @param {boolean} options.approvedOnly - Only approved chapters (default: false)
+   * @returns {Promise<Object>} render() result plus { path } or { key }
+   */
+  async export(novelId, format, options = {}) {
+    const result = await this.render(novelId, format, options);
+
+    if (options.destination === 's3') {
+      if (!this.s3Storage) {
+        throw new Error('S3 export requires an S3Storage instance');
+      }
+      result.key = await this.s3Storage.saveExport(novelId, result.fileName, result.buffer, result.mimeType);
+    } else {
+      const dir = path.join(this.outputDir, novelId);
+      fs.mkdirSync(dir, { recursive: true });
+      result.path = path.join(dir, result.fileName);
+      fs.writeFileSync(result.path, result.buffer);
+    }
+
+    console.log(`[NovelExporter] Exported ${novelId} as ${format} (${result.chapters} chapters, ${result.bytes} bytes) to ${result.key || result.path}`);
+    return result;
+  }
+}
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+function languageTag(language) {
+  return LANGUAGE_TAGS[language] || language || 'en';
+}
+
+function pad(n) {
+  return String(n).padStart(3, '0');
+}
+
+/**
+ * Stable UUID for a book, so re-exports replace rather than duplicate it in reader libraries
+ */
+function bookUuid(book) {
+  const hex = crypto.createHash('sha1').update(`iluvatar:${book.id || book.title}`).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16)}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+function splitLines(text) {
+  return (text || '').split(/\n+/).map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Escape text for XML/HTML (dropping control characters XML forbids)
+ */
+function xml(text) {
+  return String(text ?? '')
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function scenesToHtml(scenes, indent) {
+  return scenes
+    .map(scene => scene.map(p => `${indent}<p>${xml(p)}</p>`).join('\n'))
+    .join(`\n${indent}<p class="scene-break">* * *</p>\n`);
+}
+
+function stylesheet(language) {
+  const zh = language === 'zh';
+  return `    body { font-family: ${FONT_STACKS[zh ? 'zh' : 'en']}; line-height: ${zh ? 1.8 : 1.5}; }
+    h1, h2 { text-align: center; font-weight: bold; }
+    p { margin: 0; text-indent: ${zh ? '2em' : '1.5em'}; }
+    p.scene-break { text-indent: 0; text-align: center; margin: 1em 0; }
+    .title-page { text-align: center; margin-top: 20%; }
+    .title-page p { text-indent: 0; }
+    .title-page p.synopsis { text-align: left; margin-top: 0.5em; }
+    nav ol { list-style: none; padding: 0; }
+`;
+}
+
+/**
+ * File name from a title (keeps CJK, drops characters filesystems reject)
+ */
+function fileSlug(title) {
+  return (title || '')
+    .trim()
+    .replace(/[\\/:*?"<>|\x00-\x1f]+/g, '')
+    .replace(/\s+/g, '-')
+    .substring(0, 80);
+}
+
+module.exports = {
+  NovelExporter,
+  buildBook,
+  registerFormat,
+  getFormat,
+  LANGUAGE_TAGS
+};
@@ -0,0 +1,450 @@
+/**
+ * ILUVATAR - Novel History
+ *
+ * Append-only event log per novel. NovelManager overwrites metadata,
+ * chapters and the story bible in place; every change it makes is also
+ * recorded here, so "who changed this character's status, and when" and
+ * "what did the bible look like when chapter 30 was written" stay answerable.
+ *
+ * Event types (data):
+ *   novel.created      { metadata }
+ *   novel.updated      { changes }                      metadata edits (channel, series, import)
+ *   novel.status       { from, to }                     pause, resume, complete
+ *   novel.restored     { data, backup }                 full state from a backup
+ *   outline.saved      { outline, reason }
+ *   outline.approved   {}
+ *   chapter.saved      { chapterNum, chapter, reason }  written | revised | rolled back
+ *   chapter.approved   { chapterNum, approvedAt }
+ *   critique.saved     { chapterNum, critique, passed }
+ *   bible.changed      { section, key, before, after }  one event per entry (null = added/removed)
+ *   bible.staged       { entries }                      Frodo's updates held for review (bible-extractor.js)
+ *   bible.reviewed     { ids, approved }
+ *   feedback.stored    { feedback }
+ *   recall.started     { target, cascadePending }
+ *   recall.completed   { cascade, cascadePending }
+ *   cascade.progress   { chapterNum, remaining }        a recalled chapter's successor was regenerated
+ *   cascade.completed  { chapterNum }                   ...and it was the last one
+ *
+ * Every event: { seq, type, novelId, actor, at, version, data, metadata }
+ *   actor:    { type: 'agent' | 'user' | 'system', id, name } (user = Discord user)
+ *   version:  StateManager version of the novel scope after the write
+ *   metadata: the novel's metadata after the write, on events that changed it
+ *
+ * Events are appended after their write succeeds; the scoped state stays
+ * the source of truth. Projections fold the log back into state
+ * (projectEvents), and getStateAt() stops the fold at a moment or at the
+ * save of a chapter.
+ */
+
+// Who changed state when NovelManager is used without withActor()
+const SYSTEM_ACTOR = { type: 'system', id: 'novel-manager' };
+
+// Story bible sections and how an entry is identified within its section
+const BIBLE_SECTIONS = {
+  characters: null,                                      // object keyed by ID
+  relationships: r => `${r.from} -> ${r.to} (${r.type})`,
+  plotThreads: t => t.id,
+  worldFacts: f => f.fact,
+  timeline: e => `ch${e.chapter}: ${e.event}`,
+  chekhovs: c => c.item
+};
+
+// Metadata fields that change on every write and say nothing about the edit
+const NOISE_FIELDS = ['updatedAt', 'addedAt', 'savedAt'];
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function emptyBible() {
+  return Object.fromEntries(Object.keys(BIBLE_SECTIONS).map(s => [s, s === 'characters' ? {} : []]));
+}
+
+// ============================================================
+// ACTORS
+// ============================================================
+
+/**
+ * Normalize an actor: an agent name ('frodo'), a Discord user object, or an actor
+ *
+ * @param {string|Object} actor - Agent name or { type, id, name }
+ * @returns {Object} { type, id, name? }
+ */
+function normalizeActor(actor) {
+  if (!actor) return SYSTEM_ACTOR;
+  if (typeof actor === 'string') return { type: 'agent', id: actor };
+
+  const normalized = { type: actor.type || 'agent', id: String(actor.id) };
+  if (actor.name) normalized.name = actor.name;
+  return normalized;
+}
+
+/**
+ * Actor for a Discord user (interaction.user)
+ *
+ * @param {Object} user - discord.js User
+ * @returns {Object} { type: 'user', id, name }
+ */
+function discordActor(user) {
+  return { type: 'user', id: user.id, name: user.globalName || user.username };
+}
+
+/**
+ * Agent ID to pass to StateManager for an actor (shows up in its write log)
+ *
+ * @param {Object} actor - Normalized actor
+ * @returns {string} e.g. 'frodo' or 'discord:1234'
+ */
+function actorLabel(actor) {
+  return actor.type === 'user' ? `discord:${actor.id}` : actor.id;
+}
+
+/**
+ * Display name for an actor
+ *
+ * @param {Object} actor - Normalized actor
+ * @returns {string} e.g. 'Frodo' or '@alice'
+ */
+function formatActor(actor) {
+  if (!actor) return 'unknown';
+  if (actor.type === 'user') return `@${actor.name || actor.id}`;
+  return actor.id.charAt(0).toUpperCase() + actor.id.slice(1);
+}
+
+// ============================================================
+// STORY BIBLE DIFF
+// ============================================================
+
+/**
+ * Entries of one bible section by key, in order
+ * Repeated keys in list sections get a " #2", " #3"... suffix.
+ */
+function keyedEntries(section, value) {
+  if (section === 'characters') {
+    return new Map(Object.entries(value || {}));
+  }
+
+  const keyOf = BIBLE_SECTIONS[section];
+  const entries = new Map();
+  for (const entry of value || []) {
+    const base = String(keyOf(entry));
+    let key = base;
+    for (let n = 2; entries.has(key); n++) key = `${base} #${n}`;
+    entries.set(key, entry);
+  }
+  return entries;
+}
+
+/**
+ * Changed entries between two versions of a story bible
+ *
+ * @param {Object} before - Story bible before the write
+ * @param {Object} after - Story bible after the write
+ * @returns {Array} [{ section, key, before, after }] - before is null for new entries, after for removed ones
+ */
+function diffBible(before, after) {
+  const changes = [];
+
+  for (const section of Object.keys(BIBLE_SECTIONS)) {
+    const old = keyedEntries(section, before?.[section]);
+    const now = keyedEntries(section, after?.[section]);
+
+    for (const [key, entry] of now) {
+      if (JSON.stringify(old.get(key)) !== JSON.stringify(entry)) {
+        changes.push({ section, key, before: clone(old.get(key)) ?? null, after: clone(entry) });
+      }
+    }
+    for (const [key, entry] of old) {
+      if (!now.has(key)) {
+        changes.push({ section, key, before: clone(entry), after: null });
+      }
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Apply one bible.changed event to a story bible (in place)
+ *
+ * @param {Object} bible - Story bible
+ * @param {Object} change - { section, key, after }
+ * @returns {Object} The bible
+ */
+function applyBibleChange(bible, { section, key, after }) {
+  const entries = keyedEntries(section, bible[section]);
+  if (after === null) {
+    entries.delete(key);
+  } else {
+    entries.set(key, clone(after));
+  }
+
+  if (section === 'characters') {
+    bible.characters = Object.fromEntries(entries);
+  } else {
+    bible[section] = [...entries.values()];
+    if (section === 'timeline') {
+      bible.timeline.sort((a, b) => a.chapter - b.chapter);
+    }
+  }
+  return bible;
+}
+
+/**
+ * Fields that differ between two versions of an entry (timestamps ignored)
+ *
+ * @param {Object|null} before - Entry before
+ * @param {Object|null} after - Entry after
+ * @returns {Array<string>} Field names
+ */
+function changedFields(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...fields].filter(field =>
+    !NOISE_FIELDS.includes(field) &&
+    JSON.stringify(before?.[field]) !== JSON.stringify(after?.[field])
+  );
+}
+
+// ============================================================
+// PROJECTIONS
+// ============================================================
+
+/**
+ * Fold events into novel state
+ *
+ * @param {Array} events - Events, oldest first
+ * @param {string} novelId - Novel ID
+ * @returns {Object|null} { novelId, metadata, outline, chapters, critiques, feedback, storyBible,
+ *                          seq, version, at } - null if the novel was never created
+ */
+function projectEvents(events, novelId) {
+  let state = null;
+
+  for (const event of events) {
+    if (!state) {
+      state = {
+        novelId,
+        metadata: null,
+        outline: null,
+        chapters: {},
+        critiques: {},
+        feedback: [],
+        storyBible: emptyBible()
+      };
+    }
+    applyEvent(state, event);
+  }
+
+  return state?.metadata ? state : null;
+}
+
+/**
+ * Apply one event to a projection (in place)
+ * @private
+ */
+function applyEvent(state, event) {
+  const { data } = event;
+
+  switch (event.type) {
+    case 'novel.restored': {
+      const restored = clone(data.data);
+      state.outline = restored.outline ?? null;
+      state.chapters = restored.chapters || {};
+      state.critiques = restored.critiques || {};
+      state.feedback = restored.feedback || [];
+      state.storyBible = { ...emptyBible(), ...restored.storyBible };
+      state.metadata = restored.metadata;
+      break;
+    }
+    case 'outline.saved':
+      state.outline = clone(data.outline);
+      break;
+    case 'chapter.saved':
+      state.chapters[data.chapterNum] = clone(data.chapter);
+      break;
+    case 'chapter.approved':
+      if (state.chapters[data.chapterNum]) {
+        state.chapters[data.chapterNum].approved = true;
+        state.chapters[data.chapterNum].approvedAt = data.approvedAt;
+      }
+      break;
+    case 'critique.saved':
+      state.critiques[data.chapterNum] = clone(data.critique);
+      if (state.chapters[data.chapterNum]) {
+        state.chapters[data.chapterNum].score = data.critique.score;
+      }
+      break;
+    case 'bible.changed':
+      applyBibleChange(state.storyBible, data);
+      break;
+    case 'feedback.stored':
+      state.feedback.push(clone(data.feedback));
+      break;
+  }
+
+  // Metadata travels whole on the events that changed it
+  if (event.metadata) {
+    state.metadata = clone(event.metadata);
+  }
+
+  state.seq = event.seq;
+  state.version = event.version ?? state.version;
+  state.at = event.at;
+  return state;
+}
+
+class NovelHistory {
+  /**
+   * @param {Object} stateManager - StateManager instance
+   */
+  constructor(stateManager) {
+    if (!stateManager) {
+      throw new Error('NovelHistory requires a StateManager instance');
+    }
+    this.state = stateManager;
+  }
+
+  getScope(novelId) {
+    return `novel:${novelId}`;
+  }
+
+  /**
+   * Append an event to a novel's log
+   *
+   * @param {string} novelId - Novel ID
+   * @param {string} type - Event type (see header)
+   * @param {Object} data - Event data
+   * @param {Object} options
+   * @param {string|Object} options.actor - Agent name or actor (default: system)
+   * @param {number} options.version - Scope version after the write
+   * @param {Object} options.metadata - Novel metadata after the write, if it changed
+   * @returns {Promise<Object>} The recorded event
+   */
+  async record(novelId, type, data, options = {}) {
+    const event = {
+      type,
+      novelId,
+      actor: normalizeActor(options.actor),
+      at: new Date().toISOString(),
+      version: options.version ?? null,
+      data: data || {}
+    };
+    if (options.metadata) {
+      event.metadata = options.metadata;
+    }
+
+    const seq = await this.state.appendEvent(this.getScope(novelId), event);
+    return { seq, ...event };
+  }
+
+  /**
+   * Read a novel's events, oldest first
+   *
+   * @param {string} novelId - Novel ID
+   * @param {Object} filters
+   * @param {string|Array} filters.type - Event type(s), or a prefix ending in '.' ('bible.')
+   * @param {string} filters.actor - Actor ID (agent name or Discord user ID)
+   * @param {number} filters.chapter - Events about this chapter
+   * @param {string} filters.entry - bible.changed events for this entry key (e.g. char-kael)
+   * @param {Date|string} filters.since - Only events at or after this moment
+   * @param {Date|string} filters.until - Only events at or before this moment
+   * @param {number} filters.limit - Keep only the newest N matches
+   * @returns {Promise<Array>} Events with their seq
+   */
+  async getEvents(novelId, filters = {}) {
+    const events = (await this.state.readEvents(this.getScope(novelId)))
+      .map((event, i) => ({ seq: i + 1, ...event }));
+
+    const types = filters.type ? [].concat(filters.type) : null;
+    const since = filters.since ? new Date(filters.since).getTime() : null;
+    const until = filters.until ? new Date(filters.until).getTime() : null;
+
+    const matches = events.filter(event => {
+      const time = new Date(event.at).getTime();
+      if (types && !types.some(t => t.endsWith('.') ? event.type.startsWith(t) : event.type === t)) return false;
+      if (filters.actor && event.actor?.id !== String(filters.actor)) return false;
+      if (filters.chapter && event.data?.chapterNum !== filters.chapter && event.data?.target !== filters.chapter) return false;
+      if (filters.entry && !(event.type === 'bible.changed' && event.data.key === filters.entry)) return false;
+      if (since !== null && time < since) return false;
+      if (until !== null && time > until) return false;
+      return true;
+    });
+
+    return filters.limit ? matches.slice(-filters.limit) : matches;
+  }
+
+  /**
+   * Who changed a story bible entry, when, and which fields
+   *
+   * @param {string} novelId - Novel ID
+   * @param {string} key - Entry key (character ID, thread ID, chekhov item...)
+   * @returns {Promise<Array>} [{ seq, at, actor, section, fields, before, after }], oldest first
+   */
+  async getEntryHistory(novelId, key) {
+    const events = await this.getEvents(novelId, { entry: key });
+    return events.map(event => ({
+      seq: event.seq,
+      at: event.at,
+      actor: event.actor,
+      section: event.data.section,
+      fields: changedFields(event.data.before, event.data.after),
+      before: event.data.before,
+      after: event.data.after
+    }));
+  }
+
+  /**
+   * Rebuild a novel's current state from its event log
+   *
+   * @param {string} novelId - Novel ID
+   * @returns {Promise<Object|null>} Projection (see projectEvents)
+   */
+  async getState(novelId) {
+    return projectEvents(await this.getEvents(novelId), novelId);
+  }
+
+  /**
+   * Rebuild a novel's state as it was at a moment, or when a chapter was written
+   *
+   * A chapter number stops right after that chapter was first saved: the
+   * outline and bible Frodo wrote it against, plus the chapter itself.
+   *
+   * @param {string} novelId - Novel ID
+   * @param {number|Date|string} at - Chapter number, or a Date / ISO timestamp
+   * @returns {Promise<Object|null>} Projection, or null if the novel didn't exist yet
+   */
+  async getStateAt(novelId, at) {
+    const events = await this.getEvents(novelId);
+
+    let end;
+    if (typeof at === 'number') {
+      const saved = events.find(e => e.type === 'chapter.saved' && e.data.chapterNum === at);
+      if (!saved) {
+        throw new Error(`Chapter ${at} of ${novelId} was never saved`);
+      }
+      end = saved.seq;
+    } else {
+      const time = new Date(at).getTime();
+      if (Number.isNaN(time)) {
+        throw new Error(`Invalid moment: ${at}. Use a chapter number, a date or an ISO timestamp`);
+      }
+      end = events.filter(e => new Date(e.at).getTime() <= time).length;
+    }
+
+    return projectEvents(events.slice(0, end), novelId);
+  }
+}
+
+module.exports = {
+  NovelHistory,
+  SYSTEM_ACTOR,
+  BIBLE_SECTIONS,
+  normalizeActor,
+  discordActor,
+  actorLabel,
+  formatActor,
+  diffBible,
+  applyBibleChange,
+  changedFields,
+  projectEvents
+};
@@ -11,9 +11,15 @@
  *   - revising: Frodo is revising based on feedback
  *   - completed: Novel is finished
  *   - paused: User paused the novel
+ *
+ * Every change is also appended to the novel's event log (novel-history.js)
+ * with the agent or Discord user who made it; use withActor() to say who.
  */
 
 const crypto = require('crypto');
+const { diffText } = require('./text-diff');
+const outlineModel = require('./outline-model');
+const { NovelHistory, normalizeActor, actorLabel, diffBible } = require('./novel-history');
 
 // Novel status constants
 const NOVEL_STATUS = {
@@ -38,6 +44,41 @@ const DEFAULT_CONFIG = {
   maxRevisions: 3         // Max revision attempts before forcing pass
 };
 
+// Parts of getNovelState besides metadata
+const STATE_PARTS = ['outline', 'chapters', 'critiques', 'revisions'];
+
+// Earlier outlines kept in the novel scope; older ones live on in the
+// event log's outline.saved events
+const OUTLINE_HISTORY_LIMIT = 10;
+
+// Append an outline to the stored history, dropping the oldest past the limit
+function pushOutlineHistory(history, outline) {
+  const updated = [...(history || []), outline];
+  return updated.slice(-OUTLINE_HISTORY_LIMIT);
+}
+
+// Empty rolling summaries (see summary-manager.js)
+function emptySummaries() {
+  return {
+    chapters: {},          // Per-chapter summaries indexed by chapter number
+    arcs: {}               // Arc recaps indexed by arc number
+  };
+}
+
+// Remove chapter summaries for rewritten chapters and the arcs that cover them
+function invalidateSummaries(summaries, chapterNums) {
+  const stale = chapterNums.filter(n => n > 0);
+  for (const n of stale) {
+    delete summaries.chapters[n];
+  }
+  for (const [arc, recap] of Object.entries(summaries.arcs)) {
+    if (stale.some(n => n >= recap.from && n <= recap.to)) {
+      delete summaries.arcs[arc];
+    }
+  }
+  return summaries;
+}
+
 // Empty story bible template
 const EMPTY_STORY_BIBLE = {
   characters: {},        // Character profiles indexed by ID
@@ -45,9 +86,104 @@ const EMPTY_STORY_BIBLE = {
   plotThreads: [],       // Active plot threads and foreshadowing
   worldFacts: [],        // Consistent world-building facts
   timeline: [],          // Major events by chapter
-  chekhovs: []           // Items/facts that must pay off later
+  chekhovs: []           // Items/facts that must pay off later, by ID (chekhov-001)
 };
 
+/**
+ * Next free Chekhov ID ("chekhov-004" after chekhov-003)
+ */
+function nextChekhovId(chekhovs) {
+  const last = Math.max(0, ...chekhovs.map(c => parseInt((c.id || '').replace(/^chekhov-/, '')) || 0));
+  return `chekhov-${String(last + 1).padStart(3, '0')}`;
+}
+
+/**
+ * Give every Chekhov without an ID one (bibles from before Chekhov IDs)
+ */
+function assignChekhovIds(bible) {
+  for (const chekhov of bible.chekhovs || []) {
+    if (!chekhov.id) {
+      chekhov.id = nextChekhovId(bible.chekhovs);
+    }
+  }
+}
+
+/**
+ * Merge partial story bible updates into a bible (in place)
+ *
+ * Characters merge by ID, plot threads by ID, chekhovs by ID or item; world facts
+ * and relationships skip exact duplicates; timeline events are appended.
+ * Also used to layer a novel's private bible over its series canon.
+ *
+ * @param {Object} bible - Story bible to update
+ * @param {Object} updates - Partial story bible
+ * @returns {Object} The updated bible
+ */
+function applyBibleUpdates(bible, updates) {
+  // Merge characters
+  if (updates.characters) {
+    for (const [id, char] of Object.entries(updates.characters)) {
+      bible.characters[id] = { ...bible.characters[id], ...char, id };
+    }
+  }
+
+  // Append relationships (avoid duplicates)
+  if (updates.relationships) {
+    for (const rel of updates.relationships) {
+      const exists = bible.relationships.some(
+        r => r.from === rel.from && r.to === rel.to && r.type === rel.type
+      );
+      if (!exists) {
+        bible.relationships.push(rel);
+      }
+    }
+  }
+
+  // Append plot threads
+  if (updates.plotThreads) {
+    for (const thread of updates.plotThreads) {
+      const existing = bible.plotThreads.find(t => t.id === thread.id);
+      if (existing) {
+        Object.assign(existing, thread);
+      } else {
+        bible.plotThreads.push(thread);
+      }
+    }
+  }
+
+  // Append world facts (avoid duplicates)
+  if (updates.worldFacts) {
+    for (const fact of updates.worldFacts) {
+      const exists = bible.worldFacts.some(f => f.fact === fact.fact);
+      if (!exists) {
+        bible.worldFacts.push(fact);
+      }
+    }
+  }
+
+  // Append timeline events
+  if (updates.timeline) {
+    for (const event of updates.timeline) {
+      bible.timeline.push(event);
+    }
+    bible.timeline.sort((a, b) => a.chapter - b.chapter);
+  }
+
+  // Append chekhovs
+  if (updates.chekhovs) {
+    for (const chekhov of updates.chekhovs) {
+      const existing = bible.chekhovs.find(c => (chekhov.id && c.id === chekhov.id) || c.item === chekhov.item);
+      if (existing) {
+        Object.assign(existing, chekhov);
+      } else {
+        bible.chekhovs.push({ ...chekhov, id: chekhov.id || nextChekhovId(bible.chekhovs) });
+      }
+    }
+  }
+
+  return bible;
+}
+
 class NovelManager {
   /**
    * @param {Object} stateManager - StateManager instance for persistence
@@ -61,6 +197,39 @@ class NovelManager {
     }
     this.state = stateManager;
     this.config = { ...DEFAULT_CONFIG, ...config };
+    this.history = new NovelHistory(stateManager);
+    this.actor = normalizeActor(null);
+    this.agentId = actorLabel(this.actor);
+  }
+
+  /**
+   * A view of this manager whose changes are recorded as made by `actor`
+   *
+   * The view shares everything else (state, config, retriever, series
+   * manager); only the actor in the event log and StateManager's write log
+   * differs.
+   *
+   * @param {string|Object} actor - Agent name ('frodo') or actor (see novel-history.js discordActor)
+   * @returns {NovelManager} View of this manager
+   */
+  withActor(actor) {
+    const view = Object.create(this);
+    view.actor = normalizeActor(actor);
+    view.agentId = actorLabel(view.actor);
+    return view;
+  }
+
+  /**
+   * Append an event to the novel's history (failures are logged, not thrown:
+   * the write it describes already happened)
+   * @private
+   */
+  async _record(novelId, type, data, options = {}) {
+    try {
+      await this.history.record(novelId, type, data, { actor: this.actor, ...options });
+    } catch (err) {
+      console.error(`[NovelManager] Failed to record ${type} for ${novelId}:`, err.message);
+    }
   }
 
   /**
@@ -126,14 +295,13 @@ class NovelManager {
     // Initialize novel state
     await this.state.set(scope, 'metadata', novel);
     await this.state.set(scope, 'outline', null);
-    await this.state.set(scope, 'chapters', {});
-    await this.state.set(scope, 'critiques', {});
-    await this.state.set(scope, 'revisions', {});
+    // chapters, critiques and revisions are StateManager collections and start out empty
     await this.state.set(scope, 'feedback', []);
     await this.state.set(scope, 'storyBible', { ...EMPTY_STORY_BIBLE });
+    await this.state.set(scope, 'summaries', emptySummaries());
 
     // Register in global novel index
-    await this.state.writeWithRetry('novel-manager', 'global', async (currentState) => {
+    await this.state.writeWithRetry(this.agentId, 'global', async (currentState) => {
       const novels = currentState.novels || {};
       novels[novelId] = {
         id: novelId,
@@ -143,13 +311,15 @@ class NovelManager {
         createdAt: now
       };
       return { novels };
-    });
+    }, { keys: ['novels'] });
 
     // Store reverse lookup: channel -> novel
     if (config.discordChannelId) {
       await this.state.set('global', `channel:${config.discordChannelId}`, novelId);
     }
 
+    await this._record(novelId, 'novel.created', { metadata: novel }, { metadata: novel });
+
     console.log(`[NovelManager] Created novel: ${novelId} - "${novel.title}"`);
     return novel;
   }
@@ -166,40 +336,51 @@ class NovelManager {
   }
 
   /**
-   * Get full novel state (metadata + outline + chapters)
+   * Get novel state (metadata + outline + chapters)
+   *
+   * Only the parts in `include` are read, so a caller that needs metadata
+   * and counts doesn't fetch the manuscript. Stats are always there; they
+   * come from the chapter/critique/revision ids, not the items.
    *
    * @param {string} novelId - Novel ID
-   * @returns {Promise<Object>} Full novel state
+   * @param {Object} options
+   * @param {string[]} options.include - Any of outline, chapters, critiques, revisions (default: all)
+   * @returns {Promise<Object|null>} { metadata, stats, ...included parts } or null if not found
    */
-  async getNovelState(novelId) {
+  async getNovelState(novelId, options = {}) {
     const scope = this.getScope(novelId);
+    const include = (options.include || STATE_PARTS).filter(part => STATE_PARTS.includes(part));
 
-    const [metadata, outline, chapters, critiques, revisions] = await Promise.all([
-      this.state.get(scope, 'metadata'),
-      this.state.get(scope, 'outline'),
-      this.state.get(scope, 'chapters'),
-      this.state.get(scope, 'critiques'),
-      this.state.get(scope, 'revisions')
+    const [values, ids] = await Promise.all([
+      this.state.getMany(scope, ['metadata', ...include]),
+      this.state.getItemIds(scope, ['chapters', 'critiques', 'revisions'])
     ]);
 
-    if (!metadata) {
+    if (!values.metadata) {
       return null;
     }
 
     return {
-      metadata,
-      outline,
-      chapters: chapters || {},
-      critiques: critiques || {},
-      revisions: revisions || {},
+      ...values,
       stats: {
-        chaptersWritten: Object.keys(chapters || {}).length,
-        chaptersReviewed: Object.keys(critiques || {}).length,
-        chaptersRevised: Object.keys(revisions || {}).length
+        chaptersWritten: ids.chapters.length,
+        chaptersReviewed: ids.critiques.length,
+        chaptersRevised: ids.revisions.length
       }
     };
   }
 
+  /**
+   * Numbers of the chapters written so far, ascending
+   *
+   * @param {string} novelId - Novel ID
+   * @returns {Promise<Array<number>>}
+   */
+  async getChapterNums(novelId) {
+    const { chapters } = await this.state.getItemIds(this.getScope(novelId), ['chapters']);
+    return chapters.map(Number);
+  }
+
   /**
    * Update novel metadata (partial update)
    *
@@ -210,22 +391,26 @@ class NovelManager {
   async updateNovelMetadata(novelId, updates) {
     const scope = this.getScope(novelId);
 
-    const result = await this.state.writeWithRetry('novel-manager', scope, async (currentState) => {
+    let updatedMetadata;
+    const result = await this.state.writeWithRetry(this.agentId, scope, async (currentState) => {
       const metadata = currentState.metadata;
       if (!metadata) {
         throw new Error(`Novel not found: ${novelId}`);
       }
 
-      const updatedMetadata = {
+      updatedMetadata = {
         ...metadata,
         ...updates,
         updatedAt: new Date().toISOString()
       };
 
       return { metadata: updatedMetadata };
-    });
+    }, { keys: ['metadata'] });
 
-    return result.metadata;
+    await this._record(novelId, 'novel.updated', { changes: updates },
+      { version: result.newVersion, metadata: updatedMetadata });
+
+    return updatedMetadata;
   }
 
   /**
@@ -236,27 +421,33 @@ class NovelManager {
    */
   async updateStatus(novelId, status) {
     const scope = this.getScope(novelId);
+    let previous;
+    let updated;
 
-    await this.state.writeWithRetry('novel-manager', scope, async (currentState) => {
+    const { newVersion } = await this.state.writeWithRetry(this.agentId, scope, async (currentState) => {
       const metadata = currentState.metadata;
       if (!metadata) {
         throw new Error(`Novel not found: ${novelId}`);
       }
 
+      previous = metadata.status;
       metadata.status = status;
       metadata.updatedAt = new Date().toISOString();
 
+      updated = metadata;
       return { metadata };
-    });
+    }, { keys: ['metadata'] });
+
+    await this._record(novelId, 'novel.status', { from: previous, to: status }, { version: newVersion, metadata: updated });
 
     // Update global index
-    await this.state.writeWithRetry('novel-manager', 'global', async (currentState) => {
+    await this.state.writeWithRetry(this.agentId, 'global', async (currentState) => {
       const novels = currentState.novels || {};
       if (novels[novelId]) {
         novels[novelId].status = status;
       }
       return { novels };
-    });
+    }, { keys: ['novels'] });
 
     console.log(`[NovelManager] Novel ${novelId} status -> ${status}`);
   }
@@ -264,17 +455,24 @@ class NovelManager {
   /**
    * Save outline from Gandalf
    *
+   * The outline is normalized into the structured model (outline-model.js)
+   * and gets the next version number; the outline it replaces is kept in
+   * the outline history.
+   *
    * @param {string} novelId - Novel ID
    * @param {Object} outline - Outline data
    * @param {string} outline.synopsis - Story synopsis
-   * @param {Array} outline.chapters - Chapter summaries
+   * @param {Array} outline.acts - Act ranges (optional)
+   * @param {Array} outline.arcs - Arc ranges (optional)
+   * @param {Array} outline.chapters - Chapter plans
    * @param {Array} outline.characters - Character profiles
    * @param {string} outline.raw - Raw text output from Gandalf
    */
   async saveOutline(novelId, outline) {
     const scope = this.getScope(novelId);
+    let saved;
 
-    await this.state.writeWithRetry('novel-manager', scope, async (currentState) => {
+    const { newVersion } = await this.state.writeWithRetry(this.agentId, scope, async (currentState) => {
       const metadata = currentState.metadata;
       if (!metadata) {
         throw new Error(`Novel not found: ${novelId}`);
@@ -283,14 +481,32 @@ class NovelManager {
       metadata.status = NOVEL_STATUS.WRITING;
       metadata.updatedAt = new Date().toISOString();
 
-      return {
+      const previous = currentState.outline;
+      const outlineHistory = previous
+        ? pushOutlineHistory(currentState.outlineHistory, previous)
+        : currentState.outlineHistory || [];
+
+      // A fresh Gandalf outline starts its own chapter ids
+      const normalized = outlineModel.normalizeOutline(
+        { ...outline, id: undefined, nextId: undefined, version: undefined },
+        { targetWords: metadata.targetWordsPerChapter }
+      );
+      normalized.version = (previous?.version || 0) + 1;
+
+      saved = {
         metadata,
         outline: {
-          ...outline,
+          ...normalized,
+          lastEdit: 'saved from Gandalf',
           savedAt: new Date().toISOString()
-        }
+        },
+        outlineHistory
       };
-    });
+      return saved;
+    }, { keys: ['metadata', 'outline', 'outlineHistory'] });
+
+    await this._record(novelId, 'outline.saved', { outline: saved.outline, reason: saved.outline.lastEdit },
+      { version: newVersion, metadata: saved.metadata });
 
     console.log(`[NovelManager] Saved outline for ${novelId}`);
   }
@@ -308,16 +524,16 @@ class NovelManager {
    */
   async saveChapter(novelId, chapterNum, chapter) {
     const scope = this.getScope(novelId);
+    let saved;
 
-    await this.state.writeWithRetry('novel-manager', scope, async (currentState) => {
+    const { newVersion } = await this.state.writeWithRetry(this.agentId, scope, async (currentState) => {
       const metadata = currentState.metadata;
-      const chapters = currentState.chapters || {};
 
       if (!metadata) {
         throw new Error(`Novel not found: ${novelId}`);
       }
 
-      chapters[chapterNum] = {
+      const written = {
         ...chapter,
         chapterNum,
         version: 1,
@@ -328,8 +544,12 @@ class NovelManager {
       metadata.status = NOVEL_STATUS.REVIEWING;
       metadata.updatedAt = new Date().toISOString();
 
-      return { metadata, chapters };
-    });
+      saved = { metadata, chapter: written };
+      return { metadata, [`chapters:${chapterNum}`]: written };
+    }, { keys: ['metadata'] });
+
+    await this._record(novelId, 'chapter.saved', { chapterNum, chapter: saved.chapter, reason: 'written' },
+      { version: newVersion, metadata: saved.metadata });
 
     console.log(`[NovelManager] Saved chapter ${chapterNum} for ${novelId}`);
   }
@@ -348,30 +568,38 @@ class NovelManager {
    */
   async saveCritique(novelId, chapterNum, critique) {
     const scope = this.getScope(novelId);
+    let saved;
+    let passed;
+
+    const chapterKey = `chapters:${chapterNum}`;
+    const critiqueKey = `critiques:${chapterNum}`;
 
-    await this.state.writeWithRetry('novel-manager', scope, async (currentState) => {
+    const { newVersion } = await this.state.writeWithRetry(this.agentId, scope, async (currentState) => {
       const metadata = currentState.metadata;
-      const critiques = currentState.critiques || {};
-      const chapters = currentState.chapters || {};
-      const revisions = currentState.revisions || {};
+      const chapter = currentState[chapterKey];
 
       if (!metadata) {
         throw new Error(`Novel not found: ${novelId}`);
       }
 
-      critiques[chapterNum] = {
+      const stamped = {
         ...critique,
         chapterNum,
+        version: chapter?.version || 1,
         savedAt: new Date().toISOString()
       };
 
-      // Check revision count for this chapter
-      const revisionCount = revisions[chapterNum]?.length || 0;
-      const currentVersion = chapters[chapterNum]?.version || 1;
+      // Stamp the score on the chapter so it travels with this version into history
+      if (chapter) {
+        chapter.score = critique.score;
+      }
+
+      // Every version of the chapter counts as an attempt
+      const currentVersion = chapter?.version || 1;
       const totalAttempts = currentVersion;
 
       // Decide: pass, revise, or force pass
-      const passed = critique.score >= this.config.passThreshold;
+      passed = critique.score >= this.config.passThreshold;
       const maxedOut = totalAttempts >= this.config.maxRevisions;
 
       if (passed) {
@@ -387,8 +615,12 @@ class NovelManager {
 
       metadata.updatedAt = new Date().toISOString();
 
-      return { metadata, critiques };
-    });
+      saved = { metadata, critique: stamped };
+      return { metadata, [critiqueKey]: stamped, ...(chapter ? { [chapterKey]: chapter } : {}) };
+    }, { keys: ['metadata', chapterKey] });
+
+    await this._record(novelId, 'critique.saved', { chapterNum, critique: saved.critique, passed },
+      { version: newVersion, metadata: saved.metadata });
   }
 
   /**
@@ -400,27 +632,27 @@ class NovelManager {
    */
   async saveRevision(novelId, chapterNum, revision) {
     const scope = this.getScope(novelId);
+    let saved;
+
+    const chapterKey = `chapters:${chapterNum}`;
+    const revisionsKey = `revisions:${chapterNum}`;
 
-    await this.state.writeWithRetry('novel-manager', scope, async (currentState) => {
+    const { newVersion } = await this.state.writeWithRetry(this.agentId, scope, async (currentState) => {
       const metadata = currentState.metadata;
-      const chapters = currentState.chapters || {};
-      const revisions = currentState.revisions || {};
+      const oldChapter = currentState[chapterKey];
+      const history = currentState[revisionsKey] || [];
 
       if (!metadata) {
         throw new Error(`Novel not found: ${novelId}`);
       }
 
       // Store old version in revisions history
-      const oldChapter = chapters[chapterNum];
       if (oldChapter) {
-        if (!revisions[chapterNum]) {
-          revisions[chapterNum] = [];
-        }
-        revisions[chapterNum].push(oldChapter);
+        history.push(oldChapter);
       }
 
       // Update chapter with revision
-      chapters[chapterNum] = {
+      const chapter = {
         ...revision,
         chapterNum,
         version: (oldChapter?.version || 0) + 1,
@@ -430,8 +662,12 @@ class NovelManager {
       metadata.status = NOVEL_STATUS.REVIEWING;
       metadata.updatedAt = new Date().toISOString();
 
-      return { metadata, chapters, revisions };
-    });
+      saved = { metadata, chapter };
+      return { metadata, [chapterKey]: chapter, ...(oldChapter ? { [revisionsKey]: history } : {}) };
+    }, { keys: ['metadata', chapterKey, revisionsKey] });
+
+    await this._record(novelId, 'chapter.saved', { chapterNum, chapter: saved.chapter, reason: 'revised' },
+      { version: newVersion, metadata: saved.metadata });
 
     console.log(`[NovelManager] Saved revision for chapter ${chapterNum}`);
   }
@@ -445,8 +681,7 @@ class NovelManager {
    */
   async getChapter(novelId, chapterNum) {
     const scope = this.getScope(novelId);
-    const chapters = await this.state.get(scope, 'chapters');
-    return chapters?.[chapterNum] || null;
+    return await this.state.get(scope, `chapters:${chapterNum}`);
   }
 
   /**
@@ -458,8 +693,7 @@ class NovelManager {
    */
   async getCritique(novelId, chapterNum) {
     const scope = this.getScope(novelId);
-    const critiques = await this.state.get(scope, 'critiques');
-    return critiques?.[chapterNum] || null;
+    return await this.state.get(scope, `critiques:${chapterNum}`);
   }
 
   /**
@@ -472,10 +706,7 @@ class NovelManager {
     const novel = await this.getNovel(novelId);
     if (!novel) return false;
 
-    const scope = this.getScope(novelId);
-    const chapters = await this.state.get(scope, 'chapters');
-    const chaptersWritten = Object.keys(chapters || {}).length;
-
+    const chaptersWritten = (await this.getChapterNums(novelId)).length;
     return chaptersWritten >= novel.targetChapters;
   }
 
@@ -510,7 +741,7 @@ class NovelManager {
     }
 
     // Determine what status to resume to based on current state
-    const state = await this.getNovelState(novelId);
+    const state = await this.getNovelState(novelId, { include: ['outline'] });
     let newStatus;
 
     if (!state.outline) {
@@ -546,15 +777,26 @@ class NovelManager {
   async deleteNovel(novelId) {
     const scope = this.getScope(novelId);
 
+    // Leave the series first so its timeline drops this novel's chapters
+    const metadata = await this.state.get(scope, 'metadata');
+    if (metadata?.seriesId && this.seriesManager) {
+      await this.seriesManager.removeNovel(metadata.seriesId, novelId);
+    }
+
+    // Bible vectors live outside the scope's hash
+    if (this.bibleRetriever) {
+      await this.bibleRetriever.clearIndex(novelId);
+    }
+
     // Clear novel scope
     await this.state.clear(scope);
 
     // Remove from global index
-    await this.state.writeWithRetry('novel-manager', 'global', async (currentState) => {
+    await this.state.writeWithRetry(this.agentId, 'global', async (currentState) => {
       const novels = currentState.novels || {};
       delete novels[novelId];
       return { novels };
-    });
+    }, { keys: ['novels'] });
 
     console.log(`[NovelManager] Deleted novel: ${novelId}`);
   }
@@ -585,11 +827,13 @@ class NovelManager {
   async storeFeedback(novelId, feedback) {
     const scope = this.getScope(novelId);
 
-    await this.state.writeWithRetry('novel-manager', scope, async (currentState) => {
+    const { newVersion } = await this.state.writeWithRetry(this.agentId, scope, async (currentState) => {
       const feedbackList = currentState.feedback || [];
       feedbackList.push(feedback);
       return { feedback: feedbackList };
-    });
+    }, { keys: ['feedback'] });
+
+    await this._record(novelId, 'feedback.stored', { feedback }, { version: newVersion });
 
     console.log(`[NovelManager] Stored feedback for ${novelId}: ${feedback.target}`);
   }
@@ -616,8 +860,9 @@ class NovelManager {
    */
   async approveOutline(novelId) {
     const scope = this.getScope(novelId);
+    let updated;
 
-    await this.state.writeWithRetry('novel-manager', scope, async (currentState) => {
+    const { newVersion } = await this.state.writeWithRetry(this.agentId, scope, async (currentState) => {
       const metadata = currentState.metadata;
       if (!metadata) {
         throw new Error(`Novel not found: ${novelId}`);
@@ -627,8 +872,11 @@ class NovelManager {
       metadata.status = NOVEL_STATUS.WRITING;
       metadata.updatedAt = new Date().toISOString();
 
+      updated = metadata;
       return { metadata };
-    });
+    }, { keys: ['metadata'] });
+
+    await this._record(novelId, 'outline.approved', {}, { version: newVersion, metadata: updated });
 
     console.log(`[NovelManager] Outline approved for ${novelId}`);
   }
@@ -636,27 +884,37 @@ class NovelManager {
   /**
    * Approve a chapter, marking it as final and advancing to next
    *
+   * An approved chapter is canon, so this is where Frodo's BIBLE UPDATES
+   * reach the story bible (when a bibleExtractor is attached). Extraction
+   * failures are logged, not thrown: the approval already happened.
+   *
    * @param {string} novelId - Novel ID
    * @param {number} chapterNum - Chapter number to approve
+   * @returns {Promise<Object|null>} Bible extraction (see BibleExtractor.extract), or null if none ran
    */
   async approveChapter(novelId, chapterNum) {
     const scope = this.getScope(novelId);
+    let saved;
+    let wasApproved;
 
-    await this.state.writeWithRetry('novel-manager', scope, async (currentState) => {
+    const chapterKey = `chapters:${chapterNum}`;
+
+    const { newVersion } = await this.state.writeWithRetry(this.agentId, scope, async (currentState) => {
       const metadata = currentState.metadata;
-      const chapters = currentState.chapters || {};
+      const chapter = currentState[chapterKey];
 
       if (!metadata) {
         throw new Error(`Novel not found: ${novelId}`);
       }
 
-      if (!chapters[chapterNum]) {
+      if (!chapter) {
         throw new Error(`Chapter ${chapterNum} not found`);
       }
 
       // Mark chapter as approved
-      chapters[chapterNum].approved = true;
-      chapters[chapterNum].approvedAt = new Date().toISOString();
+      wasApproved = Boolean(chapter.approved);
+      chapter.approved = true;
+      chapter.approvedAt = new Date().toISOString();
 
       // Advance current chapter if this was the current one
       if (chapterNum === metadata.currentChapter) {
@@ -666,10 +924,22 @@ class NovelManager {
       metadata.status = NOVEL_STATUS.WRITING;
       metadata.updatedAt = new Date().toISOString();
 
-      return { metadata, chapters };
-    });
+      saved = { metadata, chapter };
+      return { metadata, [chapterKey]: chapter };
+    }, { keys: ['metadata', chapterKey] });
+
+    await this._record(novelId, 'chapter.approved', { chapterNum, approvedAt: saved.chapter.approvedAt },
+      { version: newVersion, metadata: saved.metadata });
 
     console.log(`[NovelManager] Chapter ${chapterNum} approved for ${novelId}`);
+
+    if (!this.bibleExtractor || wasApproved) return null;
+    try {
+      return await this.bibleExtractor.extract(novelId, chapterNum, { chapter: saved.chapter });
+    } catch (err) {
+      console.error(`[NovelManager] Failed to extract bible updates from chapter ${chapterNum}:`, err);
+      return null;
+    }
   }
 
   /**
@@ -682,6 +952,338 @@ class NovelManager {
     console.log(`[NovelManager] Novel ${novelId} marked as COMPLETED`);
   }
 
+  // ============================================================
+  // OUTLINE METHODS
+  // ============================================================
+
+  /**
+   * Edit one chapter's plan
+   *
+   * @param {string} novelId - Novel ID
+   * @param {number} chapterNum - Chapter number
+   * @param {Object} changes - Any of title, summary, pov, beats, targetWords, bibleRefs
+   * @returns {Promise<Object>} { outline, changed, flagged }
+   */
+  async updateOutlineChapter(novelId, chapterNum, changes) {
+    return await this._editOutline(novelId, `updated chapter ${chapterNum}`,
+      outline => outlineModel.updateChapter(outline, chapterNum, changes));
+  }
+
+  /**
+   * Insert a chapter into the outline
+   *
+   * @param {string} novelId - Novel ID
+   * @param {number} position - Number the new chapter will have
+   * @param {Object} chapter - { title, summary, pov, beats, targetWords, bibleRefs }
+   * @returns {Promise<Object>} { outline, changed, flagged }
+   */
+  async insertChapter(novelId, position, chapter) {
+    return await this._editOutline(novelId, `inserted chapter ${position}`,
+      outline => outlineModel.insertChapter(outline, position, chapter));
+  }
+
+  /**
+   * Split a planned chapter in two
+   *
+   * @param {string} novelId - Novel ID
+   * @param {number} chapterNum - Chapter to split
+   * @param {Object} parts - { first, second } field overrides (optional)
+   * @returns {Promise<Object>} { outline, changed, flagged }
+   */
+  async splitChapter(novelId, chapterNum, parts = {}) {
+    return await this._editOutline(novelId, `split chapter ${chapterNum}`,
+      outline => outlineModel.splitChapter(outline, chapterNum, parts));
+  }
+
+  /**
+   * Reorder the outline's chapters
+   *
+   * @param {string} novelId - Novel ID
+   * @param {Array<number>} order - Current chapter numbers in their new order
+   * @returns {Promise<Object>} { outline, changed, flagged }
+   */
+  async reorderChapters(novelId, order) {
+    return await this._editOutline(novelId, 'reordered chapters',
+      outline => outlineModel.reorderChapters(outline, order));
+  }
+
+  /**
+   * List stored outline versions, oldest first
+   *
+   * Only the last OUTLINE_HISTORY_LIMIT earlier versions are stored with
+   * the novel; getOutlineVersion() reads older ones from the event log.
+   *
+   * @param {string} novelId - Novel ID
+   * @returns {Promise<Array>} [{ version, chapters, lastEdit, savedAt, current }]
+   */
+  async getOutlineHistory(novelId) {
+    const scope = this.getScope(novelId);
+    const [outline, history] = await Promise.all([
+      this.state.get(scope, 'outline'),
+      this.state.get(scope, 'outlineHistory')
+    ]);
+
+    return [...(history || []), ...(outline ? [outline] : [])].map(entry => ({
+      version: entry.version || 1,
+      chapters: (entry.chapters || []).length,
+      lastEdit: entry.lastEdit || null,
+      savedAt: entry.savedAt || null,
+      current: entry === outline
+    }));
+  }
+
+  /**
+   * Get a specific outline version
+   *
+   * @param {string} novelId - Novel ID
+   * @param {number} version - Outline version
+   * @returns {Promise<Object|null>} Outline, or null if that version is neither stored nor logged
+   */
+  async getOutlineVersion(novelId, version) {
+    const scope = this.getScope(novelId);
+    const [outline, history] = await Promise.all([
+      this.state.get(scope, 'outline'),
+      this.state.get(scope, 'outlineHistory')
+    ]);
+    const stored = [...(history || []), outline].find(entry => entry && (entry.version || 1) === version);
+    if (stored) return stored;
+
+    const events = await this.history.getEvents(novelId, { type: 'outline.saved' });
+    return events.map(event => event.data.outline).find(entry => (entry.version || 1) === version) || null;
+  }
+
+  /**
+   * Apply an outline edit: bump the version, keep the old outline in
+   * history, sync targetChapters and flag written chapters whose plan changed
+   * @private
+   */
+  async _editOutline(novelId, description, edit) {
+    const scope = this.getScope(novelId);
+    let result;
+    let saved;
+    let flaggedChapters;
+
+    const { newVersion } = await this.state.writeWithRetry(this.agentId, scope, async (currentState) => {
+      const metadata = currentState.metadata;
+      if (!metadata) {
+        throw new Error(`Novel not found: ${novelId}`);
+      }
+      if (!currentState.outline) {
+        throw new Error(`Novel ${novelId} has no outline yet`);
+      }
+
+      // Outlines saved before the structured model are normalized on first edit
+      const current = outlineModel.normalizeOutline(currentState.outline, { targetWords: metadata.targetWordsPerChapter });
+      const { outline, changed } = edit(current);
+      const now = new Date().toISOString();
+
+      // Only the written chapters whose plan changed are loaded (a concurrent
+      // write still bumps the scope version and retries this edit)
+      const written = await this.getChapterNums(novelId);
+      const flagged = changed.filter(n => written.includes(n));
+      const chapters = flagged.length
+        ? await this.state.getMany(scope, flagged.map(n => `chapters:${n}`))
+        : {};
+      for (const n of flagged) {
+        chapters[`chapters:${n}`].outlineChanged = { outlineVersion: outline.version, reason: description, flaggedAt: now };
+      }
+
+      metadata.targetChapters = outline.chapters.length;
+      metadata.updatedAt = now;
+
+      const outlineHistory = pushOutlineHistory(currentState.outlineHistory, currentState.outline);
+
+      result = { outline, changed, flagged };
+      saved = {
+        metadata,
+        outline: { ...outline, lastEdit: description, savedAt: now },
+        outlineHistory
+      };
+      // Only the flagged chapters are written back
+      flaggedChapters = chapters;
+      return { ...saved, ...flaggedChapters };
+    }, { keys: ['metadata', 'outline', 'outlineHistory'] });
+
+    await this._record(novelId, 'outline.saved', { outline: saved.outline, reason: description },
+      { version: newVersion, metadata: saved.metadata });
+    // Flagged chapters carry an outlineChanged note
+    for (const n of result.flagged) {
+      await this._record(novelId, 'chapter.saved', { chapterNum: n, chapter: flaggedChapters[`chapters:${n}`], reason: 'outline changed' },
+        { version: newVersion });
+    }
+
+    console.log(`[NovelManager] Outline v${result.outline.version} for ${novelId}: ${description}${result.flagged.length ? ` (flagged written chapter(s) ${result.flagged.join(', ')})` : ''}`);
+    return result;
+  }
+
+  // ============================================================
+  // VERSION HISTORY METHODS
+  // ============================================================
+
+  /**
+   * Get every stored version of a chapter, oldest first
+   *
+   * Each entry carries the Elrond score that version received (null if it
+   * was never critiqued), so revisions can be compared at a glance.
+   *
+   * @param {string} novelId - Novel ID
+   * @param {number} chapterNum - Chapter number
+   * @returns {Promise<Array>} [{ version, title, wordCount, score, savedAt, current, restoredFrom }]
+   */
+  async getChapterHistory(novelId, chapterNum) {
+    const versions = await this._getChapterVersions(novelId, chapterNum);
+    const critique = await this.getCritique(novelId, chapterNum);
+    const currentVersion = versions[versions.length - 1].version;
+
+    return versions.map(chapter => {
+      // Critiques saved before versions were stamped belong to the current version
+      const critiqueVersion = critique?.version || currentVersion;
+      const score = chapter.score ?? (critique && critiqueVersion === chapter.version ? critique.score : null);
+
+      return {
+        version: chapter.version,
+        title: chapter.title || null,
+        wordCount: chapter.wordCount || 0,
+        score: score ?? null,
+        savedAt: chapter.savedAt,
+        current: chapter.version === currentVersion,
+        restoredFrom: chapter.restoredFrom || null
+      };
+    });
+  }
+
+  /**
+   * Get one stored version of a chapter
+   *
+   * @param {string} novelId - Novel ID
+   * @param {number} chapterNum - Chapter number
+   * @param {number} version - Version number
+   * @returns {Promise<Object>} Chapter data for that version
+   */
+  async getChapterVersion(novelId, chapterNum, version) {
+    const versions = await this._getChapterVersions(novelId, chapterNum);
+    const chapter = versions.find(v => v.version === version);
+    if (!chapter) {
+      throw new Error(`Chapter ${chapterNum} has no version ${version}. Versions: ${versions.map(v => v.version).join(', ')}`);
+    }
+    return chapter;
+  }
+
+  /**
+   * Diff two versions of a chapter
+   *
+   * @param {string} novelId - Novel ID
+   * @param {number} chapterNum - Chapter number
+   * @param {number} fromVersion - Earlier version
+   * @param {number} toVersion - Later version (default: current)
+   * @param {Object} options
+   * @param {string} options.level - 'paragraph' (default) or 'sentence'
+   * @returns {Promise<Object>} { chapterNum, from, to, diff } - from/to are history entries
+   */
+  async diffChapterVersions(novelId, chapterNum, fromVersion, toVersion = null, options = {}) {
+    const history = await this.getChapterHistory(novelId, chapterNum);
+    const target = toVersion || history[history.length - 1].version;
+
+    const [fromChapter, toChapter] = await Promise.all([
+      this.getChapterVersion(novelId, chapterNum, fromVersion),
+      this.getChapterVersion(novelId, chapterNum, target)
+    ]);
+
+    return {
+      chapterNum,
+      from: history.find(h => h.version === fromVersion),
+      to: history.find(h => h.version === target),
+      diff: diffText(fromChapter.content || '', toChapter.content || '', options)
+    };
+  }
+
+  /**
+   * Restore an earlier version of a chapter as the current one
+   *
+   * The restored text becomes a new version (max + 1) with `restoredFrom`
+   * set, and the version it replaces is kept in history, so a rollback
+   * can itself be rolled back.
+   *
+   * @param {string} novelId - Novel ID
+   * @param {number} chapterNum - Chapter number
+   * @param {number} version - Version to restore
+   * @returns {Promise<Object>} { chapterNum, restoredFrom, version }
+   */
+  async rollbackChapter(novelId, chapterNum, version) {
+    const scope = this.getScope(novelId);
+    let newVersion;
+    let saved;
+
+    const chapterKey = `chapters:${chapterNum}`;
+    const revisionsKey = `revisions:${chapterNum}`;
+
+    const result = await this.state.writeWithRetry(this.agentId, scope, async (currentState) => {
+      const metadata = currentState.metadata;
+
+      if (!metadata) {
+        throw new Error(`Novel not found: ${novelId}`);
+      }
+
+      const current = currentState[chapterKey];
+      if (!current) {
+        throw new Error(`Chapter ${chapterNum} not found`);
+      }
+      if (current.version === version) {
+        throw new Error(`Version ${version} is already the current version of chapter ${chapterNum}`);
+      }
+
+      const history = currentState[revisionsKey] || [];
+      const target = history.find(v => v.version === version);
+      if (!target) {
+        throw new Error(`Chapter ${chapterNum} has no version ${version}`);
+      }
+
+      newVersion = Math.max(current.version, ...history.map(v => v.version)) + 1;
+
+      const chapter = {
+        ...target,
+        chapterNum,
+        version: newVersion,
+        restoredFrom: version,
+        // Approval belongs to the chapter slot, not to a version
+        approved: current.approved,
+        approvedAt: current.approvedAt,
+        savedAt: new Date().toISOString()
+      };
+
+      metadata.updatedAt = new Date().toISOString();
+
+      saved = { metadata, chapter };
+      return { metadata, [chapterKey]: chapter, [revisionsKey]: [...history, current] };
+    }, { keys: ['metadata', chapterKey, revisionsKey] });
+
+    await this._record(novelId, 'chapter.saved', { chapterNum, chapter: saved.chapter, reason: 'rolled back' },
+      { version: result.newVersion, metadata: saved.metadata });
+
+    console.log(`[NovelManager] Rolled back chapter ${chapterNum} to version ${version} (now v${newVersion}) for ${novelId}`);
+
+    return { chapterNum, restoredFrom: version, version: newVersion };
+  }
+
+  /**
+   * All versions of a chapter (revisions + current), sorted by version
+   * @private
+   */
+  async _getChapterVersions(novelId, chapterNum) {
+    const scope = this.getScope(novelId);
+    const {
+      [`chapters:${chapterNum}`]: current,
+      [`revisions:${chapterNum}`]: revisions
+    } = await this.state.getMany(scope, [`chapters:${chapterNum}`, `revisions:${chapterNum}`]);
+
+    if (!current) {
+      throw new Error(`Chapter ${chapterNum} not found`);
+    }
+
+    return [...(revisions || []), current]
+      .sort((a, b) => (a.version || 1) - (b.version || 1));
+  }
+
   // ============================================================
   // CHANNEL MAPPING METHODS
   // ============================================================
@@ -705,8 +1307,9 @@ class NovelManager {
    */
   async linkChannel(novelId, channelId, channelName) {
     const scope = this.getScope(novelId);
+    let updated;
 
-    await this.state.writeWithRetry('novel-manager', scope, async (currentState) => {
+    const { newVersion } = await this.state.writeWithRetry(this.agentId, scope, async (currentState) => {
       const metadata = currentState.metadata;
       if (!metadata) {
         throw new Error(`Novel not found: ${novelId}`);
@@ -716,20 +1319,24 @@ class NovelManager {
       metadata.discordChannelName = channelName;
       metadata.updatedAt = new Date().toISOString();
 
+      updated = metadata;
       return { metadata };
-    });
+    }, { keys: ['metadata'] });
+
+    await this._record(novelId, 'novel.updated', { changes: { discordChannelId: channelId, discordChannelName: channelName } },
+      { version: newVersion, metadata: updated });
 
     // Store reverse lookup
     await this.state.set('global', `channel:${channelId}`, novelId);
 
     // Update global index
-    await this.state.writeWithRetry('novel-manager', 'global', async (currentState) => {
+    await this.state.writeWithRetry(this.agentId, 'global', async (currentState) => {
       const novels = currentState.novels || {};
       if (novels[novelId]) {
         novels[novelId].discordChannelId = channelId;
       }
       return { novels };
-    });
+    }, { keys: ['novels'] });
 
     console.log(`[NovelManager] Linked channel ${channelName} to novel ${novelId}`);
   }
@@ -747,33 +1354,29 @@ class NovelManager {
    */
   async recallChapter(novelId, chapterNum) {
     const scope = this.getScope(novelId);
-    const state = await this.getNovelState(novelId);
+    const { metadata: novel, outline, [`chapters:${chapterNum}`]: chapter } =
+      await this.state.getMany(scope, ['metadata', 'outline', `chapters:${chapterNum}`]);
 
-    if (!state) {
+    if (!novel) {
       throw new Error(`Novel not found: ${novelId}`);
     }
 
     // Validate chapter exists
     if (chapterNum === 0) {
-      if (!state.outline) {
+      if (!outline) {
         throw new Error('No outline to recall');
       }
-    } else if (!state.chapters[chapterNum]) {
+    } else if (!chapter) {
       throw new Error(`Chapter ${chapterNum} not found`);
     }
 
     // Calculate which chapters would need cascade
-    const cascadePending = [];
-    if (chapterNum < state.metadata.currentChapter) {
-      for (let i = chapterNum + 1; i <= state.metadata.currentChapter; i++) {
-        if (state.chapters[i]) {
-          cascadePending.push(i);
-        }
-      }
-    }
+    const written = await this.getChapterNums(novelId);
+    const cascadePending = written.filter(n => n > chapterNum && n <= novel.currentChapter);
 
     // Update metadata with recall state
-    await this.state.writeWithRetry('novel-manager', scope, async (currentState) => {
+    let updated;
+    const { newVersion } = await this.state.writeWithRetry(this.agentId, scope, async (currentState) => {
       const metadata = currentState.metadata;
       metadata.revisionTarget = chapterNum;
       metadata.revisionMode = REVISION_MODE.ACTIVE;
@@ -781,15 +1384,18 @@ class NovelManager {
       metadata.previousChapter = metadata.currentChapter; // Save where we were
       metadata.status = NOVEL_STATUS.REVISING;
       metadata.updatedAt = new Date().toISOString();
+      updated = metadata;
       return { metadata };
-    });
+    }, { keys: ['metadata'] });
+
+    await this._record(novelId, 'recall.started', { target: chapterNum, cascadePending }, { version: newVersion, metadata: updated });
 
     console.log(`[NovelManager] Recalled ${chapterNum === 0 ? 'outline' : `chapter ${chapterNum}`} for ${novelId}`);
 
     return {
       novelId,
       target: chapterNum,
-      content: chapterNum === 0 ? state.outline : state.chapters[chapterNum],
+      content: chapterNum === 0 ? outline : chapter,
       cascadePending,
       message: cascadePending.length > 0
         ? `Recalled ${chapterNum === 0 ? 'outline' : `chapter ${chapterNum}`}. After revision, ${cascadePending.length} chapter(s) may need regeneration.`
@@ -815,9 +1421,14 @@ class NovelManager {
       throw new Error('No active recall to complete');
     }
 
-    await this.state.writeWithRetry('novel-manager', scope, async (currentState) => {
+    let updated;
+    const { newVersion } = await this.state.writeWithRetry(this.agentId, scope, async (currentState) => {
       const metadata = currentState.metadata;
 
+      // The recalled chapter was rewritten, and with a cascade so are the ones after it
+      const rewritten = [metadata.revisionTarget, ...(doCascade ? metadata.cascadePending : [])];
+      const summaries = invalidateSummaries(currentState.summaries || emptySummaries(), rewritten);
+
       if (doCascade && metadata.cascadePending.length > 0) {
         // Set up for cascade regeneration
         metadata.revisionMode = REVISION_MODE.CASCADE_PENDING;
@@ -834,8 +1445,12 @@ class NovelManager {
 
       delete metadata.previousChapter;
       metadata.updatedAt = new Date().toISOString();
-      return { metadata };
-    });
+      updated = metadata;
+      return { metadata, summaries };
+    }, { keys: ['metadata', 'summaries'] });
+
+    await this._record(novelId, 'recall.completed', { cascade: doCascade, cascadePending: updated.cascadePending },
+      { version: newVersion, metadata: updated });
 
     console.log(`[NovelManager] Completed recall for ${novelId}, cascade: ${doCascade}`);
   }
@@ -849,7 +1464,8 @@ class NovelManager {
   async markCascadeComplete(novelId, chapterNum) {
     const scope = this.getScope(novelId);
 
-    await this.state.writeWithRetry('novel-manager', scope, async (currentState) => {
+    let updated;
+    const { newVersion } = await this.state.writeWithRetry(this.agentId, scope, async (currentState) => {
       const metadata = currentState.metadata;
 
       // Remove from pending
@@ -862,8 +1478,90 @@ class NovelManager {
       }
 
       metadata.updatedAt = new Date().toISOString();
+      updated = metadata;
       return { metadata };
-    });
+    }, { keys: ['metadata'] });
+
+    const remaining = updated.cascadePending;
+    await this._record(novelId, remaining.length > 0 ? 'cascade.progress' : 'cascade.completed',
+      remaining.length > 0 ? { chapterNum, remaining } : { chapterNum },
+      { version: newVersion, metadata: updated });
+  }
+
+  // ============================================================
+  // SUMMARY METHODS
+  // ============================================================
+
+  /**
+   * Get the rolling summaries for a novel
+   *
+   * @param {string} novelId - Novel ID
+   * @returns {Promise<Object>} { chapters: { n: summary }, arcs: { arc: summary } }
+   */
+  async getSummaries(novelId) {
+    const scope = this.getScope(novelId);
+    const summaries = await this.state.get(scope, 'summaries');
+    return { ...emptySummaries(), ...summaries };
+  }
+
+  /**
+   * Save a chapter summary from Shadowfax
+   *
+   * @param {string} novelId - Novel ID
+   * @param {number} chapterNum - Chapter number
+   * @param {Object} summary - { summary, keyEvents, openThreads, version, contentHash }
+   */
+  async saveChapterSummary(novelId, chapterNum, summary) {
+    const scope = this.getScope(novelId);
+
+    await this.state.writeWithRetry(this.agentId, scope, async (currentState) => {
+      const summaries = currentState.summaries || emptySummaries();
+      summaries.chapters[chapterNum] = {
+        ...summary,
+        chapterNum,
+        savedAt: new Date().toISOString()
+      };
+      return { summaries };
+    }, { keys: ['summaries'] });
+
+    console.log(`[NovelManager] Saved summary of chapter ${chapterNum} for ${novelId}`);
+  }
+
+  /**
+   * Save an arc recap from Shadowfax
+   *
+   * @param {string} novelId - Novel ID
+   * @param {number} arc - Arc number (1-indexed)
+   * @param {Object} summary - { from, to, summary, keyEvents, openThreads, sourceHash }
+   */
+  async saveArcSummary(novelId, arc, summary) {
+    const scope = this.getScope(novelId);
+
+    await this.state.writeWithRetry(this.agentId, scope, async (currentState) => {
+      const summaries = currentState.summaries || emptySummaries();
+      summaries.arcs[arc] = {
+        ...summary,
+        arc,
+        savedAt: new Date().toISOString()
+      };
+      return { summaries };
+    }, { keys: ['summaries'] });
+
+    console.log(`[NovelManager] Saved arc ${arc} recap (ch${summary.from}-${summary.to}) for ${novelId}`);
+  }
+
+  /**
+   * Drop the summaries of rewritten chapters, and every arc that covers one
+   *
+   * @param {string} novelId - Novel ID
+   * @param {Array<number>} chapterNums - Chapters whose summaries are stale
+   */
+  async clearSummaries(novelId, chapterNums) {
+    const scope = this.getScope(novelId);
+
+    await this.state.writeWithRetry(this.agentId, scope, async (currentState) => {
+      return { summaries: invalidateSummaries(currentState.summaries || emptySummaries(), chapterNums) };
+    }, { keys: ['summaries'] });
   }
 
   // ============================================================
@@ -873,13 +1571,28 @@ class NovelManager {
   /**
    * Get the story bible for a novel
    *
+   * For a novel in a series this is the series canon bible with the
+   * novel's own (private) bible layered over it. The write methods below
+   * always change the private bible; see SeriesManager for the canon.
+   *
    * @param {string} novelId - Novel ID
+   * @param {Object} options
+   * @param {boolean} options.includeCanon - Layer over the series canon (default: true)
    * @returns {Promise<Object>} Story bible
    */
-  async getStoryBible(novelId) {
+  async getStoryBible(novelId, options = {}) {
     const scope = this.getScope(novelId);
-    const bible = await this.state.get(scope, 'storyBible');
-    return bible || { ...EMPTY_STORY_BIBLE };
+    const [bible, metadata] = await Promise.all([
+      this.state.get(scope, 'storyBible'),
+      this.state.get(scope, 'metadata')
+    ]);
+    const own = bible || { ...EMPTY_STORY_BIBLE };
+
+    if (options.includeCanon === false || !metadata?.seriesId || !this.seriesManager) {
+      return own;
+    }
+    const canon = await this.seriesManager.getCanonBible(metadata.seriesId);
+    return applyBibleUpdates(canon, own);
   }
 
   /**
@@ -889,17 +1602,14 @@ class NovelManager {
    * @param {Object} character - Character data
    */
   async upsertCharacter(novelId, character) {
-    const scope = this.getScope(novelId);
     const charId = character.id || `char-${Date.now()}`;
 
-    await this.state.writeWithRetry('novel-manager', scope, async (currentState) => {
-      const bible = currentState.storyBible || { ...EMPTY_STORY_BIBLE };
+    await this._updateBible(novelId, bible => {
       bible.characters[charId] = {
         ...character,
         id: charId,
         updatedAt: new Date().toISOString()
       };
-      return { storyBible: bible };
     });
 
     console.log(`[NovelManager] Updated character ${charId} in story bible for ${novelId}`);
@@ -913,15 +1623,11 @@ class NovelManager {
    * @param {Object} relationship - Relationship data
    */
   async addRelationship(novelId, relationship) {
-    const scope = this.getScope(novelId);
-
-    await this.state.writeWithRetry('novel-manager', scope, async (currentState) => {
-      const bible = currentState.storyBible || { ...EMPTY_STORY_BIBLE };
+    await this._updateBible(novelId, bible => {
       bible.relationships.push({
         ...relationship,
         addedAt: new Date().toISOString()
       });
-      return { storyBible: bible };
     });
 
     console.log(`[NovelManager] Added relationship in story bible for ${novelId}`);
@@ -931,22 +1637,20 @@ class NovelManager {
    * Add a plot thread / foreshadowing
    *
    * @param {string} novelId - Novel ID
-   * @param {Object} thread - Plot thread data
+   * @param {Object} thread - Plot thread data { id, title, introduced, payoffWindow: { from, to } }
    */
   async addPlotThread(novelId, thread) {
-    const scope = this.getScope(novelId);
     const threadId = thread.id || `thread-${Date.now()}`;
 
-    await this.state.writeWithRetry('novel-manager', scope, async (currentState) => {
-      const bible = currentState.storyBible || { ...EMPTY_STORY_BIBLE };
+    await this._updateBible(novelId, bible => {
       bible.plotThreads.push({
         ...thread,
         id: threadId,
         foreshadowing: thread.foreshadowing || [],
+        payoffWindow: thread.payoffWindow || null,
         resolved: null,
         addedAt: new Date().toISOString()
       });
-      return { storyBible: bible };
     });
 
     console.log(`[NovelManager] Added plot thread ${threadId} for ${novelId}`);
@@ -961,21 +1665,36 @@ class NovelManager {
    * @param {Object} hint - Foreshadowing hint { chapter, hint }
    */
   async addForeshadowing(novelId, threadId, hint) {
-    const scope = this.getScope(novelId);
-
-    await this.state.writeWithRetry('novel-manager', scope, async (currentState) => {
-      const bible = currentState.storyBible || { ...EMPTY_STORY_BIBLE };
+    await this._updateBible(novelId, bible => {
       const thread = bible.plotThreads.find(t => t.id === threadId);
       if (!thread) {
         throw new Error(`Plot thread not found: ${threadId}`);
       }
       thread.foreshadowing.push(hint);
-      return { storyBible: bible };
     });
 
     console.log(`[NovelManager] Added foreshadowing to thread ${threadId} for ${novelId}`);
   }
 
+  /**
+   * Mark a plot thread as resolved
+   *
+   * @param {string} novelId - Novel ID
+   * @param {string} threadId - Plot thread ID
+   * @param {number} chapterNum - Chapter where it resolved
+   */
+  async resolvePlotThread(novelId, threadId, chapterNum) {
+    await this._updateBible(novelId, bible => {
+      const thread = bible.plotThreads.find(t => t.id === threadId);
+      if (!thread) {
+        throw new Error(`Plot thread not found: ${threadId}`);
+      }
+      thread.resolved = chapterNum;
+    });
+
+    console.log(`[NovelManager] Resolved plot thread ${threadId} in chapter ${chapterNum} for ${novelId}`);
+  }
+
   /**
    * Add a world fact
    *
@@ -983,15 +1702,11 @@ class NovelManager {
    * @param {Object} fact - { fact, category }
    */
   async addWorldFact(novelId, fact) {
-    const scope = this.getScope(novelId);
-
-    await this.state.writeWithRetry('novel-manager', scope, async (currentState) => {
-      const bible = currentState.storyBible || { ...EMPTY_STORY_BIBLE };
+    await this._updateBible(novelId, bible => {
       bible.worldFacts.push({
         ...fact,
         addedAt: new Date().toISOString()
       });
-      return { storyBible: bible };
     });
 
     console.log(`[NovelManager] Added world fact for ${novelId}`);
@@ -1004,14 +1719,10 @@ class NovelManager {
    * @param {Object} event - { chapter, event, characters }
    */
   async addTimelineEvent(novelId, event) {
-    const scope = this.getScope(novelId);
-
-    await this.state.writeWithRetry('novel-manager', scope, async (currentState) => {
-      const bible = currentState.storyBible || { ...EMPTY_STORY_BIBLE };
+    await this._updateBible(novelId, bible => {
       bible.timeline.push(event);
       // Keep timeline sorted by chapter
       bible.timeline.sort((a, b) => a.chapter - b.chapter);
-      return { storyBible: bible };
     });
 
     console.log(`[NovelManager] Added timeline event for ${novelId}`);
@@ -1021,44 +1732,50 @@ class NovelManager {
    * Add a Chekhov's gun (item/fact that must pay off later)
    *
    * @param {string} novelId - Novel ID
-   * @param {Object} chekhov - { item, introduced, notes }
+   * @param {Object} chekhov - { item, introduced, notes, payoffWindow: { from, to } }
+   * @returns {Promise<string>} The Chekhov's ID
    */
   async addChekhov(novelId, chekhov) {
-    const scope = this.getScope(novelId);
+    let chekhovId;
 
-    await this.state.writeWithRetry('novel-manager', scope, async (currentState) => {
-      const bible = currentState.storyBible || { ...EMPTY_STORY_BIBLE };
+    await this._updateBible(novelId, bible => {
+      chekhovId = chekhov.id || nextChekhovId(bible.chekhovs);
       bible.chekhovs.push({
         ...chekhov,
+        id: chekhovId,
+        payoffWindow: chekhov.payoffWindow || null,
         payoff: null,
         addedAt: new Date().toISOString()
       });
-      return { storyBible: bible };
     });
 
-    console.log(`[NovelManager] Added Chekhov's gun for ${novelId}`);
+    console.log(`[NovelManager] Added Chekhov's gun ${chekhovId} for ${novelId}`);
+    return chekhovId;
   }
 
   /**
    * Mark a Chekhov's gun as paid off
    *
    * @param {string} novelId - Novel ID
-   * @param {string} item - Item name
+   * @param {string} ref - Chekhov ID (chekhov-001), or the exact item name
    * @param {number} payoffChapter - Chapter where it paid off
+   * @returns {Promise<string>} The Chekhov's ID
    */
-  async resolveChekhov(novelId, item, payoffChapter) {
-    const scope = this.getScope(novelId);
-
-    await this.state.writeWithRetry('novel-manager', scope, async (currentState) => {
-      const bible = currentState.storyBible || { ...EMPTY_STORY_BIBLE };
-      const chekhov = bible.chekhovs.find(c => c.item === item);
-      if (chekhov) {
-        chekhov.payoff = payoffChapter;
+  async resolveChekhov(novelId, ref, payoffChapter) {
+    let chekhovId;
+
+    await this._updateBible(novelId, bible => {
+      assignChekhovIds(bible);
+      const chekhov = bible.chekhovs.find(c => c.id === ref) || bible.chekhovs.find(c => c.item === ref);
+      if (!chekhov) {
+        throw new Error(`Chekhov's gun not found: ${ref}`);
       }
-      return { storyBible: bible };
+      chekhov.payoff = payoffChapter;
+      chekhovId = chekhov.id;
     });
 
-    console.log(`[NovelManager] Resolved Chekhov's gun "${item}" in chapter ${payoffChapter}`);
+    console.log(`[NovelManager] Resolved Chekhov's gun ${chekhovId} in chapter ${payoffChapter}`);
+    return chekhovId;
   }
 
   /**
@@ -1069,76 +1786,122 @@ class NovelManager {
    * @param {Object} updates - Partial story bible updates
    */
   async updateStoryBible(novelId, updates) {
-    const scope = this.getScope(novelId);
+    await this._updateBible(novelId, bible => {
+      applyBibleUpdates(bible, updates);
+    });
 
-    await this.state.writeWithRetry('novel-manager', scope, async (currentState) => {
-      const bible = currentState.storyBible || { ...EMPTY_STORY_BIBLE };
+    console.log(`[NovelManager] Updated story bible for ${novelId}`);
+  }
 
-      // Merge characters
-      if (updates.characters) {
-        for (const [id, char] of Object.entries(updates.characters)) {
-          bible.characters[id] = { ...bible.characters[id], ...char, id };
-        }
+  /**
+   * Replace the novel's own story bible (e.g. after moving it into a series canon)
+   *
+   * @param {string} novelId - Novel ID
+   * @param {Object} bible - New story bible
+   */
+  async replaceStoryBible(novelId, bible) {
+    await this._updateBible(novelId, current => {
+      for (const section of Object.keys(current)) {
+        delete current[section];
       }
+      Object.assign(current, JSON.parse(JSON.stringify(bible)));
+    });
 
-      // Append relationships (avoid duplicates)
-      if (updates.relationships) {
-        for (const rel of updates.relationships) {
-          const exists = bible.relationships.some(
-            r => r.from === rel.from && r.to === rel.to && r.type === rel.type
-          );
-          if (!exists) {
-            bible.relationships.push(rel);
-          }
-        }
-      }
+    console.log(`[NovelManager] Replaced story bible for ${novelId}`);
+  }
 
-      // Append plot threads
-      if (updates.plotThreads) {
-        for (const thread of updates.plotThreads) {
-          const existing = bible.plotThreads.find(t => t.id === thread.id);
-          if (existing) {
-            Object.assign(existing, thread);
-          } else {
-            bible.plotThreads.push(thread);
-          }
-        }
-      }
+  /**
+   * Hold bible updates for human review (see BibleExtractor)
+   *
+   * @param {string} novelId - Novel ID
+   * @param {Array} entries - Updates, each with the reason it needs review
+   * @returns {Promise<Array>} The staged entries with their IDs (u1, u2, ...)
+   */
+  async stageBibleUpdates(novelId, entries) {
+    const scope = this.getScope(novelId);
+    const stagedAt = new Date().toISOString();
+    let staged;
 
-      // Append world facts (avoid duplicates)
-      if (updates.worldFacts) {
-        for (const fact of updates.worldFacts) {
-          const exists = bible.worldFacts.some(f => f.fact === fact.fact);
-          if (!exists) {
-            bible.worldFacts.push(fact);
-          }
-        }
-      }
+    const { newVersion } = await this.state.writeWithRetry(this.agentId, scope, async (currentState) => {
+      const pending = currentState.pendingBibleUpdates || [];
+      let lastId = Math.max(0, ...pending.map(entry => parseInt(entry.id.slice(1)) || 0));
+      staged = entries.map(entry => ({ ...entry, id: `u${++lastId}`, stagedAt }));
+      return { pendingBibleUpdates: [...pending, ...staged] };
+    }, { keys: ['pendingBibleUpdates'] });
 
-      // Append timeline events
-      if (updates.timeline) {
-        for (const event of updates.timeline) {
-          bible.timeline.push(event);
-        }
-        bible.timeline.sort((a, b) => a.chapter - b.chapter);
-      }
+    await this._record(novelId, 'bible.staged', { entries: staged }, { version: newVersion });
+
+    console.log(`[NovelManager] Staged ${staged.length} bible update(s) for review in ${novelId}`);
+    return staged;
+  }
 
-      // Append chekhovs
-      if (updates.chekhovs) {
-        for (const chekhov of updates.chekhovs) {
-          const existing = bible.chekhovs.find(c => c.item === chekhov.item);
-          if (existing) {
-            Object.assign(existing, chekhov);
-          } else {
-            bible.chekhovs.push(chekhov);
-          }
-        }
+  /**
+   * Bible updates waiting for review, oldest first
+   *
+   * @param {string} novelId - Novel ID
+   * @returns {Promise<Array>} Staged entries
+   */
+  async getPendingBibleUpdates(novelId) {
+    return await this.state.get(this.getScope(novelId), 'pendingBibleUpdates') || [];
+  }
+
+  /**
+   * Take staged bible updates off the review list
+   * Applying approved ones is up to the caller (BibleExtractor.review).
+   *
+   * @param {string} novelId - Novel ID
+   * @param {Array<string>|null} ids - Entry IDs, or null for all of them
+   * @param {boolean} approved - Decision, for the history
+   * @returns {Promise<Array>} The entries taken off the list
+   */
+  async reviewBibleUpdates(novelId, ids, approved) {
+    const scope = this.getScope(novelId);
+    let reviewed;
+
+    const { newVersion } = await this.state.writeWithRetry(this.agentId, scope, async (currentState) => {
+      const pending = currentState.pendingBibleUpdates || [];
+      const unknown = (ids || []).filter(id => !pending.some(entry => entry.id === id));
+      if (unknown.length > 0) {
+        throw new Error(`No staged bible update(s): ${unknown.join(', ')}`);
       }
+      reviewed = ids ? pending.filter(entry => ids.includes(entry.id)) : pending;
+      return { pendingBibleUpdates: ids ? pending.filter(entry => !ids.includes(entry.id)) : [] };
+    }, { keys: ['pendingBibleUpdates'] });
 
+    if (reviewed.length > 0) {
+      await this._record(novelId, 'bible.reviewed', { ids: reviewed.map(entry => entry.id), approved }, { version: newVersion });
+    }
+
+    console.log(`[NovelManager] ${approved ? 'Approved' : 'Rejected'} ${reviewed.length} staged bible update(s) for ${novelId}`);
+    return reviewed;
+  }
+
+  /**
+   * Change the novel's own story bible, recording one bible.changed event
+   * per entry that changed
+   *
+   * @private
+   * @param {string} novelId - Novel ID
+   * @param {Function} mutate - Changes the bible in place
+   * @returns {Promise<Array>} Changes (see novel-history.js diffBible)
+   */
+  async _updateBible(novelId, mutate) {
+    const scope = this.getScope(novelId);
+    let changes = [];
+
+    const { newVersion } = await this.state.writeWithRetry(this.agentId, scope, async (currentState) => {
+      const bible = currentState.storyBible || JSON.parse(JSON.stringify(EMPTY_STORY_BIBLE));
+      const before = JSON.parse(JSON.stringify(bible));
+      mutate(bible);
+      assignChekhovIds(bible);
+      changes = diffBible(before, bible);
       return { storyBible: bible };
-    });
+    }, { keys: ['storyBible'] });
 
-    console.log(`[NovelManager] Updated story bible for ${novelId}`);
+    for (const change of changes) {
+      await this._record(novelId, 'bible.changed', change, { version: newVersion });
+    }
+    return changes;
   }
 }
 
@@ -1147,5 +1910,6 @@ module.exports = {
   NOVEL_STATUS,
   REVISION_MODE,
   DEFAULT_CONFIG,
-  EMPTY_STORY_BIBLE
+  EMPTY_STORY_BIBLE,
+  applyBibleUpdates
 };
@@ -0,0 +1,480 @@
+/**
+ * ILUVATAR - Omnibus Builder
+ *
+ * Merges several POV novels into one manuscript: the "eventually unified"
+ * complete narrative.
+ *
+ *   1. Interleaving plan: which chapter of which novel comes next. Either
+ *      hand-written ("novelA:1-3", "novelB:1", ...) or derived from the
+ *      series master timeline (SeriesManager), where placed chapters go in
+ *      story-time order and unplaced ones follow the chapter before them in
+ *      their own novel.
+ *   2. Scenes told twice: when a later POV retells a scene an earlier POV
+ *      already covered (shared dialogue, or mostly the same terms), the
+ *      retelling is dropped and listed in the report. Only scenes from
+ *      other novels are compared, and when both chapters are on the master
+ *      timeline only chapters that overlap in story time.
+ *   3. Timeline conflicts: each novel's bible timeline events are matched
+ *      across novels, and the report lists events two POVs put in opposite
+ *      order, or at story times that do not overlap.
+ *
+ * build() returns the manuscript (markdown, POV header on every chapter)
+ * plus structured sections for other renderers; export() also writes
+ * omnibus.md and omnibus-report.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { splitScenes } = require('./scene-chunker');
+const { tokenize } = require('./tokens');
+
+// Scenes at least this similar count as the same scene told twice
+const DEFAULT_DEDUPE_THRESHOLD = 0.6;
+
+// Timeline events at least this similar count as the same event
+const DEFAULT_EVENT_THRESHOLD = 0.5;
+
+// Scenes with fewer distinct terms than this are never treated as duplicates
+const MIN_SCENE_TERMS = 20;
+
+// Quoted dialogue: “...” 「...」 『...』 "..."
+const DIALOGUE_REGEX = /[“「『"]([^”」』"]{4,})[”」』"]/g;
+
+class OmnibusBuilder {
+  /**
+   * @param {Object} novelManager - NovelManager instance
+   * @param {Object} options - Configuration
+   * @param {Object} options.seriesManager - SeriesManager (default: novelManager.seriesManager)
+   * @param {number} options.dedupeThreshold - Scene similarity for "told twice" (default: 0.6)
+   * @param {number} options.eventThreshold - Event similarity for "same event" (default: 0.5)
+   * @param {string} options.outputDir - Output directory (default: data/omnibus)
+   */
+  constructor(novelManager, options = {}) {
+    if (!novelManager) {
+      throw new Error('OmnibusBuilder requires a NovelManager instance');
+    }
+    this.novelManager = novelManager;
+    this.seriesManager = options.seriesManager || novelManager.seriesManager || null;
+    this.dedupeThreshold = options.dedupeThreshold ?? DEFAULT_DEDUPE_THRESHOLD;
+    this.eventThreshold = options.eventThreshold ?? DEFAULT_EVENT_THRESHOLD;
+    this.outputDir = options.outputDir || path.join(process.cwd(), 'data', 'omnibus');
+  }
+
+  /**
+   * Build the omnibus and write it to the output directory
+   *
+   * @param {Object} options - Same as build(), plus:
+   * @param {boolean} options.dryRun - Build the report without writing files
+   * @returns {Promise<Object>} Report
+   */
+  async export(options = {}) {
+    const { manuscript, report } = await this.build(options);
+
+    if (!options.dryRun) {
+      fs.mkdirSync(this.outputDir, { recursive: true });
+      report.output = {
+        manuscript: path.join(this.outputDir, 'omnibus.md'),
+        report: path.join(this.outputDir, 'omnibus-report.json')
+      };
+      fs.writeFileSync(report.output.manuscript, manuscript);
+      fs.writeFileSync(report.output.report, JSON.stringify(report, null, 2));
+      console.log(`[OmnibusBuilder] Wrote omnibus to ${this.outputDir}`);
+    }
+
+    return report;
+  }
+
+  /**
+   * Build the omnibus in memory
+   *
+   * @param {Object} options
+   * @param {string} options.seriesId - Series whose novels (and master timeline) to use
+   * @param {Array<string>} options.novelIds - Novels to merge (default: the series' novels)
+   * @param {Array<string|Object>} options.plan - Hand-written plan (default: derived from the timeline)
+   * @param {string} options.title - Omnibus title (default: series name or first novel's title)
+   * @param {boolean} options.dedupe - Drop scenes told twice (default: true)
+   * @returns {Promise<Object>} { manuscript, sections, report }
+   */
+  async build(options = {}) {
+    const series = options.seriesId ? await this._requireSeries(options.seriesId) : null;
+    const novelIds = options.novelIds?.length
+      ? options.novelIds
+      : (series?.novels || []).map(n => n.novelId);
+    if (novelIds.length === 0) {
+      throw new Error('Omnibus needs a seriesId or at least one novel ID');
+    }
+
+    const novels = new Map();
+    for (const novelId of novelIds) {
+      const state = await this.novelManager.getNovelState(novelId, { include: ['outline', 'chapters'] });
+      if (!state) {
+        throw new Error(`Novel not found: ${novelId}`);
+      }
+      const member = series?.novels.find(n => n.novelId === novelId);
+      novels.set(novelId, { state, pov: member?.pov || state.metadata.pov });
+    }
+
+    const placements = series && this.seriesManager
+      ? await this.seriesManager.getTimeline(series.id)
+      : [];
+    const plan = options.plan
+      ? parsePlan(options.plan, novels)
+      : derivePlan(novels, placements);
+
+    const { sections, duplicates } = this._interleave(plan, novels, placements, options.dedupe ?? true);
+    const conflicts = await this.findTimelineConflicts(novels, placements);
+
+    const language = novels.get(novelIds[0]).state.metadata.language;
+    const title = options.title || series?.name || novels.get(novelIds[0]).state.metadata.title;
+    const manuscript = renderManuscript(title, sections, language);
+
+    const planned = new Set(plan.map(p => `${p.novelId}:${p.chapterNum}`));
+    const report = {
+      createdAt: new Date().toISOString(),
+      title,
+      seriesId: series?.id || null,
+      planSource: options.plan ? 'manual' : (placements.length ? 'timeline' : 'novel order'),
+      novels: novelIds.map(novelId => ({
+        novelId,
+        title: novels.get(novelId).state.metadata.title,
+        pov: novels.get(novelId).pov,
+        chapters: sections.filter(s => s.novelId === novelId).length
+      })),
+      chapters: sections.length,
+      unplanned: novelIds.flatMap(novelId =>
+        writtenChapters(novels.get(novelId).state)
+          .filter(n => !planned.has(`${novelId}:${n}`))
+          .map(chapterNum => ({ novelId, chapterNum }))
+      ),
+      duplicates,
+      conflicts
+    };
+
+    console.log(`[OmnibusBuilder] "${title}": ${sections.length} chapters from ${novelIds.length} novels, ${duplicates.length} duplicate scene(s) dropped, ${conflicts.length} timeline conflict(s)`);
+    return { manuscript, sections, report };
+  }
+
+  /**
+   * Events two POVs disagree about
+   *
+   * @param {Map<string, Object>} novels - novelId -> { state, pov }
+   * @param {Array<Object>} placements - Master timeline placements
+   * @returns {Promise<Array<Object>>} [{ type: 'order' | 'time', event, message, tellings: [...] }]
+   */
+  async findTimelineConflicts(novels, placements = []) {
+    const events = [];
+    for (const [novelId, { state }] of novels) {
+      const bible = await this.novelManager.getStoryBible(novelId, { includeCanon: false });
+      for (const entry of bible.timeline || []) {
+        if (!entry.event) continue;
+        events.push({
+          novelId,
+          novelTitle: state.metadata.title,
+          chapter: entry.chapter,
+          event: entry.event,
+          terms: new Set(tokenize(entry.event, { unigrams: false }))
+        });
+      }
+    }
+
+    // Same event as told by two different novels
+    const matches = [];
+    for (let i = 0; i < events.length; i++) {
+      for (let j = i + 1; j < events.length; j++) {
+        const a = events[i];
+        const b = events[j];
+        if (a.novelId === b.novelId) continue;
+        if (jaccard(a.terms, b.terms) >= this.eventThreshold) matches.push([a, b]);
+      }
+    }
+
+    const conflicts = [];
+    const placementOf = e => placements.find(p => p.novelId === e.novelId && p.chapterNum === e.chapter);
+
+    for (const [a, b] of matches) {
+      const pa = placementOf(a);
+      const pb = placementOf(b);
+      if (pa && pb && (pa.start > pb.end || pb.start > pa.end)) {
+        conflicts.push({
+          type: 'time',
+          event: a.event,
+          message: `"${a.novelTitle}" Ch${a.chapter} places it at ${formatSpan(pa)}, "${b.novelTitle}" Ch${b.chapter} at ${formatSpan(pb)}`,
+          tellings: [telling(a), telling(b)]
+        });
+      }
+    }
+
+    // Two shared events whose order differs between the same two novels
+    for (let i = 0; i < matches.length; i++) {
+      for (let j = i + 1; j < matches.length; j++) {
+        const [x1, x2] = matches[i];
+        const [y1, y2] = matches[j];
+        if (x1.novelId !== y1.novelId || x2.novelId !== y2.novelId) continue;
+        if (x1 === y1 || x2 === y2) continue;
+
+        const firstOrder = Math.sign(x1.chapter - y1.chapter);
+        const secondOrder = Math.sign(x2.chapter - y2.chapter);
+        if (firstOrder !== 0 && secondOrder !== 0 && firstOrder !== secondOrder) {
+          conflicts.push({
+            type: 'order',
+            event: `${x1.event} / ${y1.event}`,
+            message: `"${x1.novelTitle}" has "${x1.event}" ${firstOrder < 0 ? 'before' : 'after'} "${y1.event}", "${x2.novelTitle}" has it ${secondOrder < 0 ? 'before' : 'after'}`,
+            tellings: [telling(x1), telling(y1), telling(x2), telling(y2)]
+          });
+        }
+      }
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Walk the plan, splitting chapters into scenes and dropping retellings
+   *
+   * A chapter left with no scenes of its own is left out entirely.
+   * @private
+   */
+  _interleave(plan, novels, placements, dedupe) {
+    const sections = [];
+    const duplicates = [];
+    const kept = []; // scenes already in the manuscript: { novelId, chapterNum, pov, placement, fingerprint }
+
+    for (const { novelId, chapterNum } of plan) {
+      const { state, pov } = novels.get(novelId);
+      const chapter = state.chapters[chapterNum];
+      const placement = placements.find(p => p.novelId === novelId && p.chapterNum === chapterNum) || null;
+      const scenes = splitScenes(chapter.content).map(paragraphs => paragraphs.map(p => p.text).join('\n\n'));
+
+      const content = [];
+      const droppedScenes = [];
+      scenes.forEach((text, index) => {
+        const fingerprint = fingerprintScene(text);
+        const earlier = dedupe ? this._findRetold(fingerprint, novelId, placement, kept) : null;
+        if (earlier) {
+          droppedScenes.push({
+            novelId,
+            chapterNum,
+            scene: index + 1,
+            score: Number(earlier.score.toFixed(3)),
+            duplicateOf: { novelId: earlier.scene.novelId, chapterNum: earlier.scene.chapterNum, pov: earlier.scene.pov },
+            preview: text.substring(0, 80)
+          });
+          return;
+        }
+        content.push(text);
+        kept.push({ novelId, chapterNum, pov, placement, fingerprint });
+      });
+
+      duplicates.push(...droppedScenes);
+      if (content.length === 0) continue;
+
+      const outlined = (state.outline?.chapters || []).find(ch => ch.number === chapterNum);
+      sections.push({
+        number: sections.length + 1,
+        novelId,
+        novelTitle: state.metadata.title,
+        pov,
+        chapterNum,
+        title: chapter.title || outlined?.title || '',
+        scenes: content,
+        content: content.join('\n\n* * *\n\n'),
+        droppedScenes: droppedScenes.length
+      });
+    }
+
+    return { sections, duplicates };
+  }
+
+  /**
+   * Best earlier scene (from another novel) this one retells, if any
+   * @private
+   */
+  _findRetold(fingerprint, novelId, placement, kept) {
+    if (fingerprint.terms.size < MIN_SCENE_TERMS) return null;
+
+    let best = null;
+    for (const scene of kept) {
+      if (scene.novelId === novelId) continue;
+      // Chapters at different story times cannot share a scene
+      if (placement && scene.placement && (placement.start > scene.placement.end || scene.placement.start > placement.end)) continue;
+      if (scene.fingerprint.terms.size < MIN_SCENE_TERMS) continue;
+
+      const score = sceneSimilarity(fingerprint, scene.fingerprint);
+      if (score >= this.dedupeThreshold && (!best || score > best.score)) {
+        best = { scene, score };
+      }
+    }
+    return best;
+  }
+
+  /** @private */
+  async _requireSeries(seriesId) {
+    if (!this.seriesManager) {
+      throw new Error('Building from a series requires a SeriesManager');
+    }
+    const series = await this.seriesManager.getSeries(seriesId);
+    if (!series) {
+      throw new Error(`Series not found: ${seriesId}`);
+    }
+    return series;
+  }
+}
+
+// ============================================================
+// PLANS
+// ============================================================
+
+/**
+ * Read a hand-written interleaving plan
+ *
+ * Entries are { novelId, chapterNum } or strings "novelId:12" / "novelId:3-7".
+ *
+ * @param {Array<string|Object>} entries - Plan entries in reading order
+ * @param {Map<string, Object>} novels - novelId -> { state }
+ * @returns {Array<Object>} [{ novelId, chapterNum }]
+ */
+function parsePlan(entries, novels) {
+  const plan = [];
+  for (const entry of entries) {
+    if (typeof entry !== 'string') {
+      plan.push({ novelId: entry.novelId, chapterNum: Number(entry.chapterNum) });
+      continue;
+    }
+    const match = entry.trim().match(/^(.+):(\d+)(?:-(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid plan entry "${entry}" (expected novelId:chapter or novelId:from-to)`);
+    }
+    const from = parseInt(match[2]);
+    const to = match[3] ? parseInt(match[3]) : from;
+    for (let n = from; n <= to; n++) {
+      plan.push({ novelId: match[1], chapterNum: n });
+    }
+  }
+
+  for (const { novelId, chapterNum } of plan) {
+    const novel = novels.get(novelId);
+    if (!novel) {
+      throw new Error(`Plan names novel ${novelId}, which is not part of this omnibus`);
+    }
+    if (!novel.state.chapters[chapterNum]?.content) {
+      throw new Error(`Plan names ${novelId} chapter ${chapterNum}, which is not written`);
+    }
+  }
+  return plan;
+}
+
+/**
+ * Interleave novels by the master timeline
+ *
+ * Placed chapters sort by story time; an unplaced chapter inherits the
+ * time of the chapter before it in its own novel, so each novel's
+ * unplaced stretches stay together. Without any placements this is simply
+ * each novel in turn.
+ *
+ * @param {Map<string, Object>} novels - novelId -> { state }
+ * @param {Array<Object>} placements - Master timeline placements
+ * @returns {Array<Object>} [{ novelId, chapterNum }]
+ */
+function derivePlan(novels, placements) {
+  const keyed = [];
+  let novelIndex = 0;
+
+  for (const [novelId, { state }] of novels) {
+    let time = -Infinity;
+    for (const chapterNum of writtenChapters(state)) {
+      const placement = placements.find(p => p.novelId === novelId && p.chapterNum === chapterNum);
+      if (placement) time = placement.start;
+      keyed.push({ novelId, chapterNum, time, novelIndex });
+    }
+    novelIndex++;
+  }
+
+  return keyed
+    .sort((a, b) => a.time - b.time || a.novelIndex - b.novelIndex || a.chapterNum - b.chapterNum)
+    .map(({ novelId, chapterNum }) => ({ novelId, chapterNum }));
+}
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+function writtenChapters(state) {
+  return Object.keys(state.chapters || {})
+    .map(Number)
+    .filter(n => state.chapters[n]?.content)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Dialogue lines and terms of a scene, for comparing retellings
+ */
+function fingerprintScene(text) {
+  const dialogue = new Set();
+  for (const match of text.matchAll(DIALOGUE_REGEX)) {
+    dialogue.add(match[1].replace(/[\s\p{P}]+/gu, '').toLowerCase());
+  }
+  return { dialogue, terms: new Set(tokenize(text, { unigrams: false })) };
+}
+
+/**
+ * Two POVs telling one scene share its dialogue even when the narration
+ * differs, so shared dialogue counts as much as shared vocabulary
+ */
+function sceneSimilarity(a, b) {
+  const dialogue = a.dialogue.size >= 2 && b.dialogue.size >= 2
+    ? intersectionSize(a.dialogue, b.dialogue) / Math.min(a.dialogue.size, b.dialogue.size)
+    : 0;
+  return Math.max(dialogue, jaccard(a.terms, b.terms));
+}
+
+function intersectionSize(a, b) {
+  let count = 0;
+  for (const item of a) {
+    if (b.has(item)) count++;
+  }
+  return count;
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  const shared = intersectionSize(a, b);
+  return shared / (a.size + b.size - shared);
+}
+
+function formatSpan(placement) {
+  return placement.start === placement.end ? `t${placement.start}` : `t${placement.start}-${placement.end}`;
+}
+
+function telling(event) {
+  return { novelId: event.novelId, novelTitle: event.novelTitle, chapter: event.chapter, event: event.event };
+}
+
+/**
+ * Markdown manuscript with a POV header on every chapter
+ */
+function renderManuscript(title, sections, language) {
+  const zh = language === 'zh';
+  const parts = [`# ${title}`, '---'];
+
+  for (const section of sections) {
+    const heading = zh
+      ? `## 第${section.number}章${section.title ? ` ${section.title}` : ''}`
+      : `## ${section.number}. ${section.title || `Chapter ${section.number}`}`;
+    const pov = zh
+      ? `*视角：${section.pov} ·《${section.novelTitle}》第${section.chapterNum}章*`
+      : `*POV: ${section.pov} · ${section.novelTitle}, Chapter ${section.chapterNum}*`;
+    parts.push(heading, pov, section.content, '---');
+  }
+
+  parts.push(`*Generated by ILUVATAR on ${new Date().toISOString()}*`);
+  return parts.join('\n\n') + '\n';
+}
+
+module.exports = {
+  OmnibusBuilder,
+  parsePlan,
+  derivePlan,
+  sceneSimilarity,
+  fingerprintScene,
+  DEFAULT_DEDUPE_THRESHOLD
+};
@@ -0,0 +1,333 @@
+/**
+ * ILUVATAR - Outline Model
+ *
+ * The structured outline stored under `outline` in a novel's scope.
+ * Gandalf's text is parsed once (output-parser.js) and normalized here;
+ * everything else reads the structure instead of scraping `raw`.
+ *
+ *   {
+ *     schemaVersion, version,            // version bumps on every save/edit
+ *     title, synopsis, themes, characters, worldbuilding, notes, storyBible,
+ *     acts:     [{ number, title, summary, from, to }],
+ *     arcs:     [{ number, title, summary, from, to }],
+ *     chapters: [{ id, number, title, summary, pov, beats[], targetWords,
+ *                  bibleRefs[], act, arc }],
+ *     nextId,                            // next stable chapter id
+ *     raw                                // Gandalf-format text, re-rendered after edits
+ *   }
+ *
+ * Chapter `number` is always its position (1..n). `id` is stable across
+ * inserts and reorders, which is how edits tell which written chapters no
+ * longer match their plan. Acts and arcs are position ranges: inserting
+ * or splitting a chapter grows the range it lands in, reordering leaves
+ * the ranges where they are.
+ *
+ * The edit functions are pure: they take an outline and return
+ * { outline, changed } where `changed` lists the chapter numbers whose
+ * plan is now different. NovelManager applies them and flags written
+ * chapters (updateOutlineChapter, insertChapter, splitChapter,
+ * reorderChapters).
+ */
+
+const { splitSections, HEADING_ALIASES } = require('./output-parser');
+
+const OUTLINE_SCHEMA_VERSION = 1;
+
+// Chapter fields that make up its plan (a change to any of them affects written text)
+const PLAN_FIELDS = ['title', 'summary', 'pov', 'beats', 'targetWords', 'bibleRefs'];
+
+/**
+ * Normalize a parsed (or legacy) outline into the structured model
+ *
+ * @param {Object} outline - Outline from parseGandalfOutput or storage
+ * @param {Object} defaults
+ * @param {number} defaults.targetWords - Default words per chapter (novel's targetWordsPerChapter)
+ * @returns {Object} Structured outline
+ */
+function normalizeOutline(outline, defaults = {}) {
+  const source = outline || {};
+  let nextId = source.nextId || 1;
+
+  const chapters = [...(source.chapters || [])]
+    .sort((a, b) => (a.number ?? 0) - (b.number ?? 0))
+    .map(ch => ({
+      id: ch.id || `oc-${nextId++}`,
+      number: 0,
+      title: ch.title || '',
+      summary: ch.summary || '',
+      pov: ch.pov || null,
+      beats: ch.beats || [],
+      targetWords: ch.targetWords || defaults.targetWords || null,
+      bibleRefs: ch.bibleRefs || []
+    }));
+
+  const normalized = {
+    ...source,
+    schemaVersion: OUTLINE_SCHEMA_VERSION,
+    version: source.version || 1,
+    acts: normalizeRanges(source.acts),
+    arcs: normalizeRanges(source.arcs),
+    chapters,
+    nextId
+  };
+  return renumber(normalized);
+}
+
+/**
+ * Find a chapter's plan by number
+ *
+ * @param {Object} outline - Structured outline
+ * @param {number} chapterNum - Chapter number
+ * @returns {Object|null} Chapter plan
+ */
+function findChapter(outline, chapterNum) {
+  return (outline?.chapters || []).find(ch => ch.number === chapterNum) || null;
+}
+
+// ============================================================
+// EDITS
+// ============================================================
+
+/**
+ * Change fields of one chapter's plan
+ *
+ * @param {Object} outline - Structured outline
+ * @param {number} chapterNum - Chapter number
+ * @param {Object} changes - Any of title, summary, pov, beats, targetWords, bibleRefs
+ * @returns {Object} { outline, changed }
+ */
+function updateChapter(outline, chapterNum, changes) {
+  const index = requireIndex(outline, chapterNum);
+  const unknown = Object.keys(changes).filter(key => !PLAN_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Cannot edit outline field(s): ${unknown.join(', ')}. Editable: ${PLAN_FIELDS.join(', ')}`);
+  }
+
+  const next = clone(outline);
+  next.chapters[index] = { ...next.chapters[index], ...changes };
+  return finishEdit(outline, next);
+}
+
+/**
+ * Insert a new chapter before the given position
+ *
+ * The new chapter joins the act/arc of the chapter before it.
+ *
+ * @param {Object} outline - Structured outline
+ * @param {number} position - Number the new chapter will have (1..n+1)
+ * @param {Object} chapter - { title, summary, pov, beats, targetWords, bibleRefs }
+ * @returns {Object} { outline, changed }
+ */
+function insertChapter(outline, position, chapter) {
+  const count = outline.chapters.length;
+  if (!Number.isInteger(position) || position < 1 || position > count + 1) {
+    throw new Error(`Insert position must be between 1 and ${count + 1}`);
+  }
+
+  const next = clone(outline);
+  next.chapters.splice(position - 1, 0, newChapter(next, chapter));
+  growRanges(next, Math.max(position - 1, 1));
+  return finishEdit(outline, next);
+}
+
+/**
+ * Split a chapter into two consecutive chapters
+ *
+ * Without explicit parts the beats are divided in half (first half stays,
+ * second half moves to the new chapter) and the word target is halved.
+ *
+ * @param {Object} outline - Structured outline
+ * @param {number} chapterNum - Chapter to split
+ * @param {Object} parts
+ * @param {Object} parts.first - Fields for the first part (optional)
+ * @param {Object} parts.second - Fields for the second part (optional)
+ * @returns {Object} { outline, changed }
+ */
+function splitChapter(outline, chapterNum, parts = {}) {
+  const index = requireIndex(outline, chapterNum);
+  const original = outline.chapters[index];
+  const half = Math.ceil(original.beats.length / 2);
+  const targetWords = original.targetWords ? Math.round(original.targetWords / 2) : null;
+
+  const next = clone(outline);
+  next.chapters[index] = {
+    ...next.chapters[index],
+    title: original.title,
+    beats: original.beats.slice(0, half),
+    targetWords,
+    ...parts.first
+  };
+  next.chapters.splice(index + 1, 0, newChapter(next, {
+    title: `${original.title} (2)`,
+    summary: original.summary,
+    pov: original.pov,
+    beats: original.beats.slice(half),
+    targetWords,
+    bibleRefs: original.bibleRefs,
+    ...parts.second
+  }));
+  growRanges(next, chapterNum);
+  return finishEdit(outline, next);
+}
+
+/**
+ * Put chapters in a new order
+ *
+ * @param {Object} outline - Structured outline
+ * @param {Array<number>} order - Current chapter numbers in their new order (a permutation of 1..n)
+ * @returns {Object} { outline, changed }
+ */
+function reorderChapters(outline, order) {
+  const count = outline.chapters.length;
+  const sorted = [...order].sort((a, b) => a - b);
+  if (sorted.length !== count || sorted.some((n, i) => n !== i + 1)) {
+    throw new Error(`Order must list every chapter 1-${count} exactly once`);
+  }
+
+  const next = clone(outline);
+  next.chapters = order.map(n => next.chapters[n - 1]);
+  return finishEdit(outline, next);
+}
+
+// ============================================================
+// RENDERING
+// ============================================================
+
+/**
+ * Render the outline back into Gandalf's format
+ *
+ * Structural sections (TITLE, SYNOPSIS, ACTS, ARCS, CHAPTERS) come from
+ * the model; every other section is carried over from the previous raw
+ * text, so edits never lose Gandalf's characters, world notes or bible.
+ *
+ * @param {Object} outline - Structured outline
+ * @returns {string} Outline text that parseGandalfOutput reads back
+ */
+function renderOutline(outline) {
+  const lines = [];
+  if (outline.title) lines.push('## TITLE', outline.title, '');
+  lines.push('## SYNOPSIS', outline.synopsis || '', '');
+
+  const renderRanges = (heading, label, ranges) => {
+    if (!ranges.length) return;
+    lines.push(`## ${heading}`);
+    for (const r of ranges) {
+      lines.push(`- ${label} ${r.number} (Chapters ${r.from}-${r.to}): ${r.title || `${label} ${r.number}`}${r.summary ? ` - ${r.summary}` : ''}`);
+    }
+    lines.push('');
+  };
+  renderRanges('ACTS', 'Act', outline.acts);
+  renderRanges('ARCS', 'Arc', outline.arcs);
+
+  lines.push('## CHAPTERS');
+  for (const ch of outline.chapters) {
+    lines.push(`${ch.number}. ${ch.title || `Chapter ${ch.number}`}: ${ch.summary}`);
+    if (ch.pov) lines.push(`   - POV: ${ch.pov}`);
+    if (ch.beats.length) lines.push(`   - Beats: ${ch.beats.join('; ')}`);
+    if (ch.targetWords) lines.push(`   - Words: ${ch.targetWords}`);
+    if (ch.bibleRefs.length) lines.push(`   - Bible: ${ch.bibleRefs.join(', ')}`);
+  }
+
+  const structural = ['TITLE', 'SYNOPSIS', 'ACTS', 'ARCS', 'CHAPTERS']
+    .flatMap(heading => [heading, ...(HEADING_ALIASES[heading] || [])])
+    .map(name => name.toUpperCase());
+  for (const section of splitSections(outline.raw || '', 2)) {
+    if (section.names.some(name => structural.includes(name))) continue;
+    lines.push('', `## ${section.heading}`, section.body);
+  }
+
+  return lines.join('\n').trim();
+}
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+function clone(outline) {
+  return JSON.parse(JSON.stringify(outline));
+}
+
+function requireIndex(outline, chapterNum) {
+  const index = (outline?.chapters || []).findIndex(ch => ch.number === chapterNum);
+  if (index === -1) {
+    throw new Error(`Chapter ${chapterNum} is not in the outline`);
+  }
+  return index;
+}
+
+function newChapter(outline, fields = {}) {
+  return {
+    id: `oc-${outline.nextId++}`,
+    number: 0,
+    title: fields.title || '',
+    summary: fields.summary || '',
+    pov: fields.pov || null,
+    beats: fields.beats || [],
+    targetWords: fields.targetWords || null,
+    bibleRefs: fields.bibleRefs || []
+  };
+}
+
+function normalizeRanges(ranges) {
+  return [...(ranges || [])]
+    .filter(r => r.from && r.to && r.from <= r.to)
+    .sort((a, b) => a.from - b.from)
+    .map((r, i) => ({ number: i + 1, title: r.title || '', summary: r.summary || '', from: r.from, to: r.to }));
+}
+
+/**
+ * One chapter was added at (or right after) `position`: grow the range
+ * holding it and shift every range after it
+ */
+function growRanges(outline, position) {
+  for (const ranges of [outline.acts, outline.arcs]) {
+    for (const r of ranges) {
+      if (r.from > position) r.from++;
+      if (r.to >= position) r.to++;
+    }
+  }
+}
+
+/**
+ * Number chapters by position and stamp their act/arc
+ */
+function renumber(outline) {
+  outline.chapters.forEach((ch, i) => {
+    ch.number = i + 1;
+    ch.act = outline.acts.find(r => ch.number >= r.from && ch.number <= r.to)?.number || null;
+    ch.arc = outline.arcs.find(r => ch.number >= r.from && ch.number <= r.to)?.number || null;
+  });
+  return outline;
+}
+
+function planKey(chapter) {
+  return chapter ? JSON.stringify([chapter.id, ...PLAN_FIELDS.map(field => chapter[field])]) : null;
+}
+
+/**
+ * Renumber, bump the version, and list chapter numbers whose plan changed
+ */
+function finishEdit(before, after) {
+  renumber(after);
+  after.version = (before.version || 1) + 1;
+  after.raw = renderOutline(after);
+
+  const count = Math.max(before.chapters.length, after.chapters.length);
+  const changed = [];
+  for (let n = 1; n <= count; n++) {
+    if (planKey(before.chapters[n - 1]) !== planKey(after.chapters[n - 1])) changed.push(n);
+  }
+  return { outline: after, changed };
+}
+
+module.exports = {
+  normalizeOutline,
+  findChapter,
+  updateChapter,
+  insertChapter,
+  splitChapter,
+  reorderChapters,
+  renderOutline,
+  OUTLINE_SCHEMA_VERSION,
+  PLAN_FIELDS
+};
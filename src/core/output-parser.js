@@ -0,0 +1,1305 @@
+/**
+ * ILUVATAR - Output Parser
+ *
+ * Turns raw agent text into typed objects using the ## markers defined in
+ * AGENT_CONFIG (model-config.js). Replaces the N8N "Parse ... Output" code
+ * nodes and the ad-hoc regexes scattered through the bot.
+ *
+ *   Gandalf -> outline  { title, synopsis, acts[], arcs[], chapters[], characters[], storyBible, ... }
+ *   Frodo   -> chapter  { title, content, wordCount, notes, bibleUpdates }
+ *   Elrond  -> critique { score, strengths[], weaknesses[], revision, bibleConsistency, ... }
+ *   Shadowfax -> summary { summary, keyEvents[], openThreads[] }
+ *   Radagast -> extraction { summary, characters[], worldFacts[], timeline[], chekhovs[], nextChapters[] }
+ *
+ * Every parse returns { agent, data, errors, warnings, valid }.
+ * Errors (missing required sections, out-of-range scores) make the result
+ * invalid; warnings (missing optional sections, numbering gaps) do not.
+ *
+ * Headings are matched leniently: "## 正文", "## Content:", "## **CONTENT**"
+ * and "## 正文 / CONTENT" all resolve to the CONTENT marker.
+ *
+ * OutputValidator adapts the legacy JSONValidator repair cascade
+ * (legacy/iluvatar-2.0/core/json-validator.js) to these text formats:
+ *   direct -> strip code fences/preamble -> normalize headings -> Haiku fixer
+ * The fixer runs behind a per-agent circuit breaker.
+ */
+
+const EventEmitter = require('events');
+const { AGENT_CONFIG, MODEL_TIERS, getAgentConfig } = require('./model-config');
+const { getProvider } = require('./llm-providers');
+const { CircuitBreakerRegistry } = require('./circuit-breaker');
+
+// Alternative headings accepted for each English marker (Chinese first, then English variants)
+const HEADING_ALIASES = {
+  // Gandalf
+  'TITLE': ['标题', '书名', '小说标题', 'NOVEL TITLE'],
+  'SYNOPSIS': ['简介', '梗概', '故事梗概', '故事简介', 'SUMMARY'],
+  'ACTS': ['幕', '分幕', '幕结构', 'ACT STRUCTURE'],
+  'ARCS': ['卷', '分卷', '分卷大纲', '剧情弧', 'STORY ARCS', 'VOLUMES'],
+  'CHAPTERS': ['章节', '章节大纲', '章节列表', 'CHAPTER OUTLINE', 'CHAPTER SUMMARIES'],
+  'CHARACTERS': ['角色', '人物', '主要角色', '主要人物'],
+  'WORLDBUILDING': ['世界观', '世界设定', 'WORLD BUILDING', 'SETTING'],
+  'THEMES': ['主题', 'THEME'],
+  'NOTES': ['备注', '笔记', '注释', 'ADDITIONAL NOTES'],
+  'STORY BIBLE': ['故事圣经', '设定集', '故事设定'],
+
+  // Frodo
+  'CHAPTER TITLE': ['章节标题', '本章标题', '标题', 'TITLE'],
+  'CONTENT': ['正文', '内容', '章节正文', 'CHAPTER CONTENT'],
+  'WORD COUNT': ['字数', '字数统计', 'WORDCOUNT'],
+  'AUTHOR NOTES': ['作者笔记', '作者备注', '写作笔记', 'AUTHOR\'S NOTES', 'AUTHORS NOTES'],
+  'BIBLE UPDATES': ['设定更新', '故事圣经更新', 'STORY BIBLE UPDATES'],
+
+  // Elrond
+  'SCORE': ['评分', '分数', '得分'],
+  'STRENGTHS': ['优点', '优势', '亮点'],
+  'WEAKNESSES': ['缺点', '不足', '问题'],
+  'SUGGESTED REVISION': ['修改建议', '修订建议', 'SUGGESTED REVISIONS', 'REVISION SUGGESTIONS'],
+  'PREFERENCE': ['偏好', '偏好分析'],
+  'BIBLE CONSISTENCY': ['设定一致性', '故事圣经一致性', 'STORY BIBLE CONSISTENCY'],
+
+  // Shadowfax
+  'SUMMARY': ['摘要', '概要', '本章摘要', '剧情摘要', 'RECAP'],
+  'KEY EVENTS': ['关键事件', '主要事件', 'EVENTS'],
+  'OPEN THREADS': ['未解决线索', '悬念', '未完线索', 'UNRESOLVED THREADS'],
+
+  // Radagast (CHARACTERS, WORLD FACTS, TIMELINE EVENTS, CHEKHOVS are shared)
+  'NEXT CHAPTERS': ['后续章节', '后续大纲', '下一章', 'UPCOMING CHAPTERS', 'NEXT CHAPTER'],
+
+  // ### subsections
+  'PLOT THREADS': ['情节线', '剧情线', '伏笔线'],
+  'WORLD FACTS': ['世界规则', '世界事实'],
+  'CHEKHOVS': ['契诃夫之枪', '伏笔', 'CHEKHOV\'S GUNS', 'CHEKHOV GUNS'],
+  'CHARACTER UPDATES': ['角色更新', '人物更新'],
+  'NEW RELATIONSHIPS': ['新关系', '新人物关系'],
+  'PLOT THREAD PROGRESS': ['情节线进展', '剧情线进展'],
+  'TIMELINE EVENTS': ['时间线事件', '时间线', '大事记'],
+  'CHEKHOV PAYOFFS': ['伏笔回收', '契诃夫之枪回收'],
+  'NEW CHEKHOVS': ['新伏笔', '新契诃夫之枪'],
+  'CHARACTER CONSISTENCY': ['角色一致性', '人物一致性'],
+  'WORLD RULE VIOLATIONS': ['世界规则违反', '设定冲突'],
+  'RELATIONSHIP ACCURACY': ['关系准确性', '人物关系准确性'],
+  'CHEKHOV STATUS': ['伏笔状态', '契诃夫之枪状态'],
+  'BIBLE UPDATE REVIEW': ['设定更新审查', '故事圣经更新审查']
+};
+
+// Sections an agent's output cannot be used without
+const REQUIRED_SECTIONS = {
+  gandalf: ['synopsis', 'chapters'],
+  frodo: ['content'],
+  elrond: ['score'],
+  shadowfax: ['summary'],
+  radagast: ['summary']
+};
+
+// Frodo marks a plot thread resolved with "thread-001: RESOLVED - ..."
+const RESOLVED_REGEX = /^(?:\*\*)?(?:resolved|已解决|已完结|已收束)(?:\*\*)?\s*[:：\-–—]?\s*/i;
+
+// Sub-section keys inside Gandalf's ## STORY BIBLE
+const STORY_BIBLE_SECTIONS = {
+  characters: 'CHARACTERS',
+  plotThreads: 'PLOT THREADS',
+  worldFacts: 'WORLD FACTS',
+  chekhovs: 'CHEKHOVS'
+};
+
+// Sub-section keys inside Frodo's ## BIBLE UPDATES
+const BIBLE_UPDATE_SECTIONS = {
+  characterUpdates: 'CHARACTER UPDATES',
+  relationships: 'NEW RELATIONSHIPS',
+  plotThreadProgress: 'PLOT THREAD PROGRESS',
+  timelineEvents: 'TIMELINE EVENTS',
+  chekhovPayoffs: 'CHEKHOV PAYOFFS',
+  newChekhovs: 'NEW CHEKHOVS'
+};
+
+// Sub-section keys inside Elrond's ## BIBLE CONSISTENCY, with accepted verdicts
+const CONSISTENCY_CHECKS = {
+  characterConsistency: { heading: 'CHARACTER CONSISTENCY', verdicts: ['PASS', 'WARN', 'FAIL'] },
+  worldRuleViolations: { heading: 'WORLD RULE VIOLATIONS', verdicts: ['NONE', 'MINOR', 'MAJOR'] },
+  relationshipAccuracy: { heading: 'RELATIONSHIP ACCURACY', verdicts: ['PASS', 'WARN', 'FAIL'] },
+  chekhovStatus: { heading: 'CHEKHOV STATUS', verdicts: ['GOOD', 'NEEDS ATTENTION'] },
+  bibleUpdateReview: { heading: 'BIBLE UPDATE REVIEW', verdicts: [] }
+};
+
+// Chinese verdict words Elrond uses when writing in zh
+const VERDICT_ALIASES = {
+  '通过': 'PASS',
+  '警告': 'WARN',
+  '失败': 'FAIL',
+  '不通过': 'FAIL',
+  '无': 'NONE',
+  '轻微': 'MINOR',
+  '严重': 'MAJOR',
+  '良好': 'GOOD',
+  '需要关注': 'NEEDS ATTENTION',
+  '需注意': 'NEEDS ATTENTION'
+};
+
+// Verdicts that downgrade the overall consistency result
+const FAILING_VERDICTS = ['FAIL', 'MAJOR'];
+const WARNING_VERDICTS = ['WARN', 'MINOR', 'NEEDS ATTENTION'];
+
+// Bullet content that means "nothing to report"
+const EMPTY_ENTRY = /^(?:none|n\/a|nothing|no changes?|无|没有|暂无|无变化)[.。]?$/i;
+
+// ============================================================
+// SECTION SPLITTING
+// ============================================================
+
+/**
+ * Normalize a heading for comparison
+ * "**Content:**" -> "CONTENT", "【正文】" -> "正文"
+ */
+function normalizeHeading(heading) {
+  return heading
+    .replace(/[*_`#【】[\]]/g, '')
+    .replace(/\s*\(.*?\)\s*$/, '')
+    .replace(/[:：]\s*$/, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toUpperCase();
+}
+
+/**
+ * Split text on headings of one level
+ *
+ * "### Character Consistency: PASS" keeps the verdict after the colon in
+ * `suffix`, so headings that carry a value can still be matched.
+ *
+ * @param {string} text - Text to split
+ * @param {number} level - Heading level (2 for ##, 3 for ###)
+ * @returns {Array<Object>} [{ heading, names[], suffix, body }]
+ */
+function splitSections(text, level = 2) {
+  const headingRegex = new RegExp(`^#{${level}}(?!#)\\s*(.+?)\\s*$`);
+  const sections = [];
+  let current = null;
+
+  for (const line of (text || '').split('\n')) {
+    const match = line.match(headingRegex);
+    if (match) {
+      const heading = match[1];
+      const [name, ...rest] = heading.replace(/^\*+|\*+$/g, '').split(/[:：]/);
+      current = {
+        heading,
+        // "正文 / CONTENT" -> ['正文', 'CONTENT']
+        names: [heading, name].flatMap(h => h.split(/\s*[/|]\s*/)).map(normalizeHeading).filter(Boolean),
+        suffix: rest.join(':').trim(),
+        lines: []
+      };
+      sections.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    }
+  }
+
+  return sections.map(({ lines, ...section }) => ({ ...section, body: lines.join('\n').trim() }));
+}
+
+/**
+ * All accepted (normalized) names for an English heading
+ */
+function headingNames(heading) {
+  return [heading, ...(HEADING_ALIASES[heading] || [])].map(normalizeHeading);
+}
+
+/**
+ * Find the first section matching an English heading or one of its aliases
+ */
+function findSection(sections, heading) {
+  const names = headingNames(heading);
+  return sections.find(section => section.names.some(name => names.includes(name))) || null;
+}
+
+/**
+ * Map ## sections to marker keys
+ *
+ * @param {string} text - Raw agent output
+ * @param {Object} markers - { key: '## MARKER' } from AGENT_CONFIG
+ * @returns {Object} { sections: { key: body }, unknown: [headings] }
+ */
+function matchMarkers(text, markers) {
+  const found = splitSections(text, 2);
+  const sections = {};
+  const claimed = new Set();
+
+  for (const [key, marker] of Object.entries(markers)) {
+    const heading = marker.replace(/^#+\s*/, '');
+    const names = headingNames(heading);
+    const section = found.find(s => !claimed.has(s) && s.names.some(name => names.includes(name)));
+    if (section) {
+      claimed.add(section);
+      // "## SCORE: 85" puts the value on the heading line
+      sections[key] = section.body || section.suffix;
+    }
+  }
+
+  return {
+    sections,
+    unknown: found.filter(s => !claimed.has(s)).map(s => s.heading)
+  };
+}
+
+/**
+ * Split agent output into sections using the agent's ## markers
+ *
+ * @param {string} text - Raw agent output
+ * @param {Object} markers - { key: '## MARKER' } from AGENT_CONFIG
+ * @returns {Object} { key: sectionText } for every marker found
+ */
+function parseSections(text, markers) {
+  return matchMarkers(text, markers).sections;
+}
+
+// ============================================================
+// VALUE HELPERS
+// ============================================================
+
+/**
+ * Turn a bulleted section into an array of strings
+ */
+function toList(sectionText) {
+  if (!sectionText) return [];
+  return sectionText
+    .split('\n')
+    .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)、])\s*/, '').trim())
+    .filter(line => line && !EMPTY_ENTRY.test(line));
+}
+
+/**
+ * Strip markdown emphasis and placeholder brackets from a single value
+ */
+function cleanValue(value) {
+  return (value || '')
+    .replace(/\*\*/g, '')
+    .replace(/^\[(.*)\]$/, '$1')
+    .replace(/^["“](.*)["”]$/, '$1')
+    .trim();
+}
+
+/**
+ * "Chapter 3", "第三章", "3" -> 3
+ */
+function parseChapterNumber(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value);
+  const digits = text.match(/\d+/);
+  if (digits) return parseInt(digits[0]);
+  const chinese = text.match(/第?([零〇一二两三四五六七八九十百]+)章?/);
+  return chinese ? parseChineseNumber(chinese[1]) : null;
+}
+
+/**
+ * Parse an expected payoff window: "Chapters 20-25", "第20-25章", "Chapter 12",
+ * "by chapter 30" (no earliest chapter)
+ *
+ * @returns {Object|null} { from, to }
+ */
+function parsePayoffWindow(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value);
+  const range = text.match(/(\d+)\s*[-–—~～至到]\s*(\d+)/);
+  if (range) return { from: parseInt(range[1]), to: parseInt(range[2]) };
+
+  const to = parseChapterNumber(text);
+  if (!to) return null;
+  return { from: /\b(?:by|before|until|no later than)\b|之前|以前|前/i.test(text) ? null : to, to };
+}
+
+/**
+ * Convert Chinese numerals up to 999 ("十二" -> 12, "一百零五" -> 105)
+ */
+function parseChineseNumber(text) {
+  const digits = { '零': 0, '〇': 0, '一': 1, '二': 2, '两': 2, '三': 3, '四': 4, '五': 5, '六': 6, '七': 7, '八': 8, '九': 9 };
+  let total = 0;
+  let current = 0;
+  for (const char of text) {
+    if (char === '百') {
+      total += (current || 1) * 100;
+      current = 0;
+    } else if (char === '十') {
+      total += (current || 1) * 10;
+      current = 0;
+    } else if (digits[char] !== undefined) {
+      current = digits[char];
+    } else {
+      return null;
+    }
+  }
+  return total + current;
+}
+
+/**
+ * Count words the way the novel's language does:
+ * CJK characters count individually, everything else by whitespace-separated words
+ */
+function countWords(text) {
+  if (!text) return 0;
+  const cjk = (text.match(/[㐀-鿿豈-﫿]/g) || []).length;
+  const words = text.replace(/[㐀-鿿豈-﫿]/g, ' ').match(/[A-Za-z0-9]+(?:['’-][A-Za-z0-9]+)*/g) || [];
+  return cjk + words.length;
+}
+
+/**
+ * Split a comma list ("Lin, Little Lin、林师兄") into values
+ */
+function splitList(value) {
+  return cleanValue(value)
+    .split(/\s*[,，、;；]\s*/)
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+/**
+ * "First Appearance" -> "firstAppearance"
+ */
+function camelKey(key) {
+  return cleanValue(key)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+(.)/g, (_, c) => c.toUpperCase())
+    .replace(/[^a-zA-Z0-9]/g, '');
+}
+
+/**
+ * Parse "- Key: value" blocks into records
+ *
+ * A new record starts at `startKey` (e.g. "id"), or when a key repeats.
+ * Indented bullets under a key with no inline value become a list:
+ *   - Foreshadowing:
+ *     - Chapter 2: "hint"
+ *
+ * @param {string} text - Section body
+ * @param {string} startKey - camelCased key that begins a record
+ * @returns {Array<Object>} Records with camelCased keys
+ */
+function parseRecords(text, startKey) {
+  const records = [];
+  let current = null;
+  let listKey = null;
+
+  for (const line of (text || '').split('\n')) {
+    if (!line.trim()) continue;
+
+    const indented = /^\s{2,}[-*•]/.test(line);
+    const content = line.replace(/^\s*[-*•]\s*/, '');
+    const match = content.match(/^([^:：]{1,40})[:：]\s*(.*)$/);
+
+    if (indented && listKey && current) {
+      current[listKey].push(cleanValue(content));
+      continue;
+    }
+    if (!match) continue;
+
+    const key = camelKey(match[1]);
+    if (!key) continue;
+    const value = match[2].trim();
+
+    if (!current || key === startKey || current[key] !== undefined) {
+      current = {};
+      records.push(current);
+    }
+
+    if (value) {
+      current[key] = cleanValue(value);
+      listKey = null;
+    } else {
+      current[key] = [];
+      listKey = key;
+    }
+  }
+
+  return records;
+}
+
+/**
+ * Parse "From: a, To: b, Type: t, Notes: n" - Notes may itself contain commas
+ */
+function parseInlineFields(text) {
+  const fields = {};
+  const regex = /([A-Za-z][A-Za-z ]{0,20})[:：]\s*(.*?)(?=,\s*[A-Za-z][A-Za-z ]{0,20}[:：]|$)/g;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    fields[camelKey(match[1])] = cleanValue(match[2]);
+  }
+  return fields;
+}
+
+/**
+ * Split a bullet like "char-001: became distrustful" into id + text
+ */
+function splitIdEntry(entry) {
+  const match = entry.match(/^(NEW\s+)?\[?([A-Za-z]+-\d+)\]?\s*[:：]\s*(.*)$/i);
+  if (!match) return null;
+  return { isNew: Boolean(match[1]), id: match[2].toLowerCase(), text: match[3].trim() };
+}
+
+/**
+ * Split a character update into who and what changed. Frodo is asked for
+ * the ID, but names and aliases turn up too:
+ *   "char-001: Status: injured", "char-001 (Lin Wei): ...", "Lin Wei (char-001): ...", "林威：状态：受伤"
+ */
+function splitCharacterEntry(entry) {
+  const byId = entry.match(/^\[?([A-Za-z]+-\d+)\]?\s*(?:[(（]([^)）]*)[)）])?\s*[:：]\s*(.*)$/);
+  if (byId) {
+    return { id: byId[1].toLowerCase(), name: byId[2] ? cleanValue(byId[2]) : null, text: byId[3].trim() };
+  }
+
+  const byName = entry.match(/^([^:：]{1,40}?)\s*[:：]\s*(.+)$/);
+  if (!byName) return null;
+  const ref = cleanValue(byName[1]);
+  const withId = ref.match(/^(.+?)\s*[(（]\s*([A-Za-z]+-\d+)\s*[)）]$/);
+  return withId
+    ? { id: withId[2].toLowerCase(), name: cleanValue(withId[1]), text: byName[2].trim() }
+    : { id: null, name: ref, text: byName[2].trim() };
+}
+
+function createResult(agent) {
+  return { agent, data: null, errors: [], warnings: [], valid: false };
+}
+
+function finishResult(result) {
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Report required/optional sections that are missing
+ */
+function checkSections(result, agent, sections, unknown) {
+  const required = REQUIRED_SECTIONS[agent] || [];
+  for (const [key, marker] of Object.entries(AGENT_CONFIG[agent].markers)) {
+    if (sections[key]) continue;
+    const issue = { section: key, message: `Missing ${marker} section` };
+    if (required.includes(key)) {
+      result.errors.push(issue);
+    } else {
+      result.warnings.push(issue);
+    }
+  }
+  for (const heading of unknown) {
+    result.warnings.push({ section: null, message: `Unrecognized section: ## ${heading}` });
+  }
+}
+
+// ============================================================
+// GANDALF
+// ============================================================
+
+/**
+ * Parse Gandalf's "## CHAPTERS" numbered list
+ *
+ * Accepts "1. Title: summary", "1、标题：摘要", "第一章 标题：摘要",
+ * "Chapter 1 - Title: summary" and bolded titles. Indented field bullets
+ * ("- POV: ...", "- Beats: ...", "- Words: ...", "- Bible: ...") set that
+ * chapter's fields; other lines that do not start a chapter are appended
+ * to the previous chapter's summary.
+ *
+ * @returns {Array<Object>} [{ number, title, summary, pov?, beats?, targetWords?, bibleRefs? }]
+ */
+function parseChapterList(sectionText) {
+  if (!sectionText) return [];
+  const chapters = [];
+  const startRegex = /^\s*(?:[-*•]\s*)?(?:\*\*)?(?:(\d+)\s*[.)、:：]|(?:Chapter|Ch\.?)\s*(\d+)\s*[.:：\-–—]?|第\s*([\d零〇一二两三四五六七八九十百]+)\s*章\s*[.:：、\-–—]?)\s*(.*)$/i;
+
+  for (const line of sectionText.split('\n')) {
+    const match = line.match(startRegex);
+    const field = chapters.length ? parseChapterField(line) : null;
+    if (match) {
+      const [, num, chapterNum, zhNum, rest] = match;
+      const number = num ? parseInt(num) : chapterNum ? parseInt(chapterNum) : parseChapterNumber(zhNum);
+      const text = rest.replace(/\*\*/g, '').trim();
+      const split = text.match(/^(.+?)\s*(?:[:：]|\s[-–—]\s)\s*(.*)$/);
+      chapters.push({
+        number,
+        title: cleanValue(split ? split[1] : text),
+        summary: (split ? split[2] : text).trim()
+      });
+    } else if (field) {
+      Object.assign(chapters[chapters.length - 1], field);
+    } else if (chapters.length && line.trim()) {
+      const last = chapters[chapters.length - 1];
+      last.summary = `${last.summary} ${line.trim()}`.trim();
+    }
+  }
+  return chapters;
+}
+
+// Chapter field bullets (English, then Chinese labels)
+const CHAPTER_FIELDS = [
+  { key: 'pov', regex: /^(?:POV|Point of View|视角|视点)$/i },
+  { key: 'beats', regex: /^(?:Beats?|情节点|节拍|要点)$/i },
+  { key: 'targetWords', regex: /^(?:Words?|Target Words|Word Count|字数|目标字数)$/i },
+  { key: 'bibleRefs', regex: /^(?:Bible|Bible Refs?|References|设定|设定引用)$/i }
+];
+
+/**
+ * Read a "- POV: Lin Wei" style field line
+ *
+ * @returns {Object|null} { pov } | { beats } | { targetWords } | { bibleRefs }, or null if not a field
+ */
+function parseChapterField(line) {
+  const match = line.match(/^\s*[-*•]\s*(?:\*\*)?([^:：*]+?)(?:\*\*)?\s*[:：]\s*(.*)$/);
+  if (!match) return null;
+  const field = CHAPTER_FIELDS.find(f => f.regex.test(match[1].trim()));
+  if (!field) return null;
+
+  const value = match[2].trim();
+  switch (field.key) {
+    case 'beats':
+      return { beats: value.split(/\s*[;；]\s*/).filter(Boolean) };
+    case 'targetWords': {
+      const words = parseInt(value.replace(/[,，\s]/g, ''));
+      return isNaN(words) ? null : { targetWords: words };
+    }
+    case 'bibleRefs':
+      return { bibleRefs: splitList(value).map(ref => ref.toLowerCase()) };
+    default:
+      return { pov: cleanValue(value) };
+  }
+}
+
+/**
+ * Parse a list of chapter ranges ("## ACTS", "## ARCS")
+ *
+ * Accepts "- Act 1 (Chapters 1-30): Title - summary",
+ * "1. Arc One (Ch 1-10): summary" and "第一卷（第1-10章）：标题 - 摘要".
+ *
+ * @returns {Array<Object>} [{ number, title, summary, from, to }] in listed order
+ */
+function parseRangeList(sectionText) {
+  if (!sectionText) return [];
+  const ranges = [];
+  const rangeRegex = /[(（]\s*(?:Chapters?|Ch\.?|第)?\s*(\d+)\s*[-–—~～至到]\s*(\d+)\s*章?\s*[)）]/i;
+
+  for (const line of sectionText.split('\n')) {
+    const range = line.match(rangeRegex);
+    if (!range) {
+      if (ranges.length && line.trim()) {
+        const last = ranges[ranges.length - 1];
+        last.summary = `${last.summary} ${line.trim()}`.trim();
+      }
+      continue;
+    }
+
+    const label = line.substring(0, range.index).replace(/^\s*(?:[-*•]|\d+[.)、])\s*/, '').replace(/\*\*/g, '').trim();
+    const rest = line.substring(range.index + range[0].length).replace(/^\s*[:：\-–—]\s*/, '').replace(/\*\*/g, '').trim();
+    const split = rest.match(/^(.+?)\s*(?:[:：]|\s[-–—]\s)\s*(.*)$/);
+    ranges.push({
+      number: ranges.length + 1,
+      // "Act 1" / "第一卷" carry no title of their own
+      title: cleanValue(split ? split[1] : (/^(?:act|arc|volume|part)?\s*\d*$|^第.+[幕卷部]$/i.test(label) ? rest : label)),
+      summary: (split ? split[2] : rest).trim(),
+      from: parseInt(range[1]),
+      to: parseInt(range[2])
+    });
+  }
+  return ranges;
+}
+
+function parseCharacterList(sectionText) {
+  return toList(sectionText).map(line => {
+    const match = line.match(/^\*\*(.+?)\*\*\s*(?:[(（](.+?)[)）])?\s*[:：]?\s*(.*)$/);
+    if (!match) {
+      return { name: null, role: null, description: line };
+    }
+    return { name: match[1].trim(), role: match[2] ? match[2].trim() : null, description: match[3].trim() };
+  });
+}
+
+/**
+ * Parse Gandalf's "## STORY BIBLE" into the shape NovelManager.updateStoryBible() accepts
+ */
+function parseStoryBible(sectionText, result) {
+  const subsections = splitSections(sectionText, 3);
+  const bible = { characters: {}, plotThreads: [], worldFacts: [], chekhovs: [] };
+
+  const characters = findSection(subsections, STORY_BIBLE_SECTIONS.characters);
+  parseRecords(characters?.body, 'id').forEach((record, i) => {
+    const id = record.id || `char-${String(i + 1).padStart(3, '0')}`;
+    if (!record.id) {
+      result.warnings.push({ section: 'storyBible', message: `Character "${record.name || i + 1}" has no ID, assigned ${id}` });
+    }
+    bible.characters[id] = {
+      id,
+      name: record.name || null,
+      aliases: record.aliases ? splitList(record.aliases) : [],
+      description: record.description || '',
+      traits: record.traits ? splitList(record.traits) : [],
+      firstAppearance: parseChapterNumber(record.firstAppearance),
+      status: (record.status || 'alive').toLowerCase()
+    };
+  });
+
+  const threads = findSection(subsections, STORY_BIBLE_SECTIONS.plotThreads);
+  parseRecords(threads?.body, 'id').forEach((record, i) => {
+    bible.plotThreads.push({
+      id: record.id || `thread-${String(i + 1).padStart(3, '0')}`,
+      title: record.title || '',
+      introduced: parseChapterNumber(record.introduced),
+      payoffWindow: parsePayoffWindow(record.payoff),
+      foreshadowing: (Array.isArray(record.foreshadowing) ? record.foreshadowing : []).map(hint => {
+        const match = hint.match(/^(.+?)[:：]\s*(.*)$/);
+        return match
+          ? { chapter: parseChapterNumber(match[1]), hint: cleanValue(match[2]) }
+          : { chapter: null, hint };
+      }),
+      resolved: null
+    });
+  });
+
+  const facts = findSection(subsections, STORY_BIBLE_SECTIONS.worldFacts);
+  for (const line of toList(facts?.body)) {
+    const match = line.match(/^\**([^:：]{1,40}?)\**[:：]\s*(.+)$/);
+    bible.worldFacts.push(match
+      ? { category: cleanValue(match[1]), fact: cleanValue(match[2]) }
+      : { category: null, fact: cleanValue(line) });
+  }
+
+  const chekhovs = findSection(subsections, STORY_BIBLE_SECTIONS.chekhovs);
+  for (const record of parseRecords(chekhovs?.body, 'item')) {
+    if (!record.item) continue;
+    bible.chekhovs.push({
+      id: record.id ? record.id.toLowerCase() : `chekhov-${String(bible.chekhovs.length + 1).padStart(3, '0')}`,
+      item: record.item,
+      introduced: parseChapterNumber(record.introduced),
+      notes: record.notes || '',
+      payoffWindow: parsePayoffWindow(record.payoff),
+      payoff: null
+    });
+  }
+
+  return bible;
+}
+
+/**
+ * Parse Gandalf (planning) output into an outline
+ *
+ * @param {string} text - Raw agent output
+ * @returns {Object} { agent, data: outline, errors, warnings, valid }
+ */
+function parseGandalfOutput(text) {
+  const result = createResult('gandalf');
+  const { sections, unknown } = matchMarkers(text, AGENT_CONFIG.gandalf.markers);
+  checkSections(result, 'gandalf', sections, unknown);
+
+  const chapters = parseChapterList(sections.chapters);
+  if (sections.chapters && chapters.length === 0) {
+    result.errors.push({ section: 'chapters', message: 'No numbered chapters found in ## CHAPTERS' });
+  }
+
+  const seen = new Set();
+  chapters.forEach((chapter, i) => {
+    if (seen.has(chapter.number)) {
+      result.warnings.push({ section: 'chapters', message: `Chapter ${chapter.number} is listed more than once` });
+    } else if (chapter.number !== i + 1) {
+      result.warnings.push({ section: 'chapters', message: `Expected chapter ${i + 1}, found chapter ${chapter.number}` });
+    }
+    seen.add(chapter.number);
+  });
+
+  result.data = {
+    title: sections.title ? cleanValue(sections.title.split('\n')[0]) : null,
+    synopsis: sections.synopsis || '',
+    acts: parseRangeList(sections.acts),
+    arcs: parseRangeList(sections.arcs),
+    chapters,
+    characters: parseCharacterList(sections.characters),
+    worldbuilding: sections.worldbuilding || '',
+    themes: toList(sections.themes),
+    notes: sections.notes || '',
+    storyBible: sections.storyBible ? parseStoryBible(sections.storyBible, result) : null,
+    raw: text
+  };
+
+  return finishResult(result);
+}
+
+// ============================================================
+// FRODO
+// ============================================================
+
+/**
+ * Parse Frodo's "## BIBLE UPDATES" into its six sub-lists
+ */
+function parseBibleUpdates(sectionText) {
+  const subsections = splitSections(sectionText, 3);
+  const entries = key => toList(findSection(subsections, BIBLE_UPDATE_SECTIONS[key])?.body);
+
+  return {
+    characterUpdates: entries('characterUpdates')
+      .map(splitCharacterEntry)
+      .filter(Boolean)
+      .map(({ id, name, text }) => ({ id, name, change: text })),
+
+    relationships: entries('relationships')
+      .map(parseInlineFields)
+      .filter(rel => rel.from && rel.to)
+      .map(rel => ({ from: rel.from, to: rel.to, type: rel.type || null, notes: rel.notes || '' })),
+
+    plotThreadProgress: entries('plotThreadProgress')
+      .map(splitIdEntry)
+      .filter(Boolean)
+      .map(({ id, text, isNew }) => ({
+        id,
+        isNew,
+        // "NEW thread-002: [Title], Introduced this chapter"
+        title: isNew ? cleanValue(text.split(/\s*[,，]\s*/)[0]) : null,
+        // "thread-001: RESOLVED - [How it resolved]"
+        resolved: !isNew && RESOLVED_REGEX.test(text),
+        progress: isNew ? text : text.replace(RESOLVED_REGEX, '').trim() || text
+      })),
+
+    timelineEvents: entries('timelineEvents').map(cleanValue),
+
+    chekhovPayoffs: entries('chekhovPayoffs').map(line => {
+      const match = line.match(/^(.+?)[:：]\s*(.*)$/);
+      return match ? { item: cleanValue(match[1]), note: match[2].trim() } : { item: cleanValue(line), note: '' };
+    }),
+
+    newChekhovs: entries('newChekhovs')
+      .map(parseInlineFields)
+      .filter(chekhov => chekhov.item)
+      .map(chekhov => ({ item: chekhov.item, notes: chekhov.notes || '', payoffWindow: parsePayoffWindow(chekhov.payoff) }))
+  };
+}
+
+/**
+ * Parse Frodo (writing) output into a chapter
+ *
+ * wordCount is Frodo's reported count when present, otherwise counted from
+ * the content. A large mismatch between the two is reported as a warning.
+ *
+ * @param {string} text - Raw agent output
+ * @returns {Object} { agent, data: chapter, errors, warnings, valid }
+ */
+function parseFrodoOutput(text) {
+  const result = createResult('frodo');
+  const { sections, unknown } = matchMarkers(text, AGENT_CONFIG.frodo.markers);
+  checkSections(result, 'frodo', sections, unknown);
+
+  const counted = countWords(sections.content);
+  const reported = sections.wordCount ? parseInt(sections.wordCount.replace(/[,，\s]/g, '')) : NaN;
+  if (sections.wordCount && isNaN(reported)) {
+    result.warnings.push({ section: 'wordCount', message: `Unreadable word count: "${sections.wordCount}"` });
+  } else if (!isNaN(reported) && counted > 0 && Math.abs(reported - counted) / counted > 0.5) {
+    result.warnings.push({ section: 'wordCount', message: `Reported word count ${reported} differs from counted ${counted}` });
+  }
+
+  result.data = {
+    title: sections.title ? cleanValue(sections.title.split('\n')[0]) : null,
+    content: sections.content || '',
+    wordCount: isNaN(reported) ? counted : reported,
+    notes: sections.notes || '',
+    bibleUpdates: sections.bibleUpdates ? parseBibleUpdates(sections.bibleUpdates) : null,
+    raw: text
+  };
+
+  return finishResult(result);
+}
+
+// ============================================================
+// ELROND
+// ============================================================
+
+/**
+ * Read a 0-100 score from "85", "**85**", "85/100", "85分" or "8.5/10"
+ *
+ * @returns {number|null} Score, or null when no number is present
+ */
+function parseScore(sectionText) {
+  const match = (sectionText || '').match(/(\d+(?:\.\d+)?)\s*(?:\/\s*(\d+))?/);
+  if (!match) return null;
+  const value = parseFloat(match[1]);
+  const outOf = match[2] ? parseInt(match[2]) : 100;
+  return Math.round(outOf === 100 ? value : (value / outOf) * 100);
+}
+
+/**
+ * Normalize a verdict ("[PASS]", "通过", "Needs attention") to its English form
+ */
+function normalizeVerdict(value) {
+  const cleaned = cleanValue(value).replace(/[[\]]/g, '').trim();
+  const word = cleaned.split(/\s+[-–—]\s+|[,，(（]/)[0].trim();
+  return VERDICT_ALIASES[word] || word.toUpperCase() || null;
+}
+
+/**
+ * Parse Elrond's "## BIBLE CONSISTENCY" into per-check verdicts
+ *
+ * The overall verdict is FAIL if any check failed (FAIL/MAJOR), WARN if any
+ * check raised a warning (WARN/MINOR/NEEDS ATTENTION), otherwise PASS.
+ */
+function parseBibleConsistency(sectionText, result) {
+  const subsections = splitSections(sectionText, 3);
+  const consistency = { verdict: 'PASS' };
+
+  for (const [key, check] of Object.entries(CONSISTENCY_CHECKS)) {
+    const section = findSection(subsections, check.heading);
+    if (!section) {
+      result.warnings.push({ section: 'bibleConsistency', message: `Missing ### ${check.heading} in ## BIBLE CONSISTENCY` });
+      consistency[key] = null;
+      continue;
+    }
+
+    let verdict = null;
+    if (check.verdicts.length) {
+      verdict = section.suffix ? normalizeVerdict(section.suffix) : null;
+      if (!check.verdicts.includes(verdict)) {
+        result.warnings.push({
+          section: 'bibleConsistency',
+          message: `${check.heading} verdict "${section.suffix}" is not one of ${check.verdicts.join('/')}`
+        });
+        verdict = null;
+      }
+    }
+
+    consistency[key] = { verdict, details: toList(section.body) };
+
+    if (FAILING_VERDICTS.includes(verdict)) {
+      consistency.verdict = 'FAIL';
+    } else if (WARNING_VERDICTS.includes(verdict) && consistency.verdict === 'PASS') {
+      consistency.verdict = 'WARN';
+    }
+  }
+
+  return consistency;
+}
+
+/**
+ * Parse Elrond (critic) output into a critique
+ *
+ * @param {string} text - Raw agent output
+ * @returns {Object} { agent, data: critique, errors, warnings, valid }
+ */
+function parseElrondOutput(text) {
+  const result = createResult('elrond');
+  const { sections, unknown } = matchMarkers(text, AGENT_CONFIG.elrond.markers);
+  checkSections(result, 'elrond', sections, unknown);
+
+  const score = parseScore(sections.score);
+  if (sections.score && score === null) {
+    result.errors.push({ section: 'score', message: `## SCORE is not a number: "${sections.score}"` });
+  } else if (score !== null && (score < 0 || score > 100)) {
+    result.errors.push({ section: 'score', message: `Score ${score} is outside 0-100` });
+  }
+
+  const strengths = toList(sections.strengths);
+  const weaknesses = toList(sections.weaknesses);
+  if (sections.strengths !== undefined && strengths.length === 0) {
+    result.warnings.push({ section: 'strengths', message: '## STRENGTHS has no entries' });
+  }
+  if (sections.weaknesses !== undefined && weaknesses.length === 0) {
+    result.warnings.push({ section: 'weaknesses', message: '## WEAKNESSES has no entries' });
+  }
+
+  result.data = {
+    score,
+    strengths,
+    weaknesses,
+    revision: sections.revision || '',
+    preference: sections.preference || '',
+    notes: sections.notes || '',
+    bibleConsistency: sections.bibleConsistency ? parseBibleConsistency(sections.bibleConsistency, result) : null,
+    raw: text
+  };
+
+  return finishResult(result);
+}
+
+// ============================================================
+// SHADOWFAX
+// ============================================================
+
+/**
+ * Parse Shadowfax's summary output
+ *
+ * @param {string} text - Raw agent output
+ * @returns {Object} { agent, data: summary, errors, warnings, valid }
+ */
+function parseShadowfaxOutput(text) {
+  const result = createResult('shadowfax');
+  const { sections, unknown } = matchMarkers(text, AGENT_CONFIG.shadowfax.markers);
+  checkSections(result, 'shadowfax', sections, unknown);
+
+  result.data = {
+    summary: sections.summary || '',
+    keyEvents: toList(sections.keyEvents),
+    openThreads: toList(sections.openThreads),
+    raw: text
+  };
+
+  return finishResult(result);
+}
+
+// ============================================================
+// RADAGAST
+// ============================================================
+
+/**
+ * Parse Radagast's extraction from one imported chapter
+ *
+ * Characters use the story bible's record format; an entry without an ID
+ * is a character Radagast has not seen before (the importer assigns one).
+ * Timeline bullets are "Event: ..., Characters: id, id" or plain text.
+ *
+ * @param {string} text - Raw agent output
+ * @returns {Object} { agent, data: extraction, errors, warnings, valid }
+ */
+function parseRadagastOutput(text) {
+  const result = createResult('radagast');
+  const { sections, unknown } = matchMarkers(text, AGENT_CONFIG.radagast.markers);
+  checkSections(result, 'radagast', sections, unknown);
+
+  const characters = parseRecords(sections.characters, 'id')
+    .filter(record => record.name || record.id)
+    .map(record => ({
+      id: record.id ? record.id.toLowerCase() : null,
+      name: record.name || null,
+      aliases: record.aliases ? splitList(record.aliases) : [],
+      description: record.description || '',
+      traits: record.traits ? splitList(record.traits) : [],
+      status: record.status ? record.status.toLowerCase() : null
+    }));
+
+  const worldFacts = toList(sections.worldFacts).map(line => {
+    const match = line.match(/^\**([^:：]{1,40}?)\**[:：]\s*(.+)$/);
+    return match
+      ? { category: cleanValue(match[1]), fact: cleanValue(match[2]) }
+      : { category: null, fact: cleanValue(line) };
+  });
+
+  const timeline = toList(sections.timeline).map(line => {
+    const fields = parseInlineFields(line);
+    return fields.event
+      ? { event: fields.event, characters: fields.characters ? splitList(fields.characters) : [] }
+      : { event: cleanValue(line), characters: [] };
+  });
+
+  const chekhovs = parseRecords(sections.chekhovs, 'item')
+    .filter(record => record.item)
+    .map(record => ({ item: record.item, notes: record.notes || '' }));
+
+  result.data = {
+    summary: sections.summary || '',
+    characters,
+    worldFacts,
+    timeline,
+    chekhovs,
+    nextChapters: parseChapterList(sections.nextChapters),
+    raw: text
+  };
+
+  return finishResult(result);
+}
+
+const PARSERS = {
+  gandalf: parseGandalfOutput,
+  frodo: parseFrodoOutput,
+  elrond: parseElrondOutput,
+  shadowfax: parseShadowfaxOutput,
+  radagast: parseRadagastOutput
+};
+
+/**
+ * Parse any agent's output
+ *
+ * @param {string} agentName - gandalf, frodo, elrond, shadowfax, radagast
+ * @param {string} text - Raw agent output
+ * @returns {Object} { agent, data, errors, warnings, valid }
+ */
+function parseAgentOutput(agentName, text) {
+  const parser = PARSERS[agentName.toLowerCase()];
+  if (!parser) {
+    throw new Error(`No output parser for agent: ${agentName}. Valid agents: ${Object.keys(PARSERS).join(', ')}`);
+  }
+  return parser(text || '');
+}
+
+// ============================================================
+// REPAIR CASCADE
+// ============================================================
+
+/**
+ * How many words of the chapter a repaired output lost
+ *
+ * Compares the CONTENT sections, or all non-heading text when the original
+ * had no CONTENT heading. 0 for agents that do not write chapters.
+ */
+function droppedWords(agent, original, repaired) {
+  const before = parseAgentOutput(agent, original).data;
+  if (typeof before?.content !== 'string') return 0;
+
+  if (before.content) {
+    return countWords(before.content) - countWords(parseAgentOutput(agent, repaired).data?.content);
+  }
+  const body = text => countWords(text.split('\n').filter(line => !/^\s*#/.test(line)).join('\n'));
+  return body(original) - body(repaired);
+}
+
+/**
+ * Custom error for agent output that could not be repaired
+ */
+class OutputValidationError extends Error {
+  constructor(agent, result, attempts) {
+    super(`${agent} output failed validation after ${attempts.length} attempts: ${result.errors.map(e => e.message).join('; ')}`);
+    this.name = 'OutputValidationError';
+    this.agent = agent;
+    this.result = result;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Output Validator with progressive repair strategies
+ *
+ * Strategies, cheapest first:
+ *   1. direct:     parse as-is
+ *   2. extracted:  unwrap ``` fences and drop chatter before the first heading
+ *   3. normalized: rewrite "# X", "**X**", "X:", "【X】" headings to "## X"
+ *   4. fixer:      ask the HAIKU tier to re-emit the text with the right markers
+ *
+ * The fixer runs behind a circuit breaker per agent, so an agent that keeps
+ * producing unusable output stops burning fixer calls until the circuit resets.
+ */
+class OutputValidator extends EventEmitter {
+  /**
+   * @param {Object} options - Configuration
+   * @param {Object} options.fixer - Client with generate() for the fixer (default: HAIKU tier provider)
+   * @param {boolean} options.useFixer - Enable the model fixer (default: true)
+   * @param {Object} options.redis - Redis client for circuit trip events (optional)
+   * @param {number} options.threshold - Fixer failures before the circuit trips (default: 3)
+   * @param {number} options.resetTimeout - ms before a tripped circuit is retried (default: 60000)
+   */
+  constructor(options = {}) {
+    super();
+
+    this.fixer = options.fixer || null;
+    this.useFixer = options.useFixer !== false;
+    this.circuits = new CircuitBreakerRegistry({
+      threshold: options.threshold,
+      resetTimeout: options.resetTimeout,
+      redis: options.redis
+    });
+
+    this.resetStats();
+  }
+
+  /**
+   * Parse agent output, repairing it if needed
+   *
+   * @param {string} agentName - gandalf, frodo, elrond
+   * @param {string} output - Raw agent output
+   * @returns {Promise<Object>} Valid parse result { agent, data, errors, warnings, valid, strategy },
+   *                            plus the fixer call's usage { agent, model, inputTokens, outputTokens, cost } when it ran
+   * @throws {OutputValidationError} If every strategy fails
+   */
+  async parseWithRepair(agentName, output) {
+    const agent = agentName.toLowerCase();
+    const attempts = [];
+    let best = null;
+
+    const tryParse = (strategy, text) => {
+      const result = parseAgentOutput(agent, text);
+      if (result.valid) {
+        this.stats[strategy]++;
+        this.emit('parsed', { agent, strategy, warnings: result.warnings });
+        return { ...result, strategy };
+      }
+      attempts.push({ strategy, errors: result.errors });
+      if (!best || result.errors.length < best.errors.length) {
+        best = result;
+      }
+      return null;
+    };
+
+    const direct = tryParse('direct', output);
+    if (direct) return direct;
+
+    const extracted = this.extractFromMarkdown(output);
+    if (extracted !== output) {
+      const result = tryParse('extracted', extracted);
+      if (result) return result;
+    }
+
+    const normalized = this.normalizeHeadings(agent, extracted);
+    if (normalized !== extracted) {
+      const result = tryParse('normalized', normalized);
+      if (result) return result;
+    }
+
+    if (this.useFixer) {
+      const circuit = this.circuits.getCircuit(agent);
+      try {
+        const fixed = await circuit.execute(async () => {
+          const { text, usage } = await this.fixWithHaiku(agent, normalized, best.errors);
+          // A fixer that ran out of tokens returns a shorter chapter that still parses
+          const dropped = droppedWords(agent, normalized, text);
+          if (dropped > 0) {
+            throw new Error(`Fixer output dropped ${dropped} words of the chapter`);
+          }
+          const result = tryParse('fixed', text);
+          if (!result) {
+            throw new Error(`Fixer output still invalid: ${best.errors.map(e => e.message).join('; ')}`);
+          }
+          return { ...result, usage };
+        }, { agent });
+        return fixed;
+      } catch (err) {
+        if (attempts[attempts.length - 1]?.strategy !== 'fixed') {
+          attempts.push({ strategy: 'fixed', errors: [{ section: null, message: err.message }] });
+        }
+      }
+    }
+
+    this.stats.failed++;
+    this.emit('failed', {
+      agent,
+      attempts,
+      rawOutput: (output || '').substring(0, 500) // First 500 chars for debugging
+    });
+
+    throw new OutputValidationError(agent, best, attempts);
+  }
+
+  /**
+   * Unwrap ``` fences and drop any preamble before the first ## heading
+   */
+  extractFromMarkdown(output) {
+    let text = (output || '').replace(/^﻿/, '');
+
+    const fenced = text.match(/```(?:markdown|md|text)?\s*\n([\s\S]*?)\n\s*```/i);
+    if (fenced && /^##\s/m.test(fenced[1])) {
+      text = fenced[1];
+    }
+
+    const firstHeading = text.search(/^##\s/m);
+    if (firstHeading > 0) {
+      text = text.substring(firstHeading);
+    }
+
+    return text.trim();
+  }
+
+  /**
+   * Rewrite near-miss headings for this agent's markers to "## HEADING"
+   *
+   * Only lines whose text is a known heading (or alias) are touched, and
+   * "### X" is left alone because sub-sections legitimately reuse names
+   * (Gandalf's ### CHARACTERS inside ## STORY BIBLE).
+   */
+  normalizeHeadings(agentName, output) {
+    const known = new Map();
+    for (const marker of Object.values(AGENT_CONFIG[agentName].markers)) {
+      const heading = marker.replace(/^#+\s*/, '');
+      for (const name of headingNames(heading)) {
+        known.set(name, heading);
+      }
+    }
+
+    return output
+      .split('\n')
+      .map(line => {
+        const match = line.match(/^\s*(?:#|####+)?\s*(?:\*\*|【|\[)?\s*([^*【】[\]:：#]{1,40}?)\s*(?:\*\*|】|\])?\s*[:：]?\s*(?:\*\*)?\s*$/);
+        if (!match || /^\s*###(?!#)/.test(line) || /^\s*##(?!#)/.test(line)) {
+          return line;
+        }
+        const heading = known.get(normalizeHeading(match[1]));
+        return heading ? `## ${heading}` : line;
+      })
+      .join('\n');
+  }
+
+  /**
+   * Ask the HAIKU tier to re-emit output with the agent's markers
+   *
+   * The whole output goes to the fixer, and its token limit is the failing
+   * agent's own, so a full-length chapter fits in the reply.
+   *
+   * @returns {Promise<Object>} { text, usage: { agent, model, inputTokens, outputTokens, cost } }
+   */
+  async fixWithHaiku(agentName, output, errors = []) {
+    const markers = Object.values(AGENT_CONFIG[agentName].markers).join('\n');
+    const client = this.fixer || getProvider(MODEL_TIERS.HAIKU.provider);
+
+    const response = await client.generate({
+      agent: 'output-fixer',
+      model: MODEL_TIERS.HAIKU.model,
+      system: 'You repair the formatting of AI writing output. Never rewrite, translate, or summarize the content itself.',
+      messages: [{
+        role: 'user',
+        content: `Reformat the text below so it uses exactly these section headings, each on its own line:
+
+${markers}
+
+Problems found: ${errors.map(e => e.message).join('; ') || 'unknown'}
+
+Keep all original wording. Put each part of the text under the matching heading. Return ONLY the reformatted text.
+
+Text:
+${output}`
+      }],
+      maxTokens: Math.max(MODEL_TIERS.HAIKU.maxTokens, getAgentConfig(agentName).maxTokens),
+      temperature: 0
+    });
+
+    const tier = MODEL_TIERS.HAIKU;
+    const inputTokens = response.usage?.inputTokens || 0;
+    const outputTokens = response.usage?.outputTokens || 0;
+    return {
+      text: this.extractFromMarkdown(response.text || ''),
+      usage: {
+        agent: 'output-fixer',
+        model: response.model || tier.model,
+        inputTokens,
+        outputTokens,
+        cost: (inputTokens / 1000) * tier.costPer1kInput + (outputTokens / 1000) * tier.costPer1kOutput
+      }
+    };
+  }
+
+  /**
+   * Get parsing statistics
+   */
+  getStats() {
+    const total = Object.values(this.stats).reduce((a, b) => a + b, 0);
+    return {
+      ...this.stats,
+      total,
+      successRate: total > 0 ? ((total - this.stats.failed) / total * 100).toFixed(2) + '%' : 'N/A',
+      circuits: this.circuits.getAllStates()
+    };
+  }
+
+  /**
+   * Reset statistics
+   */
+  resetStats() {
+    this.stats = {
+      direct: 0,
+      extracted: 0,
+      normalized: 0,
+      fixed: 0,
+      failed: 0
+    };
+  }
+}
+
+module.exports = {
+  OutputValidator,
+  OutputValidationError,
+  parseAgentOutput,
+  parseGandalfOutput,
+  parseFrodoOutput,
+  parseElrondOutput,
+  parseShadowfaxOutput,
+  parseRadagastOutput,
+  parseSections,
+  splitSections,
+  parseChapterList,
+  parseRangeList,
+  parsePayoffWindow,
+  countWords,
+  toList,
+  HEADING_ALIASES
+};
@@ -0,0 +1,254 @@
+/**
+ * ILUVATAR - Payoff Tracker
+ *
+ * Keeps count of how long Chekhov's guns and plot threads have gone unpaid.
+ * Each one carries an expected payoff window { from, to } - planned by
+ * Gandalf ("Payoff: Chapters 20-25") or by Frodo for new Chekhovs - and
+ * anything without one gets a default window from the chapter it was
+ * introduced in (capped at the novel's last chapter).
+ *
+ * report() is taken as of the chapter about to be written and finds:
+ *   overdue  unpaid, and the window ended before this chapter
+ *   due      unpaid, and the window ends within `lookahead` chapters
+ *   quiet    open threads with no foreshadowing in the last `quietChapters` chapters
+ *   early    paid off with no setup before the payoff (a Chekhov paid off in
+ *            or before the chapter it was introduced, a thread resolved
+ *            with no foreshadowing before it)
+ * Items are also grouped by outline arc - the arc they were paid off in,
+ * or the one their window ends in - for the /novel threads dashboard.
+ *
+ * formatForPrompt() renders the overdue, due and quiet items for Frodo's
+ * and Gandalf's context - and nothing at all while no deadline is near.
+ */
+
+// Default payoff windows, in chapters after the introduction
+const DEFAULT_CHEKHOV_WINDOW = 10;
+const DEFAULT_THREAD_WINDOW = 20;
+
+// A thread with no foreshadowing for this many chapters has gone quiet
+const DEFAULT_QUIET_CHAPTERS = 5;
+
+// Windows ending this many chapters ahead count as due
+const DEFAULT_LOOKAHEAD = 3;
+
+const ITEM_STATUS = {
+  PAID: 'paid',
+  OVERDUE: 'overdue',
+  DUE: 'due',
+  OPEN: 'open'
+};
+
+// ============================================================
+// TRACKING
+// ============================================================
+
+/**
+ * Expected window: the planned one, or a default one from the introduction
+ */
+function expectedWindow(entry, introduced, defaultWindow, lastChapter) {
+  if (entry.payoffWindow && entry.payoffWindow.to) {
+    return { window: { from: entry.payoffWindow.from ?? null, to: entry.payoffWindow.to }, windowSource: 'planned' };
+  }
+  if (!introduced) {
+    return { window: null, windowSource: null };
+  }
+  const to = lastChapter ? Math.min(introduced + defaultWindow, lastChapter) : introduced + defaultWindow;
+  return { window: { from: introduced, to: Math.max(to, introduced) }, windowSource: 'default' };
+}
+
+function itemStatus(item, chapterNum, lookahead) {
+  if (item.paidOff) return ITEM_STATUS.PAID;
+  if (!item.window) return ITEM_STATUS.OPEN;
+  if (chapterNum > item.window.to) return ITEM_STATUS.OVERDUE;
+  if (item.window.to - chapterNum <= lookahead) return ITEM_STATUS.DUE;
+  return ITEM_STATUS.OPEN;
+}
+
+/**
+ * Track every Chekhov and plot thread in a story bible
+ *
+ * @param {Object} bible - Story bible (with any series canon)
+ * @param {Object} options
+ * @param {number} options.chapterNum - Chapter about to be written
+ * @param {number} options.lastChapter - The novel's last planned chapter (caps default windows)
+ * @param {Array} options.arcs - Outline arcs [{ number, title, from, to }]
+ * @param {number} options.chekhovWindow - Default Chekhov window in chapters (default: 10)
+ * @param {number} options.threadWindow - Default plot thread window in chapters (default: 20)
+ * @param {number} options.quietChapters - Chapters without foreshadowing before a thread is quiet (default: 5)
+ * @param {number} options.lookahead - Chapters ahead a window's end counts as due (default: 3)
+ * @returns {Object} { chapterNum, items, overdue, due, quiet, early, arcs }
+ */
+function trackPayoffs(bible, options = {}) {
+  const chapterNum = options.chapterNum || 1;
+  const lastChapter = options.lastChapter || null;
+  const lookahead = options.lookahead ?? DEFAULT_LOOKAHEAD;
+  const quietChapters = options.quietChapters ?? DEFAULT_QUIET_CHAPTERS;
+  const items = [];
+
+  for (const chekhov of bible.chekhovs || []) {
+    const introduced = chekhov.introduced || null;
+    items.push({
+      kind: 'chekhov',
+      id: chekhov.id || chekhov.item,
+      title: chekhov.item,
+      introduced,
+      ...expectedWindow(chekhov, introduced, options.chekhovWindow || DEFAULT_CHEKHOV_WINDOW, lastChapter),
+      paidOff: chekhov.payoff || null,
+      lastSetup: introduced,
+      // The chapter the Chekhov is planted in is its setup
+      early: Boolean(chekhov.payoff) && !(introduced && introduced < chekhov.payoff)
+    });
+  }
+
+  for (const thread of bible.plotThreads || []) {
+    const hints = (thread.foreshadowing || []).map(f => f.chapter).filter(Boolean);
+    const introduced = thread.introduced || (hints.length ? Math.min(...hints) : null);
+    items.push({
+      kind: 'thread',
+      id: thread.id,
+      title: thread.title || thread.id,
+      introduced,
+      ...expectedWindow(thread, introduced, options.threadWindow || DEFAULT_THREAD_WINDOW, lastChapter),
+      paidOff: thread.resolved || null,
+      lastSetup: Math.max(introduced || 0, ...hints) || null,
+      early: Boolean(thread.resolved) && !hints.some(chapter => chapter < thread.resolved)
+    });
+  }
+
+  for (const item of items) {
+    item.status = itemStatus(item, chapterNum, lookahead);
+    item.quiet = item.kind === 'thread' && !item.paidOff && item.introduced !== null && item.introduced < chapterNum
+      && chapterNum - item.lastSetup > quietChapters;
+  }
+
+  const arcs = (options.arcs || []).map(arc => ({
+    number: arc.number,
+    title: arc.title,
+    from: arc.from,
+    to: arc.to,
+    items: []
+  }));
+  const unscheduled = { number: null, title: 'Unscheduled', from: null, to: null, items: [] };
+  for (const item of items) {
+    const chapter = item.paidOff || (item.window ? item.window.to : item.introduced);
+    const arc = arcs.find(a => chapter && chapter >= a.from && chapter <= a.to);
+    (arc || unscheduled).items.push(item);
+  }
+
+  return {
+    chapterNum,
+    items,
+    overdue: items.filter(i => i.status === ITEM_STATUS.OVERDUE),
+    due: items.filter(i => i.status === ITEM_STATUS.DUE),
+    quiet: items.filter(i => i.quiet),
+    early: items.filter(i => i.early),
+    arcs: [...arcs, ...(unscheduled.items.length ? [unscheduled] : [])]
+  };
+}
+
+/**
+ * "ch10-12", "by ch12"
+ */
+function formatWindow(window) {
+  if (!window) return 'no window';
+  if (!window.from) return `by ch${window.to}`;
+  return window.from === window.to ? `ch${window.to}` : `ch${window.from}-${window.to}`;
+}
+
+/**
+ * "chekhov-002 "Jade pendant" (Chekhov's gun, introduced ch1)"
+ */
+function formatItem(item) {
+  const kind = item.kind === 'chekhov' ? 'Chekhov\'s gun' : 'plot thread';
+  return `${item.id} "${item.title}" (${kind}${item.introduced ? `, introduced ch${item.introduced}` : ''})`;
+}
+
+// ============================================================
+// TRACKER
+// ============================================================
+
+class PayoffTracker {
+  /**
+   * @param {Object} novelManager - NovelManager instance
+   * @param {Object} options - Defaults for trackPayoffs (chekhovWindow, threadWindow, quietChapters, lookahead)
+   */
+  constructor(novelManager, options = {}) {
+    if (!novelManager) {
+      throw new Error('PayoffTracker requires a NovelManager instance');
+    }
+    this.novelManager = novelManager;
+    this.options = options;
+  }
+
+  /**
+   * Payoff report for a novel
+   *
+   * @param {string} novelId - Novel ID
+   * @param {Object} options
+   * @param {number} options.chapterNum - Chapter about to be written (default: the next one)
+   * @returns {Promise<Object>} trackPayoffs report, plus novelId
+   */
+  async report(novelId, options = {}) {
+    const state = await this.novelManager.getNovelState(novelId, { include: ['outline'] });
+    if (!state) {
+      throw new Error(`Novel not found: ${novelId}`);
+    }
+
+    const bible = await this.novelManager.getStoryBible(novelId);
+    const outline = state.outline || {};
+    const report = trackPayoffs(bible, {
+      ...this.options,
+      chapterNum: options.chapterNum || (state.stats.chaptersWritten || 0) + 1,
+      lastChapter: state.metadata.targetChapters,
+      arcs: (outline.arcs && outline.arcs.length ? outline.arcs : outline.acts) || []
+    });
+
+    return { novelId, ...report };
+  }
+
+  /**
+   * Format a report's deadlines for an agent's context
+   *
+   * Frodo gets what is overdue, due and quiet; Gandalf also gets payoffs
+   * that came without setup, which only a replan can fix.
+   *
+   * @param {Object} report - Result of report()
+   * @param {string} agent - 'frodo' or 'gandalf'
+   * @returns {string|null} Markdown section, or null when no deadline is near
+   */
+  formatForPrompt(report, agent = 'frodo') {
+    const early = agent === 'gandalf' ? report.early : [];
+    if (report.overdue.length + report.due.length + report.quiet.length + early.length === 0) {
+      return null;
+    }
+
+    const lines = [
+      '## PAYOFF DEADLINES',
+      agent === 'gandalf'
+        ? `Chekhov's guns and plot threads that need a place in the plan (as of chapter ${report.chapterNum}):`
+        : `Chekhov's guns and plot threads near their payoff window (chapter ${report.chapterNum}). Pay off or advance them where the chapter outline allows:`
+    ];
+
+    const section = (title, list, describe) => {
+      if (list.length === 0) return;
+      lines.push('', `### ${title}`);
+      for (const item of list) {
+        lines.push(`- ${formatItem(item)}: ${describe(item)}`);
+      }
+    };
+
+    section('Overdue', report.overdue, item => `payoff window ${formatWindow(item.window)} has passed`);
+    section('Due Soon', report.due, item => `pay off ${formatWindow(item.window)}`);
+    section('Quiet Threads', report.quiet, item => `no foreshadowing since ch${item.lastSetup} - plant a hint`);
+    section('Paid Off Without Setup', early, item => `paid off in ch${item.paidOff} with no setup before it - plant it earlier`);
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = {
+  PayoffTracker,
+  trackPayoffs,
+  formatWindow,
+  ITEM_STATUS
+};
@@ -0,0 +1,283 @@
+/**
+ * ILUVATAR - Preference Exporter
+ *
+ * Builds a DPO preference dataset from chapter version history.
+ *
+ * Every critique/revision cycle leaves scored versions of the same chapter
+ * behind (NovelManager keeps them in `revisions`). Two versions of one
+ * chapter whose Elrond scores differ by at least `minMargin` make a
+ * preference pair: the higher-scored text is `chosen`, the lower `rejected`.
+ *
+ * Output is JSONL in the TRL / HuggingFace DPO format:
+ *   { "prompt": "...", "chosen": "...", "rejected": "...", "metadata": {...} }
+ *
+ * The prompt is rebuilt the way the pipeline prompts Frodo: a slice of the
+ * outline around the chapter plus story bible context. Without a bible
+ * retriever the bible is the stored one, limited to what existed by that
+ * chapter.
+ *
+ * Splits are by novel (never by pair) so validation novels are unseen.
+ *
+ * Written to data/preferences/ or, with an S3Storage, to
+ * training/preferences/exports/{exportId}/ in S3.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+  buildChapterPrompt,
+  getBibleContext,
+  formatCompletion,
+  hashParts,
+  toJsonl
+} = require('./training-data');
+
+class PreferenceExporter {
+  /**
+   * @param {Object} novelManager - NovelManager instance
+   * @param {Object} options - Configuration
+   * @param {number} options.minMargin - Min score difference for a pair (default: PREFERENCE_MIN_MARGIN or 5)
+   * @param {number} options.valRatio - Share of novels held out for validation (default: 0.1)
+   * @param {string} options.outputDir - Local output directory (default: data/preferences)
+   * @param {Object} options.s3Storage - S3Storage instance (optional, writes to S3 instead of disk)
+   * @param {Object} options.bibleRetriever - BibleRetriever (optional, for retrieved bible context)
+   */
+  constructor(novelManager, options = {}) {
+    if (!novelManager) {
+      throw new Error('PreferenceExporter requires a NovelManager instance');
+    }
+    this.novelManager = novelManager;
+    this.minMargin = options.minMargin ?? (parseFloat(process.env.PREFERENCE_MIN_MARGIN) || 5);
+    this.valRatio = options.valRatio ?? 0.1;
+    this.outputDir = options.outputDir || path.join(process.cwd(), 'data', 'preferences');
+    this.s3Storage = options.s3Storage || null;
+    this.bibleRetriever = options.bibleRetriever || novelManager.bibleRetriever || null;
+  }
+
+  /**
+   * Build and write the dataset for every novel
+   *
+   * @param {Object} options
+   * @param {Array<string>} options.novelIds - Limit the export to these novels (default: all)
+   * @param {boolean} options.dryRun - Build the report without writing files
+   * @returns {Promise<Object>} Summary report
+   */
+  async export(options = {}) {
+    const { train, val, report } = await this.build(options);
+
+    if (!options.dryRun) {
+      report.output = this.s3Storage
+        ? await this._writeS3(report.exportId, train, val, report)
+        : this._writeLocal(train, val, report);
+    }
+
+    console.log(`[PreferenceExporter] ${report.pairs.total} pairs (${report.pairs.train} train / ${report.pairs.val} val) from ${report.novels.withPairs}/${report.novels.scanned} novels`);
+    return report;
+  }
+
+  /**
+   * Build the dataset in memory
+   *
+   * @param {Object} options
+   * @param {Array<string>} options.novelIds - Limit to these novels (default: all)
+   * @returns {Promise<Object>} { train, val, report }
+   */
+  async build(options = {}) {
+    const novels = await this.novelManager.listNovels();
+    const novelIds = options.novelIds || novels.map(n => n.id);
+
+    const train = [];
+    const val = [];
+    const seen = new Set();
+    const report = {
+      exportId: new Date().toISOString().replace(/[:.]/g, '-'),
+      createdAt: new Date().toISOString(),
+      minMargin: this.minMargin,
+      valRatio: this.valRatio,
+      novels: { scanned: 0, withPairs: 0, train: [], val: [] },
+      chapters: { scanned: 0, withPairs: 0 },
+      versions: { total: 0, scored: 0 },
+      pairs: { total: 0, train: 0, val: 0, duplicates: 0, belowMargin: 0 },
+      margin: { min: null, max: null, mean: null },
+      perNovel: {}
+    };
+
+    let marginSum = 0;
+
+    for (const novelId of novelIds) {
+      const novelState = await this.novelManager.getNovelState(novelId, { include: ['outline', 'chapters'] });
+      if (!novelState) {
+        console.warn(`[PreferenceExporter] Skipping missing novel ${novelId}`);
+        continue;
+      }
+      const state = { ...novelState, storyBible: await this.novelManager.getStoryBible(novelId) };
+      report.novels.scanned++;
+
+      const split = this.assignSplit(novelId);
+      const target = split === 'val' ? val : train;
+      let novelPairs = 0;
+
+      const chapterNums = Object.keys(state.chapters).map(Number).sort((a, b) => a - b);
+      for (const chapterNum of chapterNums) {
+        report.chapters.scanned++;
+
+        const versions = await this._getScoredVersions(state, chapterNum, report);
+        if (versions.length < 2) continue;
+
+        const prompt = await this.buildPrompt(state, chapterNum);
+        let chapterPairs = 0;
+
+        for (let i = 0; i < versions.length; i++) {
+          for (let j = i + 1; j < versions.length; j++) {
+            const pair = this.makePair(novelId, chapterNum, prompt, versions[i], versions[j]);
+            if (!pair) {
+              report.pairs.belowMargin++;
+              continue;
+            }
+
+            const hash = hashParts([pair.prompt, pair.chosen, pair.rejected]);
+            if (seen.has(hash)) {
+              report.pairs.duplicates++;
+              continue;
+            }
+            seen.add(hash);
+
+            target.push(pair);
+            chapterPairs++;
+
+            const margin = pair.metadata.margin;
+            marginSum += margin;
+            report.margin.min = report.margin.min === null ? margin : Math.min(report.margin.min, margin);
+            report.margin.max = report.margin.max === null ? margin : Math.max(report.margin.max, margin);
+          }
+        }
+
+        if (chapterPairs > 0) report.chapters.withPairs++;
+        novelPairs += chapterPairs;
+      }
+
+      if (novelPairs > 0) {
+        report.novels.withPairs++;
+        report.novels[split].push(novelId);
+      }
+      report.perNovel[novelId] = { title: state.metadata.title, split, pairs: novelPairs };
+    }
+
+    report.pairs.train = train.length;
+    report.pairs.val = val.length;
+    report.pairs.total = train.length + val.length;
+    if (report.pairs.total > 0) {
+      report.margin.mean = Math.round((marginSum / report.pairs.total) * 100) / 100;
+    }
+
+    return { train, val, report };
+  }
+
+  /**
+   * Pair two scored versions of a chapter
+   *
+   * @param {string} novelId - Novel ID
+   * @param {number} chapterNum - Chapter number
+   * @param {string} prompt - Prompt shared by both versions
+   * @param {Object} a - Scored version
+   * @param {Object} b - Scored version
+   * @returns {Object|null} DPO record, or null if the margin is too small or the texts match
+   */
+  makePair(novelId, chapterNum, prompt, a, b) {
+    const margin = Math.abs(a.score - b.score);
+    if (margin < this.minMargin || margin === 0) return null;
+
+    const [chosen, rejected] = a.score > b.score ? [a, b] : [b, a];
+    const chosenText = formatCompletion(chosen);
+    const rejectedText = formatCompletion(rejected);
+    if (chosenText === rejectedText) return null;
+
+    return {
+      prompt,
+      chosen: chosenText,
+      rejected: rejectedText,
+      metadata: {
+        novelId,
+        chapterNum,
+        chosenVersion: chosen.version,
+        rejectedVersion: rejected.version,
+        chosenScore: chosen.score,
+        rejectedScore: rejected.score,
+        margin
+      }
+    };
+  }
+
+  /**
+   * Rebuild the Frodo prompt for a chapter (outline slice + bible context)
+   *
+   * @param {Object} state - Novel state from getNovelState, plus storyBible
+   * @param {number} chapterNum - Chapter number
+   * @returns {Promise<string>} Prompt text
+   */
+  async buildPrompt(state, chapterNum) {
+    const bibleContext = await getBibleContext(state.storyBible, state.metadata.id, chapterNum, this.bibleRetriever);
+    return buildChapterPrompt(state, chapterNum, { bibleContext, previousSummary: true });
+  }
+
+  /**
+   * Deterministic train/val assignment for a novel
+   *
+   * @param {string} novelId - Novel ID
+   * @returns {string} 'train' or 'val'
+   */
+  assignSplit(novelId) {
+    const bucket = crypto.createHash('sha256').update(novelId).digest().readUInt32BE(0) / 0xffffffff;
+    return bucket < this.valRatio ? 'val' : 'train';
+  }
+
+  /**
+   * Versions of a chapter that have a critique score
+   * @private
+   */
+  async _getScoredVersions(state, chapterNum, report) {
+    const history = await this.novelManager.getChapterHistory(state.metadata.id, chapterNum);
+    report.versions.total += history.length;
+
+    const scored = [];
+    for (const entry of history) {
+      if (typeof entry.score !== 'number') continue;
+      const chapter = await this.novelManager.getChapterVersion(state.metadata.id, chapterNum, entry.version);
+      if (!chapter.content) continue;
+      scored.push({ version: entry.version, score: entry.score, title: chapter.title, content: chapter.content });
+    }
+
+    report.versions.scored += scored.length;
+    return scored;
+  }
+
+  /** @private */
+  _writeLocal(train, val, report) {
+    fs.mkdirSync(this.outputDir, { recursive: true });
+
+    const files = {
+      train: path.join(this.outputDir, 'train.jsonl'),
+      val: path.join(this.outputDir, 'val.jsonl'),
+      report: path.join(this.outputDir, 'report.json')
+    };
+    fs.writeFileSync(files.train, toJsonl(train));
+    fs.writeFileSync(files.val, toJsonl(val));
+    fs.writeFileSync(files.report, JSON.stringify(report, null, 2));
+
+    console.log(`[PreferenceExporter] Wrote dataset to ${this.outputDir}`);
+    return files;
+  }
+
+  /** @private */
+  async _writeS3(exportId, train, val, report) {
+    const prefix = `training/preferences/exports/${exportId}`;
+    return {
+      train: await this.s3Storage.saveTrainingFile(`${prefix}/train.jsonl`, toJsonl(train), 'application/x-ndjson'),
+      val: await this.s3Storage.saveTrainingFile(`${prefix}/val.jsonl`, toJsonl(val), 'application/x-ndjson'),
+      report: await this.s3Storage.saveTrainingFile(`${prefix}/report.json`, JSON.stringify(report, null, 2), 'application/json')
+    };
+  }
+}
+
+module.exports = { PreferenceExporter };
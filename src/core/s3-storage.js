@@ -1,7 +1,10 @@
 /**
  * ILUVATAR - S3 Storage
  *
- * Handles backup, export, and training data storage using AWS S3.
+ * Handles backup, export, and training data storage. Objects go to a
+ * storage backend (see storage-backends.js): AWS S3 by default, any
+ * S3-compatible server such as MinIO, or a local directory. Keys are the
+ * same on every backend, so data can be migrated between them.
  *
  * Structure in S3:
  *   iluvatar-novels/
@@ -9,43 +12,85 @@
  *   │   └── {novelId}/
  *   │       ├── state.json          # Full novel state backup
  *   │       ├── outline.md          # Gandalf's outline
+ *   │       ├── exports/
+ *   │       │   └── {title}.epub    # NovelExporter output (epub/docx/html/txt)
  *   │       └── chapters/
  *   │           ├── chapter-001.md  # Exported chapters
  *   │           └── chapter-002.md
  *   ├── training/
  *   │   └── preferences/
- *   │       └── {novelId}/
- *   │           └── chapter-{n}-v{version}.json  # Preference pairs for DPO
+ *   │       ├── {novelId}/
+ *   │       │   └── chapter-{n}-v{version}.json  # Preference pairs for DPO
+ *   │       └── exports/
+ *   │           └── {exportId}/
+ *   │               ├── train.jsonl  # DPO dataset (PreferenceExporter)
+ *   │               ├── val.jsonl
+ *   │               └── report.json
+ *   ├── snapshots/
+ *   │   └── {novelId}/
+ *   │       └── v{version}-{time}.json  # Per-novel snapshots (BackupManager)
  *   └── backups/
  *       └── {date}/
  *           └── full-backup.json    # Daily full backups
  */
 
-const { S3Client, PutObjectCommand, GetObjectCommand, ListObjectsV2Command, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { createStorageBackend } = require('./storage-backends');
+
+// snapshots/{novelId}/v000042-20240101T120000Z.json
+const SNAPSHOT_KEY = /^snapshots\/([^/]+)\/v(\d+)-(\d{8}T\d{6})Z\.json$/;
 
 class S3Storage {
   /**
-   * @param {Object} config - S3 configuration
+   * @param {Object} config - Storage configuration
+   * @param {string|Object} config.backend - Backend name ('s3', 'minio', 'local') or instance (default: STORAGE_BACKEND or s3)
    * @param {string} config.bucket - S3 bucket name
    * @param {string} config.region - AWS region (default: us-west-1)
+   * @param {string} config.endpoint - Custom S3 endpoint, e.g. MinIO (optional)
+   * @param {boolean} config.forcePathStyle - Path-style addressing (default: true with a custom endpoint)
    * @param {string} config.accessKeyId - AWS access key (optional, uses env/IAM if not provided)
    * @param {string} config.secretAccessKey - AWS secret key (optional)
+   * @param {string} config.rootDir - Directory for the local backend (default: STORAGE_DIR or data/storage)
    */
   constructor(config = {}) {
-    this.bucket = config.bucket || process.env.S3_BUCKET || 'iluvatar-novels';
-    this.region = config.region || process.env.AWS_REGION || 'us-west-1';
+    this.backend = typeof config.backend === 'object' && config.backend
+      ? config.backend
+      : createStorageBackend(config.backend, config);
 
-    const clientConfig = { region: this.region };
+    // Kept for callers that still address the bucket directly; null for local storage
+    this.bucket = this.backend.bucket || null;
+  }
 
-    // Only add credentials if explicitly provided (otherwise uses env/IAM role)
-    if (config.accessKeyId && config.secretAccessKey) {
-      clientConfig.credentials = {
-        accessKeyId: config.accessKeyId,
-        secretAccessKey: config.secretAccessKey
-      };
-    }
+  /**
+   * Describe where an object lives, for logs and Discord replies
+   *
+   * @param {string} key - Storage key
+   * @returns {string} s3://bucket/key or a local file path
+   */
+  url(key) {
+    return this.backend.url(key);
+  }
 
-    this.client = new S3Client(clientConfig);
+  /**
+   * One-line description of the backend, e.g. "s3://iluvatar-novels" or "local:/srv/iluvatar"
+   *
+   * @returns {string}
+   */
+  describe() {
+    if (this.backend.name === 'local') return `local:${this.backend.rootDir}`;
+    const endpoint = this.backend.endpoint ? ` @ ${this.backend.endpoint}` : '';
+    return `s3://${this.backend.bucket}${endpoint}`;
+  }
+
+  /**
+   * Read and parse a JSON object
+   *
+   * @private
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} Parsed object or null if not found
+   */
+  async _getJson(key) {
+    const object = await this.backend.get(key);
+    return object ? JSON.parse(object.body.toString('utf8')) : null;
   }
 
   /**
@@ -59,17 +104,14 @@ class S3Storage {
     const key = `novels/${novelId}/state.json`;
     const body = JSON.stringify(state, null, 2);
 
-    await this.client.send(new PutObjectCommand({
-      Bucket: this.bucket,
-      Key: key,
-      Body: body,
-      ContentType: 'application/json',
-      Metadata: {
+    await this.backend.put(key, body, {
+      contentType: 'application/json',
+      metadata: {
         'novel-id': novelId,
         'backup-time': new Date().toISOString(),
         'chapters-count': String(state.stats?.chaptersWritten || 0)
       }
-    }));
+    });
 
     console.log(`[S3Storage] Backed up novel state: ${key}`);
     return key;
@@ -84,23 +126,14 @@ class S3Storage {
   async restoreNovelState(novelId) {
     const key = `novels/${novelId}/state.json`;
 
-    try {
-      const response = await this.client.send(new GetObjectCommand({
-        Bucket: this.bucket,
-        Key: key
-      }));
-
-      const body = await response.Body.transformToString();
-      console.log(`[S3Storage] Restored novel state: ${key}`);
-      return JSON.parse(body);
-
-    } catch (err) {
-      if (err.name === 'NoSuchKey') {
-        console.log(`[S3Storage] No backup found for novel: ${novelId}`);
-        return null;
-      }
-      throw err;
+    const state = await this._getJson(key);
+    if (!state) {
+      console.log(`[S3Storage] No backup found for novel: ${novelId}`);
+      return null;
     }
+
+    console.log(`[S3Storage] Restored novel state: ${key}`);
+    return state;
   }
 
   /**
@@ -125,12 +158,7 @@ ${chapter.content}
 *Generated: ${chapter.savedAt || new Date().toISOString()}*
 `;
 
-    await this.client.send(new PutObjectCommand({
-      Bucket: this.bucket,
-      Key: key,
-      Body: markdown,
-      ContentType: 'text/markdown'
-    }));
+    await this.backend.put(key, markdown, { contentType: 'text/markdown' });
 
     console.log(`[S3Storage] Exported chapter: ${key}`);
     return key;
@@ -161,12 +189,7 @@ ${(outline.characters || []).map(c => `- **${c.name}**: ${c.description || 'No d
 *Generated: ${outline.savedAt || new Date().toISOString()}*
 `;
 
-    await this.client.send(new PutObjectCommand({
-      Bucket: this.bucket,
-      Key: key,
-      Body: markdown,
-      ContentType: 'text/markdown'
-    }));
+    await this.backend.put(key, markdown, { contentType: 'text/markdown' });
 
     console.log(`[S3Storage] Exported outline: ${key}`);
     return key;
@@ -210,12 +233,7 @@ ${(outline.characters || []).map(c => `- **${c.name}**: ${c.description || 'No d
       rejected: preference.revisedScore > preference.originalScore ? 'original' : 'revised'
     };
 
-    await this.client.send(new PutObjectCommand({
-      Bucket: this.bucket,
-      Key: key,
-      Body: JSON.stringify(data, null, 2),
-      ContentType: 'application/json'
-    }));
+    await this.backend.put(key, JSON.stringify(data, null, 2), { contentType: 'application/json' });
 
     console.log(`[S3Storage] Saved preference pair: ${key}`);
     return key;
@@ -232,12 +250,8 @@ ${(outline.characters || []).map(c => `- **${c.name}**: ${c.description || 'No d
       ? `training/preferences/${novelId}/`
       : 'training/preferences/';
 
-    const response = await this.client.send(new ListObjectsV2Command({
-      Bucket: this.bucket,
-      Prefix: prefix
-    }));
-
-    return (response.Contents || []).map(obj => obj.Key);
+    const objects = await this.backend.list(prefix);
+    return objects.map(obj => obj.key);
   }
 
   /**
@@ -247,19 +261,32 @@ ${(outline.characters || []).map(c => `- **${c.name}**: ${c.description || 'No d
    * @returns {Promise<Object>} Preference pair data
    */
   async getPreferencePair(key) {
-    const response = await this.client.send(new GetObjectCommand({
-      Bucket: this.bucket,
-      Key: key
-    }));
+    const pair = await this._getJson(key);
+    if (!pair) {
+      throw new Error(`Preference pair not found: ${key}`);
+    }
+    return pair;
+  }
+
+  /**
+   * Save a training data file (e.g. an exported JSONL dataset)
+   *
+   * @param {string} key - S3 key (under training/)
+   * @param {string} body - File contents
+   * @param {string} contentType - MIME type (default: application/json)
+   * @returns {Promise<string>} S3 key
+   */
+  async saveTrainingFile(key, body, contentType = 'application/json') {
+    await this.backend.put(key, body, { contentType: contentType });
 
-    const body = await response.Body.transformToString();
-    return JSON.parse(body);
+    console.log(`[S3Storage] Saved training file: ${key}`);
+    return key;
   }
 
   /**
    * Create a full backup of all novels
    *
-   * @param {Array} novels - Array of novel states
+   * @param {Array} novels - Array of novel states ({ id, version, data } from BackupManager)
    * @returns {Promise<string>} S3 key
    */
   async createFullBackup(novels) {
@@ -272,12 +299,7 @@ ${(outline.characters || []).map(c => `- **${c.name}**: ${c.description || 'No d
       novels
     };
 
-    await this.client.send(new PutObjectCommand({
-      Bucket: this.bucket,
-      Key: key,
-      Body: JSON.stringify(backup, null, 2),
-      ContentType: 'application/json'
-    }));
+    await this.backend.put(key, JSON.stringify(backup, null, 2), { contentType: 'application/json' });
 
     console.log(`[S3Storage] Created full backup: ${key} (${novels.length} novels)`);
     return key;
@@ -289,17 +311,14 @@ ${(outline.characters || []).map(c => `- **${c.name}**: ${c.description || 'No d
    * @returns {Promise<Array>} List of backup keys
    */
   async listBackups() {
-    const response = await this.client.send(new ListObjectsV2Command({
-      Bucket: this.bucket,
-      Prefix: 'backups/'
-    }));
+    const objects = await this.backend.list('backups/');
 
-    return (response.Contents || [])
+    return objects
       .map(obj => ({
-        key: obj.Key,
-        date: obj.Key.split('/')[1],
-        size: obj.Size,
-        lastModified: obj.LastModified
+        key: obj.key,
+        date: obj.key.split('/')[1],
+        size: obj.size,
+        lastModified: obj.lastModified
       }))
       .sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
   }
@@ -311,14 +330,100 @@ ${(outline.characters || []).map(c => `- **${c.name}**: ${c.description || 'No d
    * @returns {Promise<Object>} Backup data
    */
   async restoreFullBackup(key) {
-    const response = await this.client.send(new GetObjectCommand({
-      Bucket: this.bucket,
-      Key: key
-    }));
+    const backup = await this._getJson(key);
+    if (!backup) {
+      throw new Error(`Backup not found: ${key}`);
+    }
 
-    const body = await response.Body.transformToString();
     console.log(`[S3Storage] Restored full backup: ${key}`);
-    return JSON.parse(body);
+    return backup;
+  }
+
+  /**
+   * Delete a full backup or snapshot (retention pruning)
+   *
+   * @param {string} key - Backup or snapshot key
+   */
+  async deleteBackup(key) {
+    if (!key.startsWith('backups/') && !key.startsWith('snapshots/')) {
+      throw new Error(`Not a backup key: ${key}`);
+    }
+    await this.backend.delete(key);
+  }
+
+  /**
+   * Save a per-novel snapshot
+   *
+   * Keyed by StateManager version plus time: versions restart at 1 when a
+   * deleted novel is restored, so the version alone is not unique.
+   *
+   * @param {string} novelId - Novel ID
+   * @param {number} version - StateManager version of the novel scope
+   * @param {Object} data - Every field of the novel scope
+   * @returns {Promise<string>} S3 key
+   */
+  async saveSnapshot(novelId, version, data) {
+    const takenAt = new Date();
+    const stamp = takenAt.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+    const key = `snapshots/${novelId}/v${String(version).padStart(6, '0')}-${stamp}.json`;
+
+    const snapshot = {
+      novelId,
+      version,
+      takenAt: takenAt.toISOString(),
+      data
+    };
+
+    await this.backend.put(key, JSON.stringify(snapshot), {
+      contentType: 'application/json',
+      metadata: {
+        'novel-id': novelId,
+        'state-version': String(version)
+      }
+    });
+
+    console.log(`[S3Storage] Saved snapshot: ${key}`);
+    return key;
+  }
+
+  /**
+   * List per-novel snapshots, newest first
+   *
+   * @param {string} novelId - Novel ID (optional, lists all if not provided)
+   * @returns {Promise<Array>} [{ key, novelId, version, takenAt, size }]
+   */
+  async listSnapshots(novelId = null) {
+    const objects = await this.backend.list(novelId ? `snapshots/${novelId}/` : 'snapshots/');
+
+    return objects
+      .map(obj => {
+        const match = obj.key.match(SNAPSHOT_KEY);
+        if (!match) return null;
+        const [, id, version, stamp] = match;
+        return {
+          key: obj.key,
+          novelId: id,
+          version: parseInt(version),
+          takenAt: new Date(stamp.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})$/, '$1-$2-$3T$4:$5:$6Z')),
+          size: obj.size
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.takenAt - a.takenAt);
+  }
+
+  /**
+   * Get a per-novel snapshot
+   *
+   * @param {string} key - Snapshot key
+   * @returns {Promise<Object>} { novelId, version, takenAt, data }
+   */
+  async getSnapshot(key) {
+    const snapshot = await this._getJson(key);
+    if (!snapshot) {
+      throw new Error(`Snapshot not found: ${key}`);
+    }
+    return snapshot;
   }
 
   /**
@@ -330,17 +435,11 @@ ${(outline.characters || []).map(c => `- **${c.name}**: ${c.description || 'No d
     const prefix = `novels/${novelId}/`;
 
     // List all objects for this novel
-    const response = await this.client.send(new ListObjectsV2Command({
-      Bucket: this.bucket,
-      Prefix: prefix
-    }));
+    const objects = await this.backend.list(prefix);
 
     // Delete each object
-    for (const obj of (response.Contents || [])) {
-      await this.client.send(new DeleteObjectCommand({
-        Bucket: this.bucket,
-        Key: obj.Key
-      }));
+    for (const obj of objects) {
+      await this.backend.delete(obj.key);
     }
 
     console.log(`[S3Storage] Deleted all data for novel: ${novelId}`);
@@ -384,16 +483,29 @@ ${(outline.characters || []).map(c => `- **${c.name}**: ${c.description || 'No d
 
     markdown += `\n*Generated by ILUVATAR on ${new Date().toISOString()}*\n`;
 
-    await this.client.send(new PutObjectCommand({
-      Bucket: this.bucket,
-      Key: key,
-      Body: markdown,
-      ContentType: 'text/markdown'
-    }));
+    await this.backend.put(key, markdown, { contentType: 'text/markdown' });
 
     console.log(`[S3Storage] Exported full novel: ${key}`);
     return key;
   }
+
+  /**
+   * Save a rendered export (EPUB, DOCX, HTML, TXT)
+   *
+   * @param {string} novelId - Novel ID
+   * @param {string} fileName - File name (e.g. my-novel.epub)
+   * @param {Buffer|string} body - File contents
+   * @param {string} contentType - MIME type
+   * @returns {Promise<string>} S3 key
+   */
+  async saveExport(novelId, fileName, body, contentType) {
+    const key = `novels/${novelId}/exports/${fileName}`;
+
+    await this.backend.put(key, body, { contentType: contentType });
+
+    console.log(`[S3Storage] Saved export: ${key}`);
+    return key;
+  }
 }
 
 module.exports = { S3Storage };
@@ -0,0 +1,154 @@
+/**
+ * ILUVATAR - Scene Chunker
+ *
+ * Splits chapter prose into retrieval-sized passages for chapter RAG
+ * (BibleRetriever.getRelevantPassages).
+ *
+ * Chunks never cross a scene break (***, * * *, ※※※, ◆◆◆, ---, ...), and
+ * inside a scene they are built from whole paragraphs up to a token budget.
+ * A paragraph too long for one chunk is split at sentence boundaries, using
+ * the same CJK-aware sentence splitter as the chapter diff.
+ *
+ * Every chunk records its paragraph range (1-based, scene-break lines not
+ * counted), so a passage can be quoted as "Ch12 ¶4-6".
+ */
+
+const { splitSentences } = require('./text-diff');
+const { estimateTokens } = require('./tokens');
+
+// A line made only of 3+ separator symbols marks a scene break
+const SCENE_BREAK_REGEX = /^(?:[*＊※◆◇●○#~～=_·•\-—]\s*){3,}$/;
+
+// Default chunk budget (tokens)
+const DEFAULT_MAX_TOKENS = 300;
+
+// Chunks smaller than this are folded into the previous chunk of the scene
+const DEFAULT_MIN_TOKENS = 60;
+
+/**
+ * Split text into scenes of numbered paragraphs
+ *
+ * @param {string} text - Chapter text
+ * @returns {Array<Array<Object>>} Scenes, each [{ number, text }]
+ */
+function splitScenes(text) {
+  const scenes = [[]];
+  let number = 0;
+
+  for (const line of (text || '').split(/\n+/)) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+
+    if (SCENE_BREAK_REGEX.test(trimmed)) {
+      if (scenes[scenes.length - 1].length > 0) scenes.push([]);
+      continue;
+    }
+    scenes[scenes.length - 1].push({ number: ++number, text: trimmed });
+  }
+
+  return scenes.filter(scene => scene.length > 0);
+}
+
+/**
+ * Chunk text into passages
+ *
+ * @param {string} text - Chapter text
+ * @param {Object} options
+ * @param {number} options.maxTokens - Max tokens per chunk (default: 300)
+ * @param {number} options.minTokens - Min tokens before a chunk is merged into the previous one (default: 60)
+ * @returns {Array<Object>} [{ index, scene, paragraphStart, paragraphEnd, text, tokens }]
+ */
+function chunkText(text, options = {}) {
+  const maxTokens = options.maxTokens || DEFAULT_MAX_TOKENS;
+  const minTokens = options.minTokens ?? DEFAULT_MIN_TOKENS;
+  const chunks = [];
+
+  splitScenes(text).forEach((paragraphs, sceneIndex) => {
+    const sceneChunks = [];
+    let current = null;
+
+    const flush = () => {
+      if (current) sceneChunks.push(current);
+      current = null;
+    };
+    const add = (number, piece, separator) => {
+      const tokens = estimateTokens(piece);
+      if (current && current.tokens + tokens > maxTokens) flush();
+      if (!current) {
+        current = { scene: sceneIndex + 1, paragraphStart: number, paragraphEnd: number, text: piece, tokens };
+        return;
+      }
+      current.text = `${current.text}${separator}${piece}`;
+      current.paragraphEnd = number;
+      current.tokens += tokens;
+    };
+
+    for (const paragraph of paragraphs) {
+      if (estimateTokens(paragraph.text) <= maxTokens) {
+        add(paragraph.number, paragraph.text, '\n\n');
+        continue;
+      }
+      // Oversized paragraph: sentence by sentence, starting a fresh chunk
+      flush();
+      splitSentences(paragraph.text).forEach((sentence, i) => {
+        add(paragraph.number, sentence, i === 0 ? '\n\n' : '');
+      });
+      flush();
+    }
+    flush();
+
+    // Fold a short tail into the chunk before it
+    if (sceneChunks.length > 1) {
+      const last = sceneChunks[sceneChunks.length - 1];
+      const previous = sceneChunks[sceneChunks.length - 2];
+      if (last.tokens < minTokens) {
+        const separator = last.paragraphStart === previous.paragraphEnd ? '' : '\n\n';
+        previous.text = `${previous.text}${separator}${last.text}`;
+        previous.paragraphEnd = last.paragraphEnd;
+        previous.tokens += last.tokens;
+        sceneChunks.pop();
+      }
+    }
+
+    chunks.push(...sceneChunks);
+  });
+
+  return chunks.map((chunk, index) => ({ index, ...chunk }));
+}
+
+/**
+ * Chunk a chapter into passages tagged with its number
+ *
+ * @param {number} chapterNum - Chapter number
+ * @param {Object} chapter - Chapter data { content, version }
+ * @param {Object} options - See chunkText
+ * @returns {Array<Object>} [{ chapterNum, version, index, scene, paragraphStart, paragraphEnd, text, tokens }]
+ */
+function chunkChapter(chapterNum, chapter, options = {}) {
+  return chunkText(chapter.content || '', options).map(chunk => ({
+    chapterNum,
+    version: chapter.version || 1,
+    ...chunk
+  }));
+}
+
+/**
+ * Human-readable reference for a passage, e.g. "Ch12 ¶4-6"
+ *
+ * @param {Object} passage - Chunk with chapterNum, paragraphStart, paragraphEnd
+ * @returns {string} Reference
+ */
+function formatReference(passage) {
+  const range = passage.paragraphStart === passage.paragraphEnd
+    ? `${passage.paragraphStart}`
+    : `${passage.paragraphStart}-${passage.paragraphEnd}`;
+  return `Ch${passage.chapterNum} ¶${range}`;
+}
+
+module.exports = {
+  chunkText,
+  chunkChapter,
+  splitScenes,
+  formatReference,
+  SCENE_BREAK_REGEX
+};
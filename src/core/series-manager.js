@@ -0,0 +1,413 @@
+/**
+ * ILUVATAR - Series Manager
+ *
+ * A series groups the POV novels that tell one story from different
+ * characters' perspectives. Each series has:
+ *
+ *   - a canon bible shared by every novel in it. A novel's own storyBible
+ *     becomes a private overlay: NovelManager.getStoryBible layers it over
+ *     the canon, so retrieval and prompts see both.
+ *   - a master timeline placing chapters from different novels in story
+ *     time, so POV A's chapter 12 can be lined up against POV B's chapter 7.
+ *
+ * Story time is any increasing number the series agrees on (day, hour,
+ * scene index); a chapter covers [start, end] and two chapters overlap when
+ * their spans intersect.
+ *
+ * State lives in scope `series:{id}` (metadata, canonBible, timeline) with
+ * an index under global `series`. Novels record their series in
+ * metadata.seriesId; a novel belongs to at most one series.
+ */
+
+const crypto = require('crypto');
+const { EMPTY_STORY_BIBLE, applyBibleUpdates } = require('./novel-manager');
+
+class SeriesManager {
+  /**
+   * @param {Object} stateManager - StateManager instance for persistence
+   * @param {Object} novelManager - NovelManager instance
+   */
+  constructor(stateManager, novelManager) {
+    if (!stateManager) {
+      throw new Error('SeriesManager requires a StateManager instance');
+    }
+    if (!novelManager) {
+      throw new Error('SeriesManager requires a NovelManager instance');
+    }
+    this.state = stateManager;
+    this.novelManager = novelManager;
+  }
+
+  /**
+   * Generate a unique series ID
+   * Format: series-{timestamp}-{random}
+   */
+  generateSeriesId() {
+    const timestamp = Date.now().toString(36);
+    const random = crypto.randomBytes(4).toString('hex');
+    return `series-${timestamp}-${random}`;
+  }
+
+  /**
+   * Get the scope key for a series
+   */
+  getScope(seriesId) {
+    return `series:${seriesId}`;
+  }
+
+  /**
+   * Create a series
+   *
+   * @param {Object} config - Series configuration
+   * @param {string} config.name - Series name
+   * @param {string} config.description - What the series is about (optional)
+   * @returns {Promise<Object>} Created series metadata
+   */
+  async createSeries(config) {
+    const seriesId = this.generateSeriesId();
+    const scope = this.getScope(seriesId);
+    const now = new Date().toISOString();
+
+    const series = {
+      id: seriesId,
+      name: config.name || 'Untitled Series',
+      description: config.description || '',
+      novels: [],            // [{ novelId, title, pov, addedAt }] in the order they joined
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.state.set(scope, 'metadata', series);
+    await this.state.set(scope, 'canonBible', clone(EMPTY_STORY_BIBLE));
+    await this.state.set(scope, 'timeline', { placements: [] });
+
+    await this.state.writeWithRetry('series-manager', 'global', async (currentState) => {
+      const index = currentState.series || {};
+      index[seriesId] = { id: seriesId, name: series.name, createdAt: now };
+      return { series: index };
+    });
+
+    console.log(`[SeriesManager] Created series: ${seriesId} - "${series.name}"`);
+    return series;
+  }
+
+  /**
+   * Get series metadata
+   *
+   * @param {string} seriesId - Series ID
+   * @returns {Promise<Object|null>} Series metadata or null if not found
+   */
+  async getSeries(seriesId) {
+    return await this.state.get(this.getScope(seriesId), 'metadata');
+  }
+
+  /**
+   * List all series
+   *
+   * @returns {Promise<Array>} Series index entries, newest first
+   */
+  async listSeries() {
+    const index = await this.state.get('global', 'series');
+    if (!index) return [];
+
+    return Object.values(index).sort((a, b) =>
+      new Date(b.createdAt) - new Date(a.createdAt)
+    );
+  }
+
+  /**
+   * Add a novel to a series as one of its POVs
+   *
+   * @param {string} seriesId - Series ID
+   * @param {string} novelId - Novel ID
+   * @param {Object} options
+   * @param {string} options.pov - POV character (default: the novel's pov)
+   * @param {boolean} options.shareBible - Move the novel's bible into the canon (default: false)
+   * @returns {Promise<Object>} Updated series metadata
+   */
+  async addNovel(seriesId, novelId, options = {}) {
+    const novel = await this.novelManager.getNovel(novelId);
+    if (!novel) {
+      throw new Error(`Novel not found: ${novelId}`);
+    }
+    if (novel.seriesId && novel.seriesId !== seriesId) {
+      throw new Error(`Novel ${novelId} already belongs to series ${novel.seriesId}`);
+    }
+
+    const pov = options.pov || novel.pov;
+    let series;
+    await this.state.writeWithRetry('series-manager', this.getScope(seriesId), async (currentState) => {
+      const metadata = currentState.metadata;
+      if (!metadata) {
+        throw new Error(`Series not found: ${seriesId}`);
+      }
+
+      const existing = metadata.novels.find(n => n.novelId === novelId);
+      if (existing) {
+        existing.pov = pov;
+      } else {
+        metadata.novels.push({ novelId, title: novel.title, pov, addedAt: new Date().toISOString() });
+      }
+      metadata.updatedAt = new Date().toISOString();
+      series = metadata;
+      return { metadata };
+    });
+
+    await this.novelManager.withActor('series-manager').updateNovelMetadata(novelId, { seriesId, pov });
+    if (options.shareBible) {
+      await this.promoteToCanon(seriesId, novelId);
+    }
+
+    console.log(`[SeriesManager] Added ${novelId} (POV: ${pov}) to series ${seriesId}`);
+    return series;
+  }
+
+  /**
+   * Remove a novel from a series (its timeline placements go with it)
+   *
+   * @param {string} seriesId - Series ID
+   * @param {string} novelId - Novel ID
+   */
+  async removeNovel(seriesId, novelId) {
+    await this.state.writeWithRetry('series-manager', this.getScope(seriesId), async (currentState) => {
+      const metadata = currentState.metadata;
+      if (!metadata) {
+        throw new Error(`Series not found: ${seriesId}`);
+      }
+
+      const timeline = currentState.timeline || { placements: [] };
+      metadata.novels = metadata.novels.filter(n => n.novelId !== novelId);
+      metadata.updatedAt = new Date().toISOString();
+      timeline.placements = timeline.placements.filter(p => p.novelId !== novelId);
+      return { metadata, timeline };
+    });
+
+    const novel = await this.novelManager.getNovel(novelId);
+    if (novel?.seriesId === seriesId) {
+      await this.novelManager.withActor('series-manager').updateNovelMetadata(novelId, { seriesId: null });
+    }
+
+    console.log(`[SeriesManager] Removed ${novelId} from series ${seriesId}`);
+  }
+
+  /**
+   * Find the series a novel belongs to
+   *
+   * @param {string} novelId - Novel ID
+   * @returns {Promise<Object|null>} Series metadata or null
+   */
+  async getSeriesForNovel(novelId) {
+    const novel = await this.novelManager.getNovel(novelId);
+    return novel?.seriesId ? await this.getSeries(novel.seriesId) : null;
+  }
+
+  // ============================================================
+  // CANON BIBLE METHODS
+  // ============================================================
+
+  /**
+   * Get a series' canon bible
+   *
+   * @param {string} seriesId - Series ID
+   * @returns {Promise<Object>} Canon story bible (a copy, safe to modify)
+   */
+  async getCanonBible(seriesId) {
+    const bible = await this.state.get(this.getScope(seriesId), 'canonBible');
+    return clone(bible || EMPTY_STORY_BIBLE);
+  }
+
+  /**
+   * Merge updates into the canon bible
+   *
+   * @param {string} seriesId - Series ID
+   * @param {Object} updates - Partial story bible (same shape as NovelManager.updateStoryBible)
+   */
+  async updateCanonBible(seriesId, updates) {
+    await this.state.writeWithRetry('series-manager', this.getScope(seriesId), async (currentState) => {
+      if (!currentState.metadata) {
+        throw new Error(`Series not found: ${seriesId}`);
+      }
+      const bible = currentState.canonBible || clone(EMPTY_STORY_BIBLE);
+      return { canonBible: applyBibleUpdates(bible, updates) };
+    });
+
+    console.log(`[SeriesManager] Updated canon bible for ${seriesId}`);
+  }
+
+  /**
+   * Move a novel's private bible into the series canon
+   *
+   * Characters, relationships, plot threads, world facts and chekhovs move;
+   * timeline events stay private because their chapter numbers only make
+   * sense within that novel.
+   *
+   * @param {string} seriesId - Series ID
+   * @param {string} novelId - Novel ID
+   * @returns {Promise<Object>} Counts of entries moved by type
+   */
+  async promoteToCanon(seriesId, novelId) {
+    const own = await this.novelManager.getStoryBible(novelId, { includeCanon: false });
+    const { timeline, ...shared } = own;
+    await this.updateCanonBible(seriesId, shared);
+
+    await this.novelManager.withActor('series-manager').replaceStoryBible(novelId, {
+      ...clone(EMPTY_STORY_BIBLE),
+      timeline: timeline || []
+    });
+
+    const moved = {
+      characters: Object.keys(shared.characters || {}).length,
+      relationships: (shared.relationships || []).length,
+      plotThreads: (shared.plotThreads || []).length,
+      worldFacts: (shared.worldFacts || []).length,
+      chekhovs: (shared.chekhovs || []).length
+    };
+    console.log(`[SeriesManager] Promoted ${novelId}'s bible to canon of ${seriesId} (${moved.characters} characters)`);
+    return moved;
+  }
+
+  // ============================================================
+  // MASTER TIMELINE METHODS
+  // ============================================================
+
+  /**
+   * Place a chapter on the master timeline (replaces an earlier placement)
+   *
+   * @param {string} seriesId - Series ID
+   * @param {Object} placement
+   * @param {string} placement.novelId - Novel ID (must be in the series)
+   * @param {number} placement.chapterNum - Chapter number
+   * @param {number} placement.start - Story time the chapter starts
+   * @param {number} placement.end - Story time the chapter ends (default: start)
+   * @param {string} placement.note - Label for the moment, e.g. "Night of the tournament" (optional)
+   * @returns {Promise<Object>} { placement, overlaps }
+   */
+  async placeChapter(seriesId, placement) {
+    const { novelId, chapterNum, start } = placement;
+    const end = placement.end ?? start;
+    if (!Number.isFinite(start) || !Number.isFinite(end) || end < start) {
+      throw new Error('Timeline placement needs start <= end');
+    }
+
+    let placed;
+    let placements;
+    await this.state.writeWithRetry('series-manager', this.getScope(seriesId), async (currentState) => {
+      const metadata = currentState.metadata;
+      if (!metadata) {
+        throw new Error(`Series not found: ${seriesId}`);
+      }
+      if (!metadata.novels.some(n => n.novelId === novelId)) {
+        throw new Error(`Novel ${novelId} is not part of series ${seriesId}`);
+      }
+
+      const timeline = currentState.timeline || { placements: [] };
+      placed = { novelId, chapterNum, start, end, note: placement.note || null, placedAt: new Date().toISOString() };
+      timeline.placements = timeline.placements
+        .filter(p => !(p.novelId === novelId && p.chapterNum === chapterNum))
+        .concat(placed)
+        .sort(comparePlacements);
+      placements = timeline.placements;
+      return { timeline };
+    });
+
+    console.log(`[SeriesManager] Placed ${novelId} ch${chapterNum} at ${start}-${end} in ${seriesId}`);
+    return { placement: placed, overlaps: findOverlaps(placements, novelId, chapterNum) };
+  }
+
+  /**
+   * Take a chapter off the master timeline
+   *
+   * @param {string} seriesId - Series ID
+   * @param {string} novelId - Novel ID
+   * @param {number} chapterNum - Chapter number
+   */
+  async unplaceChapter(seriesId, novelId, chapterNum) {
+    await this.state.writeWithRetry('series-manager', this.getScope(seriesId), async (currentState) => {
+      const timeline = currentState.timeline || { placements: [] };
+      timeline.placements = timeline.placements.filter(p => !(p.novelId === novelId && p.chapterNum === chapterNum));
+      return { timeline };
+    });
+  }
+
+  /**
+   * Get the master timeline with chapter and novel details filled in
+   *
+   * @param {string} seriesId - Series ID
+   * @returns {Promise<Array>} [{ novelId, novelTitle, pov, chapterNum, chapterTitle, start, end, note }] in story order
+   */
+  async getTimeline(seriesId) {
+    const scope = this.getScope(seriesId);
+    const [metadata, timeline] = await Promise.all([
+      this.state.get(scope, 'metadata'),
+      this.state.get(scope, 'timeline')
+    ]);
+    if (!metadata) {
+      throw new Error(`Series not found: ${seriesId}`);
+    }
+
+    const states = new Map();
+    for (const { novelId } of metadata.novels) {
+      states.set(novelId, await this.novelManager.getNovelState(novelId, { include: ['outline'] }));
+    }
+
+    // Only the placed chapters, for their titles
+    const placements = timeline?.placements || [];
+    const chapters = await Promise.all(placements.map(p => this.novelManager.getChapter(p.novelId, p.chapterNum)));
+
+    return placements.map((p, i) => {
+      const member = metadata.novels.find(n => n.novelId === p.novelId);
+      const state = states.get(p.novelId);
+      const chapterTitle = chapters[i]?.title
+        || (state?.outline?.chapters || []).find(ch => ch.number === p.chapterNum)?.title
+        || null;
+      return {
+        ...p,
+        novelTitle: member?.title || state?.metadata?.title || p.novelId,
+        pov: member?.pov || null,
+        chapterTitle
+      };
+    });
+  }
+
+  /**
+   * Chapters of other novels that overlap a chapter in story time
+   *
+   * @param {string} seriesId - Series ID
+   * @param {string} novelId - Novel ID
+   * @param {number} chapterNum - Chapter number
+   * @returns {Promise<Object>} { placement, overlaps } (placement is null if the chapter is not on the timeline)
+   */
+  async getOverlaps(seriesId, novelId, chapterNum) {
+    const timeline = await this.getTimeline(seriesId);
+    const placement = timeline.find(p => p.novelId === novelId && p.chapterNum === chapterNum) || null;
+    return { placement, overlaps: findOverlaps(timeline, novelId, chapterNum) };
+  }
+}
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function comparePlacements(a, b) {
+  return a.start - b.start || a.end - b.end || a.novelId.localeCompare(b.novelId) || a.chapterNum - b.chapterNum;
+}
+
+/**
+ * Placements of other novels whose span intersects the given chapter's
+ */
+function findOverlaps(placements, novelId, chapterNum) {
+  const target = placements.find(p => p.novelId === novelId && p.chapterNum === chapterNum);
+  if (!target) return [];
+  return placements.filter(p =>
+    p.novelId !== novelId && p.start <= target.end && p.end >= target.start
+  );
+}
+
+module.exports = {
+  SeriesManager,
+  findOverlaps
+};
@@ -0,0 +1,311 @@
+/**
+ * ILUVATAR - SFT Exporter
+ *
+ * Builds a supervised fine-tuning corpus for the Frodo writer (Module 3,
+ * LoRA on Qwen2.5) from approved chapters.
+ *
+ * Each example is chat-format JSONL:
+ *   { "messages": [
+ *       { "role": "system",    "content": <frodo-writing.md> },
+ *       { "role": "user",      "content": <outline slice + previous summary + bible context> },
+ *       { "role": "assistant", "content": <approved chapter> }
+ *     ], "metadata": {...} }
+ *
+ * Chapters longer than the token budget are split at paragraph (then
+ * sentence) boundaries into continuation examples, each of which carries
+ * the end of the previous part so the model learns to pick up mid-chapter.
+ *
+ * Written to data/processed/.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getAgentConfig } = require('./model-config');
+const { splitParagraphs, splitSentences } = require('./text-diff');
+const {
+  buildChapterPrompt,
+  getBibleContext,
+  formatCompletion,
+  hashParts,
+  toJsonl
+} = require('./training-data');
+const { estimateTokens } = require('./tokens');
+
+const PROMPTS_DIR = path.join(__dirname, '..', 'agent-prompts');
+
+// Default token budget per example (system + user + assistant)
+const DEFAULT_MAX_TOKENS = 8192;
+
+class SftExporter {
+  /**
+   * @param {Object} novelManager - NovelManager instance
+   * @param {Object} options - Configuration
+   * @param {number} options.minScore - Min Elrond score for a chapter (default: novelManager passThreshold)
+   * @param {Array<string>} options.languages - Only these languages, e.g. ['zh'] (default: all)
+   * @param {Array<string>} options.genres - Only these genres (default: all)
+   * @param {number} options.maxTokens - Token budget per example (default: 8192)
+   * @param {string} options.outputDir - Output directory (default: data/processed)
+   * @param {string} options.promptsDir - Directory with agent prompt files
+   * @param {Object} options.bibleRetriever - BibleRetriever (optional, for retrieved bible context)
+   */
+  constructor(novelManager, options = {}) {
+    if (!novelManager) {
+      throw new Error('SftExporter requires a NovelManager instance');
+    }
+    this.novelManager = novelManager;
+    this.minScore = options.minScore ?? novelManager.config?.passThreshold ?? 70;
+    this.languages = options.languages?.length ? options.languages.map(l => l.toLowerCase()) : null;
+    this.genres = options.genres?.length ? options.genres.map(g => g.toLowerCase()) : null;
+    this.maxTokens = options.maxTokens || DEFAULT_MAX_TOKENS;
+    this.outputDir = options.outputDir || path.join(process.cwd(), 'data', 'processed');
+    this.promptsDir = options.promptsDir || PROMPTS_DIR;
+    this.bibleRetriever = options.bibleRetriever || novelManager.bibleRetriever || null;
+  }
+
+  /**
+   * Build and write the corpus
+   *
+   * @param {Object} options
+   * @param {Array<string>} options.novelIds - Limit the export to these novels (default: all)
+   * @param {boolean} options.dryRun - Build the report without writing files
+   * @returns {Promise<Object>} Summary report
+   */
+  async export(options = {}) {
+    const { examples, report } = await this.build(options);
+
+    if (!options.dryRun) {
+      fs.mkdirSync(this.outputDir, { recursive: true });
+      report.output = {
+        examples: path.join(this.outputDir, 'sft.jsonl'),
+        report: path.join(this.outputDir, 'sft-report.json')
+      };
+      fs.writeFileSync(report.output.examples, toJsonl(examples));
+      fs.writeFileSync(report.output.report, JSON.stringify(report, null, 2));
+      console.log(`[SftExporter] Wrote corpus to ${this.outputDir}`);
+    }
+
+    console.log(`[SftExporter] ${report.examples.total} examples from ${report.chapters.used} chapters (${report.novels.used}/${report.novels.scanned} novels)`);
+    return report;
+  }
+
+  /**
+   * Build the corpus in memory
+   *
+   * @param {Object} options
+   * @param {Array<string>} options.novelIds - Limit to these novels (default: all)
+   * @returns {Promise<Object>} { examples, report }
+   */
+  async build(options = {}) {
+    const novels = await this.novelManager.listNovels();
+    const novelIds = options.novelIds || novels.map(n => n.id);
+    const systemPrompt = this.loadSystemPrompt();
+
+    const examples = [];
+    const seen = new Set();
+    const report = {
+      createdAt: new Date().toISOString(),
+      filters: {
+        minScore: this.minScore,
+        languages: this.languages,
+        genres: this.genres,
+        maxTokens: this.maxTokens
+      },
+      novels: { scanned: 0, used: 0, skipped: { language: 0, genre: 0 } },
+      chapters: { scanned: 0, used: 0, skipped: { unapproved: 0, unscored: 0, lowScore: 0, overBudget: 0 } },
+      examples: { total: 0, split: 0, duplicates: 0, tokens: 0, maxTokens: 0 },
+      perNovel: {}
+    };
+
+    for (const novelId of novelIds) {
+      const novelState = await this.novelManager.getNovelState(novelId, { include: ['outline', 'chapters', 'critiques'] });
+      if (!novelState) {
+        console.warn(`[SftExporter] Skipping missing novel ${novelId}`);
+        continue;
+      }
+      report.novels.scanned++;
+
+      const { metadata } = novelState;
+      if (this.languages && !this.languages.includes((metadata.language || '').toLowerCase())) {
+        report.novels.skipped.language++;
+        continue;
+      }
+      if (this.genres && !this.genres.includes((metadata.genre || '').toLowerCase())) {
+        report.novels.skipped.genre++;
+        continue;
+      }
+
+      const state = { ...novelState, storyBible: await this.novelManager.getStoryBible(novelId) };
+      let novelExamples = 0;
+
+      const chapterNums = Object.keys(state.chapters).map(Number).sort((a, b) => a - b);
+      for (const chapterNum of chapterNums) {
+        report.chapters.scanned++;
+
+        const chapter = state.chapters[chapterNum];
+        const score = chapter.score ?? state.critiques[chapterNum]?.score;
+        if (!chapter.approved || !chapter.content) {
+          report.chapters.skipped.unapproved++;
+          continue;
+        }
+        if (typeof score !== 'number') {
+          report.chapters.skipped.unscored++;
+          continue;
+        }
+        if (score < this.minScore) {
+          report.chapters.skipped.lowScore++;
+          continue;
+        }
+
+        const bibleContext = await getBibleContext(state.storyBible, novelId, chapterNum, this.bibleRetriever);
+        const userPrompt = buildChapterPrompt(state, chapterNum, { bibleContext, previousSummary: true });
+        const chapterExamples = this.buildExamples(systemPrompt, userPrompt, chapter);
+
+        if (chapterExamples.length === 0) {
+          report.chapters.skipped.overBudget++;
+          continue;
+        }
+        report.chapters.used++;
+
+        chapterExamples.forEach((messages, i) => {
+          const hash = hashParts(messages.map(m => m.content));
+          if (seen.has(hash)) {
+            report.examples.duplicates++;
+            return;
+          }
+          seen.add(hash);
+
+          const tokens = messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+          report.examples.tokens += tokens;
+          report.examples.maxTokens = Math.max(report.examples.maxTokens, tokens);
+
+          examples.push({
+            messages,
+            metadata: {
+              novelId,
+              chapterNum,
+              version: chapter.version || 1,
+              score,
+              language: metadata.language,
+              genre: metadata.genre,
+              part: i + 1,
+              parts: chapterExamples.length,
+              tokens
+            }
+          });
+          novelExamples++;
+        });
+        if (chapterExamples.length > 1) report.examples.split++;
+      }
+
+      if (novelExamples > 0) report.novels.used++;
+      report.perNovel[novelId] = { title: metadata.title, examples: novelExamples };
+    }
+
+    report.examples.total = examples.length;
+    return { examples, report };
+  }
+
+  /**
+   * Turn one chapter into one or more chat examples within the token budget
+   *
+   * @param {string} systemPrompt - Frodo system prompt
+   * @param {string} userPrompt - Chapter prompt
+   * @param {Object} chapter - Approved chapter { title, content }
+   * @returns {Array<Array<Object>>} Message lists (empty if the prompt alone exceeds the budget)
+   */
+  buildExamples(systemPrompt, userPrompt, chapter) {
+    const completion = formatCompletion(chapter);
+    const promptTokens = estimateTokens(systemPrompt) + estimateTokens(userPrompt);
+
+    if (promptTokens + estimateTokens(completion) <= this.maxTokens) {
+      return [toMessages(systemPrompt, userPrompt, completion)];
+    }
+
+    // Continuation prompts add the previous part's ending; reserve room for it
+    const tailBudget = Math.floor(this.maxTokens * 0.1);
+    const partBudget = this.maxTokens - promptTokens - tailBudget - estimateTokens(formatCompletion({ title: chapter.title, content: '' }));
+    if (partBudget <= 0) return [];
+
+    const parts = splitToBudget(chapter.content, partBudget);
+    return parts.map((part, i) => {
+      if (i === 0) {
+        return toMessages(systemPrompt, userPrompt, formatCompletion({ title: chapter.title, content: part }));
+      }
+      const tail = lastParagraph(parts[i - 1], tailBudget);
+      const continuation = `${userPrompt}\n\nContinue the chapter (part ${i + 1} of ${parts.length}). The previous part ended with:\n${tail}`;
+      return toMessages(systemPrompt, continuation, part);
+    });
+  }
+
+  /**
+   * Load Frodo's system prompt
+   *
+   * @returns {string} Prompt markdown
+   */
+  loadSystemPrompt() {
+    const { promptFile } = getAgentConfig('frodo');
+    return fs.readFileSync(path.join(this.promptsDir, promptFile), 'utf8');
+  }
+}
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+function toMessages(system, user, assistant) {
+  return [
+    { role: 'system', content: system },
+    { role: 'user', content: user },
+    { role: 'assistant', content: assistant }
+  ];
+}
+
+/**
+ * Split text into parts of at most `budget` tokens
+ * Breaks at paragraphs, falling back to sentences for oversized paragraphs.
+ */
+function splitToBudget(text, budget) {
+  const units = [];
+  for (const paragraph of splitParagraphs(text)) {
+    if (estimateTokens(paragraph) <= budget) {
+      units.push({ text: paragraph, join: '\n\n' });
+    } else {
+      splitSentences(paragraph).forEach((sentence, i) => {
+        units.push({ text: sentence, join: i === 0 ? '\n\n' : '' });
+      });
+    }
+  }
+
+  const parts = [];
+  let current = '';
+  let currentTokens = 0;
+  for (const unit of units) {
+    const tokens = estimateTokens(unit.text);
+    if (current && currentTokens + tokens > budget) {
+      parts.push(current);
+      current = '';
+      currentTokens = 0;
+    }
+    current = current ? `${current}${unit.join}${unit.text}` : unit.text;
+    currentTokens += tokens;
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+/**
+ * Last paragraph of a part, trimmed from the front to fit the budget
+ */
+function lastParagraph(text, budget) {
+  const paragraphs = splitParagraphs(text);
+  let tail = paragraphs[paragraphs.length - 1] || '';
+  while (tail.length > 0 && estimateTokens(tail) > budget) {
+    tail = tail.substring(Math.ceil(tail.length / 4));
+  }
+  return tail;
+}
+
+module.exports = {
+  SftExporter,
+  DEFAULT_MAX_TOKENS
+};
@@ -0,0 +1,531 @@
+/**
+ * ILUVATAR - State Drivers
+ *
+ * Where StateManager keeps scoped state. StateManager owns the semantics
+ * (JSON encoding, optimistic locking, ConflictError, collections and the
+ * N8N fallbacks in get); a driver only stores strings. Per scope a driver
+ * keeps a version counter, a data hash (field -> JSON string), one hash per
+ * collection (item id -> JSON string, e.g. chapter number -> chapter) and
+ * read/write audit logs, plus plain string keys (N8N's novel:xyz:outline).
+ * Every driver shares one contract:
+ *
+ *   readFields(scope, fields, collections) -> { values: { field: string|null },
+ *                                               items: { name: { id: string } }, version }
+ *                                             (fields = null reads every field;
+ *                                              collections = { name: null (every item) | [ids] })
+ *   commit(scope, changes, expectedVersion, entry)
+ *                                          -> { ok: true, version } or
+ *                                             { ok: false, currentVersion, aborted }
+ *   apply(scope, changes)                  same changes, no version check or bump
+ *   itemIds(scope, names)                  -> { name: [id] }
+ *   getKey(key) / getKeys(keys) / setKey(key, value) / deleteKeys(keys)   plain keys
+ *   scanKeys(pattern) / scanScopes(pattern)  glob match (SCAN, never KEYS)
+ *   logRead(scope, entry) / recentLog(scope, 'reads'|'writes', count)
+ *   appendEvent(scope, event) -> count     append-only event log (novel history)
+ *   readEvents(scope, from)    -> [string] events from index `from` (0-based) on
+ *   clearScope(scope, collections)
+ *   close()
+ *
+ * changes = { fields: { field: string }, deleteFields: [field],
+ *             collections: { name: { clear, set: { id: string }, remove: [id] } } }
+ * (clear empties the collection before set is applied).
+ *
+ * commit must be atomic: bump the version and apply every change only if
+ * the version still equals expectedVersion. There is no way to change or
+ * remove a single event; only clearScope drops the log.
+ *
+ * Drivers:
+ *   - redis:  ioredis, WATCH + MULTI/EXEC (default; shared with N8N)
+ *   - memory: in-process Maps (tests, single-user runs)
+ *   - file:   memory + a JSON file rewritten after every change, so a
+ *             local CLI keeps its novels between runs (one process at a time)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Redis = require('ioredis');
+
+// Audit log entries kept per scope by the in-process drivers
+const LOG_LIMIT = 1000;
+
+/**
+ * Build Redis key names for a given scope
+ *
+ * Why this function exists:
+ * Instead of hardcoded keys like "state:version", we now generate keys
+ * dynamically based on scope. This lets us have isolated state per novel.
+ *
+ * @param {string} scope - "global", "novel:{novelId}" or "series:{seriesId}"
+ * @returns {object} - { versionKey, dataKey, readsKey, writesKey, eventsKey }
+ */
+function getScopeKeys(scope) {
+  return {
+    versionKey: `${scope}:version`,   // e.g., "novel:abc123:version" or "global:version"
+    dataKey: `${scope}:data`,         // e.g., "novel:abc123:data"
+    readsKey: `${scope}:reads`,       // audit log for reads
+    writesKey: `${scope}:writes`,     // audit log for writes
+    eventsKey: `${scope}:events`      // append-only event log (list)
+  };
+}
+
+/**
+ * Redis key of a collection hash, e.g. "novel:abc123:chapters"
+ *
+ * @param {string} scope - "global", "novel:{novelId}" or "series:{seriesId}"
+ * @param {string} name - Collection name
+ * @returns {string}
+ */
+function getCollectionKey(scope, name) {
+  return `${scope}:${name}`;
+}
+
+// Glob (as in SCAN MATCH, only * and ?) to RegExp for the in-process drivers
+function globToRegExp(pattern) {
+  const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Redis (ioredis) driver
+ */
+class RedisStateDriver {
+  /**
+   * @param {Object} redisClient - ioredis client (default: new client from REDIS_HOST/PORT/PASSWORD)
+   */
+  constructor(redisClient) {
+    this.name = 'redis';
+    this.redis = redisClient || new Redis({
+      host: process.env.REDIS_HOST || 'localhost',
+      port: process.env.REDIS_PORT || 6379,
+      password: process.env.REDIS_PASSWORD,
+      retryStrategy: (times) => Math.min(times * 50, 2000)
+    });
+  }
+
+  async readFields(scope, fields, collections = {}) {
+    const { versionKey, dataKey } = getScopeKeys(scope);
+    const names = Object.keys(collections);
+
+    // One round trip: the version, an HMGET (or HGETALL) of the data hash
+    // and an HMGET (or HGETALL) per collection
+    const multi = this.redis.multi();
+    multi.get(versionKey);
+    if (!fields) {
+      multi.hgetall(dataKey);
+    } else if (fields.length > 0) {
+      multi.hmget(dataKey, ...fields);
+    }
+    for (const name of names) {
+      const ids = collections[name];
+      if (ids) {
+        multi.hmget(getCollectionKey(scope, name), ...ids);
+      } else {
+        multi.hgetall(getCollectionKey(scope, name));
+      }
+    }
+
+    const results = (await multi.exec()).map(([err, value]) => {
+      if (err) throw err;
+      return value;
+    });
+    const version = parseInt(results.shift()) || 0;
+
+    let values = {};
+    if (!fields) {
+      values = results.shift() || {};
+    } else if (fields.length > 0) {
+      const found = results.shift();
+      values = Object.fromEntries(fields.map((field, i) => [field, found[i]]));
+    }
+
+    const items = {};
+    for (const name of names) {
+      const ids = collections[name];
+      const found = results.shift();
+      items[name] = ids
+        ? Object.fromEntries(ids.map((id, i) => [id, found[i]]).filter(([, value]) => value !== null))
+        : (found || {});
+    }
+
+    return { values, items, version };
+  }
+
+  async commit(scope, changes, expectedVersion, entry) {
+    const { versionKey, writesKey } = getScopeKeys(scope);
+
+    // WATCH for version changes (optimistic locking)
+    // This tells Redis: "abort my transaction if this key changes"
+    await this.redis.watch(versionKey);
+
+    const currentVersion = parseInt(await this.redis.get(versionKey)) || 0;
+    if (currentVersion !== expectedVersion) {
+      await this.redis.unwatch();
+      return { ok: false, currentVersion, aborted: false };
+    }
+
+    // Atomic write (MULTI/EXEC transaction)
+    const multi = this.redis.multi();
+    multi.incr(versionKey);
+    this._queueChanges(multi, scope, changes);
+    multi.zadd(writesKey, Date.now(), JSON.stringify(entry));
+
+    // EXEC resolves to null (or rejects) when the watched version changed
+    let results;
+    try {
+      results = await multi.exec();
+    } catch {
+      results = null;
+    }
+    if (!results) {
+      return { ok: false, currentVersion, aborted: true };
+    }
+    return { ok: true, version: currentVersion + 1 };
+  }
+
+  async apply(scope, changes) {
+    const multi = this.redis.multi();
+    this._queueChanges(multi, scope, changes);
+    return await multi.exec();
+  }
+
+  async itemIds(scope, names) {
+    const multi = this.redis.multi();
+    names.forEach(name => multi.hkeys(getCollectionKey(scope, name)));
+    const results = await multi.exec();
+    return Object.fromEntries(names.map((name, i) => [name, results[i][1] || []]));
+  }
+
+  async getKey(key) {
+    return await this.redis.get(key);
+  }
+
+  async getKeys(keys) {
+    return keys.length > 0 ? await this.redis.mget(...keys) : [];
+  }
+
+  async setKey(key, value) {
+    return await this.redis.set(key, value);
+  }
+
+  async deleteKeys(keys) {
+    return keys.length > 0 ? await this.redis.del(...keys) : 0;
+  }
+
+  async scanKeys(pattern) {
+    // SCAN walks the keyspace in batches instead of blocking Redis like KEYS
+    const found = new Set();
+    let cursor = '0';
+    do {
+      const [next, keys] = await this.redis.scan(cursor, 'MATCH', pattern, 'COUNT', 1000);
+      keys.forEach(key => found.add(key));
+      cursor = next;
+    } while (cursor !== '0');
+    return Array.from(found);
+  }
+
+  async scanScopes(pattern) {
+    // Every scope with stored fields has a data hash
+    const keys = await this.scanKeys(getScopeKeys(pattern).dataKey);
+    return keys.map(key => key.slice(0, -':data'.length));
+  }
+
+  async logRead(scope, entry) {
+    await this.redis.zadd(getScopeKeys(scope).readsKey, Date.now(), JSON.stringify(entry));
+  }
+
+  async recentLog(scope, kind, count) {
+    const { readsKey, writesKey } = getScopeKeys(scope);
+    const entries = await this.redis.zrevrange(kind === 'reads' ? readsKey : writesKey, 0, count - 1);
+    return entries.map(e => JSON.parse(e));
+  }
+
+  async appendEvent(scope, event) {
+    return await this.redis.rpush(getScopeKeys(scope).eventsKey, event);
+  }
+
+  async readEvents(scope, from = 0) {
+    return await this.redis.lrange(getScopeKeys(scope).eventsKey, from, -1);
+  }
+
+  async clearScope(scope, collections = []) {
+    const { versionKey, dataKey, readsKey, writesKey, eventsKey } = getScopeKeys(scope);
+    const multi = this.redis.multi();
+    multi.del(dataKey);
+    multi.del(versionKey);
+    multi.del(readsKey);
+    multi.del(writesKey);
+    multi.del(eventsKey);
+    collections.forEach(name => multi.del(getCollectionKey(scope, name)));
+    return await multi.exec();
+  }
+
+  async close() {
+    await this.redis.quit();
+  }
+
+  /**
+   * Add the commands for a set of changes to a MULTI
+   * @private
+   */
+  _queueChanges(multi, scope, changes) {
+    const { dataKey } = getScopeKeys(scope);
+
+    if (changes.deleteFields?.length) {
+      multi.hdel(dataKey, ...changes.deleteFields);
+    }
+    if (changes.fields && Object.keys(changes.fields).length > 0) {
+      multi.hset(dataKey, changes.fields);
+    }
+    for (const [name, { clear, set, remove }] of Object.entries(changes.collections || {})) {
+      const key = getCollectionKey(scope, name);
+      if (clear) multi.del(key);
+      if (set && Object.keys(set).length > 0) multi.hset(key, set);
+      if (remove?.length) multi.hdel(key, ...remove);
+    }
+  }
+}
+
+/**
+ * In-process driver
+ *
+ * Every method finishes its changes synchronously, so commit's
+ * compare-and-set cannot interleave with another write.
+ */
+class MemoryStateDriver {
+  constructor() {
+    this.name = 'memory';
+    this.scopes = new Map();   // scope -> { version, data: Map, collections: Map<name, Map>, reads: [], writes: [], events: [] }
+    this.keys = new Map();     // plain keys (N8N layout)
+  }
+
+  async readFields(scope, fields, collections = {}) {
+    const state = this._scope(scope);
+    const values = fields
+      ? Object.fromEntries(fields.map(field => [field, state.data.get(field) ?? null]))
+      : Object.fromEntries(state.data);
+
+    const items = {};
+    for (const [name, ids] of Object.entries(collections)) {
+      const stored = state.collections.get(name) || new Map();
+      items[name] = ids
+        ? Object.fromEntries(ids.filter(id => stored.has(id)).map(id => [id, stored.get(id)]))
+        : Object.fromEntries(stored);
+    }
+    return { values, items, version: state.version };
+  }
+
+  async commit(scope, changes, expectedVersion, entry) {
+    const state = this._scope(scope);
+    if (state.version !== expectedVersion) {
+      return { ok: false, currentVersion: state.version, aborted: false };
+    }
+
+    state.version++;
+    this._applyChanges(state, changes);
+    this._log(state.writes, entry);
+    this._changed();
+    return { ok: true, version: state.version };
+  }
+
+  async apply(scope, changes) {
+    this._applyChanges(this._scope(scope), changes);
+    this._changed();
+  }
+
+  async itemIds(scope, names) {
+    const collections = this.scopes.get(scope)?.collections;
+    return Object.fromEntries(names.map(name => [name, Array.from(collections?.get(name)?.keys() || [])]));
+  }
+
+  async getKey(key) {
+    return this.keys.get(key) ?? null;
+  }
+
+  async getKeys(keys) {
+    return keys.map(key => this.keys.get(key) ?? null);
+  }
+
+  async setKey(key, value) {
+    this.keys.set(key, value);
+    this._changed();
+    return 'OK';
+  }
+
+  async deleteKeys(keys) {
+    const removed = keys.filter(key => this.keys.delete(key)).length;
+    this._changed();
+    return removed;
+  }
+
+  async scanKeys(pattern) {
+    const match = globToRegExp(pattern);
+    return Array.from(this.keys.keys()).filter(key => match.test(key));
+  }
+
+  async scanScopes(pattern) {
+    const match = globToRegExp(pattern);
+    return Array.from(this.scopes.entries())
+      .filter(([scope, state]) => match.test(scope) && (state.data.size > 0 || state.collections.size > 0))
+      .map(([scope]) => scope);
+  }
+
+  async logRead(scope, entry) {
+    this._log(this._scope(scope).reads, entry);
+  }
+
+  async recentLog(scope, kind, count) {
+    const state = this.scopes.get(scope);
+    if (!state) return [];
+    return state[kind === 'reads' ? 'reads' : 'writes'].slice(-count).reverse();
+  }
+
+  async appendEvent(scope, event) {
+    const { events } = this._scope(scope);
+    events.push(event);
+    this._changed();
+    return events.length;
+  }
+
+  async readEvents(scope, from = 0) {
+    return this.scopes.get(scope)?.events.slice(from) || [];
+  }
+
+  async clearScope(scope) {
+    this.scopes.delete(scope);
+    this._changed();
+  }
+
+  async close() {}
+
+  /** @private */
+  _scope(scope) {
+    if (!this.scopes.has(scope)) {
+      this.scopes.set(scope, { version: 0, data: new Map(), collections: new Map(), reads: [], writes: [], events: [] });
+    }
+    return this.scopes.get(scope);
+  }
+
+  /** @private */
+  _applyChanges(state, changes) {
+    for (const field of changes.deleteFields || []) {
+      state.data.delete(field);
+    }
+    for (const [field, value] of Object.entries(changes.fields || {})) {
+      state.data.set(field, value);
+    }
+    for (const [name, { clear, set, remove }] of Object.entries(changes.collections || {})) {
+      const items = clear ? new Map() : (state.collections.get(name) || new Map());
+      for (const [id, value] of Object.entries(set || {})) {
+        items.set(id, value);
+      }
+      for (const id of remove || []) {
+        items.delete(id);
+      }
+      // Like Redis, an empty collection doesn't exist
+      if (items.size > 0) {
+        state.collections.set(name, items);
+      } else {
+        state.collections.delete(name);
+      }
+    }
+  }
+
+  /** @private */
+  _log(log, entry) {
+    log.push(entry);
+    if (log.length > LOG_LIMIT) log.splice(0, log.length - LOG_LIMIT);
+  }
+
+  /**
+   * Called after every change (FileStateDriver persists here)
+   * @private
+   */
+  _changed() {}
+}
+
+/**
+ * JSON-file driver: the memory driver, saved to disk after every change
+ * Read audit logs are not saved (every read would rewrite the file).
+ */
+class FileStateDriver extends MemoryStateDriver {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - State file (default: STATE_FILE or data/state.json)
+   */
+  constructor(options = {}) {
+    super();
+    this.name = 'file';
+    this.file = path.resolve(options.file || process.env.STATE_FILE || path.join(process.cwd(), 'data', 'state.json'));
+    this._load();
+  }
+
+  /** @private */
+  _load() {
+    if (!fs.existsSync(this.file)) return;
+
+    const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    for (const [scope, { version, data, collections, writes, events }] of Object.entries(saved.scopes || {})) {
+      this.scopes.set(scope, {
+        version,
+        data: new Map(Object.entries(data)),
+        collections: new Map(Object.entries(collections || {}).map(([name, items]) => [name, new Map(Object.entries(items))])),
+        reads: [],
+        writes: writes || [],
+        events: events || []
+      });
+    }
+    this.keys = new Map(Object.entries(saved.keys || {}));
+  }
+
+  /** @private */
+  _changed() {
+    const scopes = {};
+    for (const [scope, { version, data, collections, writes, events }] of this.scopes) {
+      scopes[scope] = {
+        version,
+        data: Object.fromEntries(data),
+        collections: Object.fromEntries(Array.from(collections, ([name, items]) => [name, Object.fromEntries(items)])),
+        writes,
+        events
+      };
+    }
+
+    // Write-then-rename so a crash never leaves half a file
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ scopes, keys: Object.fromEntries(this.keys) }));
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+/**
+ * Create a state driver by name
+ *
+ * @param {string} name - 'redis', 'memory' or 'file' (default: STATE_DRIVER or redis)
+ * @param {Object} options
+ * @param {Object} options.redis - ioredis client (redis driver)
+ * @param {string} options.file - State file (file driver)
+ * @returns {Object} State driver
+ */
+function createStateDriver(name, options = {}) {
+  const resolved = name || process.env.STATE_DRIVER || 'redis';
+  switch (resolved) {
+    case 'redis':
+      return new RedisStateDriver(options.redis);
+    case 'memory':
+      return new MemoryStateDriver();
+    case 'file':
+      return new FileStateDriver(options);
+    default:
+      throw new Error(`Unknown state driver: ${resolved}. Valid drivers: redis, memory, file`);
+  }
+}
+
+module.exports = {
+  RedisStateDriver,
+  MemoryStateDriver,
+  FileStateDriver,
+  createStateDriver,
+  getScopeKeys,
+  getCollectionKey
+};
@@ -1,41 +1,69 @@
 /**
- * ILUVATAR 2.0 - Redis State Manager
+ * ILUVATAR 2.0 - State Manager
  *
  * Manages shared state with optimistic locking to prevent race conditions.
  * Multiple agents can read concurrently, but writes use version-based locks.
  *
+ * Storage is a driver (see state-drivers.js): Redis by default, in-memory
+ * for tests and single-user runs, or a JSON file for a local CLI. Locking,
+ * ConflictError and the N8N fallbacks in get() behave the same on all of them.
+ *
+ * COLLECTIONS:
+ * chapters, critiques and revisions are stored item by item (one hash per
+ * collection, e.g. HSET novel:xyz:chapters 3 "..."), so reading chapter 3
+ * is one HMGET instead of the whole manuscript. Address one item as
+ * "chapters:3" in read/write/get/set/delete; "chapters" is every item, and
+ * writing it replaces the collection. Scopes still in the old layout (the
+ * whole collection as one field of the data hash, or N8N's separate
+ * novel:xyz:chapter:3 keys) are moved over by migrateLayout
+ * (npm run state:migrate); the data-hash layout is also read as a fallback
+ * and converted on the first write.
+ *
  * SCOPED STATE:
  * - "global" scope: Shared config (style guides, training settings)
  * - "novel:{id}" scope: Per-novel state with independent versioning
+ * - "series:{id}" scope: Per-series canon bible and master timeline
  *
  * This allows multiple novels to be worked on simultaneously without conflicts,
  * while global config changes are still properly locked.
  */
 
-const Redis = require('ioredis');
+const { createStateDriver } = require('./state-drivers');
+
+// Fields stored item by item (see COLLECTIONS above)
+const DEFAULT_COLLECTIONS = ['chapters', 'critiques', 'revisions'];
+
+// N8N's per-item keys (novel:{id}:chapter:{n}) and the collection they belong to
+const N8N_ITEM_KEYS = { chapter: 'chapters', critique: 'critiques' };
 
 /**
- * Build Redis key names for a given scope
- *
- * Why this function exists:
- * Instead of hardcoded keys like "state:version", we now generate keys
- * dynamically based on scope. This lets us have isolated state per novel.
+ * Fail fast if a caller passes a garbage scope
  *
- * @param {string} scope - "global" or "novel:{novelId}"
- * @returns {object} - { versionKey, dataKey, readsKey, writesKey }
+ * @param {string} scope - "global", "novel:{novelId}" or "series:{seriesId}"
  */
-function getScopeKeys(scope) {
-  // Validate scope format - fail fast if caller passes garbage
-  if (scope !== 'global' && !scope.startsWith('novel:')) {
-    throw new Error(`Invalid scope: ${scope}. Must be "global" or "novel:{id}"`);
+function validateScope(scope) {
+  if (scope !== 'global' && !scope.startsWith('novel:') && !scope.startsWith('series:')) {
+    throw new Error(`Invalid scope: ${scope}. Must be "global", "novel:{id}" or "series:{id}"`);
   }
+}
+
+// Parse a stored value, keeping non-JSON strings as they are
+function parseValue(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+// Parse every item of a stored collection
+function parseItems(items) {
+  return Object.fromEntries(Object.entries(items || {}).map(([id, value]) => [id, parseValue(value)]));
+}
 
-  return {
-    versionKey: `${scope}:version`,   // e.g., "novel:abc123:version" or "global:version"
-    dataKey: `${scope}:data`,         // e.g., "novel:abc123:data"
-    readsKey: `${scope}:reads`,       // audit log for reads
-    writesKey: `${scope}:writes`      // audit log for writes
-  };
+// Sort item ids numerically where they are numbers (chapter numbers)
+function compareIds(a, b) {
+  return (Number(a) - Number(b)) || String(a).localeCompare(String(b));
 }
 
 class ConflictError extends Error {
@@ -46,13 +74,22 @@ class ConflictError extends Error {
 }
 
 class StateManager {
-  constructor(redisClient) {
-    this.redis = redisClient || new Redis({
-      host: process.env.REDIS_HOST || 'localhost',
-      port: process.env.REDIS_PORT || 6379,
-      password: process.env.REDIS_PASSWORD,
-      retryStrategy: (times) => Math.min(times * 50, 2000)
-    });
+  /**
+   * @param {Object} config - ioredis client (kept for existing callers) or options
+   * @param {string|Object} config.driver - Driver name ('redis', 'memory', 'file') or instance (default: STATE_DRIVER or redis)
+   * @param {Object} config.redis - ioredis client for the redis driver
+   * @param {string} config.file - State file for the file driver (default: STATE_FILE or data/state.json)
+   * @param {string[]} config.collections - Fields stored item by item (default: chapters, critiques, revisions)
+   */
+  constructor(config) {
+    const options = typeof config?.multi === 'function' ? { redis: config } : (config || {});
+    this.driver = typeof options.driver === 'object' && options.driver
+      ? options.driver
+      : createStateDriver(options.driver, options);
+    this.collections = options.collections || DEFAULT_COLLECTIONS;
+
+    // Raw client for modules that need Redis directly (vector store, message bus); null off Redis
+    this.redis = this.driver.redis || null;
   }
 
   /**
@@ -60,58 +97,34 @@ class StateManager {
    * Multiple agents can read simultaneously
    *
    * @param {string} agentId - Agent making the request
-   * @param {string} scope - "global" or "novel:{novelId}"
-   * @param {string[]} keys - Keys to read (use ['*'] for all)
+   * @param {string} scope - "global", "novel:{novelId}" or "series:{seriesId}"
+   * @param {string[]} keys - Keys to read (use ['*'] for all; "chapters:3" reads one item)
    * @returns {Promise<{data: Object, version: number}>}
    */
   async read(agentId, scope, keys) {
-    // Get the Redis keys for this scope
-    const { versionKey, dataKey, readsKey } = getScopeKeys(scope);
-
-    const multi = this.redis.multi();
-
-    // Get current version for THIS scope
-    multi.get(versionKey);
-
-    // Get requested keys from THIS scope's data hash
-    if (keys.includes('*')) {
-      multi.hgetall(dataKey);
-    } else {
-      keys.forEach(key => {
-        multi.hget(dataKey, key);
-      });
-    }
+    validateScope(scope);
 
-    const results = await multi.exec();
-    const version = parseInt(results[0][1]) || 0;
+    const all = keys.includes('*');
+    const { values, collections, version } = await this._fetch(scope, all ? null : keys);
     const data = {};
 
-    if (keys.includes('*')) {
-      // Parse all values
-      const allData = results[1][1];
-      for (const [key, value] of Object.entries(allData || {})) {
-        try {
-          data[key] = JSON.parse(value);
-        } catch {
-          data[key] = value;
-        }
+    for (const [key, value] of Object.entries(values)) {
+      // Specific keys that don't exist read as null
+      data[key] = value ? parseValue(value) : (all ? value : null);
+    }
+    if (all) {
+      for (const [name, items] of Object.entries(collections)) {
+        if (items) data[name] = items;
       }
     } else {
-      // Parse specific keys
-      keys.forEach((key, i) => {
-        const value = results[i + 1][1];
-        try {
-          data[key] = value ? JSON.parse(value) : null;
-        } catch {
-          data[key] = value;
-        }
-      });
+      for (const key of keys) {
+        const ref = this._collectionRef(key);
+        if (ref) data[key] = this._pick(collections, ref);
+      }
     }
 
     // Log read for debugging (to this scope's audit log)
-    await this.redis.zadd(readsKey, Date.now(),
-      JSON.stringify({ agentId, scope, keys, version, timestamp: Date.now() })
-    );
+    await this.driver.logRead(scope, { agentId, scope, keys, version, timestamp: Date.now() });
 
     return { data, version };
   }
@@ -121,60 +134,38 @@ class StateManager {
    * Throws ConflictError if version mismatch
    *
    * @param {string} agentId - Agent making the request
-   * @param {string} scope - "global" or "novel:{novelId}"
-   * @param {Object} updates - Key-value pairs to update
+   * @param {string} scope - "global", "novel:{novelId}" or "series:{seriesId}"
+   * @param {Object} updates - Key-value pairs to update ("chapters:3": null removes one item)
    * @param {number} expectedVersion - Expected current version
    * @returns {Promise<{success: boolean, newVersion: number}>}
    */
   async write(agentId, scope, updates, expectedVersion) {
-    // Get the Redis keys for this scope
-    const { versionKey, dataKey, writesKey } = getScopeKeys(scope);
+    validateScope(scope);
 
-    // WATCH for version changes (optimistic locking)
-    // This tells Redis: "abort my transaction if this key changes"
-    await this.redis.watch(versionKey);
+    const changes = await this._changes(scope, updates);
 
-    const currentVersion = parseInt(await this.redis.get(versionKey)) || 0;
+    // The driver applies everything and bumps the version only if nobody wrote since expectedVersion
+    const result = await this.driver.commit(scope, changes, expectedVersion, {
+      agentId,
+      scope,
+      updates: Object.keys(updates),
+      version: expectedVersion + 1,
+      timestamp: Date.now()
+    });
 
-    // Version mismatch = another agent wrote in between
-    if (currentVersion !== expectedVersion) {
-      await this.redis.unwatch();
+    if (!result.ok && result.aborted) {
+      // Transaction aborted (version changed during WATCH)
+      throw new ConflictError(`Write aborted for ${scope} due to concurrent modification`);
+    }
+    if (!result.ok) {
+      // Version mismatch = another agent wrote in between
       throw new ConflictError(
-        `State version mismatch for ${scope}. Expected ${expectedVersion}, got ${currentVersion}. ` +
+        `State version mismatch for ${scope}. Expected ${expectedVersion}, got ${result.currentVersion}. ` +
         `Another agent modified state. Retry with fresh read.`
       );
     }
 
-    // Atomic write (MULTI/EXEC transaction)
-    const multi = this.redis.multi();
-
-    // Increment version for THIS scope
-    multi.incr(versionKey);
-
-    // Update all fields in THIS scope's data hash
-    Object.entries(updates).forEach(([key, value]) => {
-      multi.hset(dataKey, key, JSON.stringify(value));
-    });
-
-    // Log write for debugging
-    multi.zadd(writesKey, Date.now(),
-      JSON.stringify({
-        agentId,
-        scope,
-        updates: Object.keys(updates),
-        version: currentVersion + 1,
-        timestamp: Date.now()
-      })
-    );
-
-    // Execute transaction
-    try {
-      await multi.exec();
-      return { success: true, newVersion: currentVersion + 1 };
-    } catch (err) {
-      // Transaction aborted (version changed during WATCH)
-      throw new ConflictError(`Write aborted for ${scope} due to concurrent modification`);
-    }
+    return { success: true, newVersion: result.version };
   }
 
   /**
@@ -182,16 +173,20 @@ class StateManager {
    * Automatically retries on ConflictError
    *
    * @param {string} agentId - Agent making the request
-   * @param {string} scope - "global" or "novel:{novelId}"
+   * @param {string} scope - "global", "novel:{novelId}" or "series:{seriesId}"
    * @param {Function} updateFn - Function that takes current data and returns updates
-   * @param {number} maxRetries - Maximum retry attempts
+   * @param {number|Object} options - Maximum retry attempts, or options
+   * @param {number} options.maxRetries - Maximum retry attempts (default: 3)
+   * @param {string[]} options.keys - Keys updateFn needs (default: ['*'], the whole scope)
    * @returns {Promise<{success: boolean, newVersion: number}>}
    */
-  async writeWithRetry(agentId, scope, updateFn, maxRetries = 3) {
+  async writeWithRetry(agentId, scope, updateFn, options = {}) {
+    const { maxRetries = 3, keys = ['*'] } = typeof options === 'number' ? { maxRetries: options } : options;
+
     for (let attempt = 0; attempt < maxRetries; attempt++) {
       try {
         // Read current state for THIS scope
-        const { data, version } = await this.read(agentId, scope, ['*']);
+        const { data, version } = await this.read(agentId, scope, keys);
 
         // User-provided function computes updates based on current state
         const updates = await updateFn(data);
@@ -219,147 +214,400 @@ class StateManager {
    * - Discord bot writes: HSET novel:xyz:data outline "..."
    * - N8N writes: SET novel:xyz:outline "..."
    *
-   * SPECIAL HANDLING for 'chapters' and 'critiques':
-   * N8N saves individual items to novel:xyz:chapter:1, novel:xyz:chapter:2, etc.
-   * but NovelManager expects {1: {...}, 2: {...}} object.
-   * This method aggregates those individual keys into an object.
+   * A collection ('chapters') reads as {1: {...}, 2: {...}} ({} when empty),
+   * one item ('chapters:3') as the item or null.
    *
-   * @param {string} scope - "global" or "novel:{novelId}"
+   * @param {string} scope - "global", "novel:{novelId}" or "series:{seriesId}"
    * @param {string} key - Key to get
    */
   async get(scope, key) {
-    const { dataKey } = getScopeKeys(scope);
+    const values = await this.getMany(scope, [key]);
+    return values[key];
+  }
 
-    // Try hash field first (primary storage)
-    const hashValue = await this.redis.hget(dataKey, key);
-    if (hashValue && hashValue !== 'null') {
-      try {
-        const parsed = JSON.parse(hashValue);
-        // Only return if it's a real value (not null/undefined/empty object for outline)
-        if (parsed !== null && parsed !== undefined) {
-          return parsed;
-        }
-      } catch {
-        return hashValue;
-      }
-    }
+  /**
+   * Get several keys in one round trip (no versioning, same fallbacks as get)
+   *
+   * @param {string} scope - "global", "novel:{novelId}" or "series:{seriesId}"
+   * @param {string[]} keys - Keys to get
+   * @returns {Promise<Object>} { key: value }
+   */
+  async getMany(scope, keys) {
+    validateScope(scope);
 
-    // Special handling for 'chapters' and 'critiques' - aggregate from N8N's individual keys
-    if (key === 'chapters' || key === 'critiques') {
-      return await this._aggregateN8NKeys(scope, key);
-    }
+    const { values, collections } = await this._fetch(scope, keys);
+    const result = {};
 
-    // Fallback: try simple string key (for N8N compatibility)
-    // N8N saves to "novel:xyz:outline" instead of hash field
-    const simpleKey = `${scope}:${key}`;
-    const simpleValue = await this.redis.get(simpleKey);
-    if (simpleValue) {
-      try {
-        return JSON.parse(simpleValue);
-      } catch {
-        return simpleValue;
+    for (const key of keys) {
+      const ref = this._collectionRef(key);
+      if (ref) {
+        result[key] = this._pick(collections, ref) ?? (ref.item === null ? {} : null);
+        continue;
+      }
+
+      // Try hash field first (primary storage)
+      const hashValue = values[key];
+      const parsed = hashValue && hashValue !== 'null' ? parseValue(hashValue) : null;
+      if (parsed !== null && parsed !== undefined) {
+        result[key] = parsed;
+        continue;
       }
+
+      // Fallback: try simple string key (for N8N compatibility)
+      // N8N saves to "novel:xyz:outline" instead of hash field
+      const simpleValue = await this.driver.getKey(`${scope}:${key}`);
+      result[key] = simpleValue ? parseValue(simpleValue) : null;
     }
 
-    return null;
+    return result;
   }
 
   /**
-   * Aggregate individual N8N keys into an object
+   * Item ids of collections, without reading the items (sorted, e.g. chapter numbers)
    *
-   * N8N saves: novel:xyz:chapter:1, novel:xyz:chapter:2, etc.
-   * We aggregate into: { 1: {...}, 2: {...} }
-   *
-   * @param {string} scope - "novel:{novelId}"
-   * @param {string} type - "chapters" or "critiques"
-   * @private
+   * @param {string} scope - "global", "novel:{novelId}" or "series:{seriesId}"
+   * @param {string[]} names - Collection names
+   * @returns {Promise<Object>} { name: [id] }
    */
-  async _aggregateN8NKeys(scope, type) {
-    // Map plural to singular: chapters -> chapter, critiques -> critique
-    const singular = type === 'chapters' ? 'chapter' : 'critique';
-    const pattern = `${scope}:${singular}:*`;
-
-    // Find all matching keys
-    const keys = await this.redis.keys(pattern);
-    if (!keys || keys.length === 0) {
-      return {};
-    }
+  async getItemIds(scope, names) {
+    validateScope(scope);
+
+    const [ids, { values }] = await Promise.all([
+      this.driver.itemIds(scope, names),
+      this.driver.readFields(scope, names)
+    ]);
 
-    // Fetch all values
     const result = {};
-    for (const key of keys) {
-      // Extract chapter number from key: "novel:xyz:chapter:1" -> "1"
-      const parts = key.split(':');
-      const num = parts[parts.length - 1];
-
-      const value = await this.redis.get(key);
-      if (value) {
-        try {
-          result[num] = JSON.parse(value);
-        } catch {
-          result[num] = value;
-        }
-      }
+    for (const name of names) {
+      // Not yet migrated: the ids of the old single-field layout count too
+      const legacy = values[name] ? Object.keys(parseValue(values[name]) || {}) : [];
+      result[name] = Array.from(new Set([...legacy, ...ids[name]])).sort(compareIds);
     }
-
     return result;
   }
 
   /**
    * Set specific key (without versioning - use for simple updates)
    * WARNING: This bypasses optimistic locking! Use for non-critical data only.
-   * @param {string} scope - "global" or "novel:{novelId}"
+   * @param {string} scope - "global", "novel:{novelId}" or "series:{seriesId}"
    * @param {string} key - Key to set
    * @param {any} value - Value to store
    */
   async set(scope, key, value) {
-    const { dataKey } = getScopeKeys(scope);
-    return await this.redis.hset(dataKey, key, JSON.stringify(value));
+    validateScope(scope);
+    return await this.driver.apply(scope, await this._changes(scope, { [key]: value }));
   }
 
   /**
    * Delete keys from state
-   * @param {string} scope - "global" or "novel:{novelId}"
+   * @param {string} scope - "global", "novel:{novelId}" or "series:{seriesId}"
    * @param {string|string[]} keys - Key(s) to delete
    */
   async delete(scope, keys) {
-    const { dataKey } = getScopeKeys(scope);
-    if (Array.isArray(keys)) {
-      return await this.redis.hdel(dataKey, ...keys);
-    }
-    return await this.redis.hdel(dataKey, keys);
+    validateScope(scope);
+    const removed = Object.fromEntries((Array.isArray(keys) ? keys : [keys]).map(key => [key, undefined]));
+    return await this.driver.apply(scope, await this._changes(scope, removed));
   }
 
   /**
    * Clear all state for a scope (DANGEROUS - use for testing only)
-   * @param {string} scope - "global" or "novel:{novelId}"
+   * @param {string} scope - "global", "novel:{novelId}" or "series:{seriesId}"
    */
   async clear(scope) {
-    const { versionKey, dataKey, readsKey, writesKey } = getScopeKeys(scope);
-    const multi = this.redis.multi();
-    multi.del(dataKey);
-    multi.del(versionKey);
-    multi.del(readsKey);
-    multi.del(writesKey);
-    return await multi.exec();
+    validateScope(scope);
+    return await this.driver.clearScope(scope, this.collections);
   }
 
   /**
    * Get debugging information for a scope
-   * @param {string} scope - "global" or "novel:{novelId}"
+   * @param {string} scope - "global", "novel:{novelId}" or "series:{seriesId}"
    */
   async getDebugInfo(scope) {
-    const { versionKey, readsKey, writesKey } = getScopeKeys(scope);
-    const version = await this.redis.get(versionKey);
-    const recentReads = await this.redis.zrevrange(readsKey, 0, 9);
-    const recentWrites = await this.redis.zrevrange(writesKey, 0, 9);
+    validateScope(scope);
+    const [{ version }, recentReads, recentWrites] = await Promise.all([
+      this.driver.readFields(scope, []),
+      this.driver.recentLog(scope, 'reads', 10),
+      this.driver.recentLog(scope, 'writes', 10)
+    ]);
 
     return {
       scope,
-      currentVersion: parseInt(version) || 0,
-      recentReads: recentReads.map(r => JSON.parse(r)),
-      recentWrites: recentWrites.map(w => JSON.parse(w))
+      currentVersion: version,
+      recentReads,
+      recentWrites
+    };
+  }
+
+  /**
+   * Append an event to a scope's event log (append-only, kept until clear)
+   *
+   * Events are separate from the versioned data: appending never bumps the
+   * version or conflicts with writes.
+   *
+   * @param {string} scope - "global", "novel:{novelId}" or "series:{seriesId}"
+   * @param {Object} event - JSON-serializable event
+   * @returns {Promise<number>} Position of the event in the log (1-based)
+   */
+  async appendEvent(scope, event) {
+    validateScope(scope);
+    return await this.driver.appendEvent(scope, JSON.stringify(event));
+  }
+
+  /**
+   * Read a scope's event log, oldest first
+   *
+   * @param {string} scope - "global", "novel:{novelId}" or "series:{seriesId}"
+   * @param {number} from - Skip the first `from` events (default: 0)
+   * @returns {Promise<Array>} Events
+   */
+  async readEvents(scope, from = 0) {
+    validateScope(scope);
+    const events = await this.driver.readEvents(scope, from);
+    return events.map(e => JSON.parse(e));
+  }
+
+  // ============================================================
+  // MIGRATION
+  // ============================================================
+
+  /**
+   * Move every novel's chapters, critiques and revisions into collections
+   * (one-time migration, safe to run again)
+   *
+   * Picks up both older layouts: the whole collection as one field of the
+   * data hash, and N8N's separate keys (novel:{id}:chapter:{n},
+   * novel:{id}:critique:{n}), found with SCAN. Items already in a collection
+   * win over the data-hash field, which wins over N8N keys. The old fields
+   * and keys are removed.
+   *
+   * @param {Object} options
+   * @param {boolean} options.dryRun - Only report what would move
+   * @returns {Promise<Object>} { scopes: [{ scope, moved: { chapters: n, ... }, n8nKeys }], dryRun }
+   */
+  async migrateLayout(options = {}) {
+    const n8nKeys = new Map();   // scope -> { name: { id: key } }
+    for (const [singular, name] of Object.entries(N8N_ITEM_KEYS)) {
+      const pattern = new RegExp(`^(novel:.+):${singular}:([^:]+)$`);
+      for (const key of await this.driver.scanKeys(`novel:*:${singular}:*`)) {
+        const match = key.match(pattern);
+        if (!match) continue;
+        const [, scope, id] = match;
+        if (!n8nKeys.has(scope)) n8nKeys.set(scope, {});
+        const keys = n8nKeys.get(scope);
+        keys[name] = { ...keys[name], [id]: key };
+      }
+    }
+
+    const scopes = new Set([...await this.driver.scanScopes('novel:*'), ...n8nKeys.keys()]);
+    const report = { scopes: [], dryRun: !!options.dryRun };
+
+    for (const scope of Array.from(scopes).sort()) {
+      const result = await this._migrateScope(scope, n8nKeys.get(scope) || {}, options);
+      if (result) report.scopes.push(result);
+    }
+
+    console.log(`[StateManager] ${report.dryRun ? 'Would migrate' : 'Migrated'} ${report.scopes.length} scope(s) to per-item collections`);
+    return report;
+  }
+
+  /**
+   * Migrate one scope (see migrateLayout)
+   * @private
+   * @returns {Promise<Object|null>} { scope, moved, n8nKeys }, or null if nothing to do
+   */
+  async _migrateScope(scope, n8nKeys, options, attempt = 0) {
+    const [{ values, version }, ids] = await Promise.all([
+      this.driver.readFields(scope, this.collections),
+      this.driver.itemIds(scope, this.collections)
+    ]);
+
+    const changes = { fields: {}, deleteFields: [], collections: {} };
+    const moved = {};
+    const oldKeys = [];
+
+    for (const name of this.collections) {
+      const stored = new Set(ids[name]);
+      const set = {};
+
+      // N8N keys first, so the data-hash field overrides them
+      const keys = n8nKeys[name] || {};
+      const raw = await this.driver.getKeys(Object.values(keys));
+      Object.keys(keys).forEach((id, i) => {
+        if (raw[i] !== null) set[id] = raw[i];
+      });
+      oldKeys.push(...Object.values(keys));
+
+      if (values[name] !== null && values[name] !== undefined) {
+        for (const [id, item] of Object.entries(parseValue(values[name]) || {})) {
+          set[id] = JSON.stringify(item);
+        }
+        changes.deleteFields.push(name);
+      }
+
+      for (const id of stored) delete set[id];
+      if (Object.keys(set).length > 0) {
+        changes.collections[name] = { clear: false, set, remove: [] };
+        moved[name] = Object.keys(set).length;
+      }
+    }
+
+    if (changes.deleteFields.length === 0 && oldKeys.length === 0) return null;
+
+    if (!options.dryRun) {
+      const result = await this.driver.commit(scope, changes, version, {
+        agentId: 'state-migration',
+        scope,
+        updates: Object.keys(changes.collections),
+        version: version + 1,
+        timestamp: Date.now()
+      });
+      if (!result.ok) {
+        // Someone wrote in between; read again
+        if (attempt >= 2) throw new ConflictError(`Migration of ${scope} kept conflicting with other writes`);
+        return await this._migrateScope(scope, n8nKeys, options, attempt + 1);
+      }
+      await this.driver.deleteKeys(oldKeys);
+    }
+
+    return { scope, moved, n8nKeys: oldKeys.length };
+  }
+
+  // ============================================================
+  // COLLECTION HELPERS
+  // ============================================================
+
+  /**
+   * "chapters" -> { name: 'chapters', item: null }, "chapters:3" -> { name, item: '3' },
+   * anything that isn't a collection -> null
+   * @private
+   */
+  _collectionRef(key) {
+    const [name, ...rest] = key.split(':');
+    if (!this.collections.includes(name)) return null;
+    return { name, item: rest.length > 0 ? rest.join(':') : null };
+  }
+
+  /**
+   * Read fields and collection items in one driver call
+   *
+   * Collections come back parsed and merged with the old single-field
+   * layout (collection items win), or null when neither has anything.
+   *
+   * @private
+   * @param {string} scope
+   * @param {string[]|null} keys - Keys, or null for every field and collection
+   * @returns {Promise<{values: Object, collections: Object, version: number}>}
+   */
+  async _fetch(scope, keys) {
+    let fields = null;
+    const request = {};
+
+    if (keys) {
+      fields = [];
+      for (const key of keys) {
+        const ref = this._collectionRef(key);
+        if (!ref) {
+          fields.push(key);
+        } else if (ref.item === null) {
+          request[ref.name] = null;
+        } else if (request[ref.name] !== null) {
+          request[ref.name] = [...(request[ref.name] || []), ref.item];
+        }
+      }
+      // The old single-field layout is read alongside until the scope is migrated
+      fields.push(...Object.keys(request));
+    } else {
+      this.collections.forEach(name => { request[name] = null; });
+    }
+
+    const { values, items, version } = await this.driver.readFields(scope, fields, request);
+
+    const collections = {};
+    for (const name of Object.keys(request)) {
+      const legacy = values[name];
+      delete values[name];
+
+      const stored = parseItems(items[name]);
+      if (legacy !== null && legacy !== undefined) {
+        collections[name] = { ...parseValue(legacy), ...stored };
+      } else {
+        collections[name] = Object.keys(stored).length > 0 ? stored : null;
+      }
+    }
+
+    return { values, collections, version };
+  }
+
+  /**
+   * A whole collection or one item of it from _fetch's result (null if missing)
+   * @private
+   */
+  _pick(collections, ref) {
+    const items = collections[ref.name];
+    if (ref.item === null) return items;
+    return items?.[ref.item] ?? null;
+  }
+
+  /**
+   * Turn updates into driver changes
+   *
+   * A collection value replaces every item; an item set to null (or
+   * undefined) is removed; a plain field set to undefined is deleted.
+   * Collections still in the old single-field layout are converted here:
+   * their items move over (unless overwritten) and the old field goes.
+   *
+   * @private
+   */
+  async _changes(scope, updates) {
+    const changes = { fields: {}, deleteFields: [], collections: {} };
+    const collection = name => {
+      changes.collections[name] = changes.collections[name] || { clear: false, set: {}, remove: [] };
+      return changes.collections[name];
     };
+
+    for (const [key, value] of Object.entries(updates)) {
+      const ref = this._collectionRef(key);
+      if (!ref) {
+        if (value === undefined) {
+          changes.deleteFields.push(key);
+        } else {
+          changes.fields[key] = JSON.stringify(value);
+        }
+      } else if (ref.item === null) {
+        const target = collection(ref.name);
+        target.clear = true;
+        target.set = {};
+        for (const [id, item] of Object.entries(value || {})) {
+          if (item !== null && item !== undefined) target.set[id] = JSON.stringify(item);
+        }
+      } else if (value === null || value === undefined) {
+        collection(ref.name).remove.push(ref.item);
+      } else {
+        collection(ref.name).set[ref.item] = JSON.stringify(value);
+      }
+    }
+
+    const touched = Object.keys(changes.collections);
+    if (touched.length === 0) return changes;
+
+    const { values } = await this.driver.readFields(scope, touched);
+    const legacy = touched.filter(name => values[name] !== null && values[name] !== undefined);
+    if (legacy.length === 0) return changes;
+
+    const ids = await this.driver.itemIds(scope, legacy);
+    for (const name of legacy) {
+      const target = changes.collections[name];
+      if (!target.clear) {
+        const stored = new Set(ids[name]);
+        for (const [id, item] of Object.entries(parseValue(values[name]) || {})) {
+          if (!stored.has(id) && !(id in target.set) && !target.remove.includes(id)) {
+            target.set[id] = JSON.stringify(item);
+          }
+        }
+      }
+      changes.deleteFields.push(name);
+    }
+    return changes;
   }
 
   _sleep(ms) {
@@ -367,10 +615,10 @@ class StateManager {
   }
 
   /**
-   * Close Redis connection
+   * Close the driver (Redis connection, if any)
    */
   async close() {
-    await this.redis.quit();
+    await this.driver.close();
   }
 }
 
@@ -0,0 +1,283 @@
+/**
+ * ILUVATAR - Storage Backends
+ *
+ * Where S3Storage keeps backups, exports and training data. Every backend
+ * is a flat object store with the same contract, keyed like S3
+ * ("novels/{id}/state.json"):
+ *
+ *   put(key, body, { contentType, metadata })
+ *   get(key)                       -> { body: Buffer, contentType, metadata } | null
+ *   list(prefix)                   -> [{ key, size, lastModified }] (all pages)
+ *   delete(key)
+ *   url(key)                       -> "s3://bucket/key" or a file path, for display
+ *
+ * Backends:
+ *   - s3:    AWS S3, or any S3-compatible server (MinIO, Ceph, R2) via a
+ *            custom endpoint with path-style addressing
+ *   - local: a directory on disk (laptops, CI); content type and metadata
+ *            are kept in sidecar files under .meta/ so a migration back to
+ *            S3 loses nothing
+ *
+ * migrateStorage() copies every object from one backend to another.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Sidecar directory for the local backend's content types and metadata
+const META_DIR = '.meta';
+
+/**
+ * AWS S3 or an S3-compatible server
+ */
+class S3Backend {
+  /**
+   * @param {Object} options
+   * @param {string} options.bucket - Bucket name (default: S3_BUCKET or iluvatar-novels)
+   * @param {string} options.region - Region (default: AWS_REGION or us-west-1)
+   * @param {string} options.endpoint - Custom endpoint, e.g. http://localhost:9000 for MinIO (default: S3_ENDPOINT)
+   * @param {boolean} options.forcePathStyle - Path-style URLs (bucket in the path, not the host); default: S3_FORCE_PATH_STYLE, or true with a custom endpoint
+   * @param {string} options.accessKeyId - Access key (optional, uses env/IAM if not provided)
+   * @param {string} options.secretAccessKey - Secret key (optional)
+   */
+  constructor(options = {}) {
+    const { S3Client } = require('@aws-sdk/client-s3');
+
+    this.name = 's3';
+    this.bucket = options.bucket || process.env.S3_BUCKET || 'iluvatar-novels';
+    this.region = options.region || process.env.AWS_REGION || 'us-west-1';
+    this.endpoint = options.endpoint || process.env.S3_ENDPOINT || null;
+
+    const pathStyleEnv = process.env.S3_FORCE_PATH_STYLE;
+    this.forcePathStyle = options.forcePathStyle ?? (pathStyleEnv !== undefined ? pathStyleEnv === 'true' : Boolean(this.endpoint));
+
+    const clientConfig = { region: this.region };
+    if (this.endpoint) {
+      clientConfig.endpoint = this.endpoint;
+    }
+    if (this.forcePathStyle) {
+      clientConfig.forcePathStyle = true;
+    }
+
+    // Only add credentials if explicitly provided (otherwise uses env/IAM role)
+    if (options.accessKeyId && options.secretAccessKey) {
+      clientConfig.credentials = {
+        accessKeyId: options.accessKeyId,
+        secretAccessKey: options.secretAccessKey
+      };
+    }
+
+    this.client = options.client || new S3Client(clientConfig);
+  }
+
+  async put(key, body, options = {}) {
+    const { PutObjectCommand } = require('@aws-sdk/client-s3');
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: body,
+      ContentType: options.contentType,
+      Metadata: options.metadata
+    }));
+  }
+
+  async get(key) {
+    const { GetObjectCommand } = require('@aws-sdk/client-s3');
+    try {
+      const response = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: key
+      }));
+      return {
+        body: Buffer.from(await response.Body.transformToByteArray()),
+        contentType: response.ContentType || null,
+        metadata: response.Metadata || {}
+      };
+    } catch (err) {
+      if (err.name === 'NoSuchKey') return null;
+      throw err;
+    }
+  }
+
+  async list(prefix) {
+    const { ListObjectsV2Command } = require('@aws-sdk/client-s3');
+    const objects = [];
+    let token;
+
+    // ListObjectsV2 returns at most 1000 keys per page
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: prefix,
+        ContinuationToken: token
+      }));
+      for (const obj of response.Contents || []) {
+        objects.push({ key: obj.Key, size: obj.Size, lastModified: obj.LastModified });
+      }
+      token = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (token);
+
+    return objects;
+  }
+
+  async delete(key) {
+    const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+  }
+
+  url(key) {
+    return `s3://${this.bucket}/${key}`;
+  }
+}
+
+/**
+ * A directory on disk, one file per key
+ */
+class LocalBackend {
+  /**
+   * @param {Object} options
+   * @param {string} options.rootDir - Storage directory (default: STORAGE_DIR or data/storage)
+   */
+  constructor(options = {}) {
+    this.name = 'local';
+    this.rootDir = path.resolve(options.rootDir || process.env.STORAGE_DIR || path.join(process.cwd(), 'data', 'storage'));
+  }
+
+  async put(key, body, options = {}) {
+    const file = this._path(key);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, body);
+
+    const meta = this._metaPath(key);
+    fs.mkdirSync(path.dirname(meta), { recursive: true });
+    fs.writeFileSync(meta, JSON.stringify({
+      contentType: options.contentType || null,
+      metadata: options.metadata || {}
+    }));
+  }
+
+  async get(key) {
+    const file = this._path(key);
+    if (!fs.existsSync(file)) return null;
+
+    const meta = this._metaPath(key);
+    const { contentType = null, metadata = {} } = fs.existsSync(meta) ? JSON.parse(fs.readFileSync(meta, 'utf8')) : {};
+    return { body: fs.readFileSync(file), contentType, metadata };
+  }
+
+  async list(prefix) {
+    const objects = [];
+    const walk = dir => {
+      if (!fs.existsSync(dir)) return;
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (dir === this.rootDir && entry.name === META_DIR) continue;
+          walk(full);
+          continue;
+        }
+        const key = path.relative(this.rootDir, full).split(path.sep).join('/');
+        if (!key.startsWith(prefix)) continue;
+        const stat = fs.statSync(full);
+        objects.push({ key, size: stat.size, lastModified: stat.mtime });
+      }
+    };
+
+    // Only walk the part of the tree the prefix can match
+    const base = prefix.includes('/') ? prefix.substring(0, prefix.lastIndexOf('/')) : '';
+    walk(base ? this._path(base) : this.rootDir);
+    return objects.sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  async delete(key) {
+    fs.rmSync(this._path(key), { force: true });
+    fs.rmSync(this._metaPath(key), { force: true });
+  }
+
+  url(key) {
+    return this._path(key);
+  }
+
+  /** @private */
+  _path(key) {
+    const file = path.resolve(this.rootDir, key);
+    if (!file.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Storage key escapes the storage directory: ${key}`);
+    }
+    return file;
+  }
+
+  /** @private */
+  _metaPath(key) {
+    return path.join(this.rootDir, META_DIR, `${key}.json`);
+  }
+}
+
+/**
+ * Create a storage backend by name
+ *
+ * @param {string} name - 's3' or 'local' (default: STORAGE_BACKEND or s3)
+ * @param {Object} options - Backend options (see S3Backend, LocalBackend)
+ * @returns {Object} Storage backend
+ */
+function createStorageBackend(name, options = {}) {
+  const resolved = name || process.env.STORAGE_BACKEND || 's3';
+  switch (resolved) {
+    case 's3':
+    case 'minio':
+      return new S3Backend(options);
+    case 'local':
+      return new LocalBackend(options);
+    default:
+      throw new Error(`Unknown storage backend: ${resolved}. Valid backends: s3, minio, local`);
+  }
+}
+
+/**
+ * Copy every object from one backend to another
+ *
+ * Objects already in the target with the same size are skipped unless
+ * `overwrite` is set, so an interrupted migration can simply be rerun.
+ *
+ * @param {Object} source - Backend to read from
+ * @param {Object} target - Backend to write to
+ * @param {Object} options
+ * @param {string} options.prefix - Only keys under this prefix (default: all)
+ * @param {boolean} options.overwrite - Copy objects the target already has (default: false)
+ * @param {boolean} options.dryRun - Report what would be copied without writing
+ * @returns {Promise<Object>} { copied, skipped, bytes, keys }
+ */
+async function migrateStorage(source, target, options = {}) {
+  const prefix = options.prefix || '';
+  const existing = new Map((await target.list(prefix)).map(obj => [obj.key, obj.size]));
+  const report = { copied: 0, skipped: 0, bytes: 0, keys: [] };
+
+  for (const obj of await source.list(prefix)) {
+    if (!options.overwrite && existing.get(obj.key) === obj.size) {
+      report.skipped++;
+      continue;
+    }
+
+    if (!options.dryRun) {
+      const object = await source.get(obj.key);
+      if (!object) continue;
+      await target.put(obj.key, object.body, { contentType: object.contentType, metadata: object.metadata });
+    }
+    report.copied++;
+    report.bytes += obj.size;
+    report.keys.push(obj.key);
+  }
+
+  console.log(`[Storage] ${options.dryRun ? 'Would copy' : 'Copied'} ${report.copied} objects (${report.bytes} bytes) from ${source.name} to ${target.name}, ${report.skipped} already present`);
+  return report;
+}
+
+module.exports = {
+  S3Backend,
+  LocalBackend,
+  createStorageBackend,
+  migrateStorage
+};
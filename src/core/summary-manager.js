@@ -0,0 +1,351 @@
+/**
+ * ILUVATAR - Summary Manager
+ *
+ * Rolling summaries so long novels (100+ chapters) keep their history in
+ * Frodo's prompt without the prose. Shadowfax (the legacy context
+ * compression agent, now on novels) writes:
+ *
+ *   - a chapter summary for every approved chapter
+ *   - an arc recap every `arcSize` chapters, summarizing the chapter summaries
+ *
+ * Both are stored in the novel scope (NovelManager.getSummaries) with a hash
+ * of what they were built from. A summary whose chapter has since changed
+ * (revision, rollback, cascade) is stale and is rebuilt on the next
+ * refresh(); completeRecall also drops the summaries of rewritten chapters
+ * up front.
+ *
+ * "Story so far" comes at three levels of detail, for ContextAssembler to
+ * pick the richest one that fits:
+ *
+ *   detailed   one line per earlier chapter
+ *   standard   arc recaps for finished arcs + chapter lines for the current arc
+ *   brief      arc recaps + the previous chapter only
+ *
+ * Chapters without a summary fall back to their outline entry.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getAgentConfig, estimateCost } = require('./model-config');
+const { OutputValidator } = require('./output-parser');
+
+const PROMPTS_DIR = path.join(__dirname, '..', 'agent-prompts');
+
+// Chapters per arc recap
+const DEFAULT_ARC_SIZE = 10;
+
+// Target summary lengths (words; CJK characters for Chinese novels)
+const DEFAULT_CHAPTER_LENGTH = 150;
+const DEFAULT_ARC_LENGTH = 400;
+
+const LEVELS = ['detailed', 'standard', 'brief'];
+
+class SummaryManager {
+  /**
+   * @param {Object} novelManager - NovelManager instance
+   * @param {Object} options - Configuration
+   * @param {Object} options.modelClient - Override client with generate() (default: Shadowfax's client)
+   * @param {Object} options.validator - OutputValidator (default: new OutputValidator())
+   * @param {string} options.promptsDir - Directory with agent prompt files
+   * @param {number} options.arcSize - Chapters per arc (default: SUMMARY_ARC_SIZE or 10)
+   * @param {number} options.chapterLength - Target chapter summary length (default: 150)
+   * @param {number} options.arcLength - Target arc recap length (default: 400)
+   */
+  constructor(novelManager, options = {}) {
+    if (!novelManager) {
+      throw new Error('SummaryManager requires a NovelManager instance');
+    }
+    this.novelManager = novelManager;
+    this.modelClient = options.modelClient || null;
+    this.validator = options.validator || new OutputValidator();
+    this.promptsDir = options.promptsDir || PROMPTS_DIR;
+    this.arcSize = options.arcSize || parseInt(process.env.SUMMARY_ARC_SIZE) || DEFAULT_ARC_SIZE;
+    this.chapterLength = options.chapterLength || DEFAULT_CHAPTER_LENGTH;
+    this.arcLength = options.arcLength || DEFAULT_ARC_LENGTH;
+  }
+
+  /**
+   * Bring summaries up to date for every approved chapter up to a point
+   *
+   * Summarizes chapters that are missing or stale, then recaps every
+   * finished arc whose chapter summaries changed.
+   *
+   * @param {string} novelId - Novel ID
+   * @param {number} upTo - Last chapter to cover (default: all)
+   * @returns {Promise<Object>} { chapters: [n], arcs: [arc] } that were (re)generated, and
+   *                            cost: USD spent on Shadowfax (and output fixer) calls
+   */
+  async refresh(novelId, upTo = Infinity) {
+    const state = await this._requireState(novelId);
+    const summaries = await this.novelManager.getSummaries(novelId);
+    const updated = { chapters: [], arcs: [], cost: 0 };
+
+    const approved = Object.keys(state.chapters)
+      .map(Number)
+      .filter(n => n <= upTo && state.chapters[n].approved && state.chapters[n].content)
+      .sort((a, b) => a - b);
+
+    for (const chapterNum of approved) {
+      if (isFresh(summaries.chapters[chapterNum], state.chapters[chapterNum])) continue;
+      const { entry, cost } = await this._summarizeChapter(state, chapterNum);
+      summaries.chapters[chapterNum] = entry;
+      updated.chapters.push(chapterNum);
+      updated.cost += cost;
+    }
+
+    const lastArc = Math.floor(Math.min(upTo, approved[approved.length - 1] || 0) / this.arcSize);
+    for (let arc = 1; arc <= lastArc; arc++) {
+      const { from, to } = this.arcRange(arc);
+      const sources = [];
+      for (let n = from; n <= to; n++) {
+        if (summaries.chapters[n]) sources.push(summaries.chapters[n]);
+      }
+      // Only recap arcs where every chapter has a summary
+      if (sources.length < to - from + 1) continue;
+      if (summaries.arcs[arc]?.sourceHash === hashSources(sources)) continue;
+
+      const { entry, cost } = await this._summarizeArc(state, arc, sources);
+      summaries.arcs[arc] = entry;
+      updated.arcs.push(arc);
+      updated.cost += cost;
+    }
+
+    if (updated.chapters.length || updated.arcs.length) {
+      console.log(`[SummaryManager] Refreshed ${novelId}: ${updated.chapters.length} chapter(s), ${updated.arcs.length} arc(s)`);
+    }
+    return updated;
+  }
+
+  /**
+   * Get a chapter's summary, generating it if missing or stale
+   *
+   * @param {string} novelId - Novel ID
+   * @param {number} chapterNum - Chapter number
+   * @param {Object} options
+   * @param {boolean} options.generate - Summarize now if there is no fresh summary (default: true)
+   * @returns {Promise<Object|null>} { summary, keyEvents, openThreads, version, ... } or null if the chapter is not written
+   */
+  async getChapterSummary(novelId, chapterNum, options = {}) {
+    const generate = options.generate ?? true;
+    const state = await this._requireState(novelId);
+    const chapter = state.chapters[chapterNum];
+    if (!chapter?.content) return null;
+
+    const summaries = await this.novelManager.getSummaries(novelId);
+    const stored = summaries.chapters[chapterNum];
+    if (isFresh(stored, chapter)) return stored;
+    if (!generate) return null;
+
+    const { entry } = await this._summarizeChapter(state, chapterNum);
+    return entry;
+  }
+
+  /**
+   * The story before a chapter, at every level of detail
+   *
+   * @param {string} novelId - Novel ID
+   * @param {number} chapterNum - Chapter being written
+   * @returns {Promise<Object>} { detailed: [line], standard: [line], brief: [line] }
+   */
+  async getStoryLevels(novelId, chapterNum) {
+    const state = await this._requireState(novelId);
+    const summaries = await this.novelManager.getSummaries(novelId);
+    const outlined = new Map((state.outline?.chapters || []).map(ch => [ch.number, ch]));
+
+    const chapterLine = n => {
+      const stored = summaries.chapters[n];
+      const summary = isFresh(stored, state.chapters[n]) ? stored.summary : outlined.get(n)?.summary;
+      return summary ? `Ch${n}: ${summary}` : null;
+    };
+
+    const detailed = [];
+    for (let n = 1; n < chapterNum; n++) {
+      detailed.push(chapterLine(n));
+    }
+
+    // Arc recaps for arcs that ended before this chapter
+    const arcLines = [];
+    let coveredTo = 0;
+    const finishedArcs = Math.floor((chapterNum - 1) / this.arcSize);
+    for (let arc = 1; arc <= finishedArcs; arc++) {
+      const recap = summaries.arcs[arc];
+      if (!recap) break;
+      arcLines.push(`Ch${recap.from}-${recap.to}: ${recap.summary}`);
+      coveredTo = recap.to;
+    }
+
+    const standard = [...arcLines];
+    for (let n = coveredTo + 1; n < chapterNum; n++) {
+      standard.push(chapterLine(n));
+    }
+
+    const brief = [...arcLines];
+    if (chapterNum - 1 > coveredTo) brief.push(chapterLine(chapterNum - 1));
+
+    return {
+      detailed: detailed.filter(Boolean),
+      standard: standard.filter(Boolean),
+      brief: brief.filter(Boolean)
+    };
+  }
+
+  /**
+   * The story before a chapter as text
+   *
+   * @param {string} novelId - Novel ID
+   * @param {number} chapterNum - Chapter being written
+   * @param {string} level - detailed | standard | brief (default: standard)
+   * @returns {Promise<string>} One line per chapter or arc
+   */
+  async getStorySoFar(novelId, chapterNum, level = 'standard') {
+    if (!LEVELS.includes(level)) {
+      throw new Error(`Unknown summary level: ${level}. Valid levels: ${LEVELS.join(', ')}`);
+    }
+    const levels = await this.getStoryLevels(novelId, chapterNum);
+    return levels[level].join('\n');
+  }
+
+  /**
+   * Chapter range of an arc
+   *
+   * @param {number} arc - Arc number (1-indexed)
+   * @returns {Object} { from, to }
+   */
+  arcRange(arc) {
+    return { from: (arc - 1) * this.arcSize + 1, to: arc * this.arcSize };
+  }
+
+  /**
+   * Summarize one chapter and store it
+   *
+   * @returns {Promise<Object>} { entry: stored summary, cost }
+   * @private
+   */
+  async _summarizeChapter(state, chapterNum) {
+    const { metadata } = state;
+    const chapter = state.chapters[chapterNum];
+
+    const prompt = `Summarize this chapter.
+
+Novel: ${metadata.title}
+Language: ${metadata.language}
+Target Length: ${formatLength(this.chapterLength, metadata.language)}
+
+Chapter ${chapterNum}: ${chapter.title || ''}
+
+${chapter.content}`;
+
+    const { data: output, cost } = await this._callShadowfax(prompt);
+    const summary = {
+      summary: output.summary,
+      keyEvents: output.keyEvents,
+      openThreads: output.openThreads,
+      version: chapter.version || 1,
+      contentHash: hashContent(chapter.content)
+    };
+
+    await this.novelManager.saveChapterSummary(metadata.id, chapterNum, summary);
+    return { entry: { ...summary, chapterNum }, cost };
+  }
+
+  /**
+   * Recap one arc from its chapter summaries and store it
+   *
+   * @returns {Promise<Object>} { entry: stored recap, cost }
+   * @private
+   */
+  async _summarizeArc(state, arc, sources) {
+    const { metadata } = state;
+    const { from, to } = this.arcRange(arc);
+
+    const prompt = `Summarize this arc (chapters ${from}-${to}) from its chapter summaries.
+
+Novel: ${metadata.title}
+Language: ${metadata.language}
+Target Length: ${formatLength(this.arcLength, metadata.language)}
+
+${sources.map(s => `Ch${s.chapterNum}: ${s.summary}`).join('\n')}`;
+
+    const { data: output, cost } = await this._callShadowfax(prompt);
+    const recap = {
+      from,
+      to,
+      summary: output.summary,
+      keyEvents: output.keyEvents,
+      openThreads: output.openThreads,
+      sourceHash: hashSources(sources)
+    };
+
+    await this.novelManager.saveArcSummary(metadata.id, arc, recap);
+    return { entry: { ...recap, arc }, cost };
+  }
+
+  /**
+   * Call Shadowfax and parse its output
+   *
+   * @returns {Promise<Object>} { data: parsed output, cost: Shadowfax plus any fixer call }
+   * @private
+   */
+  async _callShadowfax(prompt) {
+    const config = getAgentConfig('shadowfax');
+    const client = this.modelClient || config.client;
+
+    const response = await client.generate({
+      agent: 'shadowfax',
+      model: config.model,
+      system: fs.readFileSync(path.join(this.promptsDir, config.promptFile), 'utf8'),
+      messages: [{ role: 'user', content: prompt }],
+      maxTokens: config.maxTokens,
+      temperature: config.temperature
+    });
+
+    if (!response?.text) {
+      throw new Error('shadowfax returned an empty response');
+    }
+
+    const cost = estimateCost('shadowfax', response.usage?.inputTokens || 0, response.usage?.outputTokens || 0);
+    console.log(`[SummaryManager] Shadowfax call ($${cost.toFixed(4)})`);
+
+    const result = await this.validator.parseWithRepair('shadowfax', response.text);
+    return { data: result.data, cost: cost + (result.usage?.cost || 0) };
+  }
+
+  /** @private */
+  async _requireState(novelId) {
+    const state = await this.novelManager.getNovelState(novelId, { include: ['outline', 'chapters'] });
+    if (!state) {
+      throw new Error(`Novel not found: ${novelId}`);
+    }
+    return state;
+  }
+}
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content || '').digest('hex');
+}
+
+function hashSources(sources) {
+  return hashContent(sources.map(s => s.contentHash).join(','));
+}
+
+/**
+ * A stored summary is fresh while its chapter's text is unchanged
+ */
+function isFresh(summary, chapter) {
+  return Boolean(summary && chapter?.content && summary.contentHash === hashContent(chapter.content));
+}
+
+function formatLength(length, language) {
+  return language === 'zh' ? `about ${length * 2} Chinese characters` : `about ${length} words`;
+}
+
+module.exports = {
+  SummaryManager,
+  LEVELS,
+  DEFAULT_ARC_SIZE
+};
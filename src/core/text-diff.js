@@ -0,0 +1,236 @@
+/**
+ * ILUVATAR - Text Diff
+ *
+ * Paragraph- and sentence-level diff for chapter versions.
+ *
+ * Prose diffs poorly line-by-line: a revision usually rewrites a few
+ * sentences inside otherwise unchanged paragraphs. So the diff runs in two
+ * passes - paragraphs first, then sentences inside paragraphs that changed.
+ *
+ * Sentence splitting understands CJK punctuation (。！？…) and closing
+ * quotes (」』”), so Chinese chapters diff as cleanly as English ones.
+ */
+
+// Sentence terminators (ASCII and full-width), optionally followed by closing quotes/brackets
+const SENTENCE_REGEX = /[^。！？!?.…]+(?:[。！？!?.…]+|$)[」』”’"')）]*/g;
+
+// Above this many LCS cells, fall back to a cheap prefix/suffix diff
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Split text into paragraphs (blank-line or single-newline separated)
+ *
+ * @param {string} text - Chapter text
+ * @returns {Array<string>} Non-empty trimmed paragraphs
+ */
+function splitParagraphs(text) {
+  return (text || '')
+    .split(/\n+/)
+    .map(p => p.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Split a paragraph into sentences
+ *
+ * @param {string} text - Paragraph text
+ * @returns {Array<string>} Trimmed sentences
+ */
+function splitSentences(text) {
+  return ((text || '').match(SENTENCE_REGEX) || [])
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Longest-common-subsequence diff of two token arrays
+ *
+ * @param {Array<string>} a - Old tokens
+ * @param {Array<string>} b - New tokens
+ * @returns {Array<Object>} Ops: { type: 'equal' | 'delete' | 'insert', value }
+ */
+function diffSequences(a, b) {
+  // Trim common prefix/suffix - revisions usually leave most of a chapter alone
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const prefix = a.slice(0, start).map(value => ({ type: 'equal', value }));
+  const suffix = a.slice(endA).map(value => ({ type: 'equal', value }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if (midA.length * midB.length > MAX_LCS_CELLS) {
+    return [
+      ...prefix,
+      ...midA.map(value => ({ type: 'delete', value })),
+      ...midB.map(value => ({ type: 'insert', value })),
+      ...suffix
+    ];
+  }
+
+  // lengths[i][j] = LCS length of midA[i:] and midB[j:]
+  const lengths = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lengths[i][j] = midA[i] === midB[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      ops.push({ type: 'equal', value: midA[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      ops.push({ type: 'delete', value: midA[i++] });
+    } else {
+      ops.push({ type: 'insert', value: midB[j++] });
+    }
+  }
+  while (i < midA.length) ops.push({ type: 'delete', value: midA[i++] });
+  while (j < midB.length) ops.push({ type: 'insert', value: midB[j++] });
+
+  return [...prefix, ...ops, ...suffix];
+}
+
+/**
+ * Diff two versions of a text
+ *
+ * Paragraph level pairs each run of deleted paragraphs with the run of
+ * inserted paragraphs that replaced it and reports them as 'change' with a
+ * sentence-level diff inside. Sentence level diffs the whole text as one
+ * sentence stream.
+ *
+ * @param {string} oldText - Earlier version
+ * @param {string} newText - Later version
+ * @param {Object} options
+ * @param {string} options.level - 'paragraph' (default) or 'sentence'
+ * @returns {Object} { level, ops, stats: { added, removed, changed, unchanged } }
+ */
+function diffText(oldText, newText, options = {}) {
+  const level = options.level || 'paragraph';
+  const stats = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+
+  if (level === 'sentence') {
+    const ops = diffSequences(
+      splitParagraphs(oldText).flatMap(splitSentences),
+      splitParagraphs(newText).flatMap(splitSentences)
+    );
+    for (const op of ops) {
+      if (op.type === 'equal') stats.unchanged++;
+      else if (op.type === 'insert') stats.added++;
+      else stats.removed++;
+    }
+    return { level, ops, stats };
+  }
+
+  const paragraphOps = diffSequences(splitParagraphs(oldText), splitParagraphs(newText));
+  const ops = [];
+  let k = 0;
+
+  while (k < paragraphOps.length) {
+    if (paragraphOps[k].type === 'equal') {
+      ops.push(paragraphOps[k++]);
+      stats.unchanged++;
+      continue;
+    }
+
+    // Collect a run of deletes/inserts and pair them up as changes
+    const deleted = [];
+    const inserted = [];
+    while (k < paragraphOps.length && paragraphOps[k].type !== 'equal') {
+      (paragraphOps[k].type === 'delete' ? deleted : inserted).push(paragraphOps[k].value);
+      k++;
+    }
+
+    const paired = Math.min(deleted.length, inserted.length);
+    for (let n = 0; n < paired; n++) {
+      ops.push({
+        type: 'change',
+        from: deleted[n],
+        to: inserted[n],
+        sentences: diffSequences(splitSentences(deleted[n]), splitSentences(inserted[n]))
+      });
+      stats.changed++;
+    }
+    for (const value of deleted.slice(paired)) {
+      ops.push({ type: 'delete', value });
+      stats.removed++;
+    }
+    for (const value of inserted.slice(paired)) {
+      ops.push({ type: 'insert', value });
+      stats.added++;
+    }
+  }
+
+  return { level, ops, stats };
+}
+
+/**
+ * Render a diff as unified-diff style text (for a ```diff block)
+ *
+ * Unchanged paragraphs are collapsed to a marker so the output stays short.
+ *
+ * @param {Object} diff - Result of diffText
+ * @param {Object} options
+ * @param {number} options.maxLength - Truncate output to this many characters (default: unlimited)
+ * @returns {string} Lines prefixed with "+", "-" or " "
+ */
+function formatDiff(diff, options = {}) {
+  const lines = [];
+  let skipped = 0;
+
+  const flushSkipped = () => {
+    if (skipped > 0) {
+      lines.push(`  ... ${skipped} unchanged ${diff.level === 'sentence' ? 'sentence' : 'paragraph'}${skipped > 1 ? 's' : ''} ...`);
+      skipped = 0;
+    }
+  };
+
+  for (const op of diff.ops) {
+    if (op.type === 'equal') {
+      skipped++;
+      continue;
+    }
+    flushSkipped();
+
+    if (op.type === 'delete') {
+      lines.push(`- ${op.value}`);
+    } else if (op.type === 'insert') {
+      lines.push(`+ ${op.value}`);
+    } else {
+      // Only the sentences that actually changed inside the paragraph
+      for (const sentence of op.sentences) {
+        if (sentence.type === 'delete') lines.push(`- ${sentence.value}`);
+        else if (sentence.type === 'insert') lines.push(`+ ${sentence.value}`);
+      }
+      lines.push('');
+    }
+  }
+  flushSkipped();
+
+  const text = lines.join('\n').replace(/^\n+|\n+$/g, '');
+  if (options.maxLength && text.length > options.maxLength) {
+    return text.substring(0, options.maxLength - 20) + '\n... (truncated)';
+  }
+  return text;
+}
+
+module.exports = {
+  diffText,
+  diffSequences,
+  formatDiff,
+  splitParagraphs,
+  splitSentences
+};
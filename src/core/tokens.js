@@ -0,0 +1,129 @@
+/**
+ * ILUVATAR - Tokens
+ *
+ * Two unrelated jobs that both need to know where CJK text starts and ends:
+ *
+ * 1. Rough token counts for budgeting prompts and training examples without
+ *    loading a tokenizer. CJK characters count as one token each (Qwen/GPT
+ *    tokenizers land close to that for Chinese); everything else at ~4
+ *    characters per token.
+ *
+ * 2. Lexical terms for search (hashing embedder, BM25). Latin text splits
+ *    into lowercase words; CJK text, which has no spaces, into single
+ *    characters and character bigrams (most names are two or three characters).
+ */
+
+// CJK ideographs, kana, hangul and full-width punctuation
+const CJK_REGEX = /[\u3000-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uff00-\uffef]/g;
+
+// CJK ideographs only (for lexical terms)
+const CJK_RUN_REGEX = /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]+/g;
+const WORD_REGEX = /[a-z0-9]+(?:['’-][a-z0-9]+)*/g;
+
+// Words too common to say anything about relevance
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'into', 'his', 'her', 'their',
+  'are', 'was', 'were', 'has', 'have', 'had', 'but', 'not', 'all', 'its', 'they',
+  'chapter', 'previous', 'current', 'character', 'plot', 'thread', 'world', 'fact', 'traits',
+  "chekhov's", 'gun'
+]);
+
+/**
+ * Rough token count without a tokenizer
+ *
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+  const cjk = (text.match(CJK_REGEX) || []).length;
+  return cjk + Math.ceil((text.length - cjk) / 4);
+}
+
+/**
+ * Cut text down to a token budget (from the end)
+ *
+ * @param {string} text - Text to trim
+ * @param {number} budget - Max tokens
+ * @returns {string} Text, with "…" appended if it was cut
+ */
+function truncateToTokens(text, budget) {
+  if (estimateTokens(text) <= budget) return text;
+  let low = 0;
+  let high = text.length;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (estimateTokens(text.substring(0, mid)) <= budget - 1) low = mid;
+    else high = mid - 1;
+  }
+  return `${text.substring(0, low).trimEnd()}…`;
+}
+
+/**
+ * Keep the end of a text within a token budget
+ *
+ * Whole trailing paragraphs are kept where possible; a final paragraph
+ * that is too long on its own is cut from the front.
+ *
+ * @param {string} text - Text to trim
+ * @param {number} budget - Max tokens
+ * @returns {string} Text, with "…" prepended if it was cut
+ */
+function tailToTokens(text, budget) {
+  if (estimateTokens(text) <= budget) return text;
+
+  const paragraphs = (text || '').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+  const kept = [];
+  let used = 1;   // the "…" marker
+  for (let i = paragraphs.length - 1; i >= 0; i--) {
+    const tokens = estimateTokens(paragraphs[i]);
+    if (used + tokens > budget) break;
+    kept.unshift(paragraphs[i]);
+    used += tokens;
+  }
+  if (kept.length > 0) return `…\n\n${kept.join('\n\n')}`;
+
+  const last = paragraphs[paragraphs.length - 1] || '';
+  let low = 0;
+  let high = last.length;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (estimateTokens(last.substring(mid)) <= budget - 1) high = mid;
+    else low = mid + 1;
+  }
+  return `…${last.substring(low).trimStart()}`;
+}
+
+/**
+ * Lexical terms for search
+ *
+ * @param {string} text - Text to split
+ * @param {Object} options
+ * @param {boolean} options.unigrams - Include single CJK characters (default: true)
+ * @returns {Array<string>} Terms, in order, with repeats
+ */
+function tokenize(text, options = {}) {
+  const unigrams = options.unigrams ?? true;
+  const terms = [];
+  const lower = (text || '').toLowerCase();
+
+  for (const word of lower.replace(CJK_RUN_REGEX, ' ').match(WORD_REGEX) || []) {
+    if (word.length > 1 && !STOP_WORDS.has(word)) terms.push(word);
+  }
+
+  for (const run of lower.match(CJK_RUN_REGEX) || []) {
+    const chars = Array.from(run);
+    for (let i = 0; i < chars.length; i++) {
+      if (unigrams || chars.length === 1) terms.push(chars[i]);
+      if (i + 1 < chars.length) terms.push(chars[i] + chars[i + 1]);
+    }
+  }
+  return terms;
+}
+
+module.exports = {
+  estimateTokens,
+  truncateToTokens,
+  tailToTokens,
+  tokenize
+};
@@ -0,0 +1,193 @@
+/**
+ * ILUVATAR - Training Data Helpers
+ *
+ * Shared pieces for the training set exporters (preference-exporter.js,
+ * sft-exporter.js): rebuilding Frodo's chapter prompt from stored state,
+ * formatting completions and JSONL output.
+ *
+ * Prompts are rebuilt rather than logged at generation time, so they use
+ * a window of the outline instead of the whole outline to stay short
+ * enough for training.
+ */
+
+const crypto = require('crypto');
+const { BibleRetriever } = require('./bible-retriever');
+
+// Outline chapters either side of the target included in the prompt
+const OUTLINE_WINDOW = 1;
+
+// Timeline events kept in the fallback bible context
+const MAX_TIMELINE_EVENTS = 10;
+
+// ============================================================
+// PROMPTS
+// ============================================================
+
+/**
+ * Rebuild the Frodo prompt for a chapter
+ *
+ * @param {Object} state - Novel state from getNovelState
+ * @param {number} chapterNum - Chapter number
+ * @param {Object} options
+ * @param {string} options.bibleContext - Formatted bible context (optional)
+ * @param {boolean} options.previousSummary - Include the previous chapter's summary (default: false)
+ * @returns {string} Prompt text
+ */
+function buildChapterPrompt(state, chapterNum, options = {}) {
+  const { metadata, outline } = state;
+  const outlineChapters = outline?.chapters || [];
+
+  const slice = outlineChapters
+    .filter(ch => Math.abs(ch.number - chapterNum) <= OUTLINE_WINDOW)
+    .map(ch => `${ch.number === chapterNum ? '>> ' : ''}Chapter ${ch.number}${ch.title ? `: ${ch.title}` : ''} - ${ch.summary || ''}`.trim());
+
+  const lines = [`Write chapter ${chapterNum} based on the following:`, ''];
+  if (outline?.title || metadata.title) lines.push(`Novel: ${outline?.title || metadata.title}`);
+  if (outline?.synopsis) lines.push(`Synopsis: ${outline.synopsis}`);
+  if (slice.length > 0) {
+    lines.push('', 'Chapter Outline:', ...slice);
+  }
+
+  if (options.previousSummary) {
+    const previous = getPreviousSummary(state, chapterNum);
+    if (previous) {
+      lines.push('', `Previous Chapter (${chapterNum - 1}) Summary:`, previous);
+    }
+  }
+
+  lines.push(
+    '',
+    `Chapter to write: ${chapterNum}`,
+    `Target word count: ${metadata.targetWordsPerChapter}`,
+    `Language: ${metadata.language}`
+  );
+
+  const prompt = lines.join('\n');
+  return options.bibleContext ? `${prompt}\n\n${options.bibleContext}` : prompt;
+}
+
+/**
+ * Summary of the chapter before this one
+ * Uses a stored chapter summary if there is one, else the outline entry.
+ *
+ * @param {Object} state - Novel state
+ * @param {number} chapterNum - Chapter number
+ * @returns {string|null} Summary text
+ */
+function getPreviousSummary(state, chapterNum) {
+  if (chapterNum <= 1) return null;
+  const previous = state.chapters?.[chapterNum - 1];
+  if (previous?.summary) return previous.summary;
+  const outlined = (state.outline?.chapters || []).find(ch => ch.number === chapterNum - 1);
+  return outlined?.summary || null;
+}
+
+/**
+ * Story bible context for a chapter
+ *
+ * With a retriever this is what the pipeline would have sent. Without
+ * one, the stored bible is trimmed to entries introduced by this chapter.
+ *
+ * @param {Object} storyBible - Stored story bible
+ * @param {string} novelId - Novel ID
+ * @param {number} chapterNum - Chapter number
+ * @param {Object} bibleRetriever - BibleRetriever (optional)
+ * @returns {Promise<string|null>} Formatted context, or null if the bible is empty
+ */
+async function getBibleContext(storyBible, novelId, chapterNum, bibleRetriever = null) {
+  let bible;
+  if (bibleRetriever) {
+    try {
+      bible = await bibleRetriever.getRelevantBible(novelId, chapterNum);
+    } catch (err) {
+      console.error('[TrainingData] Bible retrieval failed, using stored bible:', err.message);
+    }
+  }
+  bible = bible || bibleAsOf(storyBible, chapterNum);
+
+  const isEmpty = Object.keys(bible.characters || {}).length === 0 &&
+    ['relationships', 'plotThreads', 'worldFacts', 'timeline', 'chekhovs'].every(key => !bible[key]?.length);
+  if (isEmpty) return null;
+
+  // formatForPrompt is pure, so it works without an embeddings client
+  return (bibleRetriever || BibleRetriever.prototype).formatForPrompt(bible);
+}
+
+/**
+ * Story bible trimmed to what existed when a chapter was written
+ *
+ * @param {Object} storyBible - Stored story bible
+ * @param {number} chapterNum - Chapter number
+ * @returns {Object} Bible in the getRelevantBible shape
+ */
+function bibleAsOf(storyBible, chapterNum) {
+  const bible = storyBible || {};
+  const introducedBy = value => !value || Number(value) <= chapterNum;
+
+  const characters = {};
+  for (const [id, character] of Object.entries(bible.characters || {})) {
+    if (introducedBy(character.firstAppearance)) characters[id] = character;
+  }
+
+  return {
+    characters,
+    relationships: bible.relationships || [],
+    plotThreads: (bible.plotThreads || []).filter(t =>
+      introducedBy(t.introduced) && !(t.resolved && Number(t.resolved) < chapterNum)
+    ),
+    worldFacts: bible.worldFacts || [],
+    timeline: (bible.timeline || []).filter(e => Number(e.chapter) < chapterNum).slice(-MAX_TIMELINE_EVENTS),
+    chekhovs: (bible.chekhovs || []).filter(c =>
+      introducedBy(c.introduced) && !(c.payoff && Number(c.payoff) < chapterNum)
+    )
+  };
+}
+
+/**
+ * A chapter version in Frodo's output format
+ *
+ * @param {Object} chapter - { title, content }
+ * @returns {string} Completion text
+ */
+function formatCompletion(chapter) {
+  return `## CHAPTER TITLE\n${chapter.title || ''}\n\n## CONTENT\n${chapter.content}`;
+}
+
+// ============================================================
+// OUTPUT
+// ============================================================
+
+/**
+ * Stable hash of a record's text fields (for dedup)
+ *
+ * @param {Array<string>} parts - Text fields
+ * @returns {string} sha256 hex
+ */
+function hashParts(parts) {
+  const hash = crypto.createHash('sha256');
+  parts.forEach((part, i) => {
+    if (i > 0) hash.update('\0');
+    hash.update(part);
+  });
+  return hash.digest('hex');
+}
+
+/**
+ * Serialize records as JSONL
+ *
+ * @param {Array<Object>} records - Records
+ * @returns {string} One JSON object per line
+ */
+function toJsonl(records) {
+  return records.map(record => JSON.stringify(record)).join('\n') + (records.length ? '\n' : '');
+}
+
+module.exports = {
+  buildChapterPrompt,
+  getPreviousSummary,
+  getBibleContext,
+  bibleAsOf,
+  formatCompletion,
+  hashParts,
+  toJsonl
+};
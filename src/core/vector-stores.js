@@ -0,0 +1,191 @@
+/**
+ * ILUVATAR - Vector Stores
+ *
+ * Where BibleRetriever keeps its embeddings. Every store shares one contract,
+ * with vectors grouped by namespace (one per novel + embedder):
+ *
+ *   upsert(namespace, [{ id, vector, payload }])
+ *   remove(namespace, ids)
+ *   list(namespace)                          -> [{ id, payload }]
+ *   query(namespace, vector, { topK, threshold, filter })
+ *                                            -> [{ id, score, payload }] best first
+ *   clear(namespace)
+ *
+ * Stores:
+ *   - redis:  one hash per namespace, one field per entry, so a changed
+ *             bible entry rewrites one field instead of the whole index
+ *   - memory: in-process Map (tests, offline runs, short-lived tools)
+ *
+ * Vectors are expected to be L2-normalized, so dot product = cosine similarity.
+ */
+
+/**
+ * Dot product of two vectors (cosine similarity for normalized vectors)
+ *
+ * @param {Array<number>|Float32Array} a - Vector
+ * @param {Array<number>|Float32Array} b - Vector
+ * @returns {number} Similarity
+ */
+function dot(a, b) {
+  let sum = 0;
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+/**
+ * Score entries against a query and keep the best matches
+ */
+function rankEntries(entries, vector, options = {}) {
+  const threshold = options.threshold ?? -Infinity;
+  const matches = [];
+
+  for (const entry of entries) {
+    if (options.filter && !options.filter(entry.payload)) continue;
+    const score = dot(vector, entry.vector);
+    if (score >= threshold) {
+      matches.push({ id: entry.id, score, payload: entry.payload });
+    }
+  }
+
+  matches.sort((a, b) => b.score - a.score);
+  return options.topK ? matches.slice(0, options.topK) : matches;
+}
+
+/**
+ * In-process vector store
+ */
+class MemoryVectorStore {
+  constructor() {
+    this.name = 'memory';
+    // namespace -> Map(id -> { id, vector, payload })
+    this.namespaces = new Map();
+  }
+
+  _namespace(namespace) {
+    if (!this.namespaces.has(namespace)) {
+      this.namespaces.set(namespace, new Map());
+    }
+    return this.namespaces.get(namespace);
+  }
+
+  async upsert(namespace, entries) {
+    const store = this._namespace(namespace);
+    for (const { id, vector, payload } of entries) {
+      store.set(id, { id, vector: Float32Array.from(vector), payload: payload || {} });
+    }
+  }
+
+  async remove(namespace, ids) {
+    const store = this._namespace(namespace);
+    for (const id of ids) {
+      store.delete(id);
+    }
+  }
+
+  async list(namespace) {
+    return Array.from(this._namespace(namespace).values()).map(({ id, payload }) => ({ id, payload }));
+  }
+
+  async query(namespace, vector, options = {}) {
+    return rankEntries(this._namespace(namespace).values(), vector, options);
+  }
+
+  async clear(namespace) {
+    this.namespaces.delete(namespace);
+  }
+}
+
+/**
+ * Redis vector store (one hash per namespace)
+ *
+ * Vectors are stored as base64 Float32 to keep each field small.
+ */
+class RedisVectorStore {
+  /**
+   * @param {Object} redis - ioredis client (e.g. StateManager.redis)
+   * @param {Object} options
+   * @param {string} options.prefix - Key suffix appended to the namespace (default: vectors)
+   */
+  constructor(redis, options = {}) {
+    if (!redis) {
+      throw new Error('RedisVectorStore requires a Redis client');
+    }
+    this.name = 'redis';
+    this.redis = redis;
+    this.suffix = options.prefix || 'vectors';
+  }
+
+  _key(namespace) {
+    return `${namespace}:${this.suffix}`;   // e.g., "novel:abc123:bible:hashing-512:vectors"
+  }
+
+  async upsert(namespace, entries) {
+    if (entries.length === 0) return;
+    const fields = {};
+    for (const { id, vector, payload } of entries) {
+      fields[id] = JSON.stringify({
+        v: Buffer.from(Float32Array.from(vector).buffer).toString('base64'),
+        p: payload || {}
+      });
+    }
+    await this.redis.hset(this._key(namespace), fields);
+  }
+
+  async remove(namespace, ids) {
+    if (ids.length === 0) return;
+    await this.redis.hdel(this._key(namespace), ...ids);
+  }
+
+  async list(namespace) {
+    return (await this._load(namespace)).map(({ id, payload }) => ({ id, payload }));
+  }
+
+  async query(namespace, vector, options = {}) {
+    return rankEntries(await this._load(namespace), vector, options);
+  }
+
+  async clear(namespace) {
+    await this.redis.del(this._key(namespace));
+  }
+
+  /** @private */
+  async _load(namespace) {
+    const hash = await this.redis.hgetall(this._key(namespace));
+    return Object.entries(hash || {}).map(([id, raw]) => {
+      const { v, p } = JSON.parse(raw);
+      // Copy out of Buffer's shared pool, which may not be 4-byte aligned
+      const bytes = Uint8Array.from(Buffer.from(v, 'base64'));
+      return { id, vector: new Float32Array(bytes.buffer), payload: p };
+    });
+  }
+}
+
+/**
+ * Create a vector store by name
+ *
+ * @param {string} name - 'redis' or 'memory' (default: VECTOR_STORE or redis when a client is given)
+ * @param {Object} options
+ * @param {Object} options.redis - ioredis client (redis store)
+ * @returns {Object} Vector store
+ */
+function createVectorStore(name, options = {}) {
+  const resolved = name || process.env.VECTOR_STORE || (options.redis ? 'redis' : 'memory');
+  switch (resolved) {
+    case 'redis':
+      return new RedisVectorStore(options.redis, options);
+    case 'memory':
+      return new MemoryVectorStore();
+    default:
+      throw new Error(`Unknown vector store: ${resolved}. Valid stores: redis, memory`);
+  }
+}
+
+module.exports = {
+  MemoryVectorStore,
+  RedisVectorStore,
+  createVectorStore,
+  dot
+};
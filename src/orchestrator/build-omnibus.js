@@ -0,0 +1,104 @@
+/**
+ * ILUVATAR - Omnibus Entry Point
+ *
+ * Merges a series' POV novels into one manuscript (OmnibusBuilder).
+ *
+ * Usage:
+ *   npm run build:omnibus -- [options]
+ *
+ * Options:
+ *   --series <id>       Series to merge (its novels and master timeline)
+ *   --novel <id>        Novel to merge (repeatable; default: the series' novels)
+ *   --plan <file>       Hand-written interleaving plan: one "novelId:chapter" or
+ *                       "novelId:from-to" per line, or a JSON array
+ *                       (default: derived from the master timeline)
+ *   --title <text>      Omnibus title (default: series name)
+ *   --threshold <n>     Scene similarity that counts as told twice (default: 0.6)
+ *   --keep-duplicates   Keep scenes told twice
+ *   --out <dir>         Output directory (default: data/omnibus)
+ *   --dry-run           Print the report without writing files
+ */
+
+// Load environment variables from .env file
+require('dotenv').config();
+
+const fs = require('fs');
+const { StateManager } = require('../core/state-manager');
+const { NovelManager } = require('../core/novel-manager');
+const { SeriesManager } = require('../core/series-manager');
+const { OmnibusBuilder } = require('../core/omnibus-builder');
+
+function parseArgs(argv) {
+  const args = { novelIds: [] };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--series':
+        args.seriesId = argv[++i];
+        break;
+      case '--novel':
+        args.novelIds.push(argv[++i]);
+        break;
+      case '--plan':
+        args.planFile = argv[++i];
+        break;
+      case '--title':
+        args.title = argv[++i];
+        break;
+      case '--threshold':
+        args.threshold = parseFloat(argv[++i]);
+        break;
+      case '--keep-duplicates':
+        args.keepDuplicates = true;
+        break;
+      case '--out':
+        args.outputDir = argv[++i];
+        break;
+      case '--dry-run':
+        args.dryRun = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+function readPlan(file) {
+  const text = fs.readFileSync(file, 'utf8').trim();
+  if (text.startsWith('[')) return JSON.parse(text);
+  return text.split('\n')
+    .map(line => line.replace(/#.*$/, '').trim())
+    .filter(Boolean);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const stateManager = new StateManager();
+  const novelManager = new NovelManager(stateManager);
+  novelManager.seriesManager = new SeriesManager(stateManager, novelManager);
+
+  const builder = new OmnibusBuilder(novelManager, {
+    dedupeThreshold: Number.isNaN(args.threshold) ? undefined : args.threshold,
+    outputDir: args.outputDir
+  });
+
+  try {
+    const report = await builder.export({
+      seriesId: args.seriesId,
+      novelIds: args.novelIds,
+      plan: args.planFile ? readPlan(args.planFile) : undefined,
+      title: args.title,
+      dedupe: !args.keepDuplicates,
+      dryRun: args.dryRun
+    });
+    console.log(JSON.stringify(report, null, 2));
+  } finally {
+    await stateManager.close();
+  }
+}
+
+main().catch(err => {
+  console.error('[ILUVATAR] Omnibus build failed:', err);
+  process.exit(1);
+});
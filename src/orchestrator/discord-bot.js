@@ -2,35 +2,64 @@
  * ILUVATAR - Discord Bot
  *
  * Provides slash commands for novel management with human-in-the-loop.
- * Triggers N8N workflows and reports results back to Discord.
+ * Runs the in-process GenerationPipeline (or, if none is configured, triggers
+ * the N8N workflow) and reports results back to Discord.
  *
  * Channel Types:
- *   - Library channel: /novel create, /novel list, /novel delete
- *   - Novel channels: /novel write, feedback, approve, critique, recall, cascade, pause, resume
- *   - Both channels: /novel status, bible, read_* commands (library requires novel_id)
+ *   - Library channel: /novel create, /novel import, /novel list, /novel delete, /novel backup, /novel restore
+ *   - Novel channels: /novel write, feedback, approve, critique, autopilot, rollback, recall, cascade, pause, resume
+ *   - Both channels: /novel status, check, threads, bible, history, diff, export, read ... (library requires novel_id)
+ *   - Anywhere: /novel series ... (novel channels fill in their own novel/series)
  *
  * Commands:
  *   /novel create              - Start a new novel project (library only)
+ *   /novel import              - Import an existing manuscript (md/txt/epub) to continue (library only)
  *   /novel list                - List all novels (library only)
  *   /novel delete              - Delete a novel and its channel (library only)
+ *   /novel backup              - Back up now and list backups (library only)
+ *   /novel restore             - Preview or restore novels from a backup (library only)
  *   /novel status              - Check novel status
  *   /novel write               - Generate next chapter (novel channel only)
  *   /novel feedback            - Send feedback to revise (novel channel only)
  *   /novel approve             - Approve current outline/chapter (novel channel only)
  *   /novel critique            - Get Elrond's evaluation (novel channel only)
+ *   /novel autopilot           - Write/critique/revise N chapters unattended (novel channel only)
  *   /novel recall              - Go back to revise an earlier chapter (novel channel only)
- *   /novel cascade             - Regenerate chapters after recall (novel channel only)
- *   /novel bible               - View the story bible
+ *   /novel check               - Check a chapter against the story bible
+ *   /novel cascade             - Regenerate or keep chapters after recall (novel channel only)
+ *   /novel threads             - Chekhov's guns and plot threads by arc, with payoff deadlines
+ *   /novel bible view          - View the story bible
+ *   /novel bible debug         - Explain bible retrieval for a chapter
+ *   /novel bible pending       - Bible updates held for review
+ *   /novel bible review        - Approve or reject held bible updates (novel channel only)
  *   /novel pause               - Pause generation (novel channel only)
  *   /novel resume              - Resume generation (novel channel only)
- *   /novel read_chapter        - Read a specific chapter
- *   /novel read_outline        - Read the full outline
- *   /novel read_chapter_summary - Read a chapter's outline summary
- *   /novel read_section        - Read a range of chapters (e.g., 1-10)
- *   /novel read_all            - Read the entire novel
+ *   /novel read chapter        - Read a specific chapter
+ *   /novel read outline        - Read the full outline
+ *   /novel read summary        - Read a chapter's summary (outline plan if not written yet)
+ *   /novel read section        - Read a range of chapters (e.g., 1-10)
+ *   /novel read all            - Read the entire novel
+ *   /novel history             - Recent changes and who made them; a chapter's versions; a bible entry's edits
+ *   /novel diff                - Compare two versions of a chapter
+ *   /novel rollback            - Restore an earlier chapter version (novel channel only)
+ *   /novel export              - Download the novel as EPUB, DOCX, HTML or web-novel TXT
+ *   /novel series create       - Create a series of POV novels with a shared canon bible
+ *   /novel series add          - Add a novel to a series as one POV
+ *   /novel series place        - Place a chapter on the series' master timeline
+ *   /novel series timeline     - Show the master timeline, or what overlaps one chapter
  */
 
-const { Client, GatewayIntentBits, SlashCommandBuilder, EmbedBuilder, REST, Routes, ChannelType, PermissionFlagsBits } = require('discord.js');
+const { Client, GatewayIntentBits, SlashCommandBuilder, EmbedBuilder, AttachmentBuilder, REST, Routes, ChannelType, PermissionFlagsBits } = require('discord.js');
+const { parseGandalfOutput } = require('../core/output-parser');
+const { STOP_REASONS } = require('../core/autopilot');
+const { formatDiff } = require('../core/text-diff');
+const { NovelExporter } = require('../core/novel-exporter');
+const { ManuscriptImporter } = require('../core/manuscript-importer');
+const { discordActor, formatActor } = require('../core/novel-history');
+const { formatWindow } = require('../core/payoff-tracker');
+
+// Discord's upload limit for servers without boosts
+const ATTACHMENT_LIMIT_BYTES = 10 * 1024 * 1024;
 
 class IluvatarBot {
   /**
@@ -38,8 +67,14 @@ class IluvatarBot {
    * @param {string} config.token - Discord bot token
    * @param {string} config.clientId - Discord application client ID
    * @param {string} config.guildId - Discord server ID (for dev/testing)
-   * @param {string} config.n8nWebhookUrl - N8N webhook URL
+   * @param {string} config.n8nWebhookUrl - N8N webhook URL (fallback when no pipeline)
    * @param {Object} config.novelManager - NovelManager instance
+   * @param {Object} config.seriesManager - SeriesManager instance (optional, enables /novel series)
+   * @param {Object} config.exporter - NovelExporter instance (optional, default: one without S3)
+   * @param {Object} config.importer - ManuscriptImporter instance (optional, default: new ManuscriptImporter)
+   * @param {Object} config.backupManager - BackupManager instance (optional, enables /novel backup and restore)
+   * @param {Object} config.pipeline - GenerationPipeline instance (optional)
+   * @param {Object} config.autopilot - Autopilot instance (optional, requires pipeline)
    */
   constructor(config) {
     this.token = config.token || process.env.DISCORD_TOKEN;
@@ -47,6 +82,12 @@ class IluvatarBot {
     this.guildId = config.guildId || process.env.DISCORD_GUILD_ID;
     this.n8nWebhookUrl = config.n8nWebhookUrl || process.env.N8N_WEBHOOK_URL;
     this.novelManager = config.novelManager;
+    this.seriesManager = config.seriesManager || config.novelManager?.seriesManager || null;
+    this.exporter = config.exporter || (config.novelManager ? new NovelExporter(config.novelManager) : null);
+    this.importer = config.importer || (config.novelManager ? new ManuscriptImporter(config.novelManager) : null);
+    this.backupManager = config.backupManager || null;
+    this.pipeline = config.pipeline || null;
+    this.autopilot = config.autopilot || null;
 
     if (!this.token) throw new Error('Discord token required');
     if (!this.clientId) throw new Error('Discord client ID required');
@@ -102,6 +143,37 @@ class IluvatarBot {
                   { name: 'English', value: 'en' }
                 ))
         )
+        .addSubcommand(sub =>
+          sub.setName('import')
+            .setDescription('Import an existing manuscript to continue writing (library only)')
+            .addAttachmentOption(opt =>
+              opt.setName('file')
+                .setDescription('Manuscript split by chapter headings: .md, .txt or .epub')
+                .setRequired(true))
+            .addStringOption(opt =>
+              opt.setName('title')
+                .setDescription('Novel title (default: from the manuscript)')
+                .setRequired(false))
+            .addStringOption(opt =>
+              opt.setName('genre')
+                .setDescription('Genre')
+                .setRequired(false)
+                .addChoices(
+                  { name: 'Xianxia', value: 'xianxia' },
+                  { name: 'Sci-Fi', value: 'scifi' },
+                  { name: 'Thriller', value: 'thriller' },
+                  { name: 'Fantasy', value: 'fantasy' },
+                  { name: 'Romance', value: 'romance' }
+                ))
+            .addStringOption(opt =>
+              opt.setName('language')
+                .setDescription('Novel language (default: detected)')
+                .setRequired(false)
+                .addChoices(
+                  { name: 'Chinese (中文)', value: 'zh' },
+                  { name: 'English', value: 'en' }
+                ))
+        )
         .addSubcommand(sub =>
           sub.setName('status')
             .setDescription('Check novel status')
@@ -146,6 +218,33 @@ class IluvatarBot {
                 .setDescription('Chapter number (leave empty for latest)')
                 .setRequired(false))
         )
+        .addSubcommand(sub =>
+          sub.setName('check')
+            .setDescription('Check a chapter against the story bible: dead characters, world facts, timeline, aliases')
+            .addIntegerOption(opt =>
+              opt.setName('chapter')
+                .setDescription('Chapter number (leave empty for latest)')
+                .setRequired(false))
+            .addStringOption(opt =>
+              opt.setName('novel_id')
+                .setDescription('Novel ID (required in library channel)')
+                .setRequired(false))
+        )
+        .addSubcommand(sub =>
+          sub.setName('autopilot')
+            .setDescription('Write, critique and revise chapters unattended - use in novel channel')
+            .addIntegerOption(opt =>
+              opt.setName('chapters')
+                .setDescription('Number of chapters to complete')
+                .setRequired(true)
+                .setMinValue(1)
+                .setMaxValue(50))
+            .addNumberOption(opt =>
+              opt.setName('max_spend')
+                .setDescription('Stop once this much (USD) has been spent (default from AUTOPILOT_SPEND_CEILING)')
+                .setRequired(false)
+                .setMinValue(0.01))
+        )
         .addSubcommand(sub =>
           sub.setName('recall')
             .setDescription('Go back to revise an earlier chapter')
@@ -156,86 +255,320 @@ class IluvatarBot {
         )
         .addSubcommand(sub =>
           sub.setName('cascade')
-            .setDescription('Regenerate all chapters after the recalled one')
-        )
-        .addSubcommand(sub =>
-          sub.setName('skip_cascade')
-            .setDescription('Keep later chapters as-is after recall revision')
-        )
-        .addSubcommand(sub =>
-          sub.setName('bible')
-            .setDescription('View the story bible')
+            .setDescription('After a recall revision: regenerate the later chapters or keep them as-is')
             .addStringOption(opt =>
-              opt.setName('section')
-                .setDescription('Bible section to view')
-                .setRequired(false)
+              opt.setName('later_chapters')
+                .setDescription('What to do with the chapters after the recalled one')
+                .setRequired(true)
                 .addChoices(
-                  { name: 'Characters', value: 'characters' },
-                  { name: 'Relationships', value: 'relationships' },
-                  { name: 'Plot Threads', value: 'plotThreads' },
-                  { name: 'World Facts', value: 'worldFacts' },
-                  { name: 'Timeline', value: 'timeline' },
-                  { name: 'Chekhov\'s Guns', value: 'chekhovs' }
+                  { name: 'Regenerate', value: 'regenerate' },
+                  { name: 'Keep as-is', value: 'keep' }
                 ))
+        )
+        .addSubcommand(sub =>
+          sub.setName('threads')
+            .setDescription('Chekhov\'s guns and plot threads by arc: payoff windows, overdue and quiet ones')
             .addStringOption(opt =>
               opt.setName('novel_id')
                 .setDescription('Novel ID (required in library channel)')
                 .setRequired(false))
         )
+        .addSubcommandGroup(group =>
+          group.setName('bible')
+            .setDescription('View and review the story bible')
+            .addSubcommand(sub =>
+              sub.setName('view')
+                .setDescription('View the story bible')
+                .addStringOption(opt =>
+                  opt.setName('section')
+                    .setDescription('Bible section to view')
+                    .setRequired(false)
+                    .addChoices(
+                      { name: 'Characters', value: 'characters' },
+                      { name: 'Relationships', value: 'relationships' },
+                      { name: 'Plot Threads', value: 'plotThreads' },
+                      { name: 'World Facts', value: 'worldFacts' },
+                      { name: 'Timeline', value: 'timeline' },
+                      { name: 'Chekhov\'s Guns', value: 'chekhovs' }
+                    ))
+                .addStringOption(opt =>
+                  opt.setName('novel_id')
+                    .setDescription('Novel ID (required in library channel)')
+                    .setRequired(false))
+            )
+            .addSubcommand(sub =>
+              sub.setName('debug')
+                .setDescription('Show which bible entries and passages would be retrieved for a chapter, and why')
+                .addIntegerOption(opt =>
+                  opt.setName('chapter')
+                    .setDescription('Chapter number')
+                    .setRequired(true))
+                .addStringOption(opt =>
+                  opt.setName('novel_id')
+                    .setDescription('Novel ID (required in library channel)')
+                    .setRequired(false))
+            )
+            .addSubcommand(sub =>
+              sub.setName('pending')
+                .setDescription('List Frodo\'s bible updates held for review because they contradict the bible')
+                .addStringOption(opt =>
+                  opt.setName('novel_id')
+                    .setDescription('Novel ID (required in library channel)')
+                    .setRequired(false))
+            )
+            .addSubcommand(sub =>
+              sub.setName('review')
+                .setDescription('Approve or reject bible updates held for review')
+                .addStringOption(opt =>
+                  opt.setName('decision')
+                    .setDescription('Apply the updates or drop them')
+                    .setRequired(true)
+                    .addChoices(
+                      { name: 'Approve', value: 'approve' },
+                      { name: 'Reject', value: 'reject' }
+                    ))
+                .addStringOption(opt =>
+                  opt.setName('updates')
+                    .setDescription('Update IDs from /novel bible pending, comma-separated, or "all"')
+                    .setRequired(true))
+            )
+        )
+        .addSubcommandGroup(group =>
+          group.setName('read')
+            .setDescription('Read the novel: chapters, outline, summaries (library: any novel, novel channel: this novel)')
+            .addSubcommand(sub =>
+              sub.setName('chapter')
+                .setDescription('Read a specific chapter (library: any novel, novel channel: this novel)')
+                .addIntegerOption(opt =>
+                  opt.setName('chapter')
+                    .setDescription('Chapter number')
+                    .setRequired(true))
+                .addStringOption(opt =>
+                  opt.setName('novel_id')
+                    .setDescription('Novel ID (required in library channel)')
+                    .setRequired(false))
+            )
+            .addSubcommand(sub =>
+              sub.setName('outline')
+                .setDescription('Read the full outline')
+                .addStringOption(opt =>
+                  opt.setName('novel_id')
+                    .setDescription('Novel ID (required in library channel)')
+                    .setRequired(false))
+            )
+            .addSubcommand(sub =>
+              sub.setName('summary')
+                .setDescription('Read a chapter\'s summary (the outline\'s plan if not written yet)')
+                .addIntegerOption(opt =>
+                  opt.setName('chapter')
+                    .setDescription('Chapter number')
+                    .setRequired(true))
+                .addStringOption(opt =>
+                  opt.setName('novel_id')
+                    .setDescription('Novel ID (required in library channel)')
+                    .setRequired(false))
+            )
+            .addSubcommand(sub =>
+              sub.setName('section')
+                .setDescription('Read a range of chapters')
+                .addIntegerOption(opt =>
+                  opt.setName('from')
+                    .setDescription('Starting chapter number')
+                    .setRequired(true))
+                .addIntegerOption(opt =>
+                  opt.setName('to')
+                    .setDescription('Ending chapter number')
+                    .setRequired(true))
+                .addStringOption(opt =>
+                  opt.setName('novel_id')
+                    .setDescription('Novel ID (required in library channel)')
+                    .setRequired(false))
+            )
+            .addSubcommand(sub =>
+              sub.setName('all')
+                .setDescription('Read the entire novel (all chapters)')
+                .addStringOption(opt =>
+                  opt.setName('novel_id')
+                    .setDescription('Novel ID (required in library channel)')
+                    .setRequired(false))
+            )
+        )
         .addSubcommand(sub =>
-          sub.setName('read_chapter')
-            .setDescription('Read a specific chapter (library: any novel, novel channel: this novel)')
+          sub.setName('history')
+            .setDescription('Who changed what: recent changes, a chapter\'s versions, or a bible entry\'s edits')
             .addIntegerOption(opt =>
               opt.setName('chapter')
-                .setDescription('Chapter number')
-                .setRequired(true))
+                .setDescription('List this chapter\'s versions with their critique scores')
+                .setRequired(false))
             .addStringOption(opt =>
-              opt.setName('novel_id')
-                .setDescription('Novel ID (required in library channel)')
+              opt.setName('entry')
+                .setDescription('Bible entry: character ID or name, thread ID, Chekhov item, world fact')
                 .setRequired(false))
-        )
-        .addSubcommand(sub =>
-          sub.setName('read_outline')
-            .setDescription('Read the full outline')
             .addStringOption(opt =>
               opt.setName('novel_id')
                 .setDescription('Novel ID (required in library channel)')
                 .setRequired(false))
         )
         .addSubcommand(sub =>
-          sub.setName('read_chapter_summary')
-            .setDescription('Read a specific chapter\'s outline summary')
+          sub.setName('diff')
+            .setDescription('Compare two versions of a chapter')
             .addIntegerOption(opt =>
               opt.setName('chapter')
                 .setDescription('Chapter number')
                 .setRequired(true))
+            .addIntegerOption(opt =>
+              opt.setName('from')
+                .setDescription('Earlier version')
+                .setRequired(true))
+            .addIntegerOption(opt =>
+              opt.setName('to')
+                .setDescription('Later version (leave empty for current)')
+                .setRequired(false))
+            .addStringOption(opt =>
+              opt.setName('level')
+                .setDescription('Diff granularity')
+                .setRequired(false)
+                .addChoices(
+                  { name: 'Paragraph', value: 'paragraph' },
+                  { name: 'Sentence', value: 'sentence' }
+                ))
             .addStringOption(opt =>
               opt.setName('novel_id')
                 .setDescription('Novel ID (required in library channel)')
                 .setRequired(false))
         )
         .addSubcommand(sub =>
-          sub.setName('read_section')
-            .setDescription('Read a range of chapters')
+          sub.setName('rollback')
+            .setDescription('Restore an earlier version of a chapter - use in novel channel')
             .addIntegerOption(opt =>
-              opt.setName('from')
-                .setDescription('Starting chapter number')
+              opt.setName('chapter')
+                .setDescription('Chapter number')
                 .setRequired(true))
             .addIntegerOption(opt =>
-              opt.setName('to')
-                .setDescription('Ending chapter number')
+              opt.setName('version')
+                .setDescription('Version to restore (see /novel history)')
                 .setRequired(true))
+        )
+        .addSubcommand(sub =>
+          sub.setName('export')
+            .setDescription('Download the novel as an EPUB, DOCX, HTML or web-novel TXT file')
+            .addStringOption(opt =>
+              opt.setName('format')
+                .setDescription('File format')
+                .setRequired(true)
+                .addChoices(
+                  { name: 'EPUB (e-readers)', value: 'epub' },
+                  { name: 'DOCX (Word)', value: 'docx' },
+                  { name: 'HTML (one page)', value: 'html' },
+                  { name: 'TXT (web-novel sites)', value: 'txt' }
+                ))
+            .addBooleanOption(opt =>
+              opt.setName('approved_only')
+                .setDescription('Only include approved chapters (default: all written chapters)')
+                .setRequired(false))
             .addStringOption(opt =>
               opt.setName('novel_id')
                 .setDescription('Novel ID (required in library channel)')
                 .setRequired(false))
         )
+        .addSubcommandGroup(group =>
+          group.setName('series')
+            .setDescription('Multi-POV series: shared canon bible and master timeline')
+            .addSubcommand(sub =>
+              sub.setName('create')
+                .setDescription('Create a series of POV novels')
+                .addStringOption(opt =>
+                  opt.setName('name')
+                    .setDescription('Series name')
+                    .setRequired(true))
+                .addStringOption(opt =>
+                  opt.setName('description')
+                    .setDescription('What the series is about')
+                    .setRequired(false))
+            )
+            .addSubcommand(sub =>
+              sub.setName('add')
+                .setDescription('Add a novel to a series as one POV')
+                .addStringOption(opt =>
+                  opt.setName('series_id')
+                    .setDescription('Series ID')
+                    .setRequired(true))
+                .addStringOption(opt =>
+                  opt.setName('novel_id')
+                    .setDescription('Novel ID (defaults to this channel\'s novel)')
+                    .setRequired(false))
+                .addStringOption(opt =>
+                  opt.setName('pov')
+                    .setDescription('POV character (defaults to the novel\'s)')
+                    .setRequired(false))
+                .addBooleanOption(opt =>
+                  opt.setName('share_bible')
+                    .setDescription('Move this novel\'s story bible into the series canon')
+                    .setRequired(false))
+            )
+            .addSubcommand(sub =>
+              sub.setName('place')
+                .setDescription('Place a chapter on the master timeline (story time, e.g. day number)')
+                .addIntegerOption(opt =>
+                  opt.setName('chapter')
+                    .setDescription('Chapter number')
+                    .setRequired(true))
+                .addNumberOption(opt =>
+                  opt.setName('start')
+                    .setDescription('Story time the chapter starts')
+                    .setRequired(true))
+                .addNumberOption(opt =>
+                  opt.setName('end')
+                    .setDescription('Story time the chapter ends (defaults to start)')
+                    .setRequired(false))
+                .addStringOption(opt =>
+                  opt.setName('note')
+                    .setDescription('Label for the moment, e.g. "Night of the tournament"')
+                    .setRequired(false))
+                .addStringOption(opt =>
+                  opt.setName('novel_id')
+                    .setDescription('Novel ID (defaults to this channel\'s novel)')
+                    .setRequired(false))
+            )
+            .addSubcommand(sub =>
+              sub.setName('timeline')
+                .setDescription('Show the master timeline, or what overlaps one chapter')
+                .addStringOption(opt =>
+                  opt.setName('series_id')
+                    .setDescription('Series ID (defaults to this channel\'s novel\'s series)')
+                    .setRequired(false))
+                .addIntegerOption(opt =>
+                  opt.setName('chapter')
+                    .setDescription('Show only chapters overlapping this chapter')
+                    .setRequired(false))
+                .addStringOption(opt =>
+                  opt.setName('novel_id')
+                    .setDescription('Novel the chapter belongs to (defaults to this channel\'s novel)')
+                    .setRequired(false))
+            )
+        )
         .addSubcommand(sub =>
-          sub.setName('read_all')
-            .setDescription('Read the entire novel (all chapters)')
+          sub.setName('backup')
+            .setDescription('Back up now and list recent backups (library only)')
             .addStringOption(opt =>
               opt.setName('novel_id')
-                .setDescription('Novel ID (required in library channel)')
+                .setDescription('Only snapshot this novel and list its snapshots')
+                .setRequired(false))
+        )
+        .addSubcommand(sub =>
+          sub.setName('restore')
+            .setDescription('Restore novels from a backup; previews unless dry_run is False (library only)')
+            .addStringOption(opt =>
+              opt.setName('backup')
+                .setDescription('latest, v<version>, a date (YYYY-MM-DD), a timestamp, or a key from /novel backup')
+                .setRequired(true))
+            .addStringOption(opt =>
+              opt.setName('novel_id')
+                .setDescription('Novel to restore (default: every novel in a full backup)')
+                .setRequired(false))
+            .addBooleanOption(opt =>
+              opt.setName('dry_run')
+                .setDescription('Only show what would be restored (default: True)')
                 .setRequired(false))
         )
         .addSubcommand(sub =>
@@ -323,7 +656,7 @@ class IluvatarBot {
           .addFields(
             { name: 'Create a Novel', value: '`/novel create title:\"Your Title\"`', inline: false },
             { name: 'List All Novels', value: '`/novel list`', inline: false },
-            { name: 'Read Any Chapter', value: '`/novel read novel_id:xxx chapter:1`', inline: false },
+            { name: 'Read Any Chapter', value: '`/novel read chapter novel_id:xxx chapter:1`', inline: false },
             { name: 'Check Status', value: '`/novel status novel_id:xxx`', inline: false },
             { name: 'Delete a Novel', value: '`/novel delete novel_id:xxx`', inline: false }
           )
@@ -378,7 +711,7 @@ class IluvatarBot {
     const channelType = await this.getChannelType(channelId);
 
     // Commands only allowed in library channel
-    const libraryOnlyCommands = ['create', 'list', 'delete'];
+    const libraryOnlyCommands = ['create', 'import', 'list', 'delete', 'backup', 'restore'];
     if (libraryOnlyCommands.includes(subcommand)) {
       if (channelType !== 'library') {
         return `\`/novel ${subcommand}\` can only be used in the <#${this.libraryChannelId}> channel.`;
@@ -387,12 +720,12 @@ class IluvatarBot {
     }
 
     // Commands only allowed in novel channels
-    const novelOnlyCommands = ['write', 'feedback', 'approve', 'critique', 'recall', 'cascade', 'skip_cascade', 'pause', 'resume'];
+    const novelOnlyCommands = ['write', 'feedback', 'approve', 'critique', 'autopilot', 'rollback', 'recall', 'cascade', 'pause', 'resume', 'bible review'];
 
     // Commands that work in both library and novel channels
     // In library: requires novel_id parameter
     // In novel channel: auto-resolves from channel
-    const dualChannelCommands = ['read_chapter', 'read_outline', 'read_chapter_summary', 'read_section', 'read_all'];
+    const dualChannelCommands = ['read chapter', 'read outline', 'read summary', 'read section', 'read all', 'history', 'diff', 'check', 'threads', 'bible debug', 'bible pending', 'export'];
     if (dualChannelCommands.includes(subcommand)) {
       // These commands work in both channels, validation happens in the handler
       return null;
@@ -408,7 +741,7 @@ class IluvatarBot {
       return null;
     }
 
-    // Commands allowed in both (status, bible)
+    // Commands allowed in both (status, bible view)
     // These work anywhere but may require novel_id in library channel
     return null;
   }
@@ -431,7 +764,11 @@ class IluvatarBot {
       if (!interaction.isChatInputCommand()) return;
       if (interaction.commandName !== 'novel') return;
 
-      const subcommand = interaction.options.getSubcommand();
+      // Grouped subcommands are dispatched as "group subcommand" (e.g. "series create")
+      const group = interaction.options.getSubcommandGroup(false);
+      const subcommand = group
+        ? `${group} ${interaction.options.getSubcommand()}`
+        : interaction.options.getSubcommand();
 
       // Validate channel access
       const channelError = await this.validateCommandChannel(subcommand, interaction.channelId);
@@ -445,6 +782,9 @@ class IluvatarBot {
           case 'create':
             await this.handleCreate(interaction);
             break;
+          case 'import':
+            await this.handleImport(interaction);
+            break;
           case 'status':
             await this.handleStatus(interaction);
             break;
@@ -469,36 +809,81 @@ class IluvatarBot {
           case 'critique':
             await this.handleCritique(interaction);
             break;
+          case 'check':
+            await this.handleCheck(interaction);
+            break;
+          case 'autopilot':
+            await this.handleAutopilot(interaction);
+            break;
           case 'recall':
             await this.handleRecall(interaction);
             break;
           case 'cascade':
-            await this.handleCascade(interaction, true);
+            await this.handleCascade(interaction);
             break;
-          case 'skip_cascade':
-            await this.handleCascade(interaction, false);
+          case 'threads':
+            await this.handleThreads(interaction);
             break;
-          case 'bible':
+          case 'bible view':
             await this.handleBible(interaction);
             break;
-          case 'read_chapter':
+          case 'bible debug':
+            await this.handleBibleDebug(interaction);
+            break;
+          case 'bible pending':
+            await this.handleBiblePending(interaction);
+            break;
+          case 'bible review':
+            await this.handleBibleReview(interaction);
+            break;
+          case 'read chapter':
             await this.handleReadChapter(interaction);
             break;
-          case 'read_outline':
+          case 'read outline':
             await this.handleReadOutline(interaction);
             break;
-          case 'read_chapter_summary':
+          case 'read summary':
             await this.handleReadChapterSummary(interaction);
             break;
-          case 'read_section':
+          case 'read section':
             await this.handleReadSection(interaction);
             break;
-          case 'read_all':
+          case 'read all':
             await this.handleReadAll(interaction);
             break;
+          case 'history':
+            await this.handleHistory(interaction);
+            break;
+          case 'diff':
+            await this.handleDiff(interaction);
+            break;
+          case 'rollback':
+            await this.handleRollback(interaction);
+            break;
+          case 'export':
+            await this.handleExport(interaction);
+            break;
           case 'delete':
             await this.handleDelete(interaction);
             break;
+          case 'backup':
+            await this.handleBackup(interaction);
+            break;
+          case 'restore':
+            await this.handleRestore(interaction);
+            break;
+          case 'series create':
+            await this.handleSeriesCreate(interaction);
+            break;
+          case 'series add':
+            await this.handleSeriesAdd(interaction);
+            break;
+          case 'series place':
+            await this.handleSeriesPlace(interaction);
+            break;
+          case 'series timeline':
+            await this.handleSeriesTimeline(interaction);
+            break;
           default:
             await interaction.reply({ content: 'Unknown command', ephemeral: true });
         }
@@ -527,7 +912,7 @@ class IluvatarBot {
     await interaction.deferReply();
 
     // Create the novel in our system first
-    const novel = await this.novelManager.createNovel({
+    const novel = await this.asUser(interaction).createNovel({
       title,
       genre,
       premise,
@@ -539,7 +924,7 @@ class IluvatarBot {
 
     // Link channel to novel (sets up bidirectional mapping)
     if (channel) {
-      await this.novelManager.linkChannel(novel.id, channel.id, channel.name);
+      await this.asUser(interaction).linkChannel(novel.id, channel.id, channel.name);
     }
 
     const embed = new EmbedBuilder()
@@ -579,6 +964,78 @@ class IluvatarBot {
     }
   }
 
+  /**
+   * Handle /novel import - Import a manuscript as a new novel
+   * Chapters are stored right away; Radagast's extraction (story bible +
+   * outline) runs afterwards and reports to the novel's channel.
+   */
+  async handleImport(interaction) {
+    const attachment = interaction.options.getAttachment('file');
+
+    await interaction.deferReply();
+
+    const response = await fetch(attachment.url);
+    if (!response.ok) {
+      throw new Error(`Could not download ${attachment.name}: ${response.status}`);
+    }
+
+    const result = await this.importer.import(Buffer.from(await response.arrayBuffer()), {
+      fileName: attachment.name,
+      title: interaction.options.getString('title') || undefined,
+      genre: interaction.options.getString('genre') || undefined,
+      language: interaction.options.getString('language') || undefined,
+      extract: false,
+      actor: discordActor(interaction.user)
+    });
+    const { novel } = result;
+
+    const channel = await this.createNovelChannel(interaction.guild, novel);
+    if (channel) {
+      await this.asUser(interaction).linkChannel(novel.id, channel.id, channel.name);
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle('📥 Manuscript Imported')
+      .setColor(0x00ff00)
+      .addFields(
+        { name: 'Title', value: novel.title, inline: true },
+        { name: 'Language', value: novel.language, inline: true },
+        { name: 'Chapters', value: `${result.chapters} (${result.words} words)`, inline: true },
+        { name: 'Novel ID', value: `\`${novel.id}\``, inline: false },
+        { name: 'Channel', value: channel ? `<#${channel.id}>` : 'Not created', inline: true }
+      )
+      .setFooter({ text: 'Radagast is building the story bible and outline...' });
+
+    if (result.frontMatter) {
+      embed.setDescription(`Skipped ${result.frontMatter.length} characters of front matter before the first chapter heading.`);
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+
+    // Extraction makes one model call per chapter; report when it is done
+    const report = channel || interaction.channel;
+    this.importer.extract(novel.id)
+      .then(async extraction => {
+        const doneEmbed = new EmbedBuilder()
+          .setTitle(`🦅 ${novel.title}: Story Bible Ready`)
+          .setColor(0x9932cc)
+          .addFields(
+            { name: 'Characters', value: String(extraction.characters), inline: true },
+            { name: 'World Facts', value: String(extraction.worldFacts), inline: true },
+            { name: 'Timeline Events', value: String(extraction.timelineEvents), inline: true },
+            { name: 'Chekhovs', value: String(extraction.chekhovs), inline: true },
+            { name: 'Outline', value: `${extraction.outlineChapters} imported + ${extraction.plannedChapters} planned chapters`, inline: true },
+            { name: 'Next Step', value: `\`/novel read outline\` to review, \`/novel write\` to write chapter ${extraction.nextChapter}`, inline: false }
+          )
+          .setFooter({ text: `Novel ID: ${novel.id}` });
+        await report?.send({ embeds: [doneEmbed] });
+      })
+      .catch(async err => {
+        console.error(`[Discord] Extraction failed for ${novel.id}:`, err);
+        await report?.send(`❌ Story bible extraction failed for **${novel.title}**: ${err.message}`).catch(() => {});
+      });
+  }
+
   /**
    * Create a dedicated Discord channel for a novel
    * Creates under "ILUVATAR Novels" category (creates category if needed)
@@ -668,7 +1125,7 @@ class IluvatarBot {
       novelId = novels[0].id;
     }
 
-    const state = await this.novelManager.getNovelState(novelId);
+    const state = await this.novelManager.getNovelState(novelId, { include: [] });
 
     if (!state) {
       await interaction.editReply(`Novel not found: ${novelId}`);
@@ -708,7 +1165,12 @@ class IluvatarBot {
       return;
     }
 
-    const state = await this.novelManager.getNovelState(novelId);
+    if (this.autopilot?.isRunning(novelId)) {
+      await interaction.editReply('Autopilot is running for this novel. Use `/novel pause` before writing.');
+      return;
+    }
+
+    const state = await this.novelManager.getNovelState(novelId, { include: ['outline'] });
 
     if (!state) {
       await interaction.editReply(`Novel not found: ${novelId}`);
@@ -757,8 +1219,8 @@ class IluvatarBot {
       }
     }
 
-    // Trigger N8N workflow
-    await this.triggerN8N({
+    // Run generation (pipeline, or N8N fallback)
+    await this.dispatchGeneration({
       action,
       novelId,
       metadata,
@@ -792,9 +1254,13 @@ class IluvatarBot {
       return;
     }
 
-    await this.novelManager.pauseNovel(novelId);
+    await this.asUser(interaction).pauseNovel(novelId);
+    const stoppedAutopilot = this.autopilot?.stop(novelId, STOP_REASONS.PAUSED);
     const novel = await this.novelManager.getNovel(novelId);
-    await interaction.editReply(`⏸️ **${novel.title}** paused.`);
+    await interaction.editReply(
+      `⏸️ **${novel.title}** paused.` +
+      (stoppedAutopilot ? ' Autopilot will stop after the current step.' : '')
+    );
   }
 
   /**
@@ -810,7 +1276,7 @@ class IluvatarBot {
       return;
     }
 
-    await this.novelManager.resumeNovel(novelId);
+    await this.asUser(interaction).resumeNovel(novelId);
     const novel = await this.novelManager.getNovel(novelId);
     await interaction.editReply(`▶️ **${novel.title}** resumed. Status: ${novel.status}`);
   }
@@ -863,7 +1329,12 @@ class IluvatarBot {
       return;
     }
 
-    const state = await this.novelManager.getNovelState(novelId);
+    if (this.autopilot?.isRunning(novelId)) {
+      await interaction.editReply('Autopilot is running for this novel. Use `/novel pause` before sending feedback.');
+      return;
+    }
+
+    const state = await this.novelManager.getNovelState(novelId, { include: ['outline'] });
     if (!state) {
       await interaction.editReply(`Novel not found: ${novelId}`);
       return;
@@ -890,7 +1361,7 @@ class IluvatarBot {
     }
 
     // Store feedback in novel manager (which uses Redis)
-    await this.novelManager.storeFeedback(novelId, {
+    await this.asUser(interaction).storeFeedback(novelId, {
       target: feedbackTarget,
       comment,
       timestamp: new Date().toISOString()
@@ -910,8 +1381,8 @@ class IluvatarBot {
       }
     }
 
-    // Trigger N8N to process the revision
-    await this.triggerN8N({
+    // Run the revision (pipeline, or N8N fallback)
+    await this.dispatchGeneration({
       action,
       novelId,
       metadata,
@@ -947,7 +1418,12 @@ class IluvatarBot {
       return;
     }
 
-    const state = await this.novelManager.getNovelState(novelId);
+    if (this.autopilot?.isRunning(novelId)) {
+      await interaction.editReply('Autopilot is running for this novel. Use `/novel pause` before approving.');
+      return;
+    }
+
+    const state = await this.novelManager.getNovelState(novelId, { include: ['outline'] });
     if (!state) {
       await interaction.editReply(`Novel not found: ${novelId}`);
       return;
@@ -958,6 +1434,7 @@ class IluvatarBot {
     // Determine what we're approving
     let approvalTarget;
     let nextStep;
+    let extraction = null;
 
     if (!state.outline) {
       await interaction.editReply('No outline exists yet. Use `/novel write` to generate one first.');
@@ -966,17 +1443,17 @@ class IluvatarBot {
       // Approving the outline
       approvalTarget = 'Outline';
       nextStep = 'Ready for chapter writing. Use `/novel write` to generate Chapter 1.';
-      await this.novelManager.approveOutline(novelId);
+      await this.asUser(interaction).approveOutline(novelId);
     } else {
       // Approving current chapter
       approvalTarget = `Chapter ${metadata.currentChapter}`;
       const nextChapter = metadata.currentChapter + 1;
       if (nextChapter > metadata.targetChapters) {
         nextStep = 'All chapters complete! Novel is finished.';
-        await this.novelManager.markCompleted(novelId);
+        await this.asUser(interaction).markCompleted(novelId);
       } else {
         nextStep = `Use \`/novel write\` to generate Chapter ${nextChapter}.`;
-        await this.novelManager.approveChapter(novelId, metadata.currentChapter);
+        extraction = await this.asUser(interaction).approveChapter(novelId, metadata.currentChapter);
       }
     }
 
@@ -988,6 +1465,14 @@ class IluvatarBot {
         { name: 'Approved', value: approvalTarget, inline: true },
         { name: 'Next Step', value: nextStep, inline: false }
       );
+    if (extraction && (extraction.applied.length > 0 || extraction.staged.length > 0)) {
+      embed.addFields({
+        name: 'Story Bible',
+        value: `${extraction.applied.length} update(s) applied` +
+          (extraction.staged.length > 0 ? `, ${extraction.staged.length} held for review (\`/novel bible pending\`)` : ''),
+        inline: false
+      });
+    }
 
     await interaction.editReply({ embeds: [embed] });
 
@@ -1011,7 +1496,12 @@ class IluvatarBot {
       return;
     }
 
-    const state = await this.novelManager.getNovelState(novelId);
+    if (this.autopilot?.isRunning(novelId)) {
+      await interaction.editReply('Autopilot is running for this novel. Use `/novel pause` before asking for a critique.');
+      return;
+    }
+
+    const state = await this.novelManager.getNovelState(novelId, { include: [] });
     if (!state) {
       await interaction.editReply(`Novel not found: ${novelId}`);
       return;
@@ -1043,8 +1533,19 @@ class IluvatarBot {
       }
     }
 
-    // Trigger N8N to get critique
-    await this.triggerN8N({
+    // The pipeline runs the continuity checker itself; N8N gets the findings with the bible context
+    const checker = this.novelManager.continuityChecker;
+    if (!this.pipeline && checker) {
+      try {
+        const continuity = checker.formatForPrompt(await checker.check(novelId, chapterNum));
+        bibleContext = bibleContext ? `${bibleContext}\n\n${continuity}` : continuity;
+      } catch (err) {
+        console.error('[Discord] Continuity check failed:', err);
+      }
+    }
+
+    // Run the critique (pipeline, or N8N fallback)
+    await this.dispatchGeneration({
       action: 'critique',
       novelId,
       metadata,
@@ -1064,6 +1565,126 @@ class IluvatarBot {
     await interaction.editReply({ embeds: [embed] });
   }
 
+  /**
+   * Handle /novel autopilot - Write, critique and revise N chapters unattended
+   * (Novel channel only - novel ID from channel)
+   */
+  async handleAutopilot(interaction) {
+    const chapters = interaction.options.getInteger('chapters');
+    const maxSpend = interaction.options.getNumber('max_spend');
+
+    await interaction.deferReply();
+
+    if (!this.autopilot) {
+      await interaction.editReply('Autopilot needs the in-process pipeline (it is unavailable with GENERATION_MODE=n8n).');
+      return;
+    }
+
+    const novelId = await this.novelManager.getNovelByChannel(interaction.channelId);
+    if (!novelId) {
+      await interaction.editReply('Could not find novel for this channel.');
+      return;
+    }
+
+    if (this.autopilot.isRunning(novelId)) {
+      const run = this.autopilot.getRun(novelId);
+      await interaction.editReply(
+        `🤖 Autopilot is already running: ${run.chaptersDone}/${run.chapters} chapters, ` +
+        `$${run.spent.toFixed(2)} of $${run.spendCeiling.toFixed(2)} spent. Use \`/novel pause\` to stop it.`
+      );
+      return;
+    }
+
+    const metadata = await this.novelManager.getNovel(novelId);
+    const callbackChannelId = metadata.discordChannelId || interaction.channelId;
+    const spendCeiling = maxSpend || this.autopilot.spendCeiling;
+
+    try {
+      await this.autopilot.checkCanStart(novelId);
+    } catch (err) {
+      await interaction.editReply(`Cannot start autopilot: ${err.message}`);
+      return;
+    }
+
+    // Runs for hours - don't block the interaction
+    this.autopilot.run(novelId, {
+      chapters,
+      spendCeiling,
+      onChapter: digest => this.sendToChannel(callbackChannelId, this.buildAutopilotDigestEmbed(digest, chapters))
+    })
+      .then(summary => this.sendToChannel(callbackChannelId, this.buildAutopilotSummaryEmbed(summary)))
+      .catch(err => console.error(`[Discord] Autopilot failed for ${novelId}:`, err));
+
+    const embed = new EmbedBuilder()
+      .setTitle('🤖 Autopilot Started')
+      .setColor(0x0099ff)
+      .addFields(
+        { name: 'Novel', value: metadata.title, inline: true },
+        { name: 'Chapters', value: String(chapters), inline: true },
+        { name: 'Spend Ceiling', value: `$${spendCeiling.toFixed(2)}`, inline: true }
+      )
+      .setFooter({ text: 'A digest is posted after each chapter. Use /novel pause to stop.' });
+
+    await interaction.editReply({ embeds: [embed] });
+  }
+
+  /**
+   * Build the per-chapter autopilot digest embed
+   *
+   * @param {Object} digest - Chapter digest from Autopilot
+   * @param {number} totalChapters - Chapters requested for the run
+   */
+  buildAutopilotDigestEmbed(digest, totalChapters) {
+    const attempts = digest.attempts
+      .map((a, i) => `${i + 1}. ${a.step}: ${a.score}/100${a.passed ? ' ✓' : ''}`)
+      .join('\n');
+
+    const embed = new EmbedBuilder()
+      .setTitle(`🤖 Chapter ${digest.chapterNum}: ${digest.title || 'Untitled'}`)
+      .setColor(digest.forced ? 0xffff00 : 0x00ff00)
+      .addFields(
+        { name: 'Score', value: `${digest.score}/100${digest.forced ? ' (force passed)' : ''}`, inline: true },
+        { name: 'Word Count', value: String(digest.wordCount || 'unknown'), inline: true },
+        { name: 'Cost', value: `$${digest.cost.toFixed(2)} (total $${digest.totalSpent.toFixed(2)})`, inline: true },
+        { name: 'Attempts', value: attempts || 'None', inline: false }
+      )
+      .setFooter({ text: `Autopilot | ${totalChapters} chapters requested` })
+      .setTimestamp();
+    if (digest.bibleStaged > 0) {
+      embed.addFields({ name: 'Story Bible', value: `${digest.bibleStaged} update(s) held for review (\`/novel bible pending\`)`, inline: false });
+    }
+    return embed;
+  }
+
+  /**
+   * Build the end-of-run autopilot summary embed
+   *
+   * @param {Object} summary - Result of Autopilot.run
+   */
+  buildAutopilotSummaryEmbed(summary) {
+    const reasons = {
+      [STOP_REASONS.DONE]: 'All requested chapters finished',
+      [STOP_REASONS.COMPLETED]: 'Novel reached its target chapter count',
+      [STOP_REASONS.PAUSED]: 'Novel was paused',
+      [STOP_REASONS.STOPPED]: 'Stopped',
+      [STOP_REASONS.OUTLINE_CHANGED]: 'Outline changed',
+      [STOP_REASONS.RECALLED]: 'A chapter was recalled',
+      [STOP_REASONS.SPEND_CEILING]: `The next step would pass the $${summary.spendCeiling.toFixed(2)} spend ceiling`,
+      [STOP_REASONS.ERROR]: `Error: ${(summary.error || 'unknown').substring(0, 900)}`
+    };
+    const finished = [STOP_REASONS.DONE, STOP_REASONS.COMPLETED].includes(summary.stopReason);
+
+    return new EmbedBuilder()
+      .setTitle(finished ? '🤖 Autopilot Finished' : '🤖 Autopilot Stopped')
+      .setColor(finished ? 0x00ff00 : summary.stopReason === STOP_REASONS.ERROR ? 0xff0000 : 0xffa500)
+      .addFields(
+        { name: 'Chapters', value: `${summary.chaptersDone}/${summary.chapters}`, inline: true },
+        { name: 'Spent', value: `$${summary.spent.toFixed(2)}`, inline: true },
+        { name: 'Reason', value: reasons[summary.stopReason] || summary.stopReason, inline: false }
+      )
+      .setTimestamp();
+  }
+
   /**
    * Resolve novel context from channel or provided ID
    * For novel channels, auto-resolves the novel ID
@@ -1089,7 +1710,7 @@ class IluvatarBot {
       novelId = novels[0].id;
     }
 
-    const state = await this.novelManager.getNovelState(novelId);
+    const state = await this.novelManager.getNovelState(novelId, { include: [] });
     if (!state) {
       return null;
     }
@@ -1112,8 +1733,13 @@ class IluvatarBot {
       return;
     }
 
+    if (this.autopilot?.isRunning(novelId)) {
+      await interaction.editReply('Autopilot is running for this novel. Use `/novel pause` before recalling a chapter.');
+      return;
+    }
+
     try {
-      const result = await this.novelManager.recallChapter(novelId, chapterNum);
+      const result = await this.asUser(interaction).recallChapter(novelId, chapterNum);
 
       const embed = new EmbedBuilder()
         .setTitle(`🔙 Recalled ${chapterNum === 0 ? 'Outline' : `Chapter ${chapterNum}`}`)
@@ -1123,7 +1749,7 @@ class IluvatarBot {
       if (result.cascadePending.length > 0) {
         embed.addFields(
           { name: 'Affected Chapters', value: result.cascadePending.join(', '), inline: true },
-          { name: 'Next Steps', value: 'Use `/novel feedback` to submit revisions.\nThen use `/novel cascade` to regenerate affected chapters, or `/novel skip_cascade` to keep them as-is.', inline: false }
+          { name: 'Next Steps', value: 'Use `/novel feedback` to submit revisions.\nThen use `/novel cascade later_chapters:Regenerate` to regenerate affected chapters, or `later_chapters:Keep as-is` to keep them.', inline: false }
         );
       } else {
         embed.addFields(
@@ -1138,9 +1764,11 @@ class IluvatarBot {
   }
 
   /**
-   * Handle /novel cascade or /novel skip_cascade
+   * Handle /novel cascade - regenerate or keep the chapters after a recall
    */
-  async handleCascade(interaction, doCascade) {
+  async handleCascade(interaction) {
+    const doCascade = interaction.options.getString('later_chapters') === 'regenerate';
+
     await interaction.deferReply();
 
     // Get novel from channel
@@ -1150,10 +1778,15 @@ class IluvatarBot {
       return;
     }
 
+    if (this.autopilot?.isRunning(novelId)) {
+      await interaction.editReply('Autopilot is running for this novel. Use `/novel pause` before finishing a recall.');
+      return;
+    }
+
     try {
-      await this.novelManager.completeRecall(novelId, doCascade);
+      await this.asUser(interaction).completeRecall(novelId, doCascade);
 
-      const state = await this.novelManager.getNovelState(novelId);
+      const state = await this.novelManager.getNovelState(novelId, { include: [] });
       const { metadata } = state;
 
       if (doCascade) {
@@ -1185,7 +1818,7 @@ class IluvatarBot {
   }
 
   /**
-   * Handle /novel bible - View the story bible
+   * Handle /novel bible view - View the story bible
    */
   async handleBible(interaction) {
     let novelId = interaction.options.getString('novel_id');
@@ -1256,10 +1889,10 @@ class IluvatarBot {
           } else {
             for (const thread of threads.slice(0, 10)) {
               embed.addFields({
-                name: `${thread.title}${thread.resolved ? ' ✓' : ''}`,
-                value: thread.foreshadowing?.length
+                name: `${thread.title}${thread.resolved ? ` ✓ (ch${thread.resolved})` : ''}`,
+                value: (thread.foreshadowing?.length
                   ? `Foreshadowing: ${thread.foreshadowing.length} hints`
-                  : 'No foreshadowing yet',
+                  : 'No foreshadowing yet') + (thread.payoffWindow ? ` | Payoff: ${formatWindow(thread.payoffWindow)}` : ''),
                 inline: true
               });
             }
@@ -1298,7 +1931,8 @@ class IluvatarBot {
             for (const gun of guns.slice(0, 10)) {
               embed.addFields({
                 name: `${gun.item}${gun.payoff ? ` ✓ (ch${gun.payoff})` : ''}`,
-                value: `Introduced: ch${gun.introduced}${gun.notes ? ` | ${gun.notes}` : ''}`,
+                value: `${gun.id ? `\`${gun.id}\` ` : ''}Introduced: ch${gun.introduced}` +
+                  `${gun.payoffWindow ? ` | Payoff: ${formatWindow(gun.payoffWindow)}` : ''}${gun.notes ? ` | ${gun.notes}` : ''}`,
                 inline: true
               });
             }
@@ -1307,7 +1941,7 @@ class IluvatarBot {
       }
     } else {
       // Show overview
-      embed.setDescription('Use `/novel bible section:<name>` to view a specific section.');
+      embed.setDescription('Use `/novel bible view section:<name>` to view a specific section.');
       embed.addFields(
         { name: 'Characters', value: String(Object.keys(bible.characters || {}).length), inline: true },
         { name: 'Relationships', value: String((bible.relationships || []).length), inline: true },
@@ -1322,39 +1956,435 @@ class IluvatarBot {
   }
 
   /**
-   * Resolve novel ID from channel or provided parameter
-   * Works for dual-channel commands (library or novel channel)
+   * Handle /novel check - Rule-based continuity check of a chapter against the story bible
    */
-  async resolveNovelIdForRead(interaction) {
-    let novelId = interaction.options.getString('novel_id');
-
-    // If no ID provided, try to get from channel
-    if (!novelId) {
-      novelId = await this.novelManager.getNovelByChannel(interaction.channelId);
+  async handleCheck(interaction) {
+    const checker = this.novelManager.continuityChecker;
+    if (!checker) {
+      await interaction.reply({ content: 'Continuity checks are not enabled on this bot.', ephemeral: true });
+      return;
     }
 
-    // If still no ID and we're in library channel, error
-    if (!novelId && this.isLibraryChannel(interaction.channelId)) {
-      return { error: 'Please provide a `novel_id` when using this command in the library channel.' };
-    }
+    await interaction.deferReply();
 
-    if (!novelId) {
-      return { error: 'Could not determine which novel to read. Please provide a `novel_id`.' };
+    const result = await this.resolveNovelIdForRead(interaction);
+    if (result.error) {
+      await interaction.editReply(result.error);
+      return;
     }
 
-    const state = await this.novelManager.getNovelState(novelId);
-    if (!state) {
-      return { error: `Novel not found: ${novelId}` };
+    const { novelId, state } = result;
+    const { metadata, stats } = state;
+    const chapterNum = interaction.options.getInteger('chapter') || stats.chaptersWritten;
+
+    if (!chapterNum || chapterNum < 1 || chapterNum > stats.chaptersWritten) {
+      await interaction.editReply(stats.chaptersWritten
+        ? `Invalid chapter number. Written chapters: 1-${stats.chaptersWritten}`
+        : 'No chapters written yet. Use `/novel write` to generate the first chapter.');
+      return;
     }
 
-    return { novelId, state };
+    const report = await checker.check(novelId, chapterNum);
+    const lines = report.findings.slice(0, 15).map(formatContinuityFinding);
+
+    const embed = new EmbedBuilder()
+      .setTitle(`🧭 Continuity Check: ${metadata.title} - Chapter ${chapterNum}`)
+      .setColor(report.errors > 0 ? 0xff0000 : report.warnings > 0 ? 0xffff00 : 0x00ff00)
+      .setDescription(report.findings.length === 0
+        ? 'No contradictions with the story bible found.'
+        : lines.join('\n\n').substring(0, 4000))
+      .addFields(
+        { name: 'Errors', value: String(report.errors), inline: true },
+        { name: 'Warnings', value: String(report.warnings), inline: true }
+      )
+      .setFooter({ text: report.findings.length > 15
+        ? `...and ${report.findings.length - 15} more | Elrond sees all findings when critiquing`
+        : `Elrond sees these findings when critiquing | Novel ID: ${novelId}` });
+
+    await interaction.editReply({ embeds: [embed] });
   }
 
   /**
-   * Handle /novel read_chapter - Read a specific chapter
+   * Handle /novel threads - Per-arc dashboard of Chekhov's guns and plot threads
    */
-  async handleReadChapter(interaction) {
-    const chapterNum = interaction.options.getInteger('chapter');
+  async handleThreads(interaction) {
+    const tracker = this.novelManager.payoffTracker;
+    if (!tracker) {
+      await interaction.reply({ content: 'Payoff tracking is not enabled on this bot.', ephemeral: true });
+      return;
+    }
+
+    await interaction.deferReply();
+
+    const result = await this.resolveNovelIdForRead(interaction);
+    if (result.error) {
+      await interaction.editReply(result.error);
+      return;
+    }
+
+    const { novelId, state } = result;
+    const report = await tracker.report(novelId);
+
+    const embed = new EmbedBuilder()
+      .setTitle(`🧵 Threads & Chekhov's Guns: ${state.metadata.title}`)
+      .setColor(report.overdue.length > 0 ? 0xff0000 : report.due.length + report.quiet.length > 0 ? 0xffff00 : 0x00ff00)
+      .setDescription(report.items.length === 0
+        ? 'No plot threads or Chekhov\'s guns in the story bible yet.'
+        : [
+          `As of chapter ${report.chapterNum}: **${report.overdue.length}** overdue, **${report.due.length}** due soon, ` +
+            `**${report.quiet.length}** quiet, **${report.early.length}** paid off without setup`,
+          '⛔ overdue · ⏰ due · 💤 quiet · ⚠️ no setup · ✅ paid · ▫️ open'
+        ].join('\n'))
+      .setFooter({ text: `Windows from the outline, or defaults from the introduction | Novel ID: ${novelId}` });
+
+    // Discord allows 25 fields; arcs past that are summarised in the last one
+    const arcs = report.arcs.filter(arc => arc.items.length > 0);
+    for (const arc of arcs.slice(0, 24)) {
+      const current = arc.from && report.chapterNum >= arc.from && report.chapterNum <= arc.to;
+      const range = arc.from ? ` (ch${arc.from}-${arc.to})` : '';
+      const lines = arc.items.map(formatPayoffItem);
+      embed.addFields({
+        name: `${current ? '▶ ' : ''}${arc.number ? `Arc ${arc.number}: ` : ''}${arc.title || ''}${range}`.substring(0, 256),
+        value: (lines.length > 12 ? [...lines.slice(0, 12), `...and ${lines.length - 12} more`] : lines).join('\n').substring(0, 1024),
+        inline: false
+      });
+    }
+    if (arcs.length > 24) {
+      embed.addFields({ name: 'More arcs', value: `${arcs.length - 24} more arc(s) not shown`, inline: false });
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+  }
+
+  /**
+   * Handle /novel bible debug - Explain what the retriever would send Frodo for a chapter
+   */
+  async handleBibleDebug(interaction) {
+    const chapterNum = interaction.options.getInteger('chapter');
+
+    await interaction.deferReply();
+
+    const retriever = this.novelManager.bibleRetriever;
+    if (!retriever) {
+      await interaction.editReply('Bible retrieval is not enabled; Frodo receives the full story bible.');
+      return;
+    }
+
+    const result = await this.resolveNovelIdForRead(interaction);
+    if (result.error) {
+      await interaction.editReply(result.error);
+      return;
+    }
+
+    const { novelId } = result;
+    const explanation = await retriever.explainRetrieval(novelId, chapterNum);
+    const included = explanation.entries.filter(e => e.included);
+    const excluded = explanation.entries.filter(e => !e.included && e.score > 0);
+
+    const formatEntry = e => `\`${e.score.toFixed(3)}\` [${e.type}] **${e.label}** - ${e.explanation}`;
+    const fieldValue = lines => (lines.join('\n') || 'None').substring(0, 1024);
+
+    const embed = new EmbedBuilder()
+      .setTitle(`🔎 Bible Retrieval: Chapter ${chapterNum}`)
+      .setColor(0x9932cc)
+      .setDescription(`**Query:** ${explanation.query.substring(0, 500)}`)
+      .addFields(
+        { name: `Included (${included.length})`, value: fieldValue(included.slice(0, 15).map(formatEntry)), inline: false },
+        { name: `Ranked but excluded (${excluded.length})`, value: fieldValue(excluded.slice(0, 8).map(formatEntry)), inline: false },
+        {
+          name: `Passages (${explanation.passages.length})`,
+          value: fieldValue(explanation.passages.map(p => `\`${p.score.toFixed(3)}\` ${p.reference}: ${p.text.substring(0, 80).replace(/\n+/g, ' ')}...`)),
+          inline: false
+        }
+      )
+      .setFooter({ text: `${explanation.embedder} | threshold ${explanation.threshold} | top ${explanation.topK} per type | Novel ID: ${novelId}` });
+
+    await interaction.editReply({ embeds: [embed] });
+  }
+
+  /**
+   * Handle /novel bible pending - Frodo's bible updates held for review
+   */
+  async handleBiblePending(interaction) {
+    await interaction.deferReply();
+
+    const result = await this.resolveNovelIdForRead(interaction);
+    if (result.error) {
+      await interaction.editReply(result.error);
+      return;
+    }
+
+    const { novelId, state } = result;
+    const pending = await this.novelManager.getPendingBibleUpdates(novelId);
+
+    const lines = pending.slice(0, 20).map(formatBibleUpdate);
+    const embed = new EmbedBuilder()
+      .setTitle(`📝 Bible Updates for Review: ${state.metadata.title}`)
+      .setColor(0x9932cc)
+      .setDescription(pending.length === 0
+        ? 'Nothing to review. Updates that fit the story bible are applied when a chapter is approved.'
+        : lines.join('\n').substring(0, 4000))
+      .setFooter({ text: pending.length > 20
+        ? `...and ${pending.length - 20} more | /novel bible review decides`
+        : `Novel ID: ${novelId}` });
+
+    await interaction.editReply({ embeds: [embed] });
+  }
+
+  /**
+   * Handle /novel bible review - Approve or reject staged bible updates
+   * (Novel channel only - novel ID from channel)
+   */
+  async handleBibleReview(interaction) {
+    const approved = interaction.options.getString('decision') === 'approve';
+    const requested = interaction.options.getString('updates').trim().toLowerCase();
+
+    const extractor = this.novelManager.bibleExtractor;
+    if (!extractor) {
+      await interaction.reply({ content: 'Bible extraction is not enabled on this bot.', ephemeral: true });
+      return;
+    }
+
+    await interaction.deferReply();
+
+    const novelId = await this.novelManager.getNovelByChannel(interaction.channelId);
+    if (!novelId) {
+      await interaction.editReply('Could not find novel for this channel.');
+      return;
+    }
+
+    const ids = requested === 'all' ? null : requested.split(/[\s,]+/).filter(Boolean);
+    const reviewed = await extractor.review(novelId, ids, approved, { actor: discordActor(interaction.user) });
+    const remaining = await this.novelManager.getPendingBibleUpdates(novelId);
+
+    const embed = new EmbedBuilder()
+      .setTitle(approved ? '✅ Bible Updates Applied' : '🗑️ Bible Updates Rejected')
+      .setColor(approved ? 0x00ff00 : 0x808080)
+      .setDescription(reviewed.map(formatBibleUpdate).join('\n').substring(0, 4000) || 'Nothing was waiting for review.')
+      .setFooter({ text: `${remaining.length} update(s) still waiting for review` });
+
+    await interaction.editReply({ embeds: [embed] });
+  }
+
+  /**
+   * Handle /novel series create
+   */
+  async handleSeriesCreate(interaction) {
+    if (!this.seriesManager) {
+      await interaction.reply({ content: 'Series are not enabled on this bot.', ephemeral: true });
+      return;
+    }
+
+    await interaction.deferReply();
+
+    const series = await this.seriesManager.createSeries({
+      name: interaction.options.getString('name'),
+      description: interaction.options.getString('description') || ''
+    });
+
+    const embed = new EmbedBuilder()
+      .setTitle(`📖 Series Created: ${series.name}`)
+      .setColor(0x9932cc)
+      .setDescription(series.description || 'Add POV novels with `/novel series add`.')
+      .addFields({ name: 'Series ID', value: `\`${series.id}\``, inline: false });
+
+    await interaction.editReply({ embeds: [embed] });
+  }
+
+  /**
+   * Handle /novel series add - Add a POV novel to a series
+   */
+  async handleSeriesAdd(interaction) {
+    if (!this.seriesManager) {
+      await interaction.reply({ content: 'Series are not enabled on this bot.', ephemeral: true });
+      return;
+    }
+
+    const seriesId = interaction.options.getString('series_id');
+    const pov = interaction.options.getString('pov');
+    const shareBible = interaction.options.getBoolean('share_bible') || false;
+
+    await interaction.deferReply();
+
+    const result = await this.resolveNovelIdForRead(interaction);
+    if (result.error) {
+      await interaction.editReply(result.error);
+      return;
+    }
+
+    const { novelId, state } = result;
+    const series = await this.seriesManager.addNovel(seriesId, novelId, { pov, shareBible });
+    const member = series.novels.find(n => n.novelId === novelId);
+
+    const embed = new EmbedBuilder()
+      .setTitle(`📖 ${series.name}: added "${state.metadata.title}"`)
+      .setColor(0x9932cc)
+      .setDescription(series.novels.map(n => `• **${n.title}** - POV: ${n.pov}`).join('\n'))
+      .setFooter({
+        text: `${shareBible ? 'Story bible moved into the series canon' : 'Story bible kept private (layered over the canon)'} | POV: ${member.pov}`
+      });
+
+    await interaction.editReply({ embeds: [embed] });
+  }
+
+  /**
+   * Handle /novel series place - Put a chapter on the master timeline
+   */
+  async handleSeriesPlace(interaction) {
+    if (!this.seriesManager) {
+      await interaction.reply({ content: 'Series are not enabled on this bot.', ephemeral: true });
+      return;
+    }
+
+    const chapterNum = interaction.options.getInteger('chapter');
+    const start = interaction.options.getNumber('start');
+    const end = interaction.options.getNumber('end') ?? start;
+    const note = interaction.options.getString('note');
+
+    await interaction.deferReply();
+
+    const result = await this.resolveNovelIdForRead(interaction);
+    if (result.error) {
+      await interaction.editReply(result.error);
+      return;
+    }
+
+    const { novelId, state } = result;
+    if (!state.metadata.seriesId) {
+      await interaction.editReply('This novel is not part of a series. Add it with `/novel series add` first.');
+      return;
+    }
+
+    await this.seriesManager.placeChapter(state.metadata.seriesId, { novelId, chapterNum, start, end, note });
+    const { overlaps } = await this.seriesManager.getOverlaps(state.metadata.seriesId, novelId, chapterNum);
+
+    const embed = new EmbedBuilder()
+      .setTitle(`🕰️ Placed Chapter ${chapterNum} at ${formatSpan(start, end)}`)
+      .setColor(0x9932cc)
+      .setDescription(overlaps.length > 0
+        ? `**Overlaps:**\n${overlaps.map(formatPlacement).join('\n')}`.substring(0, 4000)
+        : 'No other POV chapters overlap this one yet.')
+      .setFooter({ text: `${note ? `${note} | ` : ''}Novel ID: ${novelId}` });
+
+    await interaction.editReply({ embeds: [embed] });
+  }
+
+  /**
+   * Handle /novel series timeline - Master timeline, or one chapter's overlaps
+   */
+  async handleSeriesTimeline(interaction) {
+    if (!this.seriesManager) {
+      await interaction.reply({ content: 'Series are not enabled on this bot.', ephemeral: true });
+      return;
+    }
+
+    const chapterNum = interaction.options.getInteger('chapter');
+    let seriesId = interaction.options.getString('series_id');
+
+    await interaction.deferReply();
+
+    // The novel only matters for defaulting the series and for chapter overlaps
+    let novelId = null;
+    if (!seriesId || chapterNum) {
+      const result = await this.resolveNovelIdForRead(interaction);
+      if (result.error) {
+        await interaction.editReply(seriesId ? result.error : 'Please provide a `series_id`, or use this in a novel channel.');
+        return;
+      }
+      novelId = result.novelId;
+      seriesId = seriesId || result.state.metadata.seriesId;
+      if (!seriesId) {
+        await interaction.editReply('This novel is not part of a series. Add it with `/novel series add` first.');
+        return;
+      }
+    }
+
+    const series = await this.seriesManager.getSeries(seriesId);
+    if (!series) {
+      await interaction.editReply(`Series not found: ${seriesId}`);
+      return;
+    }
+
+    if (chapterNum) {
+      const { placement, overlaps } = await this.seriesManager.getOverlaps(seriesId, novelId, chapterNum);
+      if (!placement) {
+        await interaction.editReply(`Chapter ${chapterNum} is not on the timeline yet. Place it with \`/novel series place\`.`);
+        return;
+      }
+
+      const embed = new EmbedBuilder()
+        .setTitle(`🕰️ ${series.name}: Chapter ${chapterNum} at ${formatSpan(placement.start, placement.end)}`)
+        .setColor(0x9932cc)
+        .setDescription(overlaps.length > 0
+          ? `**Happening at the same time:**\n${overlaps.map(formatPlacement).join('\n')}`.substring(0, 4000)
+          : 'No other POV chapters overlap this one.')
+        .setFooter({ text: `Series ID: ${seriesId}` });
+
+      await interaction.editReply({ embeds: [embed] });
+      return;
+    }
+
+    const timeline = await this.seriesManager.getTimeline(seriesId);
+    if (timeline.length === 0) {
+      await interaction.editReply(`**${series.name}** has no chapters on its timeline yet. Use \`/novel series place\` in a novel channel.`);
+      return;
+    }
+
+    // Flag chapters that share story time with another POV
+    const lines = timeline.map(p => {
+      const concurrent = timeline.some(o => o.novelId !== p.novelId && o.start <= p.end && o.end >= p.start);
+      return `${concurrent ? '⇄ ' : ''}${formatPlacement(p)}`;
+    });
+
+    await this.sendContentAsEmbeds(interaction, `🕰️ ${series.name}: Master Timeline`, lines.join('\n'), {
+      footer: `${series.novels.length} POV novel(s) | ⇄ = overlaps another POV | Series ID: ${seriesId}`
+    });
+  }
+
+  /**
+   * NovelManager view whose changes are recorded as made by the user behind an interaction
+   */
+  asUser(interaction) {
+    return this.novelManager.withActor(discordActor(interaction.user));
+  }
+
+  /**
+   * Resolve novel ID from channel or provided parameter
+   * Works for dual-channel commands (library or novel channel)
+   *
+   * @param {Object} interaction - Discord interaction
+   * @param {string[]} include - Parts of the novel state to load besides metadata (see NovelManager.getNovelState)
+   */
+  async resolveNovelIdForRead(interaction, include = []) {
+    let novelId = interaction.options.getString('novel_id');
+
+    // If no ID provided, try to get from channel
+    if (!novelId) {
+      novelId = await this.novelManager.getNovelByChannel(interaction.channelId);
+    }
+
+    // If still no ID and we're in library channel, error
+    if (!novelId && this.isLibraryChannel(interaction.channelId)) {
+      return { error: 'Please provide a `novel_id` when using this command in the library channel.' };
+    }
+
+    if (!novelId) {
+      return { error: 'Could not determine which novel to read. Please provide a `novel_id`.' };
+    }
+
+    const state = await this.novelManager.getNovelState(novelId, { include });
+    if (!state) {
+      return { error: `Novel not found: ${novelId}` };
+    }
+
+    return { novelId, state };
+  }
+
+  /**
+   * Handle /novel read chapter - Read a specific chapter
+   */
+  async handleReadChapter(interaction) {
+    const chapterNum = interaction.options.getInteger('chapter');
 
     await interaction.deferReply();
 
@@ -1368,7 +2398,7 @@ class IluvatarBot {
     const { metadata, stats } = state;
 
     // Get chapter
-    const chapter = state.chapters ? state.chapters[chapterNum] : null;
+    const chapter = await this.novelManager.getChapter(novelId, chapterNum);
     if (!chapter) {
       if (!stats.chaptersWritten || stats.chaptersWritten === 0) {
         await interaction.editReply('No chapters written yet. Use `/novel write` to generate the first chapter.');
@@ -1387,12 +2417,12 @@ class IluvatarBot {
   }
 
   /**
-   * Handle /novel read_outline - Read the full outline
+   * Handle /novel read outline - Read the full outline
    */
   async handleReadOutline(interaction) {
     await interaction.deferReply();
 
-    const result = await this.resolveNovelIdForRead(interaction);
+    const result = await this.resolveNovelIdForRead(interaction, ['outline']);
     if (result.error) {
       await interaction.editReply(result.error);
       return;
@@ -1421,10 +2451,302 @@ class IluvatarBot {
   }
 
   /**
-   * Handle /novel read_chapter_summary - Read a specific chapter's outline summary
+   * Handle /novel read summary - Read a chapter's summary
+   * Written chapters get Shadowfax's summary; unwritten ones the outline entry.
+   */
+  async handleReadChapterSummary(interaction) {
+    const chapterNum = interaction.options.getInteger('chapter');
+
+    await interaction.deferReply();
+
+    const result = await this.resolveNovelIdForRead(interaction, ['outline']);
+    if (result.error) {
+      await interaction.editReply(result.error);
+      return;
+    }
+
+    const { novelId, state } = result;
+    const title = `📋 Chapter ${chapterNum} Summary`;
+
+    // Written chapters: Shadowfax's summary of the current text
+    const summaryManager = this.novelManager.summaryManager;
+    const written = await this.novelManager.getChapter(novelId, chapterNum);
+    if (summaryManager && written?.content) {
+      const summary = await summaryManager.getChapterSummary(novelId, chapterNum);
+      const sections = [
+        `**${written.title || `Chapter ${chapterNum}`}**\n${summary.summary}`,
+        summary.keyEvents?.length ? `**Key events**\n${summary.keyEvents.map(e => `• ${e}`).join('\n')}` : null,
+        summary.openThreads?.length ? `**Open threads**\n${summary.openThreads.map(t => `• ${t}`).join('\n')}` : null
+      ];
+      await this.sendContentAsEmbeds(interaction, title, sections.filter(Boolean).join('\n\n'), {
+        footer: `Summary of v${summary.version} | Novel ID: ${novelId}`
+      });
+      return;
+    }
+
+    // Not written yet: what the outline plans for it
+    if (!state.outline) {
+      await interaction.editReply('No outline exists yet. Use `/novel write` to generate one.');
+      return;
+    }
+
+    // Outlines saved by the pipeline carry parsed chapters; older ones only have raw text
+    const chapters = state.outline.chapters?.length
+      ? state.outline.chapters
+      : parseGandalfOutput(state.outline.raw || '').data.chapters;
+    const chapter = chapters.find(c => c.number === chapterNum);
+
+    if (!chapter) {
+      await interaction.editReply(`Chapter ${chapterNum} summary not found in outline.`);
+      return;
+    }
+
+    const summary = chapter.title && chapter.summary !== chapter.title
+      ? `**${chapter.title}**\n${chapter.summary}`
+      : chapter.summary;
+    await this.sendContentAsEmbeds(interaction, title, summary, {
+      footer: `From outline | Novel ID: ${novelId}`
+    });
+  }
+
+  /**
+   * Handle /novel read section - Read a range of chapters
+   */
+  async handleReadSection(interaction) {
+    const fromChapter = interaction.options.getInteger('from');
+    const toChapter = interaction.options.getInteger('to');
+
+    await interaction.deferReply();
+
+    if (fromChapter > toChapter) {
+      await interaction.editReply('`from` chapter must be less than or equal to `to` chapter.');
+      return;
+    }
+
+    if (toChapter - fromChapter > 10) {
+      await interaction.editReply('Please request at most 10 chapters at a time to avoid message limits.');
+      return;
+    }
+
+    const result = await this.resolveNovelIdForRead(interaction, ['chapters']);
+    if (result.error) {
+      await interaction.editReply(result.error);
+      return;
+    }
+
+    const { novelId, state } = result;
+    const { metadata, stats } = state;
+
+    if (!stats.chaptersWritten || stats.chaptersWritten === 0) {
+      await interaction.editReply('No chapters written yet.');
+      return;
+    }
+
+    // Collect all chapters in range
+    const chaptersContent = [];
+    for (let i = fromChapter; i <= toChapter; i++) {
+      const chapter = state.chapters ? state.chapters[i] : null;
+      if (chapter) {
+        const chapterTitle = chapter.title || `Chapter ${i}`;
+        const content = chapter.content || chapter.raw || '';
+        chaptersContent.push(`# Chapter ${i}: ${chapterTitle}\n\n${content}`);
+      }
+    }
+
+    if (chaptersContent.length === 0) {
+      await interaction.editReply(`No chapters found in range ${fromChapter}-${toChapter}. Written chapters: 1-${stats.chaptersWritten}`);
+      return;
+    }
+
+    const title = `📖 ${metadata.title} - Chapters ${fromChapter}-${toChapter}`;
+    const fullContent = chaptersContent.join('\n\n---\n\n');
+
+    await this.sendContentAsEmbeds(interaction, title, fullContent, {
+      footer: `${chaptersContent.length} chapters | Novel ID: ${novelId}`
+    });
+  }
+
+  /**
+   * Handle /novel read all - Read the entire novel
+   */
+  async handleReadAll(interaction) {
+    await interaction.deferReply();
+
+    const result = await this.resolveNovelIdForRead(interaction, ['chapters']);
+    if (result.error) {
+      await interaction.editReply(result.error);
+      return;
+    }
+
+    const { novelId, state } = result;
+    const { metadata, stats } = state;
+
+    if (!stats.chaptersWritten || stats.chaptersWritten === 0) {
+      await interaction.editReply('No chapters written yet. Use `/novel write` to generate chapters.');
+      return;
+    }
+
+    // Warn if too many chapters
+    if (stats.chaptersWritten > 20) {
+      await interaction.editReply(
+        `This novel has ${stats.chaptersWritten} chapters which would generate too many messages. ` +
+        `Please use \`/novel read section from:1 to:10\` to read in parts.`
+      );
+      return;
+    }
+
+    // Collect all chapters
+    const chaptersContent = [];
+    for (let i = 1; i <= stats.chaptersWritten; i++) {
+      const chapter = state.chapters ? state.chapters[i] : null;
+      if (chapter) {
+        const chapterTitle = chapter.title || `Chapter ${i}`;
+        const content = chapter.content || chapter.raw || '';
+        chaptersContent.push(`# Chapter ${i}: ${chapterTitle}\n\n${content}`);
+      }
+    }
+
+    const title = `📖 ${metadata.title} - Complete Novel`;
+    const fullContent = chaptersContent.join('\n\n---\n\n');
+
+    await this.sendContentAsEmbeds(interaction, title, fullContent, {
+      footer: `${chaptersContent.length} chapters | Novel ID: ${novelId}`
+    });
+  }
+
+  /**
+   * Handle /novel history - List a chapter's versions with critique scores
+   */
+  async handleHistory(interaction) {
+    const chapterNum = interaction.options.getInteger('chapter');
+    const entry = interaction.options.getString('entry');
+
+    await interaction.deferReply();
+
+    const result = await this.resolveNovelIdForRead(interaction);
+    if (result.error) {
+      await interaction.editReply(result.error);
+      return;
+    }
+
+    const { novelId, state } = result;
+    if (entry) {
+      await this.replyEntryHistory(interaction, novelId, entry);
+      return;
+    }
+    if (!chapterNum) {
+      await this.replyNovelHistory(interaction, novelId, state);
+      return;
+    }
+    const chapter = await this.novelManager.getChapter(novelId, chapterNum);
+    if (!chapter) {
+      await interaction.editReply(`Chapter ${chapterNum} not found.`);
+      return;
+    }
+
+    const history = await this.novelManager.getChapterHistory(novelId, chapterNum);
+
+    // Who saved each version (versions from before the event log have no author)
+    const savedBy = new Map();
+    const saves = await this.novelManager.history.getEvents(novelId, { type: 'chapter.saved', chapter: chapterNum });
+    for (const event of saves) {
+      savedBy.set(event.data.chapter?.version, event.actor);
+    }
+
+    // Show the score change against the previous scored version
+    let previousScore = null;
+    const lines = history.map(entry => {
+      let score = 'not critiqued';
+      if (entry.score !== null) {
+        const delta = previousScore !== null ? entry.score - previousScore : null;
+        score = `${entry.score}/100${delta ? ` (${delta > 0 ? '+' : ''}${delta})` : ''}`;
+        previousScore = entry.score;
+      }
+      const notes = [
+        savedBy.has(entry.version) ? `by ${formatActor(savedBy.get(entry.version))}` : null,
+        entry.restoredFrom ? `restored from v${entry.restoredFrom}` : null,
+        entry.current ? '**current**' : null
+      ].filter(Boolean).join(', ');
+
+      return `**v${entry.version}** · ${score} · ${entry.wordCount} words · ${entry.savedAt ? entry.savedAt.substring(0, 10) : '?'}${notes ? ` · ${notes}` : ''}`;
+    });
+
+    const embed = new EmbedBuilder()
+      .setTitle(`🕑 Chapter ${chapterNum} History: ${chapter.title || 'Untitled'}`)
+      .setColor(0x9932cc)
+      .setDescription(lines.join('\n').substring(0, 4000))
+      .setFooter({ text: `${history.length} version(s) | /novel diff chapter:${chapterNum} from:1 to compare | Novel ID: ${novelId}` });
+
+    await interaction.editReply({ embeds: [embed] });
+  }
+
+  /**
+   * /novel history without a chapter: the novel's latest changes and who made them
+   */
+  async replyNovelHistory(interaction, novelId, state) {
+    const events = await this.novelManager.history.getEvents(novelId, { limit: 20 });
+    if (events.length === 0) {
+      await interaction.editReply(`No recorded changes for **${state.metadata.title}** yet.`);
+      return;
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle(`🕑 Recent Changes: ${state.metadata.title}`)
+      .setColor(0x9932cc)
+      .setDescription(events.reverse().map(formatEvent).join('\n').substring(0, 4000))
+      .setFooter({ text: `chapter:N for a chapter's versions · entry:<id or name> for a bible entry | Novel ID: ${novelId}` });
+
+    await interaction.editReply({ embeds: [embed] });
+  }
+
+  /**
+   * /novel history entry:... - who changed a bible entry, when, and which fields
+   */
+  async replyEntryHistory(interaction, novelId, entry) {
+    let key = entry;
+    let changes = await this.novelManager.history.getEntryHistory(novelId, key);
+
+    // Accept a character's name or alias as well as its ID
+    if (changes.length === 0) {
+      const bible = await this.novelManager.getStoryBible(novelId, { includeCanon: false });
+      const wanted = entry.toLowerCase();
+      const character = Object.values(bible.characters).find(c =>
+        c.name?.toLowerCase() === wanted || (c.aliases || []).some(a => a.toLowerCase() === wanted));
+      if (character) {
+        key = character.id;
+        changes = await this.novelManager.history.getEntryHistory(novelId, key);
+      }
+    }
+
+    if (changes.length === 0) {
+      await interaction.editReply(`No recorded changes to \`${entry}\`. Entry keys are character IDs (e.g. char-1), thread IDs, Chekhov items and world facts - see \`/novel bible\`.`);
+      return;
+    }
+
+    const lines = changes.map(change => {
+      const what = change.before === null ? 'added'
+        : change.after === null ? 'removed'
+          : change.fields.map(field => formatFieldChange(field, change.before[field], change.after[field])).join(', ') || 'touched';
+      return `<t:${Math.floor(new Date(change.at).getTime() / 1000)}:f> · ${formatActor(change.actor)} · ${what}`;
+    });
+
+    const embed = new EmbedBuilder()
+      .setTitle(`🕑 ${changes[0].section}: ${key}`)
+      .setColor(0x9932cc)
+      .setDescription(lines.slice(-25).join('\n').substring(0, 4000))
+      .setFooter({ text: `${changes.length} change(s) | Novel ID: ${novelId}` });
+
+    await interaction.editReply({ embeds: [embed] });
+  }
+
+  /**
+   * Handle /novel diff - Compare two versions of a chapter
    */
-  async handleReadChapterSummary(interaction) {
+  async handleDiff(interaction) {
     const chapterNum = interaction.options.getInteger('chapter');
+    const fromVersion = interaction.options.getInteger('from');
+    const toVersion = interaction.options.getInteger('to');
+    const level = interaction.options.getString('level') || 'paragraph';
 
     await interaction.deferReply();
 
@@ -1434,108 +2756,76 @@ class IluvatarBot {
       return;
     }
 
-    const { novelId, state } = result;
-    const { metadata } = state;
+    const { novelId } = result;
+    const { from, to, diff } = await this.novelManager.diffChapterVersions(novelId, chapterNum, fromVersion, toVersion, { level });
 
-    if (!state.outline) {
-      await interaction.editReply('No outline exists yet. Use `/novel write` to generate one.');
-      return;
-    }
+    const formatScore = entry => entry.score !== null ? `${entry.score}/100` : 'not critiqued';
+    const { stats } = diff;
+    const summary = level === 'sentence'
+      ? `${stats.added} added, ${stats.removed} removed, ${stats.unchanged} unchanged sentences`
+      : `${stats.changed} changed, ${stats.added} added, ${stats.removed} removed, ${stats.unchanged} unchanged paragraphs`;
 
-    // Parse chapter summary from outline
-    // The outline format has chapters as numbered list
-    const outlineText = state.outline.raw || '';
-
-    // Try to extract the specific chapter summary
-    // Format: "1. [Chapter Title]: [Summary]" or similar
-    const chapterRegex = new RegExp(`^${chapterNum}\\.\\s*(.+)$`, 'gm');
-    const match = chapterRegex.exec(outlineText);
-
-    if (!match) {
-      // Try alternate format: look in ## CHAPTERS section
-      const chaptersSection = outlineText.match(/## CHAPTERS\s*\n([\s\S]*?)(?=##|$)/i);
-      if (chaptersSection) {
-        const lines = chaptersSection[1].split('\n');
-        const chapterLine = lines.find(l => l.trim().startsWith(`${chapterNum}.`));
-        if (chapterLine) {
-          const title = `📋 Chapter ${chapterNum} Summary`;
-          await this.sendContentAsEmbeds(interaction, title, chapterLine.trim(), {
-            footer: `From outline | Novel ID: ${novelId}`
-          });
-          return;
-        }
-      }
-      await interaction.editReply(`Chapter ${chapterNum} summary not found in outline.`);
-      return;
-    }
+    const body = formatDiff(diff, { maxLength: 3900 });
 
-    const title = `📋 Chapter ${chapterNum} Summary`;
-    await this.sendContentAsEmbeds(interaction, title, match[1].trim(), {
-      footer: `From outline | Novel ID: ${novelId}`
-    });
+    const embed = new EmbedBuilder()
+      .setTitle(`🔀 Chapter ${chapterNum}: v${from.version} → v${to.version}`)
+      .setColor(0x9932cc)
+      .setDescription(body ? `\`\`\`diff\n${body}\n\`\`\`` : 'No differences.')
+      .addFields(
+        { name: `v${from.version} Score`, value: formatScore(from), inline: true },
+        { name: `v${to.version} Score`, value: formatScore(to), inline: true },
+        { name: 'Changes', value: summary, inline: false }
+      )
+      .setFooter({ text: `Novel ID: ${novelId}` });
+
+    await interaction.editReply({ embeds: [embed] });
   }
 
   /**
-   * Handle /novel read_section - Read a range of chapters
+   * Handle /novel rollback - Restore an earlier version of a chapter
+   * (Novel channel only - novel ID from channel)
    */
-  async handleReadSection(interaction) {
-    const fromChapter = interaction.options.getInteger('from');
-    const toChapter = interaction.options.getInteger('to');
+  async handleRollback(interaction) {
+    const chapterNum = interaction.options.getInteger('chapter');
+    const version = interaction.options.getInteger('version');
 
     await interaction.deferReply();
 
-    if (fromChapter > toChapter) {
-      await interaction.editReply('`from` chapter must be less than or equal to `to` chapter.');
-      return;
-    }
-
-    if (toChapter - fromChapter > 10) {
-      await interaction.editReply('Please request at most 10 chapters at a time to avoid message limits.');
-      return;
-    }
-
-    const result = await this.resolveNovelIdForRead(interaction);
-    if (result.error) {
-      await interaction.editReply(result.error);
+    const novelId = await this.novelManager.getNovelByChannel(interaction.channelId);
+    if (!novelId) {
+      await interaction.editReply('Could not find novel for this channel.');
       return;
     }
 
-    const { novelId, state } = result;
-    const { metadata, stats } = state;
-
-    if (!stats.chaptersWritten || stats.chaptersWritten === 0) {
-      await interaction.editReply('No chapters written yet.');
+    if (this.autopilot?.isRunning(novelId)) {
+      await interaction.editReply('Autopilot is running for this novel. Use `/novel pause` before rolling back.');
       return;
     }
 
-    // Collect all chapters in range
-    const chaptersContent = [];
-    for (let i = fromChapter; i <= toChapter; i++) {
-      const chapter = state.chapters ? state.chapters[i] : null;
-      if (chapter) {
-        const chapterTitle = chapter.title || `Chapter ${i}`;
-        const content = chapter.content || chapter.raw || '';
-        chaptersContent.push(`# Chapter ${i}: ${chapterTitle}\n\n${content}`);
-      }
-    }
-
-    if (chaptersContent.length === 0) {
-      await interaction.editReply(`No chapters found in range ${fromChapter}-${toChapter}. Written chapters: 1-${stats.chaptersWritten}`);
-      return;
-    }
+    const result = await this.asUser(interaction).rollbackChapter(novelId, chapterNum, version);
+    const history = await this.novelManager.getChapterHistory(novelId, chapterNum);
+    const restored = history.find(h => h.version === result.version);
 
-    const title = `📖 ${metadata.title} - Chapters ${fromChapter}-${toChapter}`;
-    const fullContent = chaptersContent.join('\n\n---\n\n');
+    const embed = new EmbedBuilder()
+      .setTitle(`⏪ Chapter ${chapterNum} Rolled Back`)
+      .setColor(0xffa500)
+      .addFields(
+        { name: 'Restored', value: `v${version}${restored.score !== null ? ` (${restored.score}/100)` : ''}`, inline: true },
+        { name: 'Now', value: `v${result.version}`, inline: true },
+        { name: 'Next Step', value: `The replaced version is kept in \`/novel history chapter:${chapterNum}\`.`, inline: false }
+      );
 
-    await this.sendContentAsEmbeds(interaction, title, fullContent, {
-      footer: `${chaptersContent.length} chapters | Novel ID: ${novelId}`
-    });
+    await interaction.editReply({ embeds: [embed] });
   }
 
   /**
-   * Handle /novel read_all - Read the entire novel
+   * Handle /novel export - Attach the novel as EPUB, DOCX, HTML or TXT
+   * Files over Discord's upload limit go to S3 instead when a bucket is configured
    */
-  async handleReadAll(interaction) {
+  async handleExport(interaction) {
+    const format = interaction.options.getString('format');
+    const approvedOnly = interaction.options.getBoolean('approved_only') || false;
+
     await interaction.deferReply();
 
     const result = await this.resolveNovelIdForRead(interaction);
@@ -1544,40 +2834,25 @@ class IluvatarBot {
       return;
     }
 
-    const { novelId, state } = result;
-    const { metadata, stats } = state;
+    const { novelId } = result;
+    const file = await this.exporter.render(novelId, format, { approvedOnly });
+    const summary = `📦 **${file.fileName}** · ${file.chapters} chapter(s) · ${formatBytes(file.bytes)}`;
 
-    if (!stats.chaptersWritten || stats.chaptersWritten === 0) {
-      await interaction.editReply('No chapters written yet. Use `/novel write` to generate chapters.');
+    if (file.bytes <= ATTACHMENT_LIMIT_BYTES) {
+      await interaction.editReply({
+        content: summary,
+        files: [new AttachmentBuilder(file.buffer, { name: file.fileName })]
+      });
       return;
     }
 
-    // Warn if too many chapters
-    if (stats.chaptersWritten > 20) {
-      await interaction.editReply(
-        `This novel has ${stats.chaptersWritten} chapters which would generate too many messages. ` +
-        `Please use \`/novel read_section from:1 to:10\` to read in parts.`
-      );
+    if (!this.exporter.s3Storage) {
+      await interaction.editReply(`${summary}\nToo large to attach (Discord's limit is ${formatBytes(ATTACHMENT_LIMIT_BYTES)}). Run \`npm run export:novel -- --novel ${novelId} --format ${format}\` on the server instead.`);
       return;
     }
 
-    // Collect all chapters
-    const chaptersContent = [];
-    for (let i = 1; i <= stats.chaptersWritten; i++) {
-      const chapter = state.chapters ? state.chapters[i] : null;
-      if (chapter) {
-        const chapterTitle = chapter.title || `Chapter ${i}`;
-        const content = chapter.content || chapter.raw || '';
-        chaptersContent.push(`# Chapter ${i}: ${chapterTitle}\n\n${content}`);
-      }
-    }
-
-    const title = `📖 ${metadata.title} - Complete Novel`;
-    const fullContent = chaptersContent.join('\n\n---\n\n');
-
-    await this.sendContentAsEmbeds(interaction, title, fullContent, {
-      footer: `${chaptersContent.length} chapters | Novel ID: ${novelId}`
-    });
+    const key = await this.exporter.s3Storage.saveExport(novelId, file.fileName, file.buffer, file.mimeType);
+    await interaction.editReply(`${summary}\nToo large to attach, saved to storage: \`${this.exporter.s3Storage.url(key)}\``);
   }
 
   /**
@@ -1622,7 +2897,7 @@ class IluvatarBot {
       return;
     }
 
-    const state = await this.novelManager.getNovelState(novelId);
+    const state = await this.novelManager.getNovelState(novelId, { include: [] });
     if (!state) {
       await interaction.editReply(`Novel not found: ${novelId}`);
       return;
@@ -1651,7 +2926,7 @@ class IluvatarBot {
     }
 
     // Delete the novel from storage
-    await this.novelManager.deleteNovel(novelId);
+    await this.asUser(interaction).deleteNovel(novelId);
 
     const embed = new EmbedBuilder()
       .setTitle('🗑️ Novel Deleted')
@@ -1666,6 +2941,142 @@ class IluvatarBot {
     await interaction.editReply({ embeds: [embed] });
   }
 
+  /**
+   * Handle /novel backup - Back up now and list recent backups
+   * With novel_id, snapshots just that novel (even if unchanged)
+   */
+  async handleBackup(interaction) {
+    const novelId = interaction.options.getString('novel_id');
+
+    await interaction.deferReply();
+
+    if (!this.backupManager) {
+      await interaction.editReply('Backups need storage. Set `STORAGE_BACKEND` (or `S3_BUCKET`) and restart the bot.');
+      return;
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor(0x00ff00)
+      .setTimestamp();
+
+    if (novelId) {
+      const { key, version } = await this.backupManager.snapshotNovel(novelId);
+      const { snapshots } = await this.backupManager.listBackups(novelId);
+
+      embed
+        .setTitle('💾 Snapshot Saved')
+        .addFields(
+          { name: 'Novel ID', value: `\`${novelId}\``, inline: true },
+          { name: 'Version', value: `v${version}`, inline: true },
+          { name: 'Key', value: `\`${key}\``, inline: false },
+          { name: 'Recent Snapshots', value: formatBackupList(snapshots.slice(0, 10).map(s => ({ ref: `v${s.version}`, at: s.takenAt, size: s.size }))), inline: false }
+        )
+        .setFooter({ text: `Restore with /novel restore backup:v<version> novel_id:${novelId}` });
+    } else {
+      const report = await this.backupManager.runBackup();
+      const { backups } = await this.backupManager.listBackups();
+      const next = this.backupManager.nextRunAt();
+
+      embed
+        .setTitle('💾 Backup Complete')
+        .addFields(
+          { name: 'Novels', value: String(report.novels), inline: true },
+          { name: 'Snapshots', value: `${report.snapshots.length} new, ${report.unchanged} unchanged`, inline: true },
+          { name: 'Pruned', value: String(report.pruned), inline: true },
+          { name: 'Recent Backups', value: formatBackupList(backups.slice(0, 10).map(b => ({ ref: b.date, at: new Date(b.lastModified), size: b.size }))), inline: false },
+          { name: 'Schedule', value: next ? `Next run <t:${Math.floor(next.getTime() / 1000)}:R>, keeping ${this.backupManager.keepDaily} daily / ${this.backupManager.keepWeekly} weekly` : 'Manual only (BACKUP_INTERVAL_HOURS=0)', inline: false }
+        )
+        .setFooter({ text: 'Restore with /novel restore backup:<date> (add novel_id for one novel)' });
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+  }
+
+  /**
+   * Handle /novel restore - Preview (default) or restore novels from a backup
+   * Restored novels whose channel is gone get a new one.
+   */
+  async handleRestore(interaction) {
+    const ref = interaction.options.getString('backup');
+    const novelId = interaction.options.getString('novel_id');
+    const dryRun = interaction.options.getBoolean('dry_run') ?? true;
+
+    await interaction.deferReply();
+
+    if (!this.backupManager) {
+      await interaction.editReply('Backups need storage. Set `STORAGE_BACKEND` (or `S3_BUCKET`) and restart the bot.');
+      return;
+    }
+
+    // Autopilot would keep writing on top of the restored state
+    const preview = await this.backupManager.restore(ref, { novelId, dryRun: true });
+    const busy = preview.novels.filter(n => this.autopilot?.isRunning(n.novelId));
+    if (!dryRun && busy.length > 0) {
+      await interaction.editReply(`Autopilot is running for ${busy.map(n => `**${n.title}**`).join(', ')}. Use \`/novel pause\` in its channel before restoring.`);
+      return;
+    }
+
+    const plan = dryRun ? preview : await this.backupManager.restore(preview.key, {
+      novelId,
+      dryRun: false,
+      actor: discordActor(interaction.user)
+    });
+
+    const embed = new EmbedBuilder()
+      .setTitle(dryRun ? '🔍 Restore Preview' : '♻️ Restore Complete')
+      .setColor(dryRun ? 0xffa500 : 0x00ff00)
+      .setDescription(`${plan.type === 'snapshot' ? 'Snapshot' : 'Full backup'} \`${plan.key}\` taken <t:${Math.floor(new Date(plan.takenAt).getTime() / 1000)}:f>`);
+
+    for (const novel of plan.novels.slice(0, 20)) {
+      const now = novel.exists
+        ? `v${novel.currentVersion}, ${novel.currentChapters} chapters, ${novel.currentStatus}`
+        : 'deleted';
+      const lines = [
+        `Now: ${now}`,
+        `Backup: v${novel.backupVersion}, ${novel.backupChapters} chapters, ${novel.backupStatus}`
+      ];
+
+      if (!dryRun) {
+        const channel = await this.ensureRestoredChannel(interaction.guild, novel.novelId);
+        lines.push(`Restored as v${novel.restoredVersion}${channel ? ` in <#${channel.id}>` : ''}`);
+      }
+
+      embed.addFields({ name: `${novel.title} (\`${novel.novelId}\`)`, value: lines.join('\n'), inline: false });
+    }
+
+    if (plan.novels.length > 20) {
+      embed.addFields({ name: '...', value: `and ${plan.novels.length - 20} more`, inline: false });
+    }
+
+    embed.setFooter({
+      text: dryRun
+        ? `Nothing changed. Run again with dry_run:False to restore${novelId ? '' : ' every novel listed'}.`
+        : `Restored by ${interaction.user.tag}`
+    });
+
+    await interaction.editReply({ embeds: [embed] });
+  }
+
+  /**
+   * Make sure a restored novel has a working channel
+   * Reuses the stored channel if it still exists, otherwise creates and links a new one.
+   *
+   * @returns {Promise<Object|null>} Discord channel
+   */
+  async ensureRestoredChannel(guild, novelId) {
+    const novel = await this.novelManager.getNovel(novelId);
+    if (novel.discordChannelId) {
+      const existing = await this.client.channels.fetch(novel.discordChannelId).catch(() => null);
+      if (existing) return existing;
+    }
+
+    const channel = await this.createNovelChannel(guild, novel);
+    if (channel) {
+      await this.novelManager.linkChannel(novelId, channel.id, channel.name);
+    }
+    return channel;
+  }
+
   /**
    * Split content into chunks for Discord
    */
@@ -1702,6 +3113,139 @@ class IluvatarBot {
     return chunks;
   }
 
+  /**
+   * Dispatch a generation request
+   *
+   * With a pipeline configured, the route runs in-process in the background and
+   * the outcome (success or failure) is posted to the channel when it finishes.
+   * Without one, falls back to the N8N webhook.
+   *
+   * @param {Object} payload - { action, novelId, metadata, chapterNum, feedback, bibleContext }
+   * @param {string} channelId - Discord channel ID to post results to
+   */
+  async dispatchGeneration(payload, channelId = null) {
+    if (!this.pipeline) {
+      await this.triggerN8N(await this.withPayoffDeadlines(payload), channelId);
+      return;
+    }
+
+    console.log(`[Discord] Running pipeline: ${payload.action} for ${payload.novelId} -> channel ${channelId}`);
+
+    // Don't block the interaction - agent calls can take minutes
+    this.pipeline.run(payload)
+      .then(result => this.postGenerationResult(result, channelId))
+      .catch(async (err) => {
+        console.error(`[Discord] Pipeline ${payload.action} failed for ${payload.novelId}:`, err);
+        const embed = new EmbedBuilder()
+          .setTitle('❌ Generation Failed')
+          .setColor(0xff0000)
+          .addFields(
+            { name: 'Action', value: payload.action, inline: true },
+            { name: 'Error', value: err.message.substring(0, 1000), inline: false }
+          );
+        await this.sendToChannel(channelId, embed);
+      });
+  }
+
+  /**
+   * Add payoff deadlines to an N8N payload's bible context (the pipeline
+   * adds its own). Failures are logged and the payload goes as-is.
+   *
+   * @param {Object} payload - Generation payload
+   * @returns {Promise<Object>} The payload, with deadlines if any are near
+   */
+  async withPayoffDeadlines(payload) {
+    const tracker = this.novelManager.payoffTracker;
+    const agent = { write: 'frodo', revise: 'frodo', revise_chapter: 'frodo', revise_outline: 'gandalf' }[payload.action];
+    if (!tracker || !agent) return payload;
+
+    try {
+      const report = await tracker.report(payload.novelId, { chapterNum: agent === 'frodo' ? payload.chapterNum : null });
+      const deadlines = tracker.formatForPrompt(report, agent);
+      if (!deadlines) return payload;
+      return { ...payload, bibleContext: payload.bibleContext ? `${payload.bibleContext}\n\n${deadlines}` : deadlines };
+    } catch (err) {
+      console.error('[Discord] Failed to get payoff deadlines:', err);
+      return payload;
+    }
+  }
+
+  /**
+   * Post a pipeline result to a channel
+   *
+   * @param {Object} result - Result from GenerationPipeline.run
+   * @param {string} channelId - Discord channel ID
+   */
+  async postGenerationResult(result, channelId) {
+    const { action, chapterNum, output } = result;
+    const embed = new EmbedBuilder().setTimestamp();
+
+    switch (action) {
+      case 'outline':
+      case 'revise_outline':
+        embed
+          .setTitle(action === 'outline' ? '📋 Outline Ready' : '📋 Outline Revised')
+          .setColor(0xffa500)
+          .setDescription((output.synopsis || '').substring(0, 4000) || 'No synopsis')
+          .addFields(
+            { name: 'Chapters Planned', value: String(output.chapters.length), inline: true },
+            { name: 'Next Step', value: '`/novel read outline` to review, `/novel approve` or `/novel feedback`', inline: false }
+          );
+        break;
+
+      case 'write':
+      case 'revise_chapter':
+        embed
+          .setTitle(`✍️ Chapter ${chapterNum}${action === 'revise_chapter' ? ' Revised' : ' Written'}: ${output.title || ''}`)
+          .setColor(0x0099ff)
+          .setDescription(output.content.substring(0, 500) + (output.content.length > 500 ? '...' : ''))
+          .addFields(
+            { name: 'Word Count', value: String(output.wordCount || 'unknown'), inline: true },
+            { name: 'Next Step', value: `\`/novel read chapter chapter:${chapterNum}\` to read, \`/novel critique\` to evaluate`, inline: false }
+          );
+        break;
+
+      case 'critique':
+        embed
+          .setTitle(`🔍 Chapter ${chapterNum} Critique: ${output.score}/100`)
+          .setColor(result.passed ? 0x00ff00 : 0xffff00)
+          .addFields(
+            { name: 'Strengths', value: output.strengths.slice(0, 5).join('\n').substring(0, 1000) || 'None listed', inline: false },
+            { name: 'Weaknesses', value: output.weaknesses.slice(0, 5).join('\n').substring(0, 1000) || 'None listed', inline: false },
+            ...(result.continuity ? [{
+              name: 'Continuity',
+              value: `${result.continuity.errors} error(s), ${result.continuity.warnings} warning(s) - \`/novel check chapter:${chapterNum}\``,
+              inline: false
+            }] : []),
+            { name: 'Result', value: result.passed ? 'Passed - use `/novel approve`' : 'Needs revision - use `/novel write` to revise', inline: false }
+          );
+        break;
+
+      default:
+        embed.setTitle(`✅ ${action} complete`).setColor(0x00ff00);
+    }
+
+    await this.sendToChannel(channelId, embed);
+  }
+
+  /**
+   * Send an embed to a channel by ID (errors are logged, not thrown)
+   *
+   * @param {string} channelId - Discord channel ID
+   * @param {Object} embed - Discord EmbedBuilder object
+   */
+  async sendToChannel(channelId, embed) {
+    if (!channelId) return;
+    try {
+      const channel = await this.client.channels.fetch(channelId);
+      if (channel) {
+        await channel.send({ embeds: [embed] });
+      }
+    } catch (err) {
+      console.error(`[Discord] Failed to send to channel ${channelId}:`, err);
+    }
+  }
+
   /**
    * Trigger N8N workflow via webhook
    * Includes callback information so N8N can post results to the correct channel
@@ -1775,4 +3319,114 @@ class IluvatarBot {
   }
 }
 
+// ============================================================
+// HELPERS
+// ============================================================
+
+function formatSpan(start, end) {
+  return start === end ? `t${start}` : `t${start}-${end}`;
+}
+
+/**
+ * One backup per line, e.g. "`2024-05-01` · 3 hours ago · 1.2 MB"
+ */
+function formatBackupList(items) {
+  if (items.length === 0) return 'None yet';
+  return items
+    .map(item => `\`${item.ref}\` · <t:${Math.floor(item.at.getTime() / 1000)}:R> · ${formatBytes(item.size)}`)
+    .join('\n');
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * One history event, e.g. "<t:...:R> · Frodo · saved chapter 3 (written)"
+ */
+function formatEvent(event) {
+  const { data } = event;
+  let what;
+  switch (event.type) {
+    case 'novel.created': what = 'created the novel'; break;
+    case 'novel.updated': what = `updated ${Object.keys(data.changes || {}).join(', ')}`; break;
+    case 'novel.status': what = `status ${data.from} → ${data.to}`; break;
+    case 'novel.restored': what = `restored from \`${data.backup?.key}\``; break;
+    case 'outline.saved': what = `saved outline v${data.outline?.version} (${data.reason})`; break;
+    case 'outline.approved': what = 'approved the outline'; break;
+    case 'chapter.saved': what = `saved chapter ${data.chapterNum} v${data.chapter?.version} (${data.reason})`; break;
+    case 'chapter.approved': what = `approved chapter ${data.chapterNum}`; break;
+    case 'critique.saved': what = `critiqued chapter ${data.chapterNum}: ${data.critique?.score}/100${data.passed ? '' : ' (revise)'}`; break;
+    case 'bible.changed': what = `${data.before === null ? 'added' : data.after === null ? 'removed' : 'changed'} ${data.section} \`${data.key}\``; break;
+    case 'bible.staged': what = `held ${data.entries.length} bible update(s) for review`; break;
+    case 'bible.reviewed': what = `${data.approved ? 'approved' : 'rejected'} bible update(s) ${data.ids.join(', ')}`; break;
+    case 'feedback.stored': what = `feedback on ${data.feedback?.target}`; break;
+    case 'recall.started': what = `recalled ${data.target === 0 ? 'the outline' : `chapter ${data.target}`}`; break;
+    case 'recall.completed': what = data.cascade ? 'finished recall, cascading' : 'finished recall'; break;
+    case 'cascade.progress': what = `regenerated chapter ${data.chapterNum} (${data.remaining.length} left)`; break;
+    case 'cascade.completed': what = `regenerated chapter ${data.chapterNum}, cascade complete`; break;
+    default: what = event.type;
+  }
+  return `<t:${Math.floor(new Date(event.at).getTime() / 1000)}:R> · ${formatActor(event.actor)} · ${what}`;
+}
+
+/**
+ * One staged bible update, e.g. "`u3` Ch12 character char-001: Status: alive - Lin Wei is dead, update says alive"
+ */
+function formatBibleUpdate(entry) {
+  let what;
+  switch (entry.kind) {
+    case 'character': what = `${entry.characterId || entry.ref}: ${entry.change}`; break;
+    case 'relationship': what = `${entry.fromId || entry.from} → ${entry.toId || entry.to}: ${entry.type}`; break;
+    case 'plotThread': what = `new ${entry.threadId}: ${entry.title}`; break;
+    case 'foreshadowing': what = `${entry.threadId}: ${entry.hint}`; break;
+    case 'resolution': what = `${entry.threadId} resolved: ${entry.note}`; break;
+    case 'timeline': what = entry.event; break;
+    case 'payoff': what = `${entry.item} paid off`; break;
+    case 'chekhov': what = `new ${entry.item}`; break;
+    default: what = entry.kind;
+  }
+  return `\`${entry.id}\` Ch${entry.chapter} ${entry.kind} ${what} - ${entry.reason}`;
+}
+
+/**
+ * One tracked Chekhov or thread, e.g. "⏰ `chekhov-002` Jade pendant · ch1 → ch10-12"
+ */
+function formatPayoffItem(item) {
+  const icon = item.early ? '⚠️'
+    : item.status === 'paid' ? '✅'
+      : item.status === 'overdue' ? '⛔'
+        : item.status === 'due' ? '⏰'
+          : item.quiet ? '💤' : '▫️';
+  const paid = item.paidOff ? `, paid ch${item.paidOff}` : '';
+  return `${icon} \`${item.id}\` ${item.title} · ch${item.introduced ?? '?'} → ${formatWindow(item.window)}${paid}`;
+}
+
+/**
+ * One continuity finding, e.g. "⛔ **deadCharacter** Elder Mo is dead (since chapter 3) but speaks here" + the quote
+ */
+function formatContinuityFinding(finding) {
+  const icon = finding.severity === 'error' ? '⛔' : '⚠️';
+  const quote = finding.quote.length > 200 ? `${finding.quote.substring(0, 200)}...` : finding.quote;
+  return `${icon} **${finding.type}** ${finding.message}\n> ${quote.replace(/\n+/g, ' ')}`;
+}
+
+/**
+ * One changed field, e.g. "status: alive → dead" (long values are only named)
+ */
+function formatFieldChange(field, before, after) {
+  const short = value => value === undefined || value === null || (typeof value !== 'object' && String(value).length <= 40);
+  return short(before) && short(after) ? `${field}: ${before ?? '-'} → ${after ?? '-'}` : field;
+}
+
+/**
+ * One master timeline entry, e.g. "`t3-4` Lin Wei (The Void Cultivator) Ch12: The Duel"
+ */
+function formatPlacement(p) {
+  const who = p.pov ? `${p.pov} (${p.novelTitle || p.novelId})` : (p.novelTitle || p.novelId);
+  return `\`${formatSpan(p.start, p.end)}\` ${who} Ch${p.chapterNum}${p.chapterTitle ? `: ${p.chapterTitle}` : ''}${p.note ? ` - ${p.note}` : ''}`;
+}
+
 module.exports = { IluvatarBot };
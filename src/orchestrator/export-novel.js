@@ -0,0 +1,86 @@
+/**
+ * ILUVATAR - Novel Export Entry Point
+ *
+ * Renders a novel as EPUB, DOCX, HTML or web-novel TXT (NovelExporter).
+ *
+ * Usage:
+ *   npm run export:novel -- --novel <id> [options]
+ *
+ * Options:
+ *   --novel <id>        Novel to export (required)
+ *   --format <name>     epub | docx | html | txt (repeatable; default: epub)
+ *   --out <dir>         Output directory (default: data/exports)
+ *   --s3                Write to the storage backend (S3, MinIO or local; see STORAGE_BACKEND)
+ *   --approved-only     Only include approved chapters
+ */
+
+// Load environment variables from .env file
+require('dotenv').config();
+
+const { StateManager } = require('../core/state-manager');
+const { NovelManager } = require('../core/novel-manager');
+const { NovelExporter } = require('../core/novel-exporter');
+
+function parseArgs(argv) {
+  const args = { formats: [] };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--novel':
+        args.novelId = argv[++i];
+        break;
+      case '--format':
+        args.formats.push(argv[++i]);
+        break;
+      case '--out':
+        args.outputDir = argv[++i];
+        break;
+      case '--s3':
+        args.s3 = true;
+        break;
+      case '--approved-only':
+        args.approvedOnly = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  if (!args.novelId) {
+    throw new Error('--novel <id> is required');
+  }
+  if (args.formats.length === 0) args.formats.push('epub');
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  let s3Storage = null;
+  if (args.s3) {
+    const { S3Storage } = require('../core/s3-storage');
+    s3Storage = new S3Storage();
+  }
+
+  const stateManager = new StateManager();
+  const novelManager = new NovelManager(stateManager);
+  const exporter = new NovelExporter(novelManager, {
+    outputDir: args.outputDir,
+    s3Storage
+  });
+
+  try {
+    for (const format of args.formats) {
+      const result = await exporter.export(args.novelId, format, {
+        destination: args.s3 ? 's3' : 'file',
+        approvedOnly: args.approvedOnly
+      });
+      console.log(`${format}: ${result.key || result.path} (${result.chapters} chapters, ${result.bytes} bytes)`);
+    }
+  } finally {
+    await stateManager.close();
+  }
+}
+
+main().catch(err => {
+  console.error('[ILUVATAR] Export failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,87 @@
+/**
+ * ILUVATAR - Preference Export Entry Point
+ *
+ * Builds the DPO preference dataset from every novel's chapter versions.
+ *
+ * Usage:
+ *   npm run export:preferences -- [options]
+ *
+ * Options:
+ *   --min-margin <n>   Min Elrond score difference for a pair (default: 5)
+ *   --val-ratio <r>    Share of novels held out for validation (default: 0.1)
+ *   --out <dir>        Output directory (default: data/preferences)
+ *   --novel <id>       Only export this novel (repeatable)
+ *   --s3               Write to the storage backend (S3, MinIO or local; see STORAGE_BACKEND)
+ *   --dry-run          Print the report without writing files
+ */
+
+// Load environment variables from .env file
+require('dotenv').config();
+
+const { StateManager } = require('../core/state-manager');
+const { NovelManager } = require('../core/novel-manager');
+const { PreferenceExporter } = require('../core/preference-exporter');
+
+function parseArgs(argv) {
+  const args = { novelIds: [] };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--min-margin':
+        args.minMargin = parseFloat(argv[++i]);
+        break;
+      case '--val-ratio':
+        args.valRatio = parseFloat(argv[++i]);
+        break;
+      case '--out':
+        args.outputDir = argv[++i];
+        break;
+      case '--novel':
+        args.novelIds.push(argv[++i]);
+        break;
+      case '--s3':
+        args.s3 = true;
+        break;
+      case '--dry-run':
+        args.dryRun = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const stateManager = new StateManager();
+  const novelManager = new NovelManager(stateManager);
+
+  let s3Storage = null;
+  if (args.s3) {
+    const { S3Storage } = require('../core/s3-storage');
+    s3Storage = new S3Storage();
+  }
+
+  const exporter = new PreferenceExporter(novelManager, {
+    minMargin: Number.isNaN(args.minMargin) ? undefined : args.minMargin,
+    valRatio: Number.isNaN(args.valRatio) ? undefined : args.valRatio,
+    outputDir: args.outputDir,
+    s3Storage
+  });
+
+  try {
+    const report = await exporter.export({
+      novelIds: args.novelIds.length > 0 ? args.novelIds : undefined,
+      dryRun: args.dryRun
+    });
+    console.log(JSON.stringify(report, null, 2));
+  } finally {
+    await stateManager.close();
+  }
+}
+
+main().catch(err => {
+  console.error('[ILUVATAR] Preference export failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,88 @@
+/**
+ * ILUVATAR - SFT Export Entry Point
+ *
+ * Builds the Frodo fine-tuning corpus from approved chapters.
+ *
+ * Usage:
+ *   npm run export:sft -- [options]
+ *
+ * Options:
+ *   --min-score <n>    Min Elrond score for a chapter (default: PASS_THRESHOLD or 70)
+ *   --language <code>  Only novels in this language, zh or en (repeatable)
+ *   --genre <name>     Only novels of this genre (repeatable)
+ *   --max-tokens <n>   Token budget per example (default: 8192)
+ *   --out <dir>        Output directory (default: data/processed)
+ *   --novel <id>       Only export this novel (repeatable)
+ *   --dry-run          Print the report without writing files
+ */
+
+// Load environment variables from .env file
+require('dotenv').config();
+
+const { StateManager } = require('../core/state-manager');
+const { NovelManager } = require('../core/novel-manager');
+const { SftExporter } = require('../core/sft-exporter');
+
+function parseArgs(argv) {
+  const args = { languages: [], genres: [], novelIds: [] };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--min-score':
+        args.minScore = parseFloat(argv[++i]);
+        break;
+      case '--language':
+        args.languages.push(argv[++i]);
+        break;
+      case '--genre':
+        args.genres.push(argv[++i]);
+        break;
+      case '--max-tokens':
+        args.maxTokens = parseInt(argv[++i]);
+        break;
+      case '--out':
+        args.outputDir = argv[++i];
+        break;
+      case '--novel':
+        args.novelIds.push(argv[++i]);
+        break;
+      case '--dry-run':
+        args.dryRun = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const stateManager = new StateManager();
+  const novelManager = new NovelManager(stateManager, {
+    passThreshold: parseInt(process.env.PASS_THRESHOLD) || 70
+  });
+
+  const exporter = new SftExporter(novelManager, {
+    minScore: Number.isNaN(args.minScore) ? undefined : args.minScore,
+    languages: args.languages,
+    genres: args.genres,
+    maxTokens: args.maxTokens || undefined,
+    outputDir: args.outputDir
+  });
+
+  try {
+    const report = await exporter.export({
+      novelIds: args.novelIds.length > 0 ? args.novelIds : undefined,
+      dryRun: args.dryRun
+    });
+    console.log(JSON.stringify(report, null, 2));
+  } finally {
+    await stateManager.close();
+  }
+}
+
+main().catch(err => {
+  console.error('[ILUVATAR] SFT export failed:', err);
+  process.exit(1);
+});
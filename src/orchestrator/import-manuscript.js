@@ -0,0 +1,124 @@
+/**
+ * ILUVATAR - Manuscript Import Entry Point
+ *
+ * Imports an existing draft as a new novel and reverse-engineers its story
+ * bible and outline (ManuscriptImporter), ready for /novel write.
+ *
+ * Usage:
+ *   npm run import:manuscript -- --file <path> [options]
+ *
+ * Options:
+ *   --file <path>          Manuscript: .md, .txt or .epub (required)
+ *   --title <text>         Novel title (default: from the manuscript)
+ *   --language <zh|en>     Novel language (default: detected)
+ *   --genre <genre>        Genre
+ *   --pov <name>           POV character
+ *   --premise <text>       Premise
+ *   --target-chapters <n>  Planned length (default: 100)
+ *   --next-chapters <n>    Chapters to plan past the manuscript (default: 3)
+ *   --no-extract           Only split and store chapters; skip Radagast
+ *   --dry-run              Print the detected chapters without importing
+ */
+
+// Load environment variables from .env file
+require('dotenv').config();
+
+const fs = require('fs');
+const { StateManager } = require('../core/state-manager');
+const { NovelManager } = require('../core/novel-manager');
+const { ManuscriptImporter, parseManuscript } = require('../core/manuscript-importer');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--file':
+        args.file = argv[++i];
+        break;
+      case '--title':
+        args.title = argv[++i];
+        break;
+      case '--language':
+        args.language = argv[++i];
+        break;
+      case '--genre':
+        args.genre = argv[++i];
+        break;
+      case '--pov':
+        args.pov = argv[++i];
+        break;
+      case '--premise':
+        args.premise = argv[++i];
+        break;
+      case '--target-chapters':
+        args.targetChapters = parseInt(argv[++i]);
+        break;
+      case '--next-chapters':
+        args.nextChapters = parseInt(argv[++i]);
+        break;
+      case '--no-extract':
+        args.noExtract = true;
+        break;
+      case '--dry-run':
+        args.dryRun = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  if (!args.file) {
+    throw new Error('--file <path> is required');
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const data = fs.readFileSync(args.file);
+
+  if (args.dryRun) {
+    const manuscript = parseManuscript(data, { fileName: args.file });
+    console.log(`${manuscript.title} (${manuscript.language}, ${manuscript.format}): ${manuscript.chapters.length} chapters`);
+    for (const ch of manuscript.chapters) {
+      console.log(`  ${ch.number}. ${ch.heading} (${ch.wordCount} words)`);
+    }
+    if (manuscript.frontMatter) {
+      console.log(`Front matter skipped: ${manuscript.frontMatter.length} characters`);
+    }
+    return;
+  }
+
+  const stateManager = new StateManager();
+  const novelManager = new NovelManager(stateManager);
+  const importer = new ManuscriptImporter(novelManager, {
+    nextChapters: Number.isNaN(args.nextChapters) ? undefined : args.nextChapters
+  });
+
+  try {
+    const result = await importer.import(data, {
+      fileName: args.file,
+      title: args.title,
+      language: args.language,
+      genre: args.genre,
+      pov: args.pov,
+      premise: args.premise,
+      targetChapters: args.targetChapters || undefined,
+      extract: !args.noExtract
+    });
+    console.log(JSON.stringify({
+      novelId: result.novel.id,
+      title: result.novel.title,
+      chapters: result.chapters,
+      words: result.words,
+      frontMatterSkipped: result.frontMatter.length,
+      extraction: result.extraction
+    }, null, 2));
+  } finally {
+    await stateManager.close();
+  }
+}
+
+main().catch(err => {
+  console.error('[ILUVATAR] Import failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,56 @@
+/**
+ * ILUVATAR - State Layout Migration Entry Point
+ *
+ * One-time move of every novel's chapters, critiques and revisions into
+ * per-item collections (StateManager.migrateLayout): out of the single
+ * field in novel:{id}:data, and out of N8N's separate
+ * novel:{id}:chapter:{n} / novel:{id}:critique:{n} keys. Keys are found
+ * with SCAN, so Redis keeps serving the bot while this runs. Safe to rerun.
+ *
+ * Usage:
+ *   npm run state:migrate -- [options]
+ *
+ * Options:
+ *   --dry-run     List what would move without writing
+ */
+
+// Load environment variables from .env file
+require('dotenv').config();
+
+const { StateManager } = require('../core/state-manager');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--dry-run':
+        args.dryRun = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const stateManager = new StateManager();
+  try {
+    const report = await stateManager.migrateLayout({ dryRun: args.dryRun });
+
+    for (const { scope, moved, n8nKeys } of report.scopes) {
+      const items = Object.entries(moved).map(([name, count]) => `${count} ${name}`).join(', ') || 'nothing new';
+      console.log(`${scope}: ${args.dryRun ? 'would move' : 'moved'} ${items}${n8nKeys ? ` (${n8nKeys} N8N key(s) ${args.dryRun ? 'to remove' : 'removed'})` : ''}`);
+    }
+    console.log(`${report.scopes.length} scope(s) ${args.dryRun ? 'to migrate' : 'migrated'}`);
+  } finally {
+    await stateManager.close();
+  }
+}
+
+main().catch(err => {
+  console.error('[ILUVATAR] State migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,102 @@
+/**
+ * ILUVATAR - Storage Migration Entry Point
+ *
+ * Copies backups, exports and training data from one storage backend to
+ * another (e.g. AWS S3 to a local directory, or local to MinIO). Objects
+ * the target already has are skipped, so an interrupted run can be rerun.
+ *
+ * Usage:
+ *   npm run storage:migrate -- --from <backend> --to <backend> [options]
+ *
+ * Options:
+ *   --from <backend>        s3 | minio | local (required)
+ *   --to <backend>          s3 | minio | local (required)
+ *   --from-dir <dir>        Source directory for local (default: STORAGE_DIR or data/storage)
+ *   --to-dir <dir>          Target directory for local
+ *   --from-bucket <name>    Source bucket (default: S3_BUCKET)
+ *   --to-bucket <name>      Target bucket
+ *   --from-endpoint <url>   Source S3-compatible endpoint (default: S3_ENDPOINT)
+ *   --to-endpoint <url>     Target S3-compatible endpoint
+ *   --prefix <prefix>       Only copy keys under this prefix (e.g. novels/abc123/)
+ *   --overwrite             Copy objects the target already has
+ *   --dry-run               List what would be copied without writing
+ */
+
+// Load environment variables from .env file
+require('dotenv').config();
+
+const { createStorageBackend, migrateStorage } = require('../core/storage-backends');
+
+function parseArgs(argv) {
+  const args = { source: {}, target: {} };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--from':
+        args.from = argv[++i];
+        break;
+      case '--to':
+        args.to = argv[++i];
+        break;
+      case '--from-dir':
+        args.source.rootDir = argv[++i];
+        break;
+      case '--to-dir':
+        args.target.rootDir = argv[++i];
+        break;
+      case '--from-bucket':
+        args.source.bucket = argv[++i];
+        break;
+      case '--to-bucket':
+        args.target.bucket = argv[++i];
+        break;
+      case '--from-endpoint':
+        args.source.endpoint = argv[++i];
+        break;
+      case '--to-endpoint':
+        args.target.endpoint = argv[++i];
+        break;
+      case '--prefix':
+        args.prefix = argv[++i];
+        break;
+      case '--overwrite':
+        args.overwrite = true;
+        break;
+      case '--dry-run':
+        args.dryRun = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  if (!args.from || !args.to) {
+    throw new Error('--from <backend> and --to <backend> are required');
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const source = createStorageBackend(args.from, args.source);
+  const target = createStorageBackend(args.to, args.target);
+  const location = backend => backend.rootDir || `${backend.endpoint || 'aws'}/${backend.bucket}`;
+  if (location(source) === location(target)) {
+    throw new Error(`Source and target are the same storage: ${location(source)}`);
+  }
+
+  const report = await migrateStorage(source, target, {
+    prefix: args.prefix,
+    overwrite: args.overwrite,
+    dryRun: args.dryRun
+  });
+
+  for (const key of report.keys) {
+    console.log(`${args.dryRun ? 'would copy' : 'copied'}: ${key}`);
+  }
+  console.log(`${report.copied} objects (${report.bytes} bytes) ${args.dryRun ? 'to copy' : 'copied'}, ${report.skipped} skipped`);
+}
+
+main().catch(err => {
+  console.error('[ILUVATAR] Storage migration failed:', err);
+  process.exit(1);
+});
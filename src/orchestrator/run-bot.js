@@ -11,13 +11,23 @@ const { IluvatarBot } = require('./discord-bot');
 const { StateManager } = require('../core/state-manager');
 const { NovelManager } = require('../core/novel-manager');
 const { BibleRetriever } = require('../core/bible-retriever');
+const { createVectorStore } = require('../core/vector-stores');
+const { SummaryManager } = require('../core/summary-manager');
+const { BibleExtractor } = require('../core/bible-extractor');
+const { ContinuityChecker } = require('../core/continuity-checker');
+const { PayoffTracker } = require('../core/payoff-tracker');
+const { SeriesManager } = require('../core/series-manager');
+const { NovelExporter } = require('../core/novel-exporter');
+const { BackupManager } = require('../core/backup-manager');
+const { GenerationPipeline } = require('../core/generation-pipeline');
+const { Autopilot } = require('../core/autopilot');
 
 async function main() {
   console.log('[ILUVATAR] Starting novel writer bot...');
 
-  // Initialize state manager (connects to Redis)
+  // Initialize state manager (Redis unless STATE_DRIVER says otherwise)
   const stateManager = new StateManager();
-  console.log('[ILUVATAR] State manager initialized');
+  console.log(`[ILUVATAR] State manager initialized (${stateManager.driver.name})`);
 
   // Initialize novel manager
   const novelManager = new NovelManager(stateManager, {
@@ -27,16 +37,63 @@ async function main() {
   console.log('[ILUVATAR] Novel manager initialized');
 
   // Initialize bible retriever (for semantic search on story bible)
-  // Only initialize if OpenAI key is provided
-  if (process.env.OPENAI_API_KEY) {
-    const bibleRetriever = new BibleRetriever(novelManager, {
-      topK: 15,
-      similarityThreshold: 0.6
-    });
-    novelManager.bibleRetriever = bibleRetriever;
-    console.log('[ILUVATAR] Bible retriever initialized');
+  // Embeds with OpenAI when OPENAI_API_KEY is set, offline hashing otherwise
+  const bibleRetriever = new BibleRetriever(novelManager, {
+    vectorStore: createVectorStore(process.env.VECTOR_STORE, { redis: stateManager.redis }),
+    topK: 15
+  });
+  novelManager.bibleRetriever = bibleRetriever;
+  console.log(`[ILUVATAR] Bible retriever initialized (${bibleRetriever.embedder.id}, ${bibleRetriever.vectorStore.name} store)`);
+
+  // Initialize bible extraction (Frodo's BIBLE UPDATES, applied on chapter approval)
+  novelManager.bibleExtractor = new BibleExtractor(novelManager);
+  console.log('[ILUVATAR] Bible extractor initialized');
+
+  // Initialize continuity checks (run before Elrond critiques, and via /novel check)
+  novelManager.continuityChecker = new ContinuityChecker(novelManager);
+  console.log('[ILUVATAR] Continuity checker initialized');
+
+  // Initialize payoff tracking (Chekhov/thread deadlines for Frodo and Gandalf, /novel threads)
+  novelManager.payoffTracker = new PayoffTracker(novelManager);
+  console.log('[ILUVATAR] Payoff tracker initialized');
+
+  // Initialize rolling summaries (Shadowfax, one recap per arc)
+  const summaryManager = new SummaryManager(novelManager);
+  novelManager.summaryManager = summaryManager;
+  console.log(`[ILUVATAR] Summary manager initialized (arcs of ${summaryManager.arcSize} chapters)`);
+
+  // Initialize series (shared canon bible + master timeline across POV novels)
+  const seriesManager = new SeriesManager(stateManager, novelManager);
+  novelManager.seriesManager = seriesManager;
+  console.log('[ILUVATAR] Series manager initialized');
+
+  // Initialize exporter (EPUB/DOCX/HTML/TXT); exports too big for Discord go to S3 when a bucket is set
+  let s3Storage = null;
+  if (process.env.S3_BUCKET || process.env.STORAGE_BACKEND) {
+    const { S3Storage } = require('../core/s3-storage');
+    s3Storage = new S3Storage();
+  }
+  const exporter = new NovelExporter(novelManager, { s3Storage });
+  console.log(`[ILUVATAR] Exporter initialized${s3Storage ? ` (storage ${s3Storage.describe()})` : ''}`);
+
+  // Initialize scheduled backups (needs storage); /novel backup and /novel restore use it too
+  let backupManager = null;
+  if (s3Storage) {
+    backupManager = new BackupManager(novelManager, s3Storage);
+    backupManager.start();
+    console.log('[ILUVATAR] Backup manager initialized');
+  }
+
+  // Initialize generation pipeline (in-process agents)
+  // GENERATION_MODE=n8n keeps the old webhook hop instead
+  let pipeline = null;
+  let autopilot = null;
+  if (process.env.GENERATION_MODE !== 'n8n') {
+    pipeline = new GenerationPipeline(novelManager);
+    autopilot = new Autopilot(novelManager, pipeline);
+    console.log('[ILUVATAR] Generation pipeline initialized');
   } else {
-    console.log('[ILUVATAR] Bible retriever disabled (no OPENAI_API_KEY)');
+    console.log('[ILUVATAR] Generation via N8N webhook');
   }
 
   // Initialize and start Discord bot
@@ -45,7 +102,12 @@ async function main() {
     clientId: process.env.DISCORD_CLIENT_ID,
     guildId: process.env.DISCORD_GUILD_ID,
     n8nWebhookUrl: process.env.N8N_WEBHOOK_URL,
-    novelManager
+    novelManager,
+    seriesManager,
+    exporter,
+    backupManager,
+    pipeline,
+    autopilot
   });
 
   await bot.start();
@@ -54,6 +116,7 @@ async function main() {
   // Handle graceful shutdown
   process.on('SIGINT', async () => {
     console.log('[ILUVATAR] Shutting down...');
+    backupManager?.stop();
     await bot.stop();
     await stateManager.close();
     process.exit(0);
@@ -61,6 +124,7 @@ async function main() {
 
   process.on('SIGTERM', async () => {
     console.log('[ILUVATAR] Shutting down...');
+    backupManager?.stop();
     await bot.stop();
     await stateManager.close();
     process.exit(0);
@@ -0,0 +1,182 @@
+/**
+ * ILUVATAR - Backup Manager Tests
+ *
+ * Restoring novels over live data, retention pruning and point-in-time
+ * backup references, on the local storage backend in a temp directory.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { S3Storage } = require('../../src/core/s3-storage');
+const { BackupManager, selectRetained } = require('../../src/core/backup-manager');
+const { quietLogs, createHarness, createPlannedNovel, writeChapter } = require('./helpers');
+
+// A snapshot taken at `stamp` (YYYYMMDDTHHMMSS), written straight to the backend
+async function putSnapshot(storage, novelId, version, stamp, data = {}) {
+  const key = `snapshots/${novelId}/v${String(version).padStart(6, '0')}-${stamp}Z.json`;
+  await storage.backend.put(key, JSON.stringify({ novelId, version, data }));
+  return key;
+}
+
+// A full backup for `day` whose file was last modified at `time`
+async function putFullBackup(storage, day, time) {
+  const key = `backups/${day}/full-backup.json`;
+  await storage.backend.put(key, JSON.stringify({ novels: [] }));
+  fs.utimesSync(storage.backend.url(key), new Date(time), new Date(time));
+  return key;
+}
+
+describe('Backup manager', function() {
+  let rootDir;
+  let storage;
+
+  quietLogs();
+
+  beforeEach(function() {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iluvatar-backups-'));
+    storage = new S3Storage({ backend: 'local', rootDir });
+  });
+
+  afterEach(function() {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  describe('selectRetained', function() {
+    it('keeps the newest backup of each recent day and week, with weeks starting on Monday', function() {
+      const items = [
+        '2024-05-06T10:00:00Z', // Monday
+        '2024-05-06T18:00:00Z',
+        '2024-05-05T12:00:00Z', // Sunday: the week before
+        '2024-05-04T12:00:00Z',
+        '2024-04-28T12:00:00Z',
+        '2024-04-20T12:00:00Z'
+      ].map(date => ({ date: new Date(date) }));
+
+      const kept = selectRetained(items, { keepDaily: 2, keepWeekly: 3 });
+      expect([...kept].map(item => item.date.toISOString())).to.deep.equal([
+        '2024-05-06T18:00:00.000Z',
+        '2024-05-05T12:00:00.000Z',
+        '2024-04-28T12:00:00.000Z'
+      ]);
+    });
+
+    it('always keeps the newest backup', function() {
+      const items = [{ date: new Date('2024-05-06T10:00:00Z') }];
+      expect(selectRetained(items, { keepDaily: 0, keepWeekly: 0 }).size).to.equal(1);
+    });
+  });
+
+  describe('with novels', function() {
+    let harness;
+    let novelManager;
+    let backups;
+
+    beforeEach(function() {
+      harness = createHarness();
+      ({ novelManager } = harness);
+      backups = new BackupManager(novelManager, storage, { intervalHours: 0, keepDaily: 2, keepWeekly: 1 });
+    });
+
+    it('restores a novel over chapters written after the backup', async function() {
+      const novel = await createPlannedNovel(harness, { discordChannelId: 'channel-1' });
+      await writeChapter(harness, novel.id, 1);
+      const { key, version } = await backups.snapshotNovel(novel.id);
+
+      await writeChapter(harness, novel.id, 2);
+      await novelManager.saveChapterSummary(novel.id, 1, { summary: 'Later', version: 1, contentHash: 'x' });
+
+      const preview = await backups.restore(key, { novelId: novel.id, dryRun: true });
+      expect(preview.novels[0]).to.include({ backupVersion: version, backupChapters: 1, currentChapters: 2 });
+      expect(await novelManager.getChapterNums(novel.id)).to.deep.equal([1, 2]);
+
+      const result = await backups.restore(key, { novelId: novel.id });
+
+      expect(result.novels[0].restoredVersion).to.be.above(version);
+      expect(await novelManager.getChapterNums(novel.id)).to.deep.equal([1]);
+      expect(await novelManager.getCritique(novel.id, 2)).to.equal(null);
+      expect((await novelManager.getSummaries(novel.id)).chapters).to.deep.equal({});
+      expect((await novelManager.getNovelState(novel.id, { include: [] })).stats.chaptersWritten).to.equal(1);
+      expect((await novelManager.history.getEvents(novel.id, { type: 'novel.restored' }))).to.have.length(1);
+    });
+
+    it('re-registers a deleted novel and its channel', async function() {
+      const novel = await createPlannedNovel(harness, { discordChannelId: 'channel-1' });
+      await backups.runBackup();
+
+      await novelManager.deleteNovel(novel.id);
+      await harness.state.delete('global', ['channel:channel-1']);
+
+      const result = await backups.restore('latest');
+
+      expect(result).to.include({ type: 'full' });
+      expect(result.novels.map(n => [n.novelId, n.exists])).to.deep.equal([[novel.id, false]]);
+      expect(await novelManager.getNovelByChannel('channel-1')).to.equal(novel.id);
+      expect((await novelManager.listNovels()).map(n => n.id)).to.deep.equal([novel.id]);
+      expect((await novelManager.getNovel(novel.id)).title).to.equal('Test Novel');
+    });
+
+    it('snapshots only novels that changed since their last snapshot', async function() {
+      const novel = await createPlannedNovel(harness);
+
+      const first = await backups.runBackup();
+      const second = await backups.runBackup();
+      await novelManager.updateNovelMetadata(novel.id, { premise: 'A long walk' });
+      const third = await backups.runBackup();
+
+      expect([first.snapshots.length, second.snapshots.length, third.snapshots.length]).to.deep.equal([1, 0, 1]);
+      expect(second.unchanged).to.equal(1);
+    });
+
+    it('prunes full backups and snapshots outside the retention policy', async function() {
+      for (const day of ['2024-05-06', '2024-05-05', '2024-05-04', '2024-04-20']) {
+        await putFullBackup(storage, day, `${day}T12:00:00Z`);
+      }
+      await putSnapshot(storage, 'novel-1', 3, '20240506T120000');
+      await putSnapshot(storage, 'novel-1', 2, '20240505T120000');
+      await putSnapshot(storage, 'novel-1', 1, '20240504T120000');
+      await putSnapshot(storage, 'novel-2', 1, '20240420T120000');
+
+      const deleted = await backups.prune();
+
+      expect(deleted.sort()).to.deep.equal([
+        'backups/2024-04-20/full-backup.json',
+        'backups/2024-05-04/full-backup.json',
+        'snapshots/novel-1/v000001-20240504T120000Z.json'
+      ]);
+      // A novel's only snapshot survives however old it is
+      expect((await storage.listSnapshots('novel-2')).map(s => s.version)).to.deep.equal([1]);
+    });
+
+    it('resolves versions, dates and moments to the backup in effect then', async function() {
+      await putSnapshot(storage, 'novel-1', 5, '20240506T090000');
+      await putSnapshot(storage, 'novel-1', 3, '20240501T120000');
+      await putFullBackup(storage, '2024-04-30', '2024-04-30T23:00:00Z');
+
+      expect(await backups.resolveBackup('latest', 'novel-1')).to.include({ type: 'snapshot', key: 'snapshots/novel-1/v000005-20240506T090000Z.json' });
+      expect(await backups.resolveBackup('v3', 'novel-1')).to.include({ key: 'snapshots/novel-1/v000003-20240501T120000Z.json' });
+      expect(await backups.resolveBackup('2024-05-05', 'novel-1')).to.include({ key: 'snapshots/novel-1/v000003-20240501T120000Z.json' });
+      expect(await backups.resolveBackup('2024-05-06T08:00:00Z', 'novel-1')).to.include({ key: 'snapshots/novel-1/v000003-20240501T120000Z.json' });
+
+      // Before the novel's first snapshot: the full backup of the day before
+      expect(await backups.resolveBackup('2024-05-01T00:00:00Z', 'novel-1')).to.include({ type: 'full', key: 'backups/2024-04-30/full-backup.json' });
+
+      let error;
+      try {
+        await backups.resolveBackup('2024-04-01', 'novel-1');
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.equal('No backup of novel-1 as of 2024-04-01T23:59:59.999Z');
+
+      error = null;
+      try {
+        await backups.resolveBackup('v3');
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.equal('Restoring a version needs a novel ID');
+    });
+  });
+});
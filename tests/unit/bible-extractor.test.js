@@ -0,0 +1,204 @@
+/**
+ * ILUVATAR - Bible Extractor Tests
+ *
+ * Frodo's BIBLE UPDATES reaching the story bible on chapter approval, and
+ * the review queue for updates that contradict it.
+ */
+
+const { expect } = require('chai');
+const { parseFrodoOutput } = require('../../src/core/output-parser');
+const { BibleExtractor, planBibleUpdates, parseCharacterChange, isDeadStatus } = require('../../src/core/bible-extractor');
+const { quietLogs, createHarness, createPlannedNovel } = require('./helpers');
+
+const BIBLE = {
+  characters: {
+    'char-001': { id: 'char-001', name: 'Lin Wei', aliases: ['Little Wei'], traits: ['stubborn'], status: 'alive' },
+    'char-002': { id: 'char-002', name: 'Elder Mo', aliases: [], traits: [], status: 'dead' }
+  },
+  relationships: [{ from: 'char-001', to: 'char-002', type: 'disciple' }],
+  plotThreads: [
+    { id: 'thread-001', title: 'The jade pendant', foreshadowing: [], resolved: null },
+    { id: 'thread-002', title: 'The old feud', foreshadowing: [], resolved: 1 }
+  ],
+  worldFacts: [],
+  timeline: [],
+  chekhovs: [
+    { item: 'Jade pendant', introduced: 1, notes: '', payoff: null },
+    { item: 'Broken sword', introduced: 1, notes: '', payoff: 1 }
+  ]
+};
+
+const FRODO_OUTPUT = `## CHAPTER TITLE
+The Pendant
+
+## CONTENT
+Little Wei held the jade pendant up to the light.
+
+## WORD COUNT
+10
+
+## AUTHOR NOTES
+- Pays off the pendant
+
+## BIBLE UPDATES
+
+### CHARACTER UPDATES
+- Little Wei: Status: injured; New trait: wary
+- char-002: Status: alive
+- Shen Yue: Status: missing
+
+### NEW RELATIONSHIPS
+- From: Lin Wei, To: char-002, Type: rival, Notes: blames him
+
+### PLOT THREAD PROGRESS
+- thread-001: The pendant glows near the sect
+- NEW thread-003: The hidden valley, Introduced this chapter
+
+### TIMELINE EVENTS
+- Lin Wei is wounded at the gate
+
+### CHEKHOV PAYOFFS
+- Jade pendant: Opens the gate
+
+### NEW CHEKHOVS
+- Item: Silver key, Notes: Opens the valley`;
+
+describe('Bible extractor', function() {
+  let harness;
+  let novelManager;
+  let pipeline;
+  let indexed;
+
+  quietLogs();
+
+  beforeEach(function() {
+    indexed = [];
+    harness = createHarness({
+      responses: { frodo: FRODO_OUTPUT },
+      attach: novelManager => {
+        novelManager.bibleExtractor = new BibleExtractor(novelManager, {
+          bibleRetriever: { indexUpdates: async (novelId, updates) => indexed.push(updates) }
+        });
+      }
+    });
+    ({ novelManager, pipeline } = harness);
+  });
+
+  async function createNovel() {
+    const novel = await createPlannedNovel(harness, { title: 'Bible' });
+    await novelManager.replaceStoryBible(novel.id, BIBLE);
+    return novel;
+  }
+
+  describe('planBibleUpdates', function() {
+    it('resolves names and aliases and holds back contradictions', function() {
+      const { data } = parseFrodoOutput(FRODO_OUTPUT);
+      const plan = planBibleUpdates(BIBLE, 2, data.bibleUpdates);
+
+      expect(plan.apply.map(e => [e.kind, e.characterId || e.threadId || e.item || e.event])).to.deep.equal([
+        ['character', 'char-001'],
+        ['foreshadowing', 'thread-001'],
+        ['plotThread', 'thread-003'],
+        ['timeline', 'Lin Wei is wounded at the gate'],
+        ['payoff', 'Jade pendant'],
+        ['chekhov', 'Silver key']
+      ]);
+      expect(plan.stage.map(e => [e.kind, e.reason])).to.deep.equal([
+        ['character', 'Elder Mo is dead, update says alive'],
+        ['character', 'Unknown character "Shen Yue"'],
+        ['relationship', 'char-001 -> char-002 is already disciple']
+      ]);
+      expect(plan.apply[3].characters).to.deep.equal(['char-001']);
+    });
+
+    it('skips updates the bible already has and stages double payoffs', function() {
+      const plan = planBibleUpdates(BIBLE, 2, {
+        relationships: [{ from: 'Lin Wei', to: 'Elder Mo', type: 'Disciple' }],
+        plotThreadProgress: [{ id: 'thread-002', isNew: false, progress: 'The feud flares up' }],
+        chekhovPayoffs: [{ item: 'broken sword', note: '' }],
+        newChekhovs: [{ item: 'Jade Pendant', notes: '' }]
+      });
+
+      expect(plan.apply).to.deep.equal([]);
+      expect(plan.skipped).to.equal(1);
+      expect(plan.stage.map(e => e.reason)).to.deep.equal([
+        'thread-002 was resolved in chapter 1',
+        '"Broken sword" already paid off in chapter 1',
+        '"Jade pendant" was already introduced in chapter 1'
+      ]);
+    });
+
+    it('reads labelled character changes in English and Chinese', function() {
+      expect(parseCharacterChange('Status: Injured; New trait: wary, tired; Lost his sword')).to.deep.equal({
+        status: 'injured', traits: ['wary', 'tired'], aliases: [], description: null, note: 'Lost his sword'
+      });
+      expect(parseCharacterChange('状态：重伤；别名：剑痴')).to.include({ status: '重伤' });
+      expect(isDeadStatus('已死亡')).to.equal(true);
+      expect(isDeadStatus('deadly serious')).to.equal(false);
+    });
+  });
+
+  it('applies Frodo\'s updates when the chapter is approved and stages the rest', async function() {
+    const novel = await createNovel();
+    await pipeline.write(novel.id, 1);
+
+    const extraction = await novelManager.approveChapter(novel.id, 1);
+    expect(extraction.applied).to.have.length(6);
+    expect(extraction.staged.map(e => e.id)).to.deep.equal(['u1', 'u2', 'u3']);
+
+    const bible = await novelManager.getStoryBible(novel.id);
+    expect(bible.characters['char-001']).to.include({ status: 'injured' });
+    expect(bible.characters['char-001'].traits).to.deep.equal(['stubborn', 'wary']);
+    expect(bible.characters['char-002'].status).to.equal('dead');
+    expect(bible.plotThreads.find(t => t.id === 'thread-001').foreshadowing)
+      .to.deep.equal([{ chapter: 1, hint: 'The pendant glows near the sect' }]);
+    expect(bible.plotThreads.find(t => t.id === 'thread-003').title).to.equal('The hidden valley');
+    expect(bible.chekhovs.find(c => c.item === 'Jade pendant').payoff).to.equal(1);
+    expect(bible.chekhovs.find(c => c.item === 'Silver key')).to.include({ introduced: 1, payoff: null });
+    expect(bible.timeline).to.deep.equal([{ chapter: 1, event: 'Lin Wei is wounded at the gate', characters: ['char-001'] }]);
+    expect(indexed).to.have.length(1);
+
+    const events = await novelManager.history.getEvents(novel.id);
+    expect(events.filter(e => e.type === 'bible.staged')).to.have.length(1);
+
+    // Approving again doesn't extract twice
+    expect(await novelManager.approveChapter(novel.id, 1)).to.equal(null);
+  });
+
+  it('applies approved staged updates and drops rejected ones', async function() {
+    const novel = await createNovel();
+    await pipeline.write(novel.id, 1);
+    await novelManager.approveChapter(novel.id, 1);
+
+    await novelManager.bibleExtractor.review(novel.id, ['u1', 'u2'], true);
+    await novelManager.bibleExtractor.review(novel.id, null, false);
+
+    const bible = await novelManager.getStoryBible(novel.id);
+    expect(bible.characters['char-002'].status).to.equal('alive');
+    expect(bible.characters['char-003']).to.include({ name: 'Shen Yue', status: 'missing', firstAppearance: 1 });
+    expect(bible.relationships.map(r => r.type)).to.deep.equal(['disciple']);
+    expect(await novelManager.getPendingBibleUpdates(novel.id)).to.deep.equal([]);
+
+    const reviewed = (await novelManager.history.getEvents(novel.id)).filter(e => e.type === 'bible.reviewed');
+    expect(reviewed.map(e => e.data)).to.deep.equal([
+      { ids: ['u1', 'u2'], approved: true },
+      { ids: ['u3'], approved: false }
+    ]);
+  });
+
+  it('rejects unknown update IDs without changing the queue', async function() {
+    const novel = await createNovel();
+    await pipeline.write(novel.id, 1);
+    await novelManager.approveChapter(novel.id, 1);
+
+    let error;
+    try {
+      await novelManager.bibleExtractor.review(novel.id, ['u1', 'u9'], true);
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error.message).to.equal('No staged bible update(s): u9');
+    expect(await novelManager.getPendingBibleUpdates(novel.id)).to.have.length(3);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * ILUVATAR - Circuit Breaker Tests
+ *
+ * Tripping after the failure threshold, the half-open test request, and
+ * the per-agent registry.
+ */
+
+const { expect } = require('chai');
+const {
+  CircuitBreaker,
+  CircuitBreakerRegistry,
+  CircuitOpenError,
+  CIRCUIT_STATES
+} = require('../../src/core/circuit-breaker');
+
+const fail = async () => {
+  throw new Error('bad output');
+};
+const succeed = async () => 'ok';
+
+async function attempt(circuit, fn) {
+  try {
+    return await circuit.execute(fn);
+  } catch (err) {
+    return err;
+  }
+}
+
+describe('Circuit breaker', function() {
+  let circuit;
+
+  beforeEach(function() {
+    circuit = new CircuitBreaker({ id: 'frodo', threshold: 2, resetTimeout: 1000 });
+  });
+
+  // Move the circuit's last state change back past the reset timeout
+  function expireTimeout() {
+    circuit.lastStateChange -= circuit.resetTimeout;
+  }
+
+  it('opens after the failure threshold and refuses requests', async function() {
+    const trips = [];
+    circuit.on('trip', event => trips.push(event));
+
+    expect((await attempt(circuit, fail)).message).to.equal('bad output');
+    expect(circuit.state).to.equal(CIRCUIT_STATES.CLOSED);
+    await attempt(circuit, fail);
+    expect(circuit.state).to.equal(CIRCUIT_STATES.OPEN);
+    expect(trips).to.have.length(1);
+
+    let called = false;
+    const refused = await attempt(circuit, async () => {
+      called = true;
+    });
+    expect(refused).to.be.instanceOf(CircuitOpenError);
+    expect(called).to.equal(false);
+  });
+
+  it('resets the failure count on success', async function() {
+    await attempt(circuit, fail);
+    expect(await attempt(circuit, succeed)).to.equal('ok');
+    await attempt(circuit, fail);
+    expect(circuit.state).to.equal(CIRCUIT_STATES.CLOSED);
+  });
+
+  it('half-opens after the reset timeout and closes on a successful test', async function() {
+    await attempt(circuit, fail);
+    await attempt(circuit, fail);
+    expireTimeout();
+
+    const states = [];
+    circuit.on('stateChange', change => states.push(change.to));
+
+    expect(await attempt(circuit, succeed)).to.equal('ok');
+    expect(states).to.deep.equal([CIRCUIT_STATES.HALF_OPEN, CIRCUIT_STATES.CLOSED]);
+    expect(circuit.failures).to.equal(0);
+  });
+
+  it('reopens when the half-open test fails, and allows one test at a time', async function() {
+    await attempt(circuit, fail);
+    await attempt(circuit, fail);
+    expireTimeout();
+
+    await attempt(circuit, fail);
+    expect(circuit.state).to.equal(CIRCUIT_STATES.OPEN);
+    expect(await attempt(circuit, succeed)).to.be.instanceOf(CircuitOpenError);
+
+    expireTimeout();
+    let release;
+    const test = circuit.execute(() => new Promise(resolve => {
+      release = resolve;
+    }));
+    expect(circuit.state).to.equal(CIRCUIT_STATES.HALF_OPEN);
+    expect((await attempt(circuit, succeed)).message).to.equal('Circuit is HALF_OPEN and testing - additional requests refused');
+
+    release('ok');
+    expect(await test).to.equal('ok');
+    expect(circuit.state).to.equal(CIRCUIT_STATES.CLOSED);
+  });
+
+  it('keeps one circuit per id in the registry', async function() {
+    const registry = new CircuitBreakerRegistry({ threshold: 1 });
+    await attempt(registry.getCircuit('frodo'), fail);
+
+    expect(registry.getCircuit('frodo')).to.equal(registry.getCircuit('frodo'));
+    expect(registry.getOpenCircuits().map(c => c.id)).to.deep.equal(['frodo']);
+    expect(registry.getAllStates().frodo.state).to.equal(CIRCUIT_STATES.OPEN);
+
+    registry.resetAll();
+    expect(registry.getOpenCircuits()).to.deep.equal([]);
+  });
+});
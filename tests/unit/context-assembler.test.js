@@ -0,0 +1,107 @@
+/**
+ * ILUVATAR - Context Assembler Tests
+ *
+ * CJK-aware token estimates and deterministic packing of prompt sections
+ * into a token budget.
+ */
+
+const { expect } = require('chai');
+const { estimateTokens, truncateToTokens, tailToTokens, tokenize } = require('../../src/core/tokens');
+const { ContextAssembler, PRIORITY, MIN_SECTION_TOKENS } = require('../../src/core/context-assembler');
+
+// `tokens` tokens of Latin text (four characters per token)
+const words = tokens => 'abc '.repeat(tokens).trim();
+
+describe('Context assembler', function() {
+  describe('tokens', function() {
+    it('counts a CJK character as one token and other text at four characters per token', function() {
+      expect(estimateTokens('林玮拔剑')).to.equal(4);
+      expect(estimateTokens('Lin Wei draws')).to.equal(4);
+      expect(estimateTokens('林玮 draws')).to.equal(4);
+      expect(estimateTokens('')).to.equal(0);
+    });
+
+    it('truncates from the end and keeps whole trailing paragraphs from the tail', function() {
+      expect(truncateToTokens('林玮拔剑，莫长老点头。', 5)).to.equal('林玮拔剑…');
+      expect(truncateToTokens('short', 5)).to.equal('short');
+
+      const text = '第一段很长很长很长。\n\n第二段。\n\n第三段。';
+      expect(tailToTokens(text, 12)).to.equal('…\n\n第二段。\n\n第三段。');
+      expect(tailToTokens('林玮拔剑，莫长老点头。', 5)).to.equal('…老点头。');
+    });
+
+    it('splits CJK runs into characters and bigrams and drops stop words', function() {
+      expect(tokenize('The 莫长老 and Lin Wei')).to.deep.equal(['lin', 'wei', '莫', '莫长', '长', '长老', '老']);
+      expect(tokenize('莫长老', { unigrams: false })).to.deep.equal(['莫长', '长老']);
+    });
+  });
+
+  describe('pack', function() {
+    const assembler = new ContextAssembler({});
+
+    it('always includes required sections and fills the rest by priority', function() {
+      const packed = assembler.pack([
+        { name: 'outline', title: 'Outline', text: words(100), priority: PRIORITY.REQUIRED },
+        { name: 'summaries', title: 'Story So Far', items: [words(100)], priority: PRIORITY.SUMMARIES },
+        { name: 'bible', title: null, text: words(150), priority: PRIORITY.BIBLE },
+        { name: 'feedback', title: 'Feedback', text: words(100), priority: PRIORITY.FEEDBACK },
+        { name: 'task', title: null, text: words(50), priority: PRIORITY.REQUIRED }
+      ], 400);
+
+      const byName = Object.fromEntries(packed.map(s => [s.name, s]));
+      expect(packed.map(s => s.name)).to.deep.equal(['outline', 'summaries', 'bible', 'feedback', 'task']);
+      expect(byName.feedback).to.include({ included: true, truncated: false });
+      // The bible gets what the required sections and feedback leave
+      expect(byName.bible).to.include({ included: true, truncated: true });
+      expect(byName.summaries).to.include({ included: false });
+      expect(packed.reduce((sum, s) => sum + s.tokens, 0)).to.be.at.most(400);
+    });
+
+    it('drops a section that would be trimmed below the minimum', function() {
+      const packed = assembler.pack([
+        { name: 'task', title: null, text: words(200), priority: PRIORITY.REQUIRED },
+        { name: 'bible', title: null, text: words(100), priority: PRIORITY.BIBLE }
+      ], 200 + MIN_SECTION_TOKENS);
+
+      expect(packed[1]).to.include({ included: false, tokens: 0 });
+    });
+
+    it('falls back to a briefer summary level, then drops the oldest items', function() {
+      const detailed = ['Ch1: ' + words(100), 'Ch2: ' + words(100)];
+      const brief = ['Ch1: ' + words(60), 'Ch2: ' + words(60)];
+      const sections = budget => assembler.pack([{
+        name: 'summaries', title: null, items: detailed, level: 'detailed',
+        fallbacks: [{ level: 'brief', items: brief }], priority: PRIORITY.SUMMARIES
+      }], budget);
+
+      expect(sections(150)[0]).to.include({ level: 'brief', droppedItems: 0, truncated: true });
+
+      const cut = sections(100)[0];
+      expect(cut).to.include({ level: 'brief', droppedItems: 1 });
+      expect(cut.content).to.equal(brief[1]);
+    });
+
+    it('trims the previous chapter from the front and caps it at maxTokens', function() {
+      const tail = `${words(200)}\n\n${words(50)}`;
+      const [section] = assembler.pack([
+        { name: 'tail', title: null, text: tail, priority: PRIORITY.TAIL, trim: 'start', maxTokens: 100 }
+      ], 1000);
+
+      expect(section.content).to.equal(`…\n\n${words(50)}`);
+      expect(section.truncated).to.equal(true);
+    });
+
+    it('packs the same sections the same way every time', function() {
+      const sections = [
+        { name: 'a', title: null, text: words(80), priority: PRIORITY.BIBLE },
+        { name: 'b', title: null, text: words(80), priority: PRIORITY.BIBLE }
+      ];
+      const first = assembler.pack(sections, 150).map(s => [s.name, s.included, s.tokens]);
+      const second = assembler.pack(sections, 150).map(s => [s.name, s.included, s.tokens]);
+
+      expect(first).to.deep.equal(second);
+      // Ties go to declaration order
+      expect(first[0]).to.deep.equal(['a', true, 81]);
+    });
+  });
+});
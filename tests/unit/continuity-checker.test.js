@@ -0,0 +1,135 @@
+/**
+ * ILUVATAR - Continuity Checker Tests
+ *
+ * Rule-based contradictions between a chapter and the story bible, and the
+ * findings reaching Elrond's critique prompt.
+ */
+
+const { expect } = require('chai');
+const { ContinuityChecker, checkContinuity, splitSentences, parseRealmLadder } = require('../../src/core/continuity-checker');
+const { quietLogs, createHarness, createPlannedNovel } = require('./helpers');
+
+const BIBLE = {
+  characters: {
+    'char-001': {
+      id: 'char-001', name: 'Lin Wei', aliases: ['Sword Fool'], status: 'alive',
+      changes: [{ chapter: 5, change: 'Alias: Sword Fool' }]
+    },
+    'char-002': {
+      id: 'char-002', name: 'Elder Mo', aliases: [], status: 'dead',
+      changes: [{ chapter: 2, change: 'Status: dead' }]
+    },
+    'char-003': { id: 'char-003', name: 'Shen Yue', aliases: [], status: 'alive' }
+  },
+  relationships: [{ from: 'char-001', to: 'char-003', type: 'sworn sister' }],
+  plotThreads: [],
+  worldFacts: [
+    { category: 'Cultivation', fact: 'Realms: Qi Condensation < Foundation Establishment < Golden Core < Nascent Soul' },
+    { category: 'Magic', fact: 'No one can fly without a spirit sword' }
+  ],
+  timeline: [{ chapter: 8, event: 'The sect gate is destroyed by the demon army' }],
+  chekhovs: []
+};
+
+const CHAPTER = `"Go now," Elder Mo said to Lin Wei.
+
+Lin Wei remembered Elder Mo's last words. Elder Mo stood at the door.
+
+Shen Yue, his enemy, drew her blade at Lin Wei. The Sword Fool laughed.
+
+Lin Wei broke through from Golden Core to Foundation Establishment. Shen Yue advanced from Qi Condensation to Golden Core.
+
+Lin Wei could fly without a spirit sword over the valley. He recalled how the demon army destroyed the sect gate.`;
+
+describe('Continuity checker', function() {
+  describe('checkContinuity', function() {
+    it('flags each kind of contradiction with the quoted sentence', function() {
+      const findings = checkContinuity(BIBLE, CHAPTER, 4);
+
+      expect(findings.map(f => [f.type, f.severity, f.quote])).to.deep.equal([
+        ['deadCharacter', 'error', '"Go now," Elder Mo said to Lin Wei.'],
+        ['deadCharacter', 'warning', 'Elder Mo stood at the door.'],
+        ['relationship', 'warning', 'Shen Yue, his enemy, drew her blade at Lin Wei.'],
+        ['alias', 'warning', 'The Sword Fool laughed.'],
+        ['worldFact', 'error', 'Lin Wei broke through from Golden Core to Foundation Establishment.'],
+        ['worldFact', 'warning', 'Shen Yue advanced from Qi Condensation to Golden Core.'],
+        ['worldFact', 'warning', 'Lin Wei could fly without a spirit sword over the valley.'],
+        ['timeline', 'warning', 'He recalled how the demon army destroyed the sect gate.']
+      ]);
+
+      for (const finding of findings) {
+        expect(CHAPTER.slice(finding.span.start, finding.span.end)).to.equal(finding.quote);
+      }
+      expect(findings[1].paragraph).to.equal(1);
+      expect(findings[5].message).to.equal('Goes from Qi Condensation to Golden Core, skipping Foundation Establishment');
+    });
+
+    it('respects chapter order for deaths, aliases and the timeline', function() {
+      // Chapter 9: the alias exists and the gate has fallen
+      const later = checkContinuity(BIBLE, CHAPTER, 9).map(f => f.type);
+      expect(later).to.not.include('alias');
+      expect(later).to.not.include('timeline');
+
+      // Chapter 2: Elder Mo dies in this chapter, so he may still speak
+      expect(checkContinuity(BIBLE, CHAPTER, 2).map(f => f.type)).to.not.include('deadCharacter');
+    });
+
+    it('checks Chinese prose', function() {
+      const bible = {
+        characters: {
+          'char-001': { id: 'char-001', name: '林玮', aliases: [], status: 'alive' },
+          'char-002': { id: 'char-002', name: '莫长老', aliases: [], status: '已死亡' }
+        },
+        worldFacts: [{ category: '境界', fact: '境界：炼气、筑基、金丹、元婴' }]
+      };
+      const content = '莫长老道：“走吧。”林玮想起莫长老的墓。\n\n林玮突破金丹，踏入炼气。林玮从金丹跌落到炼气。';
+
+      expect(checkContinuity(bible, content, 3).map(f => [f.type, f.severity, f.quote])).to.deep.equal([
+        ['deadCharacter', 'error', '莫长老道：“走吧。”'],
+        ['worldFact', 'error', '林玮突破金丹，踏入炼气。'],
+        ['worldFact', 'warning', '林玮从金丹跌落到炼气。']
+      ]);
+    });
+
+    it('splits sentences and reads realm ladders', function() {
+      expect(splitSentences('One. Two!\n\nThree').map(s => [s.text, s.start, s.paragraph])).to.deep.equal([
+        ['One.', 0, 0], ['Two!', 5, 0], ['Three', 11, 1]
+      ]);
+      expect(parseRealmLadder({ category: 'Realms', fact: 'Nascent Soul > Golden Core > Foundation' }))
+        .to.deep.equal(['Foundation', 'Golden Core', 'Nascent Soul']);
+      expect(parseRealmLadder({ category: 'Magic', fact: 'Spirit swords, talismans, arrays' })).to.equal(null);
+    });
+  });
+
+  describe('critique', function() {
+    let harness;
+    let novelManager;
+    let provider;
+    let pipeline;
+
+    quietLogs();
+
+    beforeEach(function() {
+      harness = createHarness({
+        attach: novelManager => {
+          novelManager.continuityChecker = new ContinuityChecker(novelManager);
+        }
+      });
+      ({ novelManager, provider, pipeline } = harness);
+    });
+
+    it('hands the findings to Elrond and returns the report', async function() {
+      const novel = await createPlannedNovel(harness, { title: 'Continuity' });
+      await novelManager.replaceStoryBible(novel.id, BIBLE);
+      await novelManager.saveChapter(novel.id, 4, { title: 'The Gate', content: CHAPTER, wordCount: 100 });
+
+      const result = await pipeline.critique(novel.id, 4);
+
+      expect(result.continuity).to.include({ chapterNum: 4, errors: 2, warnings: 6 });
+      const prompt = provider.calls.find(call => call.agent === 'elrond').messages[0].content;
+      expect(prompt).to.include('## CONTINUITY FINDINGS');
+      expect(prompt).to.include('- [ERROR] deadCharacter: Elder Mo is dead (since chapter 2) but speaks here');
+      expect(prompt).to.include('  > "Go now," Elder Mo said to Lin Wei.');
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * ILUVATAR - Embedder Tests
+ *
+ * The offline hashing embedder and the embedder registry.
+ */
+
+const { expect } = require('chai');
+const { HashingEmbedder, registerEmbedder, getEmbedder } = require('../../src/core/embedders');
+const { dot } = require('../../src/core/vector-stores');
+
+describe('Embedders', function() {
+  describe('HashingEmbedder', function() {
+    it('embeds the same text to the same unit vector every time', async function() {
+      const text = 'Lin Wei draws the broken sword at the gate of the Azure Cloud Sect.';
+      const first = await new HashingEmbedder().embed(text);
+      const second = await new HashingEmbedder().embed(text);
+
+      expect(first).to.have.length(512);
+      expect(second).to.deep.equal(first);
+      expect(dot(first, first)).to.be.closeTo(1, 1e-9);
+    });
+
+    it('scores shared names and terms above unrelated text, in English and Chinese', async function() {
+      const embedder = new HashingEmbedder({ dimensions: 256 });
+      const query = await embedder.embed('Where is the broken sword?');
+      const sword = await embedder.embed('Lin Wei keeps the broken sword under his bed.');
+      const tea = await embedder.embed('The elder pours tea for the visitors.');
+      expect(dot(query, sword)).to.be.above(dot(query, tea));
+      expect(dot(query, sword)).to.be.above(embedder.similarityThreshold);
+
+      const zhQuery = await embedder.embed('断剑在哪里？');
+      const zhSword = await embedder.embed('林玮把断剑藏在床下。');
+      const zhTea = await embedder.embed('长老给客人倒茶。');
+      expect(dot(zhQuery, zhSword)).to.be.above(dot(zhQuery, zhTea));
+    });
+
+    it('keys indexes by name and size, and leaves empty text as a zero vector', async function() {
+      const embedder = new HashingEmbedder({ dimensions: 64 });
+      expect(embedder.id).to.equal('hashing-64');
+      expect((await embedder.embed('')).every(v => v === 0)).to.equal(true);
+    });
+  });
+
+  describe('registry', function() {
+    let env;
+
+    beforeEach(function() {
+      env = { EMBEDDER: process.env.EMBEDDER, OPENAI_API_KEY: process.env.OPENAI_API_KEY };
+    });
+
+    afterEach(function() {
+      for (const [key, value] of Object.entries(env)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+    });
+
+    it('falls back to the hashing embedder without an OpenAI key', function() {
+      delete process.env.EMBEDDER;
+      delete process.env.OPENAI_API_KEY;
+      expect(getEmbedder().name).to.equal('hashing');
+      expect(getEmbedder()).to.equal(getEmbedder('hashing'));
+    });
+
+    it('returns registered embedders and rejects unknown names', function() {
+      const custom = { name: 'custom', id: 'custom-3', similarityThreshold: 0.5, embed: async () => [1, 0, 0] };
+      registerEmbedder('custom', () => custom);
+      expect(getEmbedder('custom')).to.equal(custom);
+
+      expect(() => getEmbedder('word2vec')).to.throw('Unknown embedder: word2vec');
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * ILUVATAR - Test Helpers
+ *
+ * Shared setup for tests that drive a novel: a NovelManager on the
+ * in-memory state driver, a GenerationPipeline on the fake LLM provider
+ * (canned agent output, Elrond always scores 75), and quiet manager logs.
+ */
+
+const { StateManager } = require('../../src/core/state-manager');
+const { NovelManager } = require('../../src/core/novel-manager');
+const { GenerationPipeline } = require('../../src/core/generation-pipeline');
+const { FakeProvider } = require('../../src/core/llm-providers');
+
+/**
+ * Silence console.log for every test in the calling describe block
+ * (the managers log every step)
+ */
+function quietLogs() {
+  let log;
+
+  beforeEach(function() {
+    log = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function() {
+    console.log = log;
+  });
+}
+
+/**
+ * A novel manager and pipeline with no Redis and no model API
+ *
+ * @param {Object} options
+ * @param {Object} options.config - NovelManager config (passThreshold, maxRevisions)
+ * @param {Object} options.responses - FakeProvider responses { agentName: string | function(request) }
+ * @param {Function} options.attach - (novelManager, provider) => void, to attach collaborators
+ *                                    (summaryManager, bibleExtractor, ...) before the pipeline picks them up
+ * @returns {Object} { state, novelManager, provider, pipeline }
+ */
+function createHarness(options = {}) {
+  const state = new StateManager({ driver: 'memory' });
+  const novelManager = new NovelManager(state, options.config);
+  const provider = new FakeProvider({ responses: options.responses });
+  if (options.attach) {
+    options.attach(novelManager, provider);
+  }
+  const pipeline = new GenerationPipeline(novelManager, { modelClient: provider });
+  return { state, novelManager, provider, pipeline };
+}
+
+/**
+ * Create a novel and approve Gandalf's outline
+ *
+ * @param {Object} harness - Result of createHarness()
+ * @param {Object} fields - createNovel fields (default: English, 3 chapters)
+ * @param {Object} options
+ * @param {Object} options.actor - Who creates and approves (default: the system)
+ * @returns {Promise<Object>} Novel metadata
+ */
+async function createPlannedNovel({ novelManager, pipeline }, fields = {}, options = {}) {
+  const manager = options.actor ? novelManager.withActor(options.actor) : novelManager;
+  const novel = await manager.createNovel({ title: 'Test Novel', language: 'en', targetChapters: 3, ...fields });
+  await pipeline.outline(novel.id);
+  await manager.approveOutline(novel.id);
+  return novel;
+}
+
+/**
+ * Write, critique and approve one chapter
+ *
+ * @param {Object} harness - Result of createHarness()
+ * @param {string} novelId - Novel ID
+ * @param {number} chapterNum - Chapter number
+ * @param {Object} options
+ * @param {Object} options.actor - Who approves (default: the system)
+ * @returns {Promise<Object|null>} approveChapter's result
+ */
+async function writeChapter({ novelManager, pipeline }, novelId, chapterNum, options = {}) {
+  const manager = options.actor ? novelManager.withActor(options.actor) : novelManager;
+  await pipeline.write(novelId, chapterNum);
+  await pipeline.critique(novelId, chapterNum);
+  return await manager.approveChapter(novelId, chapterNum);
+}
+
+module.exports = {
+  quietLogs,
+  createHarness,
+  createPlannedNovel,
+  writeChapter
+};
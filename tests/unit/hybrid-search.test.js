@@ -0,0 +1,67 @@
+/**
+ * ILUVATAR - Hybrid Search Tests
+ *
+ * BM25, name mentions and reciprocal rank fusion for story bible retrieval.
+ */
+
+const { expect } = require('chai');
+const { BM25Index, findMentions, reciprocalRankFusion, hybridRank, RRF_K } = require('../../src/core/hybrid-search');
+
+const ENTRIES = [
+  { id: 'char-001', type: 'character', key: 'char-001', label: 'Lin Wei', names: ['Lin Wei', 'Sword Fool'], text: 'Lin Wei, a stubborn disciple of the sect' },
+  { id: 'char-002', type: 'character', key: 'char-002', label: '莫长老', names: ['莫长老'], text: '莫长老 外门长老 严厉' },
+  { id: 'char-003', type: 'character', key: 'char-003', label: 'Shen Yue', names: ['Shen Yue'], text: 'Shen Yue, a wandering swordswoman' },
+  { id: 'fact-001', type: 'worldFact', key: 'fact-001', label: 'Flight', names: [], text: 'No one can fly without a spirit sword' },
+  { id: 'fact-002', type: 'worldFact', key: 'fact-002', label: 'Realms', names: [], text: 'Realms: Qi Condensation, Foundation Establishment, Golden Core' }
+];
+
+describe('Hybrid search', function() {
+  it('ranks BM25 matches best first and skips documents without a match', function() {
+    const index = new BM25Index(ENTRIES);
+    const results = index.search('spirit sword flight');
+    expect(results.map(r => r.id)).to.deep.equal(['fact-001']);
+
+    expect(index.search('sword disciple').map(r => r.id)).to.include.members(['char-001', 'fact-001']);
+    expect(index.search('dragon')).to.deep.equal([]);
+  });
+
+  it('finds names on word boundaries, CJK names as substrings', function() {
+    const mentions = findMentions('The Sword Fool bows to 莫长老. Shen Yuexin watches.', ENTRIES);
+    expect(Array.from(mentions.entries())).to.deep.equal([
+      ['char-001', ['Sword Fool']],
+      ['char-002', ['莫长老']]
+    ]);
+  });
+
+  it('fuses rankings with 1 / (k + rank)', function() {
+    const fused = reciprocalRankFusion({
+      vector: [{ id: 'a', score: 0.9 }, { id: 'b', score: 0.5 }],
+      bm25: [{ id: 'b', score: 4.2 }]
+    });
+
+    expect(fused.get('a').score).to.equal(1 / (RRF_K + 1));
+    expect(fused.get('b').score).to.equal(1 / (RRF_K + 2) + 1 / (RRF_K + 1));
+    expect(fused.get('b').sources).to.deep.equal({ vector: { rank: 2, score: 0.5 }, bm25: { rank: 1, score: 4.2 } });
+  });
+
+  it('always includes mentioned entries and keeps top K per type for the rest', function() {
+    const ranked = hybridRank({
+      entries: ENTRIES,
+      query: 'Shen Yue tries to fly without a spirit sword',
+      mentionText: 'Chapter 4: 莫长老 sends the disciples out',
+      vectorResults: [{ id: 'char-003', score: 0.4 }, { id: 'fact-002', score: 0.3 }],
+      topK: 1
+    });
+    const byId = Object.fromEntries(ranked.map(r => [r.id, r]));
+
+    // Mentioned without any BM25 or vector match, still first and included
+    expect(ranked[0].id).to.equal('char-002');
+    expect(byId['char-002']).to.include({ included: true, explanation: 'mentioned (莫长老)' });
+
+    // One character and one world fact beyond the mentions: BM25 #1 beats vector #2
+    expect(ranked.filter(r => r.included).map(r => r.id)).to.have.members(['char-002', 'char-003', 'fact-001']);
+    expect(byId['char-003'].explanation).to.match(/^vector #1 \(0\.400\), bm25 #\d \(\d+\.\d\d\)$/);
+    expect(byId['fact-002']).to.include({ included: false, explanation: 'vector #2 (0.300)' });
+    expect(byId['char-001'].explanation).to.equal('no match');
+  });
+});
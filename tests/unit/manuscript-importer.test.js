@@ -0,0 +1,106 @@
+/**
+ * ILUVATAR - Manuscript Importer Tests
+ *
+ * Splitting Markdown and TXT drafts into chapters: Chinese and English
+ * headings, the markdown fallback, front matter and prologues.
+ */
+
+const { expect } = require('chai');
+const { parseManuscript, splitChapters, matchChapterHeading } = require('../../src/core/manuscript-importer');
+
+describe('Manuscript importer', function() {
+  describe('splitChapters', function() {
+    it('splits a Markdown draft on "Chapter N" headings under the book title', function() {
+      const { title, chapters, frontMatter } = splitChapters(`# The Long Road
+
+A novel in three parts.
+
+## Chapter 1: The Gate
+The hero walked to the gate.
+
+He knocked twice.
+
+## Chapter Two
+Nobody answered.
+
+## Chapter XII - **The Storm**
+Rain fell on the road.`);
+
+      expect(title).to.equal('The Long Road');
+      expect(frontMatter).to.equal('A novel in three parts.');
+      expect(chapters.map(ch => [ch.number, ch.title, ch.heading])).to.deep.equal([
+        [1, 'The Gate', 'Chapter 1: The Gate'],
+        [2, '', 'Chapter Two'],
+        [3, 'The Storm', 'Chapter XII - The Storm']
+      ]);
+      expect(chapters[0].content).to.equal('The hero walked to the gate.\n\nHe knocked twice.');
+      expect(chapters[0].wordCount).to.equal(9);
+    });
+
+    it('splits a Chinese TXT draft on 第X章 headings, with the prologue as a chapter', function() {
+      const { title, chapters, frontMatter } = splitChapters([
+        '作者：某人',
+        '',
+        '楔子',
+        '　　天地初开。',
+        '第一章 入门',
+        '　　林玮走进山门。',
+        '　　第三章节的内容他还没有读到，。',
+        '第十二章：风起',
+        '　　风起云涌。'
+      ].join('\r\n'));
+
+      expect(title).to.equal(null);
+      expect(frontMatter).to.equal('作者：某人');
+      expect(chapters.map(ch => [ch.number, ch.title])).to.deep.equal([
+        [1, '楔子'],
+        [2, '入门'],
+        [3, '风起']
+      ]);
+      expect(chapters[1].content).to.equal('林玮走进山门。\n\n第三章节的内容他还没有读到，。');
+    });
+
+    it('falls back to the most common markdown heading level', function() {
+      const { title, chapters } = splitChapters(`# Book
+
+## The Gate
+Text one.
+
+### A note
+Still chapter one.
+
+## The Storm
+Text two.
+
+## Empty`);
+
+      expect(title).to.equal('Book');
+      expect(chapters.map(ch => ch.title)).to.deep.equal(['The Gate', 'The Storm']);
+      expect(chapters[0].content).to.equal('Text one.\n\n### A note\n\nStill chapter one.');
+    });
+
+    it('rejects text without any chapter headings', function() {
+      expect(() => splitChapters('Just one long paragraph.')).to.throw('No chapter headings found');
+    });
+  });
+
+  describe('matchChapterHeading', function() {
+    it('tells headings from sentences that start the same way', function() {
+      expect(matchChapterHeading('第三章 风起')).to.deep.equal({ heading: '第三章 风起', title: '风起' });
+      expect(matchChapterHeading('Chapter Twenty-One: Home')).to.deep.equal({ heading: 'Chapter Twenty-One: Home', title: 'Home' });
+      expect(matchChapterHeading('Chapter and verse were quoted at him.')).to.equal(null);
+      expect(matchChapterHeading('第三章节的内容，他还没有读到。')).to.equal(null);
+    });
+  });
+
+  describe('parseManuscript', function() {
+    it('takes the format and fallback title from the file name', function() {
+      const parsed = parseManuscript(Buffer.from('\uFEFF第一章 入门\n林玮走进山门。\n第二章 试炼\n林玮过关。'), { fileName: '山门.txt' });
+
+      expect(parsed).to.include({ title: '山门', language: 'zh', format: 'txt' });
+      expect(parsed.chapters).to.have.length(2);
+
+      expect(() => parseManuscript('text', { fileName: 'draft.pdf' })).to.throw('Unsupported manuscript format: pdf');
+    });
+  });
+});
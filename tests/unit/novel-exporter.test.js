@@ -0,0 +1,60 @@
+/**
+ * ILUVATAR - Novel Exporter Tests
+ *
+ * The EPUB container layout readers sniff for, and the chapters each
+ * format carries.
+ */
+
+const { expect } = require('chai');
+const { readZip } = require('../../src/core/zip');
+const { NovelExporter } = require('../../src/core/novel-exporter');
+const { quietLogs, createHarness, createPlannedNovel, writeChapter } = require('./helpers');
+
+describe('Novel exporter', function() {
+  let harness;
+  let exporter;
+  let novel;
+
+  quietLogs();
+
+  beforeEach(async function() {
+    harness = createHarness();
+    exporter = new NovelExporter(harness.novelManager, { author: 'Test Author' });
+    novel = await createPlannedNovel(harness);
+    await writeChapter(harness, novel.id, 1);
+    await harness.pipeline.write(novel.id, 2);
+  });
+
+  it('writes an EPUB whose first entry is the mimetype, stored uncompressed', async function() {
+    const result = await exporter.render(novel.id, 'epub');
+    const { buffer } = result;
+
+    expect(result).to.include({ fileName: 'Fake-Novel.epub', mimeType: 'application/epub+zip', chapters: 2 });
+
+    // Local header at offset 0: signature, method 0 (stored), equal sizes, then the name and data
+    expect(buffer.readUInt32LE(0)).to.equal(0x04034b50);
+    expect(buffer.readUInt16LE(8)).to.equal(0);
+    expect(buffer.readUInt32LE(18)).to.equal(buffer.readUInt32LE(22));
+    expect(buffer.toString('latin1', 30, 38)).to.equal('mimetype');
+    expect(buffer.toString('latin1', 38, 58)).to.equal('application/epub+zip');
+
+    const entries = readZip(buffer);
+    expect([...entries.keys()]).to.include.members([
+      'META-INF/container.xml',
+      'OEBPS/content.opf',
+      'OEBPS/chapter-001.xhtml',
+      'OEBPS/chapter-002.xhtml'
+    ]);
+    expect(entries.get('OEBPS/chapter-001.xhtml').toString('utf8')).to.include('<p>The hero walked the long road.</p>');
+  });
+
+  it('exports only approved chapters when asked', async function() {
+    const result = await exporter.render(novel.id, 'txt', { approvedOnly: true });
+    const text = result.buffer.toString('utf8');
+
+    expect(result.chapters).to.equal(1);
+    expect(text).to.include('by Test Author');
+    expect(text).to.include('Chapter 1: Fake Chapter');
+    expect(text).to.not.include('Chapter 2');
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * ILUVATAR - Novel History Tests
+ *
+ * The event log NovelManager appends to, its projections and time travel.
+ */
+
+const { expect } = require('chai');
+const { diffBible, applyBibleChange, discordActor } = require('../../src/core/novel-history');
+const { quietLogs, createHarness, createPlannedNovel, writeChapter: writeAndApprove } = require('./helpers');
+
+describe('Novel history', function() {
+  let harness;
+  let state;
+  let novelManager;
+  let pipeline;
+
+  quietLogs();
+
+  beforeEach(function() {
+    harness = createHarness();
+    ({ state, novelManager, pipeline } = harness);
+  });
+
+  const alice = discordActor({ id: '1001', username: 'alice' });
+
+  async function writeChapter(novelId, num) {
+    await writeAndApprove(harness, novelId, num, { actor: alice });
+  }
+
+  async function createWrittenNovel() {
+    return await createPlannedNovel(harness, { title: 'History' }, { actor: alice });
+  }
+
+  it('records each change with the agent or Discord user who made it', async function() {
+    const novel = await createWrittenNovel();
+    await writeChapter(novel.id, 1);
+
+    const events = await novelManager.history.getEvents(novel.id);
+    expect(events.map(e => [e.type, e.actor.id])).to.deep.equal([
+      ['novel.created', '1001'],
+      ['outline.saved', 'gandalf'],
+      ['outline.approved', '1001'],
+      ['chapter.saved', 'frodo'],
+      ['critique.saved', 'elrond'],
+      ['chapter.approved', '1001']
+    ]);
+    expect(events.map(e => e.seq)).to.deep.equal([1, 2, 3, 4, 5, 6]);
+    expect(events[0].actor).to.deep.equal({ type: 'user', id: '1001', name: 'alice' });
+
+    // The version each event carries is the scope version its write produced
+    const { version } = await state.read('test', `novel:${novel.id}`, ['metadata']);
+    expect(events[events.length - 1].version).to.equal(version);
+  });
+
+  it('filters events by type, actor and chapter', async function() {
+    const novel = await createWrittenNovel();
+    await writeChapter(novel.id, 1);
+    await writeChapter(novel.id, 2);
+
+    const history = novelManager.history;
+    expect(await history.getEvents(novel.id, { type: 'chapter.' })).to.have.length(4);
+    expect((await history.getEvents(novel.id, { actor: 'elrond' })).map(e => e.data.chapterNum)).to.deep.equal([1, 2]);
+    expect((await history.getEvents(novel.id, { chapter: 2 })).map(e => e.type))
+      .to.deep.equal(['chapter.saved', 'critique.saved', 'chapter.approved']);
+    expect((await history.getEvents(novel.id, { limit: 1 }))[0].type).to.equal('chapter.approved');
+  });
+
+  it('answers who changed a character and which fields', async function() {
+    const novel = await createWrittenNovel();
+    await novelManager.withActor('frodo').upsertCharacter(novel.id, { id: 'char-kael', name: 'Kael', status: 'alive' });
+    await novelManager.withActor(alice).upsertCharacter(novel.id, { id: 'char-kael', name: 'Kael', status: 'dead' });
+    await novelManager.addWorldFact(novel.id, { fact: 'Magic needs a price' });
+
+    const changes = await novelManager.history.getEntryHistory(novel.id, 'char-kael');
+
+    expect(changes).to.have.length(2);
+    expect(changes[0].before).to.equal(null);
+    expect(changes[0].actor.id).to.equal('frodo');
+    expect(changes[1].actor.id).to.equal('1001');
+    expect(changes[1].fields).to.deep.equal(['status']);
+    expect(changes[1].after.status).to.equal('dead');
+
+    const [fact] = await novelManager.history.getEvents(novel.id, { entry: 'Magic needs a price' });
+    expect(fact.actor).to.deep.equal({ type: 'system', id: 'novel-manager' });
+  });
+
+  it('rebuilds the current state from events', async function() {
+    const novel = await createWrittenNovel();
+    await writeChapter(novel.id, 1);
+    await pipeline.write(novel.id, 2);
+    await pipeline.reviseChapter(novel.id, 2, 'Tighter');
+    await novelManager.upsertCharacter(novel.id, { id: 'char-kael', name: 'Kael' });
+    await novelManager.addRelationship(novel.id, { from: 'char-kael', to: 'char-mira', type: 'rival' });
+    await novelManager.addTimelineEvent(novel.id, { chapter: 2, event: 'Duel' });
+    await novelManager.addTimelineEvent(novel.id, { chapter: 1, event: 'Arrival' });
+    await novelManager.addChekhov(novel.id, { item: 'Broken sword', introduced: 1 });
+    await novelManager.resolveChekhov(novel.id, 'Broken sword', 2);
+    await novelManager.rollbackChapter(novel.id, 2, 1);
+
+    const projected = await novelManager.history.getState(novel.id);
+    const current = await novelManager.getNovelState(novel.id);
+
+    expect(projected.metadata).to.deep.equal(current.metadata);
+    expect(projected.outline).to.deep.equal(current.outline);
+    expect(projected.chapters).to.deep.equal(current.chapters);
+    expect(projected.critiques).to.deep.equal(current.critiques);
+    expect(projected.storyBible).to.deep.equal(await novelManager.getStoryBible(novel.id));
+  });
+
+  it('travels back to when a chapter was written', async function() {
+    const novel = await createWrittenNovel();
+    await novelManager.upsertCharacter(novel.id, { id: 'char-kael', name: 'Kael', status: 'alive' });
+    await writeChapter(novel.id, 1);
+    await novelManager.upsertCharacter(novel.id, { id: 'char-kael', name: 'Kael', status: 'dead' });
+    await writeChapter(novel.id, 2);
+
+    const atOne = await novelManager.history.getStateAt(novel.id, 1);
+    expect(atOne.storyBible.characters['char-kael'].status).to.equal('alive');
+    expect(Object.keys(atOne.chapters)).to.deep.equal(['1']);
+    expect(atOne.critiques).to.deep.equal({});
+
+    const atTwo = await novelManager.history.getStateAt(novel.id, 2);
+    expect(atTwo.storyBible.characters['char-kael'].status).to.equal('dead');
+
+    try {
+      await novelManager.history.getStateAt(novel.id, 9);
+      expect.fail('should have thrown');
+    } catch (err) {
+      expect(err.message).to.include('never saved');
+    }
+  });
+
+  it('travels back to a moment', async function() {
+    const novel = await createWrittenNovel();
+    await writeChapter(novel.id, 1);
+    const events = await novelManager.history.getEvents(novel.id);
+
+    const before = await novelManager.history.getStateAt(novel.id, new Date(Date.parse(events[0].at) - 1000));
+    expect(before).to.equal(null);
+
+    const now = await novelManager.history.getStateAt(novel.id, new Date().toISOString());
+    expect(now.chapters[1].approved).to.equal(true);
+    expect(now.seq).to.equal(events.length);
+
+    try {
+      await novelManager.history.getStateAt(novel.id, 'yesterday-ish');
+      expect.fail('should have thrown');
+    } catch (err) {
+      expect(err.message).to.include('Invalid moment');
+    }
+  });
+
+  it('records recall and cascade', async function() {
+    const novel = await createWrittenNovel();
+    await writeChapter(novel.id, 1);
+    await writeChapter(novel.id, 2);
+    await novelManager.withActor(alice).recallChapter(novel.id, 1);
+    await novelManager.withActor(alice).completeRecall(novel.id, true);
+    await novelManager.markCascadeComplete(novel.id, 2);
+
+    const events = await novelManager.history.getEvents(novel.id, { type: ['recall.started', 'recall.completed', 'cascade.completed'] });
+    expect(events.map(e => e.type)).to.deep.equal(['recall.started', 'recall.completed', 'cascade.completed']);
+    expect(events[0].data).to.deep.include({ target: 1 });
+    expect(events[1].data.cascade).to.equal(true);
+
+    const projected = await novelManager.history.getState(novel.id);
+    expect(projected.metadata).to.deep.equal(await novelManager.getNovel(novel.id));
+  });
+
+  it('drops the log with the novel', async function() {
+    const novel = await createWrittenNovel();
+    await novelManager.deleteNovel(novel.id);
+
+    expect(await novelManager.history.getEvents(novel.id)).to.deep.equal([]);
+    expect(await novelManager.history.getState(novel.id)).to.equal(null);
+  });
+
+  describe('diffBible', function() {
+    it('keys entries per section and round-trips through applyBibleChange', function() {
+      const before = {
+        characters: { 'char-a': { id: 'char-a', name: 'A' } },
+        relationships: [],
+        plotThreads: [],
+        worldFacts: [{ fact: 'Salt burns ghosts' }, { fact: 'Salt burns ghosts' }],
+        timeline: [{ chapter: 1, event: 'Start' }],
+        chekhovs: []
+      };
+      const after = JSON.parse(JSON.stringify(before));
+      after.characters['char-a'].status = 'dead';
+      after.worldFacts.pop();
+      after.timeline.unshift({ chapter: 0, event: 'Prologue' });
+
+      const changes = diffBible(before, after);
+      expect(changes.map(c => `${c.section}/${c.key}`)).to.have.members([
+        'characters/char-a',
+        'worldFacts/Salt burns ghosts #2',
+        'timeline/ch0: Prologue'
+      ]);
+
+      const rebuilt = changes.reduce(applyBibleChange, JSON.parse(JSON.stringify(before)));
+      expect(rebuilt).to.deep.equal(after);
+    });
+  });
+});
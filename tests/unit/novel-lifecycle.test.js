@@ -0,0 +1,169 @@
+/**
+ * ILUVATAR - Novel Lifecycle Tests
+ *
+ * A whole novel, start to finish, with no Redis and no model API.
+ */
+
+const { expect } = require('chai');
+const { NOVEL_STATUS } = require('../../src/core/novel-manager');
+const { Autopilot, STOP_REASONS } = require('../../src/core/autopilot');
+const { quietLogs, createHarness, createPlannedNovel } = require('./helpers');
+
+describe('Novel lifecycle (memory driver)', function() {
+  let harness;
+  let state;
+  let novelManager;
+  let pipeline;
+
+  quietLogs();
+
+  beforeEach(function() {
+    harness = createHarness({ config: { passThreshold: 70, maxRevisions: 3 } });
+    ({ state, novelManager, pipeline } = harness);
+  });
+
+  it('creates a novel and registers it in the global index', async function() {
+    const novel = await novelManager.createNovel({ title: 'Test Novel', discordChannelId: 'channel-1' });
+
+    expect(novel.status).to.equal(NOVEL_STATUS.PLANNING);
+    expect((await novelManager.listNovels()).map(n => n.id)).to.deep.equal([novel.id]);
+    expect(await novelManager.getNovelByChannel('channel-1')).to.equal(novel.id);
+  });
+
+  it('goes from outline to a completed novel by hand', async function() {
+    const novel = await createPlannedNovel(harness, { targetChapters: 2 });
+    expect((await novelManager.getNovel(novel.id)).status).to.equal(NOVEL_STATUS.WRITING);
+
+    for (const num of [1, 2]) {
+      const written = await pipeline.write(novel.id, num);
+      expect(written.chapterNum).to.equal(num);
+      expect((await novelManager.getNovel(novel.id)).status).to.equal(NOVEL_STATUS.REVIEWING);
+
+      const critique = await pipeline.critique(novel.id, num);
+      expect(critique.passed).to.equal(true);
+      await novelManager.approveChapter(novel.id, num);
+    }
+
+    expect(await novelManager.isComplete(novel.id)).to.equal(true);
+    await novelManager.markCompleted(novel.id);
+
+    const finished = await novelManager.getNovelState(novel.id);
+    expect(finished.metadata.status).to.equal(NOVEL_STATUS.COMPLETED);
+    expect(finished.stats).to.deep.equal({ chaptersWritten: 2, chaptersReviewed: 2, chaptersRevised: 0 });
+    expect(Object.values(finished.chapters).every(ch => ch.approved && ch.score === 75)).to.equal(true);
+    expect((await novelManager.listNovels())[0].status).to.equal(NOVEL_STATUS.COMPLETED);
+
+    const light = await novelManager.getNovelState(novel.id, { include: ['outline'] });
+    expect(light).to.have.all.keys('metadata', 'outline', 'stats');
+    expect(light.stats).to.deep.equal(finished.stats);
+    expect(await novelManager.getChapterNums(novel.id)).to.deep.equal([1, 2]);
+  });
+
+  it('sends a chapter below the threshold back for revision', async function() {
+    novelManager.config.passThreshold = 90;
+    const novel = await createPlannedNovel(harness, { targetChapters: 3 });
+
+    await pipeline.write(novel.id);
+    const critique = await pipeline.critique(novel.id, 1);
+
+    expect(critique.passed).to.equal(false);
+    expect((await novelManager.getNovel(novel.id)).status).to.equal(NOVEL_STATUS.REVISING);
+
+    await pipeline.reviseChapter(novel.id, 1, 'Make it longer');
+    const chapter = await novelManager.getChapter(novel.id, 1);
+    expect(chapter.version).to.equal(2);
+    expect((await novelManager.getChapterHistory(novel.id, 1)).map(h => h.version)).to.deep.equal([1, 2]);
+  });
+
+  it('flags written chapters whose plan an outline edit changed, loading only those', async function() {
+    const novel = await createPlannedNovel(harness, { targetChapters: 3 });
+    for (const num of [1, 2]) {
+      await pipeline.write(novel.id, num);
+    }
+
+    const reads = [];
+    const read = state.read.bind(state);
+    state.read = async (agentId, scope, keys) => {
+      reads.push(keys);
+      return read(agentId, scope, keys);
+    };
+
+    const result = await novelManager.insertChapter(novel.id, 2, { title: 'Detour', summary: 'The hero is lost.' });
+    expect(result.flagged).to.deep.equal([2]);
+    expect(reads.flat()).to.not.include('chapters');
+    expect(reads.flat()).to.not.include('*');
+
+    expect((await novelManager.getChapter(novel.id, 2)).outlineChanged).to.include({ reason: 'inserted chapter 2' });
+    expect((await novelManager.getChapter(novel.id, 1)).outlineChanged).to.equal(undefined);
+    expect((await novelManager.getNovel(novel.id)).targetChapters).to.equal(4);
+  });
+
+  it('writes a chapter without loading critiques or stored revisions', async function() {
+    const novel = await createPlannedNovel(harness, { targetChapters: 3 });
+    await pipeline.write(novel.id, 1);
+    await pipeline.critique(novel.id, 1);
+    await novelManager.approveChapter(novel.id, 1);
+
+    const reads = [];
+    const getMany = state.getMany.bind(state);
+    state.getMany = async (scope, keys) => {
+      reads.push(...keys);
+      return getMany(scope, keys);
+    };
+
+    await pipeline.write(novel.id, 2);
+    expect(reads).to.include('chapters');
+    expect(reads).to.not.include('critiques');
+    expect(reads).to.not.include('revisions');
+  });
+
+  it('keeps the last ten earlier outlines and finds older ones in the event log', async function() {
+    const novel = await createPlannedNovel(harness, { targetChapters: 3 });
+    for (let i = 1; i <= 12; i++) {
+      await novelManager.updateOutlineChapter(novel.id, 1, { summary: `Draft ${i}` });
+    }
+
+    const history = await novelManager.getOutlineHistory(novel.id);
+    expect(history.map(h => h.version)).to.deep.equal([3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13]);
+    expect(history[10].current).to.equal(true);
+
+    const first = await novelManager.getOutlineVersion(novel.id, 1);
+    expect(first.chapters[0].summary).to.equal('The hero sets out.');
+    expect((await novelManager.getOutlineVersion(novel.id, 2)).chapters[0].summary).to.equal('Draft 1');
+    expect(await novelManager.getOutlineVersion(novel.id, 14)).to.equal(null);
+  });
+
+  it('runs autopilot to the end of the novel', async function() {
+    const novel = await createPlannedNovel(harness, { targetChapters: 3 });
+    const autopilot = new Autopilot(novelManager, pipeline);
+
+    const result = await autopilot.run(novel.id, { chapters: 5 });
+
+    expect(result.error).to.equal(null);
+    expect(result.stopReason).to.equal(STOP_REASONS.COMPLETED);
+    expect(result.chaptersDone).to.equal(3);
+    expect((await novelManager.getNovel(novel.id)).status).to.equal(NOVEL_STATUS.COMPLETED);
+  });
+
+  it('stops autopilot before a call whose estimate would pass the spend ceiling', async function() {
+    const novel = await createPlannedNovel(harness, { targetChapters: 3 });
+    const autopilot = new Autopilot(novelManager, pipeline);
+    const calls = harness.provider.calls.length;
+
+    // Room for Frodo's first write at his token limit, not for Elrond's critique at Opus rates
+    const result = await autopilot.run(novel.id, { chapters: 3, spendCeiling: 0.2 });
+
+    expect(result.stopReason).to.equal(STOP_REASONS.SPEND_CEILING);
+    expect(harness.provider.calls.slice(calls).map(call => call.agent)).to.deep.equal(['frodo']);
+    expect(result.spent).to.be.above(0).and.below(0.2);
+  });
+
+  it('deletes a novel and its index entry', async function() {
+    const novel = await createPlannedNovel(harness, { targetChapters: 1 });
+
+    await novelManager.deleteNovel(novel.id);
+
+    expect(await novelManager.getNovel(novel.id)).to.equal(null);
+    expect(await novelManager.listNovels()).to.deep.equal([]);
+  });
+});
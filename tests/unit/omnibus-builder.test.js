@@ -0,0 +1,139 @@
+/**
+ * ILUVATAR - Omnibus Builder Tests
+ *
+ * Chapter order from the master timeline, novel order and hand-written
+ * plans, and scenes a later POV tells twice.
+ */
+
+const { expect } = require('chai');
+const { SeriesManager } = require('../../src/core/series-manager');
+const { OmnibusBuilder } = require('../../src/core/omnibus-builder');
+const { quietLogs, createHarness, createPlannedNovel, writeChapter } = require('./helpers');
+
+// Frodo output for a chapter with the given scenes
+function chapterOutput(title, scenes) {
+  const content = scenes.join('\n\n* * *\n\n');
+  return `## CHAPTER TITLE\n${title}\n\n## CONTENT\n${content}\n\n## WORD COUNT\n${content.split(/\s+/).length}\n\n## AUTHOR NOTES\n- Two POVs\n\n## BIBLE UPDATES\n- None`;
+}
+
+describe('Omnibus builder', function() {
+  let harness;
+  let seriesManager;
+  let builder;
+  let series;
+  let linWei;
+  let shenYue;
+
+  quietLogs();
+
+  beforeEach(async function() {
+    harness = createHarness({
+      attach: nm => {
+        seriesManager = new SeriesManager(nm.state, nm);
+        nm.seriesManager = seriesManager;
+      }
+    });
+    builder = new OmnibusBuilder(harness.novelManager);
+    series = await seriesManager.createSeries({ name: 'The Long Road' });
+
+    linWei = await createPlannedNovel(harness, { title: 'Lin Wei', pov: 'Lin Wei' });
+    shenYue = await createPlannedNovel(harness, { title: 'Shen Yue', pov: 'Shen Yue' });
+    await seriesManager.addNovel(series.id, linWei.id);
+    await seriesManager.addNovel(series.id, shenYue.id);
+  });
+
+  async function writeChapters(novelId, count) {
+    for (let num = 1; num <= count; num++) {
+      await writeChapter(harness, novelId, num);
+    }
+  }
+
+  it('orders chapters by story time, unplaced ones after the chapter before them', async function() {
+    await writeChapters(linWei.id, 3);
+    await writeChapters(shenYue.id, 2);
+
+    await seriesManager.placeChapter(series.id, { novelId: linWei.id, chapterNum: 1, start: 0 });
+    await seriesManager.placeChapter(series.id, { novelId: shenYue.id, chapterNum: 1, start: 2 });
+    await seriesManager.placeChapter(series.id, { novelId: linWei.id, chapterNum: 3, start: 5 });
+
+    const { manuscript, sections, report } = await builder.build({ seriesId: series.id });
+
+    expect(sections.map(s => [s.novelTitle, s.chapterNum])).to.deep.equal([
+      ['Lin Wei', 1],
+      ['Lin Wei', 2],
+      ['Shen Yue', 1],
+      ['Shen Yue', 2],
+      ['Lin Wei', 3]
+    ]);
+    expect(sections.map(s => s.number)).to.deep.equal([1, 2, 3, 4, 5]);
+    expect(report).to.include({ title: 'The Long Road', planSource: 'timeline', chapters: 5 });
+    expect(report.unplanned).to.deep.equal([]);
+    expect(manuscript).to.include('## 3. Fake Chapter\n\n*POV: Shen Yue · Shen Yue, Chapter 1*');
+  });
+
+  it('takes each novel in turn without a timeline', async function() {
+    await writeChapters(linWei.id, 2);
+    await writeChapters(shenYue.id, 1);
+
+    const { sections, report } = await builder.build({ novelIds: [shenYue.id, linWei.id] });
+
+    expect(sections.map(s => [s.novelTitle, s.chapterNum])).to.deep.equal([
+      ['Shen Yue', 1],
+      ['Lin Wei', 1],
+      ['Lin Wei', 2]
+    ]);
+    expect(report).to.include({ title: 'Shen Yue', seriesId: null, planSource: 'novel order' });
+  });
+
+  it('follows a hand-written plan and lists the chapters it leaves out', async function() {
+    await writeChapters(linWei.id, 3);
+    await writeChapters(shenYue.id, 1);
+
+    const { sections, report } = await builder.build({
+      seriesId: series.id,
+      plan: [`${shenYue.id}:1`, `${linWei.id}:2-3`]
+    });
+
+    expect(sections.map(s => [s.novelId, s.chapterNum])).to.deep.equal([
+      [shenYue.id, 1],
+      [linWei.id, 2],
+      [linWei.id, 3]
+    ]);
+    expect(report.planSource).to.equal('manual');
+    expect(report.unplanned).to.deep.equal([{ novelId: linWei.id, chapterNum: 1 }]);
+
+    let error;
+    try {
+      await builder.build({ seriesId: series.id, plan: [`${shenYue.id}:1-2`] });
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.equal(`Plan names ${shenYue.id} chapter 2, which is not written`);
+  });
+
+  it('drops a scene a later POV tells again and keeps the rest of the chapter', async function() {
+    const dialogue = '“Hold the gate until the bell rings,” said the elder. “The tournament starts at dawn tomorrow,” he added. “No disciple leaves the mountain tonight,” he warned.';
+    const told = `Lin Wei knelt in the courtyard while the morning mist rolled over the stone steps. ${dialogue} Lin Wei bowed his head and waited for the bell.`;
+    const retold = `Shen Yue watched from behind the pillar as the elder addressed the kneeling boy. ${dialogue} Shen Yue slipped away before anyone noticed her there.`;
+    const own = 'Shen Yue climbed the eastern cliff path alone, counting the pine trees and the broken lanterns that lined the old pilgrim road, until the sect hall disappeared below the clouds behind her.';
+
+    harness.provider.queue('frodo', chapterOutput('The Courtyard', [told]));
+    await writeChapter(harness, linWei.id, 1);
+    harness.provider.queue('frodo', chapterOutput('Behind the Pillar', [retold, own]));
+    await writeChapter(harness, shenYue.id, 1);
+
+    const { sections, report } = await builder.build({ seriesId: series.id });
+
+    expect(sections.map(s => [s.novelTitle, s.scenes.length, s.droppedScenes])).to.deep.equal([
+      ['Lin Wei', 1, 0],
+      ['Shen Yue', 1, 1]
+    ]);
+    expect(sections[1].content).to.equal(own);
+    expect(report.duplicates).to.have.length(1);
+    expect(report.duplicates[0]).to.include({ novelId: shenYue.id, chapterNum: 1, scene: 1 });
+    expect(report.duplicates[0].duplicateOf).to.deep.equal({ novelId: linWei.id, chapterNum: 1, pov: 'Lin Wei' });
+
+    const kept = await builder.build({ seriesId: series.id, dedupe: false });
+    expect(kept.sections[1].scenes).to.have.length(2);
+  });
+});
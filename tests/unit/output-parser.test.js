@@ -0,0 +1,201 @@
+/**
+ * ILUVATAR - Output Parser Tests
+ *
+ * Lenient ## heading matching, section validation, and each stage of the
+ * OutputValidator repair cascade.
+ */
+
+const { expect } = require('chai');
+const { FakeProvider } = require('../../src/core/llm-providers');
+const { getAgentConfig } = require('../../src/core/model-config');
+const {
+  OutputValidator,
+  OutputValidationError,
+  parseAgentOutput,
+  parseElrondOutput,
+  parseFrodoOutput,
+  parseGandalfOutput,
+  parseRangeList
+} = require('../../src/core/output-parser');
+
+const CHAPTER = `## CHAPTER TITLE
+The Road
+
+## CONTENT
+The hero walked the long road.
+
+## WORD COUNT
+6
+
+## AUTHOR NOTES
+- A short chapter`;
+
+describe('Output parser', function() {
+  describe('headings', function() {
+    it('reads Chinese and English aliases, bold and colons as the same marker', function() {
+      const zh = parseFrodoOutput('## 章节标题\n山门\n\n## 正文\n林玮走进山门。\n\n## 字数\n7');
+      expect(zh.valid).to.equal(true);
+      expect(zh.data).to.include({ title: '山门', content: '林玮走进山门。', wordCount: 7 });
+
+      const en = parseFrodoOutput('## **Title**\nThe Gate\n\n## Chapter Content:\nLin Wei entered the gate.');
+      expect(en.valid).to.equal(true);
+      expect(en.data).to.include({ title: 'The Gate', content: 'Lin Wei entered the gate.' });
+
+      const both = parseFrodoOutput('## 正文 / CONTENT\nLin Wei entered the gate.');
+      expect(both.data.content).to.equal('Lin Wei entered the gate.');
+    });
+
+    it('warns about missing optional sections and unknown headings', function() {
+      const result = parseFrodoOutput('## CONTENT\nText.\n\n## MOOD\nGloomy');
+      expect(result.valid).to.equal(true);
+      expect(result.warnings.map(w => w.message)).to.include.members([
+        'Missing ## CHAPTER TITLE section',
+        'Unrecognized section: ## MOOD'
+      ]);
+    });
+
+    it('reads Chinese chapter lists and act ranges', function() {
+      const result = parseGandalfOutput('## 简介\n一个故事。\n\n## 章节\n第一章 入门：林玮拜师。\n第二章 试炼：林玮过关。');
+      expect(result.valid).to.equal(true);
+      expect(result.data.chapters.map(c => [c.number, c.title])).to.deep.equal([[1, '入门'], [2, '试炼']]);
+
+      expect(parseRangeList('第一卷（第1-10章）：山门 - 拜师学艺')).to.deep.equal([
+        { number: 1, title: '山门', summary: '拜师学艺', from: 1, to: 10 }
+      ]);
+    });
+  });
+
+  describe('validation', function() {
+    it('fails on a missing required section', function() {
+      const result = parseAgentOutput('frodo', '## CHAPTER TITLE\nNo content');
+      expect(result.valid).to.equal(false);
+      expect(result.errors).to.deep.equal([{ section: 'content', message: 'Missing ## CONTENT section' }]);
+    });
+
+    it('scales scores out of 10 and rejects scores outside 0-100', function() {
+      expect(parseElrondOutput('## SCORE\n8.5/10').data.score).to.equal(85);
+      expect(parseElrondOutput('## 评分\n85分').data.score).to.equal(85);
+
+      const high = parseElrondOutput('## SCORE\n150');
+      expect(high.valid).to.equal(false);
+      expect(high.errors[0].message).to.equal('Score 150 is outside 0-100');
+
+      expect(parseElrondOutput('## SCORE\ngood').errors[0].message).to.equal('## SCORE is not a number: "good"');
+    });
+
+    it('reads bible consistency verdicts in Chinese', function() {
+      const result = parseElrondOutput(`## SCORE
+70
+
+## BIBLE CONSISTENCY
+
+### 角色一致性：通过
+
+### 世界规则违反：严重
+- 林玮在筑基期御剑飞行`);
+      expect(result.data.bibleConsistency.verdict).to.equal('FAIL');
+      expect(result.data.bibleConsistency.worldRuleViolations).to.deep.equal({
+        verdict: 'MAJOR', details: ['林玮在筑基期御剑飞行']
+      });
+    });
+
+    it('throws for agents without a parser', function() {
+      expect(() => parseAgentOutput('sauron', 'text')).to.throw('No output parser for agent: sauron');
+    });
+  });
+
+  describe('repair cascade', function() {
+    let fixer;
+    let validator;
+
+    beforeEach(function() {
+      fixer = new FakeProvider({ responses: { 'output-fixer': CHAPTER } });
+      validator = new OutputValidator({ fixer, threshold: 2 });
+    });
+
+    it('parses valid output directly', async function() {
+      const result = await validator.parseWithRepair('frodo', CHAPTER);
+      expect(result.strategy).to.equal('direct');
+      expect(fixer.calls).to.have.length(0);
+    });
+
+    it('unwraps code fences and drops preamble', async function() {
+      const output = 'Draft:\n\n## SCORE\nabout seventy\n\nFinal:\n\n```markdown\n## SCORE\n72\n\n## STRENGTHS\n- Clear prose\n```';
+      const result = await validator.parseWithRepair('elrond', output);
+      expect(result.strategy).to.equal('extracted');
+      expect(result.data.score).to.equal(72);
+    });
+
+    it('normalizes near-miss headings', async function() {
+      const result = await validator.parseWithRepair('frodo', '**CHAPTER TITLE**\nThe Road\n\n【正文】\nThe hero walked the long road.');
+      expect(result.strategy).to.equal('normalized');
+      expect(result.data.content).to.equal('The hero walked the long road.');
+    });
+
+    it('asks the fixer when nothing else works', async function() {
+      const result = await validator.parseWithRepair('frodo', 'The hero walked the long road.');
+      expect(result.strategy).to.equal('fixed');
+      expect(fixer.calls).to.have.length(1);
+      expect(fixer.calls[0].messages[0].content).to.include('Missing ## CONTENT section');
+      expect(validator.getStats()).to.include({ fixed: 1, failed: 0 });
+      expect(result.usage).to.include({ agent: 'output-fixer', outputTokens: Math.ceil(CHAPTER.length / 4) });
+      expect(result.usage.cost).to.be.above(0);
+    });
+
+    it('sends the fixer the whole output with the failing agent\'s token limit', async function() {
+      const long = 'The hero walked the long road. '.repeat(2000);
+      fixer.responses['output-fixer'] = `## CHAPTER TITLE\nThe Road\n\n## CONTENT\n${long}`;
+
+      const result = await validator.parseWithRepair('frodo', `## The Road\n${long}`);
+
+      expect(result.strategy).to.equal('fixed');
+      expect(fixer.calls[0].messages[0].content).to.include(long.trim());
+      expect(fixer.calls[0].maxTokens).to.equal(getAgentConfig('frodo').maxTokens);
+    });
+
+    it('rejects fixer output that cuts the chapter short', async function() {
+      const long = 'The hero walked the long road. '.repeat(50);
+      let error;
+      try {
+        await validator.parseWithRepair('frodo', `## The Road\n${long}`);
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.instanceOf(OutputValidationError);
+      expect(error.attempts.pop().errors[0].message).to.equal('Fixer output dropped 288 words of the chapter');
+      expect(validator.getStats()).to.include({ fixed: 0, failed: 1 });
+    });
+
+    it('throws once the fixer fails, and stops calling it when the circuit trips', async function() {
+      fixer.responses['output-fixer'] = 'Still no headings';
+
+      for (let i = 0; i < 3; i++) {
+        let error;
+        try {
+          await validator.parseWithRepair('frodo', 'Plain text');
+        } catch (err) {
+          error = err;
+        }
+        expect(error).to.be.instanceOf(OutputValidationError);
+        expect(error.attempts.map(a => a.strategy)).to.deep.equal(['direct', 'fixed']);
+      }
+
+      // The third attempt hit the open circuit without calling the fixer
+      expect(fixer.calls).to.have.length(2);
+      expect(validator.getStats().circuits.frodo.state).to.equal('OPEN');
+    });
+
+    it('skips the fixer when disabled', async function() {
+      validator = new OutputValidator({ fixer, useFixer: false });
+      let error;
+      try {
+        await validator.parseWithRepair('frodo', 'Plain text');
+      } catch (err) {
+        error = err;
+      }
+      expect(error.attempts.map(a => a.strategy)).to.deep.equal(['direct']);
+      expect(fixer.calls).to.have.length(0);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * ILUVATAR - Payoff Tracker Tests
+ *
+ * Payoff windows for Chekhov's guns and plot threads, the deadlines Frodo
+ * and Gandalf are shown, and ID-based Chekhov resolution.
+ */
+
+const { expect } = require('chai');
+const { parsePayoffWindow, parseFrodoOutput } = require('../../src/core/output-parser');
+const { BibleExtractor } = require('../../src/core/bible-extractor');
+const { PayoffTracker, trackPayoffs } = require('../../src/core/payoff-tracker');
+const { quietLogs, createHarness, createPlannedNovel } = require('./helpers');
+
+const BIBLE = {
+  characters: {},
+  relationships: [],
+  plotThreads: [
+    { id: 'thread-001', title: 'The jade pendant', introduced: 1, payoffWindow: { from: 8, to: 10 }, foreshadowing: [{ chapter: 2, hint: 'It glows' }], resolved: null },
+    { id: 'thread-002', title: 'The old feud', introduced: 1, foreshadowing: [], resolved: 4 },
+    { id: 'thread-003', title: 'The hidden valley', introduced: 3, foreshadowing: [{ chapter: 6, hint: 'A map' }], resolved: null }
+  ],
+  worldFacts: [],
+  timeline: [],
+  chekhovs: [
+    { id: 'chekhov-001', item: 'Broken sword', introduced: 1, payoffWindow: { from: null, to: 5 }, payoff: null },
+    { id: 'chekhov-002', item: 'Silver key', introduced: 2, payoff: null },
+    { id: 'chekhov-003', item: 'Poison ring', introduced: 4, payoff: 4 }
+  ]
+};
+
+const ARCS = [
+  { number: 1, title: 'The Sect', from: 1, to: 6 },
+  { number: 2, title: 'The Valley', from: 7, to: 12 }
+];
+
+describe('Payoff tracker', function() {
+  describe('trackPayoffs', function() {
+    it('finds overdue, due, quiet and unset-up items and groups them by arc', function() {
+      const report = trackPayoffs(BIBLE, { chapterNum: 9, lastChapter: 30, arcs: ARCS });
+
+      expect(report.overdue.map(i => i.id)).to.deep.equal(['chekhov-001']);
+      expect(report.due.map(i => i.id)).to.deep.equal(['chekhov-002', 'thread-001']);
+      expect(report.quiet.map(i => i.id)).to.deep.equal(['thread-001']);
+      expect(report.early.map(i => i.id)).to.deep.equal(['chekhov-003', 'thread-002']);
+
+      // No planned window: 10 chapters for a Chekhov, 20 for a thread
+      expect(report.items.find(i => i.id === 'chekhov-002')).to.include({ windowSource: 'default' });
+      expect(report.items.find(i => i.id === 'chekhov-002').window).to.deep.equal({ from: 2, to: 12 });
+      expect(report.items.find(i => i.id === 'thread-003').window).to.deep.equal({ from: 3, to: 23 });
+
+      expect(report.arcs.map(arc => [arc.title, arc.items.map(i => i.id)])).to.deep.equal([
+        ['The Sect', ['chekhov-001', 'chekhov-003', 'thread-002']],
+        ['The Valley', ['chekhov-002', 'thread-001']],
+        ['Unscheduled', ['thread-003']]
+      ]);
+    });
+
+    it('caps default windows at the last chapter', function() {
+      const report = trackPayoffs(BIBLE, { chapterNum: 3, lastChapter: 8 });
+      expect(report.items.find(i => i.id === 'thread-003').window).to.deep.equal({ from: 3, to: 8 });
+    });
+  });
+
+  it('reads payoff windows from Gandalf\'s and Frodo\'s output', function() {
+    expect(parsePayoffWindow('Chapters 20-25')).to.deep.equal({ from: 20, to: 25 });
+    expect(parsePayoffWindow('第20-25章')).to.deep.equal({ from: 20, to: 25 });
+    expect(parsePayoffWindow('by chapter 30')).to.deep.equal({ from: null, to: 30 });
+    expect(parsePayoffWindow('Chapter 12')).to.deep.equal({ from: 12, to: 12 });
+    expect(parsePayoffWindow('later')).to.equal(null);
+  });
+
+  describe('with a novel', function() {
+    let harness;
+    let novelManager;
+    let provider;
+    let pipeline;
+    let novel;
+
+    quietLogs();
+
+    beforeEach(async function() {
+      harness = createHarness({ attach: nm => { nm.payoffTracker = new PayoffTracker(nm); } });
+      ({ novelManager, provider, pipeline } = harness);
+
+      novel = await createPlannedNovel(harness, { title: 'Payoffs', targetChapters: 30 });
+      await novelManager.replaceStoryBible(novel.id, BIBLE);
+    });
+
+    it('resolves Chekhovs by ID or exact item and gives new ones IDs', async function() {
+      const id = await novelManager.addChekhov(novel.id, { item: 'Jade flute', introduced: 3 });
+      expect(id).to.equal('chekhov-004');
+
+      expect(await novelManager.resolveChekhov(novel.id, 'chekhov-002', 6)).to.equal('chekhov-002');
+      expect(await novelManager.resolveChekhov(novel.id, 'Jade flute', 7)).to.equal('chekhov-004');
+
+      let error;
+      try {
+        await novelManager.resolveChekhov(novel.id, 'chekhov-099', 7);
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.equal('Chekhov\'s gun not found: chekhov-099');
+
+      const bible = await novelManager.getStoryBible(novel.id);
+      expect(bible.chekhovs.map(c => [c.id, c.payoff])).to.deep.equal([
+        ['chekhov-001', null], ['chekhov-002', 6], ['chekhov-003', 4], ['chekhov-004', 7]
+      ]);
+    });
+
+    it('gives Chekhovs saved without an ID one', async function() {
+      await novelManager.replaceStoryBible(novel.id, { ...BIBLE, chekhovs: [{ item: 'Old lamp', introduced: 1, payoff: null }] });
+
+      await novelManager.resolveChekhov(novel.id, 'chekhov-001', 2);
+      expect((await novelManager.getStoryBible(novel.id)).chekhovs[0]).to.include({ id: 'chekhov-001', item: 'Old lamp', payoff: 2 });
+    });
+
+    it('applies Frodo\'s payoffs by ID and resolved threads on approval', async function() {
+      novelManager.bibleExtractor = new BibleExtractor(novelManager);
+      await novelManager.saveChapter(novel.id, 1, parseFrodoOutput(`## CHAPTER TITLE
+The Key
+
+## CONTENT
+The silver key turned.
+
+## AUTHOR NOTES
+- Pays off the key
+
+## BIBLE UPDATES
+
+### PLOT THREAD PROGRESS
+- thread-001: RESOLVED - The pendant opens the valley
+
+### CHEKHOV PAYOFFS
+- chekhov-001: Cuts the seal
+
+### NEW CHEKHOVS
+- Item: Bone whistle, Notes: Calls the crane, Payoff: Chapters 9-11`).data);
+
+      const extraction = await novelManager.approveChapter(novel.id, 1);
+      expect(extraction.staged).to.deep.equal([]);
+
+      const bible = await novelManager.getStoryBible(novel.id);
+      expect(bible.plotThreads.find(t => t.id === 'thread-001').resolved).to.equal(1);
+      expect(bible.chekhovs.find(c => c.id === 'chekhov-001').payoff).to.equal(1);
+      expect(bible.chekhovs.find(c => c.item === 'Bone whistle')).to.deep.include({
+        id: 'chekhov-004', introduced: 1, payoffWindow: { from: 9, to: 11 }
+      });
+    });
+
+    it('shows Frodo the deadlines near the chapter he writes, and nothing when none are near', async function() {
+      const written = await pipeline.write(novel.id, 9);
+      const prompt = provider.calls.find(call => call.agent === 'frodo').messages[0].content;
+      expect(prompt).to.include('## PAYOFF DEADLINES');
+      expect(prompt).to.include('- chekhov-001 "Broken sword" (Chekhov\'s gun, introduced ch1): payoff window by ch5 has passed');
+      expect(prompt).to.include('- thread-001 "The jade pendant" (plot thread, introduced ch1): no foreshadowing since ch2 - plant a hint');
+      expect(prompt).to.not.include('Paid Off Without Setup');
+      expect(written.context.sections.find(s => s.name === 'deadlines')).to.include({ included: true });
+
+      const report = await novelManager.payoffTracker.report(novel.id, { chapterNum: 1 });
+      expect(novelManager.payoffTracker.formatForPrompt(report, 'frodo')).to.equal(null);
+      expect(novelManager.payoffTracker.formatForPrompt(report, 'gandalf')).to.include('### Paid Off Without Setup');
+    });
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * ILUVATAR - Preference Exporter Tests
+ *
+ * DPO pairs from scored chapter versions: margins, duplicates and the
+ * per-novel train/val split.
+ */
+
+const { expect } = require('chai');
+const { PreferenceExporter } = require('../../src/core/preference-exporter');
+const { quietLogs, createHarness, createPlannedNovel } = require('./helpers');
+
+const DRAFT = 'The hero walked the long road.';
+const REWRITE = 'The hero walked the long road, and the stars came out one by one.';
+
+/**
+ * Save each [content, score] as the next version of a chapter, critiqued
+ */
+async function scoreVersions(novelManager, novelId, chapterNum, versions) {
+  for (const [i, [content, score]] of versions.entries()) {
+    const chapter = { title: 'The Road', content };
+    if (i === 0) {
+      await novelManager.saveChapter(novelId, chapterNum, chapter);
+    } else {
+      await novelManager.saveRevision(novelId, chapterNum, chapter);
+    }
+    await novelManager.saveCritique(novelId, chapterNum, { score });
+  }
+}
+
+describe('Preference exporter', function() {
+  let harness;
+  let novelManager;
+
+  quietLogs();
+
+  beforeEach(function() {
+    harness = createHarness({ config: { passThreshold: 90, maxRevisions: 5 } });
+    ({ novelManager } = harness);
+  });
+
+  it('pairs versions by score, skipping small margins, identical texts and repeated pairs', async function() {
+    const novel = await createPlannedNovel(harness);
+    // v3 repeats v1's text, so v1/v3 is no pair and v2/v3 repeats v1/v2
+    await scoreVersions(novelManager, novel.id, 1, [[DRAFT, 60], [REWRITE, 80], [DRAFT, 70]]);
+    await scoreVersions(novelManager, novel.id, 2, [[DRAFT, 75], [REWRITE, 78]]);
+
+    const exporter = new PreferenceExporter(novelManager, { minMargin: 5, valRatio: 0 });
+    const { train, val, report } = await exporter.build();
+
+    expect(val).to.deep.equal([]);
+    expect(train).to.have.length(1);
+    expect(train[0].chosen).to.equal(`## CHAPTER TITLE\nThe Road\n\n## CONTENT\n${REWRITE}`);
+    expect(train[0].rejected).to.equal(`## CHAPTER TITLE\nThe Road\n\n## CONTENT\n${DRAFT}`);
+    expect(train[0].prompt).to.include('Beginning');
+    expect(train[0].metadata).to.deep.equal({
+      novelId: novel.id,
+      chapterNum: 1,
+      chosenVersion: 2,
+      rejectedVersion: 1,
+      chosenScore: 80,
+      rejectedScore: 60,
+      margin: 20
+    });
+
+    expect(report.versions).to.deep.equal({ total: 5, scored: 5 });
+    expect(report.pairs).to.deep.equal({ total: 1, train: 1, val: 0, duplicates: 1, belowMargin: 2 });
+    expect(report.chapters).to.deep.equal({ scanned: 2, withPairs: 1 });
+    expect(report.margin).to.deep.equal({ min: 20, max: 20, mean: 20 });
+  });
+
+  it('makes no pair below the margin or between equal scores', function() {
+    const exporter = new PreferenceExporter(novelManager, { minMargin: 5 });
+    const a = { version: 1, score: 70, title: 'A', content: DRAFT };
+
+    expect(exporter.makePair('novel-1', 1, 'prompt', a, { ...a, version: 2, score: 74, content: REWRITE })).to.equal(null);
+    expect(new PreferenceExporter(novelManager, { minMargin: 0 }).makePair('novel-1', 1, 'prompt', a, { ...a, version: 2, content: REWRITE })).to.equal(null);
+
+    const pair = exporter.makePair('novel-1', 1, 'prompt', { ...a, version: 2, score: 90, content: REWRITE }, a);
+    expect(pair.metadata).to.include({ chosenVersion: 2, rejectedVersion: 1, margin: 20 });
+  });
+
+  it('splits by novel, the same way every time', async function() {
+    const exporter = new PreferenceExporter(novelManager, { valRatio: 0.5 });
+    expect(['novel-a', 'novel-b', 'novel-h', 'novel-h'].map(id => exporter.assignSplit(id))).to.deep.equal(['train', 'train', 'val', 'val']);
+    expect(new PreferenceExporter(novelManager, { valRatio: 0 }).assignSplit('novel-h')).to.equal('train');
+
+    // Every pair of a held-out novel goes to val
+    const first = await createPlannedNovel(harness);
+    const second = await createPlannedNovel(harness);
+    for (const [novel, ending] of [[first, 'home'], [second, 'the sea']]) {
+      await scoreVersions(novelManager, novel.id, 1, [[DRAFT, 60], [`${REWRITE} He walked to ${ending}.`, 80]]);
+      await scoreVersions(novelManager, novel.id, 2, [[REWRITE, 60], [`${DRAFT} He walked to ${ending}.`, 80]]);
+    }
+
+    const { train, val, report } = await new PreferenceExporter(novelManager, { valRatio: 1 }).build({ novelIds: [first.id, second.id] });
+    expect(train).to.deep.equal([]);
+    expect(val.map(p => [p.metadata.novelId, p.metadata.chapterNum])).to.deep.equal([
+      [first.id, 1], [first.id, 2], [second.id, 1], [second.id, 2]
+    ]);
+    expect(report.novels).to.deep.equal({ scanned: 2, withPairs: 2, train: [], val: [first.id, second.id] });
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * ILUVATAR - Scene Chunker Tests
+ *
+ * Scene breaks, paragraph numbering and chunk boundaries on Chinese prose,
+ * where every character counts as a token.
+ */
+
+const { expect } = require('chai');
+const { chunkText, chunkChapter, splitScenes, formatReference } = require('../../src/core/scene-chunker');
+
+// 20 characters, 20 tokens
+const SENTENCE = '林玮握紧断剑，一步一步走上山门前的石阶。';
+
+const CHAPTER = [
+  SENTENCE.repeat(2),
+  SENTENCE.repeat(2),
+  SENTENCE.repeat(2),
+  SENTENCE.repeat(2),
+  '※※※',
+  SENTENCE.repeat(6),
+  '长老点头。'
+].join('\n\n');
+
+describe('Scene chunker', function() {
+  it('splits scenes at break lines and numbers paragraphs without them', function() {
+    const scenes = splitScenes('* * *\n\n山门大开。\n\n——\n\n***\n\n---\n\n夜深了。\n\n……他睡着了。\n\n◆◆◆');
+
+    expect(scenes).to.deep.equal([
+      [{ number: 1, text: '山门大开。' }, { number: 2, text: '——' }],
+      [{ number: 3, text: '夜深了。' }, { number: 4, text: '……他睡着了。' }]
+    ]);
+  });
+
+  it('fills chunks with whole paragraphs and never crosses a scene break', function() {
+    const chunks = chunkText(CHAPTER, { maxTokens: 100, minTokens: 0 });
+
+    expect(chunks.map(c => [c.scene, c.paragraphStart, c.paragraphEnd, c.tokens])).to.deep.equal([
+      [1, 1, 2, 80],
+      [1, 3, 4, 80],
+      [2, 5, 5, 100],
+      [2, 5, 5, 20],
+      [2, 6, 6, 5]
+    ]);
+    expect(chunks[0].text).to.equal(`${SENTENCE.repeat(2)}\n\n${SENTENCE.repeat(2)}`);
+    expect(chunks.map(c => c.index)).to.deep.equal([0, 1, 2, 3, 4]);
+  });
+
+  it('splits an oversized paragraph at sentence ends', function() {
+    const chunks = chunkText(CHAPTER, { maxTokens: 100, minTokens: 0 });
+
+    expect(chunks[2].text).to.equal(SENTENCE.repeat(5));
+    expect(chunks[3].text).to.equal(SENTENCE);
+    expect(chunks.every(c => /。$/.test(c.text))).to.equal(true);
+  });
+
+  it('folds a short last chunk into the one before it', function() {
+    const chunks = chunkText(CHAPTER, { maxTokens: 100 });
+
+    expect(chunks.map(c => [c.scene, c.paragraphStart, c.paragraphEnd, c.tokens])).to.deep.equal([
+      [1, 1, 2, 80],
+      [1, 3, 4, 80],
+      [2, 5, 5, 100],
+      [2, 5, 6, 25]
+    ]);
+    expect(chunks[3].text).to.equal(`${SENTENCE}\n\n长老点头。`);
+  });
+
+  it('tags chapter passages for quoting', function() {
+    const passages = chunkChapter(12, { content: CHAPTER, version: 3 }, { maxTokens: 100 });
+
+    expect(passages[3]).to.include({ chapterNum: 12, version: 3, index: 3 });
+    expect(passages.map(formatReference)).to.deep.equal(['Ch12 ¶1-2', 'Ch12 ¶3-4', 'Ch12 ¶5', 'Ch12 ¶5-6']);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * ILUVATAR - Series Manager Tests
+ *
+ * The canon bible under each POV novel's private bible, promoting a
+ * novel's bible to canon, and the master timeline.
+ */
+
+const { expect } = require('chai');
+const { SeriesManager } = require('../../src/core/series-manager');
+const { quietLogs, createHarness, createPlannedNovel, writeChapter } = require('./helpers');
+
+describe('Series manager', function() {
+  let harness;
+  let novelManager;
+  let series;
+  let seriesManager;
+
+  quietLogs();
+
+  beforeEach(async function() {
+    harness = createHarness({
+      attach: nm => {
+        seriesManager = new SeriesManager(nm.state, nm);
+        nm.seriesManager = seriesManager;
+      }
+    });
+    ({ novelManager } = harness);
+    series = await seriesManager.createSeries({ name: 'The Long Road' });
+  });
+
+  it('layers a novel\'s own bible over the series canon', async function() {
+    const novel = await novelManager.createNovel({ title: 'Lin Wei', pov: 'Lin Wei' });
+    await seriesManager.addNovel(series.id, novel.id);
+
+    await seriesManager.updateCanonBible(series.id, {
+      characters: { 'char-001': { name: 'Lin Wei', description: 'A disciple', status: 'alive' } },
+      worldFacts: [{ category: 'Magic', fact: 'No one flies before Foundation Establishment' }]
+    });
+    await novelManager.updateStoryBible(novel.id, {
+      characters: { 'char-001': { status: 'injured' }, 'char-002': { name: 'Shen Yue' } },
+      worldFacts: [{ category: 'Magic', fact: 'No one flies before Foundation Establishment' }, { category: 'Place', fact: 'The sect sits on a cliff' }]
+    });
+
+    const bible = await novelManager.getStoryBible(novel.id);
+    expect(bible.characters['char-001']).to.deep.equal({ id: 'char-001', name: 'Lin Wei', description: 'A disciple', status: 'injured' });
+    expect(bible.characters['char-002'].name).to.equal('Shen Yue');
+    expect(bible.worldFacts.map(f => f.fact)).to.deep.equal([
+      'No one flies before Foundation Establishment',
+      'The sect sits on a cliff'
+    ]);
+
+    // The overlay never writes through to the canon
+    const canon = await seriesManager.getCanonBible(series.id);
+    expect(canon.characters['char-001'].status).to.equal('alive');
+    expect(canon.characters).to.not.have.property('char-002');
+
+    const own = await novelManager.getStoryBible(novel.id, { includeCanon: false });
+    expect(Object.keys(own.characters)).to.deep.equal(['char-001', 'char-002']);
+    expect(own.characters['char-001']).to.not.have.property('description');
+  });
+
+  it('moves a novel\'s bible into the canon but keeps its timeline private', async function() {
+    const novel = await novelManager.createNovel({ title: 'Lin Wei', pov: 'Lin Wei' });
+    await novelManager.updateStoryBible(novel.id, {
+      characters: { 'char-001': { name: 'Lin Wei' } },
+      chekhovs: [{ item: 'Broken sword', introduced: 1 }],
+      timeline: [{ chapter: 1, event: 'Lin Wei joins the sect' }]
+    });
+
+    await seriesManager.addNovel(series.id, novel.id, { shareBible: true });
+
+    const canon = await seriesManager.getCanonBible(series.id);
+    expect(Object.keys(canon.characters)).to.deep.equal(['char-001']);
+    expect(canon.chekhovs.map(c => c.item)).to.deep.equal(['Broken sword']);
+    expect(canon.timeline).to.deep.equal([]);
+
+    const own = await novelManager.getStoryBible(novel.id, { includeCanon: false });
+    expect(own.characters).to.deep.equal({});
+    expect(own.timeline.map(e => e.event)).to.deep.equal(['Lin Wei joins the sect']);
+    expect((await novelManager.getNovel(novel.id)).seriesId).to.equal(series.id);
+  });
+
+  it('lines chapters up on the master timeline and finds overlaps in other POVs', async function() {
+    const linWei = await createPlannedNovel(harness, { title: 'Lin Wei', pov: 'Lin Wei' });
+    const shenYue = await createPlannedNovel(harness, { title: 'Shen Yue', pov: 'Shen Yue' });
+    await seriesManager.addNovel(series.id, linWei.id);
+    await seriesManager.addNovel(series.id, shenYue.id);
+    await writeChapter(harness, linWei.id, 1);
+
+    await seriesManager.placeChapter(series.id, { novelId: linWei.id, chapterNum: 1, start: 1, end: 3 });
+    await seriesManager.placeChapter(series.id, { novelId: shenYue.id, chapterNum: 2, start: 3, note: 'The tournament' });
+    await seriesManager.placeChapter(series.id, { novelId: shenYue.id, chapterNum: 1, start: 0 });
+
+    const timeline = await seriesManager.getTimeline(series.id);
+    expect(timeline.map(p => [p.novelTitle, p.chapterNum, p.chapterTitle])).to.deep.equal([
+      ['Shen Yue', 1, 'Beginning'],
+      ['Lin Wei', 1, 'Fake Chapter'],
+      ['Shen Yue', 2, 'Middle']
+    ]);
+
+    const { overlaps } = await seriesManager.getOverlaps(series.id, linWei.id, 1);
+    expect(overlaps.map(p => [p.novelId, p.chapterNum])).to.deep.equal([[shenYue.id, 2]]);
+  });
+
+  it('rejects placements for novels outside the series', async function() {
+    const novel = await novelManager.createNovel({ title: 'Stranger' });
+    let error;
+    try {
+      await seriesManager.placeChapter(series.id, { novelId: novel.id, chapterNum: 1, start: 1 });
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.equal(`Novel ${novel.id} is not part of series ${series.id}`);
+  });
+});
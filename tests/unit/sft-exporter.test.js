@@ -0,0 +1,90 @@
+/**
+ * ILUVATAR - SFT Exporter Tests
+ *
+ * Chat examples from approved, well-scored chapters, and continuation
+ * examples for chapters over the token budget.
+ */
+
+const { expect } = require('chai');
+const { SftExporter } = require('../../src/core/sft-exporter');
+const { quietLogs, createHarness, createPlannedNovel } = require('./helpers');
+
+// A chapter with one critique score
+async function saveScored(novelManager, novelId, chapterNum, content, score, approve = true) {
+  await novelManager.saveChapter(novelId, chapterNum, { title: `Chapter ${chapterNum}`, content });
+  await novelManager.saveCritique(novelId, chapterNum, { score });
+  if (approve) {
+    await novelManager.approveChapter(novelId, chapterNum);
+  }
+}
+
+describe('SFT exporter', function() {
+  let harness;
+  let novelManager;
+
+  quietLogs();
+
+  beforeEach(function() {
+    harness = createHarness({ config: { passThreshold: 70, maxRevisions: 3 } });
+    ({ novelManager } = harness);
+  });
+
+  it('builds one example per approved chapter at or above the minimum score', async function() {
+    const novel = await createPlannedNovel(harness);
+    await saveScored(novelManager, novel.id, 1, 'The hero walked the long road.', 80);
+    await saveScored(novelManager, novel.id, 2, 'The hero stopped.', 60);
+    await saveScored(novelManager, novel.id, 3, 'The hero came home.', 90, false);
+
+    const exporter = new SftExporter(novelManager);
+    const { examples, report } = await exporter.build();
+
+    expect(examples).to.have.length(1);
+    const [system, user, assistant] = examples[0].messages;
+    expect(examples[0].messages.map(m => m.role)).to.deep.equal(['system', 'user', 'assistant']);
+    expect(system.content).to.equal(exporter.loadSystemPrompt());
+    expect(user.content).to.include('Beginning');
+    expect(assistant.content).to.equal('## CHAPTER TITLE\nChapter 1\n\n## CONTENT\nThe hero walked the long road.');
+    expect(examples[0].metadata).to.include({ novelId: novel.id, chapterNum: 1, version: 1, score: 80, language: 'en', part: 1, parts: 1 });
+
+    expect(report.chapters).to.deep.equal({
+      scanned: 3,
+      used: 1,
+      skipped: { unapproved: 1, unscored: 0, lowScore: 1, overBudget: 0 }
+    });
+    expect(report.novels).to.deep.equal({ scanned: 1, used: 1, skipped: { language: 0, genre: 0 } });
+  });
+
+  it('skips novels outside the language filter', async function() {
+    const novel = await createPlannedNovel(harness);
+    await saveScored(novelManager, novel.id, 1, 'The hero walked the long road.', 80);
+
+    const { examples, report } = await new SftExporter(novelManager, { languages: ['zh'] }).build();
+
+    expect(examples).to.deep.equal([]);
+    expect(report.novels.skipped).to.deep.equal({ language: 1, genre: 0 });
+  });
+
+  it('splits a chapter over the budget at paragraphs, carrying the previous ending', function() {
+    const paragraphs = [1, 2, 3, 4, 5, 6].map(n => `Paragraph ${n}. ${'The hero walked the long road. '.repeat(3).trim()}`);
+    const exporter = new SftExporter(novelManager, { maxTokens: 100 });
+
+    const examples = exporter.buildExamples('You are Frodo.', 'Write chapter 1.', { title: 'The Road', content: paragraphs.join('\n\n') });
+
+    expect(examples).to.have.length(3);
+    expect(examples[0][2].content).to.equal(`## CHAPTER TITLE\nThe Road\n\n## CONTENT\n${paragraphs[0]}\n\n${paragraphs[1]}`);
+
+    // The previous part's last paragraph, cut from the front to the 10% tail budget
+    const tail = examples[1][1].content.split('\n').pop();
+    expect(examples[1][1].content).to.equal(`Write chapter 1.\n\nContinue the chapter (part 2 of 3). The previous part ended with:\n${tail}`);
+    expect(tail).to.have.length.above(0);
+    expect(paragraphs[1].endsWith(tail)).to.equal(true);
+
+    expect(examples.slice(1).map(messages => messages[2].content)).to.deep.equal([
+      `${paragraphs[2]}\n\n${paragraphs[3]}`,
+      `${paragraphs[4]}\n\n${paragraphs[5]}`
+    ]);
+
+    // A prompt that alone fills the budget leaves nothing to train on
+    expect(exporter.buildExamples('x'.repeat(400), 'Write chapter 1.', { title: 'The Road', content: paragraphs.join('\n\n') })).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,382 @@
+/**
+ * ILUVATAR - State Manager Tests
+ *
+ * Runs the same StateManager contract (optimistic locking, ConflictError,
+ * collections, N8N fallbacks in get, layout migration) against the
+ * in-process drivers. The redis driver shares the contract but needs a
+ * server, so it is not covered here.
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StateManager, ConflictError } = require('../../src/core/state-manager');
+const { MemoryStateDriver, FileStateDriver, createStateDriver } = require('../../src/core/state-drivers');
+
+const SCOPE = 'novel:test';
+const tempDirs = [];
+
+function tempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iluvatar-state-'));
+  tempDirs.push(dir);
+  return path.join(dir, 'state.json');
+}
+
+after(function() {
+  for (const dir of tempDirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+const drivers = {
+  memory: () => new MemoryStateDriver(),
+  file: () => new FileStateDriver({ file: tempFile() })
+};
+
+for (const [name, makeDriver] of Object.entries(drivers)) {
+  describe(`StateManager (${name} driver)`, function() {
+    let state;
+
+    beforeEach(function() {
+      state = new StateManager({ driver: makeDriver() });
+      // No backoff delays between retries
+      state._sleep = async () => {};
+    });
+
+    describe('read / write', function() {
+      it('reads an empty scope at version 0', async function() {
+        const { data, version } = await state.read('agent', SCOPE, ['outline', 'chapters']);
+
+        expect(version).to.equal(0);
+        expect(data).to.deep.equal({ outline: null, chapters: null });
+      });
+
+      it('writes JSON values and increments the version', async function() {
+        const result = await state.write('agent', SCOPE, { outline: { synopsis: 'A' }, count: 3 }, 0);
+        const { data, version } = await state.read('agent', SCOPE, ['*']);
+
+        expect(result).to.deep.equal({ success: true, newVersion: 1 });
+        expect(version).to.equal(1);
+        expect(data).to.deep.equal({ outline: { synopsis: 'A' }, count: 3 });
+      });
+
+      it('keeps versions independent per scope', async function() {
+        await state.write('agent', 'novel:a', { x: 1 }, 0);
+        await state.write('agent', 'novel:a', { x: 2 }, 1);
+        await state.write('agent', 'series:b', { x: 1 }, 0);
+
+        expect((await state.read('agent', 'novel:a', ['x'])).version).to.equal(2);
+        expect((await state.read('agent', 'series:b', ['x'])).version).to.equal(1);
+        expect((await state.read('agent', 'global', ['x'])).version).to.equal(0);
+      });
+
+      it('throws ConflictError on a stale version and leaves state untouched', async function() {
+        await state.write('agent1', SCOPE, { owner: 'agent1' }, 0);
+
+        let error;
+        try {
+          await state.write('agent2', SCOPE, { owner: 'agent2' }, 0);
+        } catch (err) {
+          error = err;
+        }
+
+        expect(error).to.be.instanceOf(ConflictError);
+        expect(error.message).to.include('Expected 0, got 1');
+        expect(await state.get(SCOPE, 'owner')).to.equal('agent1');
+      });
+
+      it('rejects invalid scopes', async function() {
+        let error;
+        try {
+          await state.read('agent', 'hackathon:1', ['*']);
+        } catch (err) {
+          error = err;
+        }
+        expect(error.message).to.include('Invalid scope');
+      });
+    });
+
+    describe('writeWithRetry', function() {
+      it('retries with fresh data after a concurrent write', async function() {
+        await state.write('agent', SCOPE, { counter: 0 }, 0);
+        let calls = 0;
+
+        const result = await state.writeWithRetry('agent', SCOPE, async (data) => {
+          calls++;
+          if (calls === 1) {
+            // Another agent sneaks in between our read and write
+            await state.write('other', SCOPE, { counter: 10 }, 1);
+          }
+          return { counter: data.counter + 1 };
+        });
+
+        expect(calls).to.equal(2);
+        expect(result.newVersion).to.equal(3);
+        expect(await state.get(SCOPE, 'counter')).to.equal(11);
+      });
+
+      it('gives up with ConflictError after maxRetries', async function() {
+        let error;
+        try {
+          await state.writeWithRetry('agent', SCOPE, async (data) => {
+            const { version } = await state.read('other', SCOPE, ['*']);
+            await state.write('other', SCOPE, { n: version }, version);
+            return { n: -1 };
+          }, 2);
+        } catch (err) {
+          error = err;
+        }
+
+        expect(error).to.be.instanceOf(ConflictError);
+      });
+
+      it('loses no increments when writers interleave', async function() {
+        await state.write('agent', SCOPE, { counter: 0 }, 0);
+
+        await Promise.all(Array.from({ length: 5 }, (_, i) =>
+          state.writeWithRetry(`agent${i}`, SCOPE, async (data) => ({ counter: data.counter + 1 }), 10)
+        ));
+
+        expect(await state.get(SCOPE, 'counter')).to.equal(5);
+      });
+    });
+
+    describe('get', function() {
+      it('prefers the hash field', async function() {
+        await state.set(SCOPE, 'outline', { synopsis: 'hash' });
+        await state.driver.setKey(`${SCOPE}:outline`, JSON.stringify({ synopsis: 'n8n' }));
+
+        expect(await state.get(SCOPE, 'outline')).to.deep.equal({ synopsis: 'hash' });
+      });
+
+      it('falls back to the N8N string key when the field is null', async function() {
+        await state.set(SCOPE, 'outline', null);
+        await state.driver.setKey(`${SCOPE}:outline`, JSON.stringify({ synopsis: 'n8n' }));
+
+        expect(await state.get(SCOPE, 'outline')).to.deep.equal({ synopsis: 'n8n' });
+      });
+
+      it('no longer scans for N8N chapter keys (see migrateLayout)', async function() {
+        await state.driver.setKey(`${SCOPE}:chapter:1`, JSON.stringify({ title: 'One' }));
+
+        expect(await state.get(SCOPE, 'chapters')).to.deep.equal({});
+      });
+
+      it('returns an empty object for chapters with no keys at all', async function() {
+        expect(await state.get(SCOPE, 'chapters')).to.deep.equal({});
+        expect(await state.get(SCOPE, 'outline')).to.equal(null);
+      });
+
+      it('returns non-JSON strings as they are', async function() {
+        await state.driver.setKey(`${SCOPE}:status`, 'writing');
+
+        expect(await state.get(SCOPE, 'status')).to.equal('writing');
+      });
+    });
+
+    describe('collections', function() {
+      it('stores items separately and reads one item or all of them', async function() {
+        await state.write('agent', SCOPE, { 'chapters:1': { title: 'One' }, 'chapters:2': { title: 'Two' } }, 0);
+
+        expect(await state.get(SCOPE, 'chapters:2')).to.deep.equal({ title: 'Two' });
+        expect(await state.get(SCOPE, 'chapters:3')).to.equal(null);
+        expect(await state.get(SCOPE, 'chapters')).to.deep.equal({ 1: { title: 'One' }, 2: { title: 'Two' } });
+        expect(await state.driver.itemIds(SCOPE, ['chapters'])).to.deep.equal({ chapters: ['1', '2'] });
+      });
+
+      it('reads only the requested items', async function() {
+        await state.write('agent', SCOPE, { metadata: { title: 'T' }, 'chapters:1': { title: 'One' }, 'chapters:2': { title: 'Two' } }, 0);
+        const { data, version } = await state.read('agent', SCOPE, ['metadata', 'chapters:2', 'critiques:2']);
+
+        expect(version).to.equal(1);
+        expect(data).to.deep.equal({ metadata: { title: 'T' }, 'chapters:2': { title: 'Two' }, 'critiques:2': null });
+      });
+
+      it('includes non-empty collections when reading everything', async function() {
+        await state.write('agent', SCOPE, { outline: 'o', 'critiques:1': { score: 80 } }, 0);
+        const { data } = await state.read('agent', SCOPE, ['*']);
+
+        expect(data).to.deep.equal({ outline: 'o', critiques: { 1: { score: 80 } } });
+      });
+
+      it('replaces the whole collection when written as one value', async function() {
+        await state.write('agent', SCOPE, { 'chapters:1': { title: 'One' }, 'chapters:2': { title: 'Two' } }, 0);
+        await state.write('agent', SCOPE, { chapters: { 3: { title: 'Three' } } }, 1);
+
+        expect(await state.get(SCOPE, 'chapters')).to.deep.equal({ 3: { title: 'Three' } });
+      });
+
+      it('removes items set to null and collections on delete', async function() {
+        await state.write('agent', SCOPE, { 'chapters:1': { title: 'One' }, 'chapters:2': { title: 'Two' }, 'revisions:1': [] }, 0);
+        await state.write('agent', SCOPE, { 'chapters:1': null }, 1);
+        await state.delete(SCOPE, ['revisions']);
+
+        expect(await state.get(SCOPE, 'chapters')).to.deep.equal({ 2: { title: 'Two' } });
+        expect(await state.get(SCOPE, 'revisions')).to.deep.equal({});
+      });
+
+      it('lists item ids in numeric order without reading items', async function() {
+        await state.write('agent', SCOPE, { 'chapters:10': { n: 10 }, 'chapters:2': { n: 2 }, 'critiques:2': {} }, 0);
+
+        expect(await state.getItemIds(SCOPE, ['chapters', 'critiques', 'revisions']))
+          .to.deep.equal({ chapters: ['2', '10'], critiques: ['2'], revisions: [] });
+      });
+
+      it('gets several keys in one call', async function() {
+        await state.write('agent', SCOPE, { metadata: { title: 'T' }, 'chapters:1': { title: 'One' } }, 0);
+
+        expect(await state.getMany(SCOPE, ['metadata', 'chapters:1', 'critiques']))
+          .to.deep.equal({ metadata: { title: 'T' }, 'chapters:1': { title: 'One' }, critiques: {} });
+      });
+
+      it('reads the old single-field layout and converts it on the first write', async function() {
+        await state.driver.apply(SCOPE, { fields: { chapters: JSON.stringify({ 1: { title: 'One' }, 2: { title: 'Two' } }) } });
+
+        expect(await state.get(SCOPE, 'chapters:1')).to.deep.equal({ title: 'One' });
+        expect((await state.getItemIds(SCOPE, ['chapters'])).chapters).to.deep.equal(['1', '2']);
+
+        await state.write('agent', SCOPE, { 'chapters:2': { title: 'Two, revised' } }, 0);
+        const { values } = await state.driver.readFields(SCOPE, ['chapters']);
+
+        expect(values.chapters).to.equal(null);
+        expect(await state.get(SCOPE, 'chapters')).to.deep.equal({ 1: { title: 'One' }, 2: { title: 'Two, revised' } });
+      });
+    });
+
+    describe('migrateLayout', function() {
+      it('moves data-hash fields and N8N keys into collections', async function() {
+        await state.driver.apply(SCOPE, { fields: {
+          metadata: JSON.stringify({ title: 'T' }),
+          chapters: JSON.stringify({ 1: { title: 'One' } }),
+          revisions: JSON.stringify({ 1: [{ version: 1 }] })
+        } });
+        await state.driver.setKey(`${SCOPE}:chapter:1`, JSON.stringify({ title: 'Stale' }));
+        await state.driver.setKey(`${SCOPE}:chapter:2`, JSON.stringify({ title: 'Two' }));
+        await state.driver.setKey(`${SCOPE}:critique:2`, JSON.stringify({ score: 80 }));
+        await state.driver.setKey('novel:n8n-only:chapter:1', JSON.stringify({ title: 'Elsewhere' }));
+
+        const report = await state.migrateLayout();
+
+        expect(report.scopes).to.deep.equal([
+          { scope: 'novel:n8n-only', moved: { chapters: 1 }, n8nKeys: 1 },
+          { scope: SCOPE, moved: { chapters: 2, critiques: 1, revisions: 1 }, n8nKeys: 3 }
+        ]);
+        expect(await state.get(SCOPE, 'chapters')).to.deep.equal({ 1: { title: 'One' }, 2: { title: 'Two' } });
+        expect(await state.get(SCOPE, 'critiques:2')).to.deep.equal({ score: 80 });
+        expect(await state.get(SCOPE, 'revisions:1')).to.deep.equal([{ version: 1 }]);
+        expect(await state.get('novel:n8n-only', 'chapters')).to.deep.equal({ 1: { title: 'Elsewhere' } });
+        expect(await state.driver.scanKeys('novel:*')).to.deep.equal([]);
+        expect((await state.driver.readFields(SCOPE, ['chapters'])).values.chapters).to.equal(null);
+        expect((await state.read('agent', SCOPE, [])).version).to.equal(1);
+
+        // A second run finds nothing left to do
+        expect((await state.migrateLayout()).scopes).to.deep.equal([]);
+      });
+
+      it('keeps items already in a collection and changes nothing on a dry run', async function() {
+        await state.write('agent', SCOPE, { 'chapters:1': { title: 'New' } }, 0);
+        await state.driver.setKey(`${SCOPE}:chapter:1`, JSON.stringify({ title: 'Old' }));
+
+        const dryRun = await state.migrateLayout({ dryRun: true });
+        expect(dryRun.scopes).to.deep.equal([{ scope: SCOPE, moved: {}, n8nKeys: 1 }]);
+        expect(await state.driver.getKey(`${SCOPE}:chapter:1`)).to.not.equal(null);
+
+        await state.migrateLayout();
+        expect(await state.get(SCOPE, 'chapters')).to.deep.equal({ 1: { title: 'New' } });
+        expect(await state.driver.getKey(`${SCOPE}:chapter:1`)).to.equal(null);
+      });
+    });
+
+    describe('set / delete / clear / getDebugInfo', function() {
+      it('sets without bumping the version and deletes fields', async function() {
+        await state.set(SCOPE, 'a', 1);
+        await state.set(SCOPE, 'b', 2);
+        await state.delete(SCOPE, ['a']);
+        const { data, version } = await state.read('agent', SCOPE, ['*']);
+
+        expect(version).to.equal(0);
+        expect(data).to.deep.equal({ b: 2 });
+      });
+
+      it('clears a scope including its version and collections', async function() {
+        await state.write('agent', SCOPE, { a: 1, 'chapters:1': { title: 'One' } }, 0);
+        await state.clear(SCOPE);
+
+        const { data, version } = await state.read('agent', SCOPE, ['*']);
+        expect(version).to.equal(0);
+        expect(data).to.deep.equal({});
+      });
+
+      it('reports the version and recent reads and writes, newest first', async function() {
+        await state.write('writer', SCOPE, { a: 1 }, 0);
+        await state.write('writer', SCOPE, { b: 2 }, 1);
+        await state.read('reader', SCOPE, ['a']);
+        const info = await state.getDebugInfo(SCOPE);
+
+        expect(info.currentVersion).to.equal(2);
+        expect(info.recentWrites.map(w => w.updates)).to.deep.equal([['b'], ['a']]);
+        expect(info.recentReads[0]).to.include({ agentId: 'reader', version: 2 });
+      });
+    });
+
+    describe('event log', function() {
+      it('appends events in order without touching the version', async function() {
+        expect(await state.appendEvent(SCOPE, { type: 'a' })).to.equal(1);
+        expect(await state.appendEvent(SCOPE, { type: 'b' })).to.equal(2);
+
+        expect(await state.readEvents(SCOPE)).to.deep.equal([{ type: 'a' }, { type: 'b' }]);
+        expect(await state.readEvents(SCOPE, 1)).to.deep.equal([{ type: 'b' }]);
+        expect((await state.read('agent', SCOPE, [])).version).to.equal(0);
+      });
+
+      it('drops the log when the scope is cleared', async function() {
+        await state.appendEvent(SCOPE, { type: 'a' });
+        await state.clear(SCOPE);
+
+        expect(await state.readEvents(SCOPE)).to.deep.equal([]);
+      });
+    });
+  });
+}
+
+describe('FileStateDriver', function() {
+  it('keeps state and versions across instances', async function() {
+    const file = tempFile();
+    const first = new StateManager({ driver: 'file', file });
+    await first.write('agent', SCOPE, { outline: { synopsis: 'saved' }, 'chapters:1': { title: 'One' } }, 0);
+
+    const second = new StateManager({ driver: 'file', file });
+    const { data, version } = await second.read('agent', SCOPE, ['outline']);
+
+    expect(version).to.equal(1);
+    expect(data.outline).to.deep.equal({ synopsis: 'saved' });
+    expect(await second.get(SCOPE, 'chapters')).to.deep.equal({ 1: { title: 'One' } });
+  });
+
+  it('keeps the event log across instances', async function() {
+    const file = tempFile();
+    await new StateManager({ driver: 'file', file }).appendEvent(SCOPE, { type: 'novel.created' });
+
+    const second = new StateManager({ driver: 'file', file });
+    expect(await second.readEvents(SCOPE)).to.deep.equal([{ type: 'novel.created' }]);
+  });
+});
+
+describe('createStateDriver', function() {
+  it('rejects unknown drivers', function() {
+    expect(() => createStateDriver('postgres')).to.throw('Unknown state driver');
+  });
+
+  it('wraps a bare Redis client in the redis driver', function() {
+    const client = { multi() {} };
+    const state = new StateManager(client);
+
+    expect(state.driver.name).to.equal('redis');
+    expect(state.redis).to.equal(client);
+  });
+
+  it('has no Redis client off Redis', function() {
+    expect(new StateManager({ driver: 'memory' }).redis).to.equal(null);
+  });
+});
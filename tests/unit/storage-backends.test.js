@@ -0,0 +1,101 @@
+/**
+ * ILUVATAR - Storage Backend Tests
+ *
+ * The local backend in a temp directory: objects with their sidecar
+ * metadata, prefix listing, and keys that would reach outside rootDir.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { LocalBackend, migrateStorage } = require('../../src/core/storage-backends');
+const { quietLogs } = require('./helpers');
+
+describe('Local storage backend', function() {
+  let tmpDir;
+  let rootDir;
+  let backend;
+
+  quietLogs();
+
+  beforeEach(function() {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iluvatar-storage-'));
+    rootDir = path.join(tmpDir, 'storage');
+    backend = new LocalBackend({ rootDir });
+  });
+
+  afterEach(function() {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('keeps content type and metadata beside each object', async function() {
+    await backend.put('exports/novel-1/book.epub', Buffer.from('epub'), {
+      contentType: 'application/epub+zip',
+      metadata: { chapters: '2' }
+    });
+
+    const object = await backend.get('exports/novel-1/book.epub');
+    expect(object.body.toString()).to.equal('epub');
+    expect(object).to.include({ contentType: 'application/epub+zip' });
+    expect(object.metadata).to.deep.equal({ chapters: '2' });
+    expect(await backend.get('exports/novel-1/missing.epub')).to.equal(null);
+  });
+
+  it('lists keys under a prefix, leaving out the metadata sidecars', async function() {
+    for (const key of ['novels/b/state.json', 'novels/a/state.json', 'novels-old/a.json', 'exports/a.txt']) {
+      await backend.put(key, '{}');
+    }
+
+    expect((await backend.list('novels/')).map(obj => obj.key)).to.deep.equal(['novels/a/state.json', 'novels/b/state.json']);
+    expect((await backend.list('novels')).map(obj => obj.key)).to.deep.equal(['novels-old/a.json', 'novels/a/state.json', 'novels/b/state.json']);
+    expect((await backend.list('')).map(obj => obj.key)).to.deep.equal([
+      'exports/a.txt', 'novels-old/a.json', 'novels/a/state.json', 'novels/b/state.json'
+    ]);
+    expect(await backend.list('drafts/')).to.deep.equal([]);
+  });
+
+  it('rejects keys that escape the storage directory', async function() {
+    fs.mkdirSync(path.join(tmpDir, 'storage-other'));
+
+    for (const key of ['../outside.json', 'novels/../../outside.json', '../storage-other/x.json', path.join(tmpDir, 'outside.json')]) {
+      for (const call of [() => backend.put(key, 'x'), () => backend.get(key), () => backend.delete(key)]) {
+        let error;
+        try {
+          await call();
+        } catch (err) {
+          error = err;
+        }
+        expect(error.message).to.equal(`Storage key escapes the storage directory: ${key}`);
+      }
+    }
+
+    let error;
+    try {
+      await backend.list('../');
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.equal('Storage key escapes the storage directory: ..');
+
+    expect(fs.readdirSync(tmpDir).sort()).to.deep.equal(['storage-other']);
+    expect(fs.readdirSync(path.join(tmpDir, 'storage-other'))).to.deep.equal([]);
+
+    // ".." inside a key is fine while it stays under rootDir
+    await backend.put('novels/a/../b.json', 'x');
+    expect((await backend.get('novels/b.json')).body.toString()).to.equal('x');
+  });
+
+  it('migrates only objects the target is missing', async function() {
+    const target = new LocalBackend({ rootDir: path.join(tmpDir, 'target') });
+    await backend.put('a.json', '1', { contentType: 'application/json' });
+    await backend.put('b.json', '22');
+    await target.put('b.json', '33');
+
+    const report = await migrateStorage(backend, target);
+
+    expect(report).to.include({ copied: 1, skipped: 1, bytes: 1 });
+    expect((await target.get('a.json')).contentType).to.equal('application/json');
+    expect((await target.get('b.json')).body.toString()).to.equal('33');
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * ILUVATAR - Summary Manager Tests
+ *
+ * Shadowfax's chapter summaries and arc recaps: written before Frodo's
+ * prompt needs them, rolled up per arc, and rebuilt after a recall.
+ */
+
+const { expect } = require('chai');
+const { SummaryManager } = require('../../src/core/summary-manager');
+const { quietLogs, createHarness, createPlannedNovel, writeChapter: writeAndApprove } = require('./helpers');
+
+const REVISED = `## CHAPTER TITLE
+Fake Chapter
+
+## CONTENT
+The hero ran the long road until dawn.
+
+## WORD COUNT
+8
+
+## AUTHOR NOTES
+- Moved to dawn
+
+## BIBLE UPDATES
+
+### TIMELINE EVENTS
+- The hero reaches the road's end at dawn`;
+
+describe('Summary manager', function() {
+  let harness;
+  let novelManager;
+  let provider;
+  let summaryManager;
+  let pipeline;
+  let novel;
+
+  quietLogs();
+
+  beforeEach(async function() {
+    harness = createHarness({
+      attach: (nm, modelClient) => {
+        summaryManager = new SummaryManager(nm, { modelClient, arcSize: 2 });
+        nm.summaryManager = summaryManager;
+      }
+    });
+    ({ novelManager, provider, pipeline } = harness);
+    novel = await createPlannedNovel(harness, { title: 'Summaries' });
+  });
+
+  const writeChapter = num => writeAndApprove(harness, novel.id, num);
+
+  const shadowfaxCalls = () => provider.calls.filter(call => call.agent === 'shadowfax').length;
+
+  it('summarizes approved chapters before Frodo writes the next one and recaps finished arcs', async function() {
+    await writeChapter(1);
+    await writeChapter(2);
+    const written = await pipeline.write(novel.id, 3);
+
+    const summaries = await novelManager.getSummaries(novel.id);
+    expect(Object.keys(summaries.chapters)).to.deep.equal(['1', '2']);
+    expect(summaries.chapters[1]).to.deep.include({
+      summary: 'The hero sets out on the long road and walks on into the night.',
+      keyEvents: ['The hero leaves home'],
+      openThreads: ['Will the hero find the way home?']
+    });
+    expect(summaries.arcs[1]).to.include({ from: 1, to: 2 });
+    expect(shadowfaxCalls()).to.equal(3);
+
+    // Chapter 2's summary and the arc recap are billed to the write that needed them
+    const [frodo, shadowfax] = written.usage.calls;
+    expect(written.usage.calls.map(call => call.agent)).to.deep.equal(['frodo', 'shadowfax']);
+    expect(shadowfax.cost).to.be.above(0);
+    expect(written.usage.cost).to.equal(frodo.cost + shadowfax.cost);
+
+    const levels = await summaryManager.getStoryLevels(novel.id, 3);
+    expect(levels.detailed).to.have.length(2);
+    expect(levels.standard).to.deep.equal([`Ch1-2: ${summaries.arcs[1].summary}`]);
+    expect(levels.brief).to.deep.equal(levels.standard);
+
+    // Nothing changed, nothing to redo
+    expect(await summaryManager.refresh(novel.id)).to.deep.equal({ chapters: [], arcs: [], cost: 0 });
+    expect(shadowfaxCalls()).to.equal(3);
+  });
+
+  it('rebuilds the summaries of a recalled chapter and its arc', async function() {
+    await writeChapter(1);
+    await writeChapter(2);
+    await summaryManager.refresh(novel.id);
+    const before = await novelManager.getSummaries(novel.id);
+
+    await novelManager.recallChapter(novel.id, 1);
+    provider.queue('frodo', REVISED);
+    await pipeline.reviseChapter(novel.id, 1, 'Make it dawn');
+    await novelManager.approveChapter(novel.id, 1);
+    await novelManager.completeRecall(novel.id, false);
+
+    const dropped = await novelManager.getSummaries(novel.id);
+    expect(Object.keys(dropped.chapters)).to.deep.equal(['2']);
+    expect(dropped.arcs).to.deep.equal({});
+
+    expect(await summaryManager.refresh(novel.id)).to.deep.include({ chapters: [1], arcs: [1] });
+    const after = await novelManager.getSummaries(novel.id);
+    expect(after.chapters[1].contentHash).to.not.equal(before.chapters[1].contentHash);
+    expect(after.chapters[2]).to.deep.equal(before.chapters[2]);
+    expect(after.arcs[1].sourceHash).to.not.equal(before.arcs[1].sourceHash);
+  });
+
+  it('treats a summary as stale once its chapter text changes', async function() {
+    await writeChapter(1);
+    await summaryManager.refresh(novel.id);
+
+    await novelManager.saveRevision(novel.id, 1, { title: 'Fake Chapter', content: 'The hero turned back.', wordCount: 4 });
+    await novelManager.approveChapter(novel.id, 1);
+
+    expect(await summaryManager.getChapterSummary(novel.id, 1, { generate: false })).to.equal(null);
+    expect(await summaryManager.refresh(novel.id)).to.deep.include({ chapters: [1], arcs: [] });
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * ILUVATAR - Text Diff Tests
+ *
+ * Sentence splitting for English and Chinese prose, and the paragraph then
+ * sentence diff shown for chapter versions.
+ */
+
+const { expect } = require('chai');
+const { diffText, diffSequences, formatDiff, splitParagraphs, splitSentences } = require('../../src/core/text-diff');
+
+describe('Text diff', function() {
+  it('splits Chinese sentences on full-width punctuation and keeps closing quotes', function() {
+    expect(splitSentences('林玮拔剑。“走吧！”他说。莫长老……沉默了？')).to.deep.equal([
+      '林玮拔剑。', '“走吧！”', '他说。', '莫长老……', '沉默了？'
+    ]);
+    expect(splitSentences('「你来了。」她笑道')).to.deep.equal(['「你来了。」', '她笑道']);
+    expect(splitSentences('He ran. "Stop!" she said')).to.deep.equal(['He ran.', '"Stop!"', 'she said']);
+  });
+
+  it('splits paragraphs on newlines and drops blank ones', function() {
+    expect(splitParagraphs('One.\n\n  Two.  \nThree.\n\n\n')).to.deep.equal(['One.', 'Two.', 'Three.']);
+  });
+
+  it('diffs token sequences', function() {
+    expect(diffSequences(['a', 'b', 'c'], ['a', 'x', 'c'])).to.deep.equal([
+      { type: 'equal', value: 'a' },
+      { type: 'delete', value: 'b' },
+      { type: 'insert', value: 'x' },
+      { type: 'equal', value: 'c' }
+    ]);
+  });
+
+  it('pairs a rewritten Chinese paragraph with its replacement and diffs its sentences', function() {
+    const before = '林玮走进山门。\n\n莫长老看着他。林玮低下头。\n\n夜深了。';
+    const after = '林玮走进山门。\n\n莫长老冷冷地看着他。林玮低下头。\n\n夜深了。\n\n钟声响起。';
+    const diff = diffText(before, after);
+
+    expect(diff.stats).to.deep.equal({ added: 1, removed: 0, changed: 1, unchanged: 2 });
+    expect(diff.ops[1].sentences).to.deep.equal([
+      { type: 'delete', value: '莫长老看着他。' },
+      { type: 'insert', value: '莫长老冷冷地看着他。' },
+      { type: 'equal', value: '林玮低下头。' }
+    ]);
+
+    expect(formatDiff(diff)).to.equal([
+      '  ... 1 unchanged paragraph ...',
+      '- 莫长老看着他。',
+      '+ 莫长老冷冷地看着他。',
+      '',
+      '  ... 1 unchanged paragraph ...',
+      '+ 钟声响起。'
+    ].join('\n'));
+  });
+
+  it('diffs the whole text as one sentence stream at sentence level', function() {
+    const diff = diffText('林玮拔剑。莫长老点头。', '林玮拔剑。\n\n莫长老摇头。', { level: 'sentence' });
+    expect(diff.stats).to.deep.equal({ added: 1, removed: 1, changed: 0, unchanged: 1 });
+    expect(formatDiff(diff)).to.equal('  ... 1 unchanged sentence ...\n- 莫长老点头。\n+ 莫长老摇头。');
+  });
+});
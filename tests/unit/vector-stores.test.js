@@ -0,0 +1,61 @@
+/**
+ * ILUVATAR - Vector Store Tests
+ *
+ * Top-k queries, thresholds, filters and namespaces on the memory store.
+ */
+
+const { expect } = require('chai');
+const { MemoryVectorStore, createVectorStore } = require('../../src/core/vector-stores');
+
+// Unit vector at `degrees` in the plane
+function direction(degrees) {
+  const radians = degrees * Math.PI / 180;
+  return [Math.cos(radians), Math.sin(radians)];
+}
+
+describe('Vector stores', function() {
+  let store;
+
+  beforeEach(async function() {
+    store = new MemoryVectorStore();
+    await store.upsert('novel-1', [
+      { id: 'far', vector: direction(80), payload: { type: 'character' } },
+      { id: 'near', vector: direction(10), payload: { type: 'character' } },
+      { id: 'exact', vector: direction(0), payload: { type: 'chekhov' } },
+      { id: 'middle', vector: direction(45), payload: { type: 'chekhov' } }
+    ]);
+  });
+
+  it('returns the top k entries, best first', async function() {
+    const matches = await store.query('novel-1', direction(0), { topK: 3 });
+
+    expect(matches.map(m => m.id)).to.deep.equal(['exact', 'near', 'middle']);
+    expect(matches[0].score).to.be.closeTo(1, 1e-6);
+    expect(matches[0].payload).to.deep.equal({ type: 'chekhov' });
+  });
+
+  it('drops entries below the threshold or rejected by the filter', async function() {
+    const above = await store.query('novel-1', direction(0), { threshold: 0.5 });
+    expect(above.map(m => m.id)).to.deep.equal(['exact', 'near', 'middle']);
+
+    const characters = await store.query('novel-1', direction(0), { filter: payload => payload.type === 'character' });
+    expect(characters.map(m => m.id)).to.deep.equal(['near', 'far']);
+  });
+
+  it('replaces entries by ID and keeps namespaces apart', async function() {
+    await store.upsert('novel-1', [{ id: 'far', vector: direction(5), payload: { type: 'character' } }]);
+    await store.upsert('novel-2', [{ id: 'other', vector: direction(0) }]);
+    await store.remove('novel-1', ['exact']);
+
+    expect((await store.query('novel-1', direction(0), { topK: 2 })).map(m => m.id)).to.deep.equal(['far', 'near']);
+    expect(await store.list('novel-2')).to.deep.equal([{ id: 'other', payload: {} }]);
+
+    await store.clear('novel-1');
+    expect(await store.list('novel-1')).to.deep.equal([]);
+  });
+
+  it('creates stores by name', function() {
+    expect(createVectorStore('memory').name).to.equal('memory');
+    expect(() => createVectorStore('faiss')).to.throw('Unknown vector store: faiss');
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * ILUVATAR - Zip Tests
+ *
+ * Round trips through createZip/readZip, stored and deflated entries.
+ */
+
+const { expect } = require('chai');
+const { createZip, readZip, crc32 } = require('../../src/core/zip');
+
+describe('Zip', function() {
+  it('reads back every entry it writes, stored or deflated', function() {
+    const image = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff, 0x10]);
+    const archive = createZip([
+      { name: 'mimetype', data: 'application/epub+zip', store: true },
+      { name: 'OEBPS/第一章.xhtml', data: '<p>林玮走进山门。</p>'.repeat(50) },
+      { name: 'OEBPS/cover.png', data: image },
+      { name: 'empty.txt', data: '' }
+    ]);
+
+    const entries = readZip(archive);
+
+    expect([...entries.keys()]).to.deep.equal(['mimetype', 'OEBPS/第一章.xhtml', 'OEBPS/cover.png', 'empty.txt']);
+    expect(entries.get('mimetype').toString('utf8')).to.equal('application/epub+zip');
+    expect(entries.get('OEBPS/第一章.xhtml').toString('utf8')).to.equal('<p>林玮走进山门。</p>'.repeat(50));
+    expect(entries.get('OEBPS/cover.png').equals(image)).to.equal(true);
+    expect(entries.get('empty.txt').length).to.equal(0);
+  });
+
+  it('writes the CRC-32 of the uncompressed data', function() {
+    expect(crc32(Buffer.from('123456789'))).to.equal(0xcbf43926);
+
+    // Local header: method at 8, CRC at 14
+    const archive = createZip([{ name: 'a.txt', data: 'hello hello hello' }]);
+    expect(archive.readUInt16LE(8)).to.equal(8);
+    expect(archive.readUInt32LE(14)).to.equal(crc32(Buffer.from('hello hello hello')));
+  });
+
+  it('rejects data that is not a zip archive', function() {
+    expect(() => readZip(Buffer.from('not a zip archive, just some text'))).to.throw('Not a zip archive (no end of central directory)');
+  });
+});